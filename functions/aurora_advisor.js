@@ -546,3 +546,7 @@ exports.getQuickAuroraAssessment = onCall(
         return { aurora_probability: probability };
     }
 );
+
+// Shared with the tour go/no-go decision support (modules/tour_decision.js)
+exports.getDarknessHours = getDarknessHours;
+exports.getMoonData = getMoonData;
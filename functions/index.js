@@ -10,13 +10,33 @@
  * - utils/google_auth.js    - Google Auth & Sheets helpers
  * - utils/bokun_client.js   - Bokun API client
  * - utils/notifications.js  - Push notification helpers
+ * - utils/route_planner.js  - Pickup route planning (pure)
+ * - utils/guide_ranking.js  - Guide ranking/fairness scoring (pure)
+ * - utils/bokun_booking.js  - Bokun booking → cache entry mapping (pure)
+ * - utils/whatsapp_client.js - WhatsApp Cloud API client
  * - modules/reports.js      - Report generation & triggers
  * - modules/bokun_proxy.js  - Bokun API proxy
+ * - modules/bokun_webhook.js - Bokun booking webhooks → caches
  * - modules/booking_management.js - Reschedule, cancel, pickup
  * - modules/inbox_core.js   - Unified inbox core
+ * - modules/inbox_routing.js - Inbox assignment, SLA timers & views
+ * - modules/message_templates.js - Canned responses & templated customer messages
+ * - modules/inbox_search.js  - Inbox search index & search callable
+ * - modules/customer_profiles.js - Customer 360: merged identities & booking history
+ * - modules/ai_actions.js    - Approve & execute AI Assist booking actions
  * - modules/gmail.js        - Gmail integration
  * - modules/website_chat.js - Website chat widget
  * - modules/ai_assist.js    - AI draft & booking assist
+ * - modules/ai_feedback.js  - AI draft outcomes, acceptance stats & few-shot examples
+ * - modules/notification_preferences.js - Customer contact preferences & channel fallback
+ * - modules/tour_decision.js - Weather-driven ON/OFF recommendation
+ * - modules/tour_status_escalation.js - Escalation when no status is set
+ * - modules/rebooking_offers.js - Rebooking offers when a night is OFF
+ * - modules/retry_entitlements.js - Free retries when no lights are seen
+ * - modules/sms_status.js     - Twilio SMS delivery status tracking
+ * - modules/sms_inbox.js      - Inbound SMS as an inbox channel
+ * - modules/whatsapp.js       - WhatsApp Cloud API inbox channel
+ * - modules/delivery_fallback.js - Next channel when an SMS/WhatsApp fails after sending
  */
 
 // ============================================
@@ -37,6 +57,13 @@ exports.onNoShowMarked = reports.onNoShowMarked;
 const bokunProxy = require('./modules/bokun_proxy');
 exports.getBookings = bokunProxy.getBookings;
 
+// ============================================
+// BOKUN WEBHOOK MODULE (Booking created/updated/cancelled)
+// ============================================
+const bokunWebhook = require('./modules/bokun_webhook');
+exports.bokunWebhook = bokunWebhook.bokunWebhook;
+exports.replayBokunDeadLetter = bokunWebhook.replayBokunDeadLetter;
+
 // ============================================
 // BOOKING MANAGEMENT MODULE
 // ============================================
@@ -62,6 +89,7 @@ exports.portalCancelBooking = bookingPortal.portalCancelBooking;
 exports.portalGetPickupPlaces = bookingPortal.portalGetPickupPlaces;
 exports.portalUpdatePickup = bookingPortal.portalUpdatePickup;
 exports.getBookingManifest = bookingPortal.getBookingManifest;
+exports.portalClaimRetry = bookingPortal.portalClaimRetry;
 
 // ============================================
 // INBOX CORE MODULE
@@ -73,6 +101,55 @@ exports.markConversationRead = inboxCore.markConversationRead;
 exports.updateConversationStatus = inboxCore.updateConversationStatus;
 exports.createTestInboxMessage = inboxCore.createTestInboxMessage;
 
+// ============================================
+// INBOX ROUTING MODULE (Assignment & SLA)
+// ============================================
+const inboxRouting = require('./modules/inbox_routing');
+exports.onInboxMessageRouting = inboxRouting.onInboxMessageRouting;
+exports.inboxSlaMonitor = inboxRouting.inboxSlaMonitor;
+exports.assignInboxConversation = inboxRouting.assignInboxConversation;
+exports.getInboxView = inboxRouting.getInboxView;
+exports.backfillConversationAssignment = inboxRouting.backfillConversationAssignment;
+
+// ============================================
+// MESSAGE TEMPLATES MODULE (Canned Responses)
+// ============================================
+const messageTemplates = require('./modules/message_templates');
+exports.saveMessageTemplate = messageTemplates.saveMessageTemplate;
+exports.listMessageTemplates = messageTemplates.listMessageTemplates;
+exports.getMessageTemplateVersions = messageTemplates.getMessageTemplateVersions;
+exports.previewMessageTemplate = messageTemplates.previewMessageTemplate;
+
+// ============================================
+// INBOX SEARCH MODULE
+// ============================================
+const inboxSearch = require('./modules/inbox_search');
+exports.onInboxSearchConversationWritten = inboxSearch.onInboxSearchConversationWritten;
+exports.onInboxSearchMessageCreated = inboxSearch.onInboxSearchMessageCreated;
+exports.onInboxSearchCustomerWritten = inboxSearch.onInboxSearchCustomerWritten;
+exports.searchInbox = inboxSearch.searchInbox;
+exports.rebuildInboxSearchIndex = inboxSearch.rebuildInboxSearchIndex;
+exports.inboxSearchBackfill = inboxSearch.inboxSearchBackfill;
+
+// ============================================
+// CUSTOMER PROFILES MODULE (Customer 360)
+// ============================================
+const customerProfiles = require('./modules/customer_profiles');
+exports.onCustomerIdentityWritten = customerProfiles.onCustomerIdentityWritten;
+exports.onConversationBookingsLinked = customerProfiles.onConversationBookingsLinked;
+exports.getCustomerProfile = customerProfiles.getCustomerProfile;
+exports.findDuplicateCustomers = customerProfiles.findDuplicateCustomers;
+exports.mergeCustomerProfiles = customerProfiles.mergeCustomerProfiles;
+exports.unmergeCustomerProfile = customerProfiles.unmergeCustomerProfile;
+exports.customerHistoryRefresh = customerProfiles.customerHistoryRefresh;
+
+// ============================================
+// AI ACTIONS MODULE (Approve & Execute)
+// ============================================
+const aiActions = require('./modules/ai_actions');
+exports.approveAndExecuteAiAction = aiActions.approveAndExecuteAiAction;
+exports.onAiActionReplyWritten = aiActions.onAiActionReplyWritten;
+
 // ============================================
 // GMAIL MODULE
 // ============================================
@@ -104,6 +181,13 @@ const aiAssist = require('./modules/ai_assist');
 exports.generateAiDraft = aiAssist.generateAiDraft;
 exports.generateBookingAiAssist = aiAssist.generateBookingAiAssist;
 
+// ============================================
+// AI FEEDBACK MODULE
+// ============================================
+const aiFeedback = require('./modules/ai_feedback');
+exports.onAiDraftReplySent = aiFeedback.onAiDraftReplySent;
+exports.refreshAiDraftStats = aiFeedback.refreshAiDraftStats;
+
 // ============================================
 // AURORA ADVISOR (already separate)
 // ============================================
@@ -126,7 +210,49 @@ exports.setTourStatus = tourStatus.setTourStatus;
 exports.getTourStatusHistory = tourStatus.getTourStatusHistory;
 exports.tourStatusReminder = tourStatus.tourStatusReminder;
 exports.sendTourStatusEmails = tourStatus.sendTourStatusEmails;
+exports.getTourStatusDeliveries = tourStatus.getTourStatusDeliveries;
 exports.disruptDeparture = tourStatus.disruptDeparture;
+exports.reopenDeparture = tourStatus.reopenDeparture;
+
+// ============================================
+// CUSTOMER NOTIFICATION PREFERENCES MODULE
+// ============================================
+const notificationPreferences = require('./modules/notification_preferences');
+exports.getCustomerNotificationPreferences = notificationPreferences.getCustomerNotificationPreferences;
+exports.setCustomerNotificationPreferences = notificationPreferences.setCustomerNotificationPreferences;
+
+// ============================================
+// TOUR STATUS ESCALATION MODULE
+// ============================================
+const tourStatusEscalation = require('./modules/tour_status_escalation');
+exports.tourStatusEscalation = tourStatusEscalation.tourStatusEscalation;
+exports.onTourStatusWrittenCancelEscalation = tourStatusEscalation.onTourStatusWrittenCancelEscalation;
+
+// ============================================
+// TOUR DECISION SUPPORT MODULE
+// ============================================
+const tourDecision = require('./modules/tour_decision');
+exports.tourDecisionRecommendation = tourDecision.tourDecisionRecommendation;
+exports.getTourDecisionRecommendation = tourDecision.getTourDecisionRecommendation;
+exports.getTourDecisionAccuracy = tourDecision.getTourDecisionAccuracy;
+
+// ============================================
+// REBOOKING OFFERS MODULE
+// ============================================
+const rebookingOffers = require('./modules/rebooking_offers');
+exports.portalGetRebookingOffer = rebookingOffers.portalGetRebookingOffer;
+exports.onBookingActionResolveRebookingOffer = rebookingOffers.onBookingActionResolveRebookingOffer;
+exports.rebookingOfferReminder = rebookingOffers.rebookingOfferReminder;
+exports.getRebookingOfferSummary = rebookingOffers.getRebookingOfferSummary;
+
+// ============================================
+// RETRY ENTITLEMENTS MODULE (Free retries)
+// ============================================
+const retryEntitlements = require('./modules/retry_entitlements');
+exports.onBookingStatusRetryAttendance = retryEntitlements.onBookingStatusRetryAttendance;
+exports.retryEntitlementDailyCheck = retryEntitlements.retryEntitlementDailyCheck;
+exports.lookupRetryEntitlements = retryEntitlements.lookupRetryEntitlements;
+exports.overrideRetryEntitlement = retryEntitlements.overrideRetryEntitlement;
 
 // ============================================
 // SMS MODULE
@@ -134,6 +260,34 @@ exports.disruptDeparture = tourStatus.disruptDeparture;
 const sms = require('./modules/sms');
 exports.sendTestSms = sms.sendTestSms;
 
+// ============================================
+// SMS DELIVERY STATUS MODULE (Twilio status callbacks)
+// ============================================
+const smsStatus = require('./modules/sms_status');
+exports.twilioSmsStatusCallback = smsStatus.twilioSmsStatusCallback;
+exports.getUndeliveredOffMessages = smsStatus.getUndeliveredOffMessages;
+
+// ============================================
+// SMS INBOX MODULE (Inbound SMS → unified inbox)
+// ============================================
+const smsInbox = require('./modules/sms_inbox');
+exports.twilioInboundSms = smsInbox.twilioInboundSms;
+exports.onOutboundSmsMessageCreated = smsInbox.onOutboundSmsMessageCreated;
+
+// ============================================
+// WHATSAPP MODULE (Cloud API → unified inbox)
+// ============================================
+const whatsapp = require('./modules/whatsapp');
+exports.whatsappWebhook = whatsapp.whatsappWebhook;
+exports.onOutboundWhatsAppMessageCreated = whatsapp.onOutboundWhatsAppMessageCreated;
+
+// ============================================
+// DELIVERY FALLBACK MODULE (late SMS/WhatsApp failures)
+// ============================================
+const deliveryFallback = require('./modules/delivery_fallback');
+exports.onSmsMessageWrittenFallback = deliveryFallback.onSmsMessageWrittenFallback;
+exports.onWhatsAppMessageWrittenFallback = deliveryFallback.onWhatsAppMessageWrittenFallback;
+
 // ============================================
 // PHOTO DELIVERY MODULE
 // ============================================
@@ -192,6 +346,12 @@ exports.finalizeFileUpload = photoUpload.finalizeFileUpload;
 const autoDispatch = require('./modules/auto_dispatch');
 exports.autoDispatchScheduled = autoDispatch.autoDispatchScheduled;
 exports.autoDispatchManual = autoDispatch.autoDispatchManual;
+exports.confirmAutoDispatch = autoDispatch.confirmAutoDispatch;
+exports.syncPickupPlacesScheduled = autoDispatch.syncPickupPlacesScheduled;
+exports.syncPickupPlacesManual = autoDispatch.syncPickupPlacesManual;
+
+const dispatchReconciler = require('./modules/dispatch_reconciler');
+exports.onCachedBookingsReconcile = dispatchReconciler.onCachedBookingsReconcile;
 
 // ============================================
 // GUIDE SHIFT SMS REMINDER (36h before departure)
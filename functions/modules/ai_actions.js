@@ -0,0 +1,670 @@
+/**
+ * AI Actions Module
+ * Approve-and-execute for the booking action AI Assist suggests
+ * (generateBookingAiAssist → suggestedAction: RESCHEDULE, CANCEL, CHANGE_PICKUP).
+ *
+ * One approval runs every step staff used to do by hand:
+ *   1. booking:      load the booking from Bokun
+ *   2. policy:       check the action against the booking policies
+ *                    (utils/booking_policy.js: 24-hour rule, courtesy
+ *                    reschedules are final, pickup changes up to 2 hours before)
+ *   3. availability: live seats on the new date / the pickup place exists
+ *   4. bokun:        make the change (ActivityChangeDateAction, cancel-booking,
+ *                    ActivityPickupAction)
+ *   5. reply:        send the approved reply in the conversation
+ *   6. link:         booking_actions entry, linked to the customer's message,
+ *                    the reply and the conversation
+ *
+ * If the reply can't be sent the Bokun change is reverted (old date or pickup
+ * put back). A cancellation can't be undone; staff are told to send the reply
+ * themselves instead. The channel triggers send the reply after the run, so a
+ * reply that fails there (or a failed WhatsApp receipt) is handled the same
+ * way by onAiActionReplyWritten, which also alerts admins. Policy
+ * violations stop the run before anything changes;
+ * the ones marked overridable can be approved anyway with overridePolicy and
+ * an overrideReason.
+ *
+ * Collections:
+ * - ai_action_executions/{executionId}: one per approval
+ *   { action, status: running|blocked|failed|rolled_back|completed, steps: [{ step, status, detail, at }],
+ *     change (what the Bokun step changed), replyFailure?, ... }
+ * - booking_actions: the change, with source 'ai_assist', executionId and the
+ *   policyRule that allowed it (an overridden reschedule is stored as a courtesy)
+ * - ai_assist_logs/{assistLogId}: status executing|executed|failed, executionId
+ *   (never left 'executing': an unexpected error marks it failed)
+ *
+ * Functions:
+ * - approveAndExecuteAiAction (callable, staff; overridePolicy needs an admin):
+ *   { conversationId, action, reply?, assistLogId?, messageId?, sendReply?, overridePolicy?, overrideReason? }
+ * - onAiActionReplyWritten (trigger): the reply failed after the run → roll back, alert admins
+ */
+const { onCall } = require('firebase-functions/v2/https');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+const { sendNotificationToAdminsOnly } = require('../utils/notifications');
+const {
+    bokunRequest,
+    searchBokunBookingById,
+    searchBokunByConfirmationCode,
+    getAvailabilities,
+    getPickupPlaces,
+} = require('../utils/bokun_client');
+const { getPrimaryProductBooking, getBookingDate } = require('../utils/bokun_booking');
+const { buildPolicyContext, evaluatePolicy, isPermitted, loadPolicyFacts } = require('../utils/booking_policy');
+const { requireAdmin, requireStaff } = require('../utils/staff');
+const { pickRebookingNights } = require('./rebooking_offers');
+const { createOutboundMessage } = require('./inbox_core');
+
+const EXECUTABLE_ACTIONS = ['RESCHEDULE', 'CANCEL', 'CHANGE_PICKUP'];
+const BOOKING_ACTION_NAMES = {
+    RESCHEDULE: 'reschedule',
+    CANCEL: 'cancel',
+    CHANGE_PICKUP: 'update_pickup',
+};
+
+// ============================================
+// POLICY (pure)
+// ============================================
+
+const POLICY_ACTIONS = {
+    RESCHEDULE: 'reschedule',
+    CANCEL: 'cancel',
+    CHANGE_PICKUP: 'change_pickup',
+};
+
+/**
+ * Check an action against the booking policies (utils/booking_policy.js).
+ * facts: { now, tourOff, courtesyRescheduled } (see loadPolicyFacts)
+ * @returns {{ allowed: boolean, decision: object, violations: Array<{rule, message, overridable}> }}
+ */
+function checkActionPolicy(action, booking, facts = {}) {
+    const decision = evaluatePolicy(POLICY_ACTIONS[action.type], buildPolicyContext(booking, {
+        ...facts,
+        ...(action.type === 'RESCHEDULE' ? { newDate: action.params?.newDate || null } : {}),
+    }));
+    return {
+        allowed: decision.allowed,
+        decision,
+        violations: decision.allowed ? [] : [{ rule: decision.rule, message: decision.message, overridable: decision.overridable }],
+    };
+}
+
+/**
+ * Whether a policy check may go ahead: allowed, or staff overrode an
+ * overridable rule (with a reason)
+ */
+function canProceed(policy, { overridePolicy = false, overrideReason = '' } = {}) {
+    return isPermitted(policy.decision, {
+        override: Boolean(overridePolicy) && Boolean(String(overrideReason || '').trim()),
+    });
+}
+
+/**
+ * Validate the action staff approved; returns an error message or null
+ */
+function validateAction(action) {
+    if (!action || typeof action !== 'object') return 'action is required';
+    if (!EXECUTABLE_ACTIONS.includes(action.type)) {
+        return `Only ${EXECUTABLE_ACTIONS.join(', ')} can be executed (got ${action.type || 'none'})`;
+    }
+    if (!action.bookingId && !action.confirmationCode) return 'action needs a bookingId or confirmationCode';
+    if (action.type === 'RESCHEDULE' && !action.params?.newDate) return 'action needs params.newDate';
+    if (action.type === 'CHANGE_PICKUP' && !action.params?.pickupPlaceId) {
+        return 'No pickup place ID in the action; pick the place by hand';
+    }
+    return null;
+}
+
+function participantCount(booking) {
+    const pb = getPrimaryProductBooking(booking) || {};
+    return Number(pb.totalParticipants || pb.totalPax || booking.totalParticipants) || 1;
+}
+
+function pickupPlaceIdOf(pb) {
+    const id = pb?.pickupPlace?.id ?? pb?.fields?.pickupPlace?.id ?? pb?.pickupPlaceId;
+    return id !== undefined && id !== null ? String(id) : null;
+}
+
+function step(name, status, detail = null) {
+    return { step: name, status, detail, at: new Date().toISOString() };
+}
+
+/**
+ * Whether an AI action's reply failed in its channel: the send trigger
+ * marked it failed, or WhatsApp reported it failed later
+ */
+function isReplyDeliveryFailed(message) {
+    if (!message?.bookingAction?.executionId || message.direction !== 'outbound') return false;
+    return message.status === 'failed' || message.channelMetadata?.whatsapp?.deliveryStatus === 'failed';
+}
+
+// ============================================
+// BOKUN
+// ============================================
+
+function bokunCredentials() {
+    return { accessKey: process.env.BOKUN_ACCESS_KEY, secretKey: process.env.BOKUN_SECRET_KEY };
+}
+
+/**
+ * The booking the action is about: by confirmation code, then by ID, then the
+ * full booking (search results can miss the pickup place)
+ */
+async function loadBooking(action) {
+    const { accessKey, secretKey } = bokunCredentials();
+    let booking = null;
+    if (action.confirmationCode) {
+        booking = await searchBokunByConfirmationCode(action.confirmationCode, accessKey, secretKey);
+    }
+    if (!booking && action.bookingId) {
+        booking = await searchBokunBookingById(action.bookingId, accessKey, secretKey);
+    }
+    if (!booking) return null;
+
+    try {
+        const full = await bokunRequest('GET', `/booking.json/${booking.id}`, null, { accessKey, secretKey });
+        if (full?.id) return full;
+    } catch (error) {
+        console.log(`⚠️ Full booking fetch failed for ${booking.id}: ${error.message}`);
+    }
+    return booking;
+}
+
+/**
+ * Live check before the change: a departure with enough seats on the new
+ * date, or the pickup place on the product. Returns { ok, detail, slot? }
+ */
+async function checkAvailability(action, booking) {
+    const pb = getPrimaryProductBooking(booking);
+    const productId = pb?.product?.id;
+    if (!productId) return { ok: false, detail: 'The booking has no product' };
+
+    if (action.type === 'RESCHEDULE') {
+        const newDate = action.params.newDate;
+        const pax = participantCount(booking);
+        const slots = await getAvailabilities(productId, newDate, newDate, bokunCredentials());
+        const [slot] = pickRebookingNights(slots, pax, { maxNights: 1 }).filter(night => night.date === newDate);
+        if (!slot) return { ok: false, detail: `No departure with ${pax} free seat${pax === 1 ? '' : 's'} on ${newDate}` };
+        return { ok: true, detail: `${slot.seats ?? 'Unlimited'} seats on ${newDate}`, slot };
+    }
+
+    if (action.type === 'CHANGE_PICKUP') {
+        const places = await getPickupPlaces(productId, bokunCredentials());
+        const place = places.find(p => String(p.id) === String(action.params.pickupPlaceId));
+        if (!place) return { ok: false, detail: `Pickup place ${action.params.pickupPlaceId} is not offered for this tour` };
+        return { ok: true, detail: place.title || place.name || String(place.id) };
+    }
+
+    return { ok: true, detail: 'Nothing to check' };
+}
+
+/**
+ * Make the change in Bokun. Returns what is needed to log and revert it.
+ */
+async function applyBokunChange(action, booking, reason) {
+    const credentials = bokunCredentials();
+    const pb = getPrimaryProductBooking(booking);
+
+    if (action.type === 'RESCHEDULE') {
+        const startTimeId = action.slot?.startTimeId || pb.startTimeId;
+        await bokunRequest('POST', '/booking.json/edit', [{
+            type: 'ActivityChangeDateAction',
+            activityBookingId: parseInt(pb.id),
+            date: action.params.newDate,
+            ...(startTimeId && { startTimeId: parseInt(startTimeId) }),
+        }], credentials);
+        return {
+            originalData: { date: getBookingDate(booking), startTimeId: pb.startTimeId ?? null },
+            newData: { date: action.params.newDate, startTimeId: startTimeId || null },
+        };
+    }
+
+    if (action.type === 'CANCEL') {
+        await bokunRequest('POST', `/booking.json/cancel-booking/${booking.confirmationCode}`,
+            { note: reason, notify: true }, credentials);
+        return {
+            originalData: { date: getBookingDate(booking), status: booking.status || null },
+            newData: { status: 'CANCELLED' },
+        };
+    }
+
+    const pickupPlaceTitle = action.params.pickupPlaceTitle || action.params.newPickupLocation || '';
+    await bokunRequest('POST', '/booking.json/edit', [{
+        type: 'ActivityPickupAction',
+        activityBookingId: parseInt(pb.id),
+        pickup: true,
+        pickupPlaceId: parseInt(action.params.pickupPlaceId),
+        description: pickupPlaceTitle,
+    }], credentials);
+    return {
+        originalData: { pickupPlaceId: pickupPlaceIdOf(pb), pickupPlaceName: pb.pickupPlace?.title || null },
+        newData: { pickupPlaceId: String(action.params.pickupPlaceId), pickupPlaceName: pickupPlaceTitle },
+    };
+}
+
+/**
+ * Undo applyBokunChange. Returns { ok, detail }.
+ */
+async function revertBokunChange(action, booking, change) {
+    const credentials = bokunCredentials();
+    const pb = getPrimaryProductBooking(booking);
+
+    if (action.type === 'RESCHEDULE') {
+        const { date, startTimeId } = change.originalData;
+        await bokunRequest('POST', '/booking.json/edit', [{
+            type: 'ActivityChangeDateAction',
+            activityBookingId: parseInt(pb.id),
+            date,
+            ...(startTimeId && { startTimeId: parseInt(startTimeId) }),
+        }], credentials);
+        return { ok: true, detail: `Moved back to ${date}` };
+    }
+
+    if (action.type === 'CHANGE_PICKUP' && change.originalData.pickupPlaceId) {
+        await bokunRequest('POST', '/booking.json/edit', [{
+            type: 'ActivityPickupAction',
+            activityBookingId: parseInt(pb.id),
+            pickup: true,
+            pickupPlaceId: parseInt(change.originalData.pickupPlaceId),
+            description: change.originalData.pickupPlaceName || '',
+        }], credentials);
+        return { ok: true, detail: `Pickup put back to ${change.originalData.pickupPlaceName || change.originalData.pickupPlaceId}` };
+    }
+
+    return {
+        ok: false,
+        detail: action.type === 'CANCEL' ?
+            'A cancellation cannot be undone in Bokun' :
+            'The booking had no pickup place before; set it back in Bokun by hand',
+    };
+}
+
+// ============================================
+// REPLY FAILURES
+// ============================================
+
+/**
+ * Undo an executed action whose reply failed in its channel, and alert admins
+ * @returns {Promise<{status, error}>}
+ */
+async function rollbackAfterReplyFailure(executionRef) {
+    const execution = (await executionRef.get()).data();
+    const { action, change, replyFailure } = execution;
+
+    let rollback;
+    try {
+        const booking = change ? await loadBooking(action) : null;
+        rollback = booking ? await revertBokunChange(action, booking, change) :
+            { ok: false, detail: change ? 'Booking not found in Bokun' : 'No Bokun change recorded' };
+    } catch (error) {
+        rollback = { ok: false, detail: error.message };
+    }
+
+    const status = rollback.ok ? 'rolled_back' : 'failed';
+    const error = rollback.ok ?
+        `The reply could not be delivered (${replyFailure.error}); the booking change was undone.` :
+        `The reply could not be delivered (${replyFailure.error}) and the booking change could not be undone (${rollback.detail}). The booking IS changed in Bokun: reply to the customer by hand.`;
+    await executionRef.update({
+        status,
+        error,
+        steps: admin.firestore.FieldValue.arrayUnion(
+            step('delivery', 'failed', replyFailure.error),
+            step('rollback', rollback.ok ? 'rolled_back' : 'failed', rollback.detail)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const bookingActions = await db.collection('booking_actions').where('executionId', '==', executionRef.id).get();
+    await Promise.all(bookingActions.docs.map(doc =>
+        doc.ref.update({ success: !rollback.ok, rolledBack: rollback.ok, replyFailed: true })));
+    if (execution.assistLogId) {
+        await db.collection('ai_assist_logs').doc(execution.assistLogId).update({ status: 'failed' });
+    }
+
+    await sendNotificationToAdminsOnly(
+        rollback.ok ? '⚠️ AI action undone: reply not delivered' : '🚨 AI action reply not delivered',
+        `${action.type} ${action.confirmationCode || action.bookingId || ''}: ${error}`,
+        { type: 'ai_action_reply_failed', executionId: executionRef.id, conversationId: execution.conversationId || '' }
+    );
+    console.log(`🤖 AI action ${action.type} ${action.confirmationCode || action.bookingId}: reply failed, ${status}`);
+    return { status, error };
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Approve the action AI Assist suggested and carry it out end to end
+ */
+const approveAndExecuteAiAction = onCall(
+    {
+        region: 'us-central1',
+        timeoutSeconds: 120,
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (request) => {
+        // Changes the booking in Bokun and messages the customer
+        if (request.data?.overridePolicy) {
+            await requireAdmin(request, 'override booking policies');
+        } else {
+            await requireStaff(request, 'approve AI actions');
+        }
+
+        const {
+            conversationId,
+            assistLogId,
+            messageId,
+            sendReply = true,
+            overridePolicy = false,
+            overrideReason = '',
+        } = request.data || {};
+        let { action, reply } = request.data || {};
+        const uid = request.auth.uid;
+
+        if (!conversationId) {
+            throw new Error('conversationId is required');
+        }
+
+        const convDoc = await db.collection('conversations').doc(conversationId).get();
+        if (!convDoc.exists) {
+            throw new Error('Conversation not found');
+        }
+        const conversation = convDoc.data();
+
+        // Lock the AI Assist suggestion so it is executed once
+        const logRef = assistLogId ? db.collection('ai_assist_logs').doc(assistLogId) : null;
+        if (logRef) {
+            const log = await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(logRef);
+                if (!doc.exists) throw new Error('AI Assist log not found');
+                if (['executing', 'executed'].includes(doc.data().status)) {
+                    throw new Error(`This suggestion is already ${doc.data().status}`);
+                }
+                transaction.update(logRef, { status: 'executing' });
+                return doc.data();
+            });
+            action = action || log.suggestedAction;
+            reply = reply ?? log.suggestedReply;
+        }
+
+        // Set once the log is unlocked; the steps below `return await finish()` so
+        // the finally sees it
+        let executionRef = null;
+        let released = false;
+        try {
+            const invalid = validateAction(action);
+            if (invalid) {
+                if (logRef) await logRef.update({ status: 'pending' });
+                released = true;
+                throw new Error(invalid);
+            }
+
+            executionRef = db.collection('ai_action_executions').doc();
+            const steps = [];
+            const execution = {
+                conversationId,
+                messageId: messageId || null,
+                assistLogId: assistLogId || null,
+                action,
+                reply: sendReply ? reply || null : null,
+                status: 'running',
+                steps,
+                approvedBy: uid,
+                approvedByName: request.auth.token?.name || null,
+                overridePolicy: Boolean(overridePolicy),
+                overrideReason: overrideReason || null,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            };
+            await executionRef.set(execution);
+
+            const record = async (entry, fields = {}) => {
+                steps.push(entry);
+                await executionRef.update({ steps, ...fields, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            };
+
+            const finish = async (status, fields = {}) => {
+                // A reply that already failed in its channel trigger was left for this run to roll back
+                const replyFailed = await db.runTransaction(async (transaction) => {
+                    const doc = await transaction.get(executionRef);
+                    if (status === 'completed' && doc.data().replyFailure) return true;
+                    transaction.update(executionRef, {
+                        status,
+                        ...fields,
+                        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+                        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    });
+                    return false;
+                });
+                if (replyFailed) {
+                    released = true;
+                    const result = await rollbackAfterReplyFailure(executionRef);
+                    return { success: false, executionId: executionRef.id, ...result };
+                }
+                if (logRef) {
+                    await logRef.update({
+                        status: status === 'completed' ? 'executed' : 'failed',
+                        executionId: executionRef.id,
+                        executedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    });
+                }
+                released = true;
+                console.log(`🤖 AI action ${action.type} ${action.confirmationCode || action.bookingId}: ${status}`);
+                return { success: status === 'completed', executionId: executionRef.id, status, steps, ...fields };
+            };
+
+            // 1. Booking
+            let booking;
+            try {
+                booking = await loadBooking(action);
+            } catch (error) {
+                await record(step('booking', 'failed', error.message));
+                return await finish('failed', { error: `Could not load the booking from Bokun: ${error.message}` });
+            }
+            if (!booking) {
+                await record(step('booking', 'failed', 'Not found in Bokun'));
+                return await finish('failed', { error: `Booking ${action.confirmationCode || action.bookingId} not found in Bokun` });
+            }
+            const confirmationCode = booking.confirmationCode || action.confirmationCode || '';
+            const customerName = `${booking.customer?.firstName || ''} ${booking.customer?.lastName || ''}`.trim();
+            await record(step('booking', 'ok', `${confirmationCode} on ${getBookingDate(booking) || 'unknown date'}`));
+
+            // 2. Policy
+            let facts;
+            try {
+                facts = await loadPolicyFacts({ ...booking, confirmationCode });
+            } catch (error) {
+                await record(step('policy', 'failed', error.message));
+                return await finish('failed', { error: `Could not check the booking policies: ${error.message}` });
+            }
+            const policy = checkActionPolicy(action, booking, facts);
+            if (!canProceed(policy, { overridePolicy, overrideReason })) {
+                await record(step('policy', 'failed', policy.violations.map(v => v.rule).join(', ')), { violations: policy.violations });
+                return await finish('blocked', {
+                    violations: policy.violations,
+                    error: policy.violations.map(v => v.message).join(' '),
+                });
+            }
+            await record(step('policy', 'ok', policy.allowed ? policy.decision.rule : `Overridden: ${policy.decision.rule}`),
+                { violations: policy.violations, policyRule: policy.decision.rule });
+
+            // 3. Availability
+            try {
+                const availability = await checkAvailability(action, booking);
+                if (!availability.ok) {
+                    await record(step('availability', 'failed', availability.detail));
+                    return await finish('failed', { error: availability.detail });
+                }
+                action = { ...action, slot: availability.slot || null };
+                await record(step('availability', 'ok', availability.detail));
+            } catch (error) {
+                await record(step('availability', 'failed', error.message));
+                return await finish('failed', { error: `Could not check availability: ${error.message}` });
+            }
+
+            // 4. Bokun change
+            const reason = action.params?.cancelReason || action.humanReadableDescription || 'Approved AI Assist action';
+            let change;
+            try {
+                change = await applyBokunChange(action, booking, reason);
+                await record(step('bokun', 'ok', action.humanReadableDescription || action.type), { change, action });
+            } catch (error) {
+                await record(step('bokun', 'failed', error.message));
+                return await finish('failed', { error: `Bokun refused the change, nothing was changed: ${error.message}` });
+            }
+
+            const bookingAction = {
+                executionId: executionRef.id,
+                type: action.type,
+                confirmationCode,
+                description: action.humanReadableDescription || null,
+            };
+
+            // 5. Reply
+            let replyMessageId = null;
+            if (sendReply && reply) {
+                try {
+                    const customerDoc = await db.collection('customers').doc(conversation.customerId).get();
+                    replyMessageId = await createOutboundMessage(convDoc.ref, conversation, customerDoc.data() || {}, {
+                        content: reply,
+                        handledBy: uid,
+                        fields: { bookingAction, aiAssistLogId: assistLogId || null },
+                    });
+                    await record(step('reply', 'ok', replyMessageId));
+                } catch (error) {
+                    await record(step('reply', 'failed', error.message));
+                    let rollback;
+                    try {
+                        rollback = await revertBokunChange(action, booking, change);
+                    } catch (revertError) {
+                        rollback = { ok: false, detail: revertError.message };
+                    }
+                    await record(step('rollback', rollback.ok ? 'rolled_back' : 'failed', rollback.detail));
+
+                    await db.collection('booking_actions').add({
+                        bookingId: String(booking.id),
+                        confirmationCode,
+                        customerName,
+                        action: BOOKING_ACTION_NAMES[action.type],
+                        performedBy: uid,
+                        performedAt: admin.firestore.FieldValue.serverTimestamp(),
+                        reason,
+                        ...change,
+                        success: !rollback.ok,
+                        rolledBack: rollback.ok,
+                        source: 'ai_assist',
+                        executionId: executionRef.id,
+                        conversationId,
+                    });
+
+                    return await finish(rollback.ok ? 'rolled_back' : 'failed', {
+                        error: rollback.ok ?
+                            `The reply could not be sent (${error.message}); the booking change was undone.` :
+                            `The reply could not be sent (${error.message}) and the booking change could not be undone (${rollback.detail}). The booking IS changed in Bokun: reply to the customer by hand.`,
+                    });
+                }
+            } else {
+                await record(step('reply', 'skipped', 'No reply to send'));
+            }
+
+            // 6. Link
+            let bookingActionId = null;
+            try {
+                const actionRef = await db.collection('booking_actions').add({
+                    bookingId: String(booking.id),
+                    confirmationCode,
+                    customerName,
+                    action: BOOKING_ACTION_NAMES[action.type],
+                    performedBy: uid,
+                    performedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    reason,
+                    ...change,
+                    success: true,
+                    source: 'ai_assist',
+                    executionId: executionRef.id,
+                    conversationId,
+                    messageId: messageId || null,
+                    replyMessageId,
+                    policyRule: policy.decision.rule,
+                    refundable: policy.decision.refundable ?? null,
+                    // An overridden reschedule is a courtesy and becomes final
+                    courtesy: action.type === 'RESCHEDULE' && !policy.allowed,
+                    policyOverride: policy.allowed ? null : { reason: overrideReason, rule: policy.decision.rule },
+                });
+                bookingActionId = actionRef.id;
+
+                const linked = { ...bookingAction, bookingActionId };
+                const updates = [
+                    convDoc.ref.update({
+                        bookingIds: admin.firestore.FieldValue.arrayUnion(confirmationCode),
+                        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    }),
+                ];
+                if (messageId) {
+                    updates.push(db.collection('messages').doc(messageId).update({ bookingAction: linked }));
+                }
+                if (replyMessageId) {
+                    updates.push(db.collection('messages').doc(replyMessageId).update({ bookingAction: linked }));
+                }
+                await Promise.all(updates);
+                await record(step('link', 'ok', bookingActionId));
+            } catch (error) {
+                // The change and the reply went through; only the bookkeeping is missing
+                await record(step('link', 'failed', error.message));
+            }
+
+            return await finish('completed', { bookingActionId, replyMessageId });
+        } finally {
+            // An unexpected error must not leave the suggestion locked as 'executing'
+            if (!released) {
+                const failed = { status: 'failed', error: 'The run stopped unexpectedly', updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+                await Promise.all([
+                    executionRef ? executionRef.update(failed) : null,
+                    logRef ? logRef.update({ status: 'failed', executionId: executionRef?.id || null }) : null,
+                ]).catch(error => console.error('❌ Could not release the AI action:', error.message));
+            }
+        }
+    }
+);
+
+/**
+ * An AI action's reply failed in its channel after the run: roll the booking
+ * change back (or leave it to the run if it is still going) and alert admins
+ */
+const onAiActionReplyWritten = onDocumentWritten(
+    {
+        document: 'messages/{messageId}',
+        region: 'us-central1',
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (event) => {
+        const before = event.data?.before?.exists ? event.data.before.data() : null;
+        const after = event.data?.after?.exists ? event.data.after.data() : null;
+        if (!isReplyDeliveryFailed(after) || isReplyDeliveryFailed(before)) return;
+
+        const executionRef = db.collection('ai_action_executions').doc(after.bookingAction.executionId);
+        const handleNow = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(executionRef);
+            // Only a run that sent the reply (or is still sending it) has anything to undo
+            if (!doc.exists || doc.data().replyFailure || !['running', 'completed'].includes(doc.data().status)) return false;
+            transaction.update(executionRef, {
+                replyFailure: {
+                    messageId: event.params.messageId,
+                    error: after.error || after.channelMetadata?.whatsapp?.deliveryError || 'Delivery failed',
+                    at: new Date().toISOString(),
+                },
+            });
+            return doc.data().status === 'completed';
+        });
+        if (handleNow) await rollbackAfterReplyFailure(executionRef);
+    }
+);
+
+module.exports = {
+    approveAndExecuteAiAction,
+    onAiActionReplyWritten,
+    // Exported for testing
+    checkActionPolicy,
+    canProceed,
+    validateAction,
+    isReplyDeliveryFailed,
+};
@@ -1,13 +1,41 @@
 /**
  * AI Assist Module
  * Handles AI-powered draft responses and booking context
+ *
+ * Drafts are tracked in ai_feedback.js: what staff sent, acceptance per
+ * intent (the confidence shown on drafts) and the few-shot examples in the
+ * prompts. Prompts are built by pure functions so scripts/eval_ai_assist.js
+ * can replay past messages through them with a stubbed model client.
  */
 const { onCall } = require('firebase-functions/v2/https');
 const { onDocumentCreated } = require('firebase-functions/v2/firestore');
-const crypto = require('crypto');
-const https = require('https');
 const { admin, db } = require('../utils/firebase');
 const { AI_SYSTEM_PROMPT } = require('../config');
+const { toAiCacheBooking } = require('../utils/bokun_booking');
+const {
+    bokunRequest,
+    searchBookings,
+    searchBokunBookingById,
+    searchBokunBookingsByEmail,
+    getPickupPlaces,
+} = require('../utils/bokun_client');
+const { resolveCustomerId, formatCustomerHistory } = require('./customer_profiles');
+const { evaluateBookingPolicies, describeDecisions, loadPolicyFacts } = require('../utils/booking_policy');
+const {
+    normalizeIntent,
+    recordDraft,
+    loadDraftStats,
+    loadFewShotExamples,
+    confidenceForIntent,
+    formatFewShotExamples,
+} = require('./ai_feedback');
+
+// Channels that get an automatic AI draft on every inbound message
+const AUTO_DRAFT_CHANNELS = ['sms'];
+const AUTO_DRAFT_HISTORY_LIMIT = 10;
+const AI_MODEL = 'claude-sonnet-4-20250514';
+const AI_MAX_TOKENS = 1024;
+const FALLBACK_CONFIDENCE = 0.5;
 
 // ============================================
 // HELPER FUNCTIONS
@@ -25,14 +53,87 @@ async function getBookingContextForAi(bookingNumbers) {
 }
 
 /**
- * Generate draft with Claude
+ * Inbound messages that get an automatic AI draft
+ */
+function shouldAutoDraft(messageData) {
+    return Boolean(messageData) &&
+        messageData.direction === 'inbound' &&
+        AUTO_DRAFT_CHANNELS.includes(messageData.channel) &&
+        Boolean(messageData.content) &&
+        !messageData.aiDraft;
+}
+
+/**
+ * A booking matched to an inbound SMS (sms_inbox.js), shaped for buildBookingContext
  */
-async function generateDraftWithClaude({ message, customer, bookingContext, conversationHistory }) {
+function toDraftBookingContext(match) {
+    return {
+        id: match.bookingId,
+        confirmationCode: match.confirmationCode,
+        customerFullName: match.customerName,
+        startDate: match.date,
+        startTime: match.departureTime,
+        pickupPlaceName: match.pickupPlaceName,
+        matchReason: match.tourStatus ? `Phone number; we texted them the tour is ${match.tourStatus}` : 'Phone number',
+    };
+}
+
+/**
+ * Booking history summary of the person behind a conversation (their merged
+ * profile, see customer_profiles.js); null when unknown
+ */
+async function getCustomerHistoryForConversation(conversation) {
+    try {
+        const profileId = conversation ? await resolveCustomerId(conversation.customerId) : null;
+        if (!profileId) return null;
+        const profileDoc = await db.collection('customers').doc(profileId).get();
+        return formatCustomerHistory(profileDoc.data()?.bookingHistory);
+    } catch (error) {
+        console.log(`⚠️ Could not load customer history: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Model client: complete({ system?, prompt }) resolves to the reply text.
+ * The eval script passes a stub with the same shape.
+ */
+function createModelClient() {
     const Anthropic = require('@anthropic-ai/sdk').default;
     const anthropic = new Anthropic({
         apiKey: process.env.ANTHROPIC_API_KEY,
     });
+    return {
+        async complete({ system, prompt }) {
+            const response = await anthropic.messages.create({
+                model: AI_MODEL,
+                max_tokens: AI_MAX_TOKENS,
+                messages: [{ role: 'user', content: prompt }],
+                ...(system && { system }),
+            });
+            return response.content[0].text;
+        },
+    };
+}
+
+/**
+ * The first JSON object in a model reply (Claude sometimes wraps it in a
+ * markdown code block); null when there is none
+ */
+function extractJson(text) {
+    const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+    try {
+        return JSON.parse(jsonMatch[0]);
+    } catch (error) {
+        return null;
+    }
+}
 
+/**
+ * Prompt for the automatic draft (generateAiDraft)
+ */
+function buildDraftPrompt({ message, customer, bookingContext, conversationHistory, channel, examples = [] }) {
     let prompt = `You are Aurora Viking Staff AI assistant. Generate a helpful, professional draft response.
 
 Customer: ${customer?.name || 'Unknown'}
@@ -44,6 +145,11 @@ Email: ${customer?.email || 'Unknown'}
         prompt += `Booking Context:\n${bookingContext}\n\n`;
     }
 
+    const customerHistory = formatCustomerHistory(customer?.bookingHistory);
+    if (customerHistory) {
+        prompt += `Customer History (all bookings):\n${customerHistory}\n\n`;
+    }
+
     if (conversationHistory && conversationHistory.length > 0) {
         prompt += `Conversation History:\n`;
         for (const msg of conversationHistory) {
@@ -52,17 +158,51 @@ Email: ${customer?.email || 'Unknown'}
         }
     }
 
+    const fewShot = formatFewShotExamples(examples);
+    if (fewShot) {
+        prompt += `${fewShot}\n`;
+    }
+
     prompt += `\nLatest Customer Message:\n${message}\n\nGenerate a draft response. Be helpful, professional, and friendly.`;
 
-    const response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
-        messages: [{ role: 'user', content: prompt }],
-    });
+    if (channel === 'sms') {
+        prompt += ' This is an SMS: plain text, no greeting line or signature block, under 320 characters.';
+    }
+
+    prompt += `\n\nAnswer in JSON: {"reply": "the draft response", "intent": "RESCHEDULE|CANCEL|CHANGE_PICKUP|INFO_ONLY (what the customer wants)", "confidence": 0.0 to 1.0}`;
+    return prompt;
+}
+
+/**
+ * { content, intent, modelConfidence } from a draft reply; a reply that is
+ * not JSON is used as the draft text
+ */
+function parseDraftResponse(text) {
+    const parsed = extractJson(text);
+    if (!parsed || typeof parsed.reply !== 'string') {
+        return { content: String(text || '').trim(), intent: normalizeIntent(null), modelConfidence: FALLBACK_CONFIDENCE };
+    }
+    return {
+        content: parsed.reply.trim(),
+        intent: normalizeIntent(parsed.intent),
+        modelConfidence: typeof parsed.confidence === 'number' ? parsed.confidence : FALLBACK_CONFIDENCE,
+    };
+}
+
+/**
+ * Generate draft with Claude
+ * stats (ai_draft_stats/current) turn the intent into a confidence;
+ * examples are few-shot replies staff approved before
+ */
+async function generateDraftWithClaude({ message, customer, bookingContext, conversationHistory, channel, examples = [], stats = null, modelClient = createModelClient() }) {
+    const prompt = buildDraftPrompt({ message, customer, bookingContext, conversationHistory, channel, examples });
+    const draft = parseDraftResponse(await modelClient.complete({ prompt }));
 
     return {
-        content: response.content[0].text,
-        confidence: 0.8,
+        content: draft.content,
+        intent: draft.intent,
+        confidence: confidenceForIntent(stats, draft.intent, draft.modelConfidence) ?? FALLBACK_CONFIDENCE,
+        modelConfidence: draft.modelConfidence,
         tone: 'professional',
         reasoning: 'Generated based on message content and context',
     };
@@ -83,6 +223,7 @@ async function findCustomerBookings({ email, name, bookingRefs }) {
     try {
         // Step 1: Check if we have a fresh AI booking cache (< 60 minutes old)
         let aiCacheBookings = [];
+        let staleBookings = [];
         const cacheDoc = await db.collection('ai_booking_cache').doc('current').get();
 
         if (cacheDoc.exists) {
@@ -96,13 +237,20 @@ async function findCustomerBookings({ email, name, bookingRefs }) {
                 console.log(`📋 Using AI cache (${cacheAgeMinutes.toFixed(1)} min old): ${aiCacheBookings.length} bookings`);
             } else {
                 console.log(`⏰ AI cache stale (${cacheAgeMinutes.toFixed(1)} min old), will refresh`);
+                staleBookings = cacheData.bookings || [];
             }
         }
 
         // Step 2: If cache is empty/stale, fetch from Bokun and update cache
         if (aiCacheBookings.length === 0 && accessKey && secretKey) {
             console.log('🔄 Refreshing AI booking cache from Bokun API...');
-            aiCacheBookings = await refreshAIBookingCache(accessKey, secretKey);
+            try {
+                aiCacheBookings = await refreshAIBookingCache(accessKey, secretKey);
+            } catch (refreshError) {
+                // Bokun down: a stale cache beats pretending the customer has no bookings
+                console.log(`⚠️ Failed to refresh AI booking cache (${refreshError.name}): ${refreshError.message}`);
+                aiCacheBookings = staleBookings;
+            }
         }
 
         if (aiCacheBookings.length === 0) {
@@ -358,252 +506,46 @@ async function findCustomerBookings({ email, name, bookingRefs }) {
 }
 
 /**
- * Refresh AI booking cache from Bokun API - fetches ALL bookings with pagination
+ * Refresh AI booking cache from Bokun API - fetches ALL bookings with pagination.
+ * Throws a BokunError when Bokun can't be reached, so callers don't mistake
+ * an outage for "no bookings".
  */
 async function refreshAIBookingCache(accessKey, secretKey) {
-    try {
-        const method = 'POST';
-        const path = '/booking.json/booking-search';
-
-        // Fetch bookings from -45 days to +60 days
-        const now = new Date();
-        const startDate = new Date(now);
-        startDate.setDate(startDate.getDate() - 45);
-        const endDate = new Date(now);
-        endDate.setDate(endDate.getDate() + 60);
-
-        const startDateStr = startDate.toISOString().split('T')[0];
-        const endDateStr = endDate.toISOString().split('T')[0];
-
-        console.log(`🔄 Fetching bookings from Bokun: ${startDateStr} to ${endDateStr}`);
-
-        let allBookings = [];
-        let offset = 0;
-        const pageSize = 50;
-        let hasMore = true;
-        let totalHits = 0;
-
-        while (hasMore) {
-            const bokunDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-            const message = bokunDate + accessKey + method + path;
-            const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
-
-            const requestBody = JSON.stringify({
-                productConfirmationDateRange: { from: startDateStr, to: endDateStr },
-                offset: offset,
-                limit: pageSize,
-            });
-
-            const pageResult = await new Promise((resolve) => {
-                const options = {
-                    hostname: 'api.bokun.io',
-                    path,
-                    method,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Content-Length': Buffer.byteLength(requestBody),
-                        'X-Bokun-AccessKey': accessKey,
-                        'X-Bokun-Date': bokunDate,
-                        'X-Bokun-Signature': signature,
-                    },
-                };
-
-                const req = https.request(options, (res) => {
-                    let data = '';
-                    res.on('data', chunk => data += chunk);
-                    res.on('end', () => {
-                        if (res.statusCode >= 200 && res.statusCode < 300) {
-                            try {
-                                const result = JSON.parse(data);
-                                resolve({ items: result.items || [], totalHits: result.totalHits || 0 });
-                            } catch (e) {
-                                resolve({ items: [], totalHits: 0 });
-                            }
-                        } else {
-                            console.log(`Bokun API error: ${res.statusCode}`);
-                            resolve({ items: [], totalHits: 0 });
-                        }
-                    });
-                });
-
-                req.on('error', () => resolve({ items: [], totalHits: 0 }));
-                req.write(requestBody);
-                req.end();
-            });
-
-            const items = pageResult.items;
-            allBookings = allBookings.concat(items);
-            totalHits = pageResult.totalHits || allBookings.length;
-
-            console.log(`📋 Fetched page ${Math.floor(offset / pageSize) + 1}: ${items.length} bookings (total: ${allBookings.length}/${totalHits})`);
-
-            offset += pageSize;
-            hasMore = items.length > 0 && allBookings.length < totalHits;
-
-            // Safety limit to stay within Firestore 1 MB document limit
-            if (allBookings.length >= 2000) {
-                console.log('⚠️ Reached 2000 bookings limit (Firestore size constraint), stopping');
-                hasMore = false;
-            }
-        }
-
-        console.log(`📋 Fetched ${allBookings.length} total bookings from Bokun`);
-
-        // Transform to AI cache format - SLIMMED DOWN to fit Firestore 1MB limit
-        const aiCacheBookings = allBookings.map(b => ({
-            id: b.id,
-            confirmationCode: b.confirmationCode || '',
-            externalBookingReference: b.externalBookingReference || '',
-            customerName: b.customer?.fullName || `${b.customer?.firstName || ''} ${b.customer?.lastName || ''}`.trim(),
-            customerFullName: `${b.customer?.firstName || ''} ${b.customer?.lastName || ''}`.trim(),
-            customerEmail: b.customer?.email || '',
-            productTitle: b.productBookings?.[0]?.product?.title || 'Northern Lights Tour',
-            productId: b.productBookings?.[0]?.product?.id || null,
-            productBookingId: b.productBookings?.[0]?.id || null,
-            startDate: b.productBookings?.[0]?.startDate || b.startDate,
-            totalParticipants: b.productBookings?.[0]?.totalParticipants || b.totalParticipants || 1,
-            status: b.productBookings?.[0]?.status || b.status || 'CONFIRMED',
-            pickupPlace: b.productBookings?.[0]?.pickupPlace?.title ||
-                b.productBookings?.[0]?.pickupPlace?.name ||
-                b.productBookings?.[0]?.fields?.pickupPlace?.title ||
-                b.productBookings?.[0]?.fields?.pickupPlaceDescription ||
-                '',
-            pickupPlaceId: b.productBookings?.[0]?.pickupPlace?.id ||
-                b.productBookings?.[0]?.fields?.pickupPlace?.id ||
-                null,
-        }));
-
-        // Save to Firestore
-        await db.collection('ai_booking_cache').doc('current').set({
-            bookings: aiCacheBookings,
-            cachedAt: new Date(),
-            count: aiCacheBookings.length,
-            dateRange: { from: startDateStr, to: endDateStr },
-        });
-
-        console.log(`💾 Saved ${aiCacheBookings.length} bookings to AI cache`);
-        return aiCacheBookings;
-
-    } catch (error) {
-        console.log('⚠️ Failed to refresh AI booking cache:', error.message);
-        return [];
-    }
-}
-
-/**
- * Search Bokun for booking by ID
- */
-async function searchBokunBookingById(bookingId, accessKey, secretKey) {
-    const method = 'POST';
-    const path = '/booking.json/booking-search';
-
-    const now = new Date();
-    const bokunDate = now.toISOString().replace('T', ' ').substring(0, 19);
-    const message = bokunDate + accessKey + method + path;
-    const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
-
-    const requestBody = JSON.stringify({ bookingId: parseInt(bookingId) });
-
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'api.bokun.io',
-            path,
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(requestBody),
-                'X-Bokun-AccessKey': accessKey,
-                'X-Bokun-Date': bokunDate,
-                'X-Bokun-Signature': signature,
-            },
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const result = JSON.parse(data);
-                        if (result.items && result.items.length > 0) {
-                            resolve(result.items[0]);
-                        } else {
-                            resolve(null);
-                        }
-                    } catch (e) {
-                        reject(new Error('Failed to parse Bokun response'));
-                    }
-                } else {
-                    reject(new Error(`Bokun API error: ${res.statusCode}`));
-                }
-            });
-        });
-
-        req.on('error', reject);
-        req.write(requestBody);
-        req.end();
-    });
-}
-
-/**
- * Search Bokun for bookings by customer email
- */
-async function searchBokunBookingsByEmail(email, accessKey, secretKey) {
-    const method = 'POST';
-    const path = '/booking.json/booking-search';
-
+    // Fetch bookings from -45 days to +60 days
     const now = new Date();
+    const startDate = new Date(now);
+    startDate.setDate(startDate.getDate() - 45);
     const endDate = new Date(now);
-    endDate.setDate(endDate.getDate() + 30);
+    endDate.setDate(endDate.getDate() + 60);
 
-    const startDateStr = now.toISOString().split('T')[0];
+    const startDateStr = startDate.toISOString().split('T')[0];
     const endDateStr = endDate.toISOString().split('T')[0];
 
-    const bokunDate = now.toISOString().replace('T', ' ').substring(0, 19);
-    const message = bokunDate + accessKey + method + path;
-    const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
+    console.log(`🔄 Fetching bookings from Bokun: ${startDateStr} to ${endDateStr}`);
 
-    const requestBody = JSON.stringify({
+    // Safety limit of 2000 bookings to stay within Firestore 1 MB document limit
+    const { items: allBookings, truncated } = await searchBookings({
         productConfirmationDateRange: { from: startDateStr, to: endDateStr },
-        customerEmail: email,
-        limit: 10,
-    });
+    }, { accessKey, secretKey, maxResults: 2000 });
+    if (truncated) {
+        console.log('⚠️ Reached 2000 bookings limit (Firestore size constraint), stopping');
+    }
 
-    return new Promise((resolve) => {
-        const options = {
-            hostname: 'api.bokun.io',
-            path,
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(requestBody),
-                'X-Bokun-AccessKey': accessKey,
-                'X-Bokun-Date': bokunDate,
-                'X-Bokun-Signature': signature,
-            },
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const result = JSON.parse(data);
-                        resolve(result.items || []);
-                    } catch (e) {
-                        resolve([]);
-                    }
-                } else {
-                    resolve([]);
-                }
-            });
-        });
+    console.log(`📋 Fetched ${allBookings.length} total bookings from Bokun`);
 
-        req.on('error', () => resolve([]));
-        req.write(requestBody);
-        req.end();
+    // Transform to AI cache format - SLIMMED DOWN to fit Firestore 1MB limit
+    const aiCacheBookings = allBookings.map(toAiCacheBooking);
+
+    // Save to Firestore
+    await db.collection('ai_booking_cache').doc('current').set({
+        bookings: aiCacheBookings,
+        cachedAt: new Date(),
+        count: aiCacheBookings.length,
+        dateRange: { from: startDateStr, to: endDateStr },
     });
+
+    console.log(`💾 Saved ${aiCacheBookings.length} bookings to AI cache`);
+    return aiCacheBookings;
 }
 
 /**
@@ -621,43 +563,7 @@ async function findPickupPlaceId(productId, pickupPlaceName) {
     try {
         console.log(`🔍 Looking up pickup place: "${pickupPlaceName}" for product ${productId}`);
 
-        const pickupPath = `/activity.json/${productId}/pickup-places`;
-        const pickupDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-        const pickupMessage = pickupDate + accessKey + 'GET' + pickupPath;
-        const pickupSignature = crypto.createHmac('sha1', secretKey).update(pickupMessage).digest('base64');
-
-        const pickupPlaces = await new Promise((resolve) => {
-            const options = {
-                hostname: 'api.bokun.io',
-                path: pickupPath,
-                method: 'GET',
-                headers: {
-                    'X-Bokun-AccessKey': accessKey,
-                    'X-Bokun-Date': pickupDate,
-                    'X-Bokun-Signature': pickupSignature,
-                },
-            };
-
-            const apiReq = https.request(options, (apiRes) => {
-                let data = '';
-                apiRes.on('data', (chunk) => { data += chunk; });
-                apiRes.on('end', () => {
-                    if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                        try {
-                            const parsed = JSON.parse(data);
-                            resolve(Array.isArray(parsed) ? parsed : parsed.pickupPlaces || parsed.pickupDropoffPlaces || []);
-                        } catch (e) {
-                            resolve([]);
-                        }
-                    } else {
-                        resolve([]);
-                    }
-                });
-            });
-
-            apiReq.on('error', () => resolve([]));
-            apiReq.end();
-        });
+        const pickupPlaces = await getPickupPlaces(productId, { accessKey, secretKey });
 
         console.log(`📍 Found ${pickupPlaces.length} pickup places for product`);
 
@@ -756,6 +662,7 @@ Booking ${index + 1}${booking.matchConfidence ? ` [${booking.matchConfidence} CO
 - Pickup Location: ${pickupPlace}${pickupPlaceId ? ` (ID: ${pickupPlaceId})` : ''}
 - Guests: ${booking.totalParticipants || booking.numberOfGuests || 1}
 - Status: ${booking.status || 'CONFIRMED'}
+- Policy: ${describeDecisions(evaluateBookingPolicies(booking, booking.policyFacts))}
 ${booking.matchReason ? `- Match Reason: ${booking.matchReason}` : ''}
 `;
     });
@@ -763,13 +670,58 @@ ${booking.matchReason ? `- Match Reason: ${booking.matchReason}` : ''}
     return context;
 }
 
+/**
+ * User message for AI Assist (AI_SYSTEM_PROMPT is the system prompt).
+ * now fixes "today" (Iceland time), so replays are repeatable.
+ */
+function buildAssistPrompt({ messageContent, customerName, customerEmail, customerHistory, bookingContext, examples = [], now = new Date() }) {
+    // Get today's date in Iceland timezone for the AI
+    const icelandDate = new Date(now.toLocaleString('en-US', { timeZone: 'Atlantic/Reykjavik' }));
+    const todayStr = icelandDate.toISOString().split('T')[0];
+    const dayOfWeek = icelandDate.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'Atlantic/Reykjavik' });
+    const fewShot = formatFewShotExamples(examples);
+
+    return `
+TODAY'S DATE: ${todayStr} (${dayOfWeek}) - Iceland Time
+IMPORTANT: Any reschedule date MUST be in the future (${todayStr} or later). Never suggest past dates.
+
+CUSTOMER MESSAGE:
+${messageContent}
+
+CUSTOMER INFO:
+- Name: ${customerName || 'Unknown'}
+- Email: ${customerEmail || 'Unknown'}
+${customerHistory ? `\nCUSTOMER HISTORY (all bookings, every channel):\n${customerHistory}\n` : ''}
+${bookingContext}
+${fewShot ? `\n${fewShot}` : ''}
+Please analyze this customer message and provide a suggested reply and action in JSON format.`;
+}
+
+/**
+ * Parse the AI Assist reply; a reply without JSON becomes an INFO_ONLY suggestion
+ */
+function parseAssistResponse(text) {
+    const parsed = extractJson(text);
+    if (parsed) return parsed;
+
+    console.error('Failed to parse AI response: no JSON found');
+    return {
+        suggestedReply: text,
+        suggestedAction: { type: 'INFO_ONLY' },
+        confidence: FALLBACK_CONFIDENCE,
+        reasoning: 'Could not parse structured response',
+    };
+}
+
 // ============================================
 // CLOUD FUNCTIONS
 // ============================================
 
 /**
  * Generate AI draft response when new inbound message is created
- * DEPRECATED: Now using on-demand generateBookingAiAssist instead
+ * Auto drafts run for inbound SMS only (short, and usually a reply to our
+ * ON/OFF message); other channels use on-demand generateBookingAiAssist to
+ * save on API tokens.
  */
 const generateAiDraft = onDocumentCreated(
     {
@@ -778,9 +730,77 @@ const generateAiDraft = onDocumentCreated(
         secrets: ['ANTHROPIC_API_KEY'],
     },
     async (event) => {
-        // DISABLED: Auto AI draft generation is disabled to save on API tokens
-        console.log('⏭️ Auto AI draft generation is disabled. Use generateBookingAiAssist instead.');
-        return null;
+        const snapshot = event.data;
+        if (!snapshot) return null;
+
+        const messageData = snapshot.data();
+        if (!shouldAutoDraft(messageData)) {
+            return null;
+        }
+
+        console.log(`🤖 Generating AI draft for ${messageData.channel} message ${event.params.messageId}`);
+
+        try {
+            const [customerDoc, historySnap, examples, stats] = await Promise.all([
+                db.collection('customers').doc(messageData.customerId).get(),
+                db.collection('messages')
+                    .where('conversationId', '==', messageData.conversationId)
+                    .orderBy('timestamp', 'desc')
+                    .limit(AUTO_DRAFT_HISTORY_LIMIT + 1)
+                    .get(),
+                loadFewShotExamples(messageData.channel),
+                loadDraftStats(),
+            ]);
+
+            const conversationHistory = historySnap.docs
+                .filter(doc => doc.id !== snapshot.id)
+                .slice(0, AUTO_DRAFT_HISTORY_LIMIT)
+                .map(doc => doc.data())
+                .reverse();
+
+            const matchedBookings = messageData.channelMetadata?.sms?.matchedBookings || [];
+            const bookingContext = matchedBookings.length > 0 ?
+                buildBookingContext(matchedBookings.map(toDraftBookingContext)) :
+                null;
+
+            const draft = await generateDraftWithClaude({
+                message: messageData.content,
+                customer: customerDoc.exists ? customerDoc.data() : null,
+                bookingContext,
+                conversationHistory,
+                channel: messageData.channel,
+                examples,
+                stats,
+            });
+
+            await snapshot.ref.update({
+                aiDraft: {
+                    content: draft.content,
+                    confidence: draft.confidence,
+                    intent: draft.intent,
+                    suggestedTone: draft.tone,
+                    generatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                },
+                status: 'draftReady',
+            });
+            await recordDraft(event.params.messageId, {
+                source: 'auto_draft',
+                conversationId: messageData.conversationId,
+                messageId: event.params.messageId,
+                channel: messageData.channel,
+                intent: draft.intent,
+                customerMessage: messageData.content,
+                draft: draft.content,
+                confidence: draft.confidence,
+                modelConfidence: draft.modelConfidence,
+            });
+            console.log(`✅ AI draft ready for message ${event.params.messageId}`);
+            return null;
+        } catch (error) {
+            // No draft is fine: staff can still answer or ask AI Assist
+            console.error(`❌ AI draft failed for message ${event.params.messageId}:`, error.message);
+            return null;
+        }
     }
 );
 
@@ -802,7 +822,7 @@ const generateBookingAiAssist = onCall(
             throw new Error('You must be logged in to use AI Assist');
         }
 
-        const { conversationId, messageContent, customerEmail, customerName, bookingRefs } = request.data;
+        const { conversationId, messageId, messageContent, customerEmail, customerName, bookingRefs } = request.data;
 
         if (!conversationId || !messageContent) {
             throw new Error('conversationId and messageContent are required');
@@ -862,64 +882,37 @@ const generateBookingAiAssist = onCall(
             });
             console.log(`📋 Found ${bookings.length} matching bookings`);
 
-            // Build context for AI
+            // Build context for AI, with what the booking policies allow for each booking
+            for (const booking of bookings) {
+                booking.policyFacts = await loadPolicyFacts(booking).catch(() => ({}));
+            }
             const bookingContext = buildBookingContext(bookings);
-
-            // Call Claude API with system prompt as separate parameter
-            const Anthropic = require('@anthropic-ai/sdk').default;
-            const anthropic = new Anthropic({
-                apiKey: process.env.ANTHROPIC_API_KEY,
+            const convDoc = await db.collection('conversations').doc(conversationId).get().catch(() => null);
+            const conversation = convDoc?.exists ? convDoc.data() : null;
+            const [customerHistory, examples, stats] = await Promise.all([
+                getCustomerHistoryForConversation(conversation),
+                loadFewShotExamples(conversation?.channel || null),
+                loadDraftStats(),
+            ]);
+
+            const userMessage = buildAssistPrompt({
+                messageContent,
+                customerName,
+                customerEmail,
+                customerHistory,
+                bookingContext,
+                examples,
             });
 
-            // Get today's date in Iceland timezone for the AI
-            const now = new Date();
-            const icelandDate = new Date(now.toLocaleString('en-US', { timeZone: 'Atlantic/Reykjavik' }));
-            const todayStr = icelandDate.toISOString().split('T')[0];
-            const dayOfWeek = icelandDate.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'Atlantic/Reykjavik' });
-
-            const userMessage = `
-TODAY'S DATE: ${todayStr} (${dayOfWeek}) - Iceland Time
-IMPORTANT: Any reschedule date MUST be in the future (${todayStr} or later). Never suggest past dates.
-
-CUSTOMER MESSAGE:
-${messageContent}
-
-CUSTOMER INFO:
-- Name: ${customerName || 'Unknown'}
-- Email: ${customerEmail || 'Unknown'}
-
-${bookingContext}
-
-Please analyze this customer message and provide a suggested reply and action in JSON format.`;
-
+            // Call Claude API with system prompt as separate parameter
             console.log('🤖 Calling Claude API...');
-            const response = await anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 1024,
-                messages: [{ role: 'user', content: userMessage }],
-                system: AI_SYSTEM_PROMPT,  // Use system parameter correctly
-            });
+            const responseText = await createModelClient().complete({ system: AI_SYSTEM_PROMPT, prompt: userMessage });
+            const aiResult = parseAssistResponse(responseText);
 
-            // Parse the response
-            let aiResult;
-            try {
-                const responseText = response.content[0].text;
-                // Extract JSON from response (Claude sometimes wraps in markdown code blocks)
-                const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    aiResult = JSON.parse(jsonMatch[0]);
-                } else {
-                    throw new Error('No JSON found in response');
-                }
-            } catch (parseError) {
-                console.error('Failed to parse AI response:', parseError);
-                aiResult = {
-                    suggestedReply: response.content[0].text,
-                    suggestedAction: { type: 'INFO_ONLY' },
-                    confidence: 0.5,
-                    reasoning: 'Could not parse structured response',
-                };
-            }
+            // Confidence comes from how often staff accepted drafts with this intent
+            const intent = normalizeIntent(aiResult.suggestedAction?.type);
+            aiResult.modelConfidence = aiResult.confidence ?? null;
+            aiResult.confidence = confidenceForIntent(stats, intent, aiResult.modelConfidence) ?? FALLBACK_CONFIDENCE;
 
             // Post-process booking actions to use correct booking IDs from our lookup
             // This is critical - the AI may extract incorrect IDs from messages, but we have the actual booking data
@@ -949,50 +942,8 @@ Please analyze this customer message and provide a suggested reply and action in
                             console.log(`🔍 Fetching real booking from Bokun using productBookingId ${correctProductBookingId}...`);
 
                             // Search for the booking that contains this productBookingId
-                            const bokunDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-                            const searchPath = '/booking.json/product-booking-search';
-                            const message = bokunDate + accessKey + 'POST' + searchPath;
-                            const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
-
-                            const searchResult = await new Promise((resolve) => {
-                                const searchBody = JSON.stringify({ id: parseInt(correctProductBookingId) });
-                                const options = {
-                                    hostname: 'api.bokun.io',
-                                    path: searchPath,
-                                    method: 'POST',
-                                    headers: {
-                                        'Content-Type': 'application/json',
-                                        'Content-Length': Buffer.byteLength(searchBody),
-                                        'X-Bokun-AccessKey': accessKey,
-                                        'X-Bokun-Date': bokunDate,
-                                        'X-Bokun-Signature': signature,
-                                    },
-                                };
-
-                                const req = https.request(options, (res) => {
-                                    let data = '';
-                                    res.on('data', chunk => data += chunk);
-                                    res.on('end', () => {
-                                        if (res.statusCode >= 200 && res.statusCode < 300) {
-                                            try {
-                                                resolve(JSON.parse(data));
-                                            } catch (e) {
-                                                console.log(`⚠️ Failed to parse search result: ${e.message}`);
-                                                resolve(null);
-                                            }
-                                        } else {
-                                            console.log(`⚠️ Product booking search failed: ${res.statusCode} - ${data}`);
-                                            resolve(null);
-                                        }
-                                    });
-                                });
-                                req.on('error', (e) => {
-                                    console.log(`⚠️ Request error: ${e.message}`);
-                                    resolve(null);
-                                });
-                                req.write(searchBody);
-                                req.end();
-                            });
+                            const searchResult = await bokunRequest('POST', '/booking.json/product-booking-search',
+                                { id: parseInt(correctProductBookingId) }, { accessKey, secretKey });
 
                             // Extract the real booking ID from the result
                             if (searchResult) {
@@ -1027,6 +978,16 @@ Please analyze this customer message and provide a suggested reply and action in
                         console.log(`✅ Added productBookingId ${correctProductBookingId} to action`);
                     }
 
+                    // The rule that allows or blocks this action, so staff see it before approving
+                    const policyAction = { RESCHEDULE: 'reschedule', CANCEL: 'cancel', CHANGE_PICKUP: 'changePickup' }[actionType];
+                    const decision = evaluateBookingPolicies(booking, booking.policyFacts)[policyAction];
+                    aiResult.suggestedAction.policy = {
+                        allowed: decision.allowed,
+                        rule: decision.rule,
+                        message: decision.message,
+                        overridable: decision.overridable,
+                    };
+
                     // CHANGE_PICKUP specific: Lookup and add pickup place ID
                     if (actionType === 'CHANGE_PICKUP') {
                         const pickupName = aiResult.suggestedAction?.params?.newPickupLocation;
@@ -1054,8 +1015,8 @@ Please analyze this customer message and provide a suggested reply and action in
                 }
             }
 
-            // Log the AI assist request for training
-            await db.collection('ai_assist_logs').add({
+            // Log the AI assist request for training (and for approveAndExecuteAiAction, ai_actions.js)
+            const assistLogRef = await db.collection('ai_assist_logs').add({
                 conversationId,
                 customerEmail,
                 customerName,
@@ -1065,11 +1026,23 @@ Please analyze this customer message and provide a suggested reply and action in
                 suggestedReply: aiResult.suggestedReply,
                 suggestedAction: aiResult.suggestedAction,
                 confidence: aiResult.confidence,
+                modelConfidence: aiResult.modelConfidence,
                 reasoning: aiResult.reasoning,
                 status: 'pending',
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
                 createdBy: request.auth.uid,
             });
+            await recordDraft(assistLogRef.id, {
+                source: 'assist',
+                conversationId,
+                messageId: messageId || null,
+                channel: conversation?.channel || null,
+                intent,
+                customerMessage: messageContent,
+                draft: aiResult.suggestedReply,
+                confidence: aiResult.confidence,
+                modelConfidence: aiResult.modelConfidence,
+            });
 
             console.log('✅ AI Assist generated successfully');
             console.log(`📤 RETURNING suggestedAction.bookingId: ${aiResult.suggestedAction?.bookingId}`);
@@ -1077,6 +1050,7 @@ Please analyze this customer message and provide a suggested reply and action in
             // Return in the format expected by the frontend
             return {
                 success: true,
+                assistLogId: assistLogRef.id,
                 suggestedReply: aiResult.suggestedReply,
                 suggestedAction: aiResult.suggestedAction,
                 confidence: aiResult.confidence,
@@ -1101,13 +1075,19 @@ Please analyze this customer message and provide a suggested reply and action in
 module.exports = {
     // Helper functions
     getBookingContextForAi,
+    createModelClient,
+    buildDraftPrompt,
+    parseDraftResponse,
     generateDraftWithClaude,
+    buildAssistPrompt,
+    parseAssistResponse,
     findCustomerBookings,
     refreshAIBookingCache,
     searchBokunBookingById,
     searchBokunBookingsByEmail,
     findPickupPlaceId,
     buildBookingContext,
+    shouldAutoDraft,
     // Cloud Functions
     generateAiDraft,
     generateBookingAiAssist,
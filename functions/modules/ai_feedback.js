@@ -0,0 +1,405 @@
+/**
+ * AI Feedback Module
+ * What staff do with AI drafts, and what the drafts learn from it.
+ *
+ * Every draft gets an ai_drafts entry: the automatic SMS draft
+ * (generateAiDraft) and the AI Assist suggestion (generateBookingAiAssist).
+ * When staff reply in the conversation, the text that went out is recorded
+ * against the draft with its word-level edit distance, and the draft is:
+ *   accepted  - sent as drafted (whitespace aside)
+ *   edited    - sent with at most half of the words changed
+ *   rewritten - a reply was sent, but not the draft
+ *   discarded - no reply within DISCARD_AFTER_HOURS
+ *
+ * Stats are kept per intent, the action the draft suggested (RESCHEDULE,
+ * CANCEL, CHANGE_PICKUP, INFO_ONLY). An accepted or edited draft counts as
+ * accepted. Once an intent has MIN_SAMPLES_FOR_CONFIDENCE drafts, its
+ * acceptance rate is the confidence shown on new drafts, in place of the
+ * model's guess. Accepted and edited replies, as sent, are the few-shot
+ * examples in later prompts.
+ *
+ * Collections:
+ * - ai_drafts/{draftId}: id is the inbound message id (automatic drafts) or
+ *   the assistLogId (AI Assist)
+ *   { source: auto_draft|assist, conversationId, messageId, channel, intent,
+ *     customerMessage, draft, confidence, modelConfidence,
+ *     status: pending|accepted|edited|rewritten|discarded,
+ *     sentText, sentMessageId, sentBy, editDistance, editRatio, fewShot }
+ * - ai_draft_stats/current: { byIntent: { RESCHEDULE: { total, accepted, edited,
+ *   rewritten, discarded, acceptanceRate, averageEditRatio } }, overall, windowDays }
+ *
+ * A reply is matched to its draft by aiDraftId (sendInboxMessage draftId),
+ * aiAssistLogId (approveAndExecuteAiAction), or else the newest pending
+ * draft in the conversation.
+ *
+ * Functions:
+ * - onAiDraftReplySent (trigger): records the sent text against the draft
+ * - refreshAiDraftStats (daily): discards stale drafts, rolls up the stats
+ */
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+
+const INTENTS = ['RESCHEDULE', 'CANCEL', 'CHANGE_PICKUP', 'INFO_ONLY'];
+const DEFAULT_INTENT = 'INFO_ONLY';
+const EDITED_MAX_RATIO = 0.5;
+const DISCARD_AFTER_HOURS = 48;
+const STATS_WINDOW_DAYS = 90;
+const MIN_SAMPLES_FOR_CONFIDENCE = 20;
+const FEW_SHOT_PER_INTENT = 2;
+const FEW_SHOT_LIMIT = 6;
+const FEW_SHOT_CANDIDATES = 50;
+const EXAMPLE_MAX_LENGTH = 500;
+const DISCARD_BATCH_SIZE = 400;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ============================================
+// OUTCOMES (pure)
+// ============================================
+
+function normalizeIntent(intent) {
+    const value = String(intent || '').toUpperCase();
+    return INTENTS.includes(value) ? value : DEFAULT_INTENT;
+}
+
+function tokenize(text) {
+    const trimmed = String(text || '').trim();
+    return trimmed ? trimmed.split(/\s+/) : [];
+}
+
+/**
+ * Word-level Levenshtein distance (insertions, deletions, substitutions)
+ */
+function editDistance(a, b) {
+    const source = tokenize(a);
+    const target = tokenize(b);
+    if (source.length === 0) return target.length;
+    if (target.length === 0) return source.length;
+
+    let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= source.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= target.length; j++) {
+            const substitution = previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1);
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+        }
+        previous = current;
+    }
+    return previous[target.length];
+}
+
+/**
+ * How a sent reply relates to the draft it came from.
+ * editRatio: edit distance over the longer text's word count (0 = unchanged)
+ * @returns {{ status: 'accepted'|'edited'|'rewritten', editDistance: number, editRatio: number }}
+ */
+function classifyDraftOutcome(draft, sentText) {
+    const distance = editDistance(draft, sentText);
+    const words = Math.max(tokenize(draft).length, tokenize(sentText).length);
+    const editRatio = words > 0 ? Math.round((distance / words) * 1000) / 1000 : 0;
+
+    let status = 'rewritten';
+    if (distance === 0) status = 'accepted';
+    else if (editRatio <= EDITED_MAX_RATIO) status = 'edited';
+    return { status, editDistance: distance, editRatio };
+}
+
+function emptyIntentStats() {
+    return { total: 0, accepted: 0, edited: 0, rewritten: 0, discarded: 0, acceptanceRate: null, averageEditRatio: null };
+}
+
+function finishIntentStats(stats, editRatios) {
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        ...stats,
+        acceptanceRate: stats.total > 0 ? round((stats.accepted + stats.edited) / stats.total) : null,
+        averageEditRatio: editRatios.length > 0 ? round(editRatios.reduce((sum, r) => sum + r, 0) / editRatios.length) : null,
+    };
+}
+
+/**
+ * Roll resolved drafts up per intent; pending drafts are left out
+ * @returns {{ byIntent: Object<string, Object>, overall: Object }}
+ */
+function summarizeDraftOutcomes(drafts) {
+    const counts = { overall: emptyIntentStats() };
+    const ratios = { overall: [] };
+
+    for (const draft of drafts || []) {
+        if (!['accepted', 'edited', 'rewritten', 'discarded'].includes(draft.status)) continue;
+        const intent = normalizeIntent(draft.intent);
+        counts[intent] = counts[intent] || emptyIntentStats();
+        ratios[intent] = ratios[intent] || [];
+
+        for (const key of [intent, 'overall']) {
+            counts[key].total++;
+            counts[key][draft.status]++;
+            if (draft.status !== 'discarded' && typeof draft.editRatio === 'number') {
+                ratios[key].push(draft.editRatio);
+            }
+        }
+    }
+
+    const byIntent = {};
+    for (const intent of Object.keys(counts).filter(key => key !== 'overall')) {
+        byIntent[intent] = finishIntentStats(counts[intent], ratios[intent]);
+    }
+    return { byIntent, overall: finishIntentStats(counts.overall, ratios.overall) };
+}
+
+/**
+ * Confidence for a new draft: the intent's acceptance rate once there are
+ * enough drafts to go on, else what the model said
+ */
+function confidenceForIntent(stats, intent, modelConfidence) {
+    const intentStats = stats?.byIntent?.[normalizeIntent(intent)];
+    if (intentStats && intentStats.total >= MIN_SAMPLES_FOR_CONFIDENCE && intentStats.acceptanceRate !== null) {
+        return intentStats.acceptanceRate;
+    }
+    const confidence = modelConfidence === null || modelConfidence === undefined ? NaN : Number(modelConfidence);
+    return Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null;
+}
+
+// ============================================
+// FEW-SHOT EXAMPLES (pure)
+// ============================================
+
+/**
+ * Strip what identifies another customer before their message is shown to
+ * the model: emails, phone numbers and booking references
+ */
+function redactExampleText(text) {
+    return String(text || '')
+        .replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]')
+        .replace(/\+\d[\d\s-]{6,}\d/g, '[number]')
+        .replace(/\b\d{7,}\b/g, '[number]')
+        .replace(/\b[A-Z]{2,4}-?\d{5,12}\b/gi, '[reference]')
+        .replace(/\b(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{10,15}\b/g, '[reference]')
+        .slice(0, EXAMPLE_MAX_LENGTH);
+}
+
+/**
+ * Pick few-shot examples from resolved drafts (newest first): the same
+ * channel before others, at most perIntent per intent
+ */
+function selectFewShotExamples(drafts, { channel = null, perIntent = FEW_SHOT_PER_INTENT, limit = FEW_SHOT_LIMIT } = {}) {
+    const usable = (drafts || []).filter(d => d.fewShot && d.customerMessage && d.sentText);
+    const ordered = channel ?
+        [...usable.filter(d => d.channel === channel), ...usable.filter(d => d.channel !== channel)] :
+        usable;
+
+    const perIntentCount = {};
+    const examples = [];
+    for (const draft of ordered) {
+        if (examples.length >= limit) break;
+        const intent = normalizeIntent(draft.intent);
+        if ((perIntentCount[intent] || 0) >= perIntent) continue;
+        perIntentCount[intent] = (perIntentCount[intent] || 0) + 1;
+        examples.push({
+            channel: draft.channel || null,
+            intent,
+            customerMessage: redactExampleText(draft.customerMessage),
+            reply: redactExampleText(draft.sentText),
+        });
+    }
+    return examples;
+}
+
+/**
+ * Prompt block with the examples; empty when there are none
+ */
+function formatFewShotExamples(examples) {
+    if (!examples || examples.length === 0) return '';
+    const blocks = examples.map((example, index) =>
+        `Example ${index + 1} (${example.intent}${example.channel ? `, ${example.channel}` : ''}):\n` +
+        `Customer: ${example.customerMessage}\n` +
+        `Reply staff sent: ${example.reply}`);
+    return `REPLIES STAFF APPROVED FOR SIMILAR MESSAGES (match their tone and length; the facts come from the booking context, not from these):\n\n${blocks.join('\n\n')}\n`;
+}
+
+// ============================================
+// FIRESTORE
+// ============================================
+
+/**
+ * Store a new draft as pending; errors are logged, never thrown (a draft is
+ * still useful to staff without its feedback entry)
+ */
+async function recordDraft(draftId, { source, conversationId, messageId = null, channel = null, intent, customerMessage, draft, confidence, modelConfidence }) {
+    try {
+        await db.collection('ai_drafts').doc(draftId).set({
+            source,
+            conversationId,
+            messageId,
+            channel,
+            intent: normalizeIntent(intent),
+            customerMessage: String(customerMessage || '').substring(0, EXAMPLE_MAX_LENGTH),
+            draft: draft || '',
+            confidence: confidence ?? null,
+            modelConfidence: modelConfidence ?? null,
+            status: 'pending',
+            fewShot: false,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    } catch (error) {
+        console.error(`⚠️ Could not record AI draft ${draftId}:`, error.message);
+    }
+}
+
+/**
+ * Current per-intent stats; null when not computed yet or unreadable
+ */
+async function loadDraftStats() {
+    try {
+        const doc = await db.collection('ai_draft_stats').doc('current').get();
+        return doc.exists ? doc.data() : null;
+    } catch (error) {
+        console.log(`⚠️ Could not load AI draft stats: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Few-shot examples for a prompt; none when they can't be loaded
+ */
+async function loadFewShotExamples(channel) {
+    try {
+        const snapshot = await db.collection('ai_drafts')
+            .where('fewShot', '==', true)
+            .orderBy('resolvedAt', 'desc')
+            .limit(FEW_SHOT_CANDIDATES)
+            .get();
+        return selectFewShotExamples(snapshot.docs.map(doc => doc.data()), { channel });
+    } catch (error) {
+        console.log(`⚠️ Could not load few-shot examples: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * The draft a staff reply answers: explicit link first, else the newest
+ * pending draft in the conversation
+ */
+async function findDraftForReply(message) {
+    const linkedId = message.aiDraftId || message.aiAssistLogId;
+    if (linkedId) {
+        const doc = await db.collection('ai_drafts').doc(linkedId).get();
+        return doc.exists ? doc : null;
+    }
+    const snapshot = await db.collection('ai_drafts')
+        .where('conversationId', '==', message.conversationId)
+        .where('status', '==', 'pending')
+        .orderBy('createdAt', 'desc')
+        .limit(1)
+        .get();
+    return snapshot.empty ? null : snapshot.docs[0];
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Record what staff sent against the draft it answers
+ */
+const onAiDraftReplySent = onDocumentCreated(
+    {
+        document: 'messages/{messageId}',
+        region: 'us-central1',
+    },
+    async (event) => {
+        const message = event.data?.data();
+        if (!message || message.direction !== 'outbound' || !message.content || !message.conversationId) return;
+
+        try {
+            const draftDoc = await findDraftForReply(message);
+            if (!draftDoc) return;
+
+            const draft = draftDoc.data();
+            if (draft.status !== 'pending') return;
+
+            const outcome = classifyDraftOutcome(draft.draft, message.content);
+            await draftDoc.ref.update({
+                ...outcome,
+                sentText: message.content,
+                sentMessageId: event.params.messageId,
+                sentBy: message.handledBy || null,
+                fewShot: outcome.status === 'accepted' || outcome.status === 'edited',
+                resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            console.log(`📝 AI draft ${draftDoc.id} (${draft.intent}): ${outcome.status}, edit ratio ${outcome.editRatio}`);
+        } catch (error) {
+            console.error(`❌ Could not record AI draft outcome for message ${event.params.messageId}:`, error);
+        }
+    }
+);
+
+/**
+ * Daily: drafts nobody replied from are discarded, then the per-intent
+ * stats are rolled up over the last STATS_WINDOW_DAYS
+ */
+const refreshAiDraftStats = onSchedule(
+    {
+        schedule: 'every day 04:00',
+        region: 'us-central1',
+        timeZone: 'Atlantic/Reykjavik',
+        timeoutSeconds: 300,
+    },
+    async () => {
+        const staleBefore = new Date(Date.now() - DISCARD_AFTER_HOURS * HOUR_MS);
+        const windowStart = new Date(Date.now() - STATS_WINDOW_DAYS * DAY_MS);
+
+        let discarded = 0;
+        for (;;) {
+            const staleSnap = await db.collection('ai_drafts')
+                .where('status', '==', 'pending')
+                .where('createdAt', '<', admin.firestore.Timestamp.fromDate(staleBefore))
+                .limit(DISCARD_BATCH_SIZE)
+                .get();
+            if (staleSnap.empty) break;
+
+            const batch = db.batch();
+            for (const doc of staleSnap.docs) {
+                batch.update(doc.ref, { status: 'discarded', resolvedAt: admin.firestore.FieldValue.serverTimestamp() });
+            }
+            await batch.commit();
+            discarded += staleSnap.size;
+            if (staleSnap.size < DISCARD_BATCH_SIZE) break;
+        }
+
+        const draftsSnap = await db.collection('ai_drafts')
+            .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(windowStart))
+            .select('intent', 'status', 'editRatio')
+            .get();
+        const summary = summarizeDraftOutcomes(draftsSnap.docs.map(doc => doc.data()));
+
+        await db.collection('ai_draft_stats').doc('current').set({
+            ...summary,
+            windowDays: STATS_WINDOW_DAYS,
+            minSamplesForConfidence: MIN_SAMPLES_FOR_CONFIDENCE,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        const overall = summary.overall;
+        console.log(`📊 AI drafts: ${discarded} discarded; ${overall.total} resolved in ${STATS_WINDOW_DAYS} days, acceptance ${overall.acceptanceRate ?? 'n/a'}`);
+    }
+);
+
+module.exports = {
+    INTENTS,
+    normalizeIntent,
+    recordDraft,
+    loadDraftStats,
+    loadFewShotExamples,
+    confidenceForIntent,
+    formatFewShotExamples,
+    onAiDraftReplySent,
+    refreshAiDraftStats,
+    // Exported for testing
+    editDistance,
+    classifyDraftOutcome,
+    summarizeDraftOutcomes,
+    selectFewShotExamples,
+    redactExampleText,
+};
@@ -7,11 +7,39 @@
  *    - At noon: auto-accepts top-ranked applied guides
  *    - 30 min before pickup: distributes bookings + assigns buses
  *    - 10 min before pickup: handles last-minute unassigned bookings
+ * 2. Daily at 06:00: copies Bokun pickup places with coordinates into
+ *    pickup_places (syncPickupPlacesManual runs it on demand)
+ *
+ * Bus capacity comes from the `seats` field on buses docs; routes on a bus
+ * without one are planned with the default and reported in unknownCapacity.
+ *
+ * Each Bokun product/start time is planned as its own departure with its
+ * own triggers; private bookings are departures of their own and never
+ * share a bus with other guests.
  */
 const { onSchedule } = require('firebase-functions/v2/scheduler');
 const { onCall } = require('firebase-functions/v2/https');
-const { db } = require('../utils/firebase');
+const crypto = require('crypto');
+const { admin, db } = require('../utils/firebase');
 const { sendNotificationToAdminsOnly } = require('../utils/notifications');
+const { getPickupPlaces } = require('../utils/bokun_client');
+const { liveBookings } = require('../utils/bokun_booking');
+const {
+    getBookingPax,
+    getPlaceKey,
+    getDepartureKey,
+    groupDepartures,
+    buildVehicles,
+    planRoutes,
+} = require('../utils/route_planner');
+const {
+    resolveRankingConfig,
+    isWeekendNight,
+    isPeakNight,
+    getSeasonId,
+    scoreGuides,
+    explainDecision,
+} = require('../utils/guide_ranking');
 
 // ============================================
 // CORE LOGIC
@@ -26,6 +54,14 @@ function calculateGuidesNeeded(totalPassengers) {
     return Math.ceil(totalPassengers / 18);
 }
 
+/**
+ * Guides needed for one departure. Private tours always get their own guide.
+ */
+function calculateDepartureGuidesNeeded(departure) {
+    const needed = calculateGuidesNeeded(departure.totalPassengers);
+    return departure.isPrivate ? Math.max(1, needed) : needed;
+}
+
 /**
  * Format date as YYYY-MM-DD string (Iceland timezone)
  */
@@ -54,12 +90,12 @@ function getIcelandMinutesSinceMidnight() {
 }
 
 /**
- * Get bookings for today from cached_bookings
+ * Get bookings for today from cached_bookings (cancelled entries left out)
  */
 async function getTodayBookings(dateStr) {
     const doc = await db.collection('cached_bookings').doc(dateStr).get();
     if (!doc.exists) return [];
-    return doc.data().bookings || [];
+    return liveBookings(doc.data().bookings);
 }
 
 /**
@@ -72,33 +108,31 @@ function getTotalPassengers(bookings) {
 }
 
 /**
- * Get earliest pickup time as minutes since midnight
+ * Load guide ranking weights from config/guide_ranking (merged over defaults)
  */
-function getEarliestPickupMinutes(bookings) {
-    let earliest = Infinity;
-    for (const booking of bookings) {
-        if (booking.pickupTime) {
-            let minutes;
-            if (typeof booking.pickupTime === 'string' && booking.pickupTime.includes(':')) {
-                const parts = booking.pickupTime.split(':');
-                minutes = parseInt(parts[0]) * 60 + parseInt(parts[1]);
-            } else if (typeof booking.pickupTime === 'string') {
-                // ISO date string
-                const d = new Date(booking.pickupTime);
-                minutes = d.getHours() * 60 + d.getMinutes();
-            }
-            if (minutes !== undefined && minutes < earliest) {
-                earliest = minutes;
-            }
-        }
+async function getRankingConfig() {
+    try {
+        const doc = await db.collection('config').doc('guide_ranking').get();
+        return resolveRankingConfig(doc.exists ? doc.data() : {});
+    } catch (e) {
+        console.log('⚠️ Could not load guide ranking config, using defaults:', e.message);
+        return resolveRankingConfig();
     }
-    return earliest === Infinity ? null : earliest;
 }
 
 /**
- * Get guides with APPLIED (pending) shifts for a date, sorted by priority descending
+ * Shift date as YYYY-MM-DD (shifts written by the app carry a full ISO string)
+ */
+function getShiftDateStr(shift) {
+    return typeof shift.date === 'string' ? shift.date.substring(0, 10) : '';
+}
+
+/**
+ * Get guides with APPLIED (pending) shifts for a date, ranked by the
+ * configurable scoring engine (highest score first).
+ * @param {Object} context - { totalPassengers } for peak-night detection
  */
-async function getAppliedGuides(dateStr) {
+async function getAppliedGuides(dateStr, context = {}) {
     const shiftsSnapshot = await db.collection('shifts')
         .where('date', '==', dateStr)
         .where('status', '==', 'applied')
@@ -106,52 +140,132 @@ async function getAppliedGuides(dateStr) {
 
     if (shiftsSnapshot.empty) return [];
 
-    // Get recent shift counts for fairness (last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const config = await getRankingConfig();
+    const seasonId = getSeasonId(dateStr);
+
+    // Get recent shifts for fairness (configurable window, default 30 days)
+    const windowStart = new Date();
+    windowStart.setDate(windowStart.getDate() - config.windowDays);
     const recentShiftsSnap = await db.collection('shifts')
         .where('status', 'in', ['accepted', 'completed'])
-        .where('updatedAt', '>=', thirtyDaysAgo.toISOString())
+        .where('updatedAt', '>=', windowStart.toISOString())
         .get();
 
+    const previousNight = new Date(`${dateStr}T12:00:00Z`);
+    previousNight.setUTCDate(previousNight.getUTCDate() - 1);
+    const previousNightStr = previousNight.toISOString().substring(0, 10);
+    const weekStart = new Date(`${dateStr}T12:00:00Z`);
+    weekStart.setUTCDate(weekStart.getUTCDate() - 6);
+    const weekStartStr = weekStart.toISOString().substring(0, 10);
+
     // Count shifts per guide
     const recentCounts = {};
+    const weekCounts = {};
+    const workedPreviousNight = new Set();
     for (const doc of recentShiftsSnap.docs) {
-        const gId = doc.data().guideId;
-        if (gId) recentCounts[gId] = (recentCounts[gId] || 0) + 1;
+        const data = doc.data();
+        const gId = data.guideId;
+        if (!gId) continue;
+        recentCounts[gId] = (recentCounts[gId] || 0) + 1;
+        const shiftDate = getShiftDateStr(data);
+        if (shiftDate >= weekStartStr && shiftDate < dateStr) {
+            weekCounts[gId] = (weekCounts[gId] || 0) + 1;
+        }
+        if (shiftDate === previousNightStr) workedPreviousNight.add(gId);
     }
 
-    const guidesWithShifts = [];
+    const candidates = [];
     for (const shiftDoc of shiftsSnapshot.docs) {
         const shift = shiftDoc.data();
         const guideId = shift.guideId;
         if (!guideId) continue;
 
-        const userDoc = await db.collection('users').doc(guideId).get();
+        const [userDoc, ledgerDoc] = await Promise.all([
+            db.collection('users').doc(guideId).get(),
+            db.collection('guide_season_ledgers').doc(`${seasonId}_${guideId}`).get(),
+        ]);
         if (!userDoc.exists) continue;
 
         const userData = userDoc.data();
-        const recentShifts = recentCounts[guideId] || 0;
-        // Fairness score: priority minus penalty for recent shifts
-        // Guides with fewer recent shifts get a boost
-        const fairnessScore = (userData.priority || 0) - (recentShifts * 2);
-
-        guidesWithShifts.push({
+        candidates.push({
             guideId,
             guideName: userData.fullName || 'Unknown',
             priority: userData.priority || 0,
-            recentShifts,
-            fairnessScore,
+            preferences: userData.shiftPreferences || {},
+            recentShifts: recentCounts[guideId] || 0,
+            shiftsThisWeek: weekCounts[guideId] || 0,
+            workedPreviousNight: workedPreviousNight.has(guideId),
+            ledger: ledgerDoc.exists ? ledgerDoc.data() : {},
             shiftId: shiftDoc.id,
+            previousDecision: shift.ranking ? shift.ranking.decision : null,
         });
     }
 
-    // Sort by fairness score descending (higher = more deserving)
-    guidesWithShifts.sort((a, b) => b.fairnessScore - a.fairnessScore);
-    console.log('📊 Guide fairness ranking:', guidesWithShifts.map(g =>
-        `${g.guideName}: priority=${g.priority}, recent=${g.recentShifts}, score=${g.fairnessScore}`
+    const ranked = scoreGuides(candidates, { date: dateStr, totalPassengers: context.totalPassengers }, config)
+        .map(g => ({ ...g, fairnessScore: g.score }));
+
+    console.log('📊 Guide fairness ranking:', ranked.map(g =>
+        `${g.guideName}: score=${g.score} [${g.components.map(c => `${c.key}=${c.value}`).join(', ')}]`
     ));
-    return guidesWithShifts;
+    return ranked;
+}
+
+/**
+ * Record the outcome of a ranking round: a "why accepted / why not"
+ * explanation on every applied shift and the guide's season ledger.
+ * A shift already recorded as not selected is not counted twice.
+ */
+async function recordRankingOutcome(dateStr, ranked, acceptedIds, slots, context = {}) {
+    const config = await getRankingConfig();
+    const seasonId = getSeasonId(dateStr);
+    const weekend = isWeekendNight(dateStr);
+    const peak = isPeakNight(dateStr, context.totalPassengers, config);
+    const now = new Date().toISOString();
+    const increment = admin.firestore.FieldValue.increment;
+    const batch = db.batch();
+
+    ranked.forEach((guide, index) => {
+        const accepted = acceptedIds.has(guide.guideId);
+        const decision = accepted ? 'accepted' : 'not_selected';
+
+        batch.set(db.collection('shifts').doc(guide.shiftId), {
+            ranking: {
+                decision,
+                rank: index + 1,
+                poolSize: ranked.length,
+                slots,
+                score: guide.score,
+                components: guide.components,
+                explanation: explainDecision(ranked, index, slots, acceptedIds),
+                rankedAt: now,
+            },
+        }, { merge: true });
+
+        if (!accepted && guide.previousDecision === 'not_selected') return;
+
+        const ledgerRef = db.collection('guide_season_ledgers').doc(`${seasonId}_${guide.guideId}`);
+        const update = {
+            guideId: guide.guideId,
+            guideName: guide.guideName,
+            season: seasonId,
+            offered: increment(1),
+            updatedAt: now,
+        };
+        if (accepted) {
+            update.accepted = increment(1);
+            update.consecutiveDeclines = 0;
+            update.lastAcceptedDate = dateStr;
+            if (weekend) update.weekendAccepted = increment(1);
+            if (peak) update.peakAccepted = increment(1);
+        } else {
+            update.declined = increment(1);
+            update.consecutiveDeclines = increment(1);
+            update.lastDeclinedDate = dateStr;
+        }
+        batch.set(ledgerRef, update, { merge: true });
+    });
+
+    await batch.commit();
 }
 
 /**
@@ -204,229 +318,796 @@ async function getAvailableBuses() {
 }
 
 /**
- * Auto-accept applied shifts for the top-ranked guides.
- * Returns the list of all accepted guides (already accepted + newly accepted).
+ * Get pickup place coordinates keyed by normalised place name.
+ * Docs in `pickup_places` hold { name, aliases, latitude, longitude, isHarbour }.
+ * syncPickupPlaces() writes the Bokun ones (source: 'bokun'); a doc added
+ * by hand for the same name wins over the synced one.
+ */
+async function getPickupPlaceCoordinates() {
+    const snapshot = await db.collection('pickup_places').get();
+    const docs = [...snapshot.docs].sort((a, b) =>
+        (b.data().source === 'bokun') - (a.data().source === 'bokun'));
+    const places = {};
+    for (const doc of docs) {
+        const data = doc.data();
+        if (typeof data.latitude !== 'number' || typeof data.longitude !== 'number') continue;
+        const names = [data.name, ...(data.aliases || [])].filter(Boolean);
+        for (const name of names) {
+            places[getPlaceKey(name)] = {
+                latitude: data.latitude,
+                longitude: data.longitude,
+                isHarbour: data.isHarbour === true,
+            };
+        }
+    }
+    return places;
+}
+
+/**
+ * Coordinates of a Bokun pickup place: { latitude, longitude } or null
+ */
+function getBokunPlaceCoordinates(place) {
+    const point = place.location || place.geoPoint || place.address?.geoPoint || place;
+    const latitude = Number(point?.latitude ?? point?.lat);
+    const longitude = Number(point?.longitude ?? point?.lng);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    if (latitude === 0 && longitude === 0) return null;
+    return { latitude, longitude };
+}
+
+/**
+ * Copy the Bokun pickup places (with coordinates) of every product booked
+ * in the next `days` days into `pickup_places/bokun_{placeId}`.
+ * Returns { products, places, withoutCoordinates }.
+ */
+async function syncPickupPlaces(days = 7) {
+    const credentials = { accessKey: process.env.BOKUN_ACCESS_KEY, secretKey: process.env.BOKUN_SECRET_KEY };
+    const today = getTodayDateStr();
+    const dates = Array.from({ length: days }, (_, i) =>
+        new Date(Date.parse(`${today}T12:00:00Z`) + i * 86400000).toISOString().split('T')[0]);
+
+    const productIds = new Set();
+    const snapshots = await Promise.all(dates.map(date => db.collection('cached_bookings').doc(date).get()));
+    for (const doc of snapshots) {
+        for (const booking of (doc.exists ? doc.data().bookings || [] : [])) {
+            if (booking.productId) productIds.add(String(booking.productId));
+        }
+    }
+
+    const batch = db.batch();
+    const withoutCoordinates = new Set();
+    let places = 0;
+    for (const productId of productIds) {
+        let bokunPlaces;
+        try {
+            bokunPlaces = await getPickupPlaces(productId, credentials);
+        } catch (e) {
+            console.error(`❌ Failed to load pickup places for product ${productId}:`, e.message);
+            continue;
+        }
+        for (const place of bokunPlaces) {
+            const name = place.title || place.name;
+            const coords = getBokunPlaceCoordinates(place);
+            if (!place.id || !name) continue;
+            if (!coords) {
+                withoutCoordinates.add(name);
+                continue;
+            }
+            batch.set(db.collection('pickup_places').doc(`bokun_${place.id}`), {
+                name,
+                latitude: coords.latitude,
+                longitude: coords.longitude,
+                source: 'bokun',
+                bokunPlaceId: String(place.id),
+                productIds: admin.firestore.FieldValue.arrayUnion(productId),
+                syncedAt: new Date().toISOString(),
+            }, { merge: true });
+            places++;
+        }
+    }
+    await batch.commit();
+
+    if (withoutCoordinates.size > 0) {
+        console.warn(`⚠️ ${withoutCoordinates.size} Bokun pickup places have no coordinates: ${[...withoutCoordinates].join(', ')}`);
+    }
+    console.log(`📍 Synced ${places} pickup places for ${productIds.size} products`);
+    return { products: productIds.size, places, withoutCoordinates: [...withoutCoordinates] };
+}
+
+/**
+ * Warn about routes planned on the default seat count
  */
-async function autoAcceptTopGuides(dateStr, guidesNeeded) {
+function warnUnknownCapacity(plan) {
+    for (const route of plan.unknownCapacity || []) {
+        console.warn(`⚠️ No seat count for ${route.busName || 'guide without a bus'} (guide ${route.guideId}); planned with ${route.capacity} seats`);
+    }
+}
+
+/**
+ * Pick the guides a dispatch would use, without accepting any shifts.
+ * Returns { guides, toAccept } - toAccept are the applied guides that
+ * would be auto-accepted to reach guidesNeeded.
+ */
+async function selectTopGuides(dateStr, guidesNeeded, context = {}) {
     const alreadyAccepted = await getAcceptedGuides(dateStr);
     const stillNeeded = guidesNeeded - alreadyAccepted.length;
 
     if (stillNeeded <= 0) {
-        console.log(`✅ Already have ${alreadyAccepted.length} accepted guides (need ${guidesNeeded})`);
-        return alreadyAccepted.slice(0, guidesNeeded);
+        return { guides: alreadyAccepted.slice(0, guidesNeeded), toAccept: [], ranked: [], slots: 0 };
     }
 
-    const appliedGuides = await getAppliedGuides(dateStr);
-    if (appliedGuides.length === 0) {
-        console.log('⚠️ No applied guides to accept');
+    const appliedGuides = await getAppliedGuides(dateStr, context);
+    const toAccept = appliedGuides.slice(0, stillNeeded);
+    return { guides: [...alreadyAccepted, ...toAccept], toAccept, ranked: appliedGuides, slots: stillNeeded };
+}
+
+/**
+ * Auto-accept applied shifts for the top-ranked guides.
+ * Returns the list of all accepted guides (already accepted + newly accepted).
+ */
+async function autoAcceptTopGuides(dateStr, guidesNeeded, context = {}) {
+    const { guides, toAccept, ranked, slots } = await selectTopGuides(dateStr, guidesNeeded, context);
+    const alreadyAccepted = guides.filter(g => !toAccept.includes(g));
+
+    if (toAccept.length === 0) {
+        if (alreadyAccepted.length >= guidesNeeded) {
+            console.log(`✅ Already have ${alreadyAccepted.length} accepted guides (need ${guidesNeeded})`);
+        } else {
+            console.log('⚠️ No applied guides to accept');
+        }
         return alreadyAccepted;
     }
 
     // Accept top-ranked applied guides
-    const toAccept = appliedGuides.slice(0, stillNeeded);
     const newlyAccepted = [];
 
     for (const guide of toAccept) {
         try {
-            await db.collection('shifts').doc(guide.shiftId).update({
-                status: 'accepted',
-                updatedAt: new Date().toISOString(),
-                adminNote: `Auto-accepted by system (ranked #${toAccept.indexOf(guide) + 1})`,
+            const accepted = await db.runTransaction(async (transaction) => {
+                const shiftRef = db.collection('shifts').doc(guide.shiftId);
+                const shiftDoc = await transaction.get(shiftRef);
+                // Withdrawn (cancelled or deleted) since it was ranked
+                if (!shiftDoc.exists || shiftDoc.data().status !== 'applied') return false;
+                transaction.update(shiftRef, {
+                    status: 'accepted',
+                    updatedAt: new Date().toISOString(),
+                    adminNote: `Auto-accepted by system (ranked #${toAccept.indexOf(guide) + 1}, score ${guide.score})`,
+                });
+                return true;
             });
-            console.log(`✅ Auto-accepted shift for ${guide.guideName} (priority: ${guide.priority})`);
+            if (!accepted) {
+                console.log(`⚠️ Shift for ${guide.guideName} is no longer applied, skipping`);
+                continue;
+            }
+            console.log(`✅ Auto-accepted shift for ${guide.guideName} (score: ${guide.score})`);
             newlyAccepted.push(guide);
         } catch (e) {
             console.error(`❌ Failed to accept shift for ${guide.guideName}:`, e.message);
         }
     }
 
+    try {
+        await recordRankingOutcome(dateStr, ranked, new Set(newlyAccepted.map(g => g.guideId)), slots, context);
+    } catch (e) {
+        console.error('❌ Failed to record ranking outcome:', e.message);
+    }
+
     return [...alreadyAccepted, ...newlyAccepted].slice(0, guidesNeeded);
 }
 
 /**
- * Distribute bookings to guides using round-robin by pickup location groups.
- * Writes to pickup_assignments and cached_bookings.
+ * Tag every route in a departure plan with its departure
  */
-async function distributeBookings(dateStr, bookings, guides) {
-    if (guides.length === 0 || bookings.length === 0) return false;
-
-    const MAX_PAX = 18;
-
-    // Step 1: Group bookings by pickup location
-    const placeGroups = {};
-    for (const booking of bookings) {
-        const place = (booking.pickupPlaceName || booking.pickupLocation || 'Unknown').trim().toLowerCase();
-        if (!placeGroups[place]) placeGroups[place] = [];
-        placeGroups[place].push(booking);
+function tagDeparture(plan, departure) {
+    for (const route of plan.routes) {
+        route.departureKey = departure.key;
+        route.departureLabel = departure.label;
     }
+    return plan;
+}
 
-    // Step 2: Sort groups by total passengers DESCENDING (largest first)
-    const groupEntries = Object.entries(placeGroups);
-    groupEntries.sort((a, b) => {
-        const aPax = a[1].reduce((s, bk) => s + (bk.totalParticipants || bk.numberOfGuests || 0), 0);
-        const bPax = b[1].reduce((s, bk) => s + (bk.totalParticipants || bk.numberOfGuests || 0), 0);
-        return bPax - aPax;
-    });
+/**
+ * Plan capacity-limited, route-optimised pickup runs for one departure.
+ * Each guide is paired with a bus (by priority, skipping buses already out
+ * on another departure) and gets an ordered list of stops with estimated
+ * pickup times. Does not write anything.
+ */
+async function buildDispatchPlan(departure, guides, excludeBusIds = []) {
+    const [buses, places] = await Promise.all([
+        getAvailableBuses(),
+        getPickupPlaceCoordinates(),
+    ]);
+    const freeBuses = buses.filter(bus => !excludeBusIds.includes(bus.id));
+    const plan = tagDeparture(planRoutes(departure.bookings, buildVehicles(guides, freeBuses), places), departure);
+    warnUnknownCapacity(plan);
+    return plan;
+}
 
-    // Step 3: Initialize guide buckets
-    const guideBookings = {};
-    for (const guide of guides) {
-        guideBookings[guide.guideId] = {
-            guideId: guide.guideId,
-            guideName: guide.guideName,
-            bookings: [],
-            totalPassengers: 0,
-        };
-    }
+/**
+ * Plan every departure of a night from one guide pool. Guides and buses are
+ * handed out in departure order and never shared between departures.
+ * Departures left without a guide are reported in `unstaffed`.
+ */
+async function buildNightPlan(bookings, guides) {
+    const [buses, places] = await Promise.all([
+        getAvailableBuses(),
+        getPickupPlaceCoordinates(),
+    ]);
+
+    const night = { routes: [], overCapacity: [], unknownCapacity: [], unstaffed: [] };
+    let guideIndex = 0;
+    let busIndex = 0;
+    for (const departure of groupDepartures(bookings)) {
+        const depGuides = guides.slice(guideIndex, guideIndex + calculateDepartureGuidesNeeded(departure));
+        guideIndex += depGuides.length;
+        if (depGuides.length === 0) {
+            night.unstaffed.push({
+                departureKey: departure.key,
+                departureLabel: departure.label,
+                bookings: departure.bookings.length,
+                passengers: departure.totalPassengers,
+            });
+            continue;
+        }
+        const depBuses = buses.slice(busIndex, busIndex + depGuides.length);
+        busIndex += depBuses.length;
 
-    // Step 4: Assign each group (NEVER split) to guide with fewest passengers
-    for (const [place, groupBks] of groupEntries) {
-        const groupPax = groupBks.reduce((s, b) => s + (b.totalParticipants || b.numberOfGuests || 0), 0);
+        const plan = tagDeparture(planRoutes(departure.bookings, buildVehicles(depGuides, depBuses), places), departure);
+        night.routes.push(...plan.routes);
+        night.overCapacity.push(...plan.overCapacity);
+        night.unknownCapacity.push(...plan.unknownCapacity);
+    }
+    warnUnknownCapacity(night);
+    return night;
+}
 
-        // Find guide with fewest passengers that can fit this group
-        let bestGuideId = null;
-        let bestPax = Infinity;
-        for (const guide of guides) {
-            const gb = guideBookings[guide.guideId];
-            if (gb.totalPassengers + groupPax <= MAX_PAX && gb.totalPassengers < bestPax) {
-                bestPax = gb.totalPassengers;
-                bestGuideId = guide.guideId;
+/**
+ * Add the pickup_assignments and cached_bookings writes for a plan to a
+ * batch or transaction. Bookings listed in plan.unassigned lose their
+ * guide assignment.
+ */
+function writeDispatchPlan(batch, dateStr, bookings, plan) {
+    const now = new Date().toISOString();
+
+    for (const route of plan.routes) {
+        const docRef = db.collection('pickup_assignments').doc(`${dateStr}_${route.guideId}`);
+        const bookingsInOrder = [];
+        for (const stop of route.stops) {
+            for (const b of stop.bookings) {
+                bookingsInOrder.push({
+                    id: b.id || b.bookingId,
+                    customerFullName: b.customerFullName || b.customerName || '',
+                    pickupPlaceName: b.pickupPlaceName || b.pickupLocation || '',
+                    pickupTime: b.pickupTime || '',
+                    numberOfGuests: getBookingPax(b),
+                    phoneNumber: b.customerPhone || b.phoneNumber || '',
+                    email: b.customerEmail || b.email || '',
+                    confirmationCode: b.confirmationCode || '',
+                    stopOrder: stop.stopOrder,
+                    estimatedPickupTime: stop.estimatedPickupTime,
+                });
             }
         }
+        batch.set(docRef, {
+            guideId: route.guideId,
+            guideName: route.guideName,
+            date: dateStr,
+            departureKey: route.departureKey || null,
+            departureLabel: route.departureLabel || null,
+            totalPassengers: route.totalPassengers,
+            busId: route.busId,
+            busName: route.busName,
+            busCapacity: route.capacity,
+            bookings: bookingsInOrder,
+            route: route.stops.map(stop => ({
+                stopOrder: stop.stopOrder,
+                pickupPlaceName: stop.name,
+                latitude: stop.latitude ?? null,
+                longitude: stop.longitude ?? null,
+                isHarbour: stop.isHarbour,
+                passengers: stop.passengers,
+                estimatedPickupTime: stop.estimatedPickupTime,
+                bookingIds: stop.bookings.map(b => b.id || b.bookingId),
+            })),
+            updatedAt: now,
+            autoDispatched: true,
+        }, { merge: true });
 
-        // If no guide can fit within limit, assign to emptiest guide (never split)
-        if (!bestGuideId) {
-            let fewestPax = Infinity;
-            for (const guide of guides) {
-                if (guideBookings[guide.guideId].totalPassengers < fewestPax) {
-                    fewestPax = guideBookings[guide.guideId].totalPassengers;
-                    bestGuideId = guide.guideId;
-                }
+        // Individual assignment docs per booking
+        for (const stop of route.stops) {
+            for (const booking of stop.bookings) {
+                const bookingId = booking.id || booking.bookingId;
+                if (!bookingId) continue;
+                const ref = db.collection('pickup_assignments').doc(`${dateStr}_booking_${bookingId}`);
+                batch.set(ref, {
+                    bookingId,
+                    guideId: route.guideId,
+                    guideName: route.guideName,
+                    date: dateStr,
+                    departureKey: route.departureKey || null,
+                    stopOrder: stop.stopOrder,
+                    estimatedPickupTime: stop.estimatedPickupTime,
+                    updatedAt: now,
+                    autoDispatched: true,
+                }, { merge: true });
             }
         }
+    }
 
-        const target = guideBookings[bestGuideId];
-        for (const booking of groupBks) {
-            target.bookings.push(booking);
-            target.totalPassengers += (booking.totalParticipants || booking.numberOfGuests || 0);
+    // Also update cached_bookings with guide assignments
+    const assignmentByBooking = {};
+    for (const route of plan.routes) {
+        for (const stop of route.stops) {
+            for (const b of stop.bookings) {
+                assignmentByBooking[b.id || b.bookingId] = { route, stop };
+            }
         }
-        console.log(`🚌 ${place} (${groupPax}pax) → ${target.guideName} (${target.totalPassengers}pax)`);
     }
+    const unassigned = new Set((plan.unassigned || []).map(b => String(b.id || b.bookingId)));
+    for (const bookingId of unassigned) {
+        if (assignmentByBooking[bookingId]) continue;
+        batch.delete(db.collection('pickup_assignments').doc(`${dateStr}_booking_${bookingId}`));
+    }
+    const updatedBookings = bookings.map(booking => {
+        const assignment = assignmentByBooking[booking.id || booking.bookingId];
+        if (!assignment && unassigned.has(String(booking.id || booking.bookingId))) {
+            return {
+                ...booking,
+                assignedGuideId: null,
+                assignedGuideName: null,
+                stopOrder: null,
+                estimatedPickupTime: null,
+            };
+        }
+        if (!assignment) return booking;
+        return {
+            ...booking,
+            assignedGuideId: assignment.route.guideId,
+            assignedGuideName: assignment.route.guideName,
+            stopOrder: assignment.stop.stopOrder,
+            estimatedPickupTime: assignment.stop.estimatedPickupTime,
+        };
+    });
 
-    // Save to pickup_assignments
-    const batch = db.batch();
-    for (const [guideId, data] of Object.entries(guideBookings)) {
-        const docRef = db.collection('pickup_assignments').doc(`${dateStr}_${guideId}`);
+    const cacheRef = db.collection('cached_bookings').doc(dateStr);
+    batch.set(cacheRef, { bookings: updatedBookings, updatedAt: now }, { merge: true });
+}
+
+/**
+ * Add the bus_guide_assignments writes for a plan to a batch.
+ */
+function writeBusAssignments(batch, dateStr, plan) {
+    for (const route of plan.routes) {
+        if (!route.busId) continue;
+        const docRef = db.collection('bus_guide_assignments').doc(`${dateStr}_${route.guideId}`);
         batch.set(docRef, {
-            guideId: data.guideId,
-            guideName: data.guideName,
+            guideId: route.guideId,
+            guideName: route.guideName,
+            busId: route.busId,
+            busName: route.busName || 'Unknown Bus',
             date: dateStr,
-            totalPassengers: data.totalPassengers,
-            bookings: data.bookings.map(b => ({
-                id: b.id || b.bookingId,
-                customerFullName: b.customerFullName || b.customerName || '',
-                pickupPlaceName: b.pickupPlaceName || b.pickupLocation || '',
-                pickupTime: b.pickupTime || '',
-                numberOfGuests: b.totalParticipants || b.numberOfGuests || 0,
-                phoneNumber: b.customerPhone || b.phoneNumber || '',
-                email: b.customerEmail || b.email || '',
-                confirmationCode: b.confirmationCode || '',
-            })),
             updatedAt: new Date().toISOString(),
             autoDispatched: true,
         }, { merge: true });
+
+        console.log(`🚌 Assigned bus ${route.busName} to ${route.guideName}`);
     }
+}
 
-    // Also update cached_bookings with guide assignments
-    const updatedBookings = bookings.map(booking => {
-        const bookingId = booking.id || booking.bookingId;
-        for (const [guideId, data] of Object.entries(guideBookings)) {
-            if (data.bookings.some(b => (b.id || b.bookingId) === bookingId)) {
-                return { ...booking, assignedGuideId: guideId, assignedGuideName: data.guideName };
-            }
+/**
+ * Distribute one departure's bookings to guides as capacity-limited,
+ * route-optimised pickup runs.
+ * Writes pickup_assignments, cached_bookings and bus_guide_assignments in one batch.
+ * Returns the route plan, or null if there was nothing to distribute.
+ */
+async function distributeBookings(dateStr, departure, guides, excludeBusIds = []) {
+    if (guides.length === 0 || departure.bookings.length === 0) return null;
+
+    const plan = await buildDispatchPlan(departure, guides, excludeBusIds);
+
+    for (const route of plan.routes) {
+        for (const stop of route.stops) {
+            console.log(`🚌 #${stop.stopOrder} ${stop.name} (${stop.passengers}pax, ~${stop.estimatedPickupTime || '?'}) → ${route.guideName}`);
         }
-        return booking;
-    });
+    }
+    for (const over of plan.overCapacity) {
+        console.log(`⚠️ Over capacity: guide ${over.guideId} has ${over.passengers}/${over.capacity} pax`);
+    }
 
-    const cacheRef = db.collection('cached_bookings').doc(dateStr);
-    batch.set(cacheRef, { bookings: updatedBookings, updatedAt: new Date().toISOString() }, { merge: true });
+    // Re-read the night so other departures' assignments are preserved
+    const allBookings = await getTodayBookings(dateStr);
 
+    const batch = db.batch();
+    writeDispatchPlan(batch, dateStr, allBookings, plan);
+    writeBusAssignments(batch, dateStr, plan);
     await batch.commit();
 
-    // Also write individual assignment docs per booking
-    const individualBatch = db.batch();
-    for (const [guideId, data] of Object.entries(guideBookings)) {
-        for (const booking of data.bookings) {
-            const bookingId = booking.id || booking.bookingId;
-            if (bookingId) {
-                const ref = db.collection('pickup_assignments').doc(`${dateStr}_booking_${bookingId}`);
-                individualBatch.set(ref, {
+    // Log final distribution
+    for (const route of plan.routes) {
+        console.log(`  📋 ${route.guideName}: ${route.totalPassengers}/${route.capacity} pax, ${route.stops.length} stops`);
+    }
+    console.log(`✅ Distributed ${departure.bookings.length} bookings (${departure.label}) to ${guides.length} guides`);
+    return plan;
+}
+
+// ============================================
+// DRY-RUN PREVIEW & DIFF
+// ============================================
+
+/**
+ * Fingerprint of the bookings a plan was built from, used to detect
+ * that cached_bookings changed between preview and confirm.
+ */
+function fingerprintBookings(bookings) {
+    const parts = bookings
+        .map(b => `${b.id || b.bookingId}:${getBookingPax(b)}:${getPlaceKey(b.pickupPlaceName || b.pickupLocation)}`)
+        .sort();
+    return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Read the current guide-to-booking and guide-to-bus assignments for a date.
+ */
+async function getCurrentAssignments(dateStr) {
+    const [pickupSnap, busSnap, shiftSnap] = await Promise.all([
+        db.collection('pickup_assignments').where('date', '==', dateStr).get(),
+        db.collection('bus_guide_assignments').where('date', '==', dateStr).get(),
+        db.collection('shifts').where('date', '==', dateStr).get(),
+    ]);
+
+    const shiftStatus = {};
+    for (const doc of shiftSnap.docs) {
+        shiftStatus[doc.id] = doc.data().status || '';
+    }
+
+    const guides = {};
+    const bookingGuide = {};
+    for (const doc of pickupSnap.docs) {
+        const data = doc.data();
+        // Guide-level docs carry a bookings array; per-booking docs do not
+        if (!Array.isArray(data.bookings) || !data.guideId) continue;
+        if (data.bookings.length === 0) continue;
+        guides[data.guideId] = {
+            guideId: data.guideId,
+            guideName: data.guideName || 'Unknown',
+            totalPassengers: data.totalPassengers || 0,
+            busId: null,
+            busName: null,
+        };
+        for (const b of data.bookings) {
+            if (b.id) bookingGuide[b.id] = { guideId: data.guideId, guideName: data.guideName || 'Unknown' };
+        }
+    }
+    for (const doc of busSnap.docs) {
+        const data = doc.data();
+        if (!data.guideId) continue;
+        if (!guides[data.guideId]) {
+            guides[data.guideId] = {
+                guideId: data.guideId,
+                guideName: data.guideName || 'Unknown',
+                totalPassengers: 0,
+                busId: null,
+                busName: null,
+            };
+        }
+        guides[data.guideId].busId = data.busId || null;
+        guides[data.guideId].busName = data.busName || null;
+    }
+
+    return { guides, bookingGuide, shiftStatus };
+}
+
+/**
+ * Fingerprint of the current assignments and shift statuses, used to detect
+ * edits made by someone else (or a guide withdrawing) between preview and confirm.
+ */
+function fingerprintAssignments(current) {
+    const parts = [
+        ...Object.entries(current.bookingGuide).map(([id, g]) => `b${id}:${g.guideId}`),
+        ...Object.values(current.guides).map(g => `g${g.guideId}:${g.busId || ''}`),
+        ...Object.entries(current.shiftStatus || {}).map(([id, status]) => `s${id}:${status}`),
+    ].sort();
+    return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Compare a proposed plan against the current assignments.
+ * Pure function - exported for testing.
+ */
+function diffDispatchPlan(plan, current) {
+    const bookingsMoved = [];
+    const bookingsNewlyAssigned = [];
+    let unchanged = 0;
+
+    for (const route of plan.routes) {
+        for (const stop of route.stops) {
+            for (const b of stop.bookings) {
+                const bookingId = b.id || b.bookingId;
+                const before = current.bookingGuide[bookingId];
+                const entry = {
                     bookingId,
-                    guideId: data.guideId,
-                    guideName: data.guideName,
-                    date: dateStr,
-                    updatedAt: new Date().toISOString(),
-                    autoDispatched: true,
-                }, { merge: true });
+                    customerFullName: b.customerFullName || b.customerName || '',
+                    passengers: getBookingPax(b),
+                    toGuideId: route.guideId,
+                    toGuideName: route.guideName,
+                };
+                if (!before) {
+                    bookingsNewlyAssigned.push(entry);
+                } else if (before.guideId !== route.guideId) {
+                    bookingsMoved.push({ ...entry, fromGuideId: before.guideId, fromGuideName: before.guideName });
+                } else {
+                    unchanged++;
+                }
             }
         }
     }
-    await individualBatch.commit();
 
-    // Log final distribution
-    for (const [guideId, data] of Object.entries(guideBookings)) {
-        const places = [...new Set(data.bookings.map(b => b.pickupPlaceName || b.pickupLocation || ''))];
-        console.log(`  📋 ${data.guideName}: ${data.totalPassengers} pax, ${places.length} stops`);
-    }
-    console.log(`✅ Distributed ${bookings.length} bookings to ${guides.length} guides`);
-    return true;
+    const plannedGuideIds = new Set(plan.routes.map(r => r.guideId));
+    const guidesAdded = plan.routes
+        .filter(r => !current.guides[r.guideId])
+        .map(r => ({ guideId: r.guideId, guideName: r.guideName }));
+    const guidesRemoved = Object.values(current.guides)
+        .filter(g => !plannedGuideIds.has(g.guideId))
+        .map(g => ({ guideId: g.guideId, guideName: g.guideName }));
+
+    const busChanges = plan.routes
+        .filter(r => current.guides[r.guideId] && r.busId && current.guides[r.guideId].busId !== r.busId)
+        .map(r => ({
+            guideId: r.guideId,
+            guideName: r.guideName,
+            fromBusId: current.guides[r.guideId].busId,
+            fromBusName: current.guides[r.guideId].busName,
+            toBusId: r.busId,
+            toBusName: r.busName,
+        }));
+
+    const overCapacity = plan.overCapacity.map(over => {
+        const route = plan.routes.find(r => r.guideId === over.guideId) || {};
+        return { ...over, guideName: route.guideName || null, busName: route.busName || null };
+    });
+
+    return {
+        bookingsMoved,
+        bookingsNewlyAssigned,
+        guidesAdded,
+        guidesRemoved,
+        busChanges,
+        overCapacity,
+        unknownCapacity: plan.unknownCapacity || [],
+        unstaffedDepartures: plan.unstaffed || [],
+        unchanged,
+    };
 }
 
 /**
- * Assign buses to guides (one per guide, by priority order)
+ * Serialise a plan for Firestore / callable responses (bookings reduced to summaries).
  */
-async function assignBuses(dateStr, guides) {
-    const buses = await getAvailableBuses();
-    const batch = db.batch();
+function serializePlan(plan) {
+    return plan.routes.map(route => ({
+        guideId: route.guideId,
+        guideName: route.guideName,
+        departureKey: route.departureKey || null,
+        departureLabel: route.departureLabel || null,
+        busId: route.busId,
+        busName: route.busName,
+        capacity: route.capacity,
+        seatsKnown: route.seatsKnown !== false,
+        totalPassengers: route.totalPassengers,
+        stops: route.stops.map(stop => ({
+            stopOrder: stop.stopOrder,
+            name: stop.name,
+            latitude: stop.latitude ?? null,
+            longitude: stop.longitude ?? null,
+            isHarbour: stop.isHarbour,
+            passengers: stop.passengers,
+            estimatedPickupTime: stop.estimatedPickupTime,
+            bookings: stop.bookings.map(b => ({
+                id: b.id || b.bookingId,
+                customerFullName: b.customerFullName || b.customerName || '',
+                confirmationCode: b.confirmationCode || '',
+                passengers: getBookingPax(b),
+            })),
+        })),
+    }));
+}
 
-    for (let i = 0; i < guides.length && i < buses.length; i++) {
-        const guide = guides[i];
-        const bus = buses[i];
-        const docRef = db.collection('bus_guide_assignments').doc(`${dateStr}_${guide.guideId}`);
+/**
+ * Rebuild a plan from its serialised form against the live bookings.
+ */
+function deserializePlan(routes, bookings) {
+    const byId = {};
+    for (const b of bookings) byId[b.id || b.bookingId] = b;
+    const plan = {
+        routes: routes.map(route => ({
+            ...route,
+            stops: route.stops.map(stop => ({
+                ...stop,
+                bookings: stop.bookings.map(b => byId[b.id]).filter(Boolean),
+            })),
+        })),
+        overCapacity: [],
+        unknownCapacity: [],
+    };
+    return plan;
+}
 
-        batch.set(docRef, {
-            guideId: guide.guideId,
-            guideName: guide.guideName,
-            busId: bus.id,
-            busName: bus.name || 'Unknown Bus',
-            date: dateStr,
-            updatedAt: new Date().toISOString(),
-            autoDispatched: true,
-        }, { merge: true });
+/**
+ * Dry-run: build the plan dispatch would apply right now, diff it against
+ * the current assignments and store it in auto_dispatch_previews.
+ * Nothing in pickup_assignments, cached_bookings, shifts or
+ * bus_guide_assignments is touched.
+ */
+async function previewAutoDispatch(dateStr, requestedBy) {
+    const bookings = await getTodayBookings(dateStr);
+    if (bookings.length === 0) {
+        return { action: 'none', reason: 'no_bookings', dryRun: true };
+    }
 
-        console.log(`🚌 Assigned bus ${bus.name} to ${guide.guideName}`);
+    const totalPax = getTotalPassengers(bookings);
+    const guidesNeeded = groupDepartures(bookings)
+        .reduce((sum, departure) => sum + calculateDepartureGuidesNeeded(departure), 0);
+    const { guides, toAccept, ranked, slots } = await selectTopGuides(dateStr, guidesNeeded, { totalPassengers: totalPax });
+    if (guides.length === 0) {
+        return { action: 'failed', reason: 'no_guides', dryRun: true };
     }
 
-    await batch.commit();
+    const [plan, current] = await Promise.all([
+        buildNightPlan(bookings, guides),
+        getCurrentAssignments(dateStr),
+    ]);
+    const diff = diffDispatchPlan(plan, current);
+    const routes = serializePlan(plan);
+
+    const previewRef = db.collection('auto_dispatch_previews').doc();
+    await previewRef.set({
+        date: dateStr,
+        status: 'pending',
+        requestedBy: requestedBy || null,
+        createdAt: new Date().toISOString(),
+        totalPassengers: totalPax,
+        guidesNeeded,
+        bookingsFingerprint: fingerprintBookings(bookings),
+        assignmentsFingerprint: fingerprintAssignments(current),
+        shiftsToAccept: toAccept.map((g, i) => ({
+            shiftId: g.shiftId,
+            guideId: g.guideId,
+            guideName: g.guideName,
+            rank: i + 1,
+        })),
+        ranking: {
+            slots,
+            candidates: ranked.map(g => ({
+                guideId: g.guideId,
+                guideName: g.guideName,
+                shiftId: g.shiftId,
+                score: g.score,
+                components: g.components,
+                previousDecision: g.previousDecision || null,
+            })),
+        },
+        routes,
+        diff,
+    });
+
+    console.log(`🔍 Dispatch preview ${previewRef.id}: ${diff.bookingsMoved.length} moved, ${diff.bookingsNewlyAssigned.length} new, ${diff.overCapacity.length} over capacity`);
+
+    return {
+        action: 'preview',
+        dryRun: true,
+        previewId: previewRef.id,
+        date: dateStr,
+        totalPassengers: totalPax,
+        guidesNeeded,
+        shiftsToAccept: toAccept.map(g => ({ guideId: g.guideId, guideName: g.guideName })),
+        routes,
+        diff,
+    };
 }
 
 /**
- * Check if bookings are already distributed for a date
+ * Apply a stored preview as a single Firestore transaction: shift accepts,
+ * pickup_assignments, cached_bookings, bus_guide_assignments and the
+ * dispatch log all land together or not at all. The shifts to accept are
+ * re-read inside the transaction, so a shift withdrawn after the
+ * fingerprint check is never overwritten.
  */
-async function isAlreadyDistributed(dateStr) {
-    const snapshot = await db.collection('pickup_assignments')
-        .where('date', '==', dateStr)
-        .limit(1)
-        .get();
+async function confirmAutoDispatchPreview(previewId, confirmedBy) {
+    const previewRef = db.collection('auto_dispatch_previews').doc(previewId);
+    const previewDoc = await previewRef.get();
+    if (!previewDoc.exists) {
+        throw new Error('Preview not found');
+    }
 
-    if (snapshot.empty) return false;
+    const preview = previewDoc.data();
+    if (preview.status !== 'pending') {
+        throw new Error(`Preview is already ${preview.status}`);
+    }
 
-    // Check if any assignment has bookings
-    for (const doc of snapshot.docs) {
-        const data = doc.data();
-        if (data.bookings && data.bookings.length > 0) return true;
+    const dateStr = preview.date;
+    const [bookings, current] = await Promise.all([
+        getTodayBookings(dateStr),
+        getCurrentAssignments(dateStr),
+    ]);
+
+    if (fingerprintBookings(bookings) !== preview.bookingsFingerprint ||
+        fingerprintAssignments(current) !== preview.assignmentsFingerprint) {
+        await previewRef.update({ status: 'stale', staleAt: new Date().toISOString() });
+        throw new Error('Bookings or assignments changed since this preview was made. Run a new preview.');
+    }
+
+    const plan = deserializePlan(preview.routes, bookings);
+    const now = new Date().toISOString();
+    const shiftsToAccept = preview.shiftsToAccept || [];
+
+    const withdrawn = await db.runTransaction(async (transaction) => {
+        const shiftDocs = await Promise.all(shiftsToAccept.map(shift =>
+            transaction.get(db.collection('shifts').doc(shift.shiftId))));
+        const notApplied = shiftsToAccept.filter((shift, i) =>
+            !shiftDocs[i].exists || shiftDocs[i].data().status !== 'applied');
+        if (notApplied.length > 0) {
+            transaction.update(previewRef, { status: 'stale', staleAt: now });
+            return notApplied;
+        }
+
+        for (const shift of shiftsToAccept) {
+            transaction.update(db.collection('shifts').doc(shift.shiftId), {
+                status: 'accepted',
+                updatedAt: now,
+                adminNote: `Auto-accepted by system (ranked #${shift.rank}, confirmed preview)`,
+            });
+        }
+
+        writeDispatchPlan(transaction, dateStr, bookings, plan);
+        writeBusAssignments(transaction, dateStr, plan);
+
+        // Guides dropped from the plan lose their run
+        for (const removed of preview.diff.guidesRemoved || []) {
+            transaction.set(db.collection('pickup_assignments').doc(`${dateStr}_${removed.guideId}`), {
+                bookings: [],
+                route: [],
+                totalPassengers: 0,
+                updatedAt: now,
+            }, { merge: true });
+            transaction.delete(db.collection('bus_guide_assignments').doc(`${dateStr}_${removed.guideId}`));
+        }
+
+        const departureKeys = new Set(plan.routes.map(route => route.departureKey).filter(Boolean));
+        for (const departureKey of departureKeys) {
+            const action = `dispatch_30min_${departureKey}`;
+            transaction.set(db.collection('auto_dispatch_log').doc(`${dateStr}_${action}`), {
+                date: dateStr,
+                action,
+                executedAt: now,
+                previewId,
+            });
+        }
+        transaction.update(previewRef, { status: 'confirmed', confirmedBy: confirmedBy || null, confirmedAt: now });
+        return [];
+    });
+
+    if (withdrawn.length > 0) {
+        const names = withdrawn.map(shift => shift.guideName).join(', ');
+        throw new Error(`Shifts no longer applied for (${names}). Run a new preview.`);
     }
-    return false;
+    console.log(`✅ Dispatch preview ${previewId} confirmed by ${confirmedBy}`);
+
+    if (preview.ranking && preview.ranking.candidates.length > 0) {
+        try {
+            const acceptedIds = new Set((preview.shiftsToAccept || []).map(shift => shift.guideId));
+            await recordRankingOutcome(dateStr, preview.ranking.candidates, acceptedIds, preview.ranking.slots,
+                { totalPassengers: preview.totalPassengers });
+        } catch (e) {
+            console.error('❌ Failed to record ranking outcome:', e.message);
+        }
+    }
+
+    return {
+        action: 'dispatched',
+        previewId,
+        date: dateStr,
+        guides: plan.routes.length,
+        bookings: bookings.length,
+    };
 }
 
 /**
@@ -452,6 +1133,107 @@ async function hasAlreadyRun(dateStr, action) {
 // MAIN AUTO-DISPATCH LOGIC
 // ============================================
 
+/**
+ * Guide and bus ids already out on other departures tonight
+ */
+function getBusyResources(departure, allBookings, current) {
+    const busyGuideIds = new Set();
+    for (const booking of allBookings) {
+        if (getDepartureKey(booking) === departure.key) continue;
+        const assigned = current.bookingGuide[booking.id || booking.bookingId];
+        const guideId = booking.assignedGuideId || (assigned && assigned.guideId);
+        if (guideId) busyGuideIds.add(guideId);
+    }
+    const busyBusIds = [...busyGuideIds]
+        .map(guideId => current.guides[guideId] && current.guides[guideId].busId)
+        .filter(Boolean);
+    return { busyGuideIds, busyBusIds };
+}
+
+/**
+ * Run the 30-minute and 10-minute triggers for one departure
+ */
+async function runDepartureTriggers(dateStr, departure, allBookings, icelandNow, night) {
+    const earliestPickup = departure.earliestPickupMinutes;
+    if (earliestPickup === null) {
+        console.log(`⚠️ ${departure.label}: no valid pickup times found`);
+        return { action: 'none', departure: departure.key, reason: 'no_pickup_times' };
+    }
+
+    const minutesUntilPickup = earliestPickup - icelandNow;
+    console.log(`⏰ ${departure.label}: ${minutesUntilPickup} minutes until earliest pickup`);
+    if (minutesUntilPickup > 30 || minutesUntilPickup <= 0) {
+        return { action: 'none', departure: departure.key, minutesUntilPickup };
+    }
+
+    const current = await getCurrentAssignments(dateStr);
+    const isAssigned = (b) => Boolean(b.assignedGuideId || current.bookingGuide[b.id || b.bookingId]);
+    const distributed = departure.bookings.some(isAssigned);
+    const { busyGuideIds, busyBusIds } = getBusyResources(departure, allBookings, current);
+
+    // === 30-MIN AUTO-DISPATCH ===
+    const dispatchAction = `dispatch_30min_${departure.key}`;
+    if (!distributed && !(await hasAlreadyRun(dateStr, dispatchAction))) {
+        console.log(`🤖 30-min auto-dispatch triggered for ${departure.label}!`);
+
+        // Accept guides for the whole night if not already done
+        const accepted = await autoAcceptTopGuides(dateStr, night.guidesNeeded, { totalPassengers: night.totalPax });
+        const selectedGuides = accepted
+            .filter(g => !busyGuideIds.has(g.guideId))
+            .slice(0, calculateDepartureGuidesNeeded(departure));
+        if (selectedGuides.length === 0) {
+            console.log(`⚠️ No guides available for ${departure.label}`);
+            return { action: 'failed', departure: departure.key, reason: 'no_guides' };
+        }
+
+        const plan = await distributeBookings(dateStr, departure, selectedGuides, busyBusIds);
+        await markDispatched(dateStr, dispatchAction);
+
+        const guideNames = selectedGuides.map(g => g.guideName).join(', ');
+        const unknownSeats = (plan?.unknownCapacity || []).map(r => r.busName || 'no bus');
+        await sendNotificationToAdminsOnly(
+            '🤖 Auto-Dispatch Complete',
+            `${departure.label}: distributed ${departure.bookings.length} bookings to ${selectedGuides.length} guides: ${guideNames}` +
+                (unknownSeats.length ? `. No seat count for ${unknownSeats.join(', ')} - planned with the default` : ''),
+            { type: 'auto_dispatch', date: dateStr, departure: departure.key, guides: guideNames, bookings: departure.bookings.length }
+        );
+
+        return { action: 'dispatched', departure: departure.key, guides: selectedGuides.length, bookings: departure.bookings.length };
+    }
+
+    // === 10-MIN LAST-MINUTE RE-DISPATCH ===
+    // Late bookings are normally slotted in by the dispatch reconciler; this
+    // is the safety net for anything it could not place.
+    if (minutesUntilPickup <= 10 && distributed) {
+        const unassigned = departure.bookings.filter(b => !isAssigned(b));
+        const action = `lastminute_${departure.key}_${Math.floor(icelandNow / 5)}`;
+        if (unassigned.length > 0 && !(await hasAlreadyRun(dateStr, action))) {
+            console.log(`🤖 Last-minute (${departure.label}): ${unassigned.length} unassigned bookings`);
+
+            // Redistribute among the guides already running this departure
+            const departureGuideIds = new Set(departure.bookings
+                .filter(isAssigned)
+                .map(b => b.assignedGuideId || current.bookingGuide[b.id || b.bookingId].guideId));
+            const acceptedGuides = (await getAcceptedGuides(dateStr))
+                .filter(g => departureGuideIds.has(g.guideId));
+            if (acceptedGuides.length > 0) {
+                await distributeBookings(dateStr, departure, acceptedGuides, busyBusIds);
+                await markDispatched(dateStr, action);
+
+                await sendNotificationToAdminsOnly(
+                    '🤖 Last-Minute Redistribution',
+                    `${departure.label}: ${unassigned.length} new bookings redistributed to ${acceptedGuides.length} guides`,
+                    { type: 'last_minute_dispatch', date: dateStr, departure: departure.key, newBookings: unassigned.length }
+                );
+
+                return { action: 'last_minute', departure: departure.key, newBookings: unassigned.length };
+            }
+        }
+    }
+
+    return { action: 'none', departure: departure.key, minutesUntilPickup };
+}
+
 async function runAutoDispatch() {
     const dateStr = getTodayDateStr();
     const icelandNow = getIcelandMinutesSinceMidnight();
@@ -466,13 +1248,18 @@ async function runAutoDispatch() {
         return { action: 'none', reason: 'no_bookings' };
     }
 
+    // Each product/start time (and each private booking) is its own departure
+    const departures = groupDepartures(bookings);
     const totalPax = getTotalPassengers(bookings);
-    const guidesNeeded = calculateGuidesNeeded(totalPax);
-    console.log(`📊 ${bookings.length} bookings, ${totalPax} passengers, need ${guidesNeeded} guides`);
+    const guidesNeeded = departures.reduce((sum, d) => sum + calculateDepartureGuidesNeeded(d), 0);
+    console.log(`📊 ${bookings.length} bookings, ${totalPax} passengers, ${departures.length} departure(s), need ${guidesNeeded} guides`);
+    for (const departure of departures) {
+        console.log(`  🕐 ${departure.label}: ${departure.bookings.length} bookings, ${departure.totalPassengers} pax, need ${calculateDepartureGuidesNeeded(departure)} guides`);
+    }
 
     // === NOON AUTO-ACCEPT ===
     if (icelandHour >= 12 && !(await hasAlreadyRun(dateStr, 'noon_accept'))) {
-        const appliedGuides = await getAppliedGuides(dateStr);
+        const appliedGuides = await getAppliedGuides(dateStr, { totalPassengers: totalPax });
         const alreadyAccepted = await getAcceptedGuides(dateStr);
         const totalAvailable = appliedGuides.length + alreadyAccepted.length;
 
@@ -489,7 +1276,7 @@ async function runAutoDispatch() {
 
         if (appliedGuides.length > 0 || alreadyAccepted.length < guidesNeeded) {
             console.log(`🕛 Noon auto-accept: ${appliedGuides.length} applied, ${alreadyAccepted.length} already accepted, need ${guidesNeeded}`);
-            const accepted = await autoAcceptTopGuides(dateStr, guidesNeeded);
+            const accepted = await autoAcceptTopGuides(dateStr, guidesNeeded, { totalPassengers: totalPax });
             await markDispatched(dateStr, 'noon_accept');
 
             const acceptedNames = accepted.map(g => g.guideName).join(', ');
@@ -506,75 +1293,26 @@ async function runAutoDispatch() {
         }
     }
 
-    // === 30-MIN AUTO-DISPATCH ===
-    const earliestPickup = getEarliestPickupMinutes(bookings);
-    if (earliestPickup === null) {
-        console.log('⚠️ No valid pickup times found');
-        return { action: 'none', reason: 'no_pickup_times' };
-    }
-
-    const minutesUntilPickup = earliestPickup - icelandNow;
-    console.log(`⏰ ${minutesUntilPickup} minutes until earliest pickup`);
-
-    if (minutesUntilPickup <= 30 && minutesUntilPickup > 0) {
-        const distributed = await isAlreadyDistributed(dateStr);
-
-        if (!distributed && !(await hasAlreadyRun(dateStr, 'dispatch_30min'))) {
-            console.log(`🤖 30-min auto-dispatch triggered!`);
-
-            // Accept guides if not already done
-            const selectedGuides = await autoAcceptTopGuides(dateStr, guidesNeeded);
-            if (selectedGuides.length === 0) {
-                console.log('⚠️ No guides available');
-                return { action: 'failed', reason: 'no_guides' };
-            }
-
-            // Distribute
-            await distributeBookings(dateStr, bookings, selectedGuides);
-
-            // Assign buses
-            await assignBuses(dateStr, selectedGuides);
-
-            await markDispatched(dateStr, 'dispatch_30min');
-
-            const guideNames = selectedGuides.map(g => g.guideName).join(', ');
-            await sendNotificationToAdminsOnly(
-                '🤖 Auto-Dispatch Complete',
-                `Distributed ${bookings.length} bookings to ${selectedGuides.length} guides: ${guideNames}`,
-                { type: 'auto_dispatch', date: dateStr, guides: guideNames, bookings: bookings.length }
-            );
-
-            return { action: 'dispatched', guides: selectedGuides.length, bookings: bookings.length };
+    // === PER-DEPARTURE TRIGGERS ===
+    const results = [];
+    let nextPickupMinutes = null;
+    for (const departure of departures) {
+        const result = await runDepartureTriggers(dateStr, departure, bookings, icelandNow, { guidesNeeded, totalPax });
+        if (result.action !== 'none') {
+            results.push(result);
+        } else if (result.minutesUntilPickup > 0 &&
+            (nextPickupMinutes === null || result.minutesUntilPickup < nextPickupMinutes)) {
+            nextPickupMinutes = result.minutesUntilPickup;
         }
     }
 
-    // === 10-MIN LAST-MINUTE RE-DISPATCH ===
-    if (minutesUntilPickup <= 10 && minutesUntilPickup > 0) {
-        const distributed = await isAlreadyDistributed(dateStr);
-        if (distributed) {
-            // Check for unassigned bookings
-            const unassigned = bookings.filter(b => !b.assignedGuideId);
-            if (unassigned.length > 0 && !(await hasAlreadyRun(dateStr, `lastminute_${Math.floor(icelandNow / 5)}`))) {
-                console.log(`🤖 Last-minute: ${unassigned.length} unassigned bookings`);
-
-                const acceptedGuides = await getAcceptedGuides(dateStr);
-                if (acceptedGuides.length > 0) {
-                    await distributeBookings(dateStr, bookings, acceptedGuides);
-                    await markDispatched(dateStr, `lastminute_${Math.floor(icelandNow / 5)}`);
-
-                    await sendNotificationToAdminsOnly(
-                        '🤖 Last-Minute Redistribution',
-                        `${unassigned.length} new bookings redistributed to ${acceptedGuides.length} guides`,
-                        { type: 'last_minute_dispatch', date: dateStr, newBookings: unassigned.length }
-                    );
-
-                    return { action: 'last_minute', newBookings: unassigned.length };
-                }
-            }
-        }
-    }
+    if (results.length === 1) return results[0];
+    if (results.length > 1) return { action: 'multiple', results };
 
-    return { action: 'none', reason: 'no_action_needed', minutesUntilPickup };
+    if (departures.every(d => d.earliestPickupMinutes === null)) {
+        return { action: 'none', reason: 'no_pickup_times' };
+    }
+    return { action: 'none', reason: 'no_action_needed', minutesUntilPickup: nextPickupMinutes };
 }
 
 // ============================================
@@ -603,8 +1341,46 @@ const autoDispatchScheduled = onSchedule(
     }
 );
 
+/**
+ * Scheduled: copy Bokun pickup places into pickup_places every morning
+ */
+const syncPickupPlacesScheduled = onSchedule(
+    {
+        schedule: 'every day 06:00',
+        timeZone: 'Atlantic/Reykjavik',
+        region: 'us-central1',
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async () => {
+        try {
+            return await syncPickupPlaces();
+        } catch (error) {
+            console.error('❌ Pickup place sync failed:', error);
+            return null;
+        }
+    }
+);
+
+/**
+ * Sync pickup places now (e.g. after adding a product)
+ */
+const syncPickupPlacesManual = onCall(
+    {
+        region: 'us-central1',
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+        console.log('📍 Pickup place sync requested by:', request.auth.uid);
+        return await syncPickupPlaces();
+    }
+);
+
 /**
  * Manual trigger for auto-dispatch (for testing or forcing)
+ * Pass { dryRun: true } to get a preview + diff instead of writing.
  */
 const autoDispatchManual = onCall(
     { region: 'us-central1' },
@@ -612,15 +1388,47 @@ const autoDispatchManual = onCall(
         if (!request.auth) {
             throw new Error('Authentication required');
         }
+        const { dryRun, date } = request.data || {};
+        if (dryRun) {
+            console.log('🔍 Dry-run auto-dispatch requested by:', request.auth.uid);
+            return await previewAutoDispatch(date || getTodayDateStr(), request.auth.uid);
+        }
         console.log('🤖 Manual auto-dispatch triggered by:', request.auth.uid);
         return await runAutoDispatch();
     }
 );
 
+/**
+ * Confirm a dry-run preview and apply it as a single commit
+ */
+const confirmAutoDispatch = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+        const { previewId } = request.data || {};
+        if (!previewId) {
+            throw new Error('previewId is required');
+        }
+        return await confirmAutoDispatchPreview(previewId, request.auth.uid);
+    }
+);
+
 module.exports = {
     autoDispatchScheduled,
     autoDispatchManual,
+    confirmAutoDispatch,
+    syncPickupPlacesScheduled,
+    syncPickupPlacesManual,
+    // Shared with the dispatch reconciler
+    getPickupPlaceCoordinates,
+    writeDispatchPlan,
     // Exported for testing
     calculateGuidesNeeded,
+    calculateDepartureGuidesNeeded,
+    getBokunPlaceCoordinates,
+    diffDispatchPlan,
+    fingerprintAssignments,
     runAutoDispatch,
 };
@@ -0,0 +1,396 @@
+/**
+ * Bokun Webhook Module
+ * Receives booking created/updated/cancelled webhooks from Bokun and
+ * applies them to our caches without waiting for the next full refresh.
+ *
+ * Endpoint:
+ * - bokunWebhook (HTTPS): verifies the x-bokun-hmac signature and the signed
+ *   x-bokun-date, then re-fetches the booking named by the signed
+ *   x-bokun-booking-id from Bokun and upserts it into cached_bookings/{date}
+ *   and ai_booking_cache/current. The request body is not trusted: the HMAC
+ *   covers only the x-bokun-* headers. A cancellation stays in
+ *   cached_bookings with status CANCELLED (so the dispatch reconciler frees
+ *   its seats and tells the guide), and a rescheduled booking is marked
+ *   CANCELLED with movedTo on its old date. The AI cache marks cancellations
+ *   CANCELLED too. Dates with
+ *   no cached_bookings doc yet are left to the full refresh. Redelivered
+ *   events are recognised and ignored.
+ *
+ * Collections:
+ * - bokun_webhook_events/{eventKey}    - processed events (idempotency)
+ * - bokun_webhook_bookings/{bookingId} - last known tour date per booking,
+ *                                        so a reschedule is moved between dates
+ * - bokun_webhook_dead_letters/{id}    - events we could not process
+ *
+ * Callable:
+ * - replayBokunDeadLetter: re-run a dead-lettered event after fixing the cause
+ */
+const { onRequest, onCall } = require('firebase-functions/v2/https');
+const crypto = require('crypto');
+const { db } = require('../utils/firebase');
+const { makeBokunRequest } = require('../utils/bokun_client');
+const {
+    isCancelledBooking,
+    getBookingDate,
+    toDateString,
+    toCachedBooking,
+    toAiCacheBooking,
+    upsertBookingInList,
+    markBookingCancelledInList,
+    isCancelledEntry,
+    liveBookings,
+} = require('../utils/bokun_booking');
+
+const TOPIC_ACTIONS = {
+    'bookings/create': 'upsert',
+    'bookings/update': 'upsert',
+    'bookings/cancel': 'cancel',
+};
+
+// Signed x-bokun-date headers further than this from our clock are rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// ============================================
+// SIGNATURE & PARSING (pure)
+// ============================================
+
+/**
+ * Lower-cased x-bokun-* headers, excluding the signature itself
+ */
+function getBokunHeaders(headers) {
+    const result = {};
+    for (const [key, value] of Object.entries(headers || {})) {
+        const name = key.toLowerCase();
+        if (name.startsWith('x-bokun-') && name !== 'x-bokun-hmac') {
+            result[name] = Array.isArray(value) ? value.join(',') : String(value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Bokun signs webhooks with HMAC-SHA256 (hex) over all x-bokun-* headers except
+ * x-bokun-hmac, sorted by name and joined as "name=value&name=value".
+ */
+function computeWebhookSignature(headers, secret) {
+    const bokunHeaders = getBokunHeaders(headers);
+    const message = Object.keys(bokunHeaders)
+        .sort()
+        .map(name => `${name}=${bokunHeaders[name]}`)
+        .join('&');
+    return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+function verifyWebhookSignature(headers, secret) {
+    const received = String(headers['x-bokun-hmac'] || '').toLowerCase();
+    if (!received || !secret) return false;
+    const expected = computeWebhookSignature(headers, secret);
+    const a = Buffer.from(received);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Parse a signed x-bokun-date header: "yyyy-MM-dd HH:mm:ss" (UTC, as Bokun
+ * writes it), ISO 8601 or epoch milliseconds. Returns ms or null.
+ */
+function parseBokunDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    if (/^\d{12,}$/.test(text)) return Number(text);
+    const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text;
+    const ms = Date.parse(iso);
+    return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Whether the signed x-bokun-date (when Bokun sends one) is within
+ * MAX_CLOCK_SKEW_MS of now. A captured request cannot be replayed later
+ * with a fresh date, because the date is part of the signature.
+ */
+function isWebhookFresh(headers, now = Date.now()) {
+    const value = headers['x-bokun-date'];
+    if (value === undefined) return true;
+    const sentAt = parseBokunDate(value);
+    return sentAt !== null && Math.abs(now - sentAt) <= MAX_CLOCK_SKEW_MS;
+}
+
+/**
+ * Stable key for an event: same topic + same payload = same event
+ */
+function getEventKey(topic, rawBody) {
+    return crypto.createHash('sha256').update(`${topic}\n${rawBody}`).digest('hex').substring(0, 40);
+}
+
+// ============================================
+// CACHE UPDATES
+// ============================================
+
+/**
+ * Fetch the booking from Bokun; the webhook body is never used as its content
+ */
+async function fetchFullBooking(bookingId) {
+    const accessKey = process.env.BOKUN_ACCESS_KEY;
+    const secretKey = process.env.BOKUN_SECRET_KEY;
+    return await makeBokunRequest('GET', `/booking.json/${bookingId}`, null, accessKey, secretKey);
+}
+
+/**
+ * A cached_bookings list after a webhook for this booking (pure).
+ * Cancellations stay in the list, marked CANCELLED, so the reconciler and
+ * readers can filter them; with movedTo (the date a reschedule moved it to)
+ * the entry on this date is marked CANCELLED. Returns null for no change.
+ */
+function applyWebhookToList(current, booking, { cancelled = false, movedTo = null } = {}) {
+    const bookingId = String(booking.id);
+    if (movedTo) {
+        const live = current.some(b => String(b.id) === bookingId && !isCancelledEntry(b));
+        return live ? markBookingCancelledInList(current, bookingId, { movedTo }) : null;
+    }
+    const entry = toCachedBooking(booking);
+    if (!entry) return null;
+    return upsertBookingInList(current, cancelled ? { ...entry, status: 'CANCELLED' } : entry);
+}
+
+/**
+ * Apply the booking to cached_bookings/{date} (see applyWebhookToList).
+ * Frozen dates (departed tours) are left untouched, and a date with no doc
+ * is not started with this one booking: the full refresh builds it.
+ */
+async function applyToCachedBookings(dateStr, booking, options = {}) {
+    const docRef = db.collection('cached_bookings').doc(dateStr);
+    return await db.runTransaction(async (tx) => {
+        const doc = await tx.get(docRef);
+        const data = doc.exists ? doc.data() : null;
+        if (data?.frozenAt) return 'frozen';
+        if (!data) return options.movedTo ? 'absent' : 'not_cached';
+
+        const bookings = applyWebhookToList(data.bookings || [], booking, options);
+        if (!bookings) return 'absent';
+
+        tx.set(docRef, {
+            date: dateStr,
+            bookings,
+            count: liveBookings(bookings).length,
+            cachedAt: new Date(),
+            lastWebhookAt: new Date().toISOString(),
+        }, { merge: true });
+        if (options.movedTo) return 'moved';
+        return options.cancelled ? 'cancelled' : 'upserted';
+    });
+}
+
+/**
+ * Upsert the booking into ai_booking_cache/current (cancellations stay, marked CANCELLED).
+ * Returns the tour date the AI cache previously had for this booking, if any.
+ */
+async function applyToAiCache(booking, cancelled) {
+    const docRef = db.collection('ai_booking_cache').doc('current');
+    return await db.runTransaction(async (tx) => {
+        const doc = await tx.get(docRef);
+        if (!doc.exists) return null;
+
+        const bookings = doc.data().bookings || [];
+        const entry = toAiCacheBooking(booking);
+        if (cancelled) entry.status = 'CANCELLED';
+
+        const index = bookings.findIndex(b => String(b.id) === String(booking.id));
+        const previousDate = index === -1 ? null : toDateString(bookings[index].startDate);
+        const updated = index === -1 ? [...bookings, entry] : bookings.map((b, i) => (i === index ? entry : b));
+
+        tx.update(docRef, { bookings: updated, count: updated.length, lastWebhookAt: new Date().toISOString() });
+        return previousDate;
+    });
+}
+
+/**
+ * Apply one webhook event for the booking named in the signed headers.
+ * Safe to run more than once for the same event.
+ */
+async function processBokunWebhookEvent(topic, signedBookingId) {
+    const action = TOPIC_ACTIONS[topic];
+    if (!action) {
+        return { skipped: true, reason: `unhandled topic ${topic}` };
+    }
+
+    if (!/^\d+$/.test(String(signedBookingId || ''))) {
+        throw new Error('Webhook has no valid x-bokun-booking-id');
+    }
+    const booking = await fetchFullBooking(signedBookingId);
+    if (!booking || String(booking.id) !== String(signedBookingId)) {
+        throw new Error(`Bokun did not return booking ${signedBookingId}`);
+    }
+
+    const bookingId = String(booking.id);
+    const cancelled = action === 'cancel' || isCancelledBooking(booking);
+    const dateStr = getBookingDate(booking);
+    if (!dateStr) {
+        throw new Error(`Could not determine tour date for booking ${bookingId}`);
+    }
+
+    const indexRef = db.collection('bokun_webhook_bookings').doc(bookingId);
+    const indexDoc = await indexRef.get();
+    const aiPreviousDate = await applyToAiCache(booking, cancelled);
+
+    const result = { bookingId, date: dateStr, cancelled, cachedBookings: {} };
+
+    // A reschedule moves the booking: take it off the old date first
+    const previousDates = new Set([indexDoc.exists ? indexDoc.data().date : null, aiPreviousDate]);
+    for (const previousDate of previousDates) {
+        if (previousDate && previousDate !== dateStr) {
+            result.cachedBookings[previousDate] = await applyToCachedBookings(previousDate, booking, { movedTo: dateStr });
+        }
+    }
+
+    result.cachedBookings[dateStr] = await applyToCachedBookings(dateStr, booking, { cancelled });
+
+    await indexRef.set({
+        bookingId,
+        date: dateStr,
+        status: cancelled ? 'CANCELLED' : 'ACTIVE',
+        confirmationCode: booking.confirmationCode || null,
+        lastTopic: topic,
+        updatedAt: new Date().toISOString(),
+    });
+
+    return result;
+}
+
+/**
+ * Park an event we could not process so it can be inspected and replayed
+ */
+async function writeDeadLetter({ eventKey, topic, headers, rawBody, error }) {
+    const ref = db.collection('bokun_webhook_dead_letters').doc(eventKey);
+    await ref.set({
+        eventKey,
+        topic: topic || null,
+        bookingId: headers['x-bokun-booking-id'] || null,
+        headers: getBokunHeaders(headers),
+        rawBody,
+        error: error.message || String(error),
+        status: 'pending',
+        receivedAt: new Date().toISOString(),
+    }, { merge: true });
+    return ref.id;
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Bokun booking webhook receiver
+ */
+const bokunWebhook = onRequest(
+    {
+        region: 'us-central1',
+        secrets: ['BOKUN_WEBHOOK_SECRET', 'BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (req, res) => {
+        if (req.method !== 'POST') {
+            res.status(405).send('Method not allowed');
+            return;
+        }
+
+        if (!verifyWebhookSignature(req.headers, process.env.BOKUN_WEBHOOK_SECRET)) {
+            console.log('🚫 Bokun webhook rejected: invalid signature');
+            res.status(401).send('Invalid signature');
+            return;
+        }
+        if (!isWebhookFresh(req.headers)) {
+            console.log(`🚫 Bokun webhook rejected: x-bokun-date ${req.headers['x-bokun-date']} is outside the allowed window`);
+            res.status(401).send('Stale request');
+            return;
+        }
+
+        const topic = String(req.headers['x-bokun-topic'] || '').toLowerCase();
+        const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+        const eventKey = getEventKey(topic, rawBody);
+        const eventRef = db.collection('bokun_webhook_events').doc(eventKey);
+
+        const existing = await eventRef.get();
+        if (existing.exists) {
+            console.log(`🔁 Bokun webhook ${eventKey} already processed, ignoring`);
+            res.status(200).json({ ok: true, duplicate: true });
+            return;
+        }
+
+        try {
+            const result = await processBokunWebhookEvent(topic, req.headers['x-bokun-booking-id']);
+            await eventRef.set({
+                topic,
+                bookingId: result.bookingId || null,
+                result,
+                processedAt: new Date().toISOString(),
+            });
+            console.log(`📥 Bokun webhook ${topic}:`, JSON.stringify(result));
+            res.status(200).json({ ok: true, ...result });
+        } catch (error) {
+            console.error(`❌ Bokun webhook ${topic} failed:`, error);
+            try {
+                await writeDeadLetter({ eventKey, topic, headers: req.headers, rawBody, error });
+            } catch (deadLetterError) {
+                // Could not even park it: let Bokun retry
+                console.error('❌ Failed to write dead letter:', deadLetterError);
+                res.status(500).send('Processing failed');
+                return;
+            }
+            // Parked in the dead-letter collection, so don't ask Bokun to retry
+            res.status(200).json({ ok: false, deadLettered: true });
+        }
+    }
+);
+
+/**
+ * Replay a dead-lettered webhook event
+ */
+const replayBokunDeadLetter = onCall(
+    {
+        region: 'us-central1',
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+        const { eventKey } = request.data || {};
+        if (!eventKey) {
+            throw new Error('eventKey is required');
+        }
+
+        const ref = db.collection('bokun_webhook_dead_letters').doc(eventKey);
+        const doc = await ref.get();
+        if (!doc.exists) {
+            throw new Error('Dead letter not found');
+        }
+        const letter = doc.data();
+
+        try {
+            const result = await processBokunWebhookEvent(letter.topic, letter.bookingId);
+            await db.collection('bokun_webhook_events').doc(eventKey).set({
+                topic: letter.topic,
+                bookingId: result.bookingId || null,
+                result,
+                processedAt: new Date().toISOString(),
+                replayedBy: request.auth.uid,
+            });
+            await ref.update({ status: 'replayed', replayedAt: new Date().toISOString(), replayedBy: request.auth.uid });
+            return { success: true, result };
+        } catch (error) {
+            await ref.update({ error: error.message, lastReplayAt: new Date().toISOString() });
+            return { success: false, error: error.message };
+        }
+    }
+);
+
+module.exports = {
+    bokunWebhook,
+    replayBokunDeadLetter,
+    // Exported for testing
+    computeWebhookSignature,
+    verifyWebhookSignature,
+    isWebhookFresh,
+    getEventKey,
+    applyWebhookToList,
+    processBokunWebhookEvent,
+};
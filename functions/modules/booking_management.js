@@ -1,66 +1,33 @@
 /**
  * Booking Management Module
  * Handles reschedule, cancel, and pickup location changes
+ * Reschedules and cancellations are checked against utils/booking_policy.js
  * 
  * UPDATED: Added proper OTA booking detection and graceful handling
  */
 const { onRequest } = require('firebase-functions/v2/https');
 const { onCall } = require('firebase-functions/v2/https');
 const { onDocumentCreated } = require('firebase-functions/v2/firestore');
-const crypto = require('crypto');
-const https = require('https');
 const { admin, db } = require('../utils/firebase');
-const { makeBokunRequest } = require('../utils/bokun_client');
-
-/**
- * Helper: Detect if booking is from an OTA (reseller)
- * Returns { isOTA: boolean, otaName: string | null, otaPortalUrl: string | null }
- */
-function detectOTABooking(booking) {
-    const externalRef = (booking.externalBookingReference || '').toLowerCase();
-    const confirmCode = (booking.confirmationCode || '').toUpperCase();
-
-    // Viator detection
-    if (externalRef.includes('viator') || confirmCode.startsWith('VIA-')) {
-        return {
-            isOTA: true,
-            otaName: 'Viator',
-            otaPortalUrl: 'https://supplier.viator.com/',
-            otaInstructions: 'Log into Viator Supplier Portal → Bookings → Find by reference → Modify'
-        };
-    }
-
-    // GetYourGuide detection
-    if (externalRef.includes('gyg') || externalRef.includes('getyourguide') || confirmCode.startsWith('GYG-')) {
-        return {
-            isOTA: true,
-            otaName: 'GetYourGuide',
-            otaPortalUrl: 'https://supplier.getyourguide.com/',
-            otaInstructions: 'Log into GYG Supplier Portal → Bookings → Find by reference → Request change'
-        };
-    }
-
-    // TourDesk / Traveldesk detection
-    if (externalRef.includes('tdi') || externalRef.includes('tourdesk') || confirmCode.startsWith('TDI-')) {
-        return {
-            isOTA: true,
-            otaName: 'TourDesk',
-            otaPortalUrl: 'https://tourdesk.io/',
-            otaInstructions: 'Contact TourDesk support or log into their portal to modify'
-        };
-    }
-
-    // Expedia detection
-    if (externalRef.includes('expedia') || confirmCode.startsWith('EXP-')) {
-        return {
-            isOTA: true,
-            otaName: 'Expedia',
-            otaPortalUrl: 'https://www.expediapartnercentral.com/',
-            otaInstructions: 'Log into Expedia Partner Central → Reservations → Modify'
-        };
-    }
-
-    return { isOTA: false, otaName: null, otaPortalUrl: null, otaInstructions: null };
+const {
+    bokunRequest,
+    makeBokunRequest,
+    octoRequest: sendOctoRequest,
+    getPickupPlaces: getBokunPickupPlaces,
+    isBokunOutage,
+} = require('../utils/bokun_client');
+const {
+    detectOTABooking,
+    buildPolicyContext,
+    evaluatePolicy,
+    isPermitted,
+    loadPolicyFacts,
+} = require('../utils/booking_policy');
+
+// Staff go past overridable policy rules (utils/booking_policy.js); such a
+// reschedule is a courtesy and becomes final. Portal requests never override.
+function isStaffRequest(requestData) {
+    return requestData.source !== 'customer_portal' && requestData.userId !== 'customer_portal';
 }
 
 /**
@@ -155,6 +122,15 @@ const rescheduleBooking = onCall(
             secretKey
         );
 
+        const decision = evaluatePolicy('reschedule', buildPolicyContext(currentBooking, {
+            ...await loadPolicyFacts({ ...currentBooking, confirmationCode: currentBooking.confirmationCode || confirmationCode }),
+            newDate,
+        }));
+        if (!isPermitted(decision, { override: true })) {
+            throw new Error(`Reschedule not allowed (${decision.rule}): ${decision.message}`);
+        }
+        const policyFields = { policyRule: decision.rule, courtesy: !decision.allowed };
+
         const amendRequest = {
             bookingId: bookingId,
             newStartDate: newDate,
@@ -180,6 +156,7 @@ const rescheduleBooking = onCall(
                 originalData: { date: currentBooking.startDate || 'unknown' },
                 newData: { date: newDate },
                 success: true,
+                ...policyFields,
                 source: 'cloud_function',
             });
 
@@ -197,6 +174,7 @@ const rescheduleBooking = onCall(
                 newData: { date: newDate },
                 success: false,
                 errorMessage: amendError.message,
+                policyRule: decision.rule,
                 source: 'cloud_function',
             });
 
@@ -255,11 +233,7 @@ const onRescheduleRequest = onDocumentCreated(
             // So we try multiple search strategies
             console.log(`🔍 Searching for booking ${bookingId} (confirmationCode: ${confirmationCode})...`);
 
-            const now = new Date();
-            const bokunDate = now.toISOString().replace('T', ' ').substring(0, 19);
             const searchPath = '/booking.json/booking-search';
-            const message = bokunDate + accessKey + 'POST' + searchPath;
-            const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
 
             // Try searching by confirmation code first (more reliable for OTA bookings)
             let searchRequest;
@@ -269,36 +243,7 @@ const onRescheduleRequest = onDocumentCreated(
                 searchRequest = { id: parseInt(bookingId), limit: 10 };
             }
 
-            let searchResult = await new Promise((resolve, reject) => {
-                const postData = JSON.stringify(searchRequest);
-                const options = {
-                    hostname: 'api.bokun.io',
-                    path: searchPath,
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json;charset=UTF-8',
-                        'Content-Length': Buffer.byteLength(postData),
-                        'X-Bokun-AccessKey': accessKey,
-                        'X-Bokun-Date': bokunDate,
-                        'X-Bokun-Signature': signature,
-                    },
-                };
-
-                const apiReq = https.request(options, (apiRes) => {
-                    let data = '';
-                    apiRes.on('data', (chunk) => { data += chunk; });
-                    apiRes.on('end', () => {
-                        if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                            try { resolve(JSON.parse(data)); } catch (e) { reject(new Error('Failed to parse')); }
-                        } else {
-                            reject(new Error(`Bokun search error: ${apiRes.statusCode}`));
-                        }
-                    });
-                });
-                apiReq.on('error', reject);
-                apiReq.write(postData);
-                apiReq.end();
-            });
+            let searchResult = await bokunRequest('POST', searchPath, searchRequest, { accessKey, secretKey });
 
             // Try to find by confirmation code match
             let foundBooking = searchResult.items?.find(b =>
@@ -310,40 +255,12 @@ const onRescheduleRequest = onDocumentCreated(
             if (!foundBooking && confirmationCode) {
                 console.log(`⚠️ No match by confirmation code, trying by ID ${bookingId}...`);
 
-                const fallbackBokunDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-                const fallbackMessage = fallbackBokunDate + accessKey + 'POST' + searchPath;
-                const fallbackSignature = crypto.createHmac('sha1', secretKey).update(fallbackMessage).digest('base64');
-
-                searchResult = await new Promise((resolve, reject) => {
-                    const postData = JSON.stringify({ id: parseInt(bookingId), limit: 10 });
-                    const options = {
-                        hostname: 'api.bokun.io',
-                        path: searchPath,
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json;charset=UTF-8',
-                            'Content-Length': Buffer.byteLength(postData),
-                            'X-Bokun-AccessKey': accessKey,
-                            'X-Bokun-Date': fallbackBokunDate,
-                            'X-Bokun-Signature': fallbackSignature,
-                        },
-                    };
-
-                    const apiReq = https.request(options, (apiRes) => {
-                        let data = '';
-                        apiRes.on('data', (chunk) => { data += chunk; });
-                        apiRes.on('end', () => {
-                            if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                                try { resolve(JSON.parse(data)); } catch (e) { resolve({ items: [] }); }
-                            } else {
-                                resolve({ items: [] });
-                            }
-                        });
-                    });
-                    apiReq.on('error', () => resolve({ items: [] }));
-                    apiReq.write(postData);
-                    apiReq.end();
-                });
+                try {
+                    searchResult = await bokunRequest('POST', searchPath, { id: parseInt(bookingId), limit: 10 }, { accessKey, secretKey });
+                } catch (fallbackError) {
+                    if (isBokunOutage(fallbackError)) throw fallbackError;
+                    searchResult = { items: [] };
+                }
 
                 foundBooking = searchResult.items?.find(b => String(b.id) === String(bookingId));
             }
@@ -360,6 +277,18 @@ const onRescheduleRequest = onDocumentCreated(
                 console.log(`🏷️ Detected ${otaInfo.otaName} booking`);
             }
 
+            const decision = evaluatePolicy('reschedule', buildPolicyContext(foundBooking, {
+                ...await loadPolicyFacts(foundBooking),
+                newDate,
+            }));
+            if (!isPermitted(decision, { override: isStaffRequest(requestData) })) {
+                throw new Error(`Reschedule not allowed (${decision.rule}): ${decision.message}`);
+            }
+            const policyFields = { policyRule: decision.rule, courtesy: !decision.allowed };
+            if (policyFields.courtesy) {
+                console.log(`📋 Staff courtesy reschedule past ${decision.rule}`);
+            }
+
             const productBooking = foundBooking.productBookings?.[0];
             if (!productBooking) {
                 throw new Error('No product booking found');
@@ -375,36 +304,7 @@ const onRescheduleRequest = onDocumentCreated(
             console.log(`📦 Product ID: ${productId}, Current date: ${currentDate}, New date: ${newDate}`);
 
             // OCTO helper
-            const octoRequest = (method, path, body = null) => {
-                return new Promise((resolve, reject) => {
-                    const postData = body ? JSON.stringify(body) : null;
-                    const options = {
-                        hostname: 'api.bokun.io',
-                        path: `/octo/v1${path}`,
-                        method: method,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${octoToken}`,
-                        },
-                    };
-                    if (postData) options.headers['Content-Length'] = Buffer.byteLength(postData);
-
-                    const apiReq = https.request(options, (apiRes) => {
-                        let data = '';
-                        apiRes.on('data', (chunk) => { data += chunk; });
-                        apiRes.on('end', () => {
-                            if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                                try { resolve(data ? JSON.parse(data) : {}); } catch (e) { resolve(data); }
-                            } else {
-                                reject(new Error(`OCTO API error: ${apiRes.statusCode} - ${data}`));
-                            }
-                        });
-                    });
-                    apiReq.on('error', reject);
-                    if (postData) apiReq.write(postData);
-                    apiReq.end();
-                });
-            };
+            const octoRequest = (method, path, body = null) => sendOctoRequest(method, path, body, octoToken);
 
             // Get OCTO products
             let octoProductId = String(productId);
@@ -457,39 +357,8 @@ const onRescheduleRequest = onDocumentCreated(
             // Get startTimeId from Bokun
             let startTimeId = null;
             try {
-                const startTimesPath = `/activity.json/${productId}/availabilities`;
-                const stDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-                const stMessage = stDate + accessKey + 'POST' + startTimesPath;
-                const stSignature = crypto.createHmac('sha1', secretKey).update(stMessage).digest('base64');
-
-                const startTimesResult = await new Promise((resolve) => {
-                    const stBody = JSON.stringify({ start: newDate, end: newDate });
-                    const options = {
-                        hostname: 'api.bokun.io',
-                        path: startTimesPath,
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json;charset=UTF-8',
-                            'Content-Length': Buffer.byteLength(stBody),
-                            'X-Bokun-AccessKey': accessKey,
-                            'X-Bokun-Date': stDate,
-                            'X-Bokun-Signature': stSignature,
-                        },
-                    };
-
-                    const apiReq = https.request(options, (apiRes) => {
-                        let data = '';
-                        apiRes.on('data', (chunk) => { data += chunk; });
-                        apiRes.on('end', () => {
-                            if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                                try { resolve(JSON.parse(data)); } catch (e) { resolve(null); }
-                            } else { resolve(null); }
-                        });
-                    });
-                    apiReq.on('error', () => resolve(null));
-                    apiReq.write(stBody);
-                    apiReq.end();
-                });
+                const startTimesResult = await bokunRequest('POST', `/activity.json/${productId}/availabilities`,
+                    { start: newDate, end: newDate }, { accessKey, secretKey });
 
                 if (startTimesResult) {
                     const availabilities = startTimesResult.availabilities || startTimesResult;
@@ -529,11 +398,6 @@ const onRescheduleRequest = onDocumentCreated(
 
                 if (activityBookingId) {
                     try {
-                        const editPath = '/booking.json/edit';
-                        const editDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-                        const editMessage = editDate + accessKey + 'POST' + editPath;
-                        const editSignature = crypto.createHmac('sha1', secretKey).update(editMessage).digest('base64');
-
                         const changeDateActions = [{
                             type: 'ActivityChangeDateAction',
                             activityBookingId: parseInt(activityBookingId),
@@ -543,37 +407,7 @@ const onRescheduleRequest = onDocumentCreated(
 
                         console.log(`📅 Trying ActivityChangeDateAction for activity ${activityBookingId} to ${newDate} with startTimeId ${startTimeId || 'none'}`);
 
-                        await new Promise((resolve, reject) => {
-                            const editBody = JSON.stringify(changeDateActions);
-                            const options = {
-                                hostname: 'api.bokun.io',
-                                path: editPath,
-                                method: 'POST',
-                                headers: {
-                                    'Content-Type': 'application/json;charset=UTF-8',
-                                    'Content-Length': Buffer.byteLength(editBody),
-                                    'X-Bokun-AccessKey': accessKey,
-                                    'X-Bokun-Date': editDate,
-                                    'X-Bokun-Signature': editSignature,
-                                },
-                            };
-
-                            const apiReq = https.request(options, (apiRes) => {
-                                let data = '';
-                                apiRes.on('data', (chunk) => { data += chunk; });
-                                apiRes.on('end', () => {
-                                    console.log(`📅 ActivityChangeDateAction response: ${apiRes.statusCode}`);
-                                    if (apiRes.statusCode >= 200 && apiRes.statusCode < 400) {
-                                        resolve({ success: true, data });
-                                    } else {
-                                        reject(new Error(`ActivityChangeDateAction failed: ${apiRes.statusCode} - ${data}`));
-                                    }
-                                });
-                            });
-                            apiReq.on('error', reject);
-                            apiReq.write(editBody);
-                            apiReq.end();
-                        });
+                        await bokunRequest('POST', '/booking.json/edit', changeDateActions, { accessKey, secretKey });
 
                         console.log(`✅ ActivityChangeDateAction succeeded!`);
 
@@ -588,6 +422,7 @@ const onRescheduleRequest = onDocumentCreated(
                             originalData: { date: currentDate },
                             newData: { date: newDate },
                             success: true,
+                        ...policyFields,
                             method: 'activity_change_date_action',
                             isOTABooking: otaInfo.isOTA,
                             otaName: otaInfo.otaName,
@@ -710,6 +545,7 @@ const onRescheduleRequest = onDocumentCreated(
                         originalData: { date: currentDate },
                         newData: { date: newDate, newBookingId },
                         success: true,
+                        ...policyFields,
                         method: 'cancel_and_rebook',
                         isOTABooking: false,
                     });
@@ -764,6 +600,7 @@ const onRescheduleRequest = onDocumentCreated(
                 originalData: { date: currentDate },
                 newData: { date: newDate, availabilityId },
                 success: true,
+                ...policyFields,
                 source: 'octo_api',
             });
 
@@ -835,38 +672,7 @@ const getPickupPlaces = onRequest(
         try {
             console.log(`📍 Fetching pickup places for product ${productId}`);
 
-            const pickupPath = `/activity.json/${productId}/pickup-places`;
-            const pickupDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-            const pickupMessage = pickupDate + accessKey + 'GET' + pickupPath;
-            const pickupSignature = crypto.createHmac('sha1', secretKey).update(pickupMessage).digest('base64');
-
-            const pickupPlaces = await new Promise((resolve) => {
-                const options = {
-                    hostname: 'api.bokun.io',
-                    path: pickupPath,
-                    method: 'GET',
-                    headers: {
-                        'X-Bokun-AccessKey': accessKey,
-                        'X-Bokun-Date': pickupDate,
-                        'X-Bokun-Signature': pickupSignature,
-                    },
-                };
-
-                const apiReq = https.request(options, (apiRes) => {
-                    let data = '';
-                    apiRes.on('data', (chunk) => { data += chunk; });
-                    apiRes.on('end', () => {
-                        if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                            try {
-                                const parsed = JSON.parse(data);
-                                resolve(parsed.pickupPlaces || parsed.pickupDropoffPlaces || parsed.items || parsed);
-                            } catch (e) { resolve([]); }
-                        } else { resolve([]); }
-                    });
-                });
-                apiReq.on('error', () => resolve([]));
-                apiReq.end();
-            });
+            const pickupPlaces = await getBokunPickupPlaces(productId, { accessKey, secretKey });
 
             const places = (Array.isArray(pickupPlaces) ? pickupPlaces : []).map(place => ({
                 id: place.id,
@@ -936,41 +742,8 @@ const updatePickupLocation = onRequest(
             let actualProductBookingId = productBookingId;
 
             if (!actualProductBookingId) {
-                const searchPath = '/booking.json/booking-search';
-                const searchDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-                const searchMessage = searchDate + accessKey + 'POST' + searchPath;
-                const searchSignature = crypto.createHmac('sha1', secretKey).update(searchMessage).digest('base64');
-
-                const searchResult = await new Promise((resolve, reject) => {
-                    const searchBody = JSON.stringify({ bookingId: parseInt(bookingId) });
-                    const options = {
-                        hostname: 'api.bokun.io',
-                        path: searchPath,
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json;charset=UTF-8',
-                            'Content-Length': Buffer.byteLength(searchBody),
-                            'X-Bokun-AccessKey': accessKey,
-                            'X-Bokun-Date': searchDate,
-                            'X-Bokun-Signature': searchSignature,
-                        },
-                    };
-
-                    const apiReq = https.request(options, (apiRes) => {
-                        let data = '';
-                        apiRes.on('data', (chunk) => { data += chunk; });
-                        apiRes.on('end', () => {
-                            if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                                resolve(JSON.parse(data));
-                            } else {
-                                reject(new Error(`Search failed: ${apiRes.statusCode}`));
-                            }
-                        });
-                    });
-                    apiReq.on('error', reject);
-                    apiReq.write(searchBody);
-                    apiReq.end();
-                });
+                const searchResult = await bokunRequest('POST', '/booking.json/booking-search',
+                    { bookingId: parseInt(bookingId) }, { accessKey, secretKey });
 
                 const booking = searchResult.items?.find(b => String(b.id) === String(bookingId));
                 if (!booking) throw new Error(`Booking ${bookingId} not found`);
@@ -979,11 +752,6 @@ const updatePickupLocation = onRequest(
 
             if (!actualProductBookingId) throw new Error('Could not find productBookingId');
 
-            const editPath = '/booking.json/edit';
-            const editDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-            const editMessage = editDate + accessKey + 'POST' + editPath;
-            const editSignature = crypto.createHmac('sha1', secretKey).update(editMessage).digest('base64');
-
             const editActions = [{
                 type: 'ActivityPickupAction',
                 activityBookingId: parseInt(actualProductBookingId),
@@ -992,36 +760,8 @@ const updatePickupLocation = onRequest(
                 description: pickupPlaceName || '',
             }];
 
-            const editResult = await new Promise((resolve, reject) => {
-                const editBody = JSON.stringify(editActions);
-                const options = {
-                    hostname: 'api.bokun.io',
-                    path: editPath,
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json;charset=UTF-8',
-                        'Content-Length': Buffer.byteLength(editBody),
-                        'X-Bokun-AccessKey': accessKey,
-                        'X-Bokun-Date': editDate,
-                        'X-Bokun-Signature': editSignature,
-                    },
-                };
-
-                const apiReq = https.request(options, (apiRes) => {
-                    let data = '';
-                    apiRes.on('data', (chunk) => { data += chunk; });
-                    apiRes.on('end', () => {
-                        if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                            try { resolve(JSON.parse(data)); } catch (e) { resolve({ success: true }); }
-                        } else {
-                            reject(new Error(`Edit failed: ${apiRes.statusCode} - ${data}`));
-                        }
-                    });
-                });
-                apiReq.on('error', reject);
-                apiReq.write(editBody);
-                apiReq.end();
-            });
+            const editResult = await bokunRequest('POST', '/booking.json/edit', editActions, { accessKey, secretKey }) ||
+                { success: true };
 
             console.log(`✅ Pickup updated successfully`);
 
@@ -1102,6 +842,16 @@ const cancelBooking = onRequest(
                 console.warn('Could not fetch booking details for logging:', e.message);
             }
 
+            let decision = null;
+            if (currentBooking) {
+                decision = evaluatePolicy('cancel', buildPolicyContext(currentBooking,
+                    await loadPolicyFacts({ ...currentBooking, confirmationCode })));
+                if (!decision.allowed) {
+                    res.status(400).json({ error: decision.message, rule: decision.rule });
+                    return;
+                }
+            }
+
             const cancelRequest = { note: reason, notify: true };
             const result = await makeBokunRequest('POST', `/booking.json/cancel-booking/${confirmationCode}`, cancelRequest, accessKey, secretKey);
 
@@ -1114,10 +864,12 @@ const cancelBooking = onRequest(
                 reason,
                 originalData: currentBooking ? { date: currentBooking.startDate, status: currentBooking.status } : null,
                 success: true,
+                policyRule: decision?.rule || null,
+                refundable: decision ? decision.refundable : null,
                 source: 'cloud_function',
             });
 
-            res.status(200).json({ result, success: true });
+            res.status(200).json({ result, success: true, policy: decision });
         } catch (error) {
             console.error('Error in cancelBooking:', error);
             res.status(500).json({ error: error.message });
@@ -1151,42 +903,8 @@ const checkRescheduleAvailability = onDocumentCreated(
 
             if (!octoToken) throw new Error('OCTO token not configured');
 
-            const now = new Date();
-            const bokunDate = now.toISOString().replace('T', ' ').substring(0, 19);
-            const searchPath = '/booking.json/booking-search';
-            const message = bokunDate + accessKey + 'POST' + searchPath;
-            const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
-
-            const searchResult = await new Promise((resolve, reject) => {
-                const postData = JSON.stringify({ id: parseInt(bookingId), limit: 10 });
-                const options = {
-                    hostname: 'api.bokun.io',
-                    path: searchPath,
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json;charset=UTF-8',
-                        'Content-Length': Buffer.byteLength(postData),
-                        'X-Bokun-AccessKey': accessKey,
-                        'X-Bokun-Date': bokunDate,
-                        'X-Bokun-Signature': signature,
-                    },
-                };
-
-                const apiReq = https.request(options, (apiRes) => {
-                    let data = '';
-                    apiRes.on('data', (chunk) => { data += chunk; });
-                    apiRes.on('end', () => {
-                        if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                            resolve(JSON.parse(data));
-                        } else {
-                            reject(new Error(`Search error: ${apiRes.statusCode}`));
-                        }
-                    });
-                });
-                apiReq.on('error', reject);
-                apiReq.write(postData);
-                apiReq.end();
-            });
+            const searchResult = await bokunRequest('POST', '/booking.json/booking-search',
+                { id: parseInt(bookingId), limit: 10 }, { accessKey, secretKey });
 
             const foundBooking = searchResult.items?.find(b => String(b.id) === String(bookingId));
             if (!foundBooking) throw new Error('Booking not found');
@@ -1196,32 +914,8 @@ const checkRescheduleAvailability = onDocumentCreated(
             const productId = productBooking?.product?.id;
             const optionId = productBooking?.activity?.id || productBooking?.rate?.id || productId;
 
-            const availabilityResult = await new Promise((resolve) => {
-                const body = JSON.stringify({ productId: String(productId), optionId: String(optionId), localDate: targetDate });
-                const options = {
-                    hostname: 'api.bokun.io',
-                    path: '/octo/v1/availability',
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Content-Length': Buffer.byteLength(body),
-                        'Authorization': `Bearer ${octoToken}`,
-                    },
-                };
-
-                const apiReq = https.request(options, (apiRes) => {
-                    let data = '';
-                    apiRes.on('data', (chunk) => { data += chunk; });
-                    apiRes.on('end', () => {
-                        if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                            try { resolve(JSON.parse(data)); } catch (e) { resolve([]); }
-                        } else { resolve([]); }
-                    });
-                });
-                apiReq.on('error', () => resolve([]));
-                apiReq.write(body);
-                apiReq.end();
-            });
+            const availabilityResult = await sendOctoRequest('POST', '/availability',
+                { productId: String(productId), optionId: String(optionId), localDate: targetDate }, octoToken);
 
             const slots = (Array.isArray(availabilityResult) ? availabilityResult : []).map(slot => ({
                 id: slot.id,
@@ -1313,41 +1007,8 @@ const onPickupUpdateRequest = onDocumentCreated(
             // If no productBookingId, search for it
             if (!actualProductBookingId) {
                 console.log(`🔍 No productBookingId provided, searching for booking ${bookingId}...`);
-                const searchPath = '/booking.json/booking-search';
-                const searchDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-                const searchMessage = searchDate + accessKey + 'POST' + searchPath;
-                const searchSignature = crypto.createHmac('sha1', secretKey).update(searchMessage).digest('base64');
-
-                const searchResult = await new Promise((resolve, reject) => {
-                    const searchBody = JSON.stringify({ id: parseInt(bookingId), limit: 10 });
-                    const options = {
-                        hostname: 'api.bokun.io',
-                        path: searchPath,
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json;charset=UTF-8',
-                            'Content-Length': Buffer.byteLength(searchBody),
-                            'X-Bokun-AccessKey': accessKey,
-                            'X-Bokun-Date': searchDate,
-                            'X-Bokun-Signature': searchSignature,
-                        },
-                    };
-
-                    const apiReq = https.request(options, (apiRes) => {
-                        let data = '';
-                        apiRes.on('data', (chunk) => { data += chunk; });
-                        apiRes.on('end', () => {
-                            if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                                try { resolve(JSON.parse(data)); } catch (e) { reject(new Error('Failed to parse')); }
-                            } else {
-                                reject(new Error(`Search failed: ${apiRes.statusCode}`));
-                            }
-                        });
-                    });
-                    apiReq.on('error', reject);
-                    apiReq.write(searchBody);
-                    apiReq.end();
-                });
+                const searchResult = await bokunRequest('POST', '/booking.json/booking-search',
+                    { id: parseInt(bookingId), limit: 10 }, { accessKey, secretKey });
 
                 const booking = searchResult.items?.find(b => String(b.id) === String(bookingId));
                 if (!booking) throw new Error(`Booking ${bookingId} not found`);
@@ -1359,11 +1020,6 @@ const onPickupUpdateRequest = onDocumentCreated(
             console.log(`📍 Using productBookingId: ${actualProductBookingId}`);
 
             // Execute ActivityPickupAction via Bokun edit API
-            const editPath = '/booking.json/edit';
-            const editDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-            const editMessage = editDate + accessKey + 'POST' + editPath;
-            const editSignature = crypto.createHmac('sha1', secretKey).update(editMessage).digest('base64');
-
             const editActions = [{
                 type: 'ActivityPickupAction',
                 activityBookingId: parseInt(actualProductBookingId),
@@ -1372,36 +1028,7 @@ const onPickupUpdateRequest = onDocumentCreated(
                 description: pickupPlaceName || '',
             }];
 
-            await new Promise((resolve, reject) => {
-                const editBody = JSON.stringify(editActions);
-                const options = {
-                    hostname: 'api.bokun.io',
-                    path: editPath,
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json;charset=UTF-8',
-                        'Content-Length': Buffer.byteLength(editBody),
-                        'X-Bokun-AccessKey': accessKey,
-                        'X-Bokun-Date': editDate,
-                        'X-Bokun-Signature': editSignature,
-                    },
-                };
-
-                const apiReq = https.request(options, (apiRes) => {
-                    let data = '';
-                    apiRes.on('data', (chunk) => { data += chunk; });
-                    apiRes.on('end', () => {
-                        if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                            resolve({ success: true });
-                        } else {
-                            reject(new Error(`Pickup update failed: ${apiRes.statusCode} - ${data}`));
-                        }
-                    });
-                });
-                apiReq.on('error', reject);
-                apiReq.write(editBody);
-                apiReq.end();
-            });
+            await bokunRequest('POST', '/booking.json/edit', editActions, { accessKey, secretKey });
 
             console.log(`✅ Pickup updated successfully`);
 
@@ -1490,6 +1117,15 @@ const onCancelRequest = onDocumentCreated(
                 console.warn('Could not fetch booking details for logging:', e.message);
             }
 
+            let decision = null;
+            if (currentBooking) {
+                decision = evaluatePolicy('cancel', buildPolicyContext(currentBooking,
+                    await loadPolicyFacts({ ...currentBooking, confirmationCode })));
+                if (!decision.allowed) {
+                    throw new Error(`Cancellation not allowed (${decision.rule}): ${decision.message}`);
+                }
+            }
+
             // Cancel the booking
             const cancelRequest = { note: reason, notify: true };
             await makeBokunRequest('POST', `/booking.json/cancel-booking/${confirmationCode}`, cancelRequest, accessKey, secretKey);
@@ -1505,6 +1141,8 @@ const onCancelRequest = onDocumentCreated(
                 reason,
                 originalData: currentBooking ? { date: currentBooking.startDate, status: currentBooking.status } : null,
                 success: true,
+                policyRule: decision?.rule || null,
+                refundable: decision ? decision.refundable : null,
                 source: 'firestore_trigger',
             });
 
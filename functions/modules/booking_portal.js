@@ -10,29 +10,35 @@
  *   portalCancelBooking      â€” Request a cancellation
  *   portalGetPickupPlaces    â€” Get available pickup locations
  *   portalUpdatePickup       â€” Change pickup location
+ *   portalClaimRetry         â€” Book a free retry seat (no lights seen)
  */
 const { onRequest, onCall } = require('firebase-functions/v2/https');
 const { admin, db } = require('../utils/firebase');
-const { makeBokunRequest, searchBokunByConfirmationCode } = require('../utils/bokun_client');
+const {
+    bokunRequest,
+    makeBokunRequest,
+    octoRequest: sendOctoRequest,
+    searchBokunByConfirmationCode,
+    searchBookingsForDate,
+    getPickupPlaces: getBokunPickupPlaces,
+    isBokunOutage,
+} = require('../utils/bokun_client');
 const { sendNotificationToAdminsOnly } = require('../utils/notifications');
-const crypto = require('crypto');
-const https = require('https');
+const {
+    detectOTABooking,
+    buildPolicyContext,
+    evaluatePolicy,
+    evaluateBookingPolicies,
+    loadPolicyFacts,
+} = require('../utils/booking_policy');
+const { extractBookingLanguage } = require('../utils/bokun_booking');
+const { resolveLanguage, translate, translatePolicyMessage } = require('../utils/i18n');
+const { claimRetrySeat, loadEntitlement, summarizeEntitlement } = require('./retry_entitlements');
+const { lookupCustomerPreferences, findCustomerForContact, normalizePhone } = require('./notification_preferences');
 
 // â”€â”€â”€ Rate Limiting (in-memory, per-instance) â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 const rateLimitMap = new Map();
 
-// â”€â”€â”€ Helper: Check if tour is cancelled/OFF for a date â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-async function isTourCancelledForDate(dateString) {
-    try {
-        const statusDoc = await db.collection('tour_status').doc(dateString).get();
-        if (statusDoc.exists && statusDoc.data().status === 'OFF') {
-            return true;
-        }
-    } catch (e) {
-        console.log(`âš ï¸ Could not check tour status for ${dateString}: ${e.message}`);
-    }
-    return false;
-}
 const RATE_LIMIT_WINDOW_MS = 60_000; // 1 minute
 const RATE_LIMIT_MAX = 10;
 
@@ -48,16 +54,53 @@ function isRateLimited(ip) {
     return false;
 }
 
+// ——— Language ————————————————————————————————————————————————————————
+/**
+ * Language for portal responses (utils/i18n.js): the one the page asks for
+ * (body.language, the portal's language switch) or the customer's chosen
+ * notification language, then the Bokun booking language, then the customer
+ * profile, then the browser's Accept-Language. English otherwise.
+ */
+function getPortalLanguage(req, booking = null, customer = null) {
+    return resolveLanguage({
+        preferred: req.body?.language || customer?.languages?.preferred,
+        booking: booking ? extractBookingLanguage(booking) : null,
+        profile: customer?.languages?.profile,
+        browser: req.headers['accept-language'],
+    });
+}
+
+/**
+ * getPortalLanguage once the booking is known: also looks up the customer
+ * profile by the booking's email / phone
+ */
+async function getBookingPortalLanguage(req, booking) {
+    const contact = {
+        email: (booking.customer?.email || '').toLowerCase().trim() || null,
+        phone: normalizePhone(booking.customer?.phoneNumber || booking.customer?.phone),
+    };
+    let customer = null;
+    if (contact.email || contact.phone) {
+        try {
+            customer = findCustomerForContact(await lookupCustomerPreferences([contact]), contact);
+        } catch (error) {
+            console.warn(`⚠️ Customer language lookup failed: ${error.message}`);
+        }
+    }
+    return getPortalLanguage(req, booking, customer);
+}
+
 // ——— Identity Verification Helper ————————————————————————————————
 /**
  * Looks up a booking by confirmation code.
  * Email and name are optional - if provided, they validate against the booking.
  * If omitted (e.g. from email link), the booking is returned directly.
- * Returns { booking, error } - booking is the raw Bokun booking object.
+ * Returns { booking, error } - booking is the raw Bokun booking object,
+ * error is in the given language.
  */
-async function verifyAndFetchBooking(confirmationCode, email, name, accessKey, secretKey) {
+async function verifyAndFetchBooking(confirmationCode, email, name, accessKey, secretKey, language = 'en') {
     if (!confirmationCode) {
-        return { booking: null, error: 'Booking reference number is required' };
+        return { booking: null, error: translate(language, 'portal.referenceRequired') };
     }
 
     // Search by confirmation code
@@ -95,7 +138,7 @@ async function verifyAndFetchBooking(confirmationCode, email, name, accessKey, s
         }
 
         if (!booking) {
-            return { booking: null, error: 'Booking not found. Please check your booking reference number.' };
+            return { booking: null, error: translate(language, 'portal.bookingNotFound') };
         }
     }
 
@@ -122,18 +165,18 @@ async function verifyAndFetchBooking(confirmationCode, email, name, accessKey, s
 
     // If email or name provided, validate them. Otherwise return booking directly.
     if (email || name) {
-        return validateBookingIdentity(booking, email, name);
+        return validateBookingIdentity(booking, email, name, language);
     }
 
     return { booking, error: null };
 }
 
-function validateBookingIdentity(booking, email, name) {
+function validateBookingIdentity(booking, email, name, language = 'en') {
     // Validate email
     const bookingEmail = (booking.customer?.email || '').toLowerCase().trim();
     const providedEmail = email.toLowerCase().trim();
     if (bookingEmail !== providedEmail) {
-        return { booking: null, error: 'The details provided do not match our records. Please check your name, email, and booking reference.' };
+        return { booking: null, error: translate(language, 'portal.detailsMismatch') };
     }
 
     // Validate name (flexible match â€” first name or full name)
@@ -149,7 +192,7 @@ function validateBookingIdentity(booking, email, name) {
         providedName.includes(firstName);
 
     if (!nameMatch) {
-        return { booking: null, error: 'The details provided do not match our records. Please check your name, email, and booking reference.' };
+        return { booking: null, error: translate(language, 'portal.detailsMismatch') };
     }
 
     return { booking, error: null };
@@ -185,36 +228,6 @@ function parseBokunDate(dateValue) {
     return null;
 }
 
-// â”€â”€â”€ Helper: Get hours until departure â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-// Uses actual start time from booking, defaults to 21:00 for northern lights tours
-function getHoursUntilDeparture(booking) {
-    const productBooking = booking.productBookings?.[0];
-    const tourDateStr = parseBokunDate(
-        productBooking?.startDate || booking.startDate
-    );
-    if (!tourDateStr) return 999;
-
-    // Try to get the actual start time (format: "21:00", "20:30", etc.)
-    let startTimeStr = productBooking?.startTime
-        || productBooking?.startTimeLocal
-        || booking.startTime
-        || null;
-
-    // Parse the start time or default to 21:00 (evening tour)
-    let hours = 21, minutes = 0;
-    if (startTimeStr && typeof startTimeStr === 'string') {
-        const timeParts = startTimeStr.match(/(\d{1,2}):(\d{2})/);
-        if (timeParts) {
-            hours = parseInt(timeParts[1], 10);
-            minutes = parseInt(timeParts[2], 10);
-        }
-    }
-
-    const departureDate = new Date(`${tourDateStr}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`);
-    const now = new Date();
-    return (departureDate - now) / (1000 * 60 * 60);
-}
-
 // â”€â”€â”€ Helper: Normalize Bokun status â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 function normalizeStatus(booking) {
     const raw = (booking.status || '').toUpperCase().trim();
@@ -316,29 +329,6 @@ function sanitizeBookingForCustomer(booking) {
     };
 }
 
-// â”€â”€â”€ OTA Detection â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-// "Backend", "Direct", and similar are NOT real OTAs â€” they are Bokun's
-// channel names for direct/offline bookings.
-const NON_OTA_CHANNELS = ['backend', 'direct', 'direct offline', 'direct online', 'website', 'manual', 'pos', 'bokun'];
-
-function detectOTABooking(booking) {
-    // Check affiliate/reseller first (these are always real OTAs)
-    if (booking.affiliate?.title) {
-        return { isOTA: true, otaName: booking.affiliate.title };
-    }
-    if (booking.reseller?.title) {
-        return { isOTA: true, otaName: booking.reseller.title };
-    }
-
-    // Check channel â€” but filter out non-OTA channels
-    const channelTitle = booking.channel?.title || '';
-    if (channelTitle && !NON_OTA_CHANNELS.includes(channelTitle.toLowerCase().trim())) {
-        return { isOTA: true, otaName: channelTitle };
-    }
-
-    return { isOTA: false, otaName: null };
-}
-
 // â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•
 // 1. PORTAL LOOKUP BOOKING
 // â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•
@@ -357,7 +347,7 @@ const portalLookupBooking = onRequest(
         // Rate limit
         const clientIp = req.headers['x-forwarded-for'] || req.ip || 'unknown';
         if (isRateLimited(clientIp)) {
-            res.status(429).json({ error: 'Too many requests. Please try again in a minute.' });
+            res.status(429).json({ error: translate(getPortalLanguage(req), 'portal.tooManyRequests') });
             return;
         }
 
@@ -367,7 +357,7 @@ const portalLookupBooking = onRequest(
         const secretKey = process.env.BOKUN_SECRET_KEY;
 
         if (!accessKey || !secretKey) {
-            res.status(500).json({ error: 'Service temporarily unavailable' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.unavailable') });
             return;
         }
 
@@ -375,7 +365,7 @@ const portalLookupBooking = onRequest(
             console.log(`🔍 Portal lookup: ${confirmationCode}${email ? ` by ${email}` : ' (code-only)'}`);
 
             const { booking, error } = await verifyAndFetchBooking(
-                confirmationCode, email, name, accessKey, secretKey
+                confirmationCode, email, name, accessKey, secretKey, getPortalLanguage(req)
             );
 
             if (error) {
@@ -383,65 +373,49 @@ const portalLookupBooking = onRequest(
                 return;
             }
 
+            const language = await getBookingPortalLanguage(req, booking);
+
             const sanitized = sanitizeBookingForCustomer(booking);
 
-            // Check if booking is in a modifiable state
             const status = normalizeStatus(booking);
-            const modifiable = ['CONFIRMED', 'AMENDED'].includes(status);
             const isCancelled = status === 'CANCELLED';
 
-            // Check if tour date is in the past
-            const tourDate = new Date(sanitized.tourDate);
-            const now = new Date();
-            const isPast = tourDate < new Date(now.toISOString().split('T')[0]);
-
-            // Calculate hours until departure using actual start time
-            const hoursUntilDeparture = getHoursUntilDeparture(booking);
-            const isWithin24hRaw = hoursUntilDeparture < 24;
-            const isWithin2h = hoursUntilDeparture < 2;
-
-            // Check if tour is cancelled due to weather â€” if so, allow reschedule within 24h
-            let tourCancelled = false;
-            if (sanitized.tourDate) {
-                tourCancelled = await isTourCancelledForDate(sanitized.tourDate);
-            }
-
-            // Determine cancel policy
-            // OFF + within 24h = weather_cancelled (courtesy reschedule vs original tour refund)
-            // ON/not set + within 24h = non_refundable (resources allocated, no refund)
-            // Otherwise = normal
-            let cancelPolicy = 'normal';
-            if (isWithin24hRaw && tourCancelled) {
-                cancelPolicy = 'weather_cancelled';
-            } else if (isWithin24hRaw) {
-                cancelPolicy = 'non_refundable';
-            }
-
-            // Check OTA
-            const otaInfo = detectOTABooking(booking);
+            // Reschedule / cancel / pickup rules (utils/booking_policy.js)
+            const facts = await loadPolicyFacts(booking);
+            const context = buildPolicyContext(booking, facts);
+            const policy = evaluateBookingPolicies(booking, facts);
+            const otaInfo = context.ota;
+            const retry = summarizeEntitlement(await loadEntitlement(String(booking.id)));
 
             res.json({
                 success: true,
                 booking: sanitized,
-                canModify: modifiable && !isPast && (!isWithin24hRaw || tourCancelled),
-                canCancel: modifiable && !isPast,
-                canChangePickup: modifiable && !isPast && !isWithin2h,
-                cancelPolicy,
-                isWithin24h: isWithin24hRaw,
-                isWithin2h,
-                tourCancelledByWeather: tourCancelled,
-                isPastBooking: isPast,
+                canModify: policy.reschedule.allowed,
+                canCancel: policy.cancel.allowed,
+                canChangePickup: policy.changePickup.allowed,
+                cancelPolicy: policy.cancel.cancelPolicy || 'normal',
+                isWithin24h: context.withinCutoff,
+                isWithin2h: policy.changePickup.rule === 'pickup_cutoff_2h',
+                tourCancelledByWeather: context.tourOff,
+                isPastBooking: context.isPast,
                 isCancelled,
                 isOTA: otaInfo.isOTA,
                 otaName: otaInfo.otaName,
                 otaMessage: otaInfo.isOTA
-                    ? `This booking was made through ${otaInfo.otaName}. You can still reschedule or change your pickup here.`
+                    ? translate(language, 'portal.otaMessage', { otaName: otaInfo.otaName })
                     : null,
+                policy: {
+                    reschedule: { rule: policy.reschedule.rule, message: translatePolicyMessage(policy.reschedule, language) },
+                    cancel: { rule: policy.cancel.rule, message: translatePolicyMessage(policy.cancel, language) },
+                    changePickup: { rule: policy.changePickup.rule, message: translatePolicyMessage(policy.changePickup, language) },
+                },
+                retry,
+                language,
             });
 
         } catch (error) {
             console.error('âŒ Portal lookup error:', error.message);
-            res.status(500).json({ error: 'Unable to look up your booking. Please try again later.' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.lookupFailed') });
         }
     }
 );
@@ -463,14 +437,14 @@ const portalCheckAvailability = onRequest(
 
         const clientIp = req.headers['x-forwarded-for'] || req.ip || 'unknown';
         if (isRateLimited(clientIp)) {
-            res.status(429).json({ error: 'Too many requests. Please try again in a minute.' });
+            res.status(429).json({ error: translate(getPortalLanguage(req), 'portal.tooManyRequests') });
             return;
         }
 
         const { confirmationCode, email, name, targetDate } = req.body;
 
         if (!targetDate) {
-            res.status(400).json({ error: 'Please select a date' });
+            res.status(400).json({ error: translate(getPortalLanguage(req), 'portal.selectDate') });
             return;
         }
 
@@ -479,14 +453,14 @@ const portalCheckAvailability = onRequest(
         const octoToken = process.env.BOKUN_OCTO_TOKEN;
 
         if (!accessKey || !secretKey || !octoToken) {
-            res.status(500).json({ error: 'Service temporarily unavailable' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.unavailable') });
             return;
         }
 
         try {
             // Re-verify identity
             const { booking, error } = await verifyAndFetchBooking(
-                confirmationCode, email, name, accessKey, secretKey
+                confirmationCode, email, name, accessKey, secretKey, getPortalLanguage(req)
             );
 
             if (error) {
@@ -494,57 +468,27 @@ const portalCheckAvailability = onRequest(
                 return;
             }
 
-            // Check 24h restriction using actual departure time
-            const hoursUntilDeparture = getHoursUntilDeparture(booking);
-            if (hoursUntilDeparture < 24) {
-                const tourDateStr = parseBokunDate(booking.productBookings?.[0]?.startDate || booking.startDate);
-                const isCancelledByWeather = tourDateStr ? await isTourCancelledForDate(tourDateStr) : false;
-                if (!isCancelledByWeather) {
-                    res.status(400).json({
-                        error: 'Your tour is less than 24 hours away. Non-refundable resources have already been allocated for your booking. Please email us at info@auroraviking.com for any last-minute changes.'
-                    });
-                    return;
-                }
-                console.log('\u{1F327}\uFE0F Tour cancelled for weather \u2014 allowing availability check within 24h');
+            const language = await getBookingPortalLanguage(req, booking);
+
+            const decision = evaluatePolicy('reschedule', buildPolicyContext(booking, {
+                ...await loadPolicyFacts(booking),
+                newDate: targetDate,
+            }));
+            if (!decision.allowed) {
+                res.status(400).json({ error: translatePolicyMessage(decision, language), rule: decision.rule });
+                return;
             }
 
             const productBooking = booking.productBookings?.[0];
             const productId = productBooking?.product?.id;
 
             if (!productId) {
-                res.status(400).json({ error: 'Unable to check availability for this booking type' });
+                res.status(400).json({ error: translate(language, 'portal.availabilityUnsupported') });
                 return;
             }
 
             // OCTO helper
-            const octoRequest = (method, path, body) => {
-                return new Promise((resolve, reject) => {
-                    const bodyStr = body ? JSON.stringify(body) : null;
-                    const opts = {
-                        hostname: 'api.bokun.io',
-                        path: `/octo/v1${path}`,
-                        method,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${octoToken}`,
-                        },
-                    };
-                    if (bodyStr) opts.headers['Content-Length'] = Buffer.byteLength(bodyStr);
-
-                    const apiReq = https.request(opts, (apiRes) => {
-                        let data = '';
-                        apiRes.on('data', (chunk) => { data += chunk; });
-                        apiRes.on('end', () => {
-                            if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                                try { resolve(JSON.parse(data)); } catch (e) { resolve(data); }
-                            } else { reject(new Error(`OCTO ${apiRes.statusCode}: ${data.substring(0, 200)}`)); }
-                        });
-                    });
-                    apiReq.on('error', reject);
-                    if (bodyStr) apiReq.write(bodyStr);
-                    apiReq.end();
-                });
-            };
+            const octoRequest = (method, path, body = null) => sendOctoRequest(method, path, body, octoToken);
 
             // Get correct OCTO product + option IDs (same approach as booking_management.js)
             let octoProductId = String(productId);
@@ -601,14 +545,12 @@ const portalCheckAvailability = onRequest(
                 targetDate,
                 available: hasAvailability,
                 slots,
-                message: hasAvailability
-                    ? 'Availability confirmed for this date!'
-                    : 'Sorry, this date is fully booked. Please try another date.',
+                message: translate(language, hasAvailability ? 'portal.available' : 'portal.soldOut'),
             });
 
         } catch (error) {
             console.error('âŒ Portal availability check error:', error.message);
-            res.status(500).json({ error: 'Unable to check availability. Please try again later.' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.availabilityFailed') });
         }
     }
 );
@@ -630,14 +572,14 @@ const portalRescheduleBooking = onRequest(
 
         const clientIp = req.headers['x-forwarded-for'] || req.ip || 'unknown';
         if (isRateLimited(clientIp)) {
-            res.status(429).json({ error: 'Too many requests. Please try again in a minute.' });
+            res.status(429).json({ error: translate(getPortalLanguage(req), 'portal.tooManyRequests') });
             return;
         }
 
         const { confirmationCode, email, name, newDate } = req.body;
 
         if (!newDate) {
-            res.status(400).json({ error: 'Please select a new date' });
+            res.status(400).json({ error: translate(getPortalLanguage(req), 'portal.selectNewDate') });
             return;
         }
 
@@ -645,14 +587,14 @@ const portalRescheduleBooking = onRequest(
         const secretKey = process.env.BOKUN_SECRET_KEY;
 
         if (!accessKey || !secretKey) {
-            res.status(500).json({ error: 'Service temporarily unavailable' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.unavailable') });
             return;
         }
 
         try {
             // Verify identity
             const { booking, error } = await verifyAndFetchBooking(
-                confirmationCode, email, name, accessKey, secretKey
+                confirmationCode, email, name, accessKey, secretKey, getPortalLanguage(req)
             );
 
             if (error) {
@@ -660,30 +602,21 @@ const portalRescheduleBooking = onRequest(
                 return;
             }
 
+            const language = await getBookingPortalLanguage(req, booking);
+
             // Note: OTA bookings CAN be rescheduled via ActivityChangeDateAction
             // (same internal API Bokun uses in their UI)
             const otaInfo = detectOTABooking(booking);
 
-            // Check 24h restriction using actual departure time
-            const hoursUntilDeparture = getHoursUntilDeparture(booking);
-            if (hoursUntilDeparture < 24) {
-                const tourDateStr = parseBokunDate(booking.productBookings?.[0]?.startDate || booking.startDate);
-                const isCancelledByWeather = tourDateStr ? await isTourCancelledForDate(tourDateStr) : false;
-                if (!isCancelledByWeather) {
-                    res.status(400).json({
-                        error: 'Your tour is less than 24 hours away. Non-refundable resources have already been allocated for your booking. Please email us at info@auroraviking.com for any last-minute changes.'
-                    });
-                    return;
-                }
-                console.log('🌧️ Tour cancelled for weather — allowing reschedule within 24h');
-            }
-
-            // Check booking status
-            const rescheduleStatus = normalizeStatus(booking);
-            if (!['CONFIRMED', 'AMENDED'].includes(rescheduleStatus)) {
-                res.status(400).json({ error: 'This booking cannot be rescheduled due to its current status.' });
+            const decision = evaluatePolicy('reschedule', buildPolicyContext(booking, {
+                ...await loadPolicyFacts(booking),
+                newDate,
+            }));
+            if (!decision.allowed) {
+                res.status(400).json({ error: translatePolicyMessage(decision, language), rule: decision.rule });
                 return;
             }
+            console.log(`📋 Reschedule allowed by ${decision.rule}`);
 
             const customerName = `${booking.customer?.firstName || ''} ${booking.customer?.lastName || ''}`.trim();
             const customerEmail = email || booking.customer?.email || '';
@@ -695,13 +628,6 @@ const portalRescheduleBooking = onRequest(
             // Use ActivityChangeDateAction — works for ALL bookings including OTA
             if (activityBookingId) {
                 try {
-                    const crypto = require('crypto');
-                    const https = require('https');
-                    const editPath = '/booking.json/edit';
-                    const editDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-                    const editMessage = editDate + accessKey + 'POST' + editPath;
-                    const editSignature = crypto.createHmac('sha1', secretKey).update(editMessage).digest('base64');
-
                     // Get startTimeId from original booking if available
                     const startTimeId = productBooking?.startTimeId;
 
@@ -714,37 +640,7 @@ const portalRescheduleBooking = onRequest(
 
                     console.log(`📅 ActivityChangeDateAction: activity ${activityBookingId} → ${newDate}`);
 
-                    const apiResult = await new Promise((resolve, reject) => {
-                        const editBody = JSON.stringify(changeDateActions);
-                        const options = {
-                            hostname: 'api.bokun.io',
-                            path: editPath,
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json;charset=UTF-8',
-                                'Content-Length': Buffer.byteLength(editBody),
-                                'X-Bokun-AccessKey': accessKey,
-                                'X-Bokun-Date': editDate,
-                                'X-Bokun-Signature': editSignature,
-                            },
-                        };
-
-                        const apiReq = https.request(options, (apiRes) => {
-                            let data = '';
-                            apiRes.on('data', (chunk) => { data += chunk; });
-                            apiRes.on('end', () => {
-                                console.log(`📅 ActivityChangeDateAction response: ${apiRes.statusCode}`);
-                                if (apiRes.statusCode >= 200 && apiRes.statusCode < 400) {
-                                    resolve({ success: true, data });
-                                } else {
-                                    reject(new Error(`ActivityChangeDateAction failed: ${apiRes.statusCode} - ${data}`));
-                                }
-                            });
-                        });
-                        apiReq.on('error', reject);
-                        apiReq.write(editBody);
-                        apiReq.end();
-                    });
+                    await bokunRequest('POST', '/booking.json/edit', changeDateActions, { accessKey, secretKey });
 
                     console.log(`✅ Reschedule succeeded via ActivityChangeDateAction!`);
 
@@ -764,6 +660,7 @@ const portalRescheduleBooking = onRequest(
                         method: 'activity_change_date_action',
                         isOTABooking: otaInfo.isOTA,
                         otaName: otaInfo.otaName || null,
+                        policyRule: decision.rule,
                         createdAt: admin.firestore.FieldValue.serverTimestamp(),
                         completedAt: admin.firestore.FieldValue.serverTimestamp(),
                     });
@@ -783,6 +680,7 @@ const portalRescheduleBooking = onRequest(
                         method: 'activity_change_date_action',
                         isOTABooking: otaInfo.isOTA,
                         otaName: otaInfo.otaName || null,
+                        policyRule: decision.rule,
                     });
 
                     // Notify admins
@@ -798,7 +696,7 @@ const portalRescheduleBooking = onRequest(
 
                     res.json({
                         success: true,
-                        message: `Your booking has been rescheduled to ${newDate}. You will receive a confirmation shortly.`,
+                        message: translate(language, 'portal.rescheduled', { date: newDate }),
                     });
                     return;
 
@@ -819,6 +717,7 @@ const portalRescheduleBooking = onRequest(
                 source: 'customer_portal',
                 customerName,
                 customerEmail,
+                policyRule: decision.rule,
                 status: 'pending',
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
             });
@@ -837,12 +736,12 @@ const portalRescheduleBooking = onRequest(
             res.json({
                 success: true,
                 requestId: requestRef.id,
-                message: `Your booking has been submitted for rescheduling to ${newDate}. You will receive a confirmation email shortly.`,
+                message: translate(language, 'portal.rescheduleSubmitted', { date: newDate }),
             });
 
         } catch (error) {
             console.error('âŒ Portal reschedule error:', error.message);
-            res.status(500).json({ error: 'Unable to process your reschedule request. Please try again or contact us at info@auroraviking.com' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.rescheduleFailed') });
         }
     }
 );
@@ -864,7 +763,7 @@ const portalCancelBooking = onRequest(
 
         const clientIp = req.headers['x-forwarded-for'] || req.ip || 'unknown';
         if (isRateLimited(clientIp)) {
-            res.status(429).json({ error: 'Too many requests. Please try again in a minute.' });
+            res.status(429).json({ error: translate(getPortalLanguage(req), 'portal.tooManyRequests') });
             return;
         }
 
@@ -874,14 +773,14 @@ const portalCancelBooking = onRequest(
         const secretKey = process.env.BOKUN_SECRET_KEY;
 
         if (!accessKey || !secretKey) {
-            res.status(500).json({ error: 'Service temporarily unavailable' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.unavailable') });
             return;
         }
 
         try {
             // Verify identity
             const { booking, error } = await verifyAndFetchBooking(
-                confirmationCode, email, name, accessKey, secretKey
+                confirmationCode, email, name, accessKey, secretKey, getPortalLanguage(req)
             );
 
             if (error) {
@@ -889,23 +788,17 @@ const portalCancelBooking = onRequest(
                 return;
             }
 
-            // Check booking status
-            const cancelStatus = normalizeStatus(booking);
-            if (!['CONFIRMED', 'AMENDED'].includes(cancelStatus)) {
-                res.status(400).json({ error: 'This booking cannot be cancelled due to its current status.' });
-                return;
-            }
+            const language = await getBookingPortalLanguage(req, booking);
 
-            // Determine cancel policy context
-            const hoursUntilCancelDeparture = getHoursUntilDeparture(booking);
-            const cancelTourDateStr = parseBokunDate(booking.productBookings?.[0]?.startDate || booking.startDate);
-            const isTourOff = cancelTourDateStr ? await isTourCancelledForDate(cancelTourDateStr) : false;
-            let cancelPolicyApplied = 'normal';
-            if (hoursUntilCancelDeparture < 24 && isTourOff) {
-                cancelPolicyApplied = 'weather_cancelled';
-            } else if (hoursUntilCancelDeparture < 24) {
-                cancelPolicyApplied = 'non_refundable';
+            // Cancel / refund rules (utils/booking_policy.js)
+            const context = buildPolicyContext(booking, await loadPolicyFacts(booking));
+            const decision = evaluatePolicy('cancel', context);
+            if (!decision.allowed) {
+                res.status(400).json({ error: translatePolicyMessage(decision, language), rule: decision.rule });
+                return;
             }
+            const cancelPolicyApplied = decision.cancelPolicy;
+            const isTourOff = context.tourOff;
 
             const customerName = `${booking.customer?.firstName || ''} ${booking.customer?.lastName || ''}`.trim();
             const customerEmail = email || booking.customer?.email || '';
@@ -925,7 +818,8 @@ const portalCancelBooking = onRequest(
                 customerName,
                 customerEmail,
                 cancelPolicy: cancelPolicyApplied,
-                isWithin24h: hoursUntilCancelDeparture < 24,
+                policyRule: decision.rule,
+                isWithin24h: context.withinCutoff,
                 isTourOff,
                 status: 'pending',
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -943,9 +837,11 @@ const portalCancelBooking = onRequest(
                 reason: reason || 'No reason provided',
                 cancelRequestId: cancelRef.id,
                 cancelPolicy: cancelPolicyApplied,
-                isWithin24h: hoursUntilCancelDeparture < 24,
+                policyRule: decision.rule,
+                isWithin24h: context.withinCutoff,
                 isTourOff,
-                refundEligible: cancelPolicyApplied === 'normal' || cancelPolicyApplied === 'weather_cancelled',
+                refundEligible: decision.refundable,
+                refundVia: decision.refundVia || null,
                 status: 'pending_review',
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
             });
@@ -964,12 +860,12 @@ const portalCancelBooking = onRequest(
             res.json({
                 success: true,
                 requestId: cancelRef.id,
-                message: 'Your booking has been cancelled. If you are eligible for a refund, our team will be in touch within 2-3 business days.',
+                message: translate(language, 'portal.cancelled'),
             });
 
         } catch (error) {
             console.error('âŒ Portal cancel error:', error.message);
-            res.status(500).json({ error: 'Unable to process your cancellation. Please try again or contact us at info@auroraviking.com' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.cancelFailed') });
         }
     }
 );
@@ -991,7 +887,7 @@ const portalGetPickupPlaces = onRequest(
 
         const clientIp = req.headers['x-forwarded-for'] || req.ip || 'unknown';
         if (isRateLimited(clientIp)) {
-            res.status(429).json({ error: 'Too many requests.' });
+            res.status(429).json({ error: translate(getPortalLanguage(req), 'portal.tooManyRequests') });
             return;
         }
 
@@ -1001,7 +897,7 @@ const portalGetPickupPlaces = onRequest(
         const productId = req.query.productId || req.body?.productId;
 
         if (!productId) {
-            res.status(400).json({ error: 'Product information missing' });
+            res.status(400).json({ error: translate(getPortalLanguage(req), 'portal.productMissing') });
             return;
         }
 
@@ -1009,14 +905,14 @@ const portalGetPickupPlaces = onRequest(
         const secretKey = process.env.BOKUN_SECRET_KEY;
 
         if (!accessKey || !secretKey) {
-            res.status(500).json({ error: 'Service temporarily unavailable' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.unavailable') });
             return;
         }
 
         try {
             // Verify identity
             const { booking, error } = await verifyAndFetchBooking(
-                confirmationCode, email, name, accessKey, secretKey
+                confirmationCode, email, name, accessKey, secretKey, getPortalLanguage(req)
             );
 
             if (error) {
@@ -1026,38 +922,7 @@ const portalGetPickupPlaces = onRequest(
 
             console.log(`ðŸ“ Portal pickup places for product ${productId}`);
 
-            const pickupPath = `/activity.json/${productId}/pickup-places`;
-            const pickupDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-            const pickupMessage = pickupDate + accessKey + 'GET' + pickupPath;
-            const pickupSignature = crypto.createHmac('sha1', secretKey).update(pickupMessage).digest('base64');
-
-            const pickupPlaces = await new Promise((resolve) => {
-                const options = {
-                    hostname: 'api.bokun.io',
-                    path: pickupPath,
-                    method: 'GET',
-                    headers: {
-                        'X-Bokun-AccessKey': accessKey,
-                        'X-Bokun-Date': pickupDate,
-                        'X-Bokun-Signature': pickupSignature,
-                    },
-                };
-
-                const apiReq = https.request(options, (apiRes) => {
-                    let data = '';
-                    apiRes.on('data', (chunk) => { data += chunk; });
-                    apiRes.on('end', () => {
-                        if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                            try {
-                                const parsed = JSON.parse(data);
-                                resolve(parsed.pickupPlaces || parsed.pickupDropoffPlaces || parsed.items || parsed);
-                            } catch (e) { resolve([]); }
-                        } else { resolve([]); }
-                    });
-                });
-                apiReq.on('error', () => resolve([]));
-                apiReq.end();
-            });
+            const pickupPlaces = await getBokunPickupPlaces(productId, { accessKey, secretKey });
 
             const places = (Array.isArray(pickupPlaces) ? pickupPlaces : []).map(place => ({
                 id: place.id,
@@ -1071,7 +936,7 @@ const portalGetPickupPlaces = onRequest(
 
         } catch (error) {
             console.error('âŒ Portal pickup places error:', error.message);
-            res.status(500).json({ error: 'Unable to load pickup locations. Please try again.' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.pickupPlacesFailed') });
         }
     }
 );
@@ -1093,14 +958,14 @@ const portalUpdatePickup = onRequest(
 
         const clientIp = req.headers['x-forwarded-for'] || req.ip || 'unknown';
         if (isRateLimited(clientIp)) {
-            res.status(429).json({ error: 'Too many requests.' });
+            res.status(429).json({ error: translate(getPortalLanguage(req), 'portal.tooManyRequests') });
             return;
         }
 
         const { confirmationCode, email, name, pickupPlaceId, pickupPlaceName } = req.body;
 
         if (!pickupPlaceId) {
-            res.status(400).json({ error: 'Please select a pickup location' });
+            res.status(400).json({ error: translate(getPortalLanguage(req), 'portal.selectPickup') });
             return;
         }
 
@@ -1108,14 +973,14 @@ const portalUpdatePickup = onRequest(
         const secretKey = process.env.BOKUN_SECRET_KEY;
 
         if (!accessKey || !secretKey) {
-            res.status(500).json({ error: 'Service temporarily unavailable' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.unavailable') });
             return;
         }
 
         try {
             // Verify identity
             const { booking, error } = await verifyAndFetchBooking(
-                confirmationCode, email, name, accessKey, secretKey
+                confirmationCode, email, name, accessKey, secretKey, getPortalLanguage(req)
             );
 
             if (error) {
@@ -1123,24 +988,14 @@ const portalUpdatePickup = onRequest(
                 return;
             }
 
-            // Check booking status
-            const pickupStatus = normalizeStatus(booking);
-            if (!['CONFIRMED', 'AMENDED'].includes(pickupStatus)) {
-                res.status(400).json({ error: 'This booking cannot be modified due to its current status.' });
-                return;
-            }
+            const language = await getBookingPortalLanguage(req, booking);
 
-            // Check 2h restriction for pickup changes
-            const hoursUntilPickupDeparture = getHoursUntilDeparture(booking);
-            if (hoursUntilPickupDeparture < 2) {
-                res.status(400).json({
-                    error: 'Pickup location changes are not available within 2 hours of departure. Please email us at info@auroraviking.com.'
-                });
+            const decision = evaluatePolicy('change_pickup', buildPolicyContext(booking, await loadPolicyFacts(booking)));
+            if (!decision.allowed) {
+                res.status(400).json({ error: translatePolicyMessage(decision, language), rule: decision.rule });
                 return;
             }
 
-            // OTA bookings can still change pickup (it's an internal update, not a booking modification)
-
             const customerName = `${booking.customer?.firstName || ''} ${booking.customer?.lastName || ''}`.trim();
             const customerEmail = email || booking.customer?.email || '';
             const productBookingId = booking.productBookings?.[0]?.id;
@@ -1175,81 +1030,18 @@ const portalUpdatePickup = onRequest(
             res.json({
                 success: true,
                 requestId: requestRef.id,
-                message: `Your pickup location has been updated to ${pickupPlaceName || 'the selected location'}. You will receive a confirmation email shortly.`,
+                message: translate(language, 'portal.pickupUpdated', {
+                    place: pickupPlaceName || translate(language, 'portal.selectedLocation'),
+                }),
             });
 
         } catch (error) {
             console.error('âŒ Portal pickup update error:', error.message);
-            res.status(500).json({ error: 'Unable to update your pickup location. Please try again or contact us at info@auroraviking.com' });
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.pickupFailed') });
         }
     }
 );
 
-// =====================================================================
-// Helper: Fetch bookings directly from Bokun API (fallback when no cache)
-// =====================================================================
-async function fetchBookingsFromBokun(dateString, accessKey, secretKey) {
-    const path = '/booking.json/booking-search';
-    const method = 'POST';
-
-    const startOfDay = `${dateString}T00:00:00Z`;
-    const endOfDay = `${dateString}T23:59:59Z`;
-
-    const requestBody = JSON.stringify({
-        startDateRange: {
-            from: startOfDay,
-            to: endOfDay,
-        },
-        offset: 0,
-        limit: 500,
-    });
-
-    const bokunDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    const message = bokunDate + accessKey + method + path;
-    const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
-
-    return new Promise((resolve) => {
-        const options = {
-            hostname: 'api.bokun.io',
-            path,
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(requestBody),
-                'X-Bokun-AccessKey': accessKey,
-                'X-Bokun-Date': bokunDate,
-                'X-Bokun-Signature': signature,
-            },
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const result = JSON.parse(data);
-                        resolve(result.items || []);
-                    } catch (e) {
-                        console.log('Failed to parse Bokun response:', e.message);
-                        resolve([]);
-                    }
-                } else {
-                    console.log(`Bokun API error: ${res.statusCode}`);
-                    resolve([]);
-                }
-            });
-        });
-
-        req.on('error', (e) => {
-            console.error('Bokun request error:', e.message);
-            resolve([]);
-        });
-        req.write(requestBody);
-        req.end();
-    });
-}
-
 // =====================================================================
 // 7. BOOKING MANIFEST (Admin only - fetches all bookings + portal activity)
 // =====================================================================
@@ -1285,7 +1077,15 @@ const getBookingManifest = onCall(
                 const secretKey = process.env.BOKUN_SECRET_KEY;
 
                 if (accessKey && secretKey) {
-                    const bokunBookings = await fetchBookingsFromBokun(date, accessKey, secretKey);
+                    let bokunBookings;
+                    try {
+                        bokunBookings = await searchBookingsForDate(date, { accessKey, secretKey });
+                    } catch (bokunError) {
+                        console.error('Bokun fallback fetch failed:', bokunError.message);
+                        throw new Error(isBokunOutage(bokunError)
+                            ? 'Bokun is unavailable and there is no cached copy for this date'
+                            : 'Failed to fetch bookings');
+                    }
                     if (bokunBookings.length > 0) {
                         bookings = bokunBookings;
                         console.log('Fetched ' + bookings.length + ' bookings from Bokun for ' + date);
@@ -1319,7 +1119,7 @@ const getBookingManifest = onCall(
             });
         } catch (e) {
             console.error('Failed to fetch bookings:', e.message);
-            throw new Error('Failed to fetch bookings');
+            throw new Error(e.message.startsWith('Bokun is unavailable') ? e.message : 'Failed to fetch bookings');
         }
 
         console.log('Total bookings for ' + date + ': ' + bookings.length);
@@ -1507,6 +1307,82 @@ const getBookingManifest = onCall(
     }
 );
 
+// =====================================================================
+// 8. PORTAL CLAIM FREE RETRY (no lights seen, see retry_entitlements.js)
+// =====================================================================
+const portalClaimRetry = onRequest(
+    {
+        cors: true,
+        invoker: 'public',
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (req, res) => {
+        if (req.method !== 'POST') {
+            res.status(405).json({ error: 'Method not allowed' });
+            return;
+        }
+
+        const clientIp = req.headers['x-forwarded-for'] || req.ip || 'unknown';
+        if (isRateLimited(clientIp)) {
+            res.status(429).json({ error: translate(getPortalLanguage(req), 'portal.tooManyRequests') });
+            return;
+        }
+
+        const { confirmationCode, email, name, retryDate } = req.body;
+
+        if (!retryDate || !/^\d{4}-\d{2}-\d{2}$/.test(retryDate)) {
+            res.status(400).json({ error: translate(getPortalLanguage(req), 'portal.selectRetryNight') });
+            return;
+        }
+
+        const accessKey = process.env.BOKUN_ACCESS_KEY;
+        const secretKey = process.env.BOKUN_SECRET_KEY;
+
+        if (!accessKey || !secretKey) {
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.unavailable') });
+            return;
+        }
+
+        try {
+            const { booking, error } = await verifyAndFetchBooking(
+                confirmationCode, email, name, accessKey, secretKey, getPortalLanguage(req)
+            );
+
+            if (error) {
+                res.status(404).json({ error });
+                return;
+            }
+
+            const language = await getBookingPortalLanguage(req, booking);
+
+            console.log(`🔁 Portal retry claim: ${booking.confirmationCode} → ${retryDate}`);
+
+            const result = await claimRetrySeat(String(booking.id), retryDate, { claimedBy: 'customer_portal' });
+            if (!result.success) {
+                res.status(400).json({
+                    error: result.code
+                        ? translate(language, `retry.${result.code}`)
+                        : translatePolicyMessage(result.decision, language),
+                    rule: result.rule,
+                });
+                return;
+            }
+
+            res.json({
+                success: true,
+                retryDate,
+                message: result.previousDate
+                    ? translate(language, 'portal.retryMoved', { from: result.previousDate, date: retryDate })
+                    : translate(language, 'portal.retryBooked', { date: retryDate }),
+            });
+
+        } catch (error) {
+            console.error('❌ Portal retry claim error:', error.message);
+            res.status(500).json({ error: translate(getPortalLanguage(req), 'portal.retryFailed') });
+        }
+    }
+);
+
 // Export all portal functions
 module.exports = {
     portalLookupBooking,
@@ -1516,4 +1392,5 @@ module.exports = {
     portalGetPickupPlaces,
     portalUpdatePickup,
     getBookingManifest,
+    portalClaimRetry,
 };
@@ -0,0 +1,1083 @@
+/**
+ * Customer Profiles Module (Customer 360)
+ * One profile per person across Gmail, website chat, SMS and WhatsApp, with
+ * their booking history from Bokun.
+ *
+ * Identity resolution: every customer doc carries
+ *   identity: { emails: [...], phones: [digits], confirmationCodes: [...], linkedCodes: [...] }
+ * built from email / phone / channels and their bookings. confirmationCodes
+ * are verified: Bokun has the booking under one of the customer's emails.
+ * linkedCodes come from their conversations' bookingIds, which can hold free
+ * text, so they are only suggested as duplicates (findDuplicateCustomers) and
+ * never auto-merged on. When two customers share an email, phone number or
+ * verified confirmation code they are merged: the older doc stays the profile
+ * (primary), the other gets mergedInto: <primaryId> and its conversations and
+ * messages move over (remembering previousCustomerId). findOrCreateCustomer
+ * follows mergedInto, so new messages land on the profile.
+ *
+ * A merge fills gaps on the profile (email, phone, channels.*,
+ * notificationPreferences) from the merged customer. The merge record keeps
+ * them (filledFields), and unmerge takes them off again, also from profiles
+ * they were passed on to by a later merge.
+ *
+ * Customer docs also carry (maintained here):
+ *   mergedFrom: [customerIds], doNotMerge: [customerIds] (set by unmerge),
+ *   bookingHistory: { bookings: [...], totals: {...}, firstTourDate, lastTourDate, computedAt },
+ *   totalBookings, upcomingBookings, pastBookings, vipStatus
+ *
+ * Collections:
+ * - customer_merges/{mergeId}: audit trail of merges and unmerges
+ *
+ * Config: config/customer_identity (merged over DEFAULT_IDENTITY_CONFIG)
+ *   { autoMerge: { email: true, phone: true, confirmationCode: true }, vipMinBookings: 3 }
+ *
+ * Functions:
+ * - onCustomerIdentityWritten (trigger): keep identity up to date, auto-merge
+ * - onConversationBookingsLinked (trigger): add linked confirmation codes to the identity
+ * - getCustomerProfile (callable): { customerId | conversationId, refresh? } → profile, history, timeline
+ * - findDuplicateCustomers (callable): { customerId } → possible matches
+ * - mergeCustomerProfiles (callable, staff): { primaryId, secondaryId, reason? }
+ * - unmergeCustomerProfile (callable, staff): { mergeId, reason? }
+ * - customerHistoryRefresh (daily 05:00): refresh booking history of recent contacts
+ */
+const { onCall } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { isDeepStrictEqual } = require('util');
+const { admin, db } = require('../utils/firebase');
+const { searchBookings } = require('../utils/bokun_client');
+const { toCachedBooking, isCancelledBooking, getBookingDate } = require('../utils/bokun_booking');
+const { getTodayDateString } = require('../utils/dates');
+const { requireStaff } = require('../utils/staff');
+
+const IN_QUERY_LIMIT = 30;
+const MAX_MERGE_CHAIN = 5;
+const HISTORY_MAX_BOOKINGS = 50;
+const HISTORY_MAX_EMAILS = 5;
+const HISTORY_MAX_CODES = 20;
+const TIMELINE_MESSAGE_LIMIT = 100;
+const REFRESH_CONTACT_DAYS = 14;
+const REFRESH_BATCH_LIMIT = 100;
+const RETRY_TEXT = /\b(retry|come again|free rebook)/i;
+const IDENTITY_FIELDS = ['emails', 'phones', 'confirmationCodes', 'linkedCodes'];
+// linkedCode (a free-text booking reference) is never merged on automatically
+const AUTO_MERGE_KEYS = ['email', 'phone', 'confirmationCode'];
+
+const DEFAULT_IDENTITY_CONFIG = {
+    autoMerge: { email: true, phone: true, confirmationCode: true },
+    vipMinBookings: 3,
+};
+
+// ============================================
+// IDENTITY (pure)
+// ============================================
+
+function resolveIdentityConfig(stored = {}) {
+    const vipMinBookings = parseInt(stored.vipMinBookings);
+    return {
+        autoMerge: { ...DEFAULT_IDENTITY_CONFIG.autoMerge, ...(stored.autoMerge || {}) },
+        vipMinBookings: Number.isFinite(vipMinBookings) && vipMinBookings > 0 ? vipMinBookings : DEFAULT_IDENTITY_CONFIG.vipMinBookings,
+    };
+}
+
+function normalizeEmail(email) {
+    const value = String(email || '').trim().toLowerCase();
+    return value.includes('@') ? value : null;
+}
+
+/**
+ * Phone numbers compare by digits (WhatsApp ids have no "+"); too short to
+ * identify someone → null
+ */
+function normalizePhoneKey(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits : null;
+}
+
+function normalizeConfirmationCode(code) {
+    const value = String(code || '').trim().toUpperCase();
+    return value.length >= 4 ? value : null;
+}
+
+function unique(values) {
+    return [...new Set(values.filter(Boolean))].sort();
+}
+
+/**
+ * Identity keys of a customer doc: its own contact fields plus what it
+ * already carries (keys of merged customers, verified and linked codes)
+ */
+function getIdentityKeys(customer = {}) {
+    const stored = customer.identity || {};
+    const confirmationCodes = unique((stored.confirmationCodes || []).map(normalizeConfirmationCode));
+    return {
+        emails: unique([customer.email, customer.channels?.gmail, ...(stored.emails || [])].map(normalizeEmail)),
+        phones: unique([customer.phone, customer.channels?.whatsapp, ...(stored.phones || [])].map(normalizePhoneKey)),
+        confirmationCodes,
+        linkedCodes: unique((stored.linkedCodes || []).map(normalizeConfirmationCode))
+            .filter(code => !confirmationCodes.includes(code)),
+    };
+}
+
+function mergeIdentityKeys(...identities) {
+    const confirmationCodes = unique(identities.flatMap(identity => identity?.confirmationCodes || []));
+    return {
+        emails: unique(identities.flatMap(identity => identity?.emails || [])),
+        phones: unique(identities.flatMap(identity => identity?.phones || [])),
+        confirmationCodes,
+        linkedCodes: unique(identities.flatMap(identity => identity?.linkedCodes || []))
+            .filter(code => !confirmationCodes.includes(code)),
+    };
+}
+
+function identityEquals(a, b) {
+    return IDENTITY_FIELDS.every(field =>
+        (a?.[field] || []).join('|') === (b?.[field] || []).join('|'));
+}
+
+/**
+ * Which keys two identities share: ['email', 'phone', 'confirmationCode']
+ * ('linkedCode' when they only share a code one of them has not verified)
+ */
+function findIdentityMatches(a, b) {
+    const shares = (x = [], y = []) => x.some(value => y.includes(value));
+    const allCodes = identity => [...(identity?.confirmationCodes || []), ...(identity?.linkedCodes || [])];
+    const matches = [];
+    if (shares(a?.emails, b?.emails)) matches.push('email');
+    if (shares(a?.phones, b?.phones)) matches.push('phone');
+    if (shares(a?.confirmationCodes, b?.confirmationCodes)) matches.push('confirmationCode');
+    else if (shares(allCodes(a), allCodes(b))) matches.push('linkedCode');
+    return matches;
+}
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    const ms = new Date(value).getTime();
+    return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * The customer that stays the profile: the one created first (then by id)
+ * @param {Array<{id, createdAt}>} customers
+ */
+function pickPrimaryCustomer(customers) {
+    return [...customers].sort((a, b) => {
+        const at = toMillis(a.createdAt) ?? Infinity;
+        const bt = toMillis(b.createdAt) ?? Infinity;
+        return at !== bt ? at - bt : String(a.id).localeCompare(String(b.id));
+    })[0] || null;
+}
+
+/**
+ * Whether a merge found by auto-resolution may go ahead
+ */
+function canAutoMerge(config, matchedOn, a, b) {
+    if (!matchedOn.some(key => AUTO_MERGE_KEYS.includes(key) && config.autoMerge[key])) return false;
+    if (a.mergedInto || b.mergedInto) return false;
+    return !(a.doNotMerge || []).includes(b.id) && !(b.doNotMerge || []).includes(a.id);
+}
+
+function getField(doc, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * The gaps on the primary a merge fills from the secondary
+ * @returns {Array<{field, value}>} field paths (channels.whatsapp, ...) and the values put there
+ */
+function getMergeFilledFields(primary, secondary) {
+    const filled = [];
+    if (!primary.email && secondary.email) filled.push({ field: 'email', value: secondary.email });
+    if (!primary.phone && secondary.phone) filled.push({ field: 'phone', value: secondary.phone });
+    for (const [channel, value] of Object.entries(secondary.channels || {})) {
+        if (value && !primary.channels?.[channel]) filled.push({ field: `channels.${channel}`, value });
+    }
+    if (!primary.notificationPreferences && secondary.notificationPreferences) {
+        filled.push({ field: 'notificationPreferences', value: secondary.notificationPreferences });
+    }
+    return filled;
+}
+
+/**
+ * Filled fields a profile still has as the merge left them (those changed
+ * since belong to the profile now and stay)
+ * @returns {string[]} field paths to remove on unmerge
+ */
+function getFieldsToRestore(customer, filledFields = []) {
+    return filledFields
+        .filter(({ field, value }) => isDeepStrictEqual(getField(customer, field), value))
+        .map(({ field }) => field);
+}
+
+// ============================================
+// BOOKING HISTORY (pure)
+// ============================================
+
+/**
+ * A booking made as a free retry (no lights seen on an earlier tour)
+ */
+function isRetryBooking(booking) {
+    if (booking.totalPrice === 0 || booking.totalPrice === '0') return true;
+    const texts = [
+        booking.notes,
+        booking.externalBookingReference,
+        ...(booking.labels || []),
+        ...(booking.productBookings || []).flatMap(pb => [pb.notes, pb.fields?.notes]),
+    ];
+    return texts.some(text => text && RETRY_TEXT.test(String(text)));
+}
+
+/**
+ * Raw Bokun booking → history entry
+ */
+function toHistoryBooking(booking) {
+    const cached = toCachedBooking(booking);
+    if (!cached) return null;
+    const date = getBookingDate(booking);
+    return {
+        bookingId: cached.id,
+        confirmationCode: cached.confirmationCode || null,
+        externalReference: booking.externalBookingReference || null,
+        date,
+        productTitle: cached.productTitle,
+        participants: cached.numberOfGuests,
+        pickupPlaceName: cached.pickupPlaceName || null,
+        cancelled: isCancelledBooking(booking),
+        isRetry: isRetryBooking(booking),
+        createdAt: cached.createdAt,
+    };
+}
+
+/**
+ * Booking history with attendance, no-shows, retries and reschedules.
+ *
+ * @param {Array} bookings - toHistoryBooking() entries
+ * @param {object} context
+ * @param {object} context.statuses - "{date}_{bookingId}" → booking_status doc (isNoShow / isArrived)
+ * @param {Array} context.reschedules - booking_actions reschedule entries
+ * @param {object} context.tourStatuses - date → 'ON' | 'OFF'
+ * @param {string} context.today - YYYY-MM-DD (Iceland)
+ * @param {number} context.vipMinBookings
+ */
+function buildBookingHistory(bookings, { statuses = {}, reschedules = [], tourStatuses = {}, today, vipMinBookings = DEFAULT_IDENTITY_CONFIG.vipMinBookings }) {
+    const byCode = {};
+    for (const action of reschedules) {
+        const code = normalizeConfirmationCode(action.confirmationCode);
+        if (!code) continue;
+        (byCode[code] = byCode[code] || []).push({
+            from: action.originalData?.date || null,
+            to: action.newData?.date || null,
+            at: action.performedAt || null,
+            by: action.performedBy || null,
+        });
+    }
+
+    const entries = bookings
+        .filter(Boolean)
+        .map(booking => {
+            const status = statuses[`${booking.date}_${booking.bookingId}`] || {};
+            const tourStatus = tourStatuses[booking.date] || null;
+            let attendance;
+            if (booking.cancelled) attendance = 'cancelled';
+            else if (!booking.date || booking.date >= today) attendance = 'upcoming';
+            else if (tourStatus === 'OFF') attendance = 'tour_cancelled';
+            else if (status.isNoShow === true) attendance = 'no_show';
+            else if (status.isArrived === true) attendance = 'attended';
+            else attendance = 'unknown';
+
+            return {
+                ...booking,
+                tourStatus,
+                attendance,
+                reschedules: byCode[normalizeConfirmationCode(booking.confirmationCode)] || [],
+            };
+        })
+        .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+
+    const count = (predicate) => entries.filter(predicate).length;
+    const active = entries.filter(entry => !entry.cancelled);
+    const dates = active.map(entry => entry.date).filter(Boolean).sort();
+
+    return {
+        bookings: entries.slice(0, HISTORY_MAX_BOOKINGS),
+        totals: {
+            bookings: active.length,
+            upcoming: count(entry => entry.attendance === 'upcoming'),
+            attended: count(entry => entry.attendance === 'attended'),
+            noShows: count(entry => entry.attendance === 'no_show'),
+            cancelled: count(entry => entry.attendance === 'cancelled'),
+            tourCancelled: count(entry => entry.attendance === 'tour_cancelled'),
+            retries: count(entry => entry.isRetry && !entry.cancelled),
+            rescheduled: count(entry => entry.reschedules.length > 0),
+        },
+        firstTourDate: dates[0] || null,
+        lastTourDate: dates[dates.length - 1] || null,
+        vip: active.filter(entry => !entry.isRetry).length >= vipMinBookings,
+    };
+}
+
+/**
+ * Short history for AI prompts, e.g.
+ * "3 bookings (1 upcoming, 1 attended, 1 no-show), 1 free retry. Last: AUR-1 on 2026-10-02 (attended)"
+ */
+function formatCustomerHistory(history) {
+    if (!history?.totals || history.totals.bookings === 0) return null;
+    const { totals } = history;
+    const parts = [
+        totals.upcoming && `${totals.upcoming} upcoming`,
+        totals.attended && `${totals.attended} attended`,
+        totals.noShows && `${totals.noShows} no-show${totals.noShows > 1 ? 's' : ''}`,
+        totals.tourCancelled && `${totals.tourCancelled} cancelled by us`,
+    ].filter(Boolean);
+
+    let text = `${totals.bookings} booking${totals.bookings > 1 ? 's' : ''}${parts.length ? ` (${parts.join(', ')})` : ''}`;
+    if (totals.retries) text += `, ${totals.retries} free retr${totals.retries > 1 ? 'ies' : 'y'}`;
+    if (totals.rescheduled) text += `, ${totals.rescheduled} rescheduled`;
+    if (history.vip) text += ', returning customer';
+
+    const lines = [text];
+    for (const booking of (history.bookings || []).filter(entry => !entry.cancelled).slice(0, 5)) {
+        lines.push(`- ${booking.confirmationCode || booking.bookingId} on ${booking.date || 'unknown date'}: ${booking.attendance.replace('_', ' ')}` +
+            `${booking.isRetry ? ' (free retry)' : ''}${booking.reschedules.length ? `, rescheduled ${booking.reschedules.length}x` : ''}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * One timeline per person: messages on every channel plus booking events,
+ * newest first
+ */
+function buildCustomerTimeline({ messages = [], history = null, merges = [] }) {
+    const events = [];
+
+    for (const message of messages) {
+        events.push({
+            type: 'message',
+            at: toMillis(message.timestamp),
+            channel: message.channel || null,
+            direction: message.direction || null,
+            conversationId: message.conversationId || null,
+            messageId: message.id || null,
+            text: String(message.content || '').substring(0, 200),
+        });
+    }
+
+    for (const booking of history?.bookings || []) {
+        if (booking.createdAt) {
+            events.push({ type: 'booking_created', at: toMillis(booking.createdAt), confirmationCode: booking.confirmationCode, date: booking.date, isRetry: booking.isRetry });
+        }
+        if (booking.date && booking.attendance !== 'upcoming' && booking.attendance !== 'cancelled') {
+            events.push({ type: `tour_${booking.attendance}`, at: toMillis(`${booking.date}T21:00:00Z`), confirmationCode: booking.confirmationCode, date: booking.date });
+        }
+        for (const change of booking.reschedules || []) {
+            events.push({ type: 'booking_rescheduled', at: toMillis(change.at), confirmationCode: booking.confirmationCode, from: change.from, to: change.to });
+        }
+    }
+
+    for (const merge of merges) {
+        events.push({ type: merge.status === 'unmerged' ? 'profile_unmerged' : 'profile_merged', at: toMillis(merge.unmergedAt || merge.performedAt), mergeId: merge.id, secondaryId: merge.secondaryId });
+    }
+
+    return events
+        .filter(event => event.at !== null)
+        .sort((a, b) => b.at - a.at)
+        .map(event => ({ ...event, at: new Date(event.at).toISOString() }));
+}
+
+// ============================================
+// FIRESTORE HELPERS
+// ============================================
+
+function chunk(values, size) {
+    const chunks = [];
+    for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+    return chunks;
+}
+
+async function getIdentityConfig() {
+    try {
+        const doc = await db.collection('config').doc('customer_identity').get();
+        return resolveIdentityConfig(doc.exists ? doc.data() : {});
+    } catch (e) {
+        console.log('⚠️ Could not load customer identity config, using defaults:', e.message);
+        return resolveIdentityConfig();
+    }
+}
+
+/**
+ * Follow mergedInto to the profile a customer now belongs to
+ */
+async function resolveCustomerId(customerId) {
+    let id = customerId;
+    for (let i = 0; i < MAX_MERGE_CHAIN && id; i++) {
+        const doc = await db.collection('customers').doc(id).get();
+        if (!doc.exists || !doc.data().mergedInto) return doc.exists ? id : null;
+        id = doc.data().mergedInto;
+    }
+    return id;
+}
+
+/**
+ * Customers (other than excludeId) sharing any identity key
+ * @returns {Promise<Array<{id, ...data, matchedOn}>>}
+ */
+async function findIdentityCandidates(identity, excludeId) {
+    const codes = unique([...identity.confirmationCodes, ...(identity.linkedCodes || [])]);
+    const queries = [
+        ...chunk(identity.emails, IN_QUERY_LIMIT).map(part => ['identity.emails', part]),
+        ...chunk(identity.phones, IN_QUERY_LIMIT).map(part => ['identity.phones', part]),
+        ...chunk(codes, IN_QUERY_LIMIT).map(part => ['identity.confirmationCodes', part]),
+        ...chunk(codes, IN_QUERY_LIMIT).map(part => ['identity.linkedCodes', part]),
+    ];
+    const snapshots = await Promise.all(queries.map(([field, values]) =>
+        db.collection('customers').where(field, 'array-contains-any', values).get()));
+
+    const candidates = new Map();
+    for (const snapshot of snapshots) {
+        for (const doc of snapshot.docs) {
+            if (doc.id === excludeId || candidates.has(doc.id)) continue;
+            const data = doc.data();
+            const matchedOn = findIdentityMatches(identity, getIdentityKeys(data));
+            if (matchedOn.length > 0) candidates.set(doc.id, { id: doc.id, ...data, matchedOn });
+        }
+    }
+    return [...candidates.values()];
+}
+
+/**
+ * Point a customer's conversations and messages at another customer
+ * @returns {Promise<string[]>} the conversation ids moved
+ */
+async function moveConversations(conversationIds, toCustomerId, previousCustomerId) {
+    for (const conversationId of conversationIds) {
+        const messages = await db.collection('messages').where('conversationId', '==', conversationId).get();
+        const refs = [db.collection('conversations').doc(conversationId), ...messages.docs.map(doc => doc.ref)];
+        for (const part of chunk(refs, 400)) {
+            const batch = db.batch();
+            part.forEach(ref => batch.update(ref, {
+                customerId: toCustomerId,
+                previousCustomerId: previousCustomerId || admin.firestore.FieldValue.delete(),
+            }));
+            await batch.commit();
+        }
+    }
+    return conversationIds;
+}
+
+/**
+ * Recompute a customer's identity from its own fields, the bookings linked
+ * to its conversations (unverified) and the customers merged into it.
+ * Verified codes come back with the next booking history refresh.
+ */
+async function rebuildIdentity(customerId) {
+    const [customerDoc, conversations, merged] = await Promise.all([
+        db.collection('customers').doc(customerId).get(),
+        db.collection('conversations').where('customerId', '==', customerId).get(),
+        db.collection('customers').where('mergedInto', '==', customerId).get(),
+    ]);
+    if (!customerDoc.exists) return null;
+
+    const own = getIdentityKeys({ ...customerDoc.data(), identity: null });
+    const codes = conversations.docs.flatMap(doc => doc.data().bookingIds || []).map(normalizeConfirmationCode);
+    const identity = mergeIdentityKeys(
+        own,
+        { linkedCodes: unique(codes) },
+        ...merged.docs.map(doc => getIdentityKeys(doc.data())),
+    );
+    await customerDoc.ref.update({ identity, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return identity;
+}
+
+/**
+ * Merge secondaryId into primaryId and record it in customer_merges
+ */
+async function mergeCustomers(primaryId, secondaryId, { performedBy, reason = null, matchedOn = [] }) {
+    if (!primaryId || !secondaryId || primaryId === secondaryId) {
+        throw new Error('Two different customers are required');
+    }
+
+    const primaryRef = db.collection('customers').doc(primaryId);
+    const secondaryRef = db.collection('customers').doc(secondaryId);
+    const mergeRef = db.collection('customer_merges').doc();
+
+    await db.runTransaction(async (transaction) => {
+        const [primaryDoc, secondaryDoc] = await Promise.all([transaction.get(primaryRef), transaction.get(secondaryRef)]);
+        if (!primaryDoc.exists || !secondaryDoc.exists) {
+            throw new Error('Customer not found');
+        }
+        const primary = primaryDoc.data();
+        const secondary = secondaryDoc.data();
+        if (primary.mergedInto || secondary.mergedInto) {
+            throw new Error('One of these customers is already merged into another profile');
+        }
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        // Fill gaps on the profile from the merged customer
+        const filledFields = getMergeFilledFields(primary, secondary);
+        transaction.update(secondaryRef, { mergedInto: primaryId, mergedAt: now, updatedAt: now });
+        transaction.update(primaryRef, {
+            identity: mergeIdentityKeys(getIdentityKeys(primary), getIdentityKeys(secondary)),
+            mergedFrom: admin.firestore.FieldValue.arrayUnion(secondaryId),
+            ...Object.fromEntries(filledFields.map(({ field, value }) => [field, value])),
+            updatedAt: now,
+        });
+        transaction.set(mergeRef, {
+            primaryId,
+            secondaryId,
+            matchedOn,
+            reason,
+            status: 'merged',
+            performedBy,
+            performedAt: now,
+            filledFields,
+            secondarySnapshot: {
+                name: secondary.name || null,
+                email: secondary.email || null,
+                phone: secondary.phone || null,
+                channels: secondary.channels || {},
+                identity: getIdentityKeys(secondary),
+            },
+        });
+    });
+
+    // Customers merged into the secondary earlier now belong to the profile too
+    const chained = await db.collection('customers').where('mergedInto', '==', secondaryId).get();
+    for (const doc of chained.docs) {
+        await doc.ref.update({ mergedInto: primaryId });
+        await primaryRef.update({ mergedFrom: admin.firestore.FieldValue.arrayUnion(doc.id) });
+    }
+
+    const conversations = await db.collection('conversations').where('customerId', '==', secondaryId).get();
+    const conversationIds = await moveConversations(conversations.docs.map(doc => doc.id), primaryId, secondaryId);
+    await mergeRef.update({ conversationIds, chainedIds: chained.docs.map(doc => doc.id) });
+
+    console.log(`🔗 Merged customer ${secondaryId} into ${primaryId} (${matchedOn.join(', ') || 'manual'}, ${conversationIds.length} conversation(s))`);
+    return { mergeId: mergeRef.id, conversationIds };
+}
+
+/**
+ * Where a merge's filled fields ended up: the primary, and (chained merges)
+ * every profile a later merge passed the same values on to
+ * @returns {Promise<Array<{id, filledFields}>>}
+ */
+async function findFilledFieldHolders(merge) {
+    const holders = [];
+    let id = merge.primaryId;
+    let filledFields = merge.filledFields || [];
+    for (let i = 0; i < MAX_MERGE_CHAIN && id && filledFields.length > 0; i++) {
+        holders.push({ id, filledFields });
+        const next = await db.collection('customer_merges')
+            .where('secondaryId', '==', id)
+            .where('status', '==', 'merged')
+            .limit(1)
+            .get();
+        if (next.empty) break;
+        const later = next.docs[0].data();
+        filledFields = filledFields.filter(({ field, value }) => (later.filledFields || [])
+            .some(passed => passed.field === field && isDeepStrictEqual(passed.value, value)));
+        id = later.primaryId;
+    }
+    return holders;
+}
+
+/**
+ * Undo a merge: the secondary customer gets its conversations back, the
+ * fields it filled in come off the profile, and the two are never
+ * auto-merged again
+ */
+async function unmergeCustomers(mergeId, { performedBy, reason = null }) {
+    const mergeRef = db.collection('customer_merges').doc(mergeId);
+    const mergeDoc = await mergeRef.get();
+    if (!mergeDoc.exists) {
+        throw new Error('Merge not found');
+    }
+    const merge = mergeDoc.data();
+    if (merge.status !== 'merged') {
+        throw new Error('This merge was already undone');
+    }
+
+    const { primaryId, secondaryId } = merge;
+    const secondaryDoc = await db.collection('customers').doc(secondaryId).get();
+    if (!secondaryDoc.exists) {
+        throw new Error('Merged customer no longer exists');
+    }
+    const currentProfileId = secondaryDoc.data().mergedInto;
+    // A later merge may have moved everything on from the primary
+    const holderIds = unique([primaryId, currentProfileId]);
+
+    const restoredFields = {};
+    for (const holder of await findFilledFieldHolders(merge)) {
+        const fields = await db.runTransaction(async (transaction) => {
+            const ref = db.collection('customers').doc(holder.id);
+            const doc = await transaction.get(ref);
+            if (!doc.exists) return [];
+            const paths = getFieldsToRestore(doc.data(), holder.filledFields);
+            if (paths.length > 0) {
+                transaction.update(ref, Object.fromEntries(paths.map(path => [path, admin.firestore.FieldValue.delete()])));
+            }
+            return paths;
+        });
+        if (fields.length > 0) restoredFields[holder.id] = fields;
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await db.collection('customers').doc(secondaryId).update({
+        mergedInto: admin.firestore.FieldValue.delete(),
+        mergedAt: admin.firestore.FieldValue.delete(),
+        doNotMerge: admin.firestore.FieldValue.arrayUnion(...holderIds),
+        updatedAt: now,
+    });
+    for (const holderId of holderIds) {
+        await db.collection('customers').doc(holderId).update({
+            mergedFrom: admin.firestore.FieldValue.arrayRemove(secondaryId, ...(merge.chainedIds || [])),
+            doNotMerge: admin.firestore.FieldValue.arrayUnion(secondaryId),
+            updatedAt: now,
+        });
+    }
+
+    // Customers that were merged into the secondary before go back with it
+    for (const chainedId of merge.chainedIds || []) {
+        const chainedRef = db.collection('customers').doc(chainedId);
+        const chainedDoc = await chainedRef.get();
+        if (chainedDoc.exists && holderIds.includes(chainedDoc.data().mergedInto)) {
+            await chainedRef.update({ mergedInto: secondaryId });
+        }
+    }
+
+    // Conversations that came over in the merge go back, wherever a later
+    // merge moved them, unless they were moved on by hand since
+    const mergedConversationIds = merge.conversationIds || [];
+    const conversationDocs = mergedConversationIds.length > 0
+        ? await db.getAll(...mergedConversationIds.map(id => db.collection('conversations').doc(id)))
+        : [];
+    const conversationIds = conversationDocs
+        .filter(doc => doc.exists && holderIds.includes(doc.data().customerId))
+        .map(doc => doc.id);
+    await moveConversations(conversationIds, secondaryId, null);
+
+    await Promise.all([secondaryId, ...holderIds].map(id => rebuildIdentity(id)));
+    await mergeRef.update({
+        status: 'unmerged',
+        unmergedBy: performedBy,
+        unmergedAt: now,
+        unmergeReason: reason,
+        restoredConversationIds: conversationIds,
+        restoredFields,
+    });
+
+    console.log(`✂️ Unmerged customer ${secondaryId} from ${currentProfileId || primaryId} (${conversationIds.length} conversation(s) restored)`);
+    return { primaryId: currentProfileId || primaryId, secondaryId, conversationIds };
+}
+
+/**
+ * Merge a customer with every customer it can be auto-merged with
+ */
+async function autoMergeCustomer(customerId, customer, config) {
+    const identity = getIdentityKeys(customer);
+    const candidates = (await findIdentityCandidates(identity, customerId))
+        .filter(candidate => canAutoMerge(config, candidate.matchedOn, { id: customerId, ...customer }, candidate));
+    if (candidates.length === 0) return null;
+
+    const all = [{ id: customerId, ...customer }, ...candidates];
+    const primary = pickPrimaryCustomer(all);
+    for (const other of all.filter(c => c.id !== primary.id)) {
+        // Matched through this customer when not directly with the profile
+        const direct = findIdentityMatches(getIdentityKeys(primary), getIdentityKeys(other));
+        const matchedOn = direct.length > 0 ? direct : other.matchedOn || [];
+        try {
+            await mergeCustomers(primary.id, other.id, { performedBy: 'auto', reason: `Same ${matchedOn.join(' / ')}`, matchedOn });
+        } catch (error) {
+            console.log(`⚠️ Auto-merge of ${other.id} into ${primary.id} skipped: ${error.message}`);
+        }
+    }
+    return primary.id;
+}
+
+/**
+ * Recompute a profile's booking history from Bokun and store it with the
+ * totalBookings / upcomingBookings / pastBookings / vipStatus summary
+ */
+async function refreshCustomerHistory(customerId) {
+    const customerRef = db.collection('customers').doc(customerId);
+    const customerDoc = await customerRef.get();
+    if (!customerDoc.exists) {
+        throw new Error('Customer not found');
+    }
+    const identity = getIdentityKeys(customerDoc.data());
+    const config = await getIdentityConfig();
+
+    const raw = new Map();
+    for (const email of identity.emails.slice(0, HISTORY_MAX_EMAILS)) {
+        const { items } = await searchBookings({ customerEmail: email }, { maxResults: 200 });
+        items.forEach(item => raw.set(String(item.id), item));
+    }
+    // Booked under one of the customer's emails: these codes are verified
+    const foundCodes = new Set([...raw.values()].map(item => normalizeConfirmationCode(item.confirmationCode)));
+    const verifiedCodes = unique([...foundCodes]);
+    const otherCodes = unique([...identity.confirmationCodes, ...identity.linkedCodes]).filter(c => !foundCodes.has(c));
+    for (const code of otherCodes.slice(0, HISTORY_MAX_CODES)) {
+        const { items } = await searchBookings({ confirmationCode: code }, { maxResults: 5 });
+        items.forEach(item => raw.set(String(item.id), item));
+    }
+
+    const bookings = [...raw.values()].map(toHistoryBooking).filter(Boolean);
+    const today = getTodayDateString();
+    const pastDates = unique(bookings.map(b => b.date).filter(date => date && date < today));
+    const codes = unique(bookings.map(b => normalizeConfirmationCode(b.confirmationCode)));
+
+    const [statusDocs, tourStatusDocs, actionSnapshots] = await Promise.all([
+        bookings.length > 0
+            ? db.getAll(...bookings.filter(b => b.date).map(b => db.collection('booking_status').doc(`${b.date}_${b.bookingId}`)))
+            : [],
+        pastDates.length > 0 ? db.getAll(...pastDates.map(date => db.collection('tour_status').doc(date))) : [],
+        Promise.all(chunk(codes, IN_QUERY_LIMIT).map(part =>
+            db.collection('booking_actions').where('confirmationCode', 'in', part).get())),
+    ]);
+
+    const statuses = {};
+    statusDocs.forEach(doc => { if (doc.exists) statuses[doc.id] = doc.data(); });
+    const tourStatuses = {};
+    tourStatusDocs.forEach(doc => { if (doc.exists && doc.data().status) tourStatuses[doc.id] = doc.data().status; });
+    const reschedules = actionSnapshots
+        .flatMap(snapshot => snapshot.docs.map(doc => doc.data()))
+        .filter(action => action.action === 'reschedule' && action.success !== false)
+        .map(action => ({ ...action, performedAt: action.performedAt?.toDate?.()?.toISOString() || null }));
+
+    const history = buildBookingHistory(bookings, { statuses, reschedules, tourStatuses, today, vipMinBookings: config.vipMinBookings });
+    const live = history.bookings.filter(b => !b.cancelled);
+
+    await customerRef.update({
+        bookingHistory: { ...history, computedAt: new Date().toISOString() },
+        totalBookings: history.totals.bookings,
+        upcomingBookings: live.filter(b => b.attendance === 'upcoming').map(b => b.confirmationCode).filter(Boolean),
+        pastBookings: live.filter(b => b.attendance !== 'upcoming').map(b => b.confirmationCode).filter(Boolean),
+        vipStatus: history.vip,
+        'identity.confirmationCodes': verifiedCodes,
+        'identity.linkedCodes': otherCodes,
+        historyUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return history;
+}
+
+async function refreshCustomerHistorySafely(customerId) {
+    try {
+        return await refreshCustomerHistory(customerId);
+    } catch (error) {
+        console.error(`⚠️ Could not refresh booking history for ${customerId}: ${error.message}`);
+        return null;
+    }
+}
+
+function toIso(value) {
+    return value?.toDate?.()?.toISOString() || value || null;
+}
+
+function toProfileSummary(id, customer) {
+    return {
+        id,
+        name: customer.name || null,
+        email: customer.email || null,
+        phone: customer.phone || null,
+        channels: customer.channels || {},
+        language: customer.language || null,
+        mergedInto: customer.mergedInto || null,
+        createdAt: toIso(customer.createdAt),
+        lastContact: toIso(customer.lastContact),
+    };
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Keep identity keys in step with the contact fields, then look for the
+ * same person elsewhere. Runs twice on a change: first to store identity,
+ * then (identity unchanged) to merge.
+ */
+const onCustomerIdentityWritten = onDocumentWritten(
+    {
+        document: 'customers/{customerId}',
+        region: 'us-central1',
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (event) => {
+        const { customerId } = event.params;
+        const before = event.data?.before?.exists ? event.data.before.data() : null;
+        const after = event.data?.after?.exists ? event.data.after.data() : null;
+        if (!after || after.mergedInto) return;
+
+        try {
+            const identity = getIdentityKeys(after);
+            if (!identityEquals(identity, after.identity)) {
+                await event.data.after.ref.update({ identity });
+                return;
+            }
+            if (before && identityEquals(getIdentityKeys(before), identity)) return;
+
+            const config = await getIdentityConfig();
+            const profileId = await autoMergeCustomer(customerId, after, config);
+            if (profileId) await refreshCustomerHistorySafely(profileId);
+        } catch (error) {
+            console.error(`❌ Identity resolution failed for customer ${customerId}:`, error);
+        }
+    }
+);
+
+/**
+ * Bookings linked to a conversation become part of the customer's identity,
+ * as unverified linkedCodes until the booking history finds them in Bokun
+ */
+const onConversationBookingsLinked = onDocumentWritten(
+    {
+        document: 'conversations/{conversationId}',
+        region: 'us-central1',
+    },
+    async (event) => {
+        const before = event.data?.before?.exists ? event.data.before.data() : null;
+        const after = event.data?.after?.exists ? event.data.after.data() : null;
+        if (!after?.customerId) return;
+
+        const known = new Set((before?.customerId === after.customerId ? before?.bookingIds || [] : []).map(normalizeConfirmationCode));
+        const added = unique((after.bookingIds || []).map(normalizeConfirmationCode)).filter(code => !known.has(code));
+        if (added.length === 0) return;
+
+        try {
+            const profileId = await resolveCustomerId(after.customerId);
+            if (!profileId) return;
+            await db.collection('customers').doc(profileId).update({
+                'identity.linkedCodes': admin.firestore.FieldValue.arrayUnion(...added),
+            });
+        } catch (error) {
+            console.error(`❌ Could not link bookings of conversation ${event.params.conversationId}:`, error);
+        }
+    }
+);
+
+/**
+ * Customer 360: the profile, every identity merged into it, booking
+ * history and one timeline across channels.
+ * { customerId | conversationId, refresh?: true recomputes the history from Bokun }
+ */
+const getCustomerProfile = onCall(
+    {
+        region: 'us-central1',
+        timeoutSeconds: 120,
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+
+        const { conversationId, refresh } = request.data || {};
+        let { customerId } = request.data || {};
+        if (!customerId && conversationId) {
+            const convDoc = await db.collection('conversations').doc(conversationId).get();
+            if (!convDoc.exists) {
+                throw new Error('Conversation not found');
+            }
+            customerId = convDoc.data().customerId;
+        }
+        if (!customerId) {
+            throw new Error('customerId or conversationId is required');
+        }
+
+        const profileId = await resolveCustomerId(customerId);
+        if (!profileId) {
+            throw new Error('Customer not found');
+        }
+
+        // Bokun being down still returns the profile with the stored history
+        const history = refresh ? await refreshCustomerHistorySafely(profileId) : null;
+
+        const [profileDoc, mergedSnap, messagesSnap, mergesSnap] = await Promise.all([
+            db.collection('customers').doc(profileId).get(),
+            db.collection('customers').where('mergedInto', '==', profileId).get(),
+            db.collection('messages')
+                .where('customerId', '==', profileId)
+                .orderBy('timestamp', 'desc')
+                .limit(TIMELINE_MESSAGE_LIMIT)
+                .get(),
+            db.collection('customer_merges').where('primaryId', '==', profileId).get(),
+        ]);
+        const profile = profileDoc.data();
+        const bookingHistory = history || profile.bookingHistory || null;
+        const merges = mergesSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        return {
+            profile: {
+                ...toProfileSummary(profileId, profile),
+                identity: getIdentityKeys(profile),
+                totalBookings: profile.totalBookings || 0,
+                vipStatus: profile.vipStatus === true,
+                notificationPreferences: profile.notificationPreferences || null,
+            },
+            identities: mergedSnap.docs.map(doc => toProfileSummary(doc.id, doc.data())),
+            bookingHistory,
+            historyRefreshFailed: Boolean(refresh) && !history,
+            timeline: buildCustomerTimeline({
+                messages: messagesSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+                history: bookingHistory,
+                merges,
+            }),
+            merges: merges.map(merge => ({
+                id: merge.id,
+                secondaryId: merge.secondaryId,
+                matchedOn: merge.matchedOn || [],
+                status: merge.status,
+                performedBy: merge.performedBy,
+                performedAt: toIso(merge.performedAt),
+                unmergedAt: toIso(merge.unmergedAt),
+            })),
+        };
+    }
+);
+
+/**
+ * Customers that look like the same person (for a manual merge)
+ */
+const findDuplicateCustomers = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+
+        const { customerId } = request.data || {};
+        if (!customerId) {
+            throw new Error('customerId is required');
+        }
+        const doc = await db.collection('customers').doc(customerId).get();
+        if (!doc.exists) {
+            throw new Error('Customer not found');
+        }
+
+        const candidates = await findIdentityCandidates(getIdentityKeys(doc.data()), customerId);
+        return {
+            candidates: candidates
+                .filter(candidate => !candidate.mergedInto)
+                .map(candidate => ({ ...toProfileSummary(candidate.id, candidate), matchedOn: candidate.matchedOn })),
+        };
+    }
+);
+
+/**
+ * Merge two customers by hand (staff approval, e.g. for a shared linkedCode).
+ * { primaryId, secondaryId, reason? }
+ */
+const mergeCustomerProfiles = onCall(
+    {
+        region: 'us-central1',
+        timeoutSeconds: 120,
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (request) => {
+        await requireStaff(request, 'merge customer profiles');
+
+        const { primaryId, secondaryId, reason } = request.data || {};
+        if (!primaryId || !secondaryId) {
+            throw new Error('primaryId and secondaryId are required');
+        }
+
+        const [primaryDoc, secondaryDoc] = await Promise.all([
+            db.collection('customers').doc(primaryId).get(),
+            db.collection('customers').doc(secondaryId).get(),
+        ]);
+        const matchedOn = primaryDoc.exists && secondaryDoc.exists
+            ? findIdentityMatches(getIdentityKeys(primaryDoc.data()), getIdentityKeys(secondaryDoc.data()))
+            : [];
+
+        const result = await mergeCustomers(primaryId, secondaryId, {
+            performedBy: request.auth.uid,
+            reason: reason || null,
+            matchedOn,
+        });
+        await refreshCustomerHistorySafely(primaryId);
+        return { success: true, ...result };
+    }
+);
+
+/**
+ * Undo a merge. { mergeId, reason? }
+ */
+const unmergeCustomerProfile = onCall(
+    {
+        region: 'us-central1',
+        timeoutSeconds: 120,
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (request) => {
+        await requireStaff(request, 'undo customer merges');
+
+        const { mergeId, reason } = request.data || {};
+        if (!mergeId) {
+            throw new Error('mergeId is required');
+        }
+
+        const result = await unmergeCustomers(mergeId, { performedBy: request.auth.uid, reason: reason || null });
+        await Promise.all([refreshCustomerHistorySafely(result.primaryId), refreshCustomerHistorySafely(result.secondaryId)]);
+        return { success: true, ...result };
+    }
+);
+
+/**
+ * Refresh the booking history of everyone who contacted us recently, so
+ * no-shows and attendance from the last nights show up on their profile
+ */
+const customerHistoryRefresh = onSchedule(
+    {
+        schedule: '0 5 * * *',
+        timeZone: 'Atlantic/Reykjavik',
+        region: 'us-central1',
+        timeoutSeconds: 540,
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async () => {
+        const since = new Date(Date.now() - REFRESH_CONTACT_DAYS * 24 * 60 * 60 * 1000);
+        const snapshot = await db.collection('customers')
+            .where('lastContact', '>=', since)
+            .limit(REFRESH_BATCH_LIMIT)
+            .get();
+
+        let refreshed = 0;
+        for (const doc of snapshot.docs) {
+            if (doc.data().mergedInto) continue;
+            if (await refreshCustomerHistorySafely(doc.id)) refreshed++;
+        }
+        console.log(`👤 Booking history refreshed for ${refreshed}/${snapshot.size} recent customers`);
+    }
+);
+
+module.exports = {
+    resolveCustomerId,
+    refreshCustomerHistorySafely,
+    formatCustomerHistory,
+    onCustomerIdentityWritten,
+    onConversationBookingsLinked,
+    getCustomerProfile,
+    findDuplicateCustomers,
+    mergeCustomerProfiles,
+    unmergeCustomerProfile,
+    customerHistoryRefresh,
+    // Exported for testing
+    resolveIdentityConfig,
+    normalizeEmail,
+    normalizePhoneKey,
+    normalizeConfirmationCode,
+    getIdentityKeys,
+    mergeIdentityKeys,
+    identityEquals,
+    findIdentityMatches,
+    pickPrimaryCustomer,
+    canAutoMerge,
+    getMergeFilledFields,
+    getFieldsToRestore,
+    isRetryBooking,
+    toHistoryBooking,
+    buildBookingHistory,
+    buildCustomerTimeline,
+};
@@ -0,0 +1,168 @@
+/**
+ * Delivery Fallback Module
+ * A channel can fail after it accepted a message: Twilio reports an SMS
+ * undelivered/failed through its status callback (sms_status.js), and Meta
+ * reports a failed WhatsApp message (131047 outside the 24-hour window, or any
+ * other error) through the status webhook (whatsapp.js).
+ *
+ * Tour status messages record the rest of their fallback chain on the
+ * tracking doc (sms_messages/{sid}, whatsapp_messages/{wamid}):
+ *   fallback: [{ channel, to, subject?, body, customerName, language }]
+ * When the doc reaches a failed state, the next channel is sent once
+ * (fallbackClaimedAt), carrying the rest of the chain with it, and the attempt
+ * is added to the booking's tour_status_deliveries/{deliveryId}.fallbackAttempts.
+ * So "SMS, then email if it bounces" also covers the bounce Twilio reports later.
+ *
+ * Functions:
+ * - onSmsMessageWrittenFallback (trigger)
+ * - onWhatsAppMessageWrittenFallback (trigger)
+ */
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+const { sendNotificationToAdminsOnly } = require('../utils/notifications');
+const { NOT_ARRIVED_STATUSES } = require('./sms_status');
+const { createTourStatusSenders } = require('./tour_status');
+
+const FALLBACK_SECRETS = [
+    'GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET',
+    'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_MESSAGING_SERVICE_SID',
+    'WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID',
+];
+
+// Tracking doc states that mean the message will never arrive
+const FAILED_STATUSES = {
+    sms: NOT_ARRIVED_STATUSES,
+    whatsapp: ['failed'],
+};
+
+// ============================================
+// HELPERS (pure)
+// ============================================
+
+/**
+ * Whether a tracking doc failed and still has an unsent fallback
+ */
+function needsFallback(channel, message) {
+    return Boolean(message &&
+        FAILED_STATUSES[channel].includes(message.status) &&
+        Array.isArray(message.fallback) && message.fallback.length > 0 &&
+        !message.fallbackClaimedAt);
+}
+
+// ============================================
+// FALLBACK
+// ============================================
+
+/**
+ * Send the next channel of a failed message's fallback chain, once
+ */
+async function runDeliveryFallback(channel, ref) {
+    const message = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const data = doc.exists ? doc.data() : null;
+        if (!needsFallback(channel, data)) return null;
+        tx.update(ref, { fallbackClaimedAt: new Date().toISOString() });
+        return data;
+    });
+    if (!message) return null;
+
+    const failedId = message.sid || message.wamid || ref.id;
+    const senders = createTourStatusSenders({
+        kind: message.kind || 'tour_status',
+        log: message.log || null,
+        date: message.date || null,
+        tourStatus: message.tourStatus || null,
+    });
+
+    const attempts = [];
+    let remaining = message.fallback;
+    while (remaining.length > 0) {
+        const [next, ...rest] = remaining;
+        remaining = rest;
+        const attempt = {
+            channel: next.channel,
+            to: next.to,
+            bookingId: message.bookingId || null,
+            ok: false,
+            messageId: null,
+            error: null,
+            templateId: next.templateId || null,
+            fallbackFor: { channel, messageId: failedId, status: message.status, errorCode: message.errorCode || null },
+            at: new Date().toISOString(),
+        };
+        try {
+            attempt.messageId = await senders[next.channel](next.to, next, {
+                bookingId: message.bookingId || null,
+                confirmationCode: message.confirmationCode || null,
+                fullName: next.customerName || null,
+                language: next.language || null,
+            }, { deliveryId: message.deliveryId || null, fallback: rest });
+            attempt.ok = true;
+            console.log(`↪️ ${channel} ${failedId} ${message.status}: fell back to ${next.channel} (${next.to})`);
+        } catch (error) {
+            attempt.error = error.message;
+            console.error(`❌ Fallback ${next.channel} to ${next.to} for ${failedId} failed: ${error.message}`);
+        }
+        attempts.push(attempt);
+        if (attempt.ok) break;
+    }
+
+    await ref.update({ fallbackAttempts: attempts });
+    if (message.deliveryId) {
+        await db.collection('tour_status_deliveries').doc(message.deliveryId).set({
+            fallbackAttempts: admin.firestore.FieldValue.arrayUnion(...attempts),
+        }, { merge: true });
+    }
+    if (!attempts.some(attempt => attempt.ok)) {
+        await sendNotificationToAdminsOnly(
+            '⚠️ Message not delivered',
+            `A ${message.kind || 'tour status'} ${channel} message${message.date ? ` for ${message.date}` : ''} ` +
+            `(${message.bookingId || message.to}) failed and no fallback got through`,
+            { type: 'delivery_failed', channel, messageId: failedId, bookingId: message.bookingId || '' }
+        );
+    }
+    return attempts;
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Twilio reported an SMS undelivered / failed: try the next channel
+ */
+const onSmsMessageWrittenFallback = onDocumentWritten(
+    {
+        document: 'sms_messages/{sid}',
+        region: 'us-central1',
+        secrets: FALLBACK_SECRETS,
+    },
+    async (event) => {
+        const after = event.data?.after;
+        if (!after?.exists || !needsFallback('sms', after.data())) return;
+        await runDeliveryFallback('sms', after.ref);
+    }
+);
+
+/**
+ * Meta reported a WhatsApp message failed (e.g. 131047): try the next channel
+ */
+const onWhatsAppMessageWrittenFallback = onDocumentWritten(
+    {
+        document: 'whatsapp_messages/{wamid}',
+        region: 'us-central1',
+        secrets: FALLBACK_SECRETS,
+    },
+    async (event) => {
+        const after = event.data?.after;
+        if (!after?.exists || !needsFallback('whatsapp', after.data())) return;
+        await runDeliveryFallback('whatsapp', after.ref);
+    }
+);
+
+module.exports = {
+    onSmsMessageWrittenFallback,
+    onWhatsAppMessageWrittenFallback,
+    // Exported for testing
+    needsFallback,
+};
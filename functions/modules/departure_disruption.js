@@ -1,31 +1,42 @@
 // ============================================================
-// CLOUD FUNCTION: disruptDeparture
+// CLOUD FUNCTIONS: disruptDeparture / reopenDeparture
 // ============================================================
-// Disrupts today's departure(s) on Bokun via /closeouts/toggle
+// Closes (or reopens) departures on Bokun via /closeouts/toggle
 //
 // Endpoint: POST /closeouts/toggle
 // Body: { activityIds: [728888], closed: true, date: "YYYY-MM-DD", startTimeIds: [2434679] }
+//
+// Without `departures` the whole date is closed (every product and start
+// time from getProductConfig). With `departures` only those are touched:
+//   departures: [{ activityId: 728888, startTimeIds: [2434679] }]
+// (no startTimeIds = every configured start time of that activity).
+//
+// Every call is audited in departure_disruptions. Targeted changes also set
+// departure_status/{date}_{activityId}_{startTimeId} and, by default, email
+// and SMS only the bookings on those departures. A whole-day closure leaves
+// customer notifications to setTourStatus.
 // ============================================================
 
 const { onCall } = require('firebase-functions/v2/https');
 const admin = require('firebase-admin');
-const https = require('https');
-const crypto = require('crypto');
+const { BOKUN_HOSTNAME, bokunRequest, getAvailabilities } = require('../utils/bokun_client');
+const { filterBookingsByDepartures, liveBookings } = require('../utils/bokun_booking');
 
 const db = admin.firestore();
 
+const NOTIFY_SECRETS = ['GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_MESSAGING_SERVICE_SID', 'REBOOKING_LINK_SECRET', 'WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID'];
+
 /**
- * Disrupt today's departure(s) on Bokun
+ * Disrupt departure(s) on Bokun
  * Closes the departure so no new bookings can be made.
- * 
- * Uses the Bokun extranet endpoint: POST /closeouts/toggle
- * Payload: { activityIds: [id], closed: true, date: "YYYY-MM-DD", startTimeIds: [id] }
+ *
+ * Data: { date?, departures?, reason?, notifyCustomers?, customEmailBody?, customSmsBody? }
  */
 const disruptDeparture = onCall(
     {
         region: 'us-central1',
-        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
-        timeoutSeconds: 60,
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY', ...NOTIFY_SECRETS],
+        timeoutSeconds: 300,
     },
     async (request) => {
         console.log('🚫 Disrupting departure...');
@@ -34,88 +45,266 @@ const disruptDeparture = onCall(
             throw new Error('You must be logged in to disrupt departures');
         }
 
-        const uid = request.auth.uid;
-        const { date } = request.data || {};
+        return await changeDepartures(request.data || {}, request.auth.uid, true);
+    }
+);
 
-        // Default to today (Iceland time)
-        const now = new Date();
-        const icelandDate = new Date(now.toLocaleString('en-US', { timeZone: 'Atlantic/Reykjavik' }));
-        const dateString = date || `${icelandDate.getFullYear()}-${String(icelandDate.getMonth() + 1).padStart(2, '0')}-${String(icelandDate.getDate()).padStart(2, '0')}`;
+/**
+ * Reopen departure(s) that were closed by mistake
+ *
+ * Data: same as disruptDeparture. With notifyCustomers the affected bookings
+ * get the ON email/SMS.
+ */
+const reopenDeparture = onCall(
+    {
+        region: 'us-central1',
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY', ...NOTIFY_SECRETS],
+        timeoutSeconds: 300,
+    },
+    async (request) => {
+        console.log('✅ Reopening departure...');
 
-        console.log(`📅 Disrupting departures for: ${dateString}`);
+        if (!request.auth) {
+            throw new Error('You must be logged in to reopen departures');
+        }
 
-        const accessKey = process.env.BOKUN_ACCESS_KEY;
-        const secretKey = process.env.BOKUN_SECRET_KEY;
+        return await changeDepartures(request.data || {}, request.auth.uid, false);
+    }
+);
 
-        if (!accessKey || !secretKey) {
-            throw new Error('Bokun API keys not configured');
-        }
+/**
+ * Close or reopen departures, then record and notify
+ */
+async function changeDepartures(data, uid, closed) {
+    const { date, departures, reason, customEmailBody, customSmsBody } = data;
+    const action = closed ? 'close' : 'reopen';
+    const targeted = Array.isArray(departures) && departures.length > 0;
+    const notifyCustomers = data.notifyCustomers ?? targeted;
 
-        try {
-            // Get product config (activity IDs and their start time IDs)
-            const products = await getProductConfig(dateString, accessKey, secretKey);
-            console.log(`📋 Products to disrupt: ${JSON.stringify(products)}`);
-
-            if (products.length === 0) {
-                return {
-                    success: true,
-                    date: dateString,
-                    message: 'No products configured for disruption',
-                    disrupted: 0,
-                };
-            }
+    // Default to today (Iceland time)
+    const now = new Date();
+    const icelandDate = new Date(now.toLocaleString('en-US', { timeZone: 'Atlantic/Reykjavik' }));
+    const dateString = date || `${icelandDate.getFullYear()}-${String(icelandDate.getMonth() + 1).padStart(2, '0')}-${String(icelandDate.getDate()).padStart(2, '0')}`;
 
-            // Build the closeout toggle request
-            // All activity IDs and start time IDs go in one request
-            const allActivityIds = [...new Set(products.map(p => p.activityId))];
-            const allStartTimeIds = [...new Set(products.flatMap(p => p.startTimeIds))];
+    console.log(`📅 ${closed ? 'Disrupting' : 'Reopening'} departures for: ${dateString}${targeted ? ` (${JSON.stringify(departures)})` : ''}`);
 
-            console.log(`🚫 Closing out: activityIds=${JSON.stringify(allActivityIds)}, startTimeIds=${JSON.stringify(allStartTimeIds)}`);
+    const accessKey = process.env.BOKUN_ACCESS_KEY;
+    const secretKey = process.env.BOKUN_SECRET_KEY;
 
-            const result = await toggleCloseout({
-                activityIds: allActivityIds,
-                closed: true,
-                date: dateString,
-                startTimeIds: allStartTimeIds,
-            }, accessKey, secretKey);
+    if (!accessKey || !secretKey) {
+        throw new Error('Bokun API keys not configured');
+    }
 
-            // Log the action
-            await db.collection('departure_disruptions').add({
-                date: dateString,
-                performedBy: uid,
-                performedAt: admin.firestore.FieldValue.serverTimestamp(),
-                activityIds: allActivityIds,
-                startTimeIds: allStartTimeIds,
-                result,
-                success: true,
-            });
+    const auditRef = db.collection('departure_disruptions').doc();
+    const toggled = [];
 
-            console.log(`✅ Departure disruption complete for ${dateString}`);
+    try {
+        // Get product config (activity IDs and their start time IDs)
+        const products = await getProductConfig(dateString, accessKey, secretKey);
+        const targets = targeted ? resolveDepartureTargets(products, departures) : products;
+        console.log(`📋 Departures to ${action}: ${JSON.stringify(targets)}`);
 
+        if (targets.length === 0) {
             return {
                 success: true,
                 date: dateString,
-                activityIds: allActivityIds,
-                startTimeIds: allStartTimeIds,
-                disrupted: allStartTimeIds.length,
+                action,
+                message: 'No products configured for disruption',
+                disrupted: 0,
             };
+        }
 
-        } catch (error) {
-            console.error('❌ Error in disruptDeparture:', error);
-
-            // Log failed attempt
-            await db.collection('departure_disruptions').add({
+        // One toggle per activity, so start times of one product never close another
+        for (const target of targets) {
+            console.log(`${closed ? '🚫 Closing' : '✅ Reopening'}: activityId=${target.activityId}, startTimeIds=${JSON.stringify(target.startTimeIds)}`);
+            const result = await toggleCloseout({
+                activityIds: [target.activityId],
+                closed,
                 date: dateString,
-                performedBy: uid,
-                performedAt: admin.firestore.FieldValue.serverTimestamp(),
-                success: false,
-                error: error.message,
+                startTimeIds: target.startTimeIds,
+            }, accessKey, secretKey);
+            toggled.push({ ...target, result });
+        }
+
+        const affectedBookings = await getAffectedBookings(dateString, targeted ? targets : null);
+
+        if (targeted) {
+            await recordDepartureStatus(dateString, targets, closed ? 'OFF' : 'ON', {
+                disruptionId: auditRef.id,
+                uid,
+                reason,
             });
+        }
 
-            throw new Error(`Failed to disrupt departure: ${error.message}`);
+        let notifications = null;
+        if (notifyCustomers) {
+            notifications = await notifyAffectedCustomers(dateString, closed ? 'OFF' : 'ON', uid, {
+                departures: targeted ? targets : null,
+                customEmailBody: customEmailBody || reason,
+                customSmsBody: customSmsBody || reason,
+            });
         }
+
+        // Log the action
+        await auditRef.set({
+            date: dateString,
+            action,
+            scope: targeted ? 'departures' : 'date',
+            reason: reason || null,
+            performedBy: uid,
+            performedAt: admin.firestore.FieldValue.serverTimestamp(),
+            activityIds: [...new Set(targets.map(t => t.activityId))],
+            startTimeIds: [...new Set(targets.flatMap(t => t.startTimeIds))],
+            departures: targets,
+            result: toggled.map(t => t.result),
+            affectedBookingCount: affectedBookings.length,
+            affectedBookings: affectedBookings.map(b => ({
+                id: String(b.id || ''),
+                confirmationCode: b.confirmationCode || null,
+                startTimeId: b.startTimeId || null,
+            })),
+            notifications,
+            success: true,
+        });
+
+        console.log(`✅ Departure ${action} complete for ${dateString}`);
+
+        return {
+            success: true,
+            date: dateString,
+            action,
+            disruptionId: auditRef.id,
+            activityIds: [...new Set(targets.map(t => t.activityId))],
+            startTimeIds: [...new Set(targets.flatMap(t => t.startTimeIds))],
+            departures: targets,
+            disrupted: targets.reduce((sum, t) => sum + t.startTimeIds.length, 0),
+            affectedBookings: affectedBookings.length,
+            emailsSent: notifications?.email?.emailsSent || 0,
+            smsSent: notifications?.sms?.smsSent || 0,
+        };
+
+    } catch (error) {
+        console.error(`❌ Error in departure ${action}:`, error);
+
+        // Log failed attempt, including anything already toggled before the failure
+        await auditRef.set({
+            date: dateString,
+            action,
+            scope: targeted ? 'departures' : 'date',
+            reason: reason || null,
+            performedBy: uid,
+            performedAt: admin.firestore.FieldValue.serverTimestamp(),
+            requestedDepartures: targeted ? departures : null,
+            toggled: toggled.map(t => ({ activityId: t.activityId, startTimeIds: t.startTimeIds })),
+            success: false,
+            error: error.message,
+        });
+
+        throw new Error(`Failed to ${closed ? 'disrupt' : 'reopen'} departure: ${error.message}`);
     }
-);
+}
+
+/**
+ * Turn the requested departures into toggle targets, using the product config
+ * for start times that weren't given. Duplicate activities are merged.
+ * @returns {Array<{activityId: number, startTimeIds: number[]}>}
+ */
+function resolveDepartureTargets(products, departures) {
+    const byActivity = new Map();
+
+    for (const departure of departures) {
+        const activityId = parseInt(departure?.activityId);
+        if (isNaN(activityId)) {
+            throw new Error(`Invalid activityId: ${departure?.activityId}`);
+        }
+
+        let startTimeIds = (departure.startTimeIds || []).map(id => parseInt(id));
+        if (startTimeIds.some(isNaN)) {
+            throw new Error(`Invalid startTimeIds for activity ${activityId}`);
+        }
+        if (startTimeIds.length === 0) {
+            const configured = products.find(p => parseInt(p.activityId) === activityId);
+            startTimeIds = (configured?.startTimeIds || []).map(id => parseInt(id));
+        }
+        if (startTimeIds.length === 0) {
+            throw new Error(`No start times known for activity ${activityId}, pass startTimeIds`);
+        }
+
+        const existing = byActivity.get(activityId) || [];
+        byActivity.set(activityId, [...new Set([...existing, ...startTimeIds])]);
+    }
+
+    return [...byActivity.entries()].map(([activityId, startTimeIds]) => ({ activityId, startTimeIds }));
+}
+
+/**
+ * Cached + manual bookings for the date, limited to the departures when given
+ */
+async function getAffectedBookings(dateString, departures) {
+    let bookings = [];
+    const cachedDoc = await db.collection('cached_bookings').doc(dateString).get();
+    if (cachedDoc.exists) {
+        bookings = liveBookings(cachedDoc.data().bookings);
+    }
+
+    const manualSnap = await db.collection('manual_bookings')
+        .where('date', '==', dateString)
+        .get();
+    manualSnap.docs.forEach(doc => {
+        const manual = doc.data().booking;
+        if (manual) bookings.push(manual);
+    });
+
+    return departures ? filterBookingsByDepartures(bookings, departures) : bookings;
+}
+
+/**
+ * Per-departure status: departure_status/{date}_{activityId}_{startTimeId}
+ */
+async function recordDepartureStatus(dateString, targets, status, { disruptionId, uid, reason }) {
+    const batch = db.batch();
+    for (const target of targets) {
+        for (const startTimeId of target.startTimeIds) {
+            const ref = db.collection('departure_status').doc(`${dateString}_${target.activityId}_${startTimeId}`);
+            batch.set(ref, {
+                date: dateString,
+                activityId: target.activityId,
+                startTimeId,
+                status,
+                reason: reason || null,
+                disruptionId,
+                updatedBy: uid,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            }, { merge: true });
+        }
+    }
+    await batch.commit();
+}
+
+/**
+ * Notify the customers on the affected departures (or the whole date),
+ * by email / SMS / WhatsApp according to their preferences
+ */
+async function notifyAffectedCustomers(dateString, status, uid, { departures, customEmailBody, customSmsBody }) {
+    // Required here rather than at the top: tour_status requires this module
+    const { sendTourStatusNotificationsInternal, createRebookingOffersSafely } = require('./tour_status');
+    const options = { departures, customEmailBody, customSmsBody, triggeredBy: 'departure_disruption' };
+
+    if (status === 'OFF') {
+        const rebooking = await createRebookingOffersSafely(dateString, uid, { departures });
+        if (rebooking) options.rebookingOffers = rebooking.byConfirmationCode;
+    }
+
+    const result = await sendTourStatusNotificationsInternal(dateString, status, uid, options);
+
+    console.log(`📣 Notified affected customers: ${result.emailsSent || 0} emails, ${result.smsSent || 0} SMS, ${result.whatsappSent || 0} WhatsApp`);
+    return {
+        runId: result.runId || null,
+        email: { emailsSent: result.emailsSent || 0, error: result.emailError || result.error || null },
+        sms: { smsSent: result.smsSent || 0, whatsappSent: result.whatsappSent || 0, error: result.error || null },
+        skipped: result.skipped || 0,
+    };
+}
 
 /**
  * Get product configuration for disruption.
@@ -146,8 +335,8 @@ async function getProductConfig(dateString, accessKey, secretKey) {
     const defaultActivityId = 728888; // Northern Lights tour
 
     try {
-        const availabilities = await getAvailabilitiesForDate(
-            defaultActivityId, dateString, accessKey, secretKey
+        const availabilities = await getAvailabilities(
+            defaultActivityId, dateString, dateString, { accessKey, secretKey }
         );
 
         if (availabilities && availabilities.length > 0) {
@@ -186,7 +375,7 @@ async function toggleCloseout(payload, accessKey, secretKey) {
 
     // Try api.bokun.io with HMAC auth first
     try {
-        const result = await makeBokunRequest('api.bokun.io', 'POST', path, body, accessKey, secretKey);
+        const result = await sendCloseout(BOKUN_HOSTNAME, path, body, accessKey, secretKey);
         console.log('✅ Closeout via api.bokun.io succeeded');
         return { method: 'api_hmac', ...result };
     } catch (apiError) {
@@ -195,7 +384,7 @@ async function toggleCloseout(payload, accessKey, secretKey) {
 
     // Fallback: try extranet domain with HMAC
     try {
-        const result = await makeBokunRequest('auroraviking.bokun.io', 'POST', path, body, accessKey, secretKey);
+        const result = await sendCloseout('auroraviking.bokun.io', path, body, accessKey, secretKey);
         console.log('✅ Closeout via extranet domain succeeded');
         return { method: 'extranet_hmac', ...result };
     } catch (extranetError) {
@@ -209,95 +398,17 @@ async function toggleCloseout(payload, accessKey, secretKey) {
 }
 
 /**
- * Make HMAC-signed request to a Bokun domain
- */
-function makeBokunRequest(hostname, method, path, body, accessKey, secretKey) {
-    const bokunDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    const message = bokunDate + accessKey + method + path;
-    const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
-
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname,
-            path,
-            method,
-            headers: {
-                'Content-Type': 'application/json;charset=UTF-8',
-                'Content-Length': Buffer.byteLength(body),
-                'X-Bokun-AccessKey': accessKey,
-                'X-Bokun-Date': bokunDate,
-                'X-Bokun-Signature': signature,
-            },
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                console.log(`📡 ${hostname} ${method} ${path}: ${res.statusCode}`);
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    // content-length: 0 means success with empty body (expected)
-                    resolve({ statusCode: res.statusCode, body: data || 'OK' });
-                } else {
-                    reject(new Error(`${res.statusCode} - ${data.substring(0, 500)}`));
-                }
-            });
-        });
-
-        req.on('error', (e) => reject(e));
-        req.write(body);
-        req.end();
-    });
-}
-
-/**
- * Get availabilities for a product on a specific date
- * Used as fallback to discover startTimeIds dynamically
+ * HMAC-signed closeout request to a Bokun domain
  */
-function getAvailabilitiesForDate(productId, dateString, accessKey, secretKey) {
-    const path = `/activity.json/${productId}/availabilities`;
-    const body = JSON.stringify({ start: dateString, end: dateString });
-
-    const bokunDate = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    const message = bokunDate + accessKey + 'POST' + path;
-    const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
-
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'api.bokun.io',
-            path,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json;charset=UTF-8',
-                'Content-Length': Buffer.byteLength(body),
-                'X-Bokun-AccessKey': accessKey,
-                'X-Bokun-Date': bokunDate,
-                'X-Bokun-Signature': signature,
-            },
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const parsed = JSON.parse(data);
-                        resolve(Array.isArray(parsed) ? parsed : [parsed]);
-                    } catch (e) { resolve([]); }
-                } else {
-                    console.log(`⚠️ Availability check: ${res.statusCode}`);
-                    resolve([]);
-                }
-            });
-        });
-
-        req.on('error', (e) => reject(e));
-        req.write(body);
-        req.end();
-    });
+async function sendCloseout(hostname, path, body, accessKey, secretKey) {
+    const data = await bokunRequest('POST', path, body, { hostname, accessKey, secretKey });
+    // An empty body means success (expected)
+    return { body: data || 'OK' };
 }
 
 module.exports = {
     disruptDeparture,
+    reopenDeparture,
+    // Exported for testing
+    resolveDepartureTargets,
 };
@@ -0,0 +1,337 @@
+/**
+ * Dispatch Reconciler Module
+ * Keeps dispatched pickup routes in sync with late booking changes
+ *
+ * Trigger:
+ * - cached_bookings/{date} written: once a departure has been dispatched,
+ *   new bookings, cancellations and pax changes are slotted into the
+ *   existing routes (respecting bus capacity) instead of redistributing.
+ *   Only the guides whose route changed are notified.
+ *
+ * Only cancelled bookings are taken off a route. The webhook keeps a
+ * cancellation in cached_bookings with status CANCELLED; the app's snapshot
+ * leaves cancelled bookings out, so a booking missing from it is looked up in
+ * Bokun, and counts as cancelled when Bokun says it is cancelled or now runs
+ * on another date. A booking Bokun doesn't confirm is left where it is, and a
+ * snapshot that still loses a large share of the night's bookings is not
+ * reconciled at all (admins are alerted instead). Route changes and the
+ * cached_bookings write happen in one transaction against the latest snapshot.
+ */
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { db } = require('../utils/firebase');
+const { sendNotificationToUser, sendNotificationToAdminsOnly } = require('../utils/notifications');
+const { bokunRequest } = require('../utils/bokun_client');
+const { isCancelledBooking, getBookingDate } = require('../utils/bokun_booking');
+const {
+    DEFAULT_BUS_SEATS,
+    getBookingPax,
+    getPlaceKey,
+    parsePickupMinutes,
+    getDepartureKey,
+    diffBookingLists,
+    reconcileRoutes,
+} = require('../utils/route_planner');
+const { getPickupPlaceCoordinates, writeDispatchPlan } = require('./auto_dispatch');
+
+// A snapshot missing at least this many live bookings, and this share of
+// them, is treated as partial and not reconciled
+const PARTIAL_SNAPSHOT_MIN_MISSING = 3;
+const PARTIAL_SNAPSHOT_SHARE = 0.3;
+
+// At most this many missing bookings are looked up in Bokun per snapshot;
+// beyond that the snapshot is judged on the counts alone
+const MAX_MISSING_LOOKUPS = 20;
+
+const idOf = b => String(b.id || b.bookingId);
+
+/**
+ * Departure keys that have already been dispatched for a date
+ */
+async function getDispatchedDepartureKeys(dateStr) {
+    const snapshot = await db.collection('auto_dispatch_log')
+        .where('date', '==', dateStr)
+        .get();
+
+    const keys = new Set();
+    for (const doc of snapshot.docs) {
+        const action = doc.data().action || '';
+        if (action.startsWith('dispatch_30min_')) {
+            keys.add(action.substring('dispatch_30min_'.length));
+        }
+    }
+    return keys;
+}
+
+/**
+ * Whether a snapshot lost so many live bookings it is more likely partial
+ * than a wave of real removals
+ */
+function isPartialSnapshot(beforeBookings, missing) {
+    const live = beforeBookings.filter(b => String(b.status || '').toUpperCase() !== 'CANCELLED').length;
+    return missing.length >= PARTIAL_SNAPSHOT_MIN_MISSING && live > 0 &&
+        missing.length / live >= PARTIAL_SNAPSHOT_SHARE;
+}
+
+function fetchBokunBooking(bookingId) {
+    return bokunRequest('GET', `/booking.json/${bookingId}`);
+}
+
+/**
+ * Bookings missing from a snapshot that Bokun reports cancelled, or moved to
+ * another date, returned marked CANCELLED. A failed lookup leaves the
+ * booking missing.
+ */
+async function confirmMissingWithBokun(dateStr, missing, fetchBooking = fetchBokunBooking) {
+    if (missing.length === 0 || missing.length > MAX_MISSING_LOOKUPS) return [];
+    const cancelled = [];
+    for (const booking of missing) {
+        try {
+            const current = await fetchBooking(idOf(booking));
+            if (isCancelledBooking(current) || getBookingDate(current) !== dateStr) {
+                cancelled.push({ ...booking, status: 'CANCELLED' });
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not check missing booking ${idOf(booking)} in Bokun: ${error.message}`);
+        }
+    }
+    return cancelled;
+}
+
+/**
+ * Load the current routes for a date from the guide-level pickup_assignments
+ * docs, read through the given transaction.
+ * Booking summaries on the docs are swapped for the full cached_bookings entries.
+ */
+async function loadRoutes(transaction, dateStr, bookingsById) {
+    const snapshot = await transaction.get(db.collection('pickup_assignments')
+        .where('date', '==', dateStr));
+
+    const routes = [];
+    for (const doc of snapshot.docs) {
+        const data = doc.data();
+        if (!Array.isArray(data.bookings) || !data.guideId) continue;
+
+        const resolve = (summary) => bookingsById[String(summary.id)] || { ...summary, id: summary.id };
+
+        let stops;
+        if (Array.isArray(data.route) && data.route.length > 0) {
+            const summaries = {};
+            for (const b of data.bookings) summaries[String(b.id)] = b;
+            stops = data.route.map(stop => ({
+                key: getPlaceKey(stop.pickupPlaceName),
+                name: stop.pickupPlaceName,
+                latitude: stop.latitude ?? undefined,
+                longitude: stop.longitude ?? undefined,
+                isHarbour: stop.isHarbour === true,
+                bookings: (stop.bookingIds || [])
+                    .map(id => bookingsById[String(id)] || summaries[String(id)])
+                    .filter(Boolean),
+            }));
+        } else {
+            // Manually assigned runs have no route yet: one stop per place, in list order
+            const byPlace = {};
+            stops = [];
+            for (const summary of data.bookings) {
+                const key = getPlaceKey(summary.pickupPlaceName);
+                if (!byPlace[key]) {
+                    byPlace[key] = { key, name: summary.pickupPlaceName || 'Unknown', isHarbour: false, bookings: [] };
+                    stops.push(byPlace[key]);
+                }
+                byPlace[key].bookings.push(resolve(summary));
+            }
+        }
+
+        for (const stop of stops) {
+            stop.passengers = stop.bookings.reduce((sum, b) => sum + getBookingPax(b), 0);
+            stop.scheduledMinutes = stop.bookings
+                .map(b => parsePickupMinutes(b.pickupTime))
+                .filter(m => m !== null)
+                .reduce((min, m) => (min === null || m < min ? m : min), null);
+        }
+
+        routes.push({
+            guideId: data.guideId,
+            guideName: data.guideName || 'Unknown',
+            departureKey: data.departureKey || null,
+            departureLabel: data.departureLabel || null,
+            busId: data.busId || null,
+            busName: data.busName || null,
+            capacity: data.busCapacity || DEFAULT_BUS_SEATS - 1,
+            stops,
+            totalPassengers: stops.reduce((sum, stop) => sum + stop.passengers, 0),
+        });
+    }
+    return routes;
+}
+
+/**
+ * Short, guide-facing summary of what changed on a route
+ */
+function describeRouteChange(route, change) {
+    const stopFor = (booking) => route.stops.find(stop =>
+        stop.bookings.some(b => String(b.id || b.bookingId) === String(booking.id || booking.bookingId)));
+    const name = (b) => b.customerFullName || b.customerName || b.confirmationCode || 'Guest';
+
+    const lines = [];
+    for (const b of change.added) {
+        const stop = stopFor(b);
+        lines.push(`+ ${name(b)} (${getBookingPax(b)}) at ${stop ? `${stop.name}, stop ${stop.stopOrder}, ~${stop.estimatedPickupTime || '?'}` : 'your route'}`);
+    }
+    for (const b of change.removed) {
+        lines.push(`− ${name(b)} (${getBookingPax(b)}) removed`);
+    }
+    for (const b of change.updated) {
+        lines.push(`${name(b)} now ${getBookingPax(b)} pax`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Reconcile late booking changes into the dispatched routes for a date.
+ * Returns a summary, or null when there was nothing to do.
+ */
+async function reconcileLateChanges(dateStr, beforeBookings, afterBookings, { fetchBooking } = {}) {
+    const changes = diffBookingLists(beforeBookings, afterBookings);
+    if (changes.added.length + changes.removed.length + changes.paxChanged.length + changes.missing.length === 0) {
+        return null;
+    }
+
+    const dispatchedKeys = await getDispatchedDepartureKeys(dateStr);
+    if (dispatchedKeys.size === 0) return null;
+
+    const confirmed = await confirmMissingWithBokun(dateStr, changes.missing, fetchBooking);
+    if (confirmed.length > 0) {
+        const confirmedIds = new Set(confirmed.map(idOf));
+        changes.removed.push(...confirmed);
+        changes.missing = changes.missing.filter(b => !confirmedIds.has(idOf(b)));
+        console.log(`🔎 Bokun confirmed ${confirmed.length} missing bookings on ${dateStr} as cancelled or moved`);
+    }
+
+    if (isPartialSnapshot(beforeBookings, changes.missing)) {
+        console.error(`🛑 cached_bookings/${dateStr} lost ${changes.missing.length} of ${beforeBookings.length} bookings - not reconciling`);
+        await db.collection('dispatch_reconciliations').add({
+            date: dateStr,
+            refused: 'partial_snapshot',
+            missing: changes.missing.map(b => b.id || b.bookingId),
+            createdAt: new Date().toISOString(),
+        });
+        await sendNotificationToAdminsOnly(
+            '🛑 Booking Snapshot Looks Incomplete',
+            `The ${dateStr} booking list dropped ${changes.missing.length} of ${beforeBookings.length} bookings. Dispatched routes were left as they are - check the bookings and re-sync.`,
+            { type: 'reconcile_partial_snapshot', date: dateStr, missing: changes.missing.length }
+        );
+        return { refused: 'partial_snapshot', missing: changes.missing.length };
+    }
+    if (changes.missing.length > 0) {
+        console.log(`⚠️ ${changes.missing.length} bookings missing from cached_bookings/${dateStr} and not cancelled in Bokun - left on their routes`);
+    }
+
+    const isDispatched = (b) => dispatchedKeys.has(getDepartureKey(b));
+    const relevant = {
+        added: changes.added.filter(isDispatched),
+        removed: changes.removed.filter(isDispatched),
+        paxChanged: changes.paxChanged.filter(isDispatched),
+    };
+    if (relevant.added.length + relevant.removed.length + relevant.paxChanged.length === 0) {
+        return null;
+    }
+
+    console.log(`🔄 Reconciling ${dateStr}: +${relevant.added.length} new, -${relevant.removed.length} cancelled, ${relevant.paxChanged.length} pax changes`);
+
+    const places = await getPickupPlaceCoordinates();
+    const cacheRef = db.collection('cached_bookings').doc(dateStr);
+
+    // Routes and cached_bookings are read and written together, so a
+    // snapshot written meanwhile is never overwritten with a stale list
+    const { affected, affectedRoutes, unplaced } = await db.runTransaction(async (transaction) => {
+        const cacheDoc = await transaction.get(cacheRef);
+        const latestBookings = cacheDoc.exists ? (cacheDoc.data().bookings || []) : afterBookings;
+
+        const bookingsById = {};
+        for (const b of [...beforeBookings, ...afterBookings, ...latestBookings]) {
+            bookingsById[String(b.id || b.bookingId)] = b;
+        }
+
+        const routes = await loadRoutes(transaction, dateStr, bookingsById);
+        const outcome = reconcileRoutes(routes, relevant, places);
+        const changedRoutes = routes.filter(route => outcome.affected[route.guideId]);
+
+        // Cancelled and unplaced bookings keep no stale guide assignment
+        const unassigned = [...relevant.removed, ...outcome.unplaced];
+        if (changedRoutes.length > 0 || unassigned.length > 0) {
+            writeDispatchPlan(transaction, dateStr, latestBookings, { routes: changedRoutes, unassigned });
+        }
+        transaction.set(db.collection('dispatch_reconciliations').doc(), {
+            date: dateStr,
+            added: relevant.added.map(b => b.id || b.bookingId),
+            removed: relevant.removed.map(b => b.id || b.bookingId),
+            paxChanged: relevant.paxChanged.map(b => b.id || b.bookingId),
+            missing: changes.missing.map(b => b.id || b.bookingId),
+            affectedGuideIds: Object.keys(outcome.affected),
+            unplaced: outcome.unplaced.map(b => b.id || b.bookingId),
+            createdAt: new Date().toISOString(),
+        });
+        return { affected: outcome.affected, affectedRoutes: changedRoutes, unplaced: outcome.unplaced };
+    });
+
+    // Targeted notifications: only the guides whose route changed
+    for (const route of affectedRoutes) {
+        const body = describeRouteChange(route, affected[route.guideId]);
+        console.log(`📲 Route update for ${route.guideName}:\n${body}`);
+        await sendNotificationToUser(route.guideId, '🔄 Your pickup route changed', body, {
+            type: 'route_update',
+            date: dateStr,
+        });
+    }
+
+    if (unplaced.length > 0) {
+        const names = unplaced.map(b => `${b.customerFullName || b.confirmationCode || b.id} (${getBookingPax(b)})`).join(', ');
+        console.log(`⚠️ Could not place ${unplaced.length} late bookings: ${names}`);
+        await sendNotificationToAdminsOnly(
+            '⚠️ Late Booking Needs a Seat',
+            `No bus on the dispatched route has room for: ${names}`,
+            { type: 'reconcile_unplaced', date: dateStr, count: unplaced.length }
+        );
+    }
+
+    return {
+        affectedGuides: affectedRoutes.length,
+        missing: changes.missing.length,
+        added: relevant.added.length,
+        removed: relevant.removed.length,
+        paxChanged: relevant.paxChanged.length,
+        unplaced: unplaced.length,
+    };
+}
+
+/**
+ * Triggered when cached_bookings/{date} is written
+ */
+const onCachedBookingsReconcile = onDocumentWritten(
+    {
+        document: 'cached_bookings/{date}',
+        region: 'us-central1',
+        secrets: ['BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY'],
+    },
+    async (event) => {
+        const dateStr = event.params.date;
+        const before = event.data.before.exists ? (event.data.before.data().bookings || []) : [];
+        const afterDoc = event.data.after.exists ? event.data.after.data() : null;
+        if (!afterDoc || afterDoc.frozenAt) return;
+
+        try {
+            const result = await reconcileLateChanges(dateStr, before, afterDoc.bookings || []);
+            if (result) console.log('🔄 Reconcile result:', JSON.stringify(result));
+        } catch (error) {
+            console.error(`❌ Reconcile failed for ${dateStr}:`, error);
+        }
+    }
+);
+
+module.exports = {
+    onCachedBookingsReconcile,
+    // Exported for testing
+    reconcileLateChanges,
+    confirmMissingWithBokun,
+    isPartialSnapshot,
+};
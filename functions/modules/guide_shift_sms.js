@@ -12,6 +12,8 @@
 const { onSchedule } = require('firebase-functions/v2/scheduler');
 const { onCall } = require('firebase-functions/v2/https');
 const { admin, db } = require('../utils/firebase');
+const { liveBookings } = require('../utils/bokun_booking');
+const { getSmsStatusCallbackUrl, recordSmsSent } = require('./sms_status');
 
 // Twilio client (lazy-init)
 let twilioClient = null;
@@ -66,7 +68,7 @@ async function getTotalPassengers(dateStr) {
     // Cached bookings
     const cachedDoc = await db.collection('cached_bookings').doc(dateStr).get();
     if (cachedDoc.exists) {
-        const bookings = cachedDoc.data().bookings || [];
+        const bookings = liveBookings(cachedDoc.data().bookings);
         for (const b of bookings) {
             totalPax += (b.numberOfGuests || b.guests || b.pax || 1);
         }
@@ -231,15 +233,25 @@ async function checkAndSendIfUnderstaffed(dateStr, trigger) {
         const body = `${urgency}Hi ${firstName}! 🌌 We need ${shortage} more guide${shortage > 1 ? 's' : ''} for ${formattedDate} (${totalPax} passengers). Click here to apply: https://auroraviking.com/staff — Aurora Viking`;
 
         try {
-            const opts = { body, to: phone };
+            const opts = { body, to: phone, statusCallback: getSmsStatusCallbackUrl() };
             if (messagingServiceSid) {
                 opts.messagingServiceSid = messagingServiceSid;
             } else {
                 opts.from = fromNumber;
             }
 
-            await client.messages.create(opts);
+            const message = await client.messages.create(opts);
             smsSent++;
+            try {
+                await recordSmsSent(message, phone, {
+                    kind: 'guide_shift',
+                    log: { collection: 'guide_sms_log', id: logKey },
+                    date: dateStr,
+                    recipientId: guide.id,
+                });
+            } catch (trackingError) {
+                console.error(`⚠️ Could not record SMS to ${phone} for status tracking: ${trackingError.message}`);
+            }
             console.log(`✅ SMS sent to ${firstName} (${phone})`);
         } catch (err) {
             console.error(`❌ Failed SMS to ${phone}: ${err.message}`);
@@ -251,7 +263,7 @@ async function checkAndSendIfUnderstaffed(dateStr, trigger) {
         }
     }
 
-    // Log
+    // Log (merged: delivery callbacks may already have rolled up here)
     await db.collection('guide_sms_log').doc(logKey).set({
         date: dateStr,
         trigger,
@@ -263,7 +275,7 @@ async function checkAndSendIfUnderstaffed(dateStr, trigger) {
         smsSent,
         failed,
         guidesNotified: guidesToNotify.map(g => ({ id: g.id, name: g.fullName || g.displayName })),
-    });
+    }, { merge: true });
 
     console.log(`✅ [${trigger}] SMS complete: ${smsSent}/${guidesToNotify.length} sent (short ${shortage} guides)`);
 
@@ -4,6 +4,14 @@
  */
 const { onCall } = require('firebase-functions/v2/https');
 const { admin, db } = require('../utils/firebase');
+const { renderTemplateForConversation } = require('./message_templates');
+const { NO_SLA_SORT_AT } = require('./inbox_routing');
+
+// Channels threaded by phone number: where the number lives on the conversation
+const PHONE_THREAD_KEYS = {
+    sms: 'phone',
+    whatsapp: 'phoneNumber',
+};
 
 /**
  * Extract booking references from message content
@@ -28,17 +36,21 @@ async function findOrCreateCustomer(channel, identifier, name) {
         query = customersRef.where('channels.whatsapp', '==', identifier);
     } else if (channel === 'wix') {
         query = customersRef.where('channels.wix', '==', identifier);
+    } else if (channel === 'sms') {
+        query = customersRef.where('phone', '==', identifier);
     }
 
     const snapshot = await query.limit(1).get();
 
     if (!snapshot.empty) {
+        // A customer merged into another profile (customer_profiles.js) hands over to it
         const customerDoc = snapshot.docs[0];
-        await customerDoc.ref.update({
+        const customerId = customerDoc.data().mergedInto || customerDoc.id;
+        await db.collection('customers').doc(customerId).update({
             lastContact: admin.firestore.FieldValue.serverTimestamp(),
             updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         });
-        return customerDoc.id;
+        return customerId;
     }
 
     let extractedName = name;
@@ -52,7 +64,7 @@ async function findOrCreateCustomer(channel, identifier, name) {
     const newCustomer = {
         name: extractedName || identifier,
         email: channel === 'gmail' ? identifier : null,
-        phone: channel === 'whatsapp' ? identifier : null,
+        phone: channel === 'whatsapp' || channel === 'sms' ? identifier : null,
         channels: {
             gmail: channel === 'gmail' ? identifier : null,
             whatsapp: channel === 'whatsapp' ? identifier : null,
@@ -91,6 +103,15 @@ async function findOrCreateConversation(customerId, channel, threadId, subject,
             .where('channelMetadata.gmail.threadId', '==', threadId)
             .limit(1)
             .get();
+    } else if (PHONE_THREAD_KEYS[channel] && threadId) {
+        // SMS/WhatsApp thread by phone number: replies days later still join the open conversation
+        snapshot = await conversationsRef
+            .where('customerId', '==', customerId)
+            .where('channel', '==', channel)
+            .where(`channelMetadata.${channel}.${PHONE_THREAD_KEYS[channel]}`, '==', threadId)
+            .where('status', '==', 'active')
+            .limit(1)
+            .get();
     }
 
     if (!snapshot || snapshot.empty) {
@@ -126,7 +147,12 @@ async function findOrCreateConversation(customerId, channel, threadId, subject,
         lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
         lastMessagePreview: messagePreview.substring(0, 100),
         unreadCount: 1,
-        channelMetadata: channel === 'gmail' && threadId ? { gmail: { threadId, inbox: inboxEmail } } : {},
+        assignedTo: null,
+        assignedToName: null,
+        isHandled: false,
+        slaSortAt: NO_SLA_SORT_AT,
+        channelMetadata: channel === 'gmail' && threadId ? { gmail: { threadId, inbox: inboxEmail } } :
+            PHONE_THREAD_KEYS[channel] && threadId ? { [channel]: { [PHONE_THREAD_KEYS[channel]]: threadId } } : {},
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
@@ -211,6 +237,64 @@ const processGmailMessage = onCall(
     }
 );
 
+/**
+ * Write an outbound message to a conversation; the channel's trigger sends it
+ * (gmail.js, sms_inbox.js, whatsapp.js). fields are stored on the message as-is.
+ * Returns the message id.
+ */
+async function createOutboundMessage(convRef, conversation, customer, { content, channel, handledBy, fields = {} }) {
+    const sendChannel = channel || conversation.channel;
+    const messageData = {
+        conversationId: convRef.id,
+        customerId: conversation.customerId,
+        channel: sendChannel,
+        direction: 'outbound',
+        content,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        channelMetadata: {},
+        bookingIds: [],
+        detectedBookingNumbers: extractBookingReferences(content),
+        status: 'responded',
+        handledBy,
+        handledAt: admin.firestore.FieldValue.serverTimestamp(),
+        flaggedForReview: false,
+        priority: 'normal',
+        ...fields,
+    };
+
+    if (sendChannel === 'gmail') {
+        messageData.channelMetadata.gmail = {
+            to: [customer.email || customer.channels?.gmail],
+            from: 'info@auroraviking.is',
+            threadId: conversation.channelMetadata?.gmail?.threadId || '',
+        };
+    } else if (sendChannel === 'sms') {
+        // Sent via Twilio by onOutboundSmsMessageCreated (sms_inbox.js)
+        messageData.channelMetadata.sms = {
+            to: conversation.channelMetadata?.sms?.phone || customer.phone || null,
+        };
+    } else if (sendChannel === 'whatsapp') {
+        // Sent via the Cloud API by onOutboundWhatsAppMessageCreated (whatsapp.js)
+        messageData.channelMetadata.whatsapp = {
+            phoneNumber: conversation.channelMetadata?.whatsapp?.phoneNumber || customer.channels?.whatsapp || null,
+            messageId: '',
+        };
+    }
+
+    const msgRef = await db.collection('messages').add(messageData);
+    console.log(`📨 Outbound message created: ${msgRef.id}`);
+
+    await convRef.update({
+        lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastMessagePreview: content.substring(0, 100),
+        unreadCount: 0,
+        messageIds: admin.firestore.FieldValue.arrayUnion(msgRef.id),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return msgRef.id;
+}
+
 /**
  * Send message via channel
  */
@@ -225,10 +309,14 @@ const sendInboxMessage = onCall(
             return { success: false, error: 'Authentication required' };
         }
 
-        const { conversationId, content, channel } = request.data;
+        // templateId sends a canned response (message_templates.js) filled in
+        // from the conversation's booking; content then only overrides the text.
+        // draftId: the AI draft the reply started from (ai_feedback.js)
+        const { conversationId, channel, templateId, language, variables, draftId } = request.data;
+        let content = request.data.content;
 
-        if (!conversationId || !content) {
-            return { success: false, error: 'Missing required fields: conversationId, content' };
+        if (!conversationId || (!content && !templateId)) {
+            return { success: false, error: 'Missing required fields: conversationId, content or templateId' };
         }
 
         try {
@@ -246,43 +334,37 @@ const sendInboxMessage = onCall(
 
             const customer = customerDoc.data();
 
-            const messageData = {
-                conversationId,
-                customerId: conversation.customerId,
-                channel: channel || conversation.channel,
-                direction: 'outbound',
-                content,
-                timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                channelMetadata: {},
-                bookingIds: [],
-                detectedBookingNumbers: extractBookingReferences(content),
-                status: 'responded',
-                handledBy: request.auth.uid,
-                handledAt: admin.firestore.FieldValue.serverTimestamp(),
-                flaggedForReview: false,
-                priority: 'normal',
-            };
-
-            if ((channel || conversation.channel) === 'gmail') {
-                messageData.channelMetadata.gmail = {
-                    to: [customer.email || customer.channels?.gmail],
-                    from: 'info@auroraviking.is',
-                    threadId: conversation.channelMetadata?.gmail?.threadId || '',
+            let template = null;
+            if (templateId) {
+                const rendered = await renderTemplateForConversation(templateId, conversation, customer, {
+                    language,
+                    variables,
+                    agentName: request.auth.token?.name || null,
+                });
+                if (!content && rendered.missing.length > 0) {
+                    return { success: false, error: `Fill in before sending: ${rendered.missing.map(name => `{${name}}`).join(', ')}` };
+                }
+                template = {
+                    id: rendered.templateId,
+                    version: rendered.version,
+                    language: rendered.language,
+                    confirmationCode: rendered.confirmationCode,
+                    edited: Boolean(content) && content !== rendered.body,
                 };
+                content = content || rendered.body;
             }
 
-            const msgRef = await db.collection('messages').add(messageData);
-            console.log(`📨 Outbound message created: ${msgRef.id}`);
-
-            await convDoc.ref.update({
-                lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
-                lastMessagePreview: content.substring(0, 100),
-                unreadCount: 0,
-                messageIds: admin.firestore.FieldValue.arrayUnion(msgRef.id),
-                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            const messageId = await createOutboundMessage(convDoc.ref, conversation, customer, {
+                content,
+                channel,
+                handledBy: request.auth.uid,
+                fields: {
+                    ...(template && { template }),
+                    ...(draftId && { aiDraftId: draftId }),
+                },
             });
 
-            return { success: true, messageId: msgRef.id };
+            return { success: true, messageId, content };
         } catch (error) {
             console.error('❌ Error sending message:', error);
             return { success: false, error: error.message };
@@ -345,10 +427,21 @@ const updateConversationStatus = onCall(
         }
 
         try {
-            await db.collection('conversations').doc(conversationId).update({
+            const updates = {
                 status,
                 updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            });
+            };
+            if (status !== 'active') {
+                // Meets the resolution SLA and stops its timers (inbox_routing.js)
+                const convDoc = await db.collection('conversations').doc(conversationId).get();
+                if (convDoc.exists && convDoc.data().sla && !convDoc.data().sla.resolvedAt) {
+                    updates['sla.resolvedAt'] = new Date().toISOString();
+                }
+                updates.slaNextDueAt = null;
+                updates.slaBreaching = false;
+                updates.slaSortAt = NO_SLA_SORT_AT;
+            }
+            await db.collection('conversations').doc(conversationId).update(updates);
 
             return { success: true };
         } catch (error) {
@@ -434,6 +527,7 @@ module.exports = {
     extractBookingReferences,
     findOrCreateCustomer,
     findOrCreateConversation,
+    createOutboundMessage,
     processGmailMessage,
     sendInboxMessage,
     markConversationRead,
@@ -0,0 +1,666 @@
+/**
+ * Inbox Routing Module
+ * Assignment, SLA timers and workload routing for the unified inbox.
+ *
+ * Conversations carry (besides status / unreadCount):
+ *   assignedTo, assignedToName, assignedAt, assignedBy ('auto' or a uid)
+ *     (assignedTo is null from creation, so the unassigned view can query it)
+ *   sla: {
+ *     priority: 'urgent' | 'high' | 'normal',   // from channel and booking proximity
+ *     bookingProximity: 'tonight' | 'tomorrow' | null,
+ *     startedAt, firstResponseDueAt, resolutionDueAt,
+ *     firstRespondedAt, resolvedAt,
+ *     breaches: { firstResponse: ISO, resolution: ISO }   // when escalated
+ *   }
+ *   slaNextDueAt: the next deadline still running (null when none)
+ *   slaBreaching: true while a deadline is missed and the conversation is open
+ *   slaSortAt: the earliest deadline not met yet, missed or not
+ *     (NO_SLA_SORT_AT when no cycle is running), so views can order by it
+ *   isHandled: false from creation (the app sets it when marking complete)
+ *
+ * Timers start on the first inbound message of a cycle (a new cycle starts
+ * when a resolved conversation gets a new message). A staff reply meets the
+ * first-response timer; resolving the conversation meets the resolution timer.
+ * Automated outbound messages (automated: true, or handledBy 'system' / 'auto')
+ * do not count as a response.
+ *
+ * Config: config/inbox_routing (merged over DEFAULT_ROUTING_CONFIG)
+ *   {
+ *     autoAssign: 'round_robin' | 'skills' | 'off',
+ *     agents: [{ uid, name, skills: ['whatsapp', 'de'], maxOpen: 15, active: true }],
+ *               // empty = every admin user, no skills
+ *     sla: { firstResponseMinutes: { gmail: 240, ... }, resolutionMinutes: { ... },
+ *            urgent: { firstResponseMinutes, resolutionMinutes }, high: { ... } }
+ *   }
+ *
+ * Functions:
+ * - onInboxMessageRouting (trigger): start/meet SLA timers, auto-assign
+ * - inboxSlaMonitor (every 5 minutes): escalate breaches to admins
+ * - assignInboxConversation (callable): { conversationId, assigneeUid | null | 'auto' }
+ * - getInboxView (callable): { view: 'mine' | 'unassigned' | 'breaching', limit }
+ * - backfillConversationAssignment (callable, staff): set assignedTo: null,
+ *   isHandled: false and slaSortAt on conversations created before they were
+ *   written at creation
+ */
+const { onCall } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+const { sendNotificationToAdminsOnly, sendNotificationToUser } = require('../utils/notifications');
+const { getTodayDateString } = require('../utils/dates');
+const { requireStaff } = require('../utils/staff');
+const { liveBookings } = require('../utils/bokun_booking');
+
+const MINUTE_MS = 60 * 1000;
+const ASSIGN_STRATEGIES = ['round_robin', 'skills', 'off'];
+const INBOX_VIEWS = ['mine', 'unassigned', 'breaching'];
+const DEFAULT_VIEW_LIMIT = 100;
+// Sorts after every real deadline
+const NO_SLA_SORT_AT = '9999-12-31T23:59:59.999Z';
+const DEFAULT_MAX_OPEN = 15;
+const BACKFILL_PAGE_SIZE = 400;
+// handledBy values written by automated senders rather than a staff member
+const AUTOMATED_SENDERS = ['system', 'auto'];
+
+const DEFAULT_ROUTING_CONFIG = {
+    autoAssign: 'round_robin',
+    agents: [],
+    sla: {
+        // Live channels expect an answer within minutes, email within hours
+        firstResponseMinutes: { website: 10, whatsapp: 30, sms: 30, wix: 120, gmail: 240 },
+        resolutionMinutes: { website: 60, whatsapp: 480, sms: 480, wix: 1440, gmail: 1440 },
+        // A tour tonight means the customer needs an answer before pickup
+        urgent: { firstResponseMinutes: 15, resolutionMinutes: 120 },
+        high: { firstResponseMinutes: 60, resolutionMinutes: 480 },
+        defaultFirstResponseMinutes: 240,
+        defaultResolutionMinutes: 1440,
+    },
+};
+
+// ============================================
+// POLICY (pure)
+// ============================================
+
+/**
+ * Merge a Firestore config doc over the defaults
+ */
+function resolveRoutingConfig(stored = {}) {
+    const sla = stored.sla || {};
+    return {
+        autoAssign: ASSIGN_STRATEGIES.includes(stored.autoAssign) ? stored.autoAssign : DEFAULT_ROUTING_CONFIG.autoAssign,
+        agents: (Array.isArray(stored.agents) ? stored.agents : [])
+            .filter(agent => agent && agent.uid)
+            .map(agent => ({
+                uid: agent.uid,
+                name: agent.name || null,
+                skills: (agent.skills || []).map(skill => String(skill).toLowerCase()),
+                maxOpen: Number.isFinite(agent.maxOpen) ? agent.maxOpen : DEFAULT_MAX_OPEN,
+                active: agent.active !== false,
+            })),
+        sla: {
+            ...DEFAULT_ROUTING_CONFIG.sla,
+            ...sla,
+            firstResponseMinutes: { ...DEFAULT_ROUTING_CONFIG.sla.firstResponseMinutes, ...(sla.firstResponseMinutes || {}) },
+            resolutionMinutes: { ...DEFAULT_ROUTING_CONFIG.sla.resolutionMinutes, ...(sla.resolutionMinutes || {}) },
+            urgent: { ...DEFAULT_ROUTING_CONFIG.sla.urgent, ...(sla.urgent || {}) },
+            high: { ...DEFAULT_ROUTING_CONFIG.sla.high, ...(sla.high || {}) },
+        },
+    };
+}
+
+/**
+ * 'tonight' when one of the customer's bookings is today, 'tomorrow' for
+ * tomorrow, otherwise null.
+ * @param {object} bookingsByDay - { today: [...], tomorrow: [...] } cached_bookings entries
+ * @param {object} contact - { bookingIds, email, phone }
+ */
+function getBookingProximity(bookingsByDay, { bookingIds = [], email = null, phone = null }) {
+    const codes = new Set(bookingIds.map(id => String(id).toUpperCase()));
+    const emailLower = email ? email.toLowerCase() : null;
+    const phoneDigits = phone ? String(phone).replace(/[^\d]/g, '') : null;
+
+    const matches = (booking) =>
+        (booking.confirmationCode && codes.has(String(booking.confirmationCode).toUpperCase())) ||
+        (emailLower && String(booking.email || '').toLowerCase() === emailLower) ||
+        (phoneDigits && phoneDigits.length >= 7 &&
+            String(booking.phoneNumber || '').replace(/[^\d]/g, '').endsWith(phoneDigits.slice(-9)));
+
+    if ((bookingsByDay.today || []).some(matches)) return 'tonight';
+    if ((bookingsByDay.tomorrow || []).some(matches)) return 'tomorrow';
+    return null;
+}
+
+/**
+ * SLA deadlines for a conversation cycle starting at startedAt (ISO)
+ */
+function computeSla(channel, bookingProximity, startedAt, slaConfig) {
+    const priority = bookingProximity === 'tonight' ? 'urgent' :
+        bookingProximity === 'tomorrow' ? 'high' : 'normal';
+
+    let firstResponseMinutes = slaConfig.firstResponseMinutes[channel] ?? slaConfig.defaultFirstResponseMinutes;
+    let resolutionMinutes = slaConfig.resolutionMinutes[channel] ?? slaConfig.defaultResolutionMinutes;
+    if (priority !== 'normal') {
+        // Proximity only ever tightens a channel's timers
+        firstResponseMinutes = Math.min(firstResponseMinutes, slaConfig[priority].firstResponseMinutes);
+        resolutionMinutes = Math.min(resolutionMinutes, slaConfig[priority].resolutionMinutes);
+    }
+
+    const start = new Date(startedAt).getTime();
+    return {
+        priority,
+        bookingProximity: bookingProximity || null,
+        startedAt: new Date(start).toISOString(),
+        firstResponseDueAt: new Date(start + firstResponseMinutes * MINUTE_MS).toISOString(),
+        resolutionDueAt: new Date(start + resolutionMinutes * MINUTE_MS).toISOString(),
+        firstRespondedAt: null,
+        resolvedAt: null,
+        breaches: {},
+    };
+}
+
+/**
+ * The next deadline that is still running, or null
+ */
+function getNextSlaDueAt(sla) {
+    if (!sla || sla.resolvedAt) return null;
+    if (!sla.firstRespondedAt && !sla.breaches?.firstResponse) return sla.firstResponseDueAt;
+    if (!sla.breaches?.resolution) return sla.resolutionDueAt;
+    return null;
+}
+
+/**
+ * Inbox view order: the first-response deadline until a staff reply, then
+ * the resolution deadline. Missed deadlines keep their place at the front.
+ */
+function getSlaSortAt(sla) {
+    if (!sla || sla.resolvedAt) return NO_SLA_SORT_AT;
+    return sla.firstRespondedAt ? sla.resolutionDueAt : sla.firstResponseDueAt;
+}
+
+/**
+ * Timers that have run out and were not escalated yet
+ */
+function getSlaBreaches(sla, nowIso) {
+    if (!sla || sla.resolvedAt) return [];
+    const breaches = [];
+    if (!sla.firstRespondedAt && !sla.breaches?.firstResponse && sla.firstResponseDueAt <= nowIso) {
+        breaches.push('firstResponse');
+    }
+    if (!sla.breaches?.resolution && sla.resolutionDueAt <= nowIso) {
+        breaches.push('resolution');
+    }
+    return breaches;
+}
+
+/**
+ * Whether an open conversation is currently past a deadline
+ */
+function isSlaBreaching(sla, nowIso) {
+    if (!sla || sla.resolvedAt) return false;
+    return (!sla.firstRespondedAt && sla.firstResponseDueAt <= nowIso) || sla.resolutionDueAt <= nowIso;
+}
+
+/**
+ * Whether an outbound message is a staff reply (not an automated send)
+ */
+function isStaffReply(message) {
+    if (!message || message.direction !== 'outbound') return false;
+    if (message.automated === true) return false;
+    return !AUTOMATED_SENDERS.includes(message.handledBy);
+}
+
+/**
+ * Pick the agent for a conversation.
+ * round_robin: the next agent after lastAssignedUid with room.
+ * skills: the agents with the most matching skills (channel, customer language),
+ * then the lightest workload; falls back to everyone when nobody matches.
+ * @param {Array} agents - resolved agents
+ * @param {object} workload - uid → open conversations
+ * @param {object} conversation - { channel, language }
+ */
+function pickAssignee(agents, workload, conversation, strategy, lastAssignedUid = null) {
+    const available = agents.filter(agent => agent.active && (workload[agent.uid] || 0) < agent.maxOpen);
+    if (available.length === 0 || strategy === 'off') return null;
+
+    if (strategy === 'skills') {
+        const wanted = [conversation.channel, conversation.language].filter(Boolean).map(s => String(s).toLowerCase());
+        const scored = available.map(agent => ({
+            agent,
+            score: wanted.filter(skill => agent.skills.includes(skill)).length,
+            load: workload[agent.uid] || 0,
+        }));
+        const best = Math.max(...scored.map(s => s.score));
+        return scored
+            .filter(s => s.score === best)
+            .sort((a, b) => a.load - b.load || agents.indexOf(a.agent) - agents.indexOf(b.agent))[0].agent;
+    }
+
+    // Round robin over the configured order, skipping agents that are full
+    const lastIndex = agents.findIndex(agent => agent.uid === lastAssignedUid);
+    for (let step = 1; step <= agents.length; step++) {
+        const candidate = agents[(lastIndex + step) % agents.length];
+        if (available.includes(candidate)) return candidate;
+    }
+    return null;
+}
+
+// ============================================
+// FIRESTORE
+// ============================================
+
+function getTomorrowDateString() {
+    const date = new Date(`${getTodayDateString()}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().split('T')[0];
+}
+
+async function getRoutingConfig() {
+    try {
+        const doc = await db.collection('config').doc('inbox_routing').get();
+        return resolveRoutingConfig(doc.exists ? doc.data() : {});
+    } catch (e) {
+        console.log('⚠️ Could not load inbox routing config, using defaults:', e.message);
+        return resolveRoutingConfig();
+    }
+}
+
+/**
+ * Configured agents, or every admin user when none are configured
+ */
+async function getAgents(config) {
+    if (config.agents.length > 0) return config.agents;
+    const snapshot = await db.collection('users').where('isAdmin', '==', true).get();
+    return snapshot.docs.map(doc => ({
+        uid: doc.id,
+        name: doc.data().fullName || doc.data().email || null,
+        skills: [],
+        maxOpen: DEFAULT_MAX_OPEN,
+        active: true,
+    }));
+}
+
+/**
+ * Open (active, not handled) conversations per agent
+ */
+async function getWorkload(agentUids) {
+    const workload = {};
+    for (let i = 0; i < agentUids.length; i += 30) {
+        const snapshot = await db.collection('conversations')
+            .where('assignedTo', 'in', agentUids.slice(i, i + 30))
+            .where('status', '==', 'active')
+            .get();
+        snapshot.docs.forEach(doc => {
+            if (doc.data().isHandled) return;
+            workload[doc.data().assignedTo] = (workload[doc.data().assignedTo] || 0) + 1;
+        });
+    }
+    return workload;
+}
+
+async function getConversationProximity(conversation) {
+    const [todayDoc, tomorrowDoc, customerDoc] = await Promise.all([
+        db.collection('cached_bookings').doc(getTodayDateString()).get(),
+        db.collection('cached_bookings').doc(getTomorrowDateString()).get(),
+        conversation.customerId ? db.collection('customers').doc(conversation.customerId).get() : null,
+    ]);
+    const customer = customerDoc?.exists ? customerDoc.data() : {};
+    return {
+        proximity: getBookingProximity(
+            {
+                today: todayDoc.exists ? liveBookings(todayDoc.data().bookings) : [],
+                tomorrow: tomorrowDoc.exists ? liveBookings(tomorrowDoc.data().bookings) : [],
+            },
+            {
+                bookingIds: conversation.bookingIds || [],
+                email: customer.email || customer.channels?.gmail || null,
+                phone: customer.phone || customer.channels?.whatsapp || null,
+            }
+        ),
+        language: customer.language || null,
+    };
+}
+
+/**
+ * Assign a conversation to an agent (null = unassign) and tell them
+ */
+async function applyAssignment(conversationRef, conversation, agent, assignedBy) {
+    await conversationRef.update({
+        assignedTo: agent ? agent.uid : null,
+        assignedToName: agent ? agent.name : null,
+        assignedAt: agent ? admin.firestore.FieldValue.serverTimestamp() : null,
+        assignedBy: agent ? assignedBy : null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (agent && agent.uid !== assignedBy) {
+        await sendNotificationToUser(
+            agent.uid,
+            '📥 Conversation assigned to you',
+            `${conversation.channel}: ${(conversation.lastMessagePreview || '').substring(0, 100)}`,
+            { type: 'inbox_assignment', conversationId: conversationRef.id }
+        );
+    }
+}
+
+/**
+ * Auto-assign using the configured strategy. Round robin remembers the last
+ * agent in config/inbox_routing_state.
+ */
+async function autoAssignConversation(conversationRef, conversation, config, language) {
+    const agents = await getAgents(config);
+    if (agents.length === 0) return null;
+
+    const workload = await getWorkload(agents.map(agent => agent.uid));
+    const stateRef = db.collection('config').doc('inbox_routing_state');
+    const agent = await db.runTransaction(async (tx) => {
+        const state = await tx.get(stateRef);
+        const picked = pickAssignee(agents, workload, { channel: conversation.channel, language },
+            config.autoAssign, state.exists ? state.data().lastAssignedUid : null);
+        if (picked) {
+            tx.set(stateRef, { lastAssignedUid: picked.uid, updatedAt: new Date().toISOString() }, { merge: true });
+        }
+        return picked;
+    });
+
+    if (agent) {
+        await applyAssignment(conversationRef, conversation, agent, 'auto');
+        console.log(`📥 Conversation ${conversationRef.id} auto-assigned to ${agent.name || agent.uid} (${config.autoAssign})`);
+    }
+    return agent;
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Inbound message: start the SLA cycle (and auto-assign) when none is running.
+ * Outbound message: a staff reply meets the first-response timer; automated
+ * messages leave it running.
+ */
+const onInboxMessageRouting = onDocumentCreated(
+    {
+        document: 'messages/{messageId}',
+        region: 'us-central1',
+    },
+    async (event) => {
+        const messageData = event.data?.data();
+        if (!messageData?.conversationId) return;
+
+        const conversationRef = db.collection('conversations').doc(messageData.conversationId);
+        const convDoc = await conversationRef.get();
+        if (!convDoc.exists) return;
+        const conversation = convDoc.data();
+        const now = new Date().toISOString();
+
+        if (messageData.direction === 'outbound') {
+            if (!isStaffReply(messageData)) return;
+            const sla = conversation.sla;
+            if (sla && !sla.resolvedAt && !sla.firstRespondedAt) {
+                const updated = { ...sla, firstRespondedAt: now };
+                await conversationRef.update({
+                    'sla.firstRespondedAt': now,
+                    slaNextDueAt: getNextSlaDueAt(updated),
+                    slaBreaching: isSlaBreaching(updated, now),
+                    slaSortAt: getSlaSortAt(updated),
+                });
+            }
+            return;
+        }
+
+        if (messageData.direction !== 'inbound') return;
+        // A cycle is running until the conversation is resolved
+        if (conversation.sla && !conversation.sla.resolvedAt) return;
+
+        const config = await getRoutingConfig();
+        const { proximity, language } = await getConversationProximity(conversation);
+        const sla = computeSla(conversation.channel, proximity, now, config.sla);
+        await conversationRef.update({
+            sla,
+            slaNextDueAt: getNextSlaDueAt(sla),
+            slaBreaching: false,
+            slaSortAt: getSlaSortAt(sla),
+        });
+        console.log(`⏱️ SLA started for ${conversationRef.id}: ${sla.priority}, first response by ${sla.firstResponseDueAt}`);
+
+        if (!conversation.assignedTo && config.autoAssign !== 'off') {
+            await autoAssignConversation(conversationRef, conversation, config, language);
+        }
+    }
+);
+
+/**
+ * Escalate SLA breaches to admins and keep slaBreaching in step
+ */
+const inboxSlaMonitor = onSchedule(
+    {
+        schedule: 'every 5 minutes',
+        region: 'us-central1',
+        timeZone: 'Atlantic/Reykjavik',
+    },
+    async () => {
+        const now = new Date().toISOString();
+        const [dueSnap, breachingSnap] = await Promise.all([
+            db.collection('conversations').where('slaNextDueAt', '<=', now).get(),
+            db.collection('conversations').where('slaBreaching', '==', true).get(),
+        ]);
+
+        const docs = new Map();
+        [...dueSnap.docs, ...breachingSnap.docs].forEach(doc => docs.set(doc.id, doc));
+
+        let escalated = 0;
+        for (const doc of docs.values()) {
+            const conversation = doc.data();
+            const sla = { ...conversation.sla };
+
+            // Resolved outside the callables (e.g. marked complete in the app)
+            if (conversation.status !== 'active' || conversation.isHandled) {
+                await doc.ref.update({
+                    'sla.resolvedAt': sla.resolvedAt || now,
+                    slaNextDueAt: null,
+                    slaBreaching: false,
+                    slaSortAt: NO_SLA_SORT_AT,
+                });
+                continue;
+            }
+
+            const breaches = getSlaBreaches(sla, now);
+            for (const breach of breaches) {
+                sla.breaches = { ...(sla.breaches || {}), [breach]: now };
+                const dueAt = breach === 'firstResponse' ? sla.firstResponseDueAt : sla.resolutionDueAt;
+                const minutesLate = Math.round((Date.parse(now) - Date.parse(dueAt)) / MINUTE_MS);
+                await sendNotificationToAdminsOnly(
+                    breach === 'firstResponse' ? '⏰ Inbox: no first response' : '⏰ Inbox: not resolved in time',
+                    `${sla.priority === 'urgent' ? '🔴 Tour tonight! ' : ''}${conversation.channel}: ` +
+                    `${(conversation.lastMessagePreview || '').substring(0, 80)} — ${minutesLate} min over` +
+                    (conversation.assignedToName ? `, assigned to ${conversation.assignedToName}` : ', unassigned'),
+                    {
+                        type: 'inbox_sla_breach',
+                        conversationId: doc.id,
+                        breach,
+                        priority: sla.priority,
+                    }
+                );
+                escalated++;
+            }
+
+            const slaNextDueAt = getNextSlaDueAt(sla);
+            const slaBreaching = isSlaBreaching(sla, now);
+            if (breaches.length === 0 && slaNextDueAt === conversation.slaNextDueAt &&
+                slaBreaching === conversation.slaBreaching) {
+                continue;
+            }
+            await doc.ref.update({
+                ...(breaches.length > 0 ? { 'sla.breaches': sla.breaches } : {}),
+                slaNextDueAt,
+                slaBreaching,
+            });
+        }
+
+        if (docs.size > 0) {
+            console.log(`⏱️ Inbox SLA check: ${docs.size} conversations, ${escalated} breaches escalated`);
+        }
+    }
+);
+
+/**
+ * Assign a conversation: { conversationId, assigneeUid } (null unassigns, 'auto' uses the router)
+ */
+const assignInboxConversation = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+        const { conversationId, assigneeUid } = request.data || {};
+        if (!conversationId || assigneeUid === undefined) {
+            throw new Error('conversationId and assigneeUid are required');
+        }
+
+        const conversationRef = db.collection('conversations').doc(conversationId);
+        const convDoc = await conversationRef.get();
+        if (!convDoc.exists) {
+            throw new Error('Conversation not found');
+        }
+        const conversation = convDoc.data();
+
+        if (assigneeUid === 'auto') {
+            const config = await getRoutingConfig();
+            const { language } = await getConversationProximity(conversation);
+            const agent = await autoAssignConversation(conversationRef, conversation,
+                { ...config, autoAssign: config.autoAssign === 'off' ? 'round_robin' : config.autoAssign }, language);
+            return { success: Boolean(agent), assignedTo: agent?.uid || null, assignedToName: agent?.name || null };
+        }
+
+        let agent = null;
+        if (assigneeUid) {
+            const userDoc = await db.collection('users').doc(assigneeUid).get();
+            if (!userDoc.exists) {
+                throw new Error('Staff member not found');
+            }
+            agent = { uid: assigneeUid, name: userDoc.data().fullName || userDoc.data().email || null };
+        }
+        await applyAssignment(conversationRef, conversation, agent, request.auth.uid);
+        return { success: true, assignedTo: agent?.uid || null, assignedToName: agent?.name || null };
+    }
+);
+
+/**
+ * Inbox views: { view: 'mine' | 'unassigned' | 'breaching', limit }
+ * Sorted by slaSortAt in the query, most overdue (or soonest) first, so the
+ * limit keeps the most urgent conversations.
+ */
+const getInboxView = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+        const { view, limit } = request.data || {};
+        if (!INBOX_VIEWS.includes(view)) {
+            throw new Error(`view must be one of ${INBOX_VIEWS.join(', ')}`);
+        }
+
+        let query = db.collection('conversations').where('isHandled', '==', false);
+        if (view === 'mine') {
+            query = query.where('assignedTo', '==', request.auth.uid).where('status', '==', 'active');
+        } else if (view === 'unassigned') {
+            query = query.where('assignedTo', '==', null).where('status', '==', 'active');
+        } else {
+            query = query.where('slaBreaching', '==', true);
+        }
+
+        const snapshot = await query
+            .orderBy('slaSortAt')
+            .limit(Math.min(limit || DEFAULT_VIEW_LIMIT, 500))
+            .get();
+        const now = new Date().toISOString();
+        const conversations = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .map(c => ({
+                id: c.id,
+                customerId: c.customerId,
+                channel: c.channel,
+                subject: c.subject || null,
+                lastMessagePreview: c.lastMessagePreview || '',
+                lastMessageAt: c.lastMessageAt?.toDate?.()?.toISOString() || null,
+                unreadCount: c.unreadCount || 0,
+                assignedTo: c.assignedTo || null,
+                assignedToName: c.assignedToName || null,
+                sla: c.sla || null,
+                slaNextDueAt: c.slaNextDueAt || null,
+                breaching: isSlaBreaching(c.sla, now),
+            }));
+
+        return { view, count: conversations.length, conversations };
+    }
+);
+
+/**
+ * Set assignedTo: null, isHandled: false and slaSortAt on conversations that
+ * predate them being written at creation. Firestore's == filters and orderBy
+ * skip docs without the field, so without this older conversations never
+ * show in the inbox views.
+ */
+const backfillConversationAssignment = onCall(
+    { region: 'us-central1', timeoutSeconds: 540 },
+    async (request) => {
+        await requireStaff(request, 'backfill conversation assignment');
+
+        let scanned = 0;
+        let updated = 0;
+        let last = null;
+        for (;;) {
+            let query = db.collection('conversations')
+                .orderBy(admin.firestore.FieldPath.documentId())
+                .limit(BACKFILL_PAGE_SIZE);
+            if (last) query = query.startAfter(last);
+            const snapshot = await query.get();
+            if (snapshot.empty) break;
+
+            const batch = db.batch();
+            let pending = 0;
+            for (const doc of snapshot.docs) {
+                const conversation = doc.data();
+                const updates = {};
+                if (conversation.assignedTo === undefined) {
+                    updates.assignedTo = null;
+                    updates.assignedToName = null;
+                }
+                if (conversation.isHandled === undefined) updates.isHandled = false;
+                if (conversation.slaSortAt === undefined) updates.slaSortAt = getSlaSortAt(conversation.sla);
+                if (Object.keys(updates).length === 0) continue;
+                batch.update(doc.ref, updates);
+                pending++;
+            }
+            if (pending > 0) await batch.commit();
+
+            scanned += snapshot.size;
+            updated += pending;
+            last = snapshot.docs[snapshot.docs.length - 1];
+            if (snapshot.size < BACKFILL_PAGE_SIZE) break;
+        }
+
+        console.log(`🧹 Conversation assignment backfill: ${updated} of ${scanned} updated`);
+        return { success: true, scanned, updated };
+    }
+);
+
+module.exports = {
+    onInboxMessageRouting,
+    inboxSlaMonitor,
+    assignInboxConversation,
+    getInboxView,
+    backfillConversationAssignment,
+    NO_SLA_SORT_AT,
+    // Exported for testing
+    resolveRoutingConfig,
+    getBookingProximity,
+    computeSla,
+    getNextSlaDueAt,
+    getSlaSortAt,
+    getSlaBreaches,
+    isSlaBreaching,
+    pickAssignee,
+    isStaffReply,
+};
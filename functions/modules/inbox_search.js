@@ -0,0 +1,808 @@
+/**
+ * Inbox Search Module
+ * Full-text and faceted search across conversations, messages and customers.
+ *
+ * Firestore has no full-text search, so triggers keep a token index:
+ * - inbox_search/conversation_{conversationId}
+ *     {
+ *       type: 'conversation', conversationId, customerId,
+ *       channel, status, assignedTo, assignedToName, sortAt (last message),
+ *       customerName, customerEmail, customerPhone, subject, preview,
+ *       bookingRefs,           // confirmation codes / OTA references seen
+ *       textTokens,            // words from the messages (capped)
+ *       tokens,                // everything searchable: name prefixes, email,
+ *                              // phone digits, references, textTokens
+ *       indexedAt
+ *     }
+ * - inbox_search/customer_{customerId}: { type: 'customer', customerId, customerName, ..., tokens }
+ * - inbox_search_jobs/{jobId}: rebuilds (see rebuildInboxSearchIndex)
+ *
+ * Customers merged into another profile (mergedInto) have no entry; they
+ * are found through the profile they were merged into.
+ *
+ * Names and emails match from the first letters ("ann" finds Anna), phone
+ * numbers with or without the country code, references in any format
+ * ("AV-123456", "av123456", "123456", "GYGBLHXM9R2Y", "BR-1234567890"),
+ * message text by whole words. All query words must match.
+ *
+ * Functions:
+ * - onInboxSearchConversationWritten / onInboxSearchMessageCreated /
+ *   onInboxSearchCustomerWritten (triggers): keep the index up to date
+ * - searchInbox (callable): { query, type?, channel?, status?, assignedTo?, from?, to?, pageSize?, pageToken? }
+ * - rebuildInboxSearchIndex (callable): start a rebuild from Firestore
+ *   Both are for admins and office staff only (utils/staff.js).
+ * - inboxSearchBackfill (every 5 minutes): works through running rebuilds
+ */
+const { onCall } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentCreated, onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+const { requireStaff } = require('../utils/staff');
+
+const SEARCH_TYPES = ['conversation', 'customer'];
+const MAX_TEXT_TOKENS = 2000;
+const MAX_TOKEN_LENGTH = 40;
+const MIN_PREFIX_LENGTH = 2;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const SCAN_BATCH_SIZE = 100;
+const MAX_SCANNED_PER_SEARCH = 1000;
+const SNIPPET_MESSAGE_LIMIT = 30;
+const BACKFILL_CHUNK_SIZE = 100;
+const BACKFILL_TIME_BUDGET_MS = 7 * 60 * 1000;
+const BACKFILL_PHASES = ['conversations', 'customers', 'cleanup'];
+
+// Letters NFD does not split into a base letter
+const FOLD_MAP = { 'þ': 'th', 'ð': 'd', 'æ': 'ae', 'ø': 'o', 'ß': 'ss', 'œ': 'oe', 'ł': 'l' };
+
+// Booking references: prefixed codes (AV-, VIA-, GET-, TDI-, BR-, ...), GetYourGuide codes and long numbers
+const REFERENCE_PATTERNS = [
+    /\b([A-Z]{2,4})[-\s]?(\d{5,12})\b/gi,
+    /\b(GYG[A-Z0-9]{6,12})\b/gi,
+    /\b(\d{8,12})\b/g,
+];
+
+// ============================================
+// HELPERS (pure)
+// ============================================
+
+/**
+ * Lowercase and strip accents ("Þórunn Jónsdóttir" → "thorunn jonsdottir")
+ */
+function foldText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[þðæøßœł]/g, ch => FOLD_MAP[ch])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Searchable words of a text (folded, 2+ characters)
+ */
+function tokenizeText(text) {
+    return foldText(text)
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length >= 2 && word.length <= MAX_TOKEN_LENGTH);
+}
+
+function toPhoneDigits(phone) {
+    return String(phone || '').replace(/\D/g, '');
+}
+
+/**
+ * Booking references in a text, in compact form ("AV-123456" → "av123456")
+ */
+function extractSearchReferences(text) {
+    const refs = new Set();
+    const source = String(text || '');
+    for (const pattern of REFERENCE_PATTERNS) {
+        for (const match of source.matchAll(pattern)) {
+            refs.add(match.slice(1).filter(Boolean).join('').toLowerCase());
+        }
+    }
+    return [...refs];
+}
+
+/**
+ * Tokens for a reference: the compact form, plus the number on its own
+ */
+function referenceTokens(ref) {
+    const compact = foldText(ref).replace(/[^a-z0-9]/g, '');
+    if (!compact) return [];
+    const digits = compact.replace(/\D/g, '');
+    return digits.length >= 5 && digits !== compact ? [compact, digits] : [compact];
+}
+
+function prefixTokens(word) {
+    const prefixes = [];
+    for (let length = MIN_PREFIX_LENGTH; length <= Math.min(word.length, MAX_TOKEN_LENGTH); length++) {
+        prefixes.push(word.slice(0, length));
+    }
+    return prefixes;
+}
+
+/**
+ * Tokens for a customer's identity: name prefixes, email, phone digits
+ * (full and the local 7-9 digits, so numbers match with or without +354)
+ */
+function customerTokens({ name, email, phone, phones = [] }) {
+    const tokens = new Set();
+
+    for (const word of tokenizeText(name)) {
+        prefixTokens(word).forEach(token => tokens.add(token));
+    }
+
+    const folded = foldText(email).trim();
+    if (folded) {
+        tokens.add(folded);
+        prefixTokens(folded).forEach(token => tokens.add(token));
+        tokenizeText(folded).forEach(token => tokens.add(token));
+    }
+
+    for (const number of [phone, ...phones]) {
+        const digits = toPhoneDigits(number);
+        if (digits.length < 7) continue;
+        tokens.add(digits);
+        for (const length of [7, 8, 9]) {
+            if (digits.length > length) tokens.add(digits.slice(-length));
+        }
+    }
+
+    return [...tokens];
+}
+
+/**
+ * Words and references of one message, for textTokens
+ */
+function messageTokens(message) {
+    const text = [message?.subject, message?.content].filter(Boolean).join(' ');
+    const tokens = new Set(tokenizeText(text));
+    for (const ref of [...extractSearchReferences(text), ...(message?.detectedBookingNumbers || [])]) {
+        referenceTokens(ref).forEach(token => tokens.add(token));
+    }
+    return [...tokens];
+}
+
+/**
+ * Add new words to the existing ones, keeping the newest when over the cap
+ */
+function mergeTextTokens(existing, added, max = MAX_TEXT_TOKENS) {
+    const merged = [...new Set([...(existing || []), ...(added || [])])];
+    return merged.length > max ? merged.slice(merged.length - max) : merged;
+}
+
+/**
+ * All searchable tokens of an index entry
+ */
+function composeSearchTokens({ customer = {}, bookingRefs = [], subject = null, textTokens = [] }) {
+    return [...new Set([
+        ...customerTokens(customer),
+        ...bookingRefs.flatMap(referenceTokens),
+        ...tokenizeText(subject),
+        ...textTokens,
+    ])];
+}
+
+function toCustomerIdentity(customer) {
+    return {
+        name: customer?.name || '',
+        email: customer?.email || customer?.channels?.gmail || '',
+        phone: customer?.phone || '',
+        phones: [customer?.channels?.whatsapp].filter(Boolean),
+    };
+}
+
+/**
+ * Index entry for a conversation. textTokens are carried over from the
+ * existing entry (messages add to them as they arrive).
+ */
+function buildConversationSearchDoc(conversationId, conversation, customer, textTokens = []) {
+    const identity = toCustomerIdentity(customer);
+    const bookingRefs = [...new Set((conversation.bookingIds || []).map(ref => String(ref).toUpperCase()))];
+    return {
+        type: 'conversation',
+        conversationId,
+        customerId: conversation.customerId || null,
+        channel: conversation.channel || null,
+        status: conversation.status || 'active',
+        assignedTo: conversation.assignedTo || null,
+        assignedToName: conversation.assignedToName || null,
+        sortAt: conversation.lastMessageAt || conversation.createdAt || null,
+        customerName: identity.name || null,
+        customerEmail: identity.email || null,
+        customerPhone: identity.phone || identity.phones[0] || null,
+        subject: conversation.subject || null,
+        preview: conversation.lastMessagePreview || null,
+        bookingRefs,
+        textTokens,
+        tokens: composeSearchTokens({ customer: identity, bookingRefs, subject: conversation.subject, textTokens }),
+    };
+}
+
+/**
+ * Whether a customer gets an entry: merged customers are found through
+ * their profile (customer_profiles.js)
+ */
+function isSearchableCustomer(customer) {
+    return Boolean(customer) && !customer.mergedInto;
+}
+
+function buildCustomerSearchDoc(customerId, customer) {
+    const identity = toCustomerIdentity(customer);
+    return {
+        type: 'customer',
+        customerId,
+        customerName: identity.name || null,
+        customerEmail: identity.email || null,
+        customerPhone: identity.phone || identity.phones[0] || null,
+        language: customer.language || null,
+        sortAt: customer.updatedAt || customer.lastContactAt || customer.createdAt || null,
+        tokens: composeSearchTokens({ customer: identity }),
+    };
+}
+
+/**
+ * Query text → tokens that must all be in an entry.
+ * Emails and phone numbers are kept whole, references are compacted.
+ */
+function parseSearchQuery(query) {
+    let rest = String(query || '');
+    const tokens = new Set();
+
+    // Phone numbers first, they contain spaces ("+354 555 1234")
+    rest = rest.replace(/\+?\d[\d\s()-]{5,}\d/g, (match) => {
+        const digits = toPhoneDigits(match);
+        if (/[\s()]/.test(match.trim()) || match.trim().startsWith('+')) {
+            tokens.add(digits);
+            return ' ';
+        }
+        return match;
+    });
+
+    for (const term of rest.split(/\s+/).filter(Boolean)) {
+        if (term.includes('@')) {
+            tokens.add(foldText(term).replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, ''));
+            continue;
+        }
+        const refs = extractSearchReferences(term);
+        if (refs.length > 0) {
+            refs.forEach(ref => tokens.add(ref));
+            continue;
+        }
+        tokenizeText(term).forEach(token => tokens.add(token));
+    }
+
+    return [...tokens].filter(Boolean);
+}
+
+/**
+ * The token for the Firestore array-contains query: the longest is usually
+ * the rarest. The others are checked in memory.
+ */
+function pickPrimaryToken(tokens) {
+    return [...tokens].sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Whether an index entry matches all tokens and filters
+ * filters: { channel, status, assignedTo: uid | 'unassigned' }
+ */
+function matchesSearch(entry, tokens, filters = {}) {
+    if (filters.channel && entry.channel !== filters.channel) return false;
+    if (filters.status && entry.status !== filters.status) return false;
+    if (filters.assignedTo === 'unassigned' && entry.assignedTo) return false;
+    if (filters.assignedTo && filters.assignedTo !== 'unassigned' && entry.assignedTo !== filters.assignedTo) return false;
+
+    const entryTokens = new Set(entry.tokens || []);
+    return tokens.every(token => entryTokens.has(token));
+}
+
+/**
+ * The first text containing every query word, shortened around the first hit
+ */
+function findSnippet(texts, tokens, radius = 60) {
+    for (const text of texts) {
+        if (!text) continue;
+        const words = new Set(messageTokens({ content: text }));
+        if (tokens.length === 0 || !tokens.every(token => words.has(token))) continue;
+
+        const folded = foldText(text);
+        const at = tokens.length > 0 ? Math.max(0, folded.indexOf(tokens[0])) : 0;
+        const start = Math.max(0, at - radius);
+        const end = Math.min(text.length, at + radius);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+    return null;
+}
+
+function encodePageToken(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodePageToken(pageToken) {
+    if (!pageToken) return null;
+    try {
+        const cursor = JSON.parse(Buffer.from(String(pageToken), 'base64url').toString('utf8'));
+        return typeof cursor?.id === 'string' ? cursor : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * "2026-10-19" or an ISO time → Date (end of day for `to` dates)
+ */
+function parseSearchDate(value, endOfDay = false) {
+    if (!value) return null;
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+        : new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function toIso(value) {
+    return value?.toDate?.()?.toISOString() || (value instanceof Date ? value.toISOString() : value || null);
+}
+
+// ============================================
+// INDEX WRITES
+// ============================================
+
+function searchDocRef(type, id) {
+    return db.collection('inbox_search').doc(`${type}_${id}`);
+}
+
+async function getCustomer(customerId) {
+    if (!customerId) return null;
+    const doc = await db.collection('customers').doc(customerId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Re-index a conversation's fields, keeping its message words
+ */
+async function indexConversation(conversationId, conversation) {
+    const customer = await getCustomer(conversation.customerId);
+    const ref = searchDocRef('conversation', conversationId);
+
+    await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(ref);
+        const textTokens = existing.exists ? existing.data().textTokens || [] : [];
+        transaction.set(ref, {
+            ...buildConversationSearchDoc(conversationId, conversation, customer, textTokens),
+            indexedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    });
+}
+
+/**
+ * Add one message's words to its conversation's entry. The entry may not
+ * exist yet (the conversation trigger fills in the rest).
+ */
+async function indexMessage(message) {
+    const added = messageTokens(message);
+    if (added.length === 0) return;
+
+    const ref = searchDocRef('conversation', message.conversationId);
+    await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(ref);
+        const entry = existing.exists ? existing.data() : {};
+        const textTokens = mergeTextTokens(entry.textTokens, added);
+        transaction.set(ref, {
+            type: 'conversation',
+            conversationId: message.conversationId,
+            textTokens,
+            tokens: [...new Set([...(entry.tokens || []), ...added])],
+            indexedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+    });
+}
+
+/**
+ * Index a customer, and refresh the name / email / phone on their conversations
+ */
+async function indexCustomer(customerId, customer, { updateConversations = true } = {}) {
+    await searchDocRef('customer', customerId).set({
+        ...buildCustomerSearchDoc(customerId, customer),
+        indexedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (!updateConversations) return;
+
+    const identity = toCustomerIdentity(customer);
+    const entries = await db.collection('inbox_search')
+        .where('type', '==', 'conversation')
+        .where('customerId', '==', customerId)
+        .get();
+    for (let i = 0; i < entries.docs.length; i += 400) {
+        const batch = db.batch();
+        entries.docs.slice(i, i + 400).forEach(doc => {
+            const entry = doc.data();
+            batch.update(doc.ref, {
+                customerName: identity.name || null,
+                customerEmail: identity.email || null,
+                customerPhone: identity.phone || identity.phones[0] || null,
+                tokens: composeSearchTokens({
+                    customer: identity,
+                    bookingRefs: entry.bookingRefs || [],
+                    subject: entry.subject,
+                    textTokens: entry.textTokens || [],
+                }),
+                indexedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        });
+        await batch.commit();
+    }
+}
+
+// Conversation fields the index depends on
+const INDEXED_CONVERSATION_FIELDS = ['customerId', 'channel', 'status', 'assignedTo', 'subject', 'lastMessagePreview'];
+
+function conversationIndexChanged(before, after) {
+    if (!before) return true;
+    if (INDEXED_CONVERSATION_FIELDS.some(field => (before[field] ?? null) !== (after[field] ?? null))) return true;
+    if (toIso(before.lastMessageAt) !== toIso(after.lastMessageAt)) return true;
+    return (before.bookingIds || []).join('|') !== (after.bookingIds || []).join('|');
+}
+
+// ============================================
+// BACKFILL
+// ============================================
+
+/**
+ * Rebuild one conversation's entry from scratch, including its messages
+ */
+async function rebuildConversationEntry(doc, customers) {
+    const conversation = doc.data();
+    if (conversation.customerId && !customers.has(conversation.customerId)) {
+        customers.set(conversation.customerId, await getCustomer(conversation.customerId));
+    }
+
+    const messages = await db.collection('messages')
+        .where('conversationId', '==', doc.id)
+        .orderBy('timestamp', 'asc')
+        .get();
+    let textTokens = [];
+    messages.docs.forEach(message => {
+        textTokens = mergeTextTokens(textTokens, messageTokens(message.data()));
+    });
+
+    return {
+        ...buildConversationSearchDoc(doc.id, conversation, customers.get(conversation.customerId) || null, textTokens),
+        indexedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+}
+
+/**
+ * One chunk of a rebuild. Returns the job fields to save.
+ */
+async function runBackfillChunk(job) {
+    const { FieldPath } = admin.firestore;
+
+    if (job.phase === 'conversations' || job.phase === 'customers') {
+        const collection = job.phase;
+        let query = db.collection(collection).orderBy(FieldPath.documentId()).limit(BACKFILL_CHUNK_SIZE);
+        if (job.cursor) query = query.startAfter(job.cursor);
+        const snapshot = await query.get();
+
+        const customers = new Map();
+        const batch = db.batch();
+        for (const doc of snapshot.docs) {
+            if (collection === 'conversations') {
+                batch.set(searchDocRef('conversation', doc.id), await rebuildConversationEntry(doc, customers));
+            } else if (!isSearchableCustomer(doc.data())) {
+                batch.delete(searchDocRef('customer', doc.id));
+            } else {
+                batch.set(searchDocRef('customer', doc.id), {
+                    ...buildCustomerSearchDoc(doc.id, doc.data()),
+                    indexedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+            }
+        }
+        if (snapshot.size > 0) await batch.commit();
+
+        const done = snapshot.size < BACKFILL_CHUNK_SIZE;
+        return {
+            phase: done ? BACKFILL_PHASES[BACKFILL_PHASES.indexOf(job.phase) + 1] : job.phase,
+            cursor: done ? null : snapshot.docs[snapshot.docs.length - 1].id,
+            [`counts.${collection}`]: admin.firestore.FieldValue.increment(snapshot.size),
+        };
+    }
+
+    if (job.phase === 'cleanup') {
+        // Entries not rewritten since the rebuild started belong to deleted documents
+        const stale = await db.collection('inbox_search')
+            .where('indexedAt', '<', job.startedAt)
+            .limit(400)
+            .get();
+        if (stale.size > 0) {
+            const batch = db.batch();
+            stale.docs.forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+        }
+        return stale.size < 400
+            ? { phase: 'done', status: 'done', finishedAt: admin.firestore.FieldValue.serverTimestamp(), 'counts.removed': admin.firestore.FieldValue.increment(stale.size) }
+            : { 'counts.removed': admin.firestore.FieldValue.increment(stale.size) };
+    }
+
+    return { status: 'done', phase: 'done', finishedAt: admin.firestore.FieldValue.serverTimestamp() };
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Keep a conversation's entry in step with its status, assignee, bookings...
+ */
+const onInboxSearchConversationWritten = onDocumentWritten(
+    {
+        document: 'conversations/{conversationId}',
+        region: 'us-central1',
+    },
+    async (event) => {
+        const { conversationId } = event.params;
+        const before = event.data?.before?.exists ? event.data.before.data() : null;
+        const after = event.data?.after?.exists ? event.data.after.data() : null;
+
+        try {
+            if (!after) {
+                await searchDocRef('conversation', conversationId).delete();
+                return;
+            }
+            if (!conversationIndexChanged(before, after)) return;
+            await indexConversation(conversationId, after);
+        } catch (error) {
+            console.error(`❌ Search index update failed for conversation ${conversationId}:`, error);
+        }
+    }
+);
+
+/**
+ * Add each new message's words to its conversation's entry
+ */
+const onInboxSearchMessageCreated = onDocumentCreated(
+    {
+        document: 'messages/{messageId}',
+        region: 'us-central1',
+    },
+    async (event) => {
+        const message = event.data?.data();
+        if (!message?.conversationId) return;
+
+        try {
+            await indexMessage(message);
+        } catch (error) {
+            console.error(`❌ Search index update failed for message ${event.params.messageId}:`, error);
+        }
+    }
+);
+
+/**
+ * Index customers; name / email / phone changes reach their conversations
+ */
+const onInboxSearchCustomerWritten = onDocumentWritten(
+    {
+        document: 'customers/{customerId}',
+        region: 'us-central1',
+    },
+    async (event) => {
+        const { customerId } = event.params;
+        const before = event.data?.before?.exists ? event.data.before.data() : null;
+        const after = event.data?.after?.exists ? event.data.after.data() : null;
+
+        try {
+            if (!isSearchableCustomer(after)) {
+                await searchDocRef('customer', customerId).delete();
+                return;
+            }
+            const identityBefore = before ? JSON.stringify(toCustomerIdentity(before)) : null;
+            const identityAfter = JSON.stringify(toCustomerIdentity(after));
+            await indexCustomer(customerId, after, { updateConversations: Boolean(before) && identityBefore !== identityAfter });
+        } catch (error) {
+            console.error(`❌ Search index update failed for customer ${customerId}:`, error);
+        }
+    }
+);
+
+/**
+ * Search the inbox
+ * { query, type: 'conversation' | 'customer', channel, status,
+ *   assignedTo: uid | 'me' | 'unassigned', from, to (YYYY-MM-DD or ISO),
+ *   pageSize, pageToken }
+ */
+const searchInbox = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        await requireStaff(request, 'search the inbox');
+
+        const data = request.data || {};
+        const type = data.type || 'conversation';
+        if (!SEARCH_TYPES.includes(type)) {
+            throw new Error(`type must be one of ${SEARCH_TYPES.join(', ')}`);
+        }
+        const from = parseSearchDate(data.from);
+        const to = parseSearchDate(data.to, true);
+        if (from === undefined || to === undefined) {
+            throw new Error('from / to must be dates, e.g. "2026-10-19"');
+        }
+        const pageSize = Math.min(Math.max(parseInt(data.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const filters = {
+            channel: data.channel || null,
+            status: data.status || null,
+            assignedTo: data.assignedTo === 'me' ? request.auth.uid : data.assignedTo || null,
+        };
+
+        const tokens = parseSearchQuery(data.query);
+        const primary = pickPrimaryToken(tokens);
+
+        let query = db.collection('inbox_search').where('type', '==', type);
+        if (primary) query = query.where('tokens', 'array-contains', primary);
+        if (from) query = query.where('sortAt', '>=', from);
+        if (to) query = query.where('sortAt', '<=', to);
+        query = query.orderBy('sortAt', 'desc').orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+
+        let cursor = decodePageToken(data.pageToken);
+        const matches = [];
+        let scanned = 0;
+        let exhausted = false;
+
+        while (matches.length < pageSize && scanned < MAX_SCANNED_PER_SEARCH) {
+            let page = query.limit(SCAN_BATCH_SIZE);
+            if (cursor) {
+                page = page.startAfter(cursor.sortAt ? admin.firestore.Timestamp.fromMillis(cursor.sortAt) : null, cursor.id);
+            }
+            const snapshot = await page.get();
+
+            let stoppedEarly = false;
+            for (const [index, doc] of snapshot.docs.entries()) {
+                scanned++;
+                const entry = doc.data();
+                cursor = { sortAt: entry.sortAt?.toMillis?.() || null, id: doc.id };
+                if (matchesSearch(entry, tokens, filters)) {
+                    matches.push(entry);
+                    if (matches.length === pageSize) {
+                        stoppedEarly = index < snapshot.docs.length - 1;
+                        break;
+                    }
+                }
+            }
+            if (snapshot.size < SCAN_BATCH_SIZE && !stoppedEarly) {
+                exhausted = true;
+                break;
+            }
+        }
+
+        // Show where the words were found for conversation hits
+        const textQuery = tokens.length > 0 && type === 'conversation';
+        const results = await Promise.all(matches.map(async (entry) => {
+            let snippet = null;
+            if (textQuery) {
+                const messages = await db.collection('messages')
+                    .where('conversationId', '==', entry.conversationId)
+                    .orderBy('timestamp', 'desc')
+                    .limit(SNIPPET_MESSAGE_LIMIT)
+                    .get();
+                snippet = findSnippet(messages.docs.map(doc => doc.data().content), tokens);
+            }
+            return {
+                type: entry.type,
+                conversationId: entry.conversationId || null,
+                customerId: entry.customerId || null,
+                customerName: entry.customerName || null,
+                customerEmail: entry.customerEmail || null,
+                customerPhone: entry.customerPhone || null,
+                channel: entry.channel || null,
+                status: entry.status || null,
+                assignedTo: entry.assignedTo || null,
+                assignedToName: entry.assignedToName || null,
+                subject: entry.subject || null,
+                bookingRefs: entry.bookingRefs || [],
+                snippet: snippet || entry.preview || null,
+                sortAt: toIso(entry.sortAt),
+            };
+        }));
+
+        return {
+            results,
+            nextPageToken: exhausted || !cursor ? null : encodePageToken(cursor),
+            scanned,
+        };
+    }
+);
+
+/**
+ * Start rebuilding the whole index from conversations, messages and
+ * customers. inboxSearchBackfill picks it up within five minutes.
+ */
+const rebuildInboxSearchIndex = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        await requireStaff(request, 'rebuild the inbox search index');
+
+        const running = await db.collection('inbox_search_jobs').where('status', '==', 'running').limit(1).get();
+        if (!running.empty) {
+            return { success: false, jobId: running.docs[0].id, error: 'A rebuild is already running' };
+        }
+
+        const jobRef = await db.collection('inbox_search_jobs').add({
+            status: 'running',
+            phase: BACKFILL_PHASES[0],
+            cursor: null,
+            counts: { conversations: 0, customers: 0, removed: 0 },
+            startedAt: admin.firestore.Timestamp.now(),
+            requestedBy: request.auth.uid,
+        });
+        console.log(`🔎 Search index rebuild ${jobRef.id} queued`);
+        return { success: true, jobId: jobRef.id };
+    }
+);
+
+/**
+ * Work through a running rebuild in chunks, saving the cursor after each
+ * one so a timeout only loses the current chunk
+ */
+const inboxSearchBackfill = onSchedule(
+    {
+        schedule: 'every 5 minutes',
+        timeZone: 'Atlantic/Reykjavik',
+        region: 'us-central1',
+        timeoutSeconds: 540,
+        memory: '1GiB',
+    },
+    async () => {
+        const running = await db.collection('inbox_search_jobs').where('status', '==', 'running').limit(1).get();
+        if (running.empty) return;
+
+        const jobRef = running.docs[0].ref;
+        let job = running.docs[0].data();
+        const deadline = Date.now() + BACKFILL_TIME_BUDGET_MS;
+
+        try {
+            while (job.status === 'running' && Date.now() < deadline) {
+                const update = await runBackfillChunk(job);
+                await jobRef.update({ ...update, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+                job = (await jobRef.get()).data();
+            }
+            console.log(`🔎 Search index rebuild ${jobRef.id}: ${job.status} (${job.phase}), ${JSON.stringify(job.counts)}`);
+        } catch (error) {
+            console.error(`❌ Search index rebuild ${jobRef.id} failed in ${job.phase}:`, error);
+            await jobRef.update({
+                lastError: error.message,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+    }
+);
+
+module.exports = {
+    onInboxSearchConversationWritten,
+    onInboxSearchMessageCreated,
+    onInboxSearchCustomerWritten,
+    searchInbox,
+    rebuildInboxSearchIndex,
+    inboxSearchBackfill,
+    // Exported for testing
+    foldText,
+    tokenizeText,
+    extractSearchReferences,
+    referenceTokens,
+    customerTokens,
+    messageTokens,
+    mergeTextTokens,
+    composeSearchTokens,
+    buildConversationSearchDoc,
+    isSearchableCustomer,
+    buildCustomerSearchDoc,
+    parseSearchQuery,
+    pickPrimaryToken,
+    matchesSearch,
+    findSnippet,
+    encodePageToken,
+    decodePageToken,
+    parseSearchDate,
+};
@@ -0,0 +1,638 @@
+/**
+ * Message Templates Module
+ * Canned responses and templated customer messages with booking placeholders.
+ *
+ * One store for the unified inbox (staff replies), the tour ON/OFF senders and
+ * the photo emails (photo_email.js).
+ *
+ * Collections:
+ * - message_templates/{templateId}: the current version
+ *     {
+ *       name, description, category: 'inbox' | 'tour_status' | 'photo',
+ *       format: 'text' | 'html',        // email bodies in 'text' are wrapped in HTML when sent
+ *       variants: { en: { subject, body }, de: { ... } },
+ *       version, active, createdAt, createdBy, updatedAt, updatedBy
+ *     }
+ * - message_templates/{templateId}/versions/{version}: every saved version
+ *
+ * Placeholders are written {name} or {name|fallback}, e.g.
+ * "Hi {firstName|there}, pickup is at {pickupTime} from {pickupPlaceName}."
+ * See TEMPLATE_PLACEHOLDERS for the names resolved from a booking.
+ *
+ * The tour status senders look for the ids in TOUR_STATUS_TEMPLATE_IDS
+ * (e.g. tour_off_sms), the photo emails for PHOTO_TEMPLATE_IDS. Without an
+ * active template, or when a template uses a placeholder nothing fills in,
+ * they keep the built-in messages (tour_status.js, sms.js, photo_email.js).
+ *
+ * Templates go straight to customers, so only admins and office staff
+ * (utils/staff.js) can save them.
+ *
+ * Functions:
+ * - saveMessageTemplate (callable, staff): create or add a new version
+ * - listMessageTemplates (callable): { category?, includeInactive? }
+ * - getMessageTemplateVersions (callable): { templateId }
+ * - previewMessageTemplate (callable): render with a conversation's or booking's details
+ */
+const { onCall } = require('firebase-functions/v2/https');
+const { admin, db } = require('../utils/firebase');
+const { requireStaff } = require('../utils/staff');
+
+const TEMPLATE_CATEGORIES = ['inbox', 'tour_status', 'photo'];
+const TEMPLATE_FORMATS = ['text', 'html'];
+const DEFAULT_LANGUAGE = 'en';
+const PORTAL_URL = 'https://www.auroraviking.com/bookings';
+
+// Tour status message → template id
+const TOUR_STATUS_TEMPLATE_IDS = {
+    OFF: { email: 'tour_off_email', sms: 'tour_off_sms' },
+    ON: { email: 'tour_on_email', sms: 'tour_on_sms' },
+};
+
+// Photo email → template id
+const PHOTO_TEMPLATE_IDS = {
+    link: 'photo_link_email',
+    upload: 'photo_upload_email',
+    uploadReviews: 'photo_upload_reviews_email',
+};
+
+// Placeholders resolved from a booking (plus whatever the caller passes)
+const TEMPLATE_PLACEHOLDERS = [
+    'firstName',
+    'fullName',
+    'confirmationCode',
+    'pickupPlaceName',
+    'pickupTime',
+    'tourDate',
+    'productTitle',
+    'participants',
+    'portalLink',
+    'mapsLink',
+    'rebookingDates',
+    'customMessage',
+    'agentName',
+    // Photo emails
+    'guideName',
+    'folderUrl',
+    'reviewUrl',
+];
+
+const PLACEHOLDER_REGEX = /\{([a-zA-Z][a-zA-Z0-9_]*)(?:\|([^{}]*))?\}/g;
+
+// ============================================
+// HELPERS (pure)
+// ============================================
+
+/**
+ * Placeholder names used in a text, in order of first use
+ */
+function extractPlaceholders(text) {
+    const names = [];
+    for (const match of String(text || '').matchAll(PLACEHOLDER_REGEX)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Fill {name} / {name|fallback} placeholders.
+ * Unknown names stay in the text and are listed in `missing`; known names
+ * without a value use the fallback (or nothing) and are listed in `empty`.
+ *
+ * @param {string} text
+ * @param {object} variables - name → value
+ * @param {object} [options] - { escape: true } HTML-escapes the values
+ * @returns {{ text: string, missing: string[], empty: string[] }}
+ */
+function renderTemplateText(text, variables = {}, options = {}) {
+    const missing = [];
+    const empty = [];
+    const rendered = String(text || '').replace(PLACEHOLDER_REGEX, (placeholder, name, fallback) => {
+        if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+            if (fallback !== undefined) return fallback;
+            if (!missing.includes(name)) missing.push(name);
+            return placeholder;
+        }
+        const value = variables[name];
+        if (value === null || value === undefined || value === '') {
+            if (fallback === undefined && !empty.includes(name)) empty.push(name);
+            return fallback || '';
+        }
+        return options.escape ? escapeHtml(value) : String(value);
+    });
+    return { text: rendered, missing, empty };
+}
+
+/**
+ * The variant for a language: exact match, then the base language
+ * ("de-CH" → "de"), then English, then whatever the template has
+ */
+function pickTemplateVariant(template, language) {
+    const variants = template?.variants || {};
+    const wanted = String(language || DEFAULT_LANGUAGE).toLowerCase();
+    const base = wanted.split(/[-_]/)[0];
+    for (const candidate of [wanted, base, DEFAULT_LANGUAGE]) {
+        if (variants[candidate]?.body) return { language: candidate, ...variants[candidate] };
+    }
+    const first = Object.keys(variants).find(key => variants[key]?.body);
+    return first ? { language: first, ...variants[first] } : null;
+}
+
+/**
+ * Render a template's subject and body for a language
+ *
+ * @returns {{ language, subject, body, missing, empty } | null} null when the template has no usable variant
+ */
+function renderTemplate(template, language, variables = {}) {
+    const variant = pickTemplateVariant(template, language);
+    if (!variant) return null;
+
+    const escape = template.format === 'html';
+    const subject = variant.subject ? renderTemplateText(variant.subject, variables) : null;
+    const body = renderTemplateText(variant.body, variables, { escape });
+    return {
+        language: variant.language,
+        subject: subject ? subject.text : null,
+        body: body.text,
+        missing: [...new Set([...(subject?.missing || []), ...body.missing])],
+        empty: [...new Set([...(subject?.empty || []), ...body.empty])],
+    };
+}
+
+/**
+ * Render a stored template for an automated send. Returns null, so the
+ * caller sends its built-in message, when there is no template or usable
+ * variant, or when a placeholder has no value and no fallback: that would
+ * reach the customer as a literal "{name}".
+ */
+function renderAutomatedTemplate(template, language, variables = {}) {
+    if (!template) return null;
+    const rendered = renderTemplate(template, language, variables);
+    if (!rendered) return null;
+    if (rendered.missing.length > 0) {
+        console.warn(`⚠️ Template ${template.id} uses unknown placeholders (${rendered.missing.join(', ')}), sending the built-in message`);
+        return null;
+    }
+    return rendered;
+}
+
+/**
+ * Plain-text template → the HTML email the tour status and photo senders use
+ */
+function textToEmailHtml(text) {
+    const paragraphs = String(text || '').split(/\n{2,}/).map(paragraph =>
+        `<p>${escapeHtml(paragraph.trim())
+            .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}" style="color:#4fc3f7;">${url}</a>`)
+            .replace(/\n/g, '<br>')}</p>`
+    ).join('\n    ');
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#1a1a2e;font-family:Arial,Helvetica,sans-serif;">
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#1a1a2e;padding:20px 0;">
+<tr><td align="center">
+<table width="600" cellpadding="0" cellspacing="0" style="background:#16213e;border-radius:12px;overflow:hidden;max-width:100%;">
+  <tr><td style="background:linear-gradient(135deg,#0f3460,#533483);padding:30px;text-align:center;">
+    <h1 style="color:#e94560;margin:0;font-size:22px;letter-spacing:1px;">AURORA VIKING</h1>
+  </td></tr>
+  <tr><td style="padding:30px;color:#e0e0e0;font-size:15px;line-height:1.7;">
+    ${paragraphs}
+  </td></tr>
+  <tr><td style="background:#0f3460;padding:20px;text-align:center;color:#888;font-size:12px;">
+    Aurora Viking &bull; <a href="mailto:info@auroraviking.com" style="color:#4fc3f7;">info@auroraviking.com</a> &bull; +354 784 4000
+  </td></tr>
+</table>
+</td></tr></table>
+</body></html>`;
+}
+
+function buildPortalLink(confirmationCode) {
+    return confirmationCode ? `${PORTAL_URL}?code=${encodeURIComponent(confirmationCode)}` : PORTAL_URL;
+}
+
+function buildMapsLink(pickupPlaceName) {
+    if (!pickupPlaceName) return '';
+    return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(`${pickupPlaceName} Reykjavik Iceland`)}`;
+}
+
+/**
+ * Placeholder values for a booking. Accepts cached_bookings entries,
+ * ai_booking_cache entries and tour status contacts.
+ *
+ * @param {object|null} booking
+ * @param {object} [extra] - { offer: { link, datesText }, customMessage, agentName, ... } added or overriding
+ */
+function buildTemplateVariables(booking, extra = {}) {
+    const { offer, ...rest } = extra;
+    const variables = {};
+
+    if (booking) {
+        const fullName = booking.fullName || booking.customerFullName || booking.customerName ||
+            [booking.customer?.firstName, booking.customer?.lastName].filter(Boolean).join(' ') || '';
+        const confirmationCode = booking.confirmationCode || '';
+        const pickupPlaceName = booking.pickupPlaceName || booking.pickupLocation || booking.pickupPlace || '';
+        const startDate = booking.startDate || booking.date || '';
+
+        Object.assign(variables, {
+            firstName: booking.firstName || fullName.split(' ')[0] || '',
+            fullName,
+            confirmationCode,
+            pickupPlaceName,
+            pickupTime: booking.departureTime || booking.pickupTime || booking.startTime || '',
+            tourDate: startDate ? String(startDate).split('T')[0] : '',
+            productTitle: booking.productTitle || '',
+            participants: booking.totalParticipants || booking.participants || '',
+            portalLink: buildPortalLink(confirmationCode),
+            mapsLink: buildMapsLink(pickupPlaceName),
+            rebookingDates: '',
+        });
+    }
+
+    if (offer?.link) variables.portalLink = offer.link;
+    if (offer?.datesText) variables.rebookingDates = offer.datesText;
+
+    for (const [name, value] of Object.entries(rest)) {
+        if (value !== undefined) variables[name] = value;
+    }
+    return variables;
+}
+
+/**
+ * Validate a saveMessageTemplate payload. Returns an error message or null.
+ */
+function validateTemplateInput({ name, category, format, variants }) {
+    if (!name || typeof name !== 'string') return 'name is required';
+    if (!TEMPLATE_CATEGORIES.includes(category)) {
+        return `category must be one of ${TEMPLATE_CATEGORIES.join(', ')}`;
+    }
+    if (format !== undefined && !TEMPLATE_FORMATS.includes(format)) {
+        return `format must be one of ${TEMPLATE_FORMATS.join(', ')}`;
+    }
+    if (!variants || typeof variants !== 'object' || Object.keys(variants).length === 0) {
+        return 'variants must have at least one language, e.g. { en: { body } }';
+    }
+    for (const [language, variant] of Object.entries(variants)) {
+        if (!/^[a-z]{2}(-[a-z]{2})?$/i.test(language)) {
+            return `"${language}" is not a language code, e.g. "en" or "de"`;
+        }
+        if (!variant?.body || typeof variant.body !== 'string') {
+            return `variants.${language}.body is required`;
+        }
+    }
+    return null;
+}
+
+// ============================================
+// STORE
+// ============================================
+
+async function getMessageTemplate(templateId) {
+    const doc = await db.collection('message_templates').doc(templateId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * Active templates, keyed by id. Errors fall back to the built-in messages
+ * (empty map) so a broken template never stops a send.
+ */
+async function loadActiveTemplates(ids) {
+    try {
+        const docs = await db.getAll(...ids.map(id => db.collection('message_templates').doc(id)));
+        const templates = {};
+        docs.forEach(doc => {
+            if (doc.exists && doc.data().active !== false) {
+                templates[doc.id] = { id: doc.id, ...doc.data() };
+            }
+        });
+        return templates;
+    } catch (error) {
+        console.error('⚠️ Could not load message templates, using built-in messages:', error.message);
+        return {};
+    }
+}
+
+async function loadTourStatusTemplates() {
+    return loadActiveTemplates(Object.values(TOUR_STATUS_TEMPLATE_IDS).flatMap(byChannel => Object.values(byChannel)));
+}
+
+async function loadPhotoTemplates() {
+    return loadActiveTemplates(Object.values(PHOTO_TEMPLATE_IDS));
+}
+
+/**
+ * Find a booking by confirmation code in the AI booking cache, with pickup
+ * place and time from cached_bookings for that date when it is there
+ */
+async function findTemplateBooking(confirmationCode) {
+    if (!confirmationCode) return null;
+    const code = String(confirmationCode).toUpperCase();
+
+    const cacheDoc = await db.collection('ai_booking_cache').doc('current').get();
+    const cached = (cacheDoc.exists ? cacheDoc.data().bookings || [] : [])
+        .find(b => String(b.confirmationCode || '').toUpperCase() === code);
+    if (!cached) return null;
+
+    const date = String(cached.startDate || '').split('T')[0];
+    if (date) {
+        const dayDoc = await db.collection('cached_bookings').doc(date).get();
+        const day = (dayDoc.exists ? dayDoc.data().bookings || [] : [])
+            .find(b => String(b.confirmationCode || '').toUpperCase() === code);
+        if (day) return { ...cached, ...day, startDate: date };
+    }
+    return cached;
+}
+
+/**
+ * The first of a conversation's linked bookings that can be found
+ */
+async function findConversationBooking(conversation) {
+    for (const code of conversation?.bookingIds || []) {
+        const booking = await findTemplateBooking(code);
+        if (booking) return booking;
+    }
+    return null;
+}
+
+/**
+ * Render a stored template for a conversation (used by sendInboxMessage).
+ * Throws when the template does not exist or is inactive.
+ *
+ * @returns {{ templateId, version, language, subject, body, missing, empty, confirmationCode }}
+ */
+async function renderTemplateForConversation(templateId, conversation, customer, options = {}) {
+    const template = await getMessageTemplate(templateId);
+    if (!template || template.active === false) {
+        throw new Error(`Template ${templateId} not found`);
+    }
+
+    const booking = await findConversationBooking(conversation);
+    const variables = buildTemplateVariables(booking, {
+        ...(booking ? {} : { firstName: (customer?.name || '').split(' ')[0] || '', fullName: customer?.name || '' }),
+        agentName: options.agentName,
+        ...(options.variables || {}),
+    });
+    const rendered = renderTemplate(template, options.language || customer?.language, variables);
+    if (!rendered) {
+        throw new Error(`Template ${templateId} has no text`);
+    }
+    return {
+        templateId,
+        version: template.version || 1,
+        confirmationCode: booking?.confirmationCode || null,
+        ...rendered,
+    };
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Create a template, or save a new version of an existing one.
+ * { templateId?, name, description?, category, format?, variants, active?, note? }
+ */
+const saveMessageTemplate = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        await requireStaff(request, 'save message templates');
+
+        const data = request.data || {};
+        const error = validateTemplateInput(data);
+        if (error) {
+            throw new Error(error);
+        }
+        if (data.templateId !== undefined && !/^[a-z0-9_-]{2,64}$/i.test(data.templateId)) {
+            throw new Error('templateId may only contain letters, numbers, "_" and "-"');
+        }
+
+        const variants = {};
+        for (const [language, variant] of Object.entries(data.variants)) {
+            variants[language.toLowerCase()] = {
+                subject: variant.subject || null,
+                body: variant.body,
+            };
+        }
+
+        const ref = data.templateId
+            ? db.collection('message_templates').doc(data.templateId)
+            : db.collection('message_templates').doc();
+
+        const version = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const current = doc.exists ? doc.data() : null;
+            const next = (current?.version || 0) + 1;
+            const now = admin.firestore.FieldValue.serverTimestamp();
+
+            const template = {
+                name: data.name,
+                description: data.description || current?.description || null,
+                category: data.category,
+                format: data.format || current?.format || 'text',
+                variants,
+                placeholders: extractPlaceholders(Object.values(variants).map(v => `${v.subject || ''} ${v.body}`).join(' ')),
+                version: next,
+                active: data.active !== undefined ? Boolean(data.active) : current?.active !== false,
+                updatedAt: now,
+                updatedBy: request.auth.uid,
+                ...(current ? {} : { createdAt: now, createdBy: request.auth.uid }),
+            };
+
+            transaction.set(ref, template, { merge: true });
+            transaction.set(ref.collection('versions').doc(String(next)), {
+                version: next,
+                name: template.name,
+                format: template.format,
+                variants,
+                note: data.note || null,
+                createdAt: now,
+                createdBy: request.auth.uid,
+            });
+            return next;
+        });
+
+        console.log(`📝 Template ${ref.id} saved as version ${version}`);
+        return { success: true, templateId: ref.id, version };
+    }
+);
+
+/**
+ * List templates for the inbox picker / admin screen
+ */
+const listMessageTemplates = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+
+        const { category, includeInactive } = request.data || {};
+        if (category !== undefined && !TEMPLATE_CATEGORIES.includes(category)) {
+            throw new Error(`category must be one of ${TEMPLATE_CATEGORIES.join(', ')}`);
+        }
+
+        let query = db.collection('message_templates');
+        if (category) query = query.where('category', '==', category);
+        const snapshot = await query.get();
+
+        const templates = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(template => includeInactive || template.active !== false)
+            .map(template => ({
+                id: template.id,
+                name: template.name,
+                description: template.description || null,
+                category: template.category,
+                format: template.format || 'text',
+                languages: Object.keys(template.variants || {}),
+                variants: template.variants || {},
+                placeholders: template.placeholders || [],
+                version: template.version || 1,
+                active: template.active !== false,
+                updatedAt: template.updatedAt?.toDate?.()?.toISOString() || null,
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return { templates, placeholders: TEMPLATE_PLACEHOLDERS };
+    }
+);
+
+/**
+ * Version history of one template, newest first
+ */
+const getMessageTemplateVersions = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+
+        const { templateId } = request.data || {};
+        if (!templateId) {
+            throw new Error('templateId is required');
+        }
+
+        const snapshot = await db.collection('message_templates').doc(templateId)
+            .collection('versions').orderBy('version', 'desc').get();
+
+        return {
+            versions: snapshot.docs.map(doc => {
+                const version = doc.data();
+                return {
+                    ...version,
+                    createdAt: version.createdAt?.toDate?.()?.toISOString() || null,
+                };
+            }),
+        };
+    }
+);
+
+/**
+ * Render a template without sending it.
+ * { templateId | template: { format, variants }, version?, language?,
+ *   conversationId? | confirmationCode?, variables? }
+ * Placeholders come from the conversation's linked booking, or the booking
+ * with that confirmation code; variables add or override values.
+ */
+const previewMessageTemplate = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+
+        const { templateId, version, language, conversationId, confirmationCode, variables } = request.data || {};
+
+        // An unsaved draft from the editor, or a stored template (optionally an older version)
+        let template = request.data?.template || null;
+        if (!template) {
+            if (!templateId) {
+                throw new Error('templateId or template is required');
+            }
+            if (version) {
+                const versionDoc = await db.collection('message_templates').doc(templateId)
+                    .collection('versions').doc(String(version)).get();
+                template = versionDoc.exists ? versionDoc.data() : null;
+            } else {
+                template = await getMessageTemplate(templateId);
+            }
+            if (!template) {
+                throw new Error('Template not found');
+            }
+        }
+
+        let customer = null;
+        let booking = null;
+        if (conversationId) {
+            const convDoc = await db.collection('conversations').doc(conversationId).get();
+            if (!convDoc.exists) {
+                throw new Error('Conversation not found');
+            }
+            const conversation = convDoc.data();
+            const customerDoc = conversation.customerId
+                ? await db.collection('customers').doc(conversation.customerId).get()
+                : null;
+            customer = customerDoc?.exists ? customerDoc.data() : null;
+            booking = await findConversationBooking(conversation);
+        } else if (confirmationCode) {
+            booking = await findTemplateBooking(confirmationCode);
+        }
+
+        const values = buildTemplateVariables(booking, {
+            ...(booking || !customer ? {} : { firstName: (customer.name || '').split(' ')[0] || '', fullName: customer.name || '' }),
+            agentName: request.auth.token?.name || null,
+            ...(variables || {}),
+        });
+        const rendered = renderTemplate(template, language || customer?.language, values);
+        if (!rendered) {
+            throw new Error('Template has no text');
+        }
+
+        return {
+            ...rendered,
+            format: template.format || 'text',
+            variables: values,
+            booking: booking ? {
+                confirmationCode: booking.confirmationCode || null,
+                startDate: values.tourDate || null,
+                customerName: values.fullName || null,
+            } : null,
+        };
+    }
+);
+
+module.exports = {
+    TOUR_STATUS_TEMPLATE_IDS,
+    PHOTO_TEMPLATE_IDS,
+    loadTourStatusTemplates,
+    loadPhotoTemplates,
+    renderAutomatedTemplate,
+    renderTemplateForConversation,
+    saveMessageTemplate,
+    listMessageTemplates,
+    getMessageTemplateVersions,
+    previewMessageTemplate,
+    // Exported for testing
+    extractPlaceholders,
+    renderTemplateText,
+    pickTemplateVariant,
+    renderTemplate,
+    textToEmailHtml,
+    buildTemplateVariables,
+    validateTemplateInput,
+};
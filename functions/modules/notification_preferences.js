@@ -0,0 +1,323 @@
+/**
+ * Customer Notification Preferences Module
+ * Per-customer contact preferences for operational messages (tour ON/OFF),
+ * stored on the customer they belong to:
+ *
+ *   customers/{id}.notificationPreferences = {
+ *     preferredChannel: 'email' | 'sms' | 'whatsapp' | null,   // null = no preference
+ *     language: 'en',
+ *     optOut: false,               // no operational messages at all
+ *     optOutChannels: ['sms'],     // never use these channels
+ *     updatedAt, updatedBy
+ *   }
+ *
+ * Channel fallback policy (planDeliveryChannels):
+ * - no preference: email, plus SMS (WhatsApp instead when configured and the
+ *   customer is on WhatsApp); SMS alone when there is no email
+ * - a preferred channel is tried first; when its send fails we fall back
+ *   WhatsApp → SMS → email, so a bounced SMS still reaches the inbox. A
+ *   failure reported later (Twilio undelivered, WhatsApp failed receipt)
+ *   falls back the same way (delivery_fallback.js)
+ * - opted out: nothing is sent, and the booking is recorded as skipped
+ *
+ * Callables:
+ * - getCustomerNotificationPreferences({ customerId | email | phone })
+ * - setCustomerNotificationPreferences({ customerId | email | phone, name?, preferredChannel?, language?, optOut?, optOutChannels? })
+ */
+const { onCall } = require('firebase-functions/v2/https');
+const { admin, db } = require('../utils/firebase');
+
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp'];
+const IN_QUERY_LIMIT = 30;  // Firestore 'in' filter limit
+
+const DEFAULT_PREFERENCES = {
+    preferredChannel: null,
+    language: 'en',
+    optOut: false,
+    optOutChannels: [],
+};
+
+// ============================================
+// POLICY (pure)
+// ============================================
+
+/**
+ * Normalise a phone number to +<digits>; null when there is no country code
+ */
+function normalizePhone(phone) {
+    const normalized = String(phone || '').replace(/\s+/g, '').replace(/[()-]/g, '');
+    return normalized.startsWith('+') && normalized.length > 4 ? normalized : null;
+}
+
+/**
+ * Stored preferences merged over the defaults. The customer's own language
+ * (set by the inbox) is used when no notification language was chosen.
+ */
+function resolvePreferences(stored = {}, customer = {}) {
+    const preferredChannel = NOTIFICATION_CHANNELS.includes(stored.preferredChannel) ? stored.preferredChannel : null;
+    return {
+        preferredChannel,
+        language: stored.language || customer.language || DEFAULT_PREFERENCES.language,
+        optOut: stored.optOut === true,
+        optOutChannels: (stored.optOutChannels || []).filter(c => NOTIFICATION_CHANNELS.includes(c)),
+    };
+}
+
+/**
+ * Decide which channels to use for one booking.
+ * Returns { skipReason, chains }: each chain is tried in order until one
+ * channel succeeds (the rest are fallbacks); every chain is attempted.
+ *
+ * @param {object} input
+ * @param {string|null} input.email
+ * @param {string|null} input.phone - normalised (+...)
+ * @param {string|null} input.whatsapp - the customer's WhatsApp id, if known
+ * @param {object} input.preferences - resolvePreferences() result
+ * @param {object} input.enabled - { email, sms, whatsapp } channels this send may use
+ */
+function planDeliveryChannels({ email, phone, whatsapp, preferences, enabled }) {
+    const prefs = preferences || DEFAULT_PREFERENCES;
+    if (prefs.optOut) {
+        return { skipReason: 'opted_out', chains: [] };
+    }
+
+    const blocked = new Set(prefs.optOutChannels || []);
+    const usable = {
+        email: Boolean(enabled.email && email && !blocked.has('email')),
+        sms: Boolean(enabled.sms && phone && !blocked.has('sms')),
+        // WhatsApp when configured and the customer is reachable there: known
+        // WhatsApp contact, or they asked for WhatsApp on their phone number
+        whatsapp: Boolean(enabled.whatsapp && !blocked.has('whatsapp') &&
+            (whatsapp || (phone && prefs.preferredChannel === 'whatsapp'))),
+    };
+
+    let chains;
+    switch (prefs.preferredChannel) {
+        case 'email':
+            chains = [['email', 'whatsapp', 'sms']];
+            break;
+        case 'sms':
+            chains = [['sms', 'email']];
+            break;
+        case 'whatsapp':
+            chains = [['whatsapp', 'sms', 'email']];
+            break;
+        default:
+            chains = [['email'], ['whatsapp', 'sms', 'email']];
+    }
+
+    // Keep usable channels only, and never fall back to a channel another chain already sends on
+    chains = chains.map(chain => chain.filter(channel => usable[channel])).filter(chain => chain.length > 0);
+    const heads = new Set(chains.map(chain => chain[0]));
+    chains = chains.map(chain => [chain[0], ...chain.slice(1).filter(channel => !heads.has(channel))]);
+
+    if (chains.length === 0) {
+        return { skipReason: 'no_usable_contact', chains: [] };
+    }
+    return { skipReason: null, chains };
+}
+
+// ============================================
+// FIRESTORE
+// ============================================
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+function toCustomerEntry(doc) {
+    const data = doc.data();
+    return {
+        customerId: doc.id,
+        whatsapp: data.channels?.whatsapp || null,
+        preferences: resolvePreferences(data.notificationPreferences, data),
+        // Where the language came from, for resolveLanguage() (utils/i18n.js):
+        // a chosen notification language beats the Bokun booking language
+        languages: {
+            preferred: data.notificationPreferences?.language || null,
+            profile: data.language || null,
+        },
+    };
+}
+
+/**
+ * Look up customers for a list of contacts ({ email, phone }).
+ * Returns { byEmail: Map, byPhone: Map } of { customerId, whatsapp, preferences, languages }.
+ * Phones are matched with and without "+" (WhatsApp ids have no "+").
+ */
+async function lookupCustomerPreferences(contacts) {
+    const emails = [...new Set(contacts.map(c => c.email).filter(Boolean))];
+    const phones = [...new Set(contacts.map(c => c.phone).filter(Boolean))];
+    const phoneVariants = [...new Set(phones.flatMap(p => [p, p.replace(/^\+/, '')]))];
+
+    const byEmail = new Map();
+    const byPhone = new Map();
+
+    const queries = [
+        ...chunk(emails, IN_QUERY_LIMIT).flatMap(part => [['email', part], ['channels.gmail', part]]),
+        ...chunk(phoneVariants, IN_QUERY_LIMIT).flatMap(part => [['phone', part], ['channels.whatsapp', part]]),
+    ];
+
+    const snapshots = await Promise.all(
+        queries.map(([field, values]) => db.collection('customers').where(field, 'in', values).get())
+    );
+
+    for (const snapshot of snapshots) {
+        for (const doc of snapshot.docs) {
+            const data = doc.data();
+            const entry = toCustomerEntry(doc);
+            for (const email of [data.email, data.channels?.gmail]) {
+                if (email && !byEmail.has(email.toLowerCase())) byEmail.set(email.toLowerCase(), entry);
+            }
+            for (const phone of [data.phone, data.channels?.whatsapp]) {
+                const normalized = phone ? normalizePhone(String(phone).startsWith('+') ? phone : `+${phone}`) : null;
+                if (normalized && !byPhone.has(normalized)) byPhone.set(normalized, entry);
+            }
+        }
+    }
+
+    return { byEmail, byPhone };
+}
+
+/**
+ * The customer entry for one contact: email match first, then phone
+ */
+function findCustomerForContact(lookup, contact) {
+    return (contact.email && lookup.byEmail.get(contact.email)) ||
+        (contact.phone && lookup.byPhone.get(contact.phone)) ||
+        null;
+}
+
+/**
+ * Find a customer by id, email or phone
+ */
+async function findCustomerRef({ customerId, email, phone }) {
+    if (customerId) {
+        const doc = await db.collection('customers').doc(customerId).get();
+        return doc.exists ? doc : null;
+    }
+    if (email) {
+        const snapshot = await db.collection('customers').where('email', '==', email.toLowerCase()).limit(1).get();
+        if (!snapshot.empty) return snapshot.docs[0];
+    }
+    const normalizedPhone = normalizePhone(phone);
+    if (normalizedPhone) {
+        const snapshot = await db.collection('customers').where('phone', '==', normalizedPhone).limit(1).get();
+        if (!snapshot.empty) return snapshot.docs[0];
+    }
+    return null;
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Get a customer's notification preferences
+ */
+const getCustomerNotificationPreferences = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+
+        const doc = await findCustomerRef(request.data || {});
+        if (!doc) {
+            return { customerId: null, preferences: { ...DEFAULT_PREFERENCES } };
+        }
+        return {
+            customerId: doc.id,
+            preferences: resolvePreferences(doc.data().notificationPreferences, doc.data()),
+        };
+    }
+);
+
+/**
+ * Set a customer's notification preferences. Creates the customer from
+ * email/phone when they have never contacted us.
+ */
+const setCustomerNotificationPreferences = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+
+        const { customerId, email, phone, name, preferredChannel, language, optOut, optOutChannels } = request.data || {};
+        if (!customerId && !email && !phone) {
+            throw new Error('customerId, email or phone is required');
+        }
+        if (preferredChannel !== undefined && preferredChannel !== null && !NOTIFICATION_CHANNELS.includes(preferredChannel)) {
+            throw new Error(`preferredChannel must be one of ${NOTIFICATION_CHANNELS.join(', ')} or null`);
+        }
+        if (language !== undefined && !/^[a-z]{2}$/.test(language)) {
+            throw new Error('language must be a two-letter code, e.g. "en"');
+        }
+        if (optOutChannels !== undefined &&
+            (!Array.isArray(optOutChannels) || optOutChannels.some(c => !NOTIFICATION_CHANNELS.includes(c)))) {
+            throw new Error(`optOutChannels may only contain ${NOTIFICATION_CHANNELS.join(', ')}`);
+        }
+
+        const updates = {};
+        if (preferredChannel !== undefined) updates.preferredChannel = preferredChannel;
+        if (language !== undefined) updates.language = language;
+        if (optOut !== undefined) updates.optOut = optOut === true;
+        if (optOutChannels !== undefined) updates.optOutChannels = optOutChannels;
+
+        let ref;
+        const existing = await findCustomerRef({ customerId, email, phone });
+        if (existing) {
+            ref = existing.ref;
+        } else if (customerId) {
+            throw new Error('Customer not found');
+        } else {
+            const normalizedPhone = normalizePhone(phone);
+            ref = await db.collection('customers').add({
+                name: name || email || normalizedPhone || 'Unknown',
+                email: email ? email.toLowerCase() : null,
+                phone: normalizedPhone,
+                channels: {
+                    gmail: email ? email.toLowerCase() : null,
+                    whatsapp: null,
+                    wix: null,
+                },
+                language: language || 'en',
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            console.log(`👤 Created customer ${ref.id} for notification preferences`);
+        }
+
+        await ref.set({
+            notificationPreferences: {
+                ...updates,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedBy: request.auth.uid,
+            },
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+
+        const doc = await ref.get();
+        return {
+            success: true,
+            customerId: ref.id,
+            preferences: resolvePreferences(doc.data().notificationPreferences, doc.data()),
+        };
+    }
+);
+
+module.exports = {
+    getCustomerNotificationPreferences,
+    setCustomerNotificationPreferences,
+    lookupCustomerPreferences,
+    findCustomerForContact,
+    normalizePhone,
+    // Exported for testing
+    resolvePreferences,
+    planDeliveryChannels,
+};
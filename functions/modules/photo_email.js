@@ -11,6 +11,10 @@
  *      - Shares folder as "anyone with link can view"
  *      - Sends email to only that guide's customers with the folder link
  *   5. Guide uploads later — findOrCreateFolder detects existing folder automatically
+ *
+ * Both emails use the active templates in PHOTO_TEMPLATE_IDS
+ * (message_templates.js) when there are any, with {firstName}, {fullName},
+ * {guideName}, {folderUrl} and {reviewUrl}; otherwise the built-in HTML below.
  */
 const { onSchedule } = require('firebase-functions/v2/scheduler');
 const { onCall } = require('firebase-functions/v2/https');
@@ -18,6 +22,18 @@ const { google } = require('googleapis');
 const { admin, db } = require('../utils/firebase');
 const { getGoogleAuth } = require('../utils/google_auth');
 const { PHOTO_ROOT_FOLDER_NAME } = require('../config');
+const { resolveLanguage, translate, translator } = require('../utils/i18n');
+const { getTodayDateString, isAuroraSeason } = require('../utils/dates');
+const { liveBookings } = require('../utils/bokun_booking');
+const { lookupCustomerPreferences, findCustomerForContact } = require('./notification_preferences');
+const {
+    PHOTO_TEMPLATE_IDS,
+    loadPhotoTemplates,
+    renderAutomatedTemplate,
+    textToEmailHtml,
+} = require('./message_templates');
+
+const TRIPADVISOR_REVIEW_URL = 'https://www.tripadvisor.com/UserReviewEdit-g189970-d25217481-Reykjavik_Northern_Lights_Tour_with_Pro_Aurora_Photos_Small_Group-Reykjavik_Capital_Region.html';
 
 // ── Reusable helpers ──
 
@@ -37,21 +53,6 @@ function transliterate(name) {
     return name.replace(/[ÞþÐðÆæÖöÁáÉéÍíÓóÚúÝý]/g, (ch) => map[ch] || ch);
 }
 
-function getTodayDateStr() {
-    const now = new Date();
-    const iceland = new Date(now.toLocaleString('en-US', { timeZone: 'Atlantic/Reykjavik' }));
-    return `${iceland.getFullYear()}-${String(iceland.getMonth() + 1).padStart(2, '0')}-${String(iceland.getDate()).padStart(2, '0')}`;
-}
-
-function isAuroraSeason() {
-    const now = new Date();
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
-    if (month >= 5 && month <= 7) return false;
-    if (month === 8 && day < 15) return false;
-    return true;
-}
-
 // ── Gmail helpers (same pattern as tour_status.js) ──
 
 function getGmailOAuth2Client(clientId, clientSecret) {
@@ -131,9 +132,11 @@ async function shareFolderAsViewer(drive, folderId) {
 
 // ── Email HTML builder ──
 
-function buildPhotoEmailHtml(firstName, guideName, folderUrl) {
+// In the guest's language (utils/i18n.js)
+function buildPhotoEmailHtml(firstName, guideName, folderUrl, language = 'en') {
+    const t = translator(language);
     return `<!DOCTYPE html>
-<html>
+<html lang="${language}">
 <head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
 <body style="margin:0;padding:0;background:#1a1a2e;font-family:Arial,Helvetica,sans-serif;">
 <table width="100%" cellpadding="0" cellspacing="0" style="background:#1a1a2e;padding:20px 0;">
@@ -141,21 +144,21 @@ function buildPhotoEmailHtml(firstName, guideName, folderUrl) {
 <table width="600" cellpadding="0" cellspacing="0" style="background:#16213e;border-radius:12px;overflow:hidden;max-width:100%;">
   <tr><td style="background:linear-gradient(135deg,#0f3460,#1b4332);padding:30px;text-align:center;">
     <h1 style="color:#d4af37;margin:0;font-size:22px;letter-spacing:1px;">AURORA VIKING</h1>
-    <p style="color:#ccc;margin:8px 0 0;font-size:13px;">Your Tour Photos 📸</p>
+    <p style="color:#ccc;margin:8px 0 0;font-size:13px;">${t('photo.header')}</p>
   </td></tr>
   <tr><td style="padding:30px;color:#e0e0e0;font-size:15px;line-height:1.7;">
-    <p>Hi ${firstName},</p>
-    <p>Thank you for joining us on the Northern Lights tour tonight with <strong style="color:#d4af37;">${guideName}</strong>! We hope you had an amazing experience.</p>
-    <p>Your guide will be uploading the professional photos from tonight's tour to the folder below. <strong>Photos can take up to 48 hours to appear</strong>, so please check back if the folder is still empty.</p>
+    <p>${t('common.hi', { firstName })}</p>
+    <p>${t('photo.thanks', { guide: `<strong style="color:#d4af37;">${guideName}</strong>` })}</p>
+    <p>${t('photo.uploading')}</p>
     <div style="text-align:center;margin:25px 0;">
-      <a href="${folderUrl}" style="display:inline-block;background:linear-gradient(135deg,#d4af37,#b8941e);color:#0f1729;text-decoration:none;padding:14px 32px;border-radius:8px;font-weight:bold;font-size:16px;letter-spacing:0.5px;">View Your Photos</a>
+      <a href="${folderUrl}" style="display:inline-block;background:linear-gradient(135deg,#d4af37,#b8941e);color:#0f1729;text-decoration:none;padding:14px 32px;border-radius:8px;font-weight:bold;font-size:16px;letter-spacing:0.5px;">${t('photo.button')}</a>
     </div>
     <div style="background:#1a1a2e;border-left:4px solid #d4af37;padding:15px 20px;margin:15px 0;border-radius:0 8px 8px 0;">
-      <p style="margin:0;color:#8892a8;font-size:13px;">📌 <strong style="color:#e0e0e0;">Bookmark this link</strong> — you can come back anytime to view and download your photos. It can take up to 48 hours for photos to appear in the folder.</p>
+      <p style="margin:0;color:#8892a8;font-size:13px;">📌 ${t('photo.bookmark', { bookmark: `<strong style="color:#e0e0e0;">${t('photo.bookmarkTitle')}</strong>` })}</p>
     </div>
-    <p>If you had a great time, we'd love to hear about it! A review on TripAdvisor or Google Maps helps us more than you know.</p>
-    <p>All the best,<br>
-    <strong>The Aurora Viking Team</strong></p>
+    <p>${t('photo.review')}</p>
+    <p>${t('photo.signoff')}<br>
+    <strong>${t('photo.team')}</strong></p>
   </td></tr>
   <tr><td style="background:#0f3460;padding:20px;text-align:center;color:#888;font-size:12px;">
     Aurora Viking &bull; <a href="mailto:photo@auroraviking.com" style="color:#4fc3f7;">photo@auroraviking.com</a> &bull; +354 784 4000
@@ -165,6 +168,16 @@ function buildPhotoEmailHtml(firstName, guideName, folderUrl) {
 </body></html>`;
 }
 
+// Subject and HTML from a stored photo template, or null for the built-in email
+function buildTemplatedPhotoEmail(template, language, variables) {
+    const rendered = renderAutomatedTemplate(template, language, variables);
+    if (!rendered) return null;
+    return {
+        subject: rendered.subject,
+        body: template.format === 'html' ? rendered.body : textToEmailHtml(rendered.body),
+    };
+}
+
 // ── Core logic ──
 
 async function sendPhotoEmails(dateStr) {
@@ -195,7 +208,7 @@ async function sendPhotoEmails(dateStr) {
         console.log(`⏭️ No cached_bookings for ${dateStr}`);
         return { success: true, skipped: true, reason: 'no_bookings' };
     }
-    const bookings = cachedDoc.data().bookings || [];
+    const bookings = liveBookings(cachedDoc.data().bookings);
     if (bookings.length === 0) {
         console.log(`⏭️ No bookings for ${dateStr}`);
         return { success: true, skipped: true, reason: 'no_bookings' };
@@ -278,6 +291,14 @@ async function sendPhotoEmails(dateStr) {
 
     console.log(`👥 Found ${guideAssignments.length} guides with assignments`);
 
+    // Language per guest: Bokun booking language (from cached_bookings, the
+    // pickup_assignments entries don't carry it), then the customer profile
+    const bookingLanguages = new Map(bookings.map(b => [String(b.id), b.language]));
+    const customerLookup = await lookupCustomerPreferences(guideAssignments
+        .flatMap(a => a.bookings)
+        .map(b => ({ email: (b.email || '').toLowerCase().trim() || null, phone: null })));
+    const templates = await loadPhotoTemplates();
+
     // 5. Setup Gmail + Drive
     const clientId = process.env.GMAIL_CLIENT_ID;
     const clientSecret = process.env.GMAIL_CLIENT_SECRET;
@@ -325,13 +346,22 @@ async function sendPhotoEmails(dateStr) {
             const fullName = booking.customerFullName || 'Valued Customer';
             const firstName = fullName.split(' ')[0] || 'there';
 
-            const htmlBody = buildPhotoEmailHtml(firstName, assignment.guideName, folderUrl);
+            const customer = findCustomerForContact(customerLookup, { email });
+            const language = resolveLanguage({
+                preferred: customer?.languages?.preferred,
+                booking: booking.language || bookingLanguages.get(String(booking.id)),
+                profile: customer?.languages?.profile,
+            });
+            const templated = buildTemplatedPhotoEmail(templates[PHOTO_TEMPLATE_IDS.link], language, {
+                firstName, fullName, guideName: assignment.guideName, folderUrl,
+            });
+            const htmlBody = templated?.body || buildPhotoEmailHtml(firstName, assignment.guideName, folderUrl, language);
 
             const emailLines = [
                 `From: Aurora Viking <${fromEmail}>`,
                 `Reply-To: photo@auroraviking.com`,
                 `To: ${email}`,
-                `Subject: Your Aurora Viking Tour Photos 📸`,
+                `Subject: ${templated?.subject || translate(language, 'photo.subject')}`,
                 'MIME-Version: 1.0',
                 'Content-Type: text/html; charset=utf-8',
                 '',
@@ -417,7 +447,7 @@ const photoEmailScheduled = onSchedule(
         }
 
         try {
-            const dateStr = getTodayDateStr();
+            const dateStr = getTodayDateString();
             const result = await sendPhotoEmails(dateStr);
             console.log('📸 Photo email result:', JSON.stringify(result));
             return result;
@@ -442,7 +472,7 @@ const photoEmailManual = onCall(
             throw new Error('Authentication required');
         }
         const { date } = request.data || {};
-        const dateStr = date || getTodayDateStr();
+        const dateStr = date || getTodayDateString();
         console.log(`📸 Manual photo email triggered for ${dateStr} by ${request.auth.uid}`);
         return await sendPhotoEmails(dateStr);
     }
@@ -575,8 +605,8 @@ const sendPhotoUploadEmail = onCall(
 
         console.log(`👥 Found ${customers.length} customers for ${guideName}`);
 
-        // TripAdvisor review URL
-        const tripAdvisorUrl = 'https://www.tripadvisor.com/UserReviewEdit-g189970-d25217481-Reykjavik_Northern_Lights_Tour_with_Pro_Aurora_Photos_Small_Group-Reykjavik_Capital_Region.html';
+        const templates = await loadPhotoTemplates();
+        const templateId = requestReviews ? PHOTO_TEMPLATE_IDS.uploadReviews : PHOTO_TEMPLATE_IDS.upload;
 
         const emails = new Set();
         let emailsSent = 0;
@@ -590,11 +620,14 @@ const sendPhotoUploadEmail = onCall(
             const fullName = booking.customerFullName || 'Valued Customer';
             const firstName = fullName.split(' ')[0] || '';
 
-            const htmlBody = requestReviews
-                ? buildUploadEmailWithReviews(firstName, guideName, folderUrl, tripAdvisorUrl)
-                : buildUploadEmailNoReviews(firstName, folderUrl);
+            const templated = buildTemplatedPhotoEmail(templates[templateId], booking.language, {
+                firstName, fullName, guideName, folderUrl, reviewUrl: TRIPADVISOR_REVIEW_URL,
+            });
+            const htmlBody = templated?.body || (requestReviews
+                ? buildUploadEmailWithReviews(firstName, guideName, folderUrl, TRIPADVISOR_REVIEW_URL)
+                : buildUploadEmailNoReviews(firstName, folderUrl));
 
-            const subject = 'Here are The Pictures! 📸';
+            const subject = templated?.subject || 'Here are The Pictures! 📸';
 
             const emailLines = [
                 `From: Aurora Viking <${fromEmail}>`,
@@ -0,0 +1,596 @@
+/**
+ * Rebooking Offers Module
+ * When a night is set OFF, every affected booking gets a rebooking offer:
+ * the next nights with Bokun availability for its product and party size,
+ * and a signed one-tap link into the booking portal with those dates preselected.
+ * The link goes out in the OFF email/SMS instead of the plain portal link.
+ *
+ * Collection: rebooking_offers/{date}_{bookingId}
+ *   status: pending → rebooked | refund_requested | no_response
+ *   A booking_actions reschedule/cancel for the booking resolves the offer,
+ *   whichever way it was made (portal, admin app, AI assist).
+ *
+ * Functions:
+ * - portalGetRebookingOffer (HTTPS, public): the portal resolves a signed link
+ * - onBookingActionResolveRebookingOffer (trigger): rebooked / refund_requested
+ * - rebookingOfferReminder (hourly): reminds pending offers once after 24h
+ *   (offers whose remindAt has passed), in the guest's language, and marks
+ *   expired ones no_response
+ * - getRebookingOfferSummary (callable): who rebooked, refunded, did nothing
+ */
+const crypto = require('crypto');
+const { onRequest, onCall } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+const { getAvailabilities, searchBookingsForDate } = require('../utils/bokun_client');
+const {
+    isCancelledBooking,
+    toCachedBooking,
+    liveBookings,
+    filterBookingsByDepartures,
+} = require('../utils/bokun_booking');
+const { resolveLanguage, translator, formatDateList } = require('../utils/i18n');
+const { getGmailClient } = require('./gmail');
+const { sendSmsMessage } = require('./sms');
+const {
+    normalizePhone,
+    lookupCustomerPreferences,
+    findCustomerForContact,
+} = require('./notification_preferences');
+
+const PORTAL_URL = 'https://www.auroraviking.com/bookings';
+const SEARCH_DAYS = 14;           // How far ahead to look for free nights
+const MAX_OFFERED_NIGHTS = 3;
+const OFFER_VALID_DAYS = 14;      // Link works this long after the cancelled night
+const REMINDER_AFTER_HOURS = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// LINKS & DATES (pure)
+// ============================================
+
+function addDays(dateString, days) {
+    return new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Signature over the offer id and the preselected dates, so neither can be swapped
+ */
+function signOffer(offerId, dates, secret) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${offerId}|${(dates || []).join(',')}`)
+        .digest('base64url')
+        .substring(0, 22);
+}
+
+function verifyOfferSignature(offerId, dates, signature, secret) {
+    if (!offerId || !signature || !secret) return false;
+    const expected = Buffer.from(signOffer(offerId, dates, secret));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Portal link with the offer and its dates preselected
+ */
+function buildOfferLink(offerId, confirmationCode, dates, secret) {
+    const params = new URLSearchParams();
+    if (confirmationCode) params.set('code', confirmationCode);
+    params.set('offer', offerId);
+    if (dates.length > 0) params.set('dates', dates.join(','));
+    params.set('sig', signOffer(offerId, dates, secret));
+    return `${PORTAL_URL}?${params.toString()}`;
+}
+
+/**
+ * "Tuesday 20 October, Wednesday 21 October or Friday 23 October"
+ * (in the guest's language, see utils/i18n.js)
+ */
+function formatOfferDates(dates, language = 'en') {
+    return formatDateList(dates, language);
+}
+
+/**
+ * Nights from Bokun availabilities with room for the whole party,
+ * skipping nights already set OFF. One entry per night (first start time with room).
+ * @returns {Array<{date: string, startTimeId: string|null, seats: number|null}>}
+ */
+function pickRebookingNights(availabilities, pax, { excludeDates = [], maxNights = MAX_OFFERED_NIGHTS } = {}) {
+    const nights = new Map();
+    const sorted = [...(availabilities || [])].sort((a, b) => Number(a.date) - Number(b.date));
+
+    for (const slot of sorted) {
+        const date = slot.localizedDate && /^\d{4}-\d{2}-\d{2}$/.test(slot.localizedDate) ?
+            slot.localizedDate :
+            new Date(Number(slot.date)).toISOString().split('T')[0];
+        if (nights.has(date) || excludeDates.includes(date)) continue;
+        if (slot.unavailable || slot.soldOut) continue;
+
+        const seats = slot.unlimitedAvailability ? null : Number(slot.availabilityCount ?? 0);
+        if (seats !== null && seats < pax) continue;
+
+        nights.set(date, {
+            date,
+            startTimeId: slot.startTimeId !== undefined && slot.startTimeId !== null ? String(slot.startTimeId) : null,
+            seats,
+        });
+        if (nights.size >= maxNights) break;
+    }
+
+    return [...nights.values()];
+}
+
+/**
+ * What a booking_actions entry means for an open offer
+ */
+function resolutionForAction(actionData) {
+    if (!actionData || actionData.success === false) return null;
+    if (actionData.action === 'reschedule') return 'rebooked';
+    if (actionData.action === 'cancel') return 'refund_requested';
+    return null;
+}
+
+// ============================================
+// OFFER CREATION
+// ============================================
+
+/**
+ * Bookings on the cancelled night: cached_bookings, or Bokun when nothing is cached
+ */
+async function loadBookingsForDate(dateString) {
+    const cachedDoc = await db.collection('cached_bookings').doc(dateString).get();
+    if (cachedDoc.exists) {
+        return liveBookings(cachedDoc.data().bookings);
+    }
+    const bokunBookings = await searchBookingsForDate(dateString);
+    return bokunBookings.filter(b => !isCancelledBooking(b)).map(toCachedBooking).filter(Boolean);
+}
+
+/**
+ * Nights in the search window that are already OFF
+ */
+async function getOffNights(fromDate, toDate) {
+    const snapshot = await db.collection('tour_status')
+        .where('date', '>=', fromDate)
+        .where('date', '<=', toDate)
+        .get();
+    return snapshot.docs.filter(doc => doc.data().status === 'OFF').map(doc => doc.id);
+}
+
+/**
+ * Create (or reuse) a rebooking offer for every booking on a cancelled night.
+ * Safe to call again for the same night: pending offers are reused as they are.
+ *
+ * @param {string} dateString - the night that was set OFF
+ * @param {string} createdBy - uid
+ * @param {object} options - { departures } to only cover bookings on those departures
+ * @returns {Promise<{byConfirmationCode: object, created: number, reused: number, withoutNights: number}>}
+ *     byConfirmationCode: { [code]: { offerId, link, dates, datesText } } for the OFF email/SMS
+ *     (datesText in the guest's language, for the {rebookingDates} template variable)
+ */
+async function createRebookingOffers(dateString, createdBy, options = {}) {
+    const secret = process.env.REBOOKING_LINK_SECRET;
+    if (!secret) {
+        throw new Error('REBOOKING_LINK_SECRET not configured');
+    }
+
+    let bookings = await loadBookingsForDate(dateString);
+    if (options.departures) {
+        bookings = filterBookingsByDepartures(bookings, options.departures);
+    }
+    bookings = bookings.filter(b => b.id && b.confirmationCode);
+    console.log(`🔁 Creating rebooking offers for ${bookings.length} bookings on ${dateString}`);
+    const languages = bookings.length > 0 ? await resolveOfferLanguages(bookings) : [];
+
+    const fromDate = addDays(dateString, 1);
+    const toDate = addDays(dateString, SEARCH_DAYS);
+    const offNights = await getOffNights(fromDate, toDate);
+
+    // One availability lookup per product
+    const availabilityByProduct = new Map();
+    async function getProductAvailability(productId) {
+        if (!availabilityByProduct.has(productId)) {
+            try {
+                availabilityByProduct.set(productId, await getAvailabilities(productId, fromDate, toDate));
+            } catch (error) {
+                console.error(`⚠️ Availability lookup failed for product ${productId}: ${error.message}`);
+                availabilityByProduct.set(productId, []);
+            }
+        }
+        return availabilityByProduct.get(productId);
+    }
+
+    const byConfirmationCode = {};
+    let created = 0;
+    let reused = 0;
+    let withoutNights = 0;
+    const expiresAt = new Date(Date.parse(`${dateString}T23:59:59Z`) + OFFER_VALID_DAYS * DAY_MS).toISOString();
+    const remindAt = new Date(Date.now() + REMINDER_AFTER_HOURS * 60 * 60 * 1000).toISOString();
+
+    for (const [index, booking] of bookings.entries()) {
+        const language = languages[index];
+        const offerId = `${dateString}_${booking.id}`;
+        const ref = db.collection('rebooking_offers').doc(offerId);
+        const existing = await ref.get();
+
+        if (existing.exists) {
+            const offer = existing.data();
+            if (offer.status === 'pending') {
+                byConfirmationCode[booking.confirmationCode] = {
+                    offerId,
+                    link: offer.link,
+                    dates: offer.offeredDates.map(n => n.date),
+                    datesText: formatOfferDates(offer.offeredDates.map(n => n.date), language),
+                };
+                reused++;
+            }
+            continue;
+        }
+
+        const pax = booking.numberOfGuests || 1;
+        const nights = booking.productId ?
+            pickRebookingNights(await getProductAvailability(booking.productId), pax, { excludeDates: offNights }) :
+            [];
+        if (nights.length === 0) withoutNights++;
+
+        const dates = nights.map(n => n.date);
+        const link = buildOfferLink(offerId, booking.confirmationCode, dates, secret);
+
+        await ref.set({
+            offerId,
+            date: dateString,
+            bookingId: String(booking.id),
+            confirmationCode: booking.confirmationCode,
+            customerName: booking.customerFullName || '',
+            email: booking.email || '',
+            phoneNumber: booking.phoneNumber || '',
+            language: booking.language || null,
+            productId: booking.productId || null,
+            startTimeId: booking.startTimeId || null,
+            pax,
+            offeredDates: nights,
+            link,
+            status: 'pending',
+            expiresAt,
+            remindAt,
+            createdBy: createdBy || 'system',
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            openedAt: null,
+            reminderSentAt: null,
+            resolvedAt: null,
+            resolution: null,
+        });
+
+        byConfirmationCode[booking.confirmationCode] = {
+            offerId,
+            link,
+            dates,
+            datesText: formatOfferDates(dates, language),
+        };
+        created++;
+    }
+
+    console.log(`✅ Rebooking offers for ${dateString}: ${created} created, ${reused} reused, ${withoutNights} without free nights`);
+    return { byConfirmationCode, created, reused, withoutNights };
+}
+
+// ============================================
+// REMINDERS
+// ============================================
+
+function buildReminderEmailHtml(offer, language = 'en') {
+    const t = translator(language);
+    const firstName = (offer.customerName || '').split(' ')[0] || t('common.there');
+    const dates = (offer.offeredDates || []).map(n => n.date);
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#1a1a2e;font-family:Arial,Helvetica,sans-serif;">
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#1a1a2e;padding:20px 0;">
+<tr><td align="center">
+<table width="600" cellpadding="0" cellspacing="0" style="background:#16213e;border-radius:12px;overflow:hidden;max-width:100%;">
+  <tr><td style="background:linear-gradient(135deg,#0f3460,#533483);padding:30px;text-align:center;">
+    <h1 style="color:#e94560;margin:0;font-size:22px;letter-spacing:1px;">AURORA VIKING</h1>
+    <p style="color:#ccc;margin:8px 0 0;font-size:13px;">${t('rebooking.header')}</p>
+  </td></tr>
+  <tr><td style="padding:30px;color:#e0e0e0;font-size:15px;line-height:1.7;">
+    <p>${t('common.hi', { firstName })}</p>
+    <p>${t('rebooking.notHeard', { date: formatOfferDates([offer.date], language) })}</p>
+    ${dates.length > 0 ? `<p>${t('rebooking.stillSpace', { dates: formatOfferDates(dates, language) })}</p>` : ''}
+    <p>${t('rebooking.pickOrRefund')}</p>
+    <div style="text-align:center;margin:25px 0;">
+      <a href="${offer.link}" style="display:inline-block;background:linear-gradient(135deg,#00b894,#00cec9);color:#fff;text-decoration:none;padding:14px 32px;border-radius:8px;font-weight:bold;font-size:16px;letter-spacing:0.5px;">${t('rebooking.button')}</a>
+      <p style="color:#aaa;font-size:13px;margin-top:12px;">${t('email.off.reference', { code: `<strong style="color:#e0e0e0;font-size:14px;">${offer.confirmationCode}</strong>` })}</p>
+    </div>
+    <p>${t('rebooking.signoff')}<br><strong>Kobe and Emil.</strong></p>
+  </td></tr>
+  <tr><td style="background:#0f3460;padding:20px;text-align:center;color:#888;font-size:12px;">
+    Aurora Viking &bull; <a href="mailto:info@auroraviking.com" style="color:#4fc3f7;">info@auroraviking.com</a> &bull; +354 784 4000
+  </td></tr>
+</table>
+</td></tr></table>
+</body></html>`;
+}
+
+function buildReminderSms(offer, language = 'en') {
+    const t = translator(language);
+    const firstName = (offer.customerName || '').split(' ')[0] || t('common.there');
+    const dates = (offer.offeredDates || []).map(n => n.date);
+    const nights = dates.length > 0 ? ` ${t('sms.off.offerDates', { dates: formatOfferDates(dates, language) })}` : '';
+    return `${t('sms.rebooking.reminder', { firstName, nights, url: offer.link })}\n\n${t('sms.off.signature')}`;
+}
+
+async function sendReminderEmail(gmail, offer, language = 'en') {
+    const fromEmail = 'info@auroraviking.com';
+    const emailLines = [
+        `From: Aurora Viking <${fromEmail}>`,
+        `To: ${offer.email}`,
+        `Subject: ${translator(language)('rebooking.subject')}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/html; charset=utf-8',
+        '',
+        buildReminderEmailHtml(offer, language),
+    ];
+
+    const rawMessage = Buffer.from(emailLines.join('\r\n'))
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+    await gmail.users.messages.send({
+        userId: 'me',
+        requestBody: { raw: rawMessage },
+    });
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Resolve a signed rebooking link for the portal (public, no login)
+ * Body: { offer, dates, sig } straight from the link's query string
+ */
+const portalGetRebookingOffer = onRequest(
+    {
+        cors: true,
+        invoker: 'public',
+        secrets: ['REBOOKING_LINK_SECRET'],
+    },
+    async (req, res) => {
+        if (req.method !== 'POST') {
+            res.status(405).json({ error: 'Method not allowed' });
+            return;
+        }
+
+        const { offer: offerId, dates, sig } = req.body || {};
+        const dateList = String(dates || '').split(',').filter(Boolean);
+
+        if (!verifyOfferSignature(offerId, dateList, sig, process.env.REBOOKING_LINK_SECRET)) {
+            res.status(403).json({ error: 'This link is not valid. Please look up your booking instead.' });
+            return;
+        }
+
+        try {
+            const ref = db.collection('rebooking_offers').doc(String(offerId));
+            const doc = await ref.get();
+            if (!doc.exists) {
+                res.status(404).json({ error: 'This offer could not be found. Please look up your booking instead.' });
+                return;
+            }
+            const offer = doc.data();
+
+            if (!offer.openedAt) {
+                await ref.update({ openedAt: admin.firestore.FieldValue.serverTimestamp() });
+            }
+
+            const expired = offer.status === 'pending' && new Date(offer.expiresAt) < new Date();
+            res.json({
+                success: true,
+                confirmationCode: offer.confirmationCode,
+                firstName: (offer.customerName || '').split(' ')[0] || '',
+                cancelledDate: offer.date,
+                offeredDates: offer.offeredDates,
+                status: expired ? 'expired' : offer.status,
+                expiresAt: offer.expiresAt,
+            });
+        } catch (error) {
+            console.error('❌ Rebooking offer lookup error:', error.message);
+            res.status(500).json({ error: 'Unable to load your offer. Please try again later.' });
+        }
+    }
+);
+
+/**
+ * A reschedule or cancellation of an offered booking resolves its pending offer
+ */
+const onBookingActionResolveRebookingOffer = onDocumentCreated(
+    {
+        document: 'booking_actions/{actionId}',
+        region: 'us-central1',
+    },
+    async (event) => {
+        const action = event.data?.data();
+        const resolution = resolutionForAction(action);
+        if (!resolution || !action.bookingId) return;
+
+        let snapshot = await db.collection('rebooking_offers')
+            .where('bookingId', '==', String(action.bookingId))
+            .where('status', '==', 'pending')
+            .get();
+        if (snapshot.empty && action.confirmationCode) {
+            snapshot = await db.collection('rebooking_offers')
+                .where('confirmationCode', '==', action.confirmationCode)
+                .where('status', '==', 'pending')
+                .get();
+        }
+        if (snapshot.empty) return;
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.update(doc.ref, {
+            status: resolution,
+            resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+            resolution: {
+                action: action.action,
+                newDate: action.newData?.date || null,
+                performedBy: action.performedBy || null,
+                bookingActionId: event.params.actionId,
+            },
+        }));
+        await batch.commit();
+
+        console.log(`🔁 Rebooking offer(s) for ${action.bookingId} → ${resolution}`);
+    }
+);
+
+/**
+ * The guest's language for offers or bookings ({ email, phoneNumber, language }):
+ * the customer's preferred language, else the booking's, else the profile's
+ * (same order as the OFF message, tour_status.js)
+ */
+async function resolveOfferLanguages(offers) {
+    const contacts = offers.map(offer => ({
+        email: offer.email ? offer.email.toLowerCase() : null,
+        phone: normalizePhone(offer.phoneNumber),
+        language: offer.language || null,
+    }));
+    const lookup = await lookupCustomerPreferences(contacts);
+    return contacts.map((contact) => {
+        const customer = findCustomerForContact(lookup, contact);
+        return resolveLanguage({
+            preferred: customer?.languages?.preferred,
+            booking: contact.language,
+            profile: customer?.languages?.profile,
+        });
+    });
+}
+
+/**
+ * Hourly: remind pending offers whose remindAt has passed (once, 24h after the
+ * offer), close expired ones as no_response. Only due offers are read.
+ */
+const rebookingOfferReminder = onSchedule(
+    {
+        schedule: 'every 1 hours',
+        region: 'us-central1',
+        timeZone: 'Atlantic/Reykjavik',
+        secrets: ['GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_MESSAGING_SERVICE_SID'],
+    },
+    async () => {
+        const nowIso = new Date().toISOString();
+
+        const expiredSnapshot = await db.collection('rebooking_offers')
+            .where('status', '==', 'pending')
+            .where('expiresAt', '<=', nowIso)
+            .get();
+        for (const doc of expiredSnapshot.docs) {
+            await doc.ref.update({
+                status: 'no_response',
+                remindAt: null,
+                resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+
+        const dueSnapshot = await db.collection('rebooking_offers')
+            .where('status', '==', 'pending')
+            .where('remindAt', '<=', nowIso)
+            .get();
+        const dueDocs = dueSnapshot.docs.filter(doc => doc.data().expiresAt > nowIso);
+        const languages = dueDocs.length > 0 ? await resolveOfferLanguages(dueDocs.map(doc => doc.data())) : [];
+        let gmail = null;
+
+        for (const [index, doc] of dueDocs.entries()) {
+            const offer = doc.data();
+            const language = languages[index];
+
+            const result = { email: false, sms: false, language, errors: [] };
+            if (offer.email) {
+                try {
+                    gmail = gmail || await getGmailClient('info@auroraviking.com', process.env.GMAIL_CLIENT_ID, process.env.GMAIL_CLIENT_SECRET);
+                    await sendReminderEmail(gmail, offer, language);
+                    result.email = true;
+                } catch (error) {
+                    result.errors.push(`email: ${error.message}`);
+                }
+            }
+            if (offer.phoneNumber && String(offer.phoneNumber).startsWith('+')) {
+                try {
+                    await sendSmsMessage(offer.phoneNumber, buildReminderSms(offer, language));
+                    result.sms = true;
+                } catch (error) {
+                    result.errors.push(`sms: ${error.message}`);
+                }
+            }
+
+            // remindAt cleared so the offer drops out of the due query
+            await doc.ref.update({
+                remindAt: null,
+                reminderSentAt: admin.firestore.FieldValue.serverTimestamp(),
+                reminderResult: result,
+            });
+        }
+
+        console.log(`🔁 Rebooking reminders: ${dueDocs.length} sent, ${expiredSnapshot.size} expired without response`);
+    }
+);
+
+/**
+ * Who rebooked, who asked for a refund and who did nothing, for one cancelled night
+ */
+const getRebookingOfferSummary = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+        const { date } = request.data || {};
+        if (!date) {
+            throw new Error('date is required');
+        }
+
+        const snapshot = await db.collection('rebooking_offers').where('date', '==', date).get();
+        const groups = { pending: [], rebooked: [], refund_requested: [], no_response: [] };
+
+        snapshot.docs.forEach((doc) => {
+            const offer = doc.data();
+            (groups[offer.status] || groups.pending).push({
+                offerId: offer.offerId,
+                bookingId: offer.bookingId,
+                confirmationCode: offer.confirmationCode,
+                customerName: offer.customerName,
+                offeredDates: (offer.offeredDates || []).map(n => n.date),
+                opened: !!offer.openedAt,
+                reminded: !!offer.reminderSentAt,
+                newDate: offer.resolution?.newDate || null,
+            });
+        });
+
+        return {
+            date,
+            total: snapshot.size,
+            counts: Object.fromEntries(Object.entries(groups).map(([status, list]) => [status, list.length])),
+            ...groups,
+        };
+    }
+);
+
+module.exports = {
+    createRebookingOffers,
+    portalGetRebookingOffer,
+    onBookingActionResolveRebookingOffer,
+    rebookingOfferReminder,
+    getRebookingOfferSummary,
+    // Exported for testing
+    signOffer,
+    verifyOfferSignature,
+    buildOfferLink,
+    formatOfferDates,
+    pickRebookingNights,
+    resolutionForAction,
+    buildReminderEmailHtml,
+    buildReminderSms,
+};
@@ -20,6 +20,7 @@ const {
     getAuroraRatingDisplay,
     getBestAuroraRating,
 } = require('../utils/google_auth');
+const { processEndOfShiftReport } = require('./retry_entitlements');
 
 /**
  * DEFENSIVE generateReport - Works at any stage of the tour
@@ -526,6 +527,7 @@ function hasAssignmentChanged(beforeBookings, afterBookings) {
 
 /**
  * Trigger: Generate report when end-of-shift is submitted
+ * (and grant free retries when no lights were seen)
  */
 const onEndOfShiftSubmitted = onDocumentCreated(
     {
@@ -545,6 +547,13 @@ const onEndOfShiftSubmitted = onDocumentCreated(
 
         console.log(`🌙 End of shift submitted by ${guideName} for ${date}`);
 
+        // Free retries for the guide's bus when no lights were seen
+        try {
+            await processEndOfShiftReport(data, event.params.reportId);
+        } catch (error) {
+            console.error(`❌ Failed to process retry entitlements for ${date}:`, error);
+        }
+
         try {
             const result = await generateReport(date);
             console.log(`✅ Report generated/updated for ${date}:`, result);
@@ -0,0 +1,784 @@
+/**
+ * Retry Entitlements Module
+ * Free retries ("come again"): when no Northern Lights are seen on a tour,
+ * every guest on that bus can come again for free within two years, as
+ * often as the lights stay away, subject to availability.
+ *
+ * Collection: retry_entitlements/{bookingId} (one per original booking)
+ *   status: active → claimed → active (no lights again) | used (lights seen)
+ *           active → expired (validUntil passed) | revoked (staff)
+ *   attendance: arrived | no_show | unmarked, from booking_status of the
+ *   original night. Only no-shows are refused (policy retry_requires_attendance).
+ *
+ * A claimed seat is a manual_bookings/{date}_retry_{bookingId} entry, so it
+ * shows up in pickups, the manifest and the tour status emails/SMS like any
+ * other booking. Claims follow utils/booking_policy.js ('retry' rules: two
+ * years, before noon on the night itself). Retry seats on a night are counted
+ * inside the claim transaction, which also writes retry_nights/{date}, so two
+ * claims for the same night run one after the other and can't both take the
+ * last seats.
+ *
+ * Granting: onEndOfShiftSubmitted (reports.js) calls processEndOfShiftReport.
+ * A guide's "not_seen" report grants every booking on their bus, unless the
+ * guide logged an aurora_sightings entry that night (admins are asked to
+ * check). Private tours are left to staff. The same report settles retry
+ * seats on the bus: lights seen → used.
+ *
+ * Functions:
+ * - onBookingStatusRetryAttendance (trigger): keeps attendance in step
+ * - retryEntitlementDailyCheck (daily): expires entitlements, releases seats
+ *   on nights that never ran (OFF, no report)
+ * - lookupRetryEntitlements (callable): staff lookup
+ * - overrideRetryEntitlement (callable): staff grant / extend / revoke /
+ *   reinstate / set_attendance / claim / cancel_claim, with a reason
+ *   Both need an admin or office staff caller (utils/staff.js), not a guide.
+ * The portal claims through claimRetrySeat (booking_portal.js portalClaimRetry).
+ */
+const { onCall } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+const { getAvailabilities } = require('../utils/bokun_client');
+const { sendNotificationToAdminsOnly } = require('../utils/notifications');
+const {
+    icelandDate,
+    getRetryValidUntil,
+    buildRetryContext,
+    evaluatePolicy,
+    isPermitted,
+} = require('../utils/booking_policy');
+const { translate } = require('../utils/i18n');
+const { liveBookings } = require('../utils/bokun_booking');
+const { requireStaff } = require('../utils/staff');
+const { pickRebookingNights } = require('./rebooking_offers');
+
+const NO_AURORA_RATINGS = ['not_seen'];
+const RETRY_SEAT_PREFIX = 'retry_';
+const ATTENDANCE_VALUES = ['arrived', 'no_show', 'unmarked'];
+const OVERRIDE_ACTIONS = ['grant', 'extend', 'revoke', 'reinstate', 'set_attendance', 'claim', 'cancel_claim'];
+const STALE_CLAIM_DAYS = 2;       // Report grace period before a claimed night counts as not run
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// ENTITLEMENTS (pure)
+// ============================================
+
+function isNoAuroraReport(report) {
+    return NO_AURORA_RATINGS.includes(report?.auroraRating);
+}
+
+/**
+ * booking_status/{date}_{bookingId} → arrived | no_show | unmarked
+ */
+function attendanceFromStatus(status) {
+    if (status?.isNoShow === true) return 'no_show';
+    if (status?.isArrived === true) return 'arrived';
+    return 'unmarked';
+}
+
+function retrySeatId(entitlementId) {
+    return `${RETRY_SEAT_PREFIX}${entitlementId}`;
+}
+
+/**
+ * Entitlement id behind a retry seat's booking id, or null for normal bookings
+ */
+function entitlementIdFromSeat(bookingId) {
+    const id = String(bookingId || '');
+    return id.startsWith(RETRY_SEAT_PREFIX) ? id.substring(RETRY_SEAT_PREFIX.length) : null;
+}
+
+/**
+ * New entitlement for a cached booking on a night without lights
+ */
+function buildEntitlement(booking, { date, report = {}, reportId = null, attendance = 'unmarked', grantedBy = 'end_of_shift' }) {
+    return {
+        entitlementId: String(booking.id),
+        bookingId: String(booking.id),
+        confirmationCode: booking.confirmationCode || null,
+        customerName: booking.customerFullName || '',
+        email: String(booking.email || '').toLowerCase().trim(),
+        phoneNumber: booking.phoneNumber || '',
+        pax: booking.numberOfGuests || 1,
+        productId: booking.productId || null,
+        productTitle: booking.productTitle || null,
+        startTimeId: booking.startTimeId || null,
+        departureTime: booking.departureTime || null,
+        pickupPlaceName: booking.pickupPlaceName || '',
+        originalTourDate: date,
+        validUntil: getRetryValidUntil(date),
+        attendance,
+        status: 'active',
+        grantedBy,
+        grantReportId: reportId,
+        guideId: report.guideId || null,
+        guideName: report.guideName || null,
+        nightsWithoutLights: 1,
+        claim: null,
+        lastRetry: null,
+    };
+}
+
+/**
+ * Whether the entitlement can take (or move) a seat: active, or claimed for
+ * a night that hasn't passed yet
+ */
+function isEntitled(entitlement, today) {
+    if (!entitlement) return false;
+    if (entitlement.status === 'active') return true;
+    return entitlement.status === 'claimed' && Boolean(entitlement.claim?.date) && entitlement.claim.date >= today;
+}
+
+/**
+ * Policy decision for claiming a retry seat on retryDate
+ */
+function evaluateRetryClaim(entitlement, retryDate, now = new Date()) {
+    return evaluatePolicy('retry', buildRetryContext({
+        originalTourDate: entitlement?.originalTourDate || null,
+        entitled: isEntitled(entitlement, icelandDate(now)),
+        attendedOriginal: entitlement?.attendance !== 'no_show',
+        retryDate,
+        validUntil: entitlement?.validUntil || null,
+        now,
+    }));
+}
+
+/**
+ * manual_bookings entry for a retry seat (same shape as cached_bookings)
+ */
+function buildRetrySeatBooking(entitlement, date, now = new Date()) {
+    const seatId = retrySeatId(entitlement.entitlementId);
+    return {
+        id: seatId,
+        customerFullName: entitlement.customerName || '',
+        pickupPlaceName: entitlement.pickupPlaceName || '',
+        pickupTime: entitlement.departureTime ? `${date}T${entitlement.departureTime}:00.000Z` : null,
+        numberOfGuests: entitlement.pax || 1,
+        phoneNumber: entitlement.phoneNumber || '',
+        email: entitlement.email || '',
+        assignedGuideId: null,
+        assignedGuideName: null,
+        isNoShow: false,
+        isArrived: false,
+        createdAt: now.toISOString(),
+        bookingId: seatId,
+        confirmationCode: entitlement.confirmationCode || null,
+        isUnpaid: false,
+        amountToPayOnArrival: null,
+        paidOnArrival: false,
+        productId: entitlement.productId || null,
+        productTitle: entitlement.productTitle || 'Northern Lights Tour',
+        departureTime: entitlement.departureTime || null,
+        startTimeId: entitlement.startTimeId || null,
+        isPrivateTour: false,
+        isRetry: true,
+        retryEntitlementId: entitlement.entitlementId,
+        originalTourDate: entitlement.originalTourDate,
+    };
+}
+
+/**
+ * Guests already on retry seats for a night (they don't hold Bokun seats)
+ */
+function countRetrySeats(manualBookings, excludeEntitlementId = null) {
+    return (manualBookings || [])
+        .filter(b => b?.isRetry && b.retryEntitlementId !== excludeEntitlementId)
+        .reduce((sum, b) => sum + (Number(b.numberOfGuests) || 1), 0);
+}
+
+/**
+ * Entitlement after its retry night: lights seen uses it up, otherwise the
+ * guest can come again (a night that never ran doesn't count)
+ */
+function settleRetryNight(entitlement, { lightsSeen, attendance, ran = true }) {
+    if (!ran) {
+        return { status: 'active', result: 'not_run' };
+    }
+    if (attendance === 'no_show') {
+        return { status: 'active', result: 'no_show' };
+    }
+    if (lightsSeen) {
+        return { status: 'used', result: 'lights_seen' };
+    }
+    return {
+        status: 'active',
+        result: 'no_lights',
+        nightsWithoutLights: (entitlement.nightsWithoutLights || 1) + 1,
+    };
+}
+
+function historyEntry(type, by, details = {}) {
+    return { type, by: by || 'system', at: new Date().toISOString(), ...details };
+}
+
+/**
+ * What staff and the portal see of an entitlement
+ */
+function summarizeEntitlement(entitlement, now = new Date()) {
+    if (!entitlement) return null;
+    const today = icelandDate(now);
+    return {
+        entitlementId: entitlement.entitlementId,
+        status: entitlement.status === 'active' && entitlement.validUntil && entitlement.validUntil < today ?
+            'expired' : entitlement.status,
+        originalTourDate: entitlement.originalTourDate,
+        validUntil: entitlement.validUntil,
+        attendance: entitlement.attendance,
+        pax: entitlement.pax,
+        claimedDate: entitlement.claim?.date || null,
+        nightsWithoutLights: entitlement.nightsWithoutLights || 1,
+        canClaim: isEntitled(entitlement, today) && entitlement.attendance !== 'no_show' &&
+            (!entitlement.validUntil || entitlement.validUntil >= today),
+    };
+}
+
+// ============================================
+// FIRESTORE HELPERS
+// ============================================
+
+/**
+ * Everyone on a night: cached_bookings plus manual bookings (retry seats included)
+ */
+async function loadBookingsForNight(date) {
+    const [cachedDoc, manualSnap] = await Promise.all([
+        db.collection('cached_bookings').doc(date).get(),
+        db.collection('manual_bookings').where('date', '==', date).get(),
+    ]);
+    const bookings = cachedDoc.exists ? liveBookings(cachedDoc.data().bookings) : [];
+    manualSnap.docs.forEach((doc) => {
+        const manual = doc.data().booking;
+        if (manual) bookings.push(manual);
+    });
+    return bookings;
+}
+
+/**
+ * booking_status for a night, by booking id
+ */
+async function loadBookingStatuses(date) {
+    const snapshot = await db.collection('booking_status').where('date', '==', date).get();
+    const statuses = {};
+    snapshot.docs.forEach((doc) => {
+        statuses[doc.id.substring(date.length + 1)] = doc.data();
+    });
+    return statuses;
+}
+
+/**
+ * Sightings a guide logged between noon on the night and noon the next day
+ */
+async function findGuideSightings(date, guideId) {
+    const start = new Date(`${date}T12:00:00Z`);
+    const end = new Date(start.getTime() + DAY_MS);
+    const snapshot = await db.collection('aurora_sightings')
+        .where('timestamp', '>=', start)
+        .where('timestamp', '<', end)
+        .get();
+    return snapshot.docs.filter(doc => doc.data().guideId === guideId);
+}
+
+async function loadEntitlement(entitlementId) {
+    if (!entitlementId) return null;
+    const doc = await db.collection('retry_entitlements').doc(String(entitlementId)).get();
+    return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Create the entitlement for a booking, unless it already has one
+ * @returns {Promise<boolean>} created
+ */
+async function grantRetryEntitlement(booking, options) {
+    const ref = db.collection('retry_entitlements').doc(String(booking.id));
+    const existing = await ref.get();
+    if (existing.exists) return false;
+
+    await ref.set({
+        ...buildEntitlement(booking, options),
+        history: [historyEntry('granted', options.grantedBy === 'staff' ? options.by : 'end_of_shift', {
+            date: options.date,
+            reportId: options.reportId || null,
+            reason: options.reason || null,
+        })],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+}
+
+/**
+ * Settle a retry seat once its night has a report (or never ran)
+ */
+async function settleRetrySeat(entitlementId, date, { lightsSeen = false, attendance = 'unmarked', ran = true, reportId = null }) {
+    const ref = db.collection('retry_entitlements').doc(String(entitlementId));
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return null;
+        const entitlement = doc.data();
+        if (entitlement.status !== 'claimed' || entitlement.claim?.date !== date) return null;
+
+        const outcome = settleRetryNight(entitlement, { lightsSeen, attendance, ran });
+        transaction.update(ref, {
+            status: outcome.status,
+            claim: null,
+            lastRetry: { date, result: outcome.result, reportId },
+            ...(outcome.nightsWithoutLights && { nightsWithoutLights: outcome.nightsWithoutLights }),
+            history: admin.firestore.FieldValue.arrayUnion(historyEntry(`retry_${outcome.result}`, ran ? 'end_of_shift' : 'system', {
+                date,
+                reportId,
+            })),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return outcome.result;
+    });
+}
+
+/**
+ * Drop a claimed seat and put the entitlement back to active
+ */
+async function releaseRetrySeat(entitlementId, { by, reason, status = 'active', type = 'claim_cancelled' } = {}) {
+    const ref = db.collection('retry_entitlements').doc(String(entitlementId));
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) throw new Error('Retry entitlement not found');
+        const entitlement = doc.data();
+        const claimedDate = entitlement.claim?.date || null;
+
+        if (claimedDate) {
+            transaction.delete(db.collection('manual_bookings').doc(`${claimedDate}_${retrySeatId(entitlementId)}`));
+        }
+        transaction.update(ref, {
+            status,
+            claim: null,
+            history: admin.firestore.FieldValue.arrayUnion(historyEntry(type, by, { date: claimedDate, reason: reason || null })),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return claimedDate;
+    });
+}
+
+// ============================================
+// GRANTING (end-of-shift)
+// ============================================
+
+/**
+ * Grant and settle retries from one guide's end-of-shift report.
+ * Called from onEndOfShiftSubmitted; safe to run twice for the same report.
+ *
+ * @returns {Promise<{granted: number, settled: number, skipped?: string}>}
+ */
+async function processEndOfShiftReport(report, reportId) {
+    const { date, guideId } = report || {};
+    if (!date || !guideId) {
+        console.log(`🔁 Retry entitlements: report ${reportId} has no date/guide, skipping`);
+        return { granted: 0, settled: 0, skipped: 'missing_date_or_guide' };
+    }
+
+    const [bookings, statuses] = await Promise.all([loadBookingsForNight(date), loadBookingStatuses(date)]);
+    const onBus = bookings.filter(b => b?.id &&
+        (b.assignedGuideId === guideId || statuses[String(b.id)]?.guideId === guideId));
+    const noLights = isNoAuroraReport(report);
+
+    // Retry seats on this bus are settled whatever the rating
+    let settled = 0;
+    for (const booking of onBus) {
+        const entitlementId = booking.retryEntitlementId || entitlementIdFromSeat(booking.id);
+        if (!entitlementId) continue;
+        const result = await settleRetrySeat(entitlementId, date, {
+            lightsSeen: !noLights,
+            attendance: attendanceFromStatus(statuses[String(booking.id)]),
+            reportId,
+        });
+        if (result) settled++;
+    }
+
+    if (!noLights) {
+        console.log(`🔁 Retry entitlements ${date} (${report.guideName}): lights seen, ${settled} retry seat(s) settled`);
+        return { granted: 0, settled };
+    }
+
+    const sightings = await findGuideSightings(date, guideId);
+    if (sightings.length > 0) {
+        console.log(`⚠️ ${report.guideName} reported no lights on ${date} but logged ${sightings.length} sighting(s), not granting`);
+        await sendNotificationToAdminsOnly(
+            '🔁 Free retries need a check',
+            `${report.guideName || 'A guide'} reported no Northern Lights on ${date} but logged ${sightings.length} aurora sighting(s). No free retries were granted for their bus.`,
+            { type: 'retry_grant_conflict', date, guideId, reportId }
+        );
+        return { granted: 0, settled, skipped: 'sighting_conflict' };
+    }
+
+    let granted = 0;
+    for (const booking of onBus) {
+        if (booking.isRetry || entitlementIdFromSeat(booking.id) || booking.isPrivateTour) continue;
+        const created = await grantRetryEntitlement(booking, {
+            date,
+            report,
+            reportId,
+            attendance: attendanceFromStatus(statuses[String(booking.id)]),
+        });
+        if (created) granted++;
+    }
+
+    console.log(`🔁 Retry entitlements ${date} (${report.guideName}): ${granted} granted, ${settled} retry seat(s) settled`);
+    return { granted, settled };
+}
+
+// ============================================
+// CLAIMING
+// ============================================
+
+/**
+ * Book a retry seat on retryDate (moves an earlier claim). Used by the portal
+ * and by staff (override: past overridable rules and without the seat check).
+ * Failures carry the policy decision or a code (retry.<code> in utils/locales)
+ * so the portal can answer in the guest's language.
+ *
+ * @returns {Promise<{success: boolean, error?: string, code?: string, decision?: Object, rule: string, date?: string}>}
+ */
+async function claimRetrySeat(entitlementId, retryDate, { claimedBy, override = false, now = new Date() } = {}) {
+    const entitlement = await loadEntitlement(entitlementId);
+    const decision = evaluateRetryClaim(entitlement, retryDate, now);
+    if (!isPermitted(decision, { override })) {
+        return { success: false, error: decision.message, rule: decision.rule, decision };
+    }
+    // Staff can override the rules, but there must be an entitlement to claim
+    if (!entitlement) {
+        return { success: false, error: 'Retry entitlement not found', rule: decision.rule, decision };
+    }
+
+    const statusDoc = await db.collection('tour_status').doc(retryDate).get();
+    if (statusDoc.exists && statusDoc.data().status === 'OFF') {
+        return { success: false, error: translate('en', 'retry.night_off'), code: 'night_off', rule: decision.rule };
+    }
+
+    // Bokun seats left that night; retry seats are counted in the transaction
+    let availabilities = null;
+    if (!override) {
+        if (!entitlement.productId) {
+            return { success: false, error: translate('en', 'retry.contact_us'), code: 'contact_us', rule: decision.rule };
+        }
+        availabilities = await getAvailabilities(entitlement.productId, retryDate, retryDate);
+    }
+
+    const ref = db.collection('retry_entitlements').doc(String(entitlementId));
+    const nightRef = db.collection('retry_nights').doc(retryDate);
+    const seatId = retrySeatId(entitlementId);
+    const claimed = await db.runTransaction(async (transaction) => {
+        // The night doc is read and written by every claim for retryDate
+        const [doc, manualSnap] = await Promise.all([
+            transaction.get(ref),
+            transaction.get(db.collection('manual_bookings').where('date', '==', retryDate)),
+            transaction.get(nightRef),
+        ]);
+        if (!doc.exists) {
+            throw new Error('Retry entitlement not found');
+        }
+        const current = doc.data();
+        if (!isEntitled(current, icelandDate(now)) && !override) {
+            throw new Error('This free retry is no longer available');
+        }
+        if (!override) {
+            const taken = countRetrySeats(manualSnap.docs.map(d => d.data().booking), current.entitlementId);
+            if (pickRebookingNights(availabilities, (current.pax || 1) + taken, { maxNights: 1 }).length === 0) {
+                return { full: true };
+            }
+        }
+        const earlier = current.claim?.date || null;
+        if (earlier && earlier !== retryDate) {
+            transaction.delete(db.collection('manual_bookings').doc(`${earlier}_${seatId}`));
+        }
+        transaction.set(db.collection('manual_bookings').doc(`${retryDate}_${seatId}`), {
+            date: retryDate,
+            booking: buildRetrySeatBooking(current, retryDate, now),
+            source: 'retry_entitlement',
+            retryEntitlementId: String(entitlementId),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.update(ref, {
+            status: 'claimed',
+            claim: { date: retryDate, pax: current.pax || 1, claimedBy, claimedAt: now.toISOString(), policyRule: decision.rule },
+            history: admin.firestore.FieldValue.arrayUnion(historyEntry(earlier ? 'claim_moved' : 'claimed', claimedBy, {
+                date: retryDate,
+                from: earlier,
+                policyRule: decision.rule,
+                override: !decision.allowed,
+            })),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.set(nightRef, {
+            date: retryDate,
+            lastClaimAt: now.toISOString(),
+            lastEntitlementId: String(entitlementId),
+        }, { merge: true });
+        return { earlier };
+    });
+    if (claimed.full) {
+        return { success: false, error: translate('en', 'retry.no_seats'), code: 'no_seats', rule: decision.rule };
+    }
+    const previousDate = claimed.earlier;
+
+    await db.collection('booking_actions').add({
+        bookingId: String(entitlementId),
+        confirmationCode: entitlement.confirmationCode,
+        customerName: entitlement.customerName,
+        action: 'retry_claim',
+        performedBy: claimedBy,
+        performedAt: admin.firestore.FieldValue.serverTimestamp(),
+        reason: 'Free retry (no lights seen)',
+        originalData: { date: entitlement.originalTourDate, claimedDate: previousDate },
+        newData: { date: retryDate },
+        success: true,
+        policyRule: decision.rule,
+    });
+
+    await sendNotificationToAdminsOnly(
+        '🔁 Free retry booked',
+        `${entitlement.customerName || entitlement.confirmationCode} (${entitlement.pax || 1} pax) will come again on ${retryDate}${previousDate ? ` (moved from ${previousDate})` : ''}`,
+        { type: 'retry_claim', entitlementId: String(entitlementId), date: retryDate }
+    );
+
+    console.log(`🔁 Retry seat for ${entitlementId} on ${retryDate} by ${claimedBy} (${decision.rule})`);
+    return { success: true, date: retryDate, previousDate, rule: decision.rule };
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Attendance marked after the report (or changed) follows onto the entitlement
+ * or its retry seat
+ */
+const onBookingStatusRetryAttendance = onDocumentWritten(
+    {
+        document: 'booking_status/{documentId}',
+        region: 'us-central1',
+    },
+    async (event) => {
+        const afterData = event.data.after.exists ? event.data.after.data() : null;
+        if (!afterData) return null;
+        const beforeData = event.data.before.exists ? event.data.before.data() : null;
+
+        const attendance = attendanceFromStatus(afterData);
+        if (beforeData && attendanceFromStatus(beforeData) === attendance) return null;
+
+        const documentId = event.params.documentId;
+        const date = documentId.substring(0, 10);
+        const bookingId = documentId.substring(11);
+        const seatEntitlementId = entitlementIdFromSeat(bookingId);
+
+        const ref = db.collection('retry_entitlements').doc(seatEntitlementId || bookingId);
+        const doc = await ref.get();
+        if (!doc.exists) return null;
+        const entitlement = doc.data();
+
+        if (seatEntitlementId) {
+            if (entitlement.claim?.date !== date) return null;
+            await ref.update({ 'claim.attendance': attendance, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        } else {
+            if (entitlement.originalTourDate !== date) return null;
+            await ref.update({ attendance, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+        console.log(`🔁 Retry attendance for ${doc.id} on ${date}: ${attendance}`);
+        return null;
+    }
+);
+
+/**
+ * Daily: expire entitlements past validUntil, and release seats claimed for
+ * nights that never got a report (set OFF, or the bus didn't run)
+ */
+const retryEntitlementDailyCheck = onSchedule(
+    {
+        schedule: 'every day 13:00',
+        region: 'us-central1',
+        timeZone: 'Atlantic/Reykjavik',
+    },
+    async () => {
+        const today = icelandDate();
+        const staleBefore = icelandDate(new Date(Date.now() - STALE_CLAIM_DAYS * DAY_MS));
+
+        const expiredSnap = await db.collection('retry_entitlements')
+            .where('status', '==', 'active')
+            .where('validUntil', '<', today)
+            .get();
+        for (const doc of expiredSnap.docs) {
+            await doc.ref.update({
+                status: 'expired',
+                history: admin.firestore.FieldValue.arrayUnion(historyEntry('expired', 'system', { validUntil: doc.data().validUntil })),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+
+        const claimedSnap = await db.collection('retry_entitlements').where('status', '==', 'claimed').get();
+        let released = 0;
+        for (const doc of claimedSnap.docs) {
+            const claimDate = doc.data().claim?.date;
+            if (!claimDate || claimDate >= staleBefore) continue;
+            const settled = await settleRetrySeat(doc.id, claimDate, { ran: false });
+            if (settled) released++;
+        }
+
+        console.log(`🔁 Retry entitlements daily check: ${expiredSnap.size} expired, ${released} unsettled seat(s) released`);
+    }
+);
+
+/**
+ * Staff: find entitlements by confirmation code, booking id or email
+ */
+const lookupRetryEntitlements = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        await requireStaff(request, 'look up retry entitlements');
+        const { confirmationCode, bookingId, email } = request.data || {};
+
+        let docs = [];
+        if (bookingId) {
+            const doc = await db.collection('retry_entitlements').doc(String(bookingId)).get();
+            docs = doc.exists ? [doc] : [];
+        } else if (confirmationCode) {
+            docs = (await db.collection('retry_entitlements')
+                .where('confirmationCode', '==', String(confirmationCode).trim())
+                .get()).docs;
+        } else if (email) {
+            docs = (await db.collection('retry_entitlements')
+                .where('email', '==', String(email).toLowerCase().trim())
+                .get()).docs;
+        } else {
+            throw new Error('confirmationCode, bookingId or email is required');
+        }
+
+        return {
+            entitlements: docs.map(doc => ({
+                ...doc.data(),
+                summary: summarizeEntitlement(doc.data()),
+                createdAt: doc.data().createdAt?.toDate?.()?.toISOString() || null,
+                updatedAt: doc.data().updatedAt?.toDate?.()?.toISOString() || null,
+            })),
+        };
+    }
+);
+
+/**
+ * Staff: change an entitlement by hand. Every change needs a reason and is
+ * kept in the entitlement's history.
+ * Data: { action, reason, entitlementId, date?, validUntil?, attendance?, confirmationCode? }
+ *   grant: { date, confirmationCode | entitlementId (= booking id) } from cached_bookings
+ */
+const overrideRetryEntitlement = onCall(
+    {
+        region: 'us-central1',
+    },
+    async (request) => {
+        await requireStaff(request, 'override retry entitlements');
+        const { action, reason, entitlementId, date, validUntil, attendance, confirmationCode } = request.data || {};
+        const by = request.auth.uid;
+
+        if (!OVERRIDE_ACTIONS.includes(action)) {
+            throw new Error(`action must be one of ${OVERRIDE_ACTIONS.join(', ')}`);
+        }
+        if (!reason || !String(reason).trim()) {
+            throw new Error('A reason is required');
+        }
+
+        if (action === 'grant') {
+            if (!date || (!entitlementId && !confirmationCode)) {
+                throw new Error('date and entitlementId or confirmationCode are required');
+            }
+            const bookings = await loadBookingsForNight(date);
+            const booking = bookings.find(b => !b.isRetry &&
+                (String(b.id) === String(entitlementId) || (confirmationCode && b.confirmationCode === confirmationCode)));
+            if (!booking) {
+                throw new Error(`Booking not found on ${date}`);
+            }
+            const statuses = await loadBookingStatuses(date);
+            const created = await grantRetryEntitlement(booking, {
+                date,
+                reportId: null,
+                attendance: attendanceFromStatus(statuses[String(booking.id)]),
+                grantedBy: 'staff',
+                by,
+                reason,
+            });
+            if (!created) {
+                throw new Error('This booking already has a retry entitlement');
+            }
+            return { success: true, entitlementId: String(booking.id) };
+        }
+
+        const ref = db.collection('retry_entitlements').doc(String(entitlementId || ''));
+        const entitlement = entitlementId ? await loadEntitlement(entitlementId) : null;
+        if (!entitlement) {
+            throw new Error('Retry entitlement not found');
+        }
+
+        if (action === 'claim') {
+            if (!date) throw new Error('date is required');
+            const result = await claimRetrySeat(entitlementId, date, { claimedBy: by, override: true });
+            if (!result.success) throw new Error(result.error);
+            return result;
+        }
+
+        if (action === 'cancel_claim' || action === 'revoke') {
+            const releasedDate = await releaseRetrySeat(entitlementId, {
+                by,
+                reason,
+                status: action === 'revoke' ? 'revoked' : 'active',
+                type: action === 'revoke' ? 'revoked' : 'claim_cancelled',
+            });
+            return { success: true, releasedDate };
+        }
+
+        const update = {};
+        if (action === 'extend') {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(String(validUntil || ''))) {
+                throw new Error('validUntil (YYYY-MM-DD) is required');
+            }
+            update.validUntil = validUntil;
+            if (entitlement.status === 'expired') update.status = 'active';
+        } else if (action === 'reinstate') {
+            if (['active', 'claimed'].includes(entitlement.status)) {
+                throw new Error(`This retry entitlement is already ${entitlement.status}`);
+            }
+            update.status = 'active';
+            if (validUntil) update.validUntil = validUntil;
+        } else if (action === 'set_attendance') {
+            if (!ATTENDANCE_VALUES.includes(attendance)) {
+                throw new Error(`attendance must be one of ${ATTENDANCE_VALUES.join(', ')}`);
+            }
+            update.attendance = attendance;
+        }
+
+        await ref.update({
+            ...update,
+            history: admin.firestore.FieldValue.arrayUnion(historyEntry(action, by, { reason, ...update })),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        console.log(`🔁 Retry entitlement ${entitlementId}: ${action} by ${by} (${reason})`);
+        return { success: true, ...update };
+    }
+);
+
+module.exports = {
+    processEndOfShiftReport,
+    claimRetrySeat,
+    loadEntitlement,
+    summarizeEntitlement,
+    onBookingStatusRetryAttendance,
+    retryEntitlementDailyCheck,
+    lookupRetryEntitlements,
+    overrideRetryEntitlement,
+    // Exported for testing
+    isNoAuroraReport,
+    attendanceFromStatus,
+    retrySeatId,
+    entitlementIdFromSeat,
+    buildEntitlement,
+    isEntitled,
+    evaluateRetryClaim,
+    buildRetrySeatBooking,
+    countRetrySeats,
+    settleRetryNight,
+};
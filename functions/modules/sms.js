@@ -4,6 +4,9 @@
  */
 const { onCall } = require('firebase-functions/v2/https');
 const { admin, db } = require('../utils/firebase');
+const { filterBookingsByDepartures } = require('../utils/bokun_booking');
+const { resolveLanguage, translator, formatDateList } = require('../utils/i18n');
+const { getSmsStatusCallbackUrl, recordSmsSent } = require('./sms_status');
 
 // Twilio client setup (lazy-initialized)
 let twilioClient = null;
@@ -24,19 +27,67 @@ function getTwilioClient() {
 }
 
 /**
- * Build the cancellation SMS message
+ * Send one SMS, through the messaging service when configured, otherwise from our number.
+ * With tracking ({ kind, log, date, ... } - see sms_status.js) Twilio reports the
+ * delivery status back and it is rolled up into the send log.
  */
-// Default cancellation SMS body
-const DEFAULT_CANCEL_SMS_BODY = "unfortunately tonight's Northern Lights tour has been cancelled due to unfavorable weather conditions for aurora sightings.";
+async function sendSmsMessage(to, body, tracking = null) {
+    const client = getTwilioClient();
+    const messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
+    const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+
+    const messageOptions = { body, to };
+    if (messagingServiceSid) {
+        messageOptions.messagingServiceSid = messagingServiceSid;
+    } else if (fromNumber) {
+        messageOptions.from = fromNumber;
+    } else {
+        throw new Error('Twilio sender not configured');
+    }
+    if (tracking) {
+        messageOptions.statusCallback = getSmsStatusCallbackUrl();
+    }
+
+    const message = await client.messages.create(messageOptions);
+    if (tracking) {
+        await recordSmsSentSafely(message, to, tracking);
+    }
+    return message;
+}
 
-function buildCancellationSms(firstName, confirmationCode, customBody) {
+/**
+ * Tracking must never turn a sent SMS into a failed one
+ */
+async function recordSmsSentSafely(message, to, tracking) {
+    try {
+        await recordSmsSent(message, to, tracking);
+    } catch (error) {
+        console.error(`⚠️ Could not record SMS ${message?.sid} for status tracking: ${error.message}`);
+    }
+}
+
+/**
+ * Build the cancellation SMS message in the guest's language (utils/i18n.js).
+ * A custom body from staff is used as written.
+ */
+function buildCancellationSms(firstName, confirmationCode, customBody, offer, language = 'en') {
+    const t = translator(language);
     let portalUrl = 'https://www.auroraviking.com/bookings';
     if (confirmationCode) {
         portalUrl += `?code=${encodeURIComponent(confirmationCode)}`;
     }
+    // Rebooking offer: signed link with the next free nights preselected
+    if (offer?.link) {
+        portalUrl = offer.link;
+    }
 
-    const body = customBody || DEFAULT_CANCEL_SMS_BODY;
-    return `Hi ${firstName || 'there'}, ${body}\n\nReschedule or cancel instantly using our Booking Portal: ${portalUrl}\n\nYour confirmation code: ${confirmationCode || 'N/A'}\nEnter it on the portal to manage your booking.\n\n— Aurora Viking`;
+    const body = customBody || t('sms.off.defaultBody');
+    const datesText = offer?.dates?.length ? formatDateList(offer.dates, language) : offer?.datesText;
+    const nights = datesText ? `\n\n${t('sms.off.offerDates', { dates: datesText })}` : '';
+    return `${t('sms.off.greeting', { firstName: firstName || t('common.there'), body })}${nights}` +
+        `\n\n${t('sms.off.portal', { url: portalUrl })}` +
+        `\n\n${t('sms.off.code', { code: confirmationCode || t('common.notAvailable') })}\n${t('sms.off.enterCode')}` +
+        `\n\n${t('sms.off.signature')}`;
 }
 
 /**
@@ -75,6 +126,7 @@ function extractPhoneData(bookings) {
             confirmationCode,
             pickupLocation: booking.pickupPlaceName || booking.pickupLocation || '',
             departureTime: booking.departureTime || '',
+            language: resolveLanguage({ booking: booking.language }),
         });
     }
 
@@ -83,12 +135,13 @@ function extractPhoneData(bookings) {
 
 /**
  * Internal function to send cancellation SMS to all customers for a date
+ * (options.departures limits it to bookings on those departures,
+ * options.rebookingOffers maps confirmation code → rebooking offer link)
  */
-async function sendCancellationSmsInternal(dateString, customSmsBody) {
+async function sendCancellationSmsInternal(dateString, customSmsBody, options = {}) {
     console.log(`📱 [Internal] Sending cancellation SMS for ${dateString}...`);
 
     try {
-        const client = getTwilioClient();
         const messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
         const fromNumber = process.env.TWILIO_PHONE_NUMBER;
 
@@ -114,6 +167,10 @@ async function sendCancellationSmsInternal(dateString, customSmsBody) {
             if (manual) bookings.push(manual);
         });
 
+        if (options.departures) {
+            bookings = filterBookingsByDepartures(bookings, options.departures);
+        }
+
         console.log(`📋 Found ${bookings.length} bookings`);
 
         if (bookings.length === 0) {
@@ -131,24 +188,20 @@ async function sendCancellationSmsInternal(dateString, customSmsBody) {
         // Send SMS to each customer
         let smsSent = 0;
         const failedSms = [];
+        const logRef = db.collection('tour_status_sms').doc();
 
         for (const customer of customers) {
-            const messageBody = buildCancellationSms(customer.firstName, customer.confirmationCode, customSmsBody);
+            const offer = options.rebookingOffers?.[customer.confirmationCode];
+            const messageBody = buildCancellationSms(customer.firstName, customer.confirmationCode, customSmsBody, offer, customer.language);
 
             try {
-                const messageOptions = {
-                    body: messageBody,
-                    to: customer.phone,
-                };
-
-                // Prefer MessagingServiceSid, fall back to From number
-                if (messagingServiceSid) {
-                    messageOptions.messagingServiceSid = messagingServiceSid;
-                } else {
-                    messageOptions.from = fromNumber;
-                }
-
-                await client.messages.create(messageOptions);
+                await sendSmsMessage(customer.phone, messageBody, {
+                    kind: 'tour_status',
+                    log: { collection: 'tour_status_sms', id: logRef.id },
+                    date: dateString,
+                    tourStatus: 'OFF',
+                    confirmationCode: customer.confirmationCode || null,
+                });
                 smsSent++;
                 console.log(`✅ SMS sent to ${customer.firstName} (${customer.phone})`);
             } catch (sendError) {
@@ -162,15 +215,16 @@ async function sendCancellationSmsInternal(dateString, customSmsBody) {
             }
         }
 
-        // Log the SMS send action
-        await db.collection('tour_status_sms').add({
+        // Log the SMS send action (merged: delivery callbacks may already have rolled up here)
+        await logRef.set({
             date: dateString,
+            departures: options.departures || null,
             totalBookings: bookings.length,
             uniqueCustomers: customers.length,
             smsSent,
             failedSms,
             sentAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
+        }, { merge: true });
 
         console.log(`✅ Cancellation SMS complete: ${smsSent}/${customers.length} sent`);
 
@@ -197,33 +251,34 @@ function buildMapsUrl(pickupLocation) {
 }
 
 /**
- * Build the ON (tour is running) SMS message
+ * Build the ON (tour is running) SMS message in the guest's language
  */
-function buildOnSms(firstName, pickupLocation, departureTime) {
-    let msg = `Hi ${firstName || 'there'}, the Northern Lights tour is ON tonight! 🌌`;
+function buildOnSms(firstName, pickupLocation, departureTime, language = 'en') {
+    const t = translator(language);
+    let msg = t('sms.on.headline', { firstName: firstName || t('common.there') });
 
     if (pickupLocation) {
-        msg += `\n\n📍 Your pickup: ${pickupLocation}`;
+        msg += `\n\n${t('sms.on.pickup', { place: pickupLocation })}`;
     }
     if (departureTime) {
-        msg += `\n🕐 Pickups start at ${departureTime} — it may take up to 30 min to reach all stops, so please be patient if the bus isn't there right away.`;
+        msg += `\n${t('sms.on.departure', { time: departureTime })}`;
     }
     if (pickupLocation) {
-        msg += `\n\n📍 Find it on Maps: ${buildMapsUrl(pickupLocation)}`;
+        msg += `\n\n${t('sms.on.maps', { url: buildMapsUrl(pickupLocation) })}`;
     }
 
-    msg += `\n\nDress warm! — Aurora Viking`;
+    msg += `\n\n${t('sms.on.signoff')}`;
     return msg;
 }
 
 /**
  * Internal function to send ON SMS to all customers for a date
+ * (options.departures limits it to bookings on those departures)
  */
-async function sendOnSmsInternal(dateString) {
+async function sendOnSmsInternal(dateString, options = {}) {
     console.log(`📱 [Internal] Sending ON SMS for ${dateString}...`);
 
     try {
-        const client = getTwilioClient();
         const messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
         const fromNumber = process.env.TWILIO_PHONE_NUMBER;
 
@@ -249,6 +304,10 @@ async function sendOnSmsInternal(dateString) {
             if (manual) bookings.push(manual);
         });
 
+        if (options.departures) {
+            bookings = filterBookingsByDepartures(bookings, options.departures);
+        }
+
         console.log(`📋 Found ${bookings.length} bookings`);
 
         if (bookings.length === 0) {
@@ -266,23 +325,19 @@ async function sendOnSmsInternal(dateString) {
         // Send SMS to each customer
         let smsSent = 0;
         const failedSms = [];
+        const logRef = db.collection('tour_status_sms').doc();
 
         for (const customer of customers) {
-            const messageBody = buildOnSms(customer.firstName, customer.pickupLocation, customer.departureTime);
+            const messageBody = buildOnSms(customer.firstName, customer.pickupLocation, customer.departureTime, customer.language);
 
             try {
-                const messageOptions = {
-                    body: messageBody,
-                    to: customer.phone,
-                };
-
-                if (messagingServiceSid) {
-                    messageOptions.messagingServiceSid = messagingServiceSid;
-                } else {
-                    messageOptions.from = fromNumber;
-                }
-
-                await client.messages.create(messageOptions);
+                await sendSmsMessage(customer.phone, messageBody, {
+                    kind: 'tour_status',
+                    log: { collection: 'tour_status_sms', id: logRef.id },
+                    date: dateString,
+                    tourStatus: 'ON',
+                    confirmationCode: customer.confirmationCode || null,
+                });
                 smsSent++;
                 console.log(`✅ ON SMS sent to ${customer.firstName} (${customer.phone})`);
             } catch (sendError) {
@@ -296,16 +351,17 @@ async function sendOnSmsInternal(dateString) {
             }
         }
 
-        // Log the SMS send action
-        await db.collection('tour_status_sms').add({
+        // Log the SMS send action (merged: delivery callbacks may already have rolled up here)
+        await logRef.set({
             date: dateString,
             type: 'ON',
+            departures: options.departures || null,
             totalBookings: bookings.length,
             uniqueCustomers: customers.length,
             smsSent,
             failedSms,
             sentAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
+        }, { merge: true });
 
         console.log(`✅ ON SMS complete: ${smsSent}/${customers.length} sent`);
 
@@ -452,6 +508,7 @@ const sendGuideTourSms = onCall(
 
         let smsSent = 0;
         const failed = [];
+        const logKey = `tour_${status.toLowerCase()}_${dateStr}`;
 
         for (const guide of guides) {
             const firstName = guide.name.split(' ')[0];
@@ -463,14 +520,21 @@ const sendGuideTourSms = onCall(
             }
 
             try {
-                const opts = { body, to: guide.phone };
+                const opts = { body, to: guide.phone, statusCallback: getSmsStatusCallbackUrl() };
                 if (messagingServiceSid) {
                     opts.messagingServiceSid = messagingServiceSid;
                 } else {
                     opts.from = fromNumber;
                 }
 
-                await client.messages.create(opts);
+                const message = await client.messages.create(opts);
+                await recordSmsSentSafely(message, guide.phone, {
+                    kind: 'guide_tour',
+                    log: { collection: 'guide_sms_log', id: logKey },
+                    date: dateStr,
+                    tourStatus: status,
+                    recipientId: guide.id,
+                });
                 smsSent++;
                 console.log(`✅ Guide SMS sent to ${firstName} (${guide.phone})`);
             } catch (err) {
@@ -483,15 +547,15 @@ const sendGuideTourSms = onCall(
             }
         }
 
-        // Log
-        await db.collection('guide_sms_log').doc(`tour_${status.toLowerCase()}_${dateStr}`).set({
+        // Log (merged: delivery callbacks may already have rolled up here)
+        await db.collection('guide_sms_log').doc(logKey).set({
             date: dateStr,
             status,
             sentAt: admin.firestore.FieldValue.serverTimestamp(),
             smsSent,
             failed,
             guidesNotified: guides.map(g => ({ id: g.id, name: g.name })),
-        });
+        }, { merge: true });
 
         console.log(`✅ Guide tour SMS complete: ${smsSent}/${guides.length}`);
         return { success: true, smsSent, totalGuides: guides.length };
@@ -499,6 +563,9 @@ const sendGuideTourSms = onCall(
 );
 
 module.exports = {
+    sendSmsMessage,
+    buildCancellationSms,
+    buildOnSms,
     sendCancellationSmsInternal,
     sendOnSmsInternal,
     sendTestSms,
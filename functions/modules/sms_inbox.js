@@ -0,0 +1,337 @@
+/**
+ * SMS Inbox Module
+ * Inbound SMS as a unified inbox channel. Customers reply to our ON/OFF SMS;
+ * Twilio posts those replies here and they land in conversations/messages
+ * like any other channel (channel: 'sms').
+ *
+ * - Threads by phone number: one active conversation per number
+ *   (conversations.channelMetadata.sms.phone)
+ * - Matches the customer against bookings by phone: recent tour status SMS
+ *   (sms_messages) and cached_bookings around today
+ * - The new inbound message triggers generateAiDraft (ai_assist.js)
+ * - Outbound inbox messages on the sms channel (sendInboxMessage) are sent
+ *   back through Twilio by onOutboundSmsMessageCreated
+ *
+ * Functions:
+ * - twilioInboundSms (HTTPS, Twilio-signed): inbound SMS webhook
+ * - onOutboundSmsMessageCreated (trigger): send staff replies via Twilio
+ */
+const { onRequest } = require('firebase-functions/v2/https');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+const { sendNotificationToAdminsOnly } = require('../utils/notifications');
+const { getTodayDateString } = require('../utils/dates');
+const { findOrCreateCustomer, findOrCreateConversation, extractBookingReferences } = require('./inbox_core');
+const { normalizePhone } = require('./notification_preferences');
+const { sendSmsMessage } = require('./sms');
+
+const INBOUND_SMS_URL = 'https://us-central1-aurora-viking-staff.cloudfunctions.net/twilioInboundSms';
+// cached_bookings days searched around today when matching a phone number
+const BOOKING_MATCH_DAYS_BACK = 2;
+const BOOKING_MATCH_DAYS_AHEAD = 14;
+const MIN_PHONE_MATCH_DIGITS = 7;
+
+// ============================================
+// HELPERS (pure)
+// ============================================
+
+function getInboundSmsUrl() {
+    return process.env.TWILIO_INBOUND_SMS_URL || INBOUND_SMS_URL;
+}
+
+/**
+ * Digits only, without an international "00" prefix
+ */
+function phoneDigits(phone) {
+    return String(phone || '').replace(/[^\d]/g, '').replace(/^00/, '');
+}
+
+/**
+ * Whether two phone numbers are the same line. Booking phone numbers are
+ * often typed without the country code, so a number matches when one ends
+ * with the other (and the shorter one is long enough to mean something).
+ */
+function phonesMatch(a, b) {
+    const digitsA = phoneDigits(a);
+    const digitsB = phoneDigits(b);
+    if (!digitsA || !digitsB) return false;
+    if (digitsA === digitsB) return true;
+    const [shorter, longer] = digitsA.length < digitsB.length ? [digitsA, digitsB] : [digitsB, digitsA];
+    return shorter.length >= MIN_PHONE_MATCH_DIGITS && longer.endsWith(shorter);
+}
+
+/**
+ * Bookings on the given cached_bookings days whose phone matches.
+ * @param {Array<{ date: string, bookings: object[] }>} days
+ */
+function findBookingsForPhone(days, phone) {
+    const matches = [];
+    for (const { date, bookings } of days) {
+        for (const booking of bookings || []) {
+            const bookingPhone = booking.customerPhone || booking.phoneNumber || booking.phone ||
+                booking.customer?.phoneNumber || booking.customer?.phone;
+            if (!phonesMatch(bookingPhone, phone)) continue;
+            matches.push({
+                date,
+                bookingId: String(booking.bookingId || booking.id || booking.confirmationCode),
+                confirmationCode: booking.confirmationCode || null,
+                customerName: booking.customerFullName || null,
+                pickupPlaceName: booking.pickupPlaceName || null,
+                departureTime: booking.departureTime || null,
+            });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Twilio media attachments (MediaUrl0..N) of an inbound SMS/MMS
+ */
+function getInboundMedia(body) {
+    const count = parseInt(body.NumMedia) || 0;
+    const media = [];
+    for (let i = 0; i < count; i++) {
+        if (body[`MediaUrl${i}`]) {
+            media.push({ url: body[`MediaUrl${i}`], contentType: body[`MediaContentType${i}`] || null });
+        }
+    }
+    return media;
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// ============================================
+// BOOKING MATCHING
+// ============================================
+
+/**
+ * Bookings for a phone number: the tour status SMS we sent to it, then
+ * cached_bookings around today. Deduplicated by booking id.
+ */
+async function matchBookingsByPhone(phone) {
+    const today = getTodayDateString();
+    const dayRefs = [];
+    for (let offset = -BOOKING_MATCH_DAYS_BACK; offset <= BOOKING_MATCH_DAYS_AHEAD; offset++) {
+        dayRefs.push(db.collection('cached_bookings').doc(addDays(today, offset)));
+    }
+
+    const [sentSnap, dayDocs] = await Promise.all([
+        db.collection('sms_messages').where('to', '==', phone).limit(20).get(),
+        db.getAll(...dayRefs),
+    ]);
+
+    const matches = new Map();
+    sentSnap.docs
+        .map(doc => doc.data())
+        .filter(sms => sms.kind === 'tour_status' && sms.bookingId)
+        .sort((a, b) => (b.sentAt || '').localeCompare(a.sentAt || ''))
+        .forEach(sms => {
+            if (!matches.has(sms.bookingId)) {
+                matches.set(sms.bookingId, {
+                    date: sms.date || null,
+                    bookingId: sms.bookingId,
+                    confirmationCode: sms.confirmationCode || null,
+                    customerName: null,
+                    pickupPlaceName: null,
+                    departureTime: null,
+                    tourStatus: sms.tourStatus || null,
+                });
+            }
+        });
+
+    const days = dayDocs
+        .filter(doc => doc.exists)
+        .map(doc => ({ date: doc.id, bookings: doc.data().bookings || [] }));
+    for (const booking of findBookingsForPhone(days, phone)) {
+        // The cached booking has the details; keep the tour status we told them
+        matches.set(booking.bookingId, { ...matches.get(booking.bookingId), ...booking });
+    }
+
+    return [...matches.values()];
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Twilio inbound SMS webhook (Messaging Service / number "A message comes in")
+ */
+const twilioInboundSms = onRequest(
+    {
+        region: 'us-central1',
+        secrets: ['TWILIO_AUTH_TOKEN'],
+    },
+    async (req, res) => {
+        if (req.method !== 'POST') {
+            res.status(405).send('Method not allowed');
+            return;
+        }
+
+        const twilio = require('twilio');
+        const signature = req.headers['x-twilio-signature'] || '';
+        const valid = twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, getInboundSmsUrl(), req.body || {});
+        if (!valid) {
+            console.log('🚫 Inbound SMS rejected: invalid signature');
+            res.status(403).send('Invalid signature');
+            return;
+        }
+
+        const body = req.body || {};
+        const { MessageSid, From, To } = body;
+        const content = String(body.Body || '').trim();
+        const phone = normalizePhone(From);
+        if (!MessageSid || !phone) {
+            res.status(400).send('MessageSid and From are required');
+            return;
+        }
+
+        // Empty TwiML: no automatic reply, staff answer from the inbox
+        const respond = () => res.status(200).type('text/xml').send('<Response></Response>');
+
+        try {
+            // Twilio retries on timeouts; the message id is the SID so a retry is a no-op
+            const msgRef = db.collection('messages').doc(`sms_${MessageSid}`);
+            if ((await msgRef.get()).exists) {
+                console.log(`ℹ️ Inbound SMS ${MessageSid} already processed`);
+                respond();
+                return;
+            }
+
+            const media = getInboundMedia(body);
+            const preview = content || (media.length > 0 ? '📎 Attachment' : '');
+            console.log(`📱 Inbound SMS from ${phone}: ${preview.substring(0, 50)}`);
+
+            const matchedBookings = await matchBookingsByPhone(phone);
+            const customerName = matchedBookings.find(b => b.customerName)?.customerName || null;
+            const detectedBookingNumbers = extractBookingReferences(content);
+            const bookingIds = [...new Set([
+                ...matchedBookings.map(b => b.confirmationCode).filter(Boolean),
+                ...detectedBookingNumbers,
+            ])];
+
+            const customerId = await findOrCreateCustomer('sms', phone, customerName);
+            const conversationId = await findOrCreateConversation(customerId, 'sms', phone, null, preview);
+
+            await msgRef.set({
+                conversationId,
+                customerId,
+                channel: 'sms',
+                direction: 'inbound',
+                content: preview,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                channelMetadata: {
+                    sms: {
+                        from: phone,
+                        to: To || null,
+                        messageSid: MessageSid,
+                        media,
+                        matchedBookings,
+                    },
+                },
+                bookingIds,
+                detectedBookingNumbers,
+                status: 'pending',
+                flaggedForReview: false,
+                priority: 'normal',
+            });
+
+            const conversationUpdate = { messageIds: admin.firestore.FieldValue.arrayUnion(msgRef.id) };
+            if (bookingIds.length > 0) {
+                conversationUpdate.bookingIds = admin.firestore.FieldValue.arrayUnion(...bookingIds);
+            }
+            await db.collection('conversations').doc(conversationId).update(conversationUpdate);
+
+            const who = customerName || phone;
+            await sendNotificationToAdminsOnly(
+                '📱 New SMS',
+                `${who}: ${preview.substring(0, 100)}${preview.length > 100 ? '...' : ''}`,
+                {
+                    type: 'inbox_sms',
+                    messageId: msgRef.id,
+                    conversationId,
+                }
+            );
+
+            console.log(`✅ Inbound SMS ${MessageSid} → conversation ${conversationId} (${bookingIds.length} booking(s) matched)`);
+            respond();
+        } catch (error) {
+            // Twilio retries on 5xx
+            console.error(`❌ Error processing inbound SMS ${MessageSid}:`, error);
+            res.status(500).send('Processing failed');
+        }
+    }
+);
+
+/**
+ * Firestore trigger: send outbound inbox messages on the sms channel via Twilio
+ */
+const onOutboundSmsMessageCreated = onDocumentCreated(
+    {
+        document: 'messages/{messageId}',
+        region: 'us-central1',
+        secrets: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_MESSAGING_SERVICE_SID'],
+    },
+    async (event) => {
+        const snapshot = event.data;
+        if (!snapshot) return;
+
+        const messageData = snapshot.data();
+        const messageId = event.params.messageId;
+
+        if (messageData.direction !== 'outbound' || messageData.channel !== 'sms') {
+            return;
+        }
+        if (messageData.status === 'sent' || messageData.channelMetadata?.sms?.messageSid) {
+            console.log(`Message ${messageId} already sent, skipping`);
+            return;
+        }
+
+        try {
+            const convDoc = await db.collection('conversations').doc(messageData.conversationId).get();
+            const conv = convDoc.exists ? convDoc.data() : {};
+            let to = messageData.channelMetadata?.sms?.to || conv.channelMetadata?.sms?.phone || null;
+            if (!to) {
+                const customerDoc = await db.collection('customers').doc(messageData.customerId).get();
+                to = customerDoc.exists ? normalizePhone(customerDoc.data().phone) : null;
+            }
+            if (!to) {
+                await snapshot.ref.update({ status: 'failed', error: 'No customer phone number' });
+                return;
+            }
+
+            const message = await sendSmsMessage(to, messageData.content, {
+                kind: 'inbox',
+                recipientId: messageData.customerId,
+            });
+
+            await snapshot.ref.update({
+                status: 'sent',
+                sentAt: admin.firestore.FieldValue.serverTimestamp(),
+                'channelMetadata.sms.to': to,
+                'channelMetadata.sms.messageSid': message.sid,
+            });
+            console.log(`📱 Inbox SMS ${messageId} sent to ${to} (${message.sid})`);
+        } catch (error) {
+            console.error(`❌ Error sending inbox SMS ${messageId}:`, error);
+            await snapshot.ref.update({
+                status: 'failed',
+                error: error.message,
+                failedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+    }
+);
+
+module.exports = {
+    twilioInboundSms,
+    onOutboundSmsMessageCreated,
+    // Exported for testing
+    phonesMatch,
+    findBookingsForPhone,
+    getInboundMedia,
+};
@@ -0,0 +1,300 @@
+/**
+ * SMS Delivery Status Module
+ * Twilio accepting a message is not the same as it arriving. Every tracked
+ * SMS is sent with a status callback; Twilio then reports queued → sent →
+ * delivered / undelivered / failed (with an error code) for its SID.
+ *
+ * Collection: sms_messages/{sid}
+ *   kind: 'tour_status' | 'guide_shift' | 'guide_tour' | ..., to, date,
+ *   status, errorCode, log: { collection, id } (the send log to roll up into),
+ *   bookingId / confirmationCode / tourStatus for customer messages,
+ *   deliveryId / fallback: the channels to try if it never arrives (delivery_fallback.js)
+ *
+ * Final states are rolled up once per SID into the send log
+ * (tour_status_sms/{id} or guide_sms_log/{id}):
+ *   delivery: { delivered, undelivered, failed }, undeliveredSms: [{ sid, to, status, errorCode }]
+ *
+ * Functions:
+ * - twilioSmsStatusCallback (HTTPS, Twilio-signed)
+ * - getUndeliveredOffMessages (callable): customers whose OFF message never arrived
+ */
+const { onRequest, onCall } = require('firebase-functions/v2/https');
+const { admin, db } = require('../utils/firebase');
+
+const STATUS_CALLBACK_URL = 'https://us-central1-aurora-viking-staff.cloudfunctions.net/twilioSmsStatusCallback';
+const FINAL_STATUSES = ['delivered', 'undelivered', 'failed', 'canceled', 'read'];
+const NOT_ARRIVED_STATUSES = ['undelivered', 'failed', 'canceled'];
+
+// Order of Twilio message states; a late callback never moves a message backwards
+const STATUS_ORDER = ['accepted', 'scheduled', 'queued', 'sending', 'sent', 'delivered', 'undelivered', 'failed', 'canceled', 'read'];
+
+// ============================================
+// HELPERS (pure)
+// ============================================
+
+function getSmsStatusCallbackUrl() {
+    return process.env.TWILIO_STATUS_CALLBACK_URL || STATUS_CALLBACK_URL;
+}
+
+/**
+ * Whether a callback status should replace the stored one
+ */
+function shouldApplyStatus(current, next) {
+    if (!next) return false;
+    if (!current) return true;
+    if (FINAL_STATUSES.includes(current)) {
+        // Only WhatsApp-style delivered → read moves on from a final state
+        return current === 'delivered' && next === 'read';
+    }
+    return STATUS_ORDER.indexOf(next) >= STATUS_ORDER.indexOf(current);
+}
+
+/**
+ * Rollup bucket for a final status
+ */
+function getRollupBucket(status) {
+    if (status === 'delivered' || status === 'read') return 'delivered';
+    if (status === 'undelivered') return 'undelivered';
+    if (status === 'failed' || status === 'canceled') return 'failed';
+    return null;
+}
+
+/**
+ * Bookings whose OFF message (as far as we know) never arrived.
+ * A booking counts as reached when an email was sent, a WhatsApp message was
+ * accepted, or an SMS was accepted and not later reported undelivered/failed,
+ * or a fallback sent after such a failure (fallbackAttempts) went out.
+ * Opted-out bookings are left out: they asked not to be contacted.
+ */
+function findUnreachedBookings(deliveries, smsStatusBySid) {
+    // Latest send per booking wins (e.g. a resend after fixing a number)
+    const latest = new Map();
+    for (const delivery of deliveries) {
+        const previous = latest.get(delivery.bookingId);
+        if (!previous || (delivery.createdAt || '') > (previous.createdAt || '')) {
+            latest.set(delivery.bookingId, delivery);
+        }
+    }
+
+    const unreached = [];
+    for (const delivery of latest.values()) {
+        if (delivery.skipReason === 'opted_out') continue;
+
+        // Fallback sends made after an SMS/WhatsApp failed later (delivery_fallback.js)
+        const attempts = [...(delivery.attempts || []), ...(delivery.fallbackAttempts || [])];
+        const smsProblems = [];
+        const reached = attempts.some(attempt => {
+            if (!attempt.ok) return false;
+            if (attempt.channel !== 'sms') return true;
+            const sms = smsStatusBySid[attempt.messageId];
+            if (sms && NOT_ARRIVED_STATUSES.includes(sms.status)) {
+                smsProblems.push({ sid: attempt.messageId, status: sms.status, errorCode: sms.errorCode || null });
+                return false;
+            }
+            return true;
+        });
+        if (reached) continue;
+
+        unreached.push({
+            bookingId: delivery.bookingId,
+            confirmationCode: delivery.confirmationCode || null,
+            customerName: delivery.customerName || null,
+            phone: delivery.phone || null,
+            email: delivery.email || null,
+            reason: delivery.skipReason ||
+                (smsProblems.length > 0 ? `sms_${smsProblems[0].status}` : 'send_failed'),
+            errors: [
+                ...attempts.filter(a => !a.ok).map(a => ({ channel: a.channel, error: a.error })),
+                ...smsProblems.map(p => ({ channel: 'sms', error: `${p.status}${p.errorCode ? ` (${p.errorCode})` : ''}` })),
+            ],
+        });
+    }
+
+    return unreached.sort((a, b) => (a.customerName || '').localeCompare(b.customerName || ''));
+}
+
+// ============================================
+// TRACKING
+// ============================================
+
+/**
+ * Roll a final status up into the send log, once per SID
+ */
+function rollUpFinalStatus(tx, message, status, errorCode) {
+    const bucket = getRollupBucket(status);
+    if (!bucket || !message.log?.collection || !message.log?.id) return;
+
+    const logRef = db.collection(message.log.collection).doc(message.log.id);
+    const update = {
+        delivery: { [bucket]: admin.firestore.FieldValue.increment(1) },
+        deliveryUpdatedAt: new Date().toISOString(),
+    };
+    if (bucket !== 'delivered') {
+        update.undeliveredSms = admin.firestore.FieldValue.arrayUnion({
+            sid: message.sid,
+            to: message.to || null,
+            status,
+            errorCode: errorCode || null,
+            bookingId: message.bookingId || null,
+        });
+    }
+    tx.set(logRef, update, { merge: true });
+}
+
+/**
+ * Remember a sent SMS so its status callbacks can be matched.
+ * context: { kind, log: { collection, id }, date, bookingId, confirmationCode, tourStatus, recipientId,
+ *   deliveryId, fallback }
+ */
+async function recordSmsSent(message, to, context = {}) {
+    if (!message?.sid) return;
+    const ref = db.collection('sms_messages').doc(message.sid);
+
+    await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const existing = doc.exists ? doc.data() : {};
+        const record = {
+            sid: message.sid,
+            to,
+            kind: context.kind || 'other',
+            log: context.log || null,
+            date: context.date || null,
+            bookingId: context.bookingId || null,
+            confirmationCode: context.confirmationCode || null,
+            tourStatus: context.tourStatus || null,
+            recipientId: context.recipientId || null,
+            deliveryId: context.deliveryId || null,
+            fallback: context.fallback || [],
+            sentAt: new Date().toISOString(),
+        };
+        if (!existing.status) {
+            record.status = message.status || 'queued';
+        } else if (FINAL_STATUSES.includes(existing.status) && !existing.rolledUp && record.log) {
+            // The callback beat us here: roll up now that we know the log
+            rollUpFinalStatus(tx, record, existing.status, existing.errorCode);
+            record.rolledUp = true;
+        }
+        tx.set(ref, record, { merge: true });
+    });
+}
+
+/**
+ * Apply one status callback to sms_messages/{sid}
+ */
+async function applySmsStatus(sid, status, errorCode) {
+    const ref = db.collection('sms_messages').doc(sid);
+    return await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const message = doc.exists ? doc.data() : { sid };
+        if (!shouldApplyStatus(message.status, status)) return 'ignored';
+
+        const now = new Date().toISOString();
+        const update = {
+            sid,
+            status,
+            errorCode: errorCode || null,
+            statusUpdatedAt: now,
+            history: { [status]: now },
+        };
+
+        const becomesFinal = FINAL_STATUSES.includes(status) && !FINAL_STATUSES.includes(message.status);
+        if (becomesFinal && message.log) {
+            rollUpFinalStatus(tx, message, status, errorCode);
+            update.rolledUp = true;
+        }
+        tx.set(ref, update, { merge: true });
+        return 'applied';
+    });
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Twilio message status callback
+ */
+const twilioSmsStatusCallback = onRequest(
+    {
+        region: 'us-central1',
+        secrets: ['TWILIO_AUTH_TOKEN'],
+    },
+    async (req, res) => {
+        if (req.method !== 'POST') {
+            res.status(405).send('Method not allowed');
+            return;
+        }
+
+        const twilio = require('twilio');
+        const signature = req.headers['x-twilio-signature'] || '';
+        const valid = twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, getSmsStatusCallbackUrl(), req.body || {});
+        if (!valid) {
+            console.log('🚫 Twilio status callback rejected: invalid signature');
+            res.status(403).send('Invalid signature');
+            return;
+        }
+
+        const { MessageSid, MessageStatus, ErrorCode } = req.body || {};
+        if (!MessageSid || !MessageStatus) {
+            res.status(400).send('MessageSid and MessageStatus are required');
+            return;
+        }
+
+        try {
+            const result = await applySmsStatus(MessageSid, String(MessageStatus).toLowerCase(), ErrorCode || null);
+            console.log(`📬 SMS ${MessageSid}: ${MessageStatus}${ErrorCode ? ` (${ErrorCode})` : ''} ${result}`);
+            res.status(204).send('');
+        } catch (error) {
+            // Twilio retries on 5xx
+            console.error(`❌ SMS status callback for ${MessageSid} failed:`, error);
+            res.status(500).send('Processing failed');
+        }
+    }
+);
+
+/**
+ * Customers whose OFF message never arrived, so staff can phone them ({ date })
+ */
+const getUndeliveredOffMessages = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('Authentication required');
+        }
+        const { date } = request.data || {};
+        if (!date) {
+            throw new Error('date is required');
+        }
+
+        const [deliveriesSnap, smsSnap] = await Promise.all([
+            db.collection('tour_status_deliveries').where('date', '==', date).get(),
+            db.collection('sms_messages').where('date', '==', date).get(),
+        ]);
+
+        const deliveries = deliveriesSnap.docs
+            .map(doc => ({ ...doc.data(), createdAt: doc.data().createdAt?.toDate?.()?.toISOString() || null }))
+            .filter(d => d.status === 'OFF');
+        const smsStatusBySid = {};
+        smsSnap.docs.forEach(doc => {
+            smsStatusBySid[doc.id] = { status: doc.data().status, errorCode: doc.data().errorCode };
+        });
+
+        const customers = findUnreachedBookings(deliveries, smsStatusBySid);
+        const pending = Object.values(smsStatusBySid).filter(s => !FINAL_STATUSES.includes(s.status)).length;
+
+        return { date, count: customers.length, pendingSmsStatuses: pending, customers };
+    }
+);
+
+module.exports = {
+    twilioSmsStatusCallback,
+    getUndeliveredOffMessages,
+    getSmsStatusCallbackUrl,
+    recordSmsSent,
+    NOT_ARRIVED_STATUSES,
+    // Exported for testing
+    shouldApplyStatus,
+    getRollupBucket,
+    findUnreachedBookings,
+    applySmsStatus,
+};
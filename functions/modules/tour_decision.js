@@ -0,0 +1,471 @@
+/**
+ * Tour Decision Module
+ * Weather-driven go/no-go decision support for the nightly ON/OFF call.
+ * Before the 15:00 tourStatusReminder we score tonight from:
+ * - cloud-cover truth: the latest satellite reading from the Aurora Advisor today
+ * - space weather: NOAA SWPC solar wind (Bz, speed, density) and Kp
+ * - moon and darkness (getMoonData / getDarknessHours from the Aurora Advisor)
+ * - active ai_learnings from the learning pipeline, quoted as supporting reasons
+ *
+ * The recommendation is attached to the reminder push. When an admin sets the
+ * status, the final decision is recorded next to the recommendation so we can
+ * measure how often they agree over the season.
+ *
+ * Collection: tour_decision_recommendations/{date}
+ *   recommendation ON|OFF, score 0-100, confidence, reasons[], inputs,
+ *   finalStatus, decidedBy, decidedAt, matched
+ *
+ * Functions:
+ * - tourDecisionRecommendation (daily 14:30): score tonight
+ * - getTourDecisionRecommendation (callable): show / refresh the recommendation
+ * - getTourDecisionAccuracy (callable): agreement with the final decisions
+ */
+const { onCall } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { admin, db } = require('../utils/firebase');
+const { getTodayDateString, isAuroraSeason } = require('../utils/dates');
+const { requireStaff } = require('../utils/staff');
+const { getMoonData, getDarknessHours } = require('../aurora_advisor');
+
+const SWPC_MAG_URL = 'https://services.swpc.noaa.gov/products/solar-wind/mag-2-hour.json';
+const SWPC_PLASMA_URL = 'https://services.swpc.noaa.gov/products/solar-wind/plasma-2-hour.json';
+const SWPC_KP_URL = 'https://services.swpc.noaa.gov/products/noaa-planetary-k-index.json';
+
+const ON_THRESHOLD = 50;          // Score needed to recommend ON
+const MAX_CLOUD_POINTS = 45;
+const MAX_SPACE_WEATHER_POINTS = 40;
+const MAX_LEARNING_REASONS = 3;
+const MIN_LEARNING_CONFIDENCE = 0.6;
+const LEARNING_CATEGORIES = ['space_weather', 'cloud_pattern', 'seasonal', 'correlation', 'timing'];
+
+const CLOUD_POINTS = {
+    mostly_clear: 45,
+    mixed: 20,
+    mostly_cloudy: 0,
+};
+const UNKNOWN_CLOUD_POINTS = 20;  // No satellite reading today: treat as mixed
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Tour nights are judged at 22:00 Iceland time (UTC+0)
+ */
+function getTourNight(dateString) {
+    return new Date(`${dateString}T22:00:00Z`);
+}
+
+// ============================================
+// SCORING (pure)
+// ============================================
+
+/**
+ * Same point scale as getQuickAuroraAssessment (max 85), scaled to MAX_SPACE_WEATHER_POINTS
+ */
+function scoreSpaceWeather(spaceWeather) {
+    const reasons = [];
+    let raw = 0;
+
+    const { bz, speed, kp } = spaceWeather;
+    if (typeof bz === 'number') {
+        if (bz < -10) raw += 40;
+        else if (bz < -5) raw += 25;
+        else if (bz < 0) raw += 10;
+        reasons.push(bz < -5 ? `Bz strongly south (${bz} nT)` :
+            bz < 0 ? `Bz slightly south (${bz} nT)` : `Bz north (${bz} nT)`);
+    }
+    if (typeof speed === 'number') {
+        if (speed > 500) raw += 20;
+        else if (speed > 400) raw += 15;
+        reasons.push(`Solar wind ${Math.round(speed)} km/s`);
+    }
+    if (typeof kp === 'number') {
+        if (kp >= 5) raw += 25;
+        else if (kp >= 4) raw += 20;
+        reasons.push(`Kp ${kp}`);
+    }
+
+    return {
+        points: Math.round(Math.min(raw, 85) / 85 * MAX_SPACE_WEATHER_POINTS),
+        reasons,
+    };
+}
+
+/**
+ * Pick the learnings worth quoting next to tonight's recommendation
+ */
+function selectLearningReasons(learnings) {
+    return (learnings || [])
+        .filter(l => l.isActive !== false && (l.confidence || 0) >= MIN_LEARNING_CONFIDENCE)
+        .filter(l => !l.category || LEARNING_CATEGORIES.includes(l.category))
+        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
+        .slice(0, MAX_LEARNING_REASONS)
+        .map(l => `Learning (${Math.round(l.confidence * 100)}%): ${l.insight}`);
+}
+
+/**
+ * Combine tonight's inputs into a scored ON/OFF recommendation.
+ * Clouds weigh most: a mostly cloudy sky cannot reach the ON threshold on
+ * space weather alone. No darkness at all is an automatic OFF.
+ *
+ * @param {object} inputs
+ * @param {object|null} inputs.cloudTruth - Aurora Advisor truthData ({ overall_assessment, clearest_directions })
+ * @param {object|null} inputs.spaceWeather - { bz, speed, density, kp }
+ * @param {object} inputs.moon - getMoonData() result
+ * @param {object} inputs.darkness - getDarknessHours() result
+ * @param {Array} inputs.learnings - active ai_learnings docs
+ * @returns {{ recommendation: 'ON'|'OFF', score: number, confidence: string, reasons: string[], breakdown: object }}
+ */
+function scoreGoNoGo({ cloudTruth, spaceWeather, moon, darkness, learnings }) {
+    const reasons = [];
+    const breakdown = {};
+
+    // Clouds
+    const assessment = cloudTruth?.overall_assessment;
+    if (Object.hasOwn(CLOUD_POINTS, assessment)) {
+        breakdown.clouds = CLOUD_POINTS[assessment];
+        const clearest = (cloudTruth.clearest_directions || []).join(', ');
+        reasons.push(`Satellite: ${assessment.replace('_', ' ')}${clearest ? ` (clearest ${clearest})` : ''}`);
+    } else {
+        breakdown.clouds = UNKNOWN_CLOUD_POINTS;
+        reasons.push('No satellite cloud reading today');
+    }
+
+    // Space weather
+    if (spaceWeather) {
+        const sw = scoreSpaceWeather(spaceWeather);
+        breakdown.spaceWeather = sw.points;
+        reasons.push(...sw.reasons);
+    } else {
+        breakdown.spaceWeather = 0;
+        reasons.push('No space weather data');
+    }
+
+    // Moon
+    breakdown.moon = 0;
+    if (moon) {
+        if (moon.illumination > 85) breakdown.moon = -10;
+        else if (moon.illumination > 50) breakdown.moon = -5;
+        if (breakdown.moon < 0) reasons.push(`${moon.phase}, ${moon.illumination}% illuminated`);
+    }
+
+    // Darkness
+    breakdown.darkness = 0;
+    const noDarkness = darkness && darkness.hoursOfDarkness === 0;
+    if (noDarkness) {
+        reasons.push('No darkness tonight');
+    } else if (darkness && darkness.hoursOfDarkness < 6) {
+        breakdown.darkness = -5;
+        reasons.push(`Only ${darkness.hoursOfDarkness} hours of darkness (from ${darkness.darknessStartsAt})`);
+    }
+
+    const total = breakdown.clouds + breakdown.spaceWeather + breakdown.moon + breakdown.darkness;
+    const score = Math.max(0, Math.min(100, Math.round(total * 100 / (MAX_CLOUD_POINTS + MAX_SPACE_WEATHER_POINTS))));
+    const recommendation = !noDarkness && score >= ON_THRESHOLD ? 'ON' : 'OFF';
+
+    // Confidence drops when an input is missing or the score is close to the threshold
+    const margin = Math.abs(score - ON_THRESHOLD);
+    let confidence = margin >= 20 ? 'high' : margin >= 10 ? 'medium' : 'low';
+    if (!Object.hasOwn(CLOUD_POINTS, assessment) || !spaceWeather) confidence = 'low';
+    if (noDarkness) confidence = 'high';
+
+    reasons.push(...selectLearningReasons(learnings));
+
+    return { recommendation, score, confidence, reasons, breakdown };
+}
+
+/**
+ * Agreement between recommendations and the final ON/OFF decisions
+ */
+function summarizeDecisionAccuracy(records) {
+    const decided = records.filter(r => r.recommendation && r.finalStatus);
+    const counts = { onOn: 0, onOff: 0, offOn: 0, offOff: 0 };
+    for (const r of decided) {
+        const key = `${r.recommendation.toLowerCase()}${r.finalStatus === 'ON' ? 'On' : 'Off'}`;
+        counts[key]++;
+    }
+    const matched = counts.onOn + counts.offOff;
+    return {
+        total: records.length,
+        decided: decided.length,
+        undecided: records.length - decided.length,
+        matched,
+        accuracy: decided.length > 0 ? Math.round(matched / decided.length * 1000) / 10 : null,
+        // recommended ON / OFF vs what was actually set
+        confusion: {
+            recommendedOnSetOn: counts.onOn,
+            recommendedOnSetOff: counts.onOff,
+            recommendedOffSetOn: counts.offOn,
+            recommendedOffSetOff: counts.offOff,
+        },
+        mismatches: decided
+            .filter(r => r.recommendation !== r.finalStatus)
+            .map(r => ({ date: r.date, recommendation: r.recommendation, finalStatus: r.finalStatus, score: r.score })),
+    };
+}
+
+/**
+ * Latest value of a column from a SWPC products table
+ * (array of rows with a header row, or array of objects)
+ */
+function latestSwpcValue(table, column) {
+    if (!Array.isArray(table) || table.length === 0) return null;
+    let rows = table;
+    let getValue = row => row[column];
+    if (Array.isArray(table[0])) {
+        const index = table[0].indexOf(column);
+        if (index === -1) return null;
+        rows = table.slice(1);
+        getValue = row => row[index];
+    }
+    for (let i = rows.length - 1; i >= 0; i--) {
+        const value = parseFloat(getValue(rows[i]));
+        if (!isNaN(value)) return value;
+    }
+    return null;
+}
+
+// ============================================
+// DATA GATHERING
+// ============================================
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Current space weather from NOAA SWPC. Falls back to what the Aurora Advisor
+ * last logged today when NOAA is unreachable.
+ */
+async function fetchSpaceWeather(fallback) {
+    try {
+        const [mag, plasma, kp] = await Promise.all([
+            fetchJson(SWPC_MAG_URL),
+            fetchJson(SWPC_PLASMA_URL),
+            fetchJson(SWPC_KP_URL),
+        ]);
+        return {
+            bz: latestSwpcValue(mag, 'bz_gsm'),
+            speed: latestSwpcValue(plasma, 'speed'),
+            density: latestSwpcValue(plasma, 'density'),
+            kp: latestSwpcValue(kp, 'Kp'),
+            source: 'noaa_swpc',
+        };
+    } catch (error) {
+        console.error('⚠️ NOAA space weather unavailable:', error.message);
+        return fallback ? { ...fallback, source: 'aurora_advisor' } : null;
+    }
+}
+
+/**
+ * Most recent Aurora Advisor reading logged today (satellite cloud truth)
+ */
+async function getLatestAdvisorReading(dateString) {
+    const snapshot = await db.collection('ai_recommendations_v2')
+        .where('timestamp', '>=', new Date(`${dateString}T00:00:00Z`))
+        .orderBy('timestamp', 'desc')
+        .limit(1)
+        .get();
+    if (snapshot.empty) return null;
+    const data = snapshot.docs[0].data();
+    return {
+        id: snapshot.docs[0].id,
+        at: data.timestamp?.toDate?.()?.toISOString() || null,
+        truthData: data.truthData || null,
+        spaceWeather: data.factors?.spaceWeather || null,
+    };
+}
+
+async function getActiveLearnings() {
+    const snapshot = await db.collection('ai_learnings')
+        .where('isActive', '==', true)
+        .orderBy('confidence', 'desc')
+        .limit(20)
+        .get();
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Score a night and store it in tour_decision_recommendations/{date}.
+ * A recommendation that already has a final decision is left as it was.
+ */
+async function createTourDecisionRecommendation(dateString, triggeredBy = 'schedule') {
+    const ref = db.collection('tour_decision_recommendations').doc(dateString);
+    const existing = await ref.get();
+    if (existing.exists && existing.data().finalStatus) {
+        return existing.data();
+    }
+
+    const tourNight = getTourNight(dateString);
+    const [advisorReading, learnings] = await Promise.all([
+        getLatestAdvisorReading(dateString),
+        getActiveLearnings(),
+    ]);
+    const spaceWeather = await fetchSpaceWeather(advisorReading?.spaceWeather);
+    const moon = getMoonData(tourNight);
+    const darkness = getDarknessHours(tourNight);
+
+    const result = scoreGoNoGo({
+        cloudTruth: advisorReading?.truthData,
+        spaceWeather,
+        moon,
+        darkness,
+        learnings,
+    });
+
+    const record = {
+        date: dateString,
+        ...result,
+        inputs: {
+            cloudAssessment: advisorReading?.truthData?.overall_assessment || null,
+            advisorReadingId: advisorReading?.id || null,
+            advisorReadingAt: advisorReading?.at || null,
+            spaceWeather,
+            moon,
+            darkness: {
+                startsAt: darkness.darknessStartsAt,
+                endsAt: darkness.darknessEndsAt,
+                hoursOfDarkness: darkness.hoursOfDarkness,
+            },
+            learningIds: learnings.map(l => l.id),
+        },
+        triggeredBy,
+        generatedAt: new Date().toISOString(),
+        finalStatus: null,
+    };
+
+    await ref.set(record);
+    console.log(`🧭 Tour decision for ${dateString}: ${result.recommendation} (score ${result.score}, ${result.confidence})`);
+    return record;
+}
+
+/**
+ * Today's stored recommendation, scoring it now if the morning run did not.
+ * Never throws: decision support must not block the reminder or setTourStatus.
+ */
+async function getTourDecisionRecommendationSafely(dateString) {
+    try {
+        const doc = await db.collection('tour_decision_recommendations').doc(dateString).get();
+        if (doc.exists) return doc.data();
+        if (dateString !== getTodayDateString()) return null;
+        return await createTourDecisionRecommendation(dateString, 'on_demand');
+    } catch (error) {
+        console.error(`⚠️ Tour decision recommendation unavailable for ${dateString}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Record the admin's final decision next to the recommendation
+ */
+async function recordTourDecisionOutcome(dateString, status, decidedBy, recommendation) {
+    if (!recommendation) return;
+    try {
+        await db.collection('tour_decision_recommendations').doc(dateString).set({
+            finalStatus: status,
+            decidedBy,
+            decidedAt: admin.firestore.FieldValue.serverTimestamp(),
+            matched: recommendation.recommendation === status,
+        }, { merge: true });
+    } catch (error) {
+        console.error(`⚠️ Could not record tour decision outcome for ${dateString}: ${error.message}`);
+    }
+}
+
+/**
+ * One-line summary for the reminder push
+ */
+function formatRecommendationLine(recommendation) {
+    const topReasons = recommendation.reasons.slice(0, 2).join('; ');
+    return `Suggested: ${recommendation.recommendation} (${recommendation.score}/100, ${recommendation.confidence} confidence) - ${topReasons}`;
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Score tonight before the 15:00 tour status reminder
+ */
+const tourDecisionRecommendation = onSchedule(
+    {
+        schedule: '30 14 * * *', // 14:30, ahead of tourStatusReminder
+        region: 'us-central1',
+        timeZone: 'Atlantic/Reykjavik',
+    },
+    async () => {
+        if (!isAuroraSeason()) {
+            console.log('☀️ Not in aurora season, skipping tour decision');
+            return;
+        }
+        await createTourDecisionRecommendation(getTodayDateString());
+    }
+);
+
+/**
+ * Get the recommendation for a date ({ date, refresh })
+ * Anyone logged in can read it; refresh recomputes and overwrites the stored
+ * recommendation, so it needs an admin or staff role (utils/staff.js).
+ */
+const getTourDecisionRecommendation = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('You must be logged in to view the tour decision');
+        }
+
+        const { date, refresh = false } = request.data || {};
+        const dateString = date || getTodayDateString();
+
+        if (refresh) {
+            await requireStaff(request, 'refresh the tour decision');
+            return { recommendation: await createTourDecisionRecommendation(dateString, request.auth.uid) };
+        }
+        const doc = await db.collection('tour_decision_recommendations').doc(dateString).get();
+        return { recommendation: doc.exists ? doc.data() : null };
+    }
+);
+
+/**
+ * How often the recommendation matched the final decision ({ from, to } as YYYY-MM-DD)
+ */
+const getTourDecisionAccuracy = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('You must be logged in to view decision accuracy');
+        }
+
+        const { from, to } = request.data || {};
+        if (!from || !to) {
+            throw new Error('from and to dates are required');
+        }
+
+        const snapshot = await db.collection('tour_decision_recommendations')
+            .where('date', '>=', from)
+            .where('date', '<=', to)
+            .get();
+        const records = snapshot.docs.map(d => d.data());
+
+        return { from, to, ...summarizeDecisionAccuracy(records) };
+    }
+);
+
+module.exports = {
+    tourDecisionRecommendation,
+    getTourDecisionRecommendation,
+    getTourDecisionAccuracy,
+    getTourDecisionRecommendationSafely,
+    recordTourDecisionOutcome,
+    formatRecommendationLine,
+    // Exported for testing
+    scoreGoNoGo,
+    scoreSpaceWeather,
+    summarizeDecisionAccuracy,
+    latestSwpcValue,
+};
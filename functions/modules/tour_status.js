@@ -5,12 +5,37 @@
 const { onRequest, onCall } = require('firebase-functions/v2/https');
 const { onSchedule } = require('firebase-functions/v2/scheduler');
 const { google } = require('googleapis');
-const https = require('https');
-const crypto = require('crypto');
 const { admin, db } = require('../utils/firebase');
+const { searchBookingsForDate, isBokunOutage } = require('../utils/bokun_client');
 const { sendNotificationToAdminsOnly } = require('../utils/notifications');
-const { disruptDeparture } = require('./departure_disruption');
-const { sendCancellationSmsInternal, sendOnSmsInternal } = require('./sms');
+const { filterBookingsByDepartures, isCancelledBooking, toCachedBooking } = require('../utils/bokun_booking');
+const { resolveLanguage, translate, translator, formatDateList } = require('../utils/i18n');
+const { disruptDeparture, reopenDeparture } = require('./departure_disruption');
+const { sendSmsMessage, buildCancellationSms, buildOnSms } = require('./sms');
+const { isWhatsAppConfigured } = require('../utils/whatsapp_client');
+const { sendWhatsAppNotification } = require('./whatsapp');
+const { getTodayDateString, isAuroraSeason } = require('../utils/dates');
+const { isStaffUser } = require('../utils/staff');
+const {
+    lookupCustomerPreferences,
+    findCustomerForContact,
+    normalizePhone,
+    resolvePreferences,
+    planDeliveryChannels,
+} = require('./notification_preferences');
+const { createRebookingOffers } = require('./rebooking_offers');
+const {
+    TOUR_STATUS_TEMPLATE_IDS,
+    loadTourStatusTemplates,
+    renderAutomatedTemplate,
+    buildTemplateVariables,
+    textToEmailHtml,
+} = require('./message_templates');
+const {
+    getTourDecisionRecommendationSafely,
+    recordTourDecisionOutcome,
+    formatRecommendationLine,
+} = require('./tour_decision');
 
 // Gmail OAuth2 client setup
 function getGmailOAuth2Client(clientId, clientSecret) {
@@ -54,20 +79,21 @@ async function getGmailClient(email, clientId, clientSecret) {
 
 
 
-// Default cancellation body text
-const DEFAULT_CANCEL_EMAIL_BODY = 'Unfortunately the conditions are not favorable tonight giving us slim chances of being able to observe the Northern Lights.';
-
-// Build HTML OFF (cancellation) email
-function buildOffEmailHtml(firstName, confirmationCode, email, fullName, customBody) {
+// Build HTML OFF (cancellation) email in the guest's language (utils/i18n.js)
+// offer: rebooking offer { link, dates, datesText } - the button then opens the portal with those nights preselected
+function buildOffEmailHtml(firstName, confirmationCode, email, fullName, customBody, offer, language = 'en') {
+    const t = translator(language);
     let portalUrl = 'https://www.auroraviking.com/bookings';
     const params = [];
     if (confirmationCode) params.push(`code=${encodeURIComponent(confirmationCode)}`);
     if (email) params.push(`email=${encodeURIComponent(email)}`);
     if (fullName) params.push(`name=${encodeURIComponent(fullName)}`);
     if (params.length > 0) portalUrl += '?' + params.join('&');
+    if (offer?.link) portalUrl = offer.link;
+    const datesText = offer?.dates?.length ? formatDateList(offer.dates, language) : offer?.datesText;
 
     return `<!DOCTYPE html>
-<html>
+<html lang="${language}">
 <head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
 <body style="margin:0;padding:0;background:#1a1a2e;font-family:Arial,Helvetica,sans-serif;">
 <table width="100%" cellpadding="0" cellspacing="0" style="background:#1a1a2e;padding:20px 0;">
@@ -75,19 +101,20 @@ function buildOffEmailHtml(firstName, confirmationCode, email, fullName, customB
 <table width="600" cellpadding="0" cellspacing="0" style="background:#16213e;border-radius:12px;overflow:hidden;max-width:100%;">
   <tr><td style="background:linear-gradient(135deg,#0f3460,#533483);padding:30px;text-align:center;">
     <h1 style="color:#e94560;margin:0;font-size:22px;letter-spacing:1px;">AURORA VIKING</h1>
-    <p style="color:#ccc;margin:8px 0 0;font-size:13px;">Tour Status Update</p>
+    <p style="color:#ccc;margin:8px 0 0;font-size:13px;">${t('email.off.header')}</p>
   </td></tr>
   <tr><td style="padding:30px;color:#e0e0e0;font-size:15px;line-height:1.7;">
-    <p>Hello ${firstName || 'everyone'}!</p>
-    <p><strong style="color:#e94560;font-size:17px;">The Northern Lights tour tonight is cancelled.</strong></p>
-    <p>${customBody || DEFAULT_CANCEL_EMAIL_BODY}</p>
-    <p>Please let us know what you want to do, if you want to reschedule or otherwise, we need to hear from you so we don't have to worry that you didn't receive this message and will be waiting for us to show up tonight when we aren't going to be.</p>
-    <p>Get <strong style="color:#00b894;">instant confirmation</strong> of a reschedule or cancellation by using our Booking Management Portal below. Email correspondence may take some time to process.</p>
+    <p>${t('email.off.greeting', { firstName: firstName || t('email.off.everyone') })}</p>
+    <p><strong style="color:#e94560;font-size:17px;">${t('email.off.headline')}</strong></p>
+    <p>${customBody || t('email.off.defaultBody')}</p>
+    ${datesText ? `<p>${t('email.off.offerDates', { dates: `<strong style="color:#00b894;">${datesText}</strong>` })}</p>` : ''}
+    <p>${t('email.off.letUsKnow')}</p>
+    <p>${t('email.off.instantConfirmation', { instant: `<strong style="color:#00b894;">${t('email.off.instant')}</strong>` })}</p>
     <div style="text-align:center;margin:25px 0;">
-      <a href="${portalUrl}" style="display:inline-block;background:linear-gradient(135deg,#00b894,#00cec9);color:#fff;text-decoration:none;padding:14px 32px;border-radius:8px;font-weight:bold;font-size:16px;letter-spacing:0.5px;">Go to Booking Portal</a>
-      <p style="color:#aaa;font-size:13px;margin-top:12px;">Your booking reference is: <strong style="color:#e0e0e0;font-size:14px;">${confirmationCode || 'N/A'}</strong><br>Enter it in the Booking Portal if prompted.</p>
+      <a href="${portalUrl}" style="display:inline-block;background:linear-gradient(135deg,#00b894,#00cec9);color:#fff;text-decoration:none;padding:14px 32px;border-radius:8px;font-weight:bold;font-size:16px;letter-spacing:0.5px;">${t('email.off.button')}</a>
+      <p style="color:#aaa;font-size:13px;margin-top:12px;">${t('email.off.reference', { code: `<strong style="color:#e0e0e0;font-size:14px;">${confirmationCode || t('common.notAvailable')}</strong>` })}<br>${t('email.off.enterReference')}</p>
     </div>
-    <p>All the best and fingers crossed for better conditions.<br>
+    <p>${t('email.off.signoff')}<br>
     <strong>Kobe and Emil.</strong></p>
   </td></tr>
   <tr><td style="background:#0f3460;padding:20px;text-align:center;color:#888;font-size:12px;">
@@ -98,10 +125,12 @@ function buildOffEmailHtml(firstName, confirmationCode, email, fullName, customB
 </body></html>`;
 }
 
-// Build HTML ON (confirmation) email with pickup info
-function buildOnEmailHtml(firstName, pickupLocation, startTime) {
+// Build HTML ON (confirmation) email with pickup info, in the guest's language
+function buildOnEmailHtml(firstName, pickupLocation, startTime, language = 'en') {
+    const t = translator(language);
+    const time = startTime || t('email.on.scheduledTime');
     return `<!DOCTYPE html>
-<html>
+<html lang="${language}">
 <head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
 <body style="margin:0;padding:0;background:#1a1a2e;font-family:Arial,Helvetica,sans-serif;">
 <table width="100%" cellpadding="0" cellspacing="0" style="background:#1a1a2e;padding:20px 0;">
@@ -109,153 +138,76 @@ function buildOnEmailHtml(firstName, pickupLocation, startTime) {
 <table width="600" cellpadding="0" cellspacing="0" style="background:#16213e;border-radius:12px;overflow:hidden;max-width:100%;">
   <tr><td style="background:linear-gradient(135deg,#0f3460,#1b4332);padding:30px;text-align:center;">
     <h1 style="color:#00b894;margin:0;font-size:22px;letter-spacing:1px;">AURORA VIKING</h1>
-    <p style="color:#ccc;margin:8px 0 0;font-size:13px;">Tour Confirmation</p>
+    <p style="color:#ccc;margin:8px 0 0;font-size:13px;">${t('email.on.header')}</p>
   </td></tr>
   <tr><td style="padding:30px;color:#e0e0e0;font-size:15px;line-height:1.7;">
-    <p>Hi ${firstName || 'there'},</p>
-    <p><strong style="color:#00b894;font-size:18px;">THE TOUR IS ON TONIGHT! 🌌</strong></p>
+    <p>${t('common.hi', { firstName: firstName || t('common.there') })}</p>
+    <p><strong style="color:#00b894;font-size:18px;">${t('email.on.headline')}</strong></p>
     ${pickupLocation ? `
     <div style="background:#1a1a2e;border-left:4px solid #00b894;padding:15px 20px;margin:15px 0;border-radius:0 8px 8px 0;">
-      <p style="margin:0 0 5px;color:#00b894;font-weight:bold;font-size:13px;">YOUR PICKUP DETAILS</p>
+      <p style="margin:0 0 5px;color:#00b894;font-weight:bold;font-size:13px;">${t('email.on.pickupDetails')}</p>
       <p style="margin:0;font-size:15px;">📍 <strong>${pickupLocation}</strong></p>
-      ${startTime ? `<p style="margin:5px 0 0;font-size:15px;">🕐 Be ready at <strong>${startTime}</strong></p>` : ''}
+      ${startTime ? `<p style="margin:5px 0 0;font-size:15px;">🕐 ${t('email.on.beReadyAt', { time: `<strong>${startTime}</strong>` })}</p>` : ''}
     </div>` : ''}
-    <p>The pickup can last up to half an hour and it starts at ${startTime || 'the scheduled time'}. That means you have to be ready at your pickup${pickupLocation ? ` (${pickupLocation})` : ''} at ${startTime || 'the scheduled time'} but if you are not the first pickup you might have to wait a few minutes.</p>
-    <p>So if the bus isn't there at ${startTime || 'the scheduled time'} <strong>don't panic</strong> :) Most likely you are not the first pickup and you might have to wait a few minutes for it to arrive.</p>
-    <p><strong style="color:#e94560;">DRESS WELL.</strong> If you get cold waiting outside for a few minutes you might not be dressed to stand outside looking at the northern lights. You have travelled to ICE-land so yes it can get really cold.</p>
-    <p>Our minibuses are white with a black <strong>"AURORA VIKING"</strong> logo on the side. We sometimes lease other buses so just listen for your name being called.</p>
-    <p>If your guide does not spot you at the pick up location he might jump out of the minibus and bellow your name, like a true Viking, usually causing fear and dismay amongst the people waiting for their pick ups. <em>Do not be alarmed.</em></p>
-    <p>If we can't find you at your pick up location we will call and send an email, if you don't reply or answer within 3 minutes we will be assuming that you can't make it on the tour and continue with the pick up.</p>
-    <p><strong>Make sure you use the bathroom before you head to the pick up location.</strong> Access to toilets can be limited during the tour.</p>
-    <p style="color:#aaa;font-size:13px;">You can find your pickup location on Google Maps (for example write "Bus stop 1" for that pickup etc) but note that if your pickup is at Bus stop 8 you can write "Hallgrimstorg" for the exact location. If your pickup location is at Bus stop 15 or Bus stop 17 then if you look up "Maritime Museum" on Google Maps you'll find it.</p>
+    <p>${t('email.on.pickupWindow', { time, place: pickupLocation ? ` (${pickupLocation})` : '' })}</p>
+    <p>${t('email.on.dontPanic', { time })}</p>
+    <p><strong style="color:#e94560;">${t('email.on.dressWellTitle')}</strong> ${t('email.on.dressWell')}</p>
+    <p>${t('email.on.buses')}</p>
+    <p>${t('email.on.guideShout')}</p>
+    <p>${t('email.on.missedPickup')}</p>
+    <p>${t('email.on.bathroom')}</p>
+    <p style="color:#aaa;font-size:13px;">${t('email.on.mapsTip')}</p>
   </td></tr>
   <tr><td style="background:#0f3460;padding:20px;text-align:center;color:#888;font-size:12px;line-height:1.6;">
-    <strong style="color:#e0e0e0;">Having problems with your pickup?</strong><br>
-    Email: <a href="mailto:info@auroraviking.com" style="color:#4fc3f7;">info@auroraviking.com</a> (we reply promptly around pickup time)<br>
-    Call: <strong style="color:#e0e0e0;">+354 784 4000</strong>
+    <strong style="color:#e0e0e0;">${t('email.on.problems')}</strong><br>
+    ${t('email.on.problemsEmail', { email: '<a href="mailto:info@auroraviking.com" style="color:#4fc3f7;">info@auroraviking.com</a>' })}<br>
+    ${t('email.on.problemsCall', { phone: '<strong style="color:#e0e0e0;">+354 784 4000</strong>' })}
   </td></tr>
 </table>
 </td></tr></table>
 </body></html>`;
 }
 
-// Fetch bookings for a specific date from Bokun
+// Fetch bookings for a specific date from Bokun.
+// Throws a BokunError when Bokun can't answer, so "no bookings" always means no bookings.
 async function fetchBookingsForDate(dateString, accessKey, secretKey) {
-    const path = '/booking.json/product-booking-search';
-    const method = 'POST';
-
-    // Date range for the specific day
-    const startOfDay = `${dateString}T00:00:00Z`;
-    const endOfDay = `${dateString}T23:59:59Z`;
-
-    const requestBody = JSON.stringify({
-        pageSize: 500,
-        page: 0,
-        filters: {
-            startDateRange: {
-                from: startOfDay,
-                to: endOfDay
-            },
-            confirmed: true
-        }
-    });
-
-    const bokunDate = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-    const signatureString = bokunDate + accessKey + method + path;
-    const signature = crypto.createHmac('sha1', secretKey).update(signatureString).digest('base64');
-
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'api.bokun.io',
-            path,
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(requestBody),
-                'X-Bokun-AccessKey': accessKey,
-                'X-Bokun-Date': bokunDate,
-                'X-Bokun-Signature': signature,
-            },
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const result = JSON.parse(data);
-                        resolve(result.items || []);
-                    } catch (e) {
-                        resolve([]);
-                    }
-                } else {
-                    console.log(`Bokun API error: ${res.statusCode}`);
-                    resolve([]);
-                }
-            });
-        });
-
-        req.on('error', (e) => {
-            console.error('Bokun request error:', e);
-            resolve([]);
-        });
-        req.write(requestBody);
-        req.end();
-    });
+    return await searchBookingsForDate(dateString, { accessKey, secretKey });
 }
 
-// Extract customer data from cached bookings (supports both cached and Bokun formats)
-function extractCustomerData(bookings) {
-    const emails = new Set();
-    const customerData = [];
-
-    for (const booking of bookings) {
-        // Support cached_bookings fields (flat) and Bokun API fields (nested)
-        const email = booking.email ||
-            booking.customer?.email ||
-            booking.customer?.emailAddress ||
-            booking.contact?.email;
-
-        if (!email || emails.has(email.toLowerCase())) continue;
-        emails.add(email.toLowerCase());
-
-        // Extract first name
-        const fullName = booking.customerFullName ||
-            ((booking.customer?.firstName || '') + ' ' + (booking.customer?.lastName || '')).trim() ||
-            'Valued Customer';
-        const firstName = fullName.split(' ')[0] || 'there';
-
-        // Extract pickup info (from cached_bookings)
-        const pickupLocation = booking.pickupPlaceName || '';
-        const departureTime = booking.departureTime || '';
-        const confirmationCode = booking.confirmationCode || '';
-
-        customerData.push({
-            email: email.toLowerCase(),
-            firstName,
-            fullName,
-            pickupLocation,
-            departureTime,
-            confirmationCode,
-            bookingId: booking.bookingId || booking.id || confirmationCode,
-        });
-    }
-
-    return customerData;
+// Contact details of one booking (supports both cached and Bokun formats)
+function getBookingContact(booking) {
+    // Support cached_bookings fields (flat) and Bokun API fields (nested)
+    const email = booking.email ||
+        booking.customer?.email ||
+        booking.customer?.emailAddress ||
+        booking.contact?.email || '';
+    const phone = booking.customerPhone || booking.phoneNumber ||
+        booking.phone || booking.customer?.phoneNumber ||
+        booking.customer?.phone || '';
+
+    // Extract first name
+    const fullName = booking.customerFullName ||
+        ((booking.customer?.firstName || '') + ' ' + (booking.customer?.lastName || '')).trim() ||
+        'Valued Customer';
+    const firstName = fullName.split(' ')[0] || 'there';
+    const confirmationCode = booking.confirmationCode || '';
+
+    return {
+        email: email ? email.toLowerCase() : null,
+        phone: normalizePhone(phone),
+        firstName,
+        fullName,
+        // Pickup info (from cached_bookings)
+        pickupLocation: booking.pickupPlaceName || booking.pickupLocation || '',
+        departureTime: booking.departureTime || '',
+        confirmationCode,
+        bookingId: String(booking.bookingId || booking.id || confirmationCode),
+        // Bokun booking language (cached_bookings), see utils/i18n.js
+        language: booking.language || null,
+    };
 }
 
 
-/**
- * Get today's date in YYYY-MM-DD format (Iceland timezone)
- */
-function getTodayDateString() {
-    const now = new Date();
-    // Iceland is UTC+0 year-round
-    const icelandDate = new Date(now.toLocaleString('en-US', { timeZone: 'Atlantic/Reykjavik' }));
-    return icelandDate.toISOString().split('T')[0];
-}
-
 /**
  * Format date for display (e.g., "21.JAN")
  */
@@ -267,20 +219,6 @@ function formatDateForDisplay(dateString) {
     return `${day}.${month}`;
 }
 
-/**
- * Check if we're in aurora season (mid-August to end of April)
- */
-function isAuroraSeason() {
-    const now = new Date();
-    const month = now.getMonth() + 1; // 1-12
-    const day = now.getDate();
-
-    // Aurora season: August 15 - April 30
-    if (month >= 5 && month <= 7) return false; // May, June, July - definitely not
-    if (month === 8 && day < 15) return false; // Before August 15
-    return true; // August 15+ through April
-}
-
 // ============================================
 // CLOUD FUNCTIONS
 // ============================================
@@ -344,81 +282,122 @@ const getTourStatus = onRequest(
 );
 
 /**
- * Internal function to send tour status emails
- * Now uses cached_bookings (same as pickup menu) and sends individual personalized HTML emails
+ * Bookings to notify for a date: cached_bookings (same as pickup menu), Bokun when
+ * nothing is cached yet, plus manual bookings; options.departures narrows it down.
+ * Returns { bookings } or { error, bokunUnavailable } when Bokun could not be reached.
  */
-async function sendTourStatusEmailsInternal(dateString, status, sentByUid, customEmailBody) {
-    console.log(`📧 [Internal] Sending ${status} emails for ${dateString}...`);
-
-    const clientId = process.env.GMAIL_CLIENT_ID;
-    const clientSecret = process.env.GMAIL_CLIENT_SECRET;
-
-    if (!clientId || !clientSecret) {
-        console.log('⚠️ Gmail keys not available - skipping email send');
-        return { success: false, emailsSent: 0, error: 'Gmail keys not configured' };
-    }
-
-    try {
-        // Fetch bookings from cached_bookings (same source as pickup menu)
-        console.log('📋 Fetching cached bookings for date...');
-        let bookings = [];
-        const cachedDoc = await db.collection('cached_bookings').doc(dateString).get();
-        if (cachedDoc.exists) {
-            const data = cachedDoc.data();
-            bookings = data.bookings || [];
+async function loadTourStatusBookings(dateString, status, options = {}) {
+    console.log('📋 Fetching cached bookings for date...');
+    let bookings = [];
+    const cachedDoc = await db.collection('cached_bookings').doc(dateString).get();
+    if (cachedDoc.exists) {
+        const data = cachedDoc.data();
+        bookings = data.bookings || [];
+    } else {
+        // Nothing cached for this date yet: ask Bokun directly
+        console.log('📋 No cached bookings, fetching from Bokun...');
+        try {
+            const bokunBookings = await fetchBookingsForDate(dateString, process.env.BOKUN_ACCESS_KEY, process.env.BOKUN_SECRET_KEY);
+            // Same shape as cached_bookings, so departure filtering and pickup info work
+            bookings = bokunBookings.filter(b => !isCancelledBooking(b)).map(toCachedBooking).filter(Boolean);
+        } catch (bokunError) {
+            const outage = isBokunOutage(bokunError);
+            console.error(`❌ Could not load bookings from Bokun (${bokunError.name}): ${bokunError.message}`);
+            await sendNotificationToAdminsOnly(
+                '⚠️ Tour Status Messages Not Sent',
+                `No cached bookings for ${dateString} and ${outage ? 'Bokun is not responding' : 'the Bokun request failed'}. Customers have NOT been told the ${status} status.`,
+                { type: 'tour_status_bokun_error', date: dateString, status }
+            );
+            return { bookings: [], bokunUnavailable: outage, error: `Could not load bookings from Bokun: ${bokunError.message}` };
         }
+    }
 
-        // Also merge manual bookings
-        const manualSnap = await db.collection('manual_bookings')
-            .where('date', '==', dateString)
-            .get();
-        manualSnap.docs.forEach(doc => {
-            const manual = doc.data().booking;
-            if (manual) bookings.push(manual);
-        });
-
-        console.log(`📋 Found ${bookings.length} bookings`);
-
-        if (bookings.length === 0) {
-            return { success: true, emailsSent: 0, message: 'No bookings found' };
-        }
+    // Also merge manual bookings
+    const manualSnap = await db.collection('manual_bookings')
+        .where('date', '==', dateString)
+        .get();
+    manualSnap.docs.forEach(doc => {
+        const manual = doc.data().booking;
+        if (manual) bookings.push(manual);
+    });
 
-        // Extract customer data with pickup info
-        const customers = extractCustomerData(bookings);
-        console.log(`👥 Found ${customers.length} unique customers with emails`);
+    if (options.departures) {
+        bookings = filterBookingsByDepartures(bookings, options.departures);
+    }
+    return { bookings };
+}
 
-        if (customers.length === 0) {
-            return { success: true, emailsSent: 0, message: 'No customer emails found' };
+/**
+ * Build the message for one booking on one channel, from the stored
+ * template (options.templates, see message_templates.js) in the customer's
+ * language when there is one, otherwise the built-in text in that language
+ * (utils/i18n.js). A template with a placeholder nothing fills in falls back
+ * to the built-in text too.
+ */
+function buildTourStatusMessage(channel, status, contact, options, language) {
+    const offer = options.rebookingOffers?.[contact.confirmationCode];
+    const templateId = TOUR_STATUS_TEMPLATE_IDS[status]?.[channel === 'email' ? 'email' : 'sms'];
+    const template = options.templates?.[templateId];
+    const rendered = template && renderAutomatedTemplate(template, language, buildTemplateVariables(contact, {
+        offer,
+        tourDate: options.date,
+        customMessage: status === 'OFF' ? (channel === 'email' ? options.customEmailBody : options.customSmsBody) : undefined,
+    }));
+    if (rendered) {
+        if (channel === 'email') {
+            return {
+                subject: rendered.subject || translate(language, status === 'OFF' ? 'email.off.subject' : 'email.on.subject'),
+                body: template.format === 'html' ? rendered.body : textToEmailHtml(rendered.body),
+                templateId,
+            };
         }
+        return { body: rendered.body, templateId };
+    }
 
-        // Setup Gmail client
-        const fromEmail = 'info@auroraviking.com';
-        const gmail = await getGmailClient(fromEmail, clientId, clientSecret);
-
-        // Email subject lines
-        const subject = status === 'OFF'
-            ? 'Aurora Viking - Tonight\'s Tour Cancelled'
-            : 'Aurora Viking - Tonight\'s Tour is ON! 🌌';
-
-        // Send individual personalized emails
-        let emailsSent = 0;
-        const failedEmails = [];
+    if (channel === 'email') {
+        return {
+            subject: translate(language, status === 'OFF' ? 'email.off.subject' : 'email.on.subject'),
+            body: status === 'OFF'
+                ? buildOffEmailHtml(contact.firstName, contact.confirmationCode, contact.email, contact.fullName, options.customEmailBody, offer, language)
+                : buildOnEmailHtml(contact.firstName, contact.pickupLocation, contact.departureTime, language),
+        };
+    }
+    // SMS and WhatsApp carry the same text
+    return {
+        body: status === 'OFF'
+            ? buildCancellationSms(contact.firstName, contact.confirmationCode, options.customSmsBody, offer, language)
+            : buildOnSms(contact.firstName, contact.pickupLocation, contact.departureTime, language),
+    };
+}
 
-        for (const customer of customers) {
-            // Build personalized HTML body
-            const htmlBody = status === 'OFF'
-                ? buildOffEmailHtml(customer.firstName, customer.confirmationCode, customer.email, customer.fullName, customEmailBody)
-                : buildOnEmailHtml(customer.firstName, customer.pickupLocation, customer.departureTime);
+/**
+ * Senders per channel. The Gmail client is created on first use, so a broken
+ * Gmail setup only fails the email attempts (which then fall back).
+ * SMS are sent with delivery tracking (smsTracking, see sms_status.js);
+ * WhatsApp goes as text inside the 24-hour window, as the notification
+ * template outside it (whatsapp.js). tracking: { deliveryId, fallback } so a
+ * later delivery failure still tries the next channel (delivery_fallback.js).
+ */
+function createTourStatusSenders(smsTracking = null) {
+    const fromEmail = 'info@auroraviking.com';
+    let gmailPromise = null;
+
+    return {
+        email: async (to, message) => {
+            if (!gmailPromise) {
+                gmailPromise = getGmailClient(fromEmail, process.env.GMAIL_CLIENT_ID, process.env.GMAIL_CLIENT_SECRET);
+            }
+            const gmail = await gmailPromise;
 
             // Build MIME email
             const emailLines = [
                 `From: Aurora Viking <${fromEmail}>`,
-                `To: ${customer.email}`,
-                `Subject: ${subject}`,
+                `To: ${to}`,
+                `Subject: ${message.subject}`,
                 'MIME-Version: 1.0',
                 'Content-Type: text/html; charset=utf-8',
                 '',
-                htmlBody,
+                message.body,
             ];
 
             const rawMessage = Buffer.from(emailLines.join('\r\n'))
@@ -427,50 +406,254 @@ async function sendTourStatusEmailsInternal(dateString, status, sentByUid, custo
                 .replace(/\//g, '_')
                 .replace(/=+$/, '');
 
-            try {
-                await gmail.users.messages.send({
-                    userId: 'me',
-                    requestBody: { raw: rawMessage },
-                });
-                emailsSent++;
-                console.log(`✅ Sent to ${customer.firstName} (${customer.email})`);
-            } catch (sendError) {
-                console.error(`❌ Failed to send to ${customer.email}: ${sendError.message}`);
-                failedEmails.push(customer.email);
-            }
+            const sent = await gmail.users.messages.send({
+                userId: 'me',
+                requestBody: { raw: rawMessage },
+            });
+            return sent.data?.id || null;
+        },
+        sms: async (to, message, contact, tracking = {}) => {
+            const smsContext = smsTracking && {
+                ...smsTracking,
+                ...tracking,
+                bookingId: contact.bookingId || null,
+                confirmationCode: contact.confirmationCode || null,
+            };
+            const sent = await sendSmsMessage(to, message.body, smsContext);
+            return sent?.sid || null;
+        },
+        whatsapp: async (to, message, contact, tracking = {}) => {
+            const sent = await sendWhatsAppNotification(to, message.body, {
+                customerName: contact.fullName,
+                language: contact.language,
+                context: {
+                    kind: smsTracking?.kind || 'tour_status',
+                    date: smsTracking?.date || null,
+                    bookingId: contact.bookingId || null,
+                    ...tracking,
+                },
+            });
+            return sent.id;
+        },
+    };
+}
 
-            // Small delay to avoid Gmail rate limits
-            if (customers.length > 5) {
-                await new Promise(resolve => setTimeout(resolve, 500));
+/**
+ * Tell every booking on a date (or on options.departures) the ON/OFF status,
+ * following each customer's notification preferences and the channel
+ * fallback policy (see notification_preferences.js). Identical messages to
+ * the same address go out once. Every booking gets a tour_status_deliveries
+ * record of what was sent on which channel; totals still go to
+ * tour_status_emails / tour_status_sms.
+ *
+ * options: { channels: { email, sms } } which channels this send may use (default both),
+ * { customEmailBody, customSmsBody }, { departures }, { triggeredBy } for the log,
+ * { rebookingOffers } confirmation code → rebooking offer for the OFF messages
+ */
+async function sendTourStatusNotificationsInternal(dateString, status, sentByUid, options = {}) {
+    console.log(`📣 [Internal] Sending ${status} notifications for ${dateString}...`);
+
+    const channels = { email: true, sms: true, ...(options.channels || {}) };
+    const enabled = {
+        email: channels.email && Boolean(process.env.GMAIL_CLIENT_ID && process.env.GMAIL_CLIENT_SECRET),
+        sms: channels.sms,
+        whatsapp: channels.sms && isWhatsAppConfigured(),
+    };
+    if (channels.email && !enabled.email) {
+        console.log('⚠️ Gmail keys not available - email channel disabled');
+    }
+
+    const empty = { emailsSent: 0, smsSent: 0, whatsappSent: 0, skipped: 0 };
+
+    try {
+        const loaded = await loadTourStatusBookings(dateString, status, options);
+        if (loaded.error) {
+            return { success: false, ...empty, bokunUnavailable: loaded.bokunUnavailable, error: loaded.error };
+        }
+        const { bookings } = loaded;
+        console.log(`📋 Found ${bookings.length} bookings`);
+
+        if (bookings.length === 0) {
+            return { success: true, ...empty, message: 'No bookings found' };
+        }
+
+        const contacts = bookings.map(getBookingContact);
+        const customerLookup = await lookupCustomerPreferences(contacts);
+        const messageOptions = { ...options, date: dateString, templates: await loadTourStatusTemplates() };
+        const runId = `${dateString}_${status}_${Date.now()}`;
+        // Created up front so Twilio delivery callbacks can roll up into it (sms_status.js)
+        const smsLogRef = db.collection('tour_status_sms').doc();
+        const senders = createTourStatusSenders({
+            kind: 'tour_status',
+            log: { collection: 'tour_status_sms', id: smsLogRef.id },
+            date: dateString,
+            tourStatus: status,
+        });
+
+        // channel|address|body → attempt, so an identical message is sent once
+        const sentMessages = new Map();
+        const deliveries = [];
+        const counts = { email: 0, sms: 0, whatsapp: 0 };
+        const failed = { email: [], sms: [], whatsapp: [] };
+
+        for (const contact of contacts) {
+            const customer = findCustomerForContact(customerLookup, contact);
+            const preferences = customer?.preferences || resolvePreferences();
+            const language = resolveLanguage({
+                preferred: customer?.languages?.preferred,
+                booking: contact.language,
+                profile: customer?.languages?.profile,
+            });
+            const plan = planDeliveryChannels({
+                email: contact.email,
+                phone: contact.phone,
+                whatsapp: customer?.whatsapp || null,
+                preferences,
+                enabled,
+            });
+
+            const deliveryRef = db.collection('tour_status_deliveries').doc();
+            const addressFor = channel => channel === 'email' ? contact.email :
+                channel === 'whatsapp' ? (customer?.whatsapp || contact.phone) : contact.phone;
+            const attempts = [];
+            const delivered = [];
+            for (const chain of plan.chains) {
+                for (const [index, channel] of chain.entries()) {
+                    const to = addressFor(channel);
+                    const message = buildTourStatusMessage(channel, status, contact, messageOptions, language);
+                    const key = `${channel}|${to}|${message.body}`;
+
+                    let attempt = sentMessages.get(key);
+                    if (attempt) {
+                        attempt = { ...attempt, duplicateOf: attempt.bookingId };
+                    } else {
+                        attempt = { channel, to, bookingId: contact.bookingId, ok: false, messageId: null, error: null, templateId: message.templateId || null, at: new Date().toISOString() };
+                        // SMS / WhatsApp can fail after being accepted: the rest of the chain goes with them
+                        const fallback = channel === 'email' ? [] : chain.slice(index + 1).map((next) => {
+                            const nextMessage = buildTourStatusMessage(next, status, contact, messageOptions, language);
+                            return {
+                                channel: next,
+                                to: addressFor(next),
+                                subject: nextMessage.subject || null,
+                                body: nextMessage.body,
+                                templateId: nextMessage.templateId || null,
+                                customerName: contact.fullName,
+                                language,
+                            };
+                        });
+                        try {
+                            attempt.messageId = await senders[channel](to, message, { ...contact, language }, {
+                                deliveryId: deliveryRef.id,
+                                fallback,
+                            });
+                            attempt.ok = true;
+                            counts[channel]++;
+                            console.log(`✅ ${channel} sent to ${contact.firstName} (${to})`);
+                        } catch (sendError) {
+                            attempt.error = sendError.message;
+                            failed[channel].push({ to, error: sendError.message });
+                            console.error(`❌ Failed ${channel} to ${to}: ${sendError.message}`);
+                        }
+                        sentMessages.set(key, attempt);
+
+                        // Small delay to avoid Gmail / Twilio rate limits
+                        if (contacts.length > 5) {
+                            await new Promise(resolve => setTimeout(resolve, channel === 'email' ? 500 : 200));
+                        }
+                    }
+                    attempts.push(attempt);
+                    if (attempt.ok) {
+                        delivered.push(channel);
+                        break;
+                    }
+                }
             }
+
+            deliveries.push({
+                ref: deliveryRef,
+                runId,
+                date: dateString,
+                status,
+                bookingId: contact.bookingId,
+                confirmationCode: contact.confirmationCode || null,
+                customerName: contact.fullName,
+                customerId: customer?.customerId || null,
+                email: contact.email || null,
+                phone: contact.phone || null,
+                preferences,
+                language,
+                plan: plan.chains,
+                attempts,
+                delivered,
+                outcome: plan.skipReason ? 'skipped' :
+                    delivered.length === plan.chains.length ? 'delivered' :
+                        delivered.length > 0 ? 'partial' : 'failed',
+                skipReason: plan.skipReason,
+                departures: options.departures || null,
+                sentBy: sentByUid || 'system',
+                triggeredBy: options.triggeredBy || 'auto',
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+
+        for (let i = 0; i < deliveries.length; i += 400) {
+            const batch = db.batch();
+            deliveries.slice(i, i + 400).forEach(({ ref, ...delivery }) => {
+                // Merged: a fallback send may already have added fallbackAttempts
+                batch.set(ref, delivery, { merge: true });
+            });
+            await batch.commit();
         }
 
-        // Log the email send action
-        await db.collection('tour_status_emails').add({
+        const skipped = deliveries.filter(d => d.outcome === 'skipped').length;
+        const logBase = {
             date: dateString,
-            status,
+            runId,
             totalBookings: bookings.length,
-            uniqueCustomers: customers.length,
-            emailsSent,
-            failedEmails,
+            departures: options.departures || null,
             sentAt: admin.firestore.FieldValue.serverTimestamp(),
-            sentBy: sentByUid || 'system',
-            triggeredBy: 'auto',
-        });
+        };
+
+        // Log the send action per channel (same collections as before preferences)
+        if (channels.email) {
+            await db.collection('tour_status_emails').add({
+                ...logBase,
+                status,
+                emailsSent: counts.email,
+                failedEmails: failed.email.map(f => f.to),
+                sentBy: sentByUid || 'system',
+                triggeredBy: options.triggeredBy || 'auto',
+            });
+        }
+        if (channels.sms) {
+            // Merged: delivery callbacks may already have rolled up here
+            await smsLogRef.set({
+                ...logBase,
+                ...(status === 'ON' ? { type: 'ON' } : {}),
+                smsSent: counts.sms,
+                whatsappSent: counts.whatsapp,
+                failedSms: failed.sms.map(f => ({ phone: f.to, error: f.error })),
+                failedWhatsapp: failed.whatsapp.map(f => ({ phone: f.to, error: f.error })),
+            }, { merge: true });
+        }
 
-        console.log(`✅ Tour status emails complete: ${emailsSent}/${customers.length} sent`);
+        console.log(`✅ Tour status notifications complete: ${counts.email} emails, ${counts.sms} SMS, ${counts.whatsapp} WhatsApp, ${skipped} skipped`);
 
         return {
             success: true,
-            emailsSent,
+            runId,
             bookingsFound: bookings.length,
-            uniqueCustomers: customers.length,
-            failedCount: failedEmails.length,
+            emailsSent: counts.email,
+            smsSent: counts.sms,
+            whatsappSent: counts.whatsapp,
+            skipped,
+            failedCount: failed.email.length + failed.sms.length + failed.whatsapp.length,
+            emailError: channels.email && !enabled.email ? 'Gmail keys not configured' : null,
         };
 
     } catch (error) {
-        console.error('❌ Error in sendTourStatusEmailsInternal:', error);
-        return { success: false, emailsSent: 0, error: error.message };
+        console.error('❌ Error in sendTourStatusNotificationsInternal:', error);
+        return { success: false, ...empty, error: error.message };
     }
 }
 
@@ -480,7 +663,7 @@ async function sendTourStatusEmailsInternal(dateString, status, sentByUid, custo
 const setTourStatus = onCall(
     {
         region: 'us-central1',
-        secrets: ['GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_MESSAGING_SERVICE_SID'],
+        secrets: ['GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_MESSAGING_SERVICE_SID', 'BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY', 'REBOOKING_LINK_SECRET', 'WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID'],
         timeoutSeconds: 300,
     },
     async (request) => {
@@ -491,7 +674,7 @@ const setTourStatus = onCall(
         }
 
         const uid = request.auth.uid;
-        const { date, status, message, sendEmail = true, sendSms = true, customEmailBody, customSmsBody } = request.data;
+        const { date, status, message, sendEmail = true, sendSms = true, customEmailBody, customSmsBody, sendRebookingOffers = true } = request.data;
 
         if (!status || !['ON', 'OFF'].includes(status)) {
             throw new Error('Status must be "ON" or "OFF"');
@@ -502,15 +685,20 @@ const setTourStatus = onCall(
 
         // Get user info for logging
         let userName = 'Unknown';
+        let isStaff = false;
         try {
             const userDoc = await db.collection('users').doc(uid).get();
             if (userDoc.exists) {
                 userName = userDoc.data().fullName || userDoc.data().email || 'Unknown';
+                isStaff = isStaffUser(userDoc.data());
             }
         } catch (e) {
             console.log('Could not get user name:', e.message);
         }
 
+        // Weather-driven recommendation, stored next to the decision
+        const recommendation = await getTourDecisionRecommendationSafely(dateString);
+
         const statusData = {
             date: dateString,
             status: status,
@@ -518,9 +706,20 @@ const setTourStatus = onCall(
             updatedAt: admin.firestore.FieldValue.serverTimestamp(),
             updatedBy: uid,
             updatedByName: userName,
+            recommendation: recommendation ? {
+                status: recommendation.recommendation,
+                score: recommendation.score,
+                confidence: recommendation.confidence,
+            } : null,
         };
 
         await db.collection('tour_status').doc(dateString).set(statusData);
+        // Only an admin/staff decision overwrites the recommendation's outcome
+        if (isStaff) {
+            await recordTourDecisionOutcome(dateString, status, uid, recommendation);
+        } else {
+            console.warn(`⚠️ ${uid} is not staff, tour decision outcome for ${dateString} not recorded`);
+        }
 
         console.log(`✅ Tour status set: ${dateString} = ${status} by ${userName}`);
 
@@ -530,24 +729,22 @@ const setTourStatus = onCall(
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
         });
 
-        // AUTO-SEND EMAILS when status is set
-        let emailResult = { emailsSent: 0 };
-        if (sendEmail) {
-            console.log(`📧 Auto-sending ${status} emails to customers...`);
-            emailResult = await sendTourStatusEmailsInternal(dateString, status, uid, customEmailBody);
-            console.log(`📧 Email result: ${emailResult.emailsSent} sent`);
-        }
-
-        // AUTO-SEND SMS
-        let smsResult = { smsSent: 0 };
-        if (sendSms && status === 'OFF') {
-            console.log(`📱 Auto-sending cancellation SMS to customers...`);
-            smsResult = await sendCancellationSmsInternal(dateString, customSmsBody);
-            console.log(`📱 SMS result: ${smsResult.smsSent} sent`);
-        } else if (sendSms && status === 'ON') {
-            console.log(`📱 Auto-sending ON SMS with pickup info to customers...`);
-            smsResult = await sendOnSmsInternal(dateString);
-            console.log(`📱 SMS result: ${smsResult.smsSent} sent`);
+        // REBOOKING OFFERS: next free nights + one-tap link, sent in the OFF email/SMS
+        const rebooking = status === 'OFF' && sendRebookingOffers ?
+            await createRebookingOffersSafely(dateString, uid) : null;
+        const offerOptions = rebooking ? { rebookingOffers: rebooking.byConfirmationCode } : {};
+
+        // AUTO-SEND EMAIL / SMS / WhatsApp, following each customer's preferences
+        let notifyResult = { emailsSent: 0, smsSent: 0, whatsappSent: 0, skipped: 0 };
+        if (sendEmail || sendSms) {
+            console.log(`📣 Auto-sending ${status} notifications to customers...`);
+            notifyResult = await sendTourStatusNotificationsInternal(dateString, status, uid, {
+                ...offerOptions,
+                channels: { email: sendEmail, sms: sendSms },
+                customEmailBody,
+                customSmsBody,
+            });
+            console.log(`📣 Result: ${notifyResult.emailsSent} emails, ${notifyResult.smsSent} SMS, ${notifyResult.whatsappSent} WhatsApp`);
         }
 
         return {
@@ -557,14 +754,32 @@ const setTourStatus = onCall(
             status: status,
             message: message || '',
             updatedByName: userName,
-            emailsSent: emailResult.emailsSent || 0,
-            emailError: emailResult.error || null,
-            smsSent: smsResult.smsSent || 0,
-            smsError: smsResult.error || null,
+            emailsSent: notifyResult.emailsSent || 0,
+            emailError: notifyResult.emailError || notifyResult.error || null,
+            bokunUnavailable: notifyResult.bokunUnavailable === true,
+            smsSent: notifyResult.smsSent || 0,
+            smsError: notifyResult.error || null,
+            whatsappSent: notifyResult.whatsappSent || 0,
+            notificationsSkipped: notifyResult.skipped || 0,
+            rebookingOffers: rebooking ? rebooking.created + rebooking.reused : 0,
+            recommendation: statusData.recommendation,
         };
     }
 );
 
+/**
+ * Create rebooking offers without ever blocking the OFF notifications:
+ * on failure customers still get the plain portal link.
+ */
+async function createRebookingOffersSafely(dateString, uid, options = {}) {
+    try {
+        return await createRebookingOffers(dateString, uid, options);
+    } catch (error) {
+        console.error(`⚠️ Rebooking offers not created for ${dateString}: ${error.message}`);
+        return null;
+    }
+}
+
 /**
  * Get tour status history (admin only)
  */
@@ -625,16 +840,25 @@ const tourStatusReminder = onSchedule(
             return; // Already set, no reminder needed
         }
 
+        // Attach the go/no-go recommendation (scored at 14:30) when we have one
+        const recommendation = await getTourDecisionRecommendationSafely(today);
+        const body = recommendation ?
+            `${formatRecommendationLine(recommendation)}. Tap to set ON or OFF` :
+            'Tap to set today\'s tour status to ON or OFF';
+
         // Send reminder notification to admins
         console.log('📤 Sending tour status reminder to admins...');
 
         await sendNotificationToAdminsOnly(
             '🌌 Is tonight\'s tour running?',
-            'Tap to set today\'s tour status to ON or OFF',
+            body,
             {
                 type: 'tour_status_reminder',
                 date: today,
                 action: 'set_tour_status',
+                recommendation: recommendation?.recommendation || '',
+                recommendationScore: recommendation?.score ?? '',
+                recommendationConfidence: recommendation?.confidence || '',
             }
         );
 
@@ -644,12 +868,12 @@ const tourStatusReminder = onSchedule(
 
 /**
  * Send tour status emails to all customers with bookings for a specific date
- * Now delegates to sendTourStatusEmailsInternal which uses cached_bookings
+ * Now delegates to sendTourStatusNotificationsInternal which uses cached_bookings
  */
 const sendTourStatusEmails = onCall(
     {
         region: 'us-central1',
-        secrets: ['GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_MESSAGING_SERVICE_SID'],
+        secrets: ['GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_MESSAGING_SERVICE_SID', 'BOKUN_ACCESS_KEY', 'BOKUN_SECRET_KEY', 'REBOOKING_LINK_SECRET', 'WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID'],
         timeoutSeconds: 300,
     },
     async (request) => {
@@ -659,7 +883,7 @@ const sendTourStatusEmails = onCall(
             throw new Error('You must be logged in to send tour status emails');
         }
 
-        const { date, status, sendSms = true, customEmailBody, customSmsBody } = request.data;
+        const { date, status, sendSms = true, customEmailBody, customSmsBody, sendRebookingOffers = true } = request.data;
 
         if (!status || !['ON', 'OFF'].includes(status)) {
             throw new Error('Status must be "ON" or "OFF"');
@@ -669,29 +893,29 @@ const sendTourStatusEmails = onCall(
         console.log(`📅 Processing emails for: ${dateString}, Status: ${status}`);
 
         try {
-            const result = await sendTourStatusEmailsInternal(dateString, status, request.auth.uid, customEmailBody);
+            const rebooking = status === 'OFF' && sendRebookingOffers ?
+                await createRebookingOffersSafely(dateString, request.auth.uid) : null;
+            const offerOptions = rebooking ? { rebookingOffers: rebooking.byConfirmationCode } : {};
+
+            // Emails, plus SMS / WhatsApp unless sendSms is false, following customer preferences
+            const result = await sendTourStatusNotificationsInternal(dateString, status, request.auth.uid, {
+                ...offerOptions,
+                channels: { email: true, sms: sendSms },
+                customEmailBody,
+                customSmsBody,
+                triggeredBy: 'manual',
+            });
 
             if (!result.success) {
                 throw new Error(result.error || 'Failed to send emails');
             }
 
-            // Also send SMS
-            let smsResult = { smsSent: 0 };
-            if (sendSms && status === 'OFF') {
-                console.log(`📱 Sending cancellation SMS alongside emails...`);
-                smsResult = await sendCancellationSmsInternal(dateString, customSmsBody);
-            } else if (sendSms && status === 'ON') {
-                console.log(`📱 Sending ON SMS with pickup info alongside emails...`);
-                smsResult = await sendOnSmsInternal(dateString);
-            }
-
             return {
                 success: true,
                 date: dateString,
                 status,
                 ...result,
-                smsSent: smsResult.smsSent || 0,
-                smsError: smsResult.error || null,
+                smsError: null,
             };
 
         } catch (error) {
@@ -701,11 +925,49 @@ const sendTourStatusEmails = onCall(
     }
 );
 
+/**
+ * Who was told what for a date: one entry per booking per send ({ date, status? })
+ */
+const getTourStatusDeliveries = onCall(
+    { region: 'us-central1' },
+    async (request) => {
+        if (!request.auth) {
+            throw new Error('You must be logged in to view tour status deliveries');
+        }
+
+        const { date, status } = request.data || {};
+        const dateString = date || getTodayDateString();
+
+        let query = db.collection('tour_status_deliveries').where('date', '==', dateString);
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+        const snapshot = await query.get();
+
+        const deliveries = snapshot.docs.map(doc => {
+            const data = doc.data();
+            return { id: doc.id, ...data, createdAt: data.createdAt?.toDate?.()?.toISOString() || null };
+        }).sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+        const summary = { delivered: 0, partial: 0, failed: 0, skipped: 0 };
+        deliveries.forEach(d => { summary[d.outcome] = (summary[d.outcome] || 0) + 1; });
+
+        return { date: dateString, count: deliveries.length, summary, deliveries };
+    }
+);
+
 module.exports = {
     getTourStatus,
     setTourStatus,
     getTourStatusHistory,
     tourStatusReminder,
     sendTourStatusEmails,
+    getTourStatusDeliveries,
     disruptDeparture,
+    reopenDeparture,
+    sendTourStatusNotificationsInternal,
+    createRebookingOffersSafely,
+    createTourStatusSenders,
+    // Exported for testing
+    buildTourStatusMessage,
 };
@@ -0,0 +1,351 @@
+/**
+ * Tour Status Escalation Module
+ * Escalation ladder for when nobody sets tonight's ON/OFF after the 15:00
+ * tourStatusReminder. Each step runs once, at its deadline, only while
+ * tour_status/{date} is still missing:
+ * - notify_admins: another push to all admins
+ * - sms_on_call:   Twilio SMS to the on-call manager
+ * - radio_post:    "decision overdue" text on the dispatch radio channel
+ *
+ * Config: config/tour_status_escalation (merged over DEFAULT_ESCALATION_CONFIG)
+ *   {
+ *     enabled: true,
+ *     steps: [{ id: 'admin_reminder', at: '16:00', action: 'notify_admins' }, ...],
+ *     onCallManager: { uid, name, phone },   // phone falls back to users/{uid}.phoneNumber
+ *     radioChannelId: 'fleet'
+ *   }
+ *
+ * Collection: tour_status_escalations/{date}
+ *   status: active → cancelled (status was set) | completed (all steps ran)
+ *   statusSetAt / statusSetTo / statusSetBy: when the status finally came in
+ *   steps.{id}: { action, at, status: running → sent | skipped | failed, result/error,
+ *                 attempts, leaseUntil }
+ *   A 'running' step holds a lease (STEP_LEASE_MS). If the run crashes before
+ *   recording an outcome, the step is retried once the lease has expired, up
+ *   to MAX_STEP_ATTEMPTS times, then marked failed.
+ *
+ * Functions:
+ * - tourStatusEscalation (every 5 minutes): run the steps that are due
+ * - onTourStatusWrittenCancelEscalation (trigger): cancel the ladder once
+ *   tour_status/{date} is written
+ */
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+const { sendNotificationToAdminsOnly } = require('../utils/notifications');
+const { isAuroraSeason } = require('../utils/dates');
+const { sendSmsMessage } = require('./sms');
+const { getTourDecisionRecommendationSafely, formatRecommendationLine } = require('./tour_decision');
+
+const ESCALATION_ACTIONS = ['notify_admins', 'sms_on_call', 'radio_post'];
+
+// Longer than a scheduler run (60s timeout), shorter than the time between steps
+const STEP_LEASE_MS = 10 * 60 * 1000;
+const MAX_STEP_ATTEMPTS = 3;
+
+const DEFAULT_ESCALATION_CONFIG = {
+    enabled: true,
+    // Iceland time (UTC+0), after the 15:00 tourStatusReminder
+    steps: [
+        { id: 'admin_reminder', at: '16:00', action: 'notify_admins' },
+        { id: 'on_call_sms', at: '16:30', action: 'sms_on_call' },
+        { id: 'radio_overdue', at: '17:00', action: 'radio_post' },
+    ],
+    onCallManager: null,
+    // The app hides legacy 'dispatch' channels; dispatch talks on the fleet channel
+    radioChannelId: 'fleet',
+};
+
+// ============================================
+// HELPERS (pure)
+// ============================================
+
+/**
+ * "HH:MM" → minutes after midnight, null when malformed
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Merge a Firestore config doc over the defaults. Steps with an unknown
+ * action or a malformed time are dropped; the rest are sorted by time.
+ */
+function resolveEscalationConfig(stored = {}) {
+    const config = { ...DEFAULT_ESCALATION_CONFIG, ...stored };
+    config.steps = (Array.isArray(stored.steps) ? stored.steps : DEFAULT_ESCALATION_CONFIG.steps)
+        .filter(step => step && ESCALATION_ACTIONS.includes(step.action) && parseTimeOfDay(step.at) !== null)
+        .map((step, index) => ({ ...step, id: step.id || `${step.action}_${index}` }))
+        .sort((a, b) => parseTimeOfDay(a.at) - parseTimeOfDay(b.at));
+    return config;
+}
+
+/**
+ * Whether a logged step is still being run: 'running' with an unexpired lease.
+ */
+function isStepLeaseActive(entry, nowMs = Date.now()) {
+    if (!entry || entry.status !== 'running') return false;
+    return Date.parse(entry.leaseUntil || '') > nowMs;
+}
+
+/**
+ * Whether a step needs (another) run: never logged, or 'running' with an
+ * expired lease because the run that claimed it crashed
+ */
+function isStepPending(entry, nowMs = Date.now()) {
+    return !entry || (entry.status === 'running' && !isStepLeaseActive(entry, nowMs));
+}
+
+/**
+ * Steps whose deadline has passed and that have not run yet (or whose run crashed)
+ */
+function getDueEscalationSteps(config, minutesNow, loggedSteps = {}, nowMs = Date.now()) {
+    return config.steps.filter(step => parseTimeOfDay(step.at) <= minutesNow && isStepPending(loggedSteps[step.id], nowMs));
+}
+
+function getIcelandNow() {
+    // Iceland is UTC+0 year-round
+    const now = new Date(new Date().toLocaleString('en-US', { timeZone: 'Atlantic/Reykjavik' }));
+    return {
+        dateString: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`,
+        minutes: now.getHours() * 60 + now.getMinutes(),
+    };
+}
+
+// ============================================
+// STEP ACTIONS
+// ============================================
+
+async function getEscalationConfig() {
+    try {
+        const doc = await db.collection('config').doc('tour_status_escalation').get();
+        return resolveEscalationConfig(doc.exists ? doc.data() : {});
+    } catch (e) {
+        console.log('⚠️ Could not load tour status escalation config, using defaults:', e.message);
+        return resolveEscalationConfig();
+    }
+}
+
+async function notifyAdminsStep(dateString, step) {
+    const recommendation = await getTourDecisionRecommendationSafely(dateString);
+    const body = recommendation ?
+        `Still no ON/OFF for tonight. ${formatRecommendationLine(recommendation)}` :
+        'Still no ON/OFF for tonight. Tap to set the tour status';
+
+    const result = await sendNotificationToAdminsOnly(
+        '⏰ Tour status not set yet',
+        body,
+        {
+            type: 'tour_status_escalation',
+            step: step.id,
+            date: dateString,
+            action: 'set_tour_status',
+        }
+    );
+    return { sent: result?.sent || 0, failed: result?.failed || 0 };
+}
+
+async function smsOnCallStep(dateString, step, config) {
+    const manager = config.onCallManager || {};
+    let phone = (manager.phone || '').trim();
+    let name = manager.name || '';
+
+    if (!phone && manager.uid) {
+        const userDoc = await db.collection('users').doc(manager.uid).get();
+        if (userDoc.exists) {
+            phone = (userDoc.data().phoneNumber || '').trim();
+            name = name || userDoc.data().fullName || '';
+        }
+    }
+    if (!phone || !phone.startsWith('+')) {
+        return { skipped: true, reason: 'No on-call manager phone configured' };
+    }
+
+    const firstName = name ? name.split(' ')[0] : '';
+    const body = `${firstName ? `Hi ${firstName}, ` : ''}tonight's tour status (${dateString}) is still not set. Please decide ON or OFF in the staff app. — Aurora Viking`;
+    const message = await sendSmsMessage(phone, body);
+    return { to: phone, name: name || null, sid: message?.sid || null };
+}
+
+async function radioPostStep(dateString, step, config) {
+    const ref = await db.collection('radio_messages').add({
+        channelId: config.radioChannelId,
+        senderId: 'system',
+        senderName: 'Tour Status',
+        type: 'text',
+        audioBase64: '',
+        durationMs: 0,
+        textContent: `⚠️ Decision overdue: tonight's tour status (${dateString}) has not been set. Someone please call ON or OFF now.`,
+        imageUrl: '',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { channelId: config.radioChannelId, messageId: ref.id };
+}
+
+const STEP_HANDLERS = {
+    notify_admins: notifyAdminsStep,
+    sms_on_call: smsOnCallStep,
+    radio_post: radioPostStep,
+};
+
+/**
+ * Claim a step in the log so it runs once, under a lease. Returns false when
+ * it already ran, another run holds the lease, the ladder was cancelled, or
+ * the step crashed MAX_STEP_ATTEMPTS times (it is then marked failed).
+ */
+async function claimEscalationStep(dateString, step) {
+    const ref = db.collection('tour_status_escalations').doc(dateString);
+    return await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const data = doc.exists ? doc.data() : {};
+        const entry = data.steps?.[step.id];
+        const now = Date.now();
+        if (data.status === 'cancelled' || !isStepPending(entry, now)) return false;
+
+        const attempts = entry?.attempts || (entry ? 1 : 0);
+        if (attempts >= MAX_STEP_ATTEMPTS) {
+            tx.update(ref, {
+                [`steps.${step.id}.status`]: 'failed',
+                [`steps.${step.id}.error`]: `Did not finish after ${attempts} attempts`,
+                [`steps.${step.id}.finishedAt`]: new Date(now).toISOString(),
+            });
+            return false;
+        }
+
+        tx.set(ref, {
+            date: dateString,
+            status: 'active',
+            steps: {
+                [step.id]: {
+                    action: step.action,
+                    at: step.at,
+                    status: 'running',
+                    startedAt: new Date(now).toISOString(),
+                    leaseUntil: new Date(now + STEP_LEASE_MS).toISOString(),
+                    attempts: attempts + 1,
+                },
+            },
+        }, { merge: true });
+        if (entry) console.warn(`⚠️ Escalation step ${step.id} for ${dateString} lease expired, retrying (attempt ${attempts + 1})`);
+        return true;
+    });
+}
+
+async function runEscalationStep(dateString, step, config) {
+    if (!await claimEscalationStep(dateString, step)) return null;
+
+    const ref = db.collection('tour_status_escalations').doc(dateString);
+    console.log(`🚨 Tour status escalation ${dateString}: ${step.id} (${step.action})`);
+    try {
+        const result = await STEP_HANDLERS[step.action](dateString, step, config);
+        await ref.update({
+            [`steps.${step.id}.status`]: result?.skipped ? 'skipped' : 'sent',
+            [`steps.${step.id}.result`]: result || null,
+            [`steps.${step.id}.finishedAt`]: new Date().toISOString(),
+        });
+        return result;
+    } catch (error) {
+        console.error(`❌ Escalation step ${step.id} failed:`, error.message);
+        await ref.update({
+            [`steps.${step.id}.status`]: 'failed',
+            [`steps.${step.id}.error`]: error.message,
+            [`steps.${step.id}.finishedAt`]: new Date().toISOString(),
+        });
+        return null;
+    }
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Run the escalation steps that are due while tonight's status is missing
+ */
+const tourStatusEscalation = onSchedule(
+    {
+        schedule: 'every 5 minutes',
+        region: 'us-central1',
+        timeZone: 'Atlantic/Reykjavik',
+        secrets: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_MESSAGING_SERVICE_SID'],
+    },
+    async () => {
+        if (!isAuroraSeason()) return;
+
+        const config = await getEscalationConfig();
+        if (!config.enabled || config.steps.length === 0) return;
+
+        const { dateString, minutes } = getIcelandNow();
+        if (getDueEscalationSteps(config, minutes).length === 0) return;
+
+        const escalationRef = db.collection('tour_status_escalations').doc(dateString);
+        const [statusDoc, escalationDoc] = await Promise.all([
+            db.collection('tour_status').doc(dateString).get(),
+            escalationRef.get(),
+        ]);
+        if (statusDoc.exists) return;
+
+        const escalation = escalationDoc.exists ? escalationDoc.data() : {};
+        if (escalation.status === 'cancelled' || escalation.status === 'completed') return;
+
+        for (const step of getDueEscalationSteps(config, minutes, escalation.steps)) {
+            // Stop climbing the moment someone sets the status
+            const current = await db.collection('tour_status').doc(dateString).get();
+            if (current.exists) return;
+            await runEscalationStep(dateString, step, config);
+        }
+
+        const updated = await escalationRef.get();
+        const loggedSteps = updated.exists ? updated.data().steps || {} : {};
+        if (updated.exists && updated.data().status === 'active' &&
+            config.steps.every(step => loggedSteps[step.id] && loggedSteps[step.id].status !== 'running')) {
+            await escalationRef.update({ status: 'completed', completedAt: new Date().toISOString() });
+        }
+    }
+);
+
+/**
+ * Cancel the ladder as soon as tour_status/{date} is written
+ */
+const onTourStatusWrittenCancelEscalation = onDocumentWritten(
+    {
+        document: 'tour_status/{date}',
+        region: 'us-central1',
+    },
+    async (event) => {
+        const after = event.data?.after;
+        if (!after?.exists) return;
+
+        const dateString = event.params.date;
+        const ref = db.collection('tour_status_escalations').doc(dateString);
+        await db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            const current = doc.exists ? doc.data() : {};
+            if (current.statusSetAt) return;
+            tx.set(ref, {
+                date: dateString,
+                // A ladder that already ran every step stays completed
+                status: current.status === 'completed' ? 'completed' : 'cancelled',
+                statusSetAt: new Date().toISOString(),
+                statusSetTo: after.data().status || null,
+                statusSetBy: after.data().updatedBy || null,
+            }, { merge: true });
+        });
+        console.log(`✅ Tour status escalation for ${dateString} closed (status set)`);
+    }
+);
+
+module.exports = {
+    tourStatusEscalation,
+    onTourStatusWrittenCancelEscalation,
+    // Exported for testing
+    parseTimeOfDay,
+    resolveEscalationConfig,
+    getDueEscalationSteps,
+    isStepPending,
+};
@@ -7,6 +7,7 @@ const { onDocumentCreated } = require('firebase-functions/v2/firestore');
 const crypto = require('crypto');
 const { admin, db } = require('../utils/firebase');
 const { sendNotificationToAdminsOnly } = require('../utils/notifications');
+const { NO_SLA_SORT_AT } = require('./inbox_routing');
 
 /**
  * Verify Firebase Auth token from request
@@ -83,6 +84,10 @@ const createWebsiteSession = onRequest(
                 lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
                 lastMessagePreview: '',
                 unreadCount: 0,
+                assignedTo: null,
+                assignedToName: null,
+                isHandled: false,
+                slaSortAt: NO_SLA_SORT_AT,
                 messageIds: [],
                 bookingIds: [],
                 channelMetadata: {
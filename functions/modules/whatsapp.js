@@ -0,0 +1,481 @@
+/**
+ * WhatsApp Inbox Module
+ * WhatsApp Business (Cloud API) as a unified inbox channel.
+ *
+ * - whatsappWebhook: Meta's webhook. GET answers the verification handshake
+ *   (WHATSAPP_VERIFY_TOKEN); POST (signed with WHATSAPP_APP_SECRET) brings in
+ *   messages and delivery/read receipts.
+ * - Inbound messages land in messages/wa_{wamid}, threaded per WhatsApp number;
+ *   media is copied to Storage (whatsapp_media/...) because Meta's media URLs expire.
+ * - Outbound inbox messages (sendInboxMessage on a whatsapp conversation) are
+ *   sent as text while the 24-hour session window is open, otherwise as the
+ *   approved reply template from config/whatsapp.
+ * - Operational notifications (tour status, sendWhatsAppNotification) follow
+ *   the same rule with the notification template. Meta can still reject a
+ *   message after accepting it (e.g. 131047); the failed receipt then triggers
+ *   the message's fallback channel (delivery_fallback.js).
+ *
+ * Collection: whatsapp_messages/{wamid}
+ *   to, kind, messageDocId (inbox message), status (sent → delivered → read | failed),
+ *   errorCode, history.{status}, deliveryId / bookingId / fallback for notifications
+ *
+ * Config: config/whatsapp (merged over DEFAULT_WHATSAPP_CONFIG)
+ *   { replyTemplate: { name, language, params: ['firstName', 'content'] },
+ *     notificationTemplate: { name, language, languages: [...], params: [...] } }
+ *   languages: the languages the template is approved in; others get `language`
+ *
+ * Local testing: scripts/fake_whatsapp_server.js stands in for the Meta endpoints.
+ */
+const { onRequest } = require('firebase-functions/v2/https');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { admin, db } = require('../utils/firebase');
+const { sendNotificationToAdminsOnly } = require('../utils/notifications');
+const {
+    isSessionWindowOpen,
+    toWhatsAppId,
+    verifyWhatsAppSignature,
+    parseWhatsAppWebhook,
+    sendWhatsAppText,
+    sendWhatsAppTemplate,
+    downloadWhatsAppMedia,
+} = require('../utils/whatsapp_client');
+const { findOrCreateCustomer, findOrCreateConversation, extractBookingReferences } = require('./inbox_core');
+const { shouldApplyStatus } = require('./sms_status');
+
+const WHATSAPP_SECRETS = ['WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID', 'WHATSAPP_APP_SECRET', 'WHATSAPP_VERIFY_TOKEN'];
+const TEMPLATE_PARAM_SOURCES = ['firstName', 'customerName', 'content'];
+
+const DEFAULT_WHATSAPP_CONFIG = {
+    // Approved utility template used outside the 24-hour window, e.g.
+    // "Hi {{1}}, here is our reply: {{2}} - Aurora Viking"
+    replyTemplate: {
+        name: 'inbox_reply',
+        language: 'en',
+        params: ['firstName', 'content'],
+    },
+    // Approved utility template for tour status messages outside the window, e.g.
+    // "Hi {{1}}, an update about your Aurora Viking tour: {{2}}"
+    notificationTemplate: {
+        name: 'tour_update',
+        language: 'en',
+        languages: ['en'],
+        params: ['firstName', 'content'],
+    },
+};
+
+// ============================================
+// HELPERS (pure)
+// ============================================
+
+function resolveTemplate(defaults, stored) {
+    const template = { ...defaults, ...(stored || {}) };
+    template.params = (Array.isArray(template.params) ? template.params : [])
+        .filter(param => TEMPLATE_PARAM_SOURCES.includes(param));
+    return template;
+}
+
+/**
+ * Merge a Firestore config doc over the defaults; unknown template params are dropped
+ */
+function resolveWhatsAppConfig(stored = {}) {
+    return {
+        ...DEFAULT_WHATSAPP_CONFIG,
+        ...stored,
+        replyTemplate: resolveTemplate(DEFAULT_WHATSAPP_CONFIG.replyTemplate, stored.replyTemplate),
+        notificationTemplate: resolveTemplate(DEFAULT_WHATSAPP_CONFIG.notificationTemplate, stored.notificationTemplate),
+    };
+}
+
+/**
+ * Template language for a guest: theirs when the template is approved in it
+ */
+function getTemplateLanguage(template, language) {
+    return (template.languages || []).includes(language) ? language : template.language;
+}
+
+/**
+ * Template body parameters for a reply, in the template's order
+ */
+function buildTemplateParams(params, { customerName, content }) {
+    const values = {
+        firstName: (customerName || '').split(' ')[0] || 'there',
+        customerName: customerName || 'there',
+        content: content || '',
+    };
+    return params.map(param => values[param]);
+}
+
+/**
+ * Firestore-safe doc id for a WhatsApp message id
+ */
+function toMessageDocId(wamid) {
+    return `wa_${String(wamid).replace(/\//g, '_')}`;
+}
+
+function getMediaExtension(mimeType) {
+    const subtype = String(mimeType || '').split(';')[0].split('/')[1] || 'bin';
+    return subtype.replace('jpeg', 'jpg').replace(/[^a-z0-9]/gi, '');
+}
+
+// ============================================
+// INBOUND
+// ============================================
+
+async function getWhatsAppConfig() {
+    try {
+        const doc = await db.collection('config').doc('whatsapp').get();
+        return resolveWhatsAppConfig(doc.exists ? doc.data() : {});
+    } catch (e) {
+        console.log('⚠️ Could not load WhatsApp config, using defaults:', e.message);
+        return resolveWhatsAppConfig();
+    }
+}
+
+/**
+ * Copy inbound media to Storage. Failures are recorded, not thrown, so the
+ * message text still reaches the inbox.
+ */
+async function storeInboundMedia(docId, media) {
+    try {
+        const { buffer, mimeType } = await downloadWhatsAppMedia(media.id);
+        const fileName = media.filename || `${media.id}.${getMediaExtension(mimeType)}`;
+        const storagePath = `whatsapp_media/${docId}/${fileName}`;
+        await admin.storage().bucket().file(storagePath).save(buffer, {
+            resumable: false,
+            metadata: { contentType: mimeType },
+        });
+        return { ...media, mimeType, storagePath, size: buffer.length };
+    } catch (error) {
+        console.error(`⚠️ Could not store WhatsApp media ${media.id}: ${error.message}`);
+        return { ...media, storagePath: null, error: error.message };
+    }
+}
+
+async function ingestWhatsAppMessage(inbound) {
+    const msgRef = db.collection('messages').doc(toMessageDocId(inbound.id));
+    if ((await msgRef.get()).exists) {
+        console.log(`ℹ️ WhatsApp message ${inbound.id} already processed`);
+        return null;
+    }
+
+    const media = inbound.media ? await storeInboundMedia(msgRef.id, inbound.media) : null;
+    const content = inbound.text || (media ? `📎 ${inbound.type}` : `[${inbound.type}]`);
+    const detectedBookingNumbers = extractBookingReferences(content);
+
+    const customerId = await findOrCreateCustomer('whatsapp', inbound.from, inbound.name);
+    const conversationId = await findOrCreateConversation(customerId, 'whatsapp', inbound.from, null, content);
+
+    await msgRef.set({
+        conversationId,
+        customerId,
+        channel: 'whatsapp',
+        direction: 'inbound',
+        content,
+        timestamp: inbound.timestamp ? new Date(inbound.timestamp) : admin.firestore.FieldValue.serverTimestamp(),
+        channelMetadata: {
+            whatsapp: {
+                phoneNumber: inbound.from,
+                messageId: inbound.id,
+                type: inbound.type,
+                profileName: inbound.name,
+                media,
+                replyTo: inbound.replyTo,
+            },
+        },
+        bookingIds: [],
+        detectedBookingNumbers,
+        status: 'pending',
+        flaggedForReview: false,
+        priority: 'normal',
+    });
+
+    const conversationUpdate = {
+        // Opens (or extends) the 24-hour window for free-form replies
+        'channelMetadata.whatsapp.lastInboundAt': inbound.timestamp || new Date().toISOString(),
+        messageIds: admin.firestore.FieldValue.arrayUnion(msgRef.id),
+    };
+    if (detectedBookingNumbers.length > 0) {
+        conversationUpdate.bookingIds = admin.firestore.FieldValue.arrayUnion(...detectedBookingNumbers);
+    }
+    await db.collection('conversations').doc(conversationId).update(conversationUpdate);
+
+    await sendNotificationToAdminsOnly(
+        '💬 New WhatsApp',
+        `${inbound.name || inbound.from}: ${content.substring(0, 100)}${content.length > 100 ? '...' : ''}`,
+        {
+            type: 'inbox_whatsapp',
+            messageId: msgRef.id,
+            conversationId,
+        }
+    );
+
+    console.log(`✅ WhatsApp ${inbound.id} from ${inbound.from} → conversation ${conversationId}`);
+    return msgRef.id;
+}
+
+// ============================================
+// DELIVERY RECEIPTS
+// ============================================
+
+function toInboxDeliveryUpdate(status, errorCode, errorTitle) {
+    return {
+        'channelMetadata.whatsapp.deliveryStatus': status,
+        'channelMetadata.whatsapp.deliveryStatusAt': new Date().toISOString(),
+        'channelMetadata.whatsapp.deliveryError': errorCode ? `${errorCode}${errorTitle ? ` ${errorTitle}` : ''}` : null,
+    };
+}
+
+/**
+ * Apply one status receipt to whatsapp_messages/{wamid} (and the inbox message it belongs to)
+ */
+async function applyWhatsAppStatus(receipt) {
+    const ref = db.collection('whatsapp_messages').doc(receipt.id.replace(/\//g, '_'));
+    return await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const current = doc.exists ? doc.data() : {};
+        if (!shouldApplyStatus(current.status, receipt.status)) return 'ignored';
+
+        const now = new Date().toISOString();
+        tx.set(ref, {
+            wamid: receipt.id,
+            status: receipt.status,
+            errorCode: receipt.errorCode,
+            errorTitle: receipt.errorTitle,
+            statusUpdatedAt: now,
+            history: { [receipt.status]: receipt.timestamp || now },
+        }, { merge: true });
+        if (current.messageDocId) {
+            tx.update(db.collection('messages').doc(current.messageDocId),
+                toInboxDeliveryUpdate(receipt.status, receipt.errorCode, receipt.errorTitle));
+        }
+        return 'applied';
+    });
+}
+
+/**
+ * Remember a sent WhatsApp message so receipts can be matched to the inbox message
+ */
+async function recordWhatsAppSent(wamid, to, context = {}) {
+    if (!wamid) return;
+    const ref = db.collection('whatsapp_messages').doc(wamid.replace(/\//g, '_'));
+    await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const existing = doc.exists ? doc.data() : {};
+        tx.set(ref, {
+            wamid,
+            to,
+            kind: context.kind || 'other',
+            messageDocId: context.messageDocId || null,
+            sentAs: context.sentAs || 'text',
+            date: context.date || null,
+            bookingId: context.bookingId || null,
+            deliveryId: context.deliveryId || null,
+            fallback: context.fallback || [],
+            sentAt: new Date().toISOString(),
+            ...(existing.status ? {} : { status: 'sent' }),
+        }, { merge: true });
+        // A receipt that beat us here still reaches the inbox message
+        if (existing.status && context.messageDocId) {
+            tx.update(db.collection('messages').doc(context.messageDocId),
+                toInboxDeliveryUpdate(existing.status, existing.errorCode, existing.errorTitle));
+        }
+    });
+}
+
+/**
+ * Latest inbound message time for a WhatsApp number, across its conversations
+ */
+async function getLastWhatsAppInboundAt(to) {
+    const snapshot = await db.collection('conversations')
+        .where('channel', '==', 'whatsapp')
+        .where('channelMetadata.whatsapp.phoneNumber', '==', toWhatsAppId(to))
+        .get();
+    return snapshot.docs
+        .map(doc => doc.data().channelMetadata?.whatsapp?.lastInboundAt || null)
+        .filter(Boolean)
+        .sort()
+        .pop() || null;
+}
+
+/**
+ * Send an operational notification: text while the 24-hour session window
+ * is open, the approved notification template outside it. The message is
+ * recorded in whatsapp_messages, with context.fallback, so a failed receipt
+ * can still reach the guest another way. Resolves to { id, sentAs }.
+ *
+ * @param {string} to - phone / WhatsApp id
+ * @param {string} body - the text (the template gets it as its content param)
+ * @param {object} options - { customerName, language, context: { kind, date, bookingId, deliveryId, fallback } }
+ */
+async function sendWhatsAppNotification(to, body, { customerName, language, context = {} } = {}) {
+    let sent;
+    let sentAs;
+    if (isSessionWindowOpen(await getLastWhatsAppInboundAt(to))) {
+        sent = await sendWhatsAppText(to, body);
+        sentAs = 'text';
+    } else {
+        const { notificationTemplate } = await getWhatsAppConfig();
+        const params = buildTemplateParams(notificationTemplate.params, { customerName, content: body });
+        sent = await sendWhatsAppTemplate(to, notificationTemplate.name,
+            getTemplateLanguage(notificationTemplate, language), params);
+        sentAs = 'template';
+    }
+
+    try {
+        await recordWhatsAppSent(sent.id, toWhatsAppId(to), { ...context, sentAs });
+    } catch (error) {
+        // Tracking must never turn a sent message into a failed one
+        console.error(`⚠️ Could not record WhatsApp ${sent.id} for status tracking: ${error.message}`);
+    }
+    return { id: sent.id, sentAs };
+}
+
+// ============================================
+// CLOUD FUNCTIONS
+// ============================================
+
+/**
+ * Meta webhook: verification handshake, inbound messages and status receipts
+ */
+const whatsappWebhook = onRequest(
+    {
+        region: 'us-central1',
+        timeoutSeconds: 120,
+        secrets: WHATSAPP_SECRETS,
+    },
+    async (req, res) => {
+        if (req.method === 'GET') {
+            const mode = req.query['hub.mode'];
+            const token = req.query['hub.verify_token'];
+            if (mode === 'subscribe' && token && token === process.env.WHATSAPP_VERIFY_TOKEN) {
+                console.log('✅ WhatsApp webhook verified');
+                res.status(200).send(String(req.query['hub.challenge'] || ''));
+            } else {
+                res.status(403).send('Verification failed');
+            }
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            res.status(405).send('Method not allowed');
+            return;
+        }
+
+        const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+        if (!verifyWhatsAppSignature(rawBody, req.headers['x-hub-signature-256'], process.env.WHATSAPP_APP_SECRET)) {
+            console.log('🚫 WhatsApp webhook rejected: invalid signature');
+            res.status(403).send('Invalid signature');
+            return;
+        }
+
+        try {
+            const payload = req.body && typeof req.body === 'object' ? req.body : JSON.parse(rawBody);
+            const { messages, statuses } = parseWhatsAppWebhook(payload);
+
+            for (const inbound of messages) {
+                await ingestWhatsAppMessage(inbound);
+            }
+            for (const receipt of statuses) {
+                const result = await applyWhatsAppStatus(receipt);
+                console.log(`📬 WhatsApp ${receipt.id}: ${receipt.status}${receipt.errorCode ? ` (${receipt.errorCode})` : ''} ${result}`);
+            }
+
+            res.status(200).send('EVENT_RECEIVED');
+        } catch (error) {
+            // Meta retries deliveries that do not get a 200
+            console.error('❌ WhatsApp webhook failed:', error);
+            res.status(500).send('Processing failed');
+        }
+    }
+);
+
+/**
+ * Firestore trigger: send outbound inbox messages on the whatsapp channel
+ */
+const onOutboundWhatsAppMessageCreated = onDocumentCreated(
+    {
+        document: 'messages/{messageId}',
+        region: 'us-central1',
+        secrets: ['WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID'],
+    },
+    async (event) => {
+        const snapshot = event.data;
+        if (!snapshot) return;
+
+        const messageData = snapshot.data();
+        const messageId = event.params.messageId;
+
+        if (messageData.direction !== 'outbound' || messageData.channel !== 'whatsapp') {
+            return;
+        }
+        if (messageData.status === 'sent' || messageData.channelMetadata?.whatsapp?.messageId) {
+            console.log(`Message ${messageId} already sent, skipping`);
+            return;
+        }
+
+        try {
+            const [convDoc, customerDoc] = await Promise.all([
+                db.collection('conversations').doc(messageData.conversationId).get(),
+                db.collection('customers').doc(messageData.customerId).get(),
+            ]);
+            const conv = convDoc.exists ? convDoc.data() : {};
+            const customer = customerDoc.exists ? customerDoc.data() : {};
+
+            const to = messageData.channelMetadata?.whatsapp?.phoneNumber ||
+                conv.channelMetadata?.whatsapp?.phoneNumber ||
+                customer.channels?.whatsapp || null;
+            if (!to) {
+                await snapshot.ref.update({ status: 'failed', error: 'No WhatsApp number' });
+                return;
+            }
+
+            let sent;
+            let sentAs;
+            let template = null;
+            if (isSessionWindowOpen(conv.channelMetadata?.whatsapp?.lastInboundAt)) {
+                sent = await sendWhatsAppText(to, messageData.content);
+                sentAs = 'text';
+            } else {
+                // Outside the 24-hour window only approved templates are delivered
+                const { replyTemplate } = await getWhatsAppConfig();
+                const params = buildTemplateParams(replyTemplate.params, {
+                    customerName: customer.name,
+                    content: messageData.content,
+                });
+                sent = await sendWhatsAppTemplate(to, replyTemplate.name, replyTemplate.language, params);
+                sentAs = 'template';
+                template = replyTemplate.name;
+            }
+
+            await snapshot.ref.update({
+                status: 'sent',
+                sentAt: admin.firestore.FieldValue.serverTimestamp(),
+                'channelMetadata.whatsapp.phoneNumber': to,
+                'channelMetadata.whatsapp.messageId': sent.id,
+                'channelMetadata.whatsapp.sentAs': sentAs,
+                'channelMetadata.whatsapp.template': template,
+            });
+            await recordWhatsAppSent(sent.id, to, { kind: 'inbox', messageDocId: messageId, sentAs });
+            console.log(`💬 Inbox WhatsApp ${messageId} sent to ${to} as ${sentAs} (${sent.id})`);
+        } catch (error) {
+            console.error(`❌ Error sending inbox WhatsApp ${messageId}:`, error);
+            await snapshot.ref.update({
+                status: 'failed',
+                error: error.message,
+                failedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+    }
+);
+
+module.exports = {
+    whatsappWebhook,
+    onOutboundWhatsAppMessageCreated,
+    recordWhatsAppSent,
+    sendWhatsAppNotification,
+    // Exported for testing
+    resolveWhatsAppConfig,
+    getTemplateLanguage,
+    buildTemplateParams,
+    toMessageDocId,
+};
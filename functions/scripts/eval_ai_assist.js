@@ -0,0 +1,300 @@
+// Evaluation of the AI Assist prompt: replays past customer messages through
+// the same prompt generateBookingAiAssist sends (buildAssistPrompt,
+// buildBookingContext, AI_SYSTEM_PROMPT) and scores the suggested action
+// against what staff actually did.
+//
+// Run with:
+//   node scripts/eval_ai_assist.js [scripts/fixtures/ai_eval/cases.json] \
+//     [--min-accuracy 0.8] [--live] [--verbose]
+//
+// The fixture is { "now": ISO time, "cases": [...] }; a case is
+//   { id, message, customer: { name, email }, bookings: [ai_booking_cache entries],
+//     expected: { type, confirmationCode?, newDate?, newPickupLocation? },
+//     modelResponse?: recorded model output }
+// "now" (or a case's own "now") fixes today's date in the prompt and the policies.
+//
+// Each case is answered by one of:
+//   recorded - the case's modelResponse, a reply the model gave to this prompt
+//   live     - the model itself (--live: ai_assist.js createModelClient, needs
+//              ANTHROPIC_API_KEY), for cases without a recording
+//   stub     - otherwise a keyword rule that reads the prompt (TODAY'S DATE,
+//              CUSTOMER MESSAGE, BOOKING CONTEXT). It only shows that the
+//              prompt still carries those; it says nothing about the model.
+//
+// Action accuracy counts the action type; a case passes when the type and
+// every labelled field match. Model (recorded + live) and stub results are
+// reported apart, and only model results count for --min-accuracy: the run
+// exits 1 when their action accuracy is below it, or when no case was
+// answered by the model.
+
+const fs = require('fs');
+const path = require('path');
+const { AI_SYSTEM_PROMPT } = require('../config');
+const { buildAssistPrompt, parseAssistResponse, buildBookingContext, createModelClient } = require('../modules/ai_assist');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'ai_eval', 'cases.json');
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MODEL_SOURCES = ['recorded', 'live'];
+
+// ============================================
+// STUB MODEL
+// ============================================
+
+function addDays(date, days) {
+  return new Date(new Date(`${date}T12:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * A date the customer asks for, relative to today: ISO date, "tomorrow",
+ * a weekday (the next one) or "January 16th" / "16 January"
+ */
+function findRequestedDate(message, today) {
+  const text = message.toLowerCase();
+  const iso = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (iso) return iso[1];
+  if (/\bday after tomorrow\b/.test(text)) return addDays(today, 2);
+  if (/\btomorrow\b/.test(text)) return addDays(today, 1);
+
+  const monthPattern = MONTHS.join('|');
+  const monthDay = text.match(new RegExp(`\\b(${monthPattern})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`)) ||
+    text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthPattern})\\b`));
+  if (monthDay) {
+    const [month, day] = /\d/.test(monthDay[1]) ? [monthDay[2], monthDay[1]] : [monthDay[1], monthDay[2]];
+    let year = Number(today.slice(0, 4));
+    const candidate = (y) => `${y}-${String(MONTHS.indexOf(month) + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (candidate(year) < today) year++;
+    return candidate(year);
+  }
+
+  // The first weekday mentioned ("Wednesday? We're busy on Tuesday")
+  const weekday = text.match(new RegExp(`\\b(${WEEKDAYS.join('|')})\\b`))?.[1];
+  if (weekday) {
+    const todayIndex = new Date(`${today}T12:00:00Z`).getUTCDay();
+    const ahead = (WEEKDAYS.indexOf(weekday) - todayIndex + 7) % 7 || 7;
+    return addDays(today, ahead);
+  }
+  return null;
+}
+
+/**
+ * Keyword stand-in for the model: reads the prompt, answers in the JSON
+ * shape AI_SYSTEM_PROMPT asks for
+ */
+function keywordResponse(prompt) {
+  const today = prompt.match(/TODAY'S DATE: (\d{4}-\d{2}-\d{2})/)?.[1] || null;
+  const message = prompt.match(/CUSTOMER MESSAGE:\n([\s\S]*?)\n\nCUSTOMER INFO:/)?.[1] || '';
+  const confirmationCode = prompt.match(/Confirmation Code: (\S+)/)?.[1] || '';
+  const text = message.toLowerCase();
+
+  let type = 'INFO_ONLY';
+  const params = {};
+  if (/\b(cancel|refund)/.test(text)) {
+    type = 'CANCEL';
+    params.cancelReason = 'Customer request';
+  } else if (/\bpick ?-?(?:us |me )?up\b/.test(text)) {
+    type = 'CHANGE_PICKUP';
+    const place = message.match(/\b(?:pick ?-?up|pick (?:us|me) up)\s+(?:to|at|from)\s+([^.,!?\n]+)/i)?.[1];
+    if (place) params.newPickupLocation = place.trim();
+  } else if (/\b(reschedul|postpone|move|change the date|another (?:day|night|date)|instead)/.test(text)) {
+    type = 'RESCHEDULE';
+    const newDate = today ? findRequestedDate(message, today) : null;
+    if (newDate) params.newDate = newDate;
+  }
+
+  return JSON.stringify({
+    suggestedReply: 'Thanks for your message, we have taken care of it.',
+    suggestedAction: {
+      type,
+      ...(type !== 'INFO_ONLY' && { confirmationCode, params }),
+    },
+    confidence: 0.5,
+    reasoning: 'Keyword stub',
+  });
+}
+
+/**
+ * Stubbed model client: the recorded response, else the keyword rule.
+ * Keeps the prompts it was sent in .calls.
+ */
+function createStubModelClient(recordedResponse = null) {
+  const calls = [];
+  return {
+    calls,
+    async complete({ system, prompt }) {
+      calls.push({ system, prompt });
+      return recordedResponse || keywordResponse(prompt);
+    },
+  };
+}
+
+/**
+ * Who answers a case: its recorded response, the live model, else the stub
+ */
+function pickModelClient(testCase, liveClient = null) {
+  if (testCase.modelResponse) return { source: 'recorded', client: createStubModelClient(testCase.modelResponse) };
+  if (liveClient) return { source: 'live', client: liveClient };
+  return { source: 'stub', client: createStubModelClient() };
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Compare a suggested action with the labelled outcome
+ */
+function scoreCase(expected, action) {
+  const checks = { type: (action?.type || 'INFO_ONLY') === expected.type };
+  if (expected.confirmationCode) {
+    checks.confirmationCode = String(action?.confirmationCode || '').toUpperCase() === expected.confirmationCode.toUpperCase();
+  }
+  if (expected.newDate) {
+    checks.newDate = action?.params?.newDate === expected.newDate;
+  }
+  if (expected.newPickupLocation) {
+    checks.newPickupLocation = String(action?.params?.newPickupLocation || '').toLowerCase()
+      .includes(expected.newPickupLocation.toLowerCase());
+  }
+  return { checks, passed: Object.values(checks).every(Boolean) };
+}
+
+function summarize(results) {
+  const byType = {};
+  for (const result of results) {
+    const stats = byType[result.expected.type] = byType[result.expected.type] || { cases: 0, correct: 0 };
+    stats.cases++;
+    if (result.checks.type) stats.correct++;
+  }
+  const total = results.length;
+  return {
+    total,
+    actionAccuracy: total ? results.filter(r => r.checks.type).length / total : 0,
+    passRate: total ? results.filter(r => r.passed).length / total : 0,
+    byType,
+  };
+}
+
+/**
+ * Model (recorded + live) and stub results, summarised apart
+ */
+function summarizeBySource(results) {
+  return {
+    model: summarize(results.filter(r => MODEL_SOURCES.includes(r.source))),
+    stub: summarize(results.filter(r => r.source === 'stub')),
+  };
+}
+
+/**
+ * Exit code for --min-accuracy: stub results never count, and a run with no
+ * model results fails rather than passing on nothing
+ */
+function meetsMinAccuracy(summary, minAccuracy) {
+  if (!minAccuracy) return true;
+  return summary.model.total > 0 && summary.model.actionAccuracy >= minAccuracy;
+}
+
+// ============================================
+// REPLAY
+// ============================================
+
+// buildBookingContext logs every booking; keep the report readable
+function quietly(fn, verbose) {
+  if (verbose) return fn();
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Replay every case through the prompt and score it. Cases without a
+ * recorded response go to liveClient when given, else to the stub.
+ */
+async function runEval(fixture, { liveClient = null, verbose = false } = {}) {
+  const results = [];
+  for (const testCase of fixture.cases) {
+    const now = new Date(testCase.now || fixture.now || Date.now());
+    const bookings = (testCase.bookings || []).map(b => ({ ...b, policyFacts: { now } }));
+    const prompt = quietly(() => buildAssistPrompt({
+      messageContent: testCase.message,
+      customerName: testCase.customer?.name,
+      customerEmail: testCase.customer?.email,
+      customerHistory: testCase.customerHistory || null,
+      bookingContext: buildBookingContext(bookings),
+      examples: testCase.examples || [],
+      now,
+    }), verbose);
+
+    const { source, client } = pickModelClient(testCase, liveClient);
+    const responseText = await client.complete({ system: AI_SYSTEM_PROMPT, prompt });
+    const aiResult = parseAssistResponse(responseText);
+    const score = scoreCase(testCase.expected, aiResult.suggestedAction);
+    results.push({ id: testCase.id, source, expected: testCase.expected, action: aiResult.suggestedAction || null, ...score });
+    if (verbose) console.log(`\n--- ${testCase.id} prompt ---\n${prompt}\n--- response ---\n${responseText}`);
+  }
+  return { results, summary: summarizeBySource(results) };
+}
+
+function printReport({ results, summary }) {
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  for (const result of results) {
+    const failed = Object.entries(result.checks).filter(([, ok]) => !ok).map(([name]) => name);
+    const got = result.action?.type || 'none';
+    console.log(`${result.passed ? '✅' : '❌'} [${result.source}] ${result.id}: expected ${result.expected.type}, got ${got}` +
+      (failed.length ? ` (wrong: ${failed.join(', ')})` : ''));
+  }
+  const sections = [
+    ['Model (recorded + live)', summary.model],
+    ['Keyword stub, not the model', summary.stub],
+  ];
+  for (const [label, stats] of sections) {
+    console.log(`\n📊 ${label}: ` + (stats.total
+      ? `action accuracy ${percent(stats.actionAccuracy)}, fully correct ${percent(stats.passRate)} (${stats.total} cases)`
+      : 'no cases'));
+    for (const [type, typeStats] of Object.entries(stats.byType)) {
+      console.log(`   ${type.padEnd(14)} ${typeStats.correct}/${typeStats.cases}`);
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const minIndex = args.indexOf('--min-accuracy');
+  const minAccuracy = minIndex === -1 ? 0 : Number(args[minIndex + 1]);
+  const verbose = args.includes('--verbose');
+  const live = args.includes('--live');
+  const fixturePath = args.find((arg, i) => !arg.startsWith('--') && i !== minIndex + 1) || DEFAULT_FIXTURE;
+
+  if (live && !process.env.ANTHROPIC_API_KEY) {
+    throw new Error('--live needs ANTHROPIC_API_KEY');
+  }
+  const fixture = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+  const report = await runEval(fixture, { liveClient: live ? createModelClient() : null, verbose });
+  printReport(report);
+  if (minAccuracy && report.summary.model.total === 0) {
+    console.log('\n⚠️ No case was answered by the model: record modelResponse entries or run with --live');
+  }
+  process.exit(meetsMinAccuracy(report.summary, minAccuracy) ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Evaluation failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runEval,
+  createStubModelClient,
+  pickModelClient,
+  scoreCase,
+  meetsMinAccuracy,
+  findRequestedDate,
+};
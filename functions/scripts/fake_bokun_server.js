@@ -0,0 +1,690 @@
+// Local fake of the Bokun API, so every booking flow in functions/ can run
+// against the emulator suite without touching real bookings.
+//
+// Run with:
+//   node scripts/fake_bokun_server.js [--port 8089] [--seed scripts/fixtures/bokun_fake/seed.json]
+//
+// then point the shared client at it with matching credentials in
+// functions/.env.local (gitignored, read by the emulator):
+//   BOKUN_BASE_URL=http://127.0.0.1:8089
+//   BOKUN_ACCESS_KEY=fake-access-key
+//   BOKUN_SECRET_KEY=fake-secret-key
+//   BOKUN_OCTO_TOKEN=fake-octo-token
+// (override with FAKE_BOKUN_ACCESS_KEY / FAKE_BOKUN_SECRET_KEY / FAKE_BOKUN_OCTO_TOKEN).
+//
+// Requests are checked the way Bokun checks them (HMAC signature, or OCTO
+// bearer token) and answered from an in-memory dataset:
+//   POST  /booking.json/booking-search           paged; bookingId/id, confirmationCode,
+//                                                customerEmail, startDateRange,
+//                                                productConfirmationDateRange
+//   POST  /booking.json/product-booking-search   { id }
+//   GET   /booking.json/{id}
+//   POST  /booking.json/edit                     ActivityChangeDateAction, ActivityPickupAction
+//   POST  /booking.json/{id}/reschedule          { newStartDate }
+//   POST  /booking.json/cancel-booking/{code}
+//   GET   /activity.json/{id}/pickup-places
+//   POST  /activity.json/{id}/availabilities     { start, end }
+//   POST  /closeouts/toggle                      { activityIds, closed, date, startTimeIds }
+//   GET   /octo/v1/products
+//   POST  /octo/v1/availability                  { productId, optionId, localDate }
+//   GET   /octo/v1/bookings?supplierReference=|resellerReference=
+//   POST  /octo/v1/bookings, /octo/v1/bookings/{uuid}/confirm
+//   PATCH /octo/v1/bookings/{uuid}               { availabilityId }
+//
+// Control endpoints (no auth):
+//   GET  /__fake/state   the current dataset
+//   POST /__fake/seed    replace the dataset with the posted seed
+//   POST /__fake/reset   back to the seed the server started with
+//   POST /__fake/fail    { path, status, times } - the next `times` requests whose
+//                        path matches the `path` regex get `status` (default 503),
+//                        to exercise retries and outage handling
+//
+// Seed: { products: [...], bookings: [...] }, see scripts/fixtures/bokun_fake/seed.json.
+// A product booking may give "dayOffset" (days from today) instead of "startDate",
+// so the seed stays useful whatever day it is loaded. Only bookings with an
+// "octoUuid" (or made through OCTO here) are visible to the OCTO booking lookup.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { signRequest } = require('../utils/bokun_client');
+
+const DEFAULT_PORT = 8089;
+const DEFAULT_SEED = path.join(__dirname, 'fixtures', 'bokun_fake', 'seed.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOUR_DURATION_HOURS = 4;
+const OCTO_OPTION_ID = 'DEFAULT';
+const OCTO_UNIT_ID = 'adult';
+
+class FakeBokunError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ============================================
+// DATASET
+// ============================================
+
+function todayMs() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+function toDateString(ms) {
+  return new Date(ms).toISOString().split('T')[0];
+}
+
+function dateToMs(dateString) {
+  const ms = Date.parse(`${String(dateString).substring(0, 10)}T00:00:00Z`);
+  if (isNaN(ms)) throw new FakeBokunError(400, `Invalid date: ${dateString}`);
+  return ms;
+}
+
+/**
+ * Fill in what a seed leaves out, so bookings look like what Bokun returns
+ */
+function loadDataset(seed) {
+  const products = (seed.products || []).map(p => ({
+    capacity: 50,
+    startTimes: [],
+    pickupPlaces: [],
+    ...p,
+  }));
+  const productsById = new Map(products.map(p => [String(p.id), p]));
+
+  let nextId = 1;
+  const bookings = (seed.bookings || []).map((raw) => {
+    const booking = JSON.parse(JSON.stringify(raw));
+    booking.status = booking.status || 'CONFIRMED';
+    booking.creationDate = booking.creationDate || Date.now();
+    booking.productBookings = (booking.productBookings || []).map((pb) => {
+      const productId = String(pb.productId || pb.product?.id || '');
+      const product = productsById.get(productId);
+      const startTime = product?.startTimes.find(st => String(st.id) === String(pb.startTimeId)) ||
+        product?.startTimes[0];
+      const { dayOffset, ...rest } = pb;
+      delete rest.productId;
+      return {
+        status: 'CONFIRMED',
+        totalParticipants: 1,
+        fields: {},
+        ...rest,
+        startDate: pb.startDate ?? todayMs() + (dayOffset || 0) * DAY_MS,
+        startTimeId: pb.startTimeId ?? startTime?.id ?? null,
+        startTime: pb.startTime ?? startTime?.time ?? null,
+        product: pb.product || (product ? { id: product.id, title: product.title } : { id: productId }),
+      };
+    });
+    for (const id of [booking.id, ...booking.productBookings.map(pb => pb.id)]) {
+      nextId = Math.max(nextId, Number(id) + 1 || nextId);
+    }
+    return booking;
+  });
+
+  const octoBookings = new Map();
+  for (const booking of bookings) {
+    if (booking.octoUuid) {
+      octoBookings.set(booking.octoUuid, {
+        uuid: booking.octoUuid,
+        status: booking.status === 'CANCELLED' ? 'CANCELLED' : 'CONFIRMED',
+        bookingId: booking.id,
+      });
+    }
+  }
+
+  return { products, bookings, closeouts: new Set(), octoBookings, nextId };
+}
+
+function findProduct(state, productId) {
+  const product = state.products.find(p => String(p.id) === String(productId));
+  if (!product) throw new FakeBokunError(404, `Product ${productId} not found`);
+  return product;
+}
+
+function findBooking(state, predicate, description) {
+  const booking = state.bookings.find(predicate);
+  if (!booking) throw new FakeBokunError(404, `Booking ${description} not found`);
+  return booking;
+}
+
+function findProductBooking(state, productBookingId) {
+  for (const booking of state.bookings) {
+    const pb = booking.productBookings.find(p => String(p.id) === String(productBookingId));
+    if (pb) return { booking, pb };
+  }
+  throw new FakeBokunError(404, `Product booking ${productBookingId} not found`);
+}
+
+function isActive(status) {
+  return !['CANCELLED', 'CANCELED', 'REJECTED', 'ABORTED'].includes(String(status || '').toUpperCase());
+}
+
+function closeoutKey(activityId, date, startTimeId) {
+  return `${activityId}|${date}|${startTimeId}`;
+}
+
+/**
+ * Seats booked on one departure (product + date + start time)
+ */
+function bookedParticipants(state, productId, date, startTimeId) {
+  let total = 0;
+  for (const booking of state.bookings) {
+    if (!isActive(booking.status)) continue;
+    for (const pb of booking.productBookings) {
+      if (isActive(pb.status) &&
+        String(pb.product?.id) === String(productId) &&
+        toDateString(pb.startDate) === date &&
+        String(pb.startTimeId) === String(startTimeId)) {
+        total += pb.totalParticipants || 0;
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * One departure per start time per day, with live seat counts and closeouts
+ */
+function listDepartures(state, product, startDate, endDate) {
+  const departures = [];
+  for (let ms = dateToMs(startDate); ms <= dateToMs(endDate); ms += DAY_MS) {
+    const date = toDateString(ms);
+    for (const startTime of product.startTimes) {
+      const booked = bookedParticipants(state, product.id, date, startTime.id);
+      const closed = state.closeouts.has(closeoutKey(product.id, date, startTime.id));
+      departures.push({
+        date,
+        dateMs: ms,
+        startTime,
+        booked,
+        closed,
+        remaining: Math.max(product.capacity - booked, 0),
+      });
+    }
+  }
+  return departures;
+}
+
+/**
+ * Move a product booking to another date (and optionally start time)
+ */
+function moveProductBooking(state, pb, date, startTimeId) {
+  const product = findProduct(state, pb.product?.id);
+  const startTime = startTimeId ?
+    product.startTimes.find(st => String(st.id) === String(startTimeId)) :
+    (product.startTimes.find(st => String(st.id) === String(pb.startTimeId)) || product.startTimes[0]);
+  if (!startTime) throw new FakeBokunError(400, `Start time ${startTimeId} not found on product ${product.id}`);
+
+  if (state.closeouts.has(closeoutKey(product.id, date, startTime.id))) {
+    throw new FakeBokunError(400, `Departure ${date} ${startTime.time} is closed`);
+  }
+  const booked = bookedParticipants(state, product.id, date, startTime.id);
+  const alreadyThere = toDateString(pb.startDate) === date && String(pb.startTimeId) === String(startTime.id);
+  if (!alreadyThere && booked + (pb.totalParticipants || 0) > product.capacity) {
+    throw new FakeBokunError(400, `Departure ${date} ${startTime.time} is sold out`);
+  }
+
+  pb.startDate = dateToMs(date);
+  pb.startTimeId = startTime.id;
+  pb.startTime = startTime.time;
+}
+
+// ============================================
+// BOKUN REST HANDLERS
+// ============================================
+
+function inRange(ms, range) {
+  if (!range) return true;
+  const from = range.from ? Date.parse(range.from.length === 10 ? `${range.from}T00:00:00Z` : range.from) : -Infinity;
+  const to = range.to ? Date.parse(range.to.length === 10 ? `${range.to}T23:59:59Z` : range.to) : Infinity;
+  return ms >= from && ms <= to;
+}
+
+function bookingSearch(state, criteria) {
+  const id = criteria.bookingId ?? criteria.id;
+  const code = criteria.confirmationCode ? String(criteria.confirmationCode) : null;
+  const email = criteria.customerEmail ? String(criteria.customerEmail).toLowerCase() : null;
+
+  const matches = state.bookings.filter((booking) => {
+    if (id !== undefined && String(booking.id) !== String(id)) return false;
+    if (code && !String(booking.confirmationCode || '').includes(code) &&
+      String(booking.externalBookingReference || '') !== code) return false;
+    if (email && String(booking.customer?.email || '').toLowerCase() !== email) return false;
+    // productConfirmationDateRange is treated as a tour-date window, which is
+    // how searchBokunBookingsByEmail uses it
+    const range = criteria.startDateRange || criteria.productConfirmationDateRange;
+    if (range && !booking.productBookings.some(pb => inRange(pb.startDate, range))) return false;
+    return true;
+  });
+
+  const offset = criteria.offset || 0;
+  const limit = criteria.limit || 50;
+  return { totalHits: matches.length, items: matches.slice(offset, offset + limit) };
+}
+
+function applyEditAction(state, action) {
+  const { pb } = findProductBooking(state, action.activityBookingId);
+  switch (action.type) {
+  case 'ActivityChangeDateAction':
+    moveProductBooking(state, pb, action.date, action.startTimeId);
+    return;
+  case 'ActivityPickupAction': {
+    const product = findProduct(state, pb.product?.id);
+    const place = product.pickupPlaces.find(p => String(p.id) === String(action.pickupPlaceId));
+    if (action.pickup && !place) {
+      throw new FakeBokunError(400, `Pickup place ${action.pickupPlaceId} not found on product ${product.id}`);
+    }
+    pb.fields = {
+      ...pb.fields,
+      pickup: action.pickup === true,
+      pickupPlace: action.pickup ? { id: place.id, title: place.title } : null,
+      pickupPlaceDescription: action.description || '',
+    };
+    return;
+  }
+  default:
+    throw new FakeBokunError(400, `Unsupported edit action: ${action.type}`);
+  }
+}
+
+function cancelBooking(state, booking, note) {
+  booking.status = 'CANCELLED';
+  booking.cancellationNote = note || '';
+  booking.productBookings.forEach(pb => pb.status = 'CANCELLED');
+  for (const octo of state.octoBookings.values()) {
+    if (String(octo.bookingId) === String(booking.id)) octo.status = 'CANCELLED';
+  }
+}
+
+function handleBokun(state, method, pathname, body) {
+  let match;
+
+  if (method === 'POST' && pathname === '/booking.json/booking-search') {
+    return bookingSearch(state, body || {});
+  }
+
+  if (method === 'POST' && pathname === '/booking.json/product-booking-search') {
+    const { booking, pb } = findProductBooking(state, body?.id);
+    return { ...pb, bookingId: booking.id, confirmationCode: booking.confirmationCode };
+  }
+
+  if (method === 'POST' && pathname === '/booking.json/edit') {
+    const actions = Array.isArray(body) ? body : [body];
+    actions.forEach(action => applyEditAction(state, action));
+    return { success: true };
+  }
+
+  if (method === 'GET' && (match = pathname.match(/^\/booking\.json\/(\d+)$/))) {
+    return findBooking(state, b => String(b.id) === match[1], match[1]);
+  }
+
+  if (method === 'POST' && (match = pathname.match(/^\/booking\.json\/(\d+)\/reschedule$/))) {
+    const booking = findBooking(state, b => String(b.id) === match[1], match[1]);
+    if (!body?.newStartDate) throw new FakeBokunError(400, 'newStartDate is required');
+    booking.productBookings.forEach(pb => moveProductBooking(state, pb, body.newStartDate));
+    return booking;
+  }
+
+  if (method === 'POST' && (match = pathname.match(/^\/booking\.json\/cancel-booking\/(.+)$/))) {
+    const code = decodeURIComponent(match[1]);
+    const booking = findBooking(state, b => b.confirmationCode === code, code);
+    cancelBooking(state, booking, body?.note);
+    return { status: 'CANCELLED', confirmationCode: code };
+  }
+
+  if (method === 'GET' && (match = pathname.match(/^\/activity\.json\/(\d+)\/pickup-places$/))) {
+    return { pickupPlaces: findProduct(state, match[1]).pickupPlaces };
+  }
+
+  if (method === 'POST' && (match = pathname.match(/^\/activity\.json\/(\d+)\/availabilities$/))) {
+    const product = findProduct(state, match[1]);
+    if (!body?.start || !body?.end) throw new FakeBokunError(400, 'start and end are required');
+    return listDepartures(state, product, body.start, body.end).map(d => ({
+      id: `${d.startTime.id}_${d.date}`,
+      activityId: product.id,
+      startTimeId: d.startTime.id,
+      startTime: d.startTime.time,
+      date: d.dateMs,
+      localizedDate: d.date,
+      availabilityCount: d.closed ? 0 : d.remaining,
+      bookedParticipants: d.booked,
+      unlimitedAvailability: false,
+      soldOut: d.remaining === 0,
+      unavailable: d.closed,
+    }));
+  }
+
+  if (method === 'POST' && pathname === '/closeouts/toggle') {
+    const { activityIds = [], startTimeIds = [], date, closed } = body || {};
+    if (!date) throw new FakeBokunError(400, 'date is required');
+    for (const activityId of activityIds) {
+      const ids = startTimeIds.length ? startTimeIds : findProduct(state, activityId).startTimes.map(st => st.id);
+      for (const startTimeId of ids) {
+        const key = closeoutKey(activityId, date, startTimeId);
+        if (closed === false) state.closeouts.delete(key);
+        else state.closeouts.add(key);
+      }
+    }
+    return ''; // Bokun answers an empty body
+  }
+
+  throw new FakeBokunError(404, `No fake for ${method} ${pathname}`);
+}
+
+// ============================================
+// OCTO HANDLERS
+// ============================================
+
+function octoAvailabilityId(date, time) {
+  return `${date}T${time}:00+00:00`;
+}
+
+function parseOctoAvailabilityId(product, availabilityId) {
+  const [date, rest] = String(availabilityId || '').split('T');
+  const startTime = product.startTimes.find(st => rest && rest.startsWith(st.time));
+  if (!date || !startTime) throw new FakeBokunError(400, `Unknown availabilityId ${availabilityId}`);
+  return { date, startTime };
+}
+
+function toOctoBooking(state, octo) {
+  const booking = octo.bookingId ? state.bookings.find(b => String(b.id) === String(octo.bookingId)) : null;
+  const pb = booking?.productBookings[0];
+  return {
+    uuid: octo.uuid,
+    status: octo.status,
+    productId: String(pb?.product?.id ?? octo.productId),
+    optionId: OCTO_OPTION_ID,
+    availabilityId: pb ? octoAvailabilityId(toDateString(pb.startDate), pb.startTime) : octo.availabilityId,
+    supplierReference: booking ? String(booking.id) : null,
+    resellerReference: booking?.confirmationCode || octo.resellerReference || null,
+    unitItems: octo.unitItems || [],
+  };
+}
+
+function handleOcto(state, method, pathname, query, body) {
+  let match;
+
+  if (method === 'GET' && pathname === '/products') {
+    return state.products.map(p => ({
+      id: String(p.id),
+      internalName: p.title,
+      options: [{ id: OCTO_OPTION_ID, units: [{ id: OCTO_UNIT_ID, type: 'ADULT' }] }],
+    }));
+  }
+
+  if (method === 'POST' && pathname === '/availability') {
+    const product = findProduct(state, body?.productId);
+    const start = body?.localDate || body?.localDateStart;
+    const end = body?.localDate || body?.localDateEnd || start;
+    if (!start) throw new FakeBokunError(400, 'localDate is required');
+    return listDepartures(state, product, start, end).map((d) => {
+      const startsAt = Date.parse(`${d.date}T${d.startTime.time}:00Z`);
+      const available = !d.closed && d.remaining > 0;
+      return {
+        id: octoAvailabilityId(d.date, d.startTime.time),
+        localDateTimeStart: octoAvailabilityId(d.date, d.startTime.time),
+        localDateTimeEnd: new Date(startsAt + TOUR_DURATION_HOURS * 60 * 60 * 1000).toISOString().replace('.000Z', '+00:00'),
+        allDay: false,
+        available,
+        status: d.closed ? 'CLOSED' : (available ? 'AVAILABLE' : 'SOLD_OUT'),
+        vacancies: d.closed ? 0 : d.remaining,
+        capacity: product.capacity,
+      };
+    });
+  }
+
+  if (method === 'GET' && pathname === '/bookings') {
+    const supplierReference = query.get('supplierReference');
+    const resellerReference = query.get('resellerReference');
+    return [...state.octoBookings.values()]
+      .map(octo => toOctoBooking(state, octo))
+      .filter(b => (!supplierReference || b.supplierReference === supplierReference) &&
+        (!resellerReference || b.resellerReference === resellerReference));
+  }
+
+  if (method === 'POST' && pathname === '/bookings') {
+    const product = findProduct(state, body?.productId);
+    const { date, startTime } = parseOctoAvailabilityId(product, body?.availabilityId);
+    const unitItems = body?.unitItems || [];
+    const departure = listDepartures(state, product, date, date).find(d => d.startTime.id === startTime.id);
+    if (departure.closed || departure.remaining < unitItems.length) {
+      throw new FakeBokunError(400, `Not enough availability on ${body.availabilityId}`);
+    }
+    const uuid = `fake-${state.nextId++}`;
+    state.octoBookings.set(uuid, {
+      uuid,
+      status: 'ON_HOLD',
+      productId: product.id,
+      availabilityId: body.availabilityId,
+      unitItems,
+    });
+    return toOctoBooking(state, state.octoBookings.get(uuid));
+  }
+
+  if (method === 'POST' && (match = pathname.match(/^\/bookings\/([^/]+)\/confirm$/))) {
+    const octo = state.octoBookings.get(match[1]);
+    if (!octo) throw new FakeBokunError(404, `OCTO booking ${match[1]} not found`);
+    if (octo.status !== 'ON_HOLD') throw new FakeBokunError(400, `OCTO booking ${octo.uuid} is ${octo.status}`);
+
+    const product = findProduct(state, octo.productId);
+    const { date, startTime } = parseOctoAvailabilityId(product, octo.availabilityId);
+    const contact = body?.contact || {};
+    const bookingId = state.nextId++;
+    state.bookings.push({
+      id: bookingId,
+      confirmationCode: `AUR-${bookingId}`,
+      externalBookingReference: body?.resellerReference || '',
+      status: 'CONFIRMED',
+      paymentStatus: 'PAID_IN_FULL',
+      creationDate: Date.now(),
+      customer: {
+        firstName: contact.firstName || '',
+        lastName: contact.lastName || '',
+        email: contact.emailAddress || '',
+        phoneNumber: contact.phoneNumber || '',
+      },
+      productBookings: [{
+        id: state.nextId++,
+        status: 'CONFIRMED',
+        startDate: dateToMs(date),
+        startTimeId: startTime.id,
+        startTime: startTime.time,
+        totalParticipants: octo.unitItems.length || 1,
+        product: { id: product.id, title: product.title },
+        fields: {},
+      }],
+    });
+    octo.status = 'CONFIRMED';
+    octo.bookingId = bookingId;
+    octo.resellerReference = body?.resellerReference || null;
+    return toOctoBooking(state, octo);
+  }
+
+  if (method === 'PATCH' && (match = pathname.match(/^\/bookings\/([^/]+)$/))) {
+    const octo = state.octoBookings.get(match[1]);
+    if (!octo?.bookingId) throw new FakeBokunError(404, `OCTO booking ${match[1]} not found`);
+    const booking = findBooking(state, b => String(b.id) === String(octo.bookingId), octo.bookingId);
+    if (body?.availabilityId) {
+      const pb = booking.productBookings[0];
+      const product = findProduct(state, pb.product?.id);
+      const { date, startTime } = parseOctoAvailabilityId(product, body.availabilityId);
+      moveProductBooking(state, pb, date, startTime.id);
+    }
+    return toOctoBooking(state, octo);
+  }
+
+  throw new FakeBokunError(404, `No fake for OCTO ${method} ${pathname}`);
+}
+
+// ============================================
+// AUTH
+// ============================================
+
+/**
+ * Same HMAC check Bokun does: date + access key + method + path (with query)
+ */
+function checkSignature(req, fullPath, { accessKey, secretKey }) {
+  const receivedKey = req.headers['x-bokun-accesskey'];
+  const bokunDate = req.headers['x-bokun-date'];
+  const signature = req.headers['x-bokun-signature'];
+  if (!receivedKey || !bokunDate || !signature) {
+    throw new FakeBokunError(401, 'Missing X-Bokun-AccessKey / X-Bokun-Date / X-Bokun-Signature');
+  }
+  if (receivedKey !== accessKey) throw new FakeBokunError(401, 'Unknown access key');
+
+  const date = new Date(`${bokunDate.replace(' ', 'T')}Z`);
+  const expected = signRequest(req.method, fullPath, accessKey, secretKey, date).signature;
+  if (expected !== signature) throw new FakeBokunError(401, 'Invalid signature');
+}
+
+function checkOctoToken(req, { octoToken }) {
+  if (req.headers['authorization'] !== `Bearer ${octoToken}`) {
+    throw new FakeBokunError(401, 'Invalid OCTO token');
+  }
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Create (not start) a fake Bokun server
+ * @param {object} options - { seed, accessKey, secretKey, octoToken }
+ * @returns {http.Server} with .fake = { getState, seed, reset, fail }
+ */
+function createFakeBokunServer(options = {}) {
+  const credentials = {
+    accessKey: options.accessKey || 'fake-access-key',
+    secretKey: options.secretKey || 'fake-secret-key',
+    octoToken: options.octoToken || 'fake-octo-token',
+  };
+  let initialSeed = options.seed || { products: [], bookings: [] };
+  let state = loadDataset(initialSeed);
+  let failures = [];
+
+  const fake = {
+    getState: () => state,
+    seed: (seed) => {
+      initialSeed = seed;
+      state = loadDataset(seed);
+    },
+    reset: () => {
+      state = loadDataset(initialSeed);
+      failures = [];
+    },
+    fail: ({ path: pattern, status = 503, times = 1 }) => {
+      failures.push({ pattern: new RegExp(pattern || '.*'), status, times });
+    },
+  };
+
+  function takeFailure(fullPath) {
+    const failure = failures.find(f => f.times > 0 && f.pattern.test(fullPath));
+    if (!failure) return null;
+    failure.times -= 1;
+    failures = failures.filter(f => f.times > 0);
+    return failure;
+  }
+
+  function handleControl(method, pathname, body) {
+    if (method === 'GET' && pathname === '/__fake/state') {
+      return {
+        ...state,
+        closeouts: [...state.closeouts],
+        octoBookings: [...state.octoBookings.values()],
+      };
+    }
+    if (method === 'POST' && pathname === '/__fake/seed') {
+      fake.seed(body || {});
+      return { ok: true, products: state.products.length, bookings: state.bookings.length };
+    }
+    if (method === 'POST' && pathname === '/__fake/reset') {
+      fake.reset();
+      return { ok: true };
+    }
+    if (method === 'POST' && pathname === '/__fake/fail') {
+      fake.fail(body || {});
+      return { ok: true };
+    }
+    throw new FakeBokunError(404, `No control endpoint ${method} ${pathname}`);
+  }
+
+  function route(req, rawBody) {
+    const url = new URL(req.url, 'http://fake.bokun');
+    const fullPath = url.pathname + url.search;
+    const body = rawBody ? JSON.parse(rawBody) : null;
+
+    if (url.pathname.startsWith('/__fake/')) {
+      return handleControl(req.method, url.pathname, body);
+    }
+
+    const failure = takeFailure(fullPath);
+    if (failure) {
+      throw Object.assign(new FakeBokunError(failure.status, 'Injected failure'), { injected: true });
+    }
+
+    if (url.pathname.startsWith('/octo/v1/')) {
+      checkOctoToken(req, credentials);
+      return handleOcto(state, req.method, url.pathname.substring('/octo/v1'.length), url.searchParams, body);
+    }
+
+    checkSignature(req, fullPath, credentials);
+    return handleBokun(state, req.method, url.pathname, body);
+  }
+
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', chunk => rawBody += chunk);
+    req.on('end', () => {
+      let status = 200;
+      let payload;
+      try {
+        payload = route(req, rawBody);
+      } catch (error) {
+        status = error instanceof FakeBokunError ? error.status : (error instanceof SyntaxError ? 400 : 500);
+        payload = { message: error.message };
+      }
+
+      const headers = { 'Content-Type': 'application/json;charset=UTF-8' };
+      if (status === 429) headers['Retry-After'] = '0';
+      const text = payload === '' ? '' : JSON.stringify(payload);
+      console.log(`${status < 400 ? '✅' : '⚠️'} ${req.method} ${req.url} → ${status}`);
+      res.writeHead(status, headers);
+      res.end(text);
+    });
+  });
+  server.fake = fake;
+  return server;
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+if (require.main === module) {
+  const port = parseInt(getArg('port') || process.env.FAKE_BOKUN_PORT || DEFAULT_PORT);
+  const seedPath = path.resolve(getArg('seed') || DEFAULT_SEED);
+  const seed = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+
+  const server = createFakeBokunServer({
+    seed,
+    accessKey: process.env.FAKE_BOKUN_ACCESS_KEY,
+    secretKey: process.env.FAKE_BOKUN_SECRET_KEY,
+    octoToken: process.env.FAKE_BOKUN_OCTO_TOKEN,
+  });
+  server.listen(port, '127.0.0.1', () => {
+    const { products, bookings } = server.fake.getState();
+    console.log(`🧪 Fake Bokun listening on http://127.0.0.1:${port}`);
+    console.log(`   ${products.length} products, ${bookings.length} bookings from ${path.relative(process.cwd(), seedPath)}`);
+  });
+}
+
+module.exports = {
+  createFakeBokunServer,
+};
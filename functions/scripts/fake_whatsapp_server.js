@@ -0,0 +1,388 @@
+// Local stub of the Meta WhatsApp Cloud API, so the WhatsApp inbox can be
+// exercised against the emulator suite without a Business account.
+//
+// Run with:
+//   node scripts/fake_whatsapp_server.js [--port 8090] \
+//     [--webhook http://127.0.0.1:5001/aurora-viking-staff/us-central1/whatsappWebhook]
+//
+// then point the client at it in functions/.env.local:
+//   WHATSAPP_GRAPH_URL=http://127.0.0.1:8090/v19.0
+//   WHATSAPP_ACCESS_TOKEN=fake-whatsapp-token
+//   WHATSAPP_PHONE_NUMBER_ID=100000000000001
+//   WHATSAPP_APP_SECRET=fake-app-secret
+//   WHATSAPP_VERIFY_TOKEN=fake-verify-token
+// (override with FAKE_WHATSAPP_TOKEN / FAKE_WHATSAPP_APP_SECRET).
+//
+// Graph endpoints (Bearer token checked):
+//   POST /v19.0/{phoneNumberId}/messages   text or template. Like Meta, a text to a
+//                                          number that has not written in 24h is
+//                                          accepted, then reported failed (131047)
+//                                          in a status webhook; template params with
+//                                          newlines, tabs or 5+ spaces are rejected
+//                                          (132018)
+//   GET  /v19.0/{mediaId}                  media metadata with a download url
+//   GET  /media/{mediaId}                  the media bytes
+//
+// Control endpoints (no auth) - each posts a signed webhook to --webhook:
+//   POST /__fake/inbound   { from, name, text } or { from, name, media: { type, mimeType,
+//                          base64, caption, filename } } - a customer message
+//   POST /__fake/status    { id, status: 'delivered' | 'read' | 'failed', errorCode }
+//                          - a receipt for a message we sent
+//   GET  /__fake/sent      messages sent through the stub
+//   POST /__fake/verify    runs the GET verification handshake against --webhook
+//   POST /__fake/reset     forget sent messages, media and session windows
+//   POST /__fake/fail      { path, status, times } - fail matching Graph requests
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { computeWhatsAppSignature } = require('../utils/whatsapp_client');
+
+const DEFAULT_PORT = 8090;
+const DEFAULT_WEBHOOK = 'http://127.0.0.1:5001/aurora-viking-staff/us-central1/whatsappWebhook';
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+const RECEIPT_DELAY_MS = 200;
+const INVALID_PARAM_PATTERN = /[\n\t]| {5,}/;
+
+class FakeWhatsAppError extends Error {
+  constructor(status, message, code = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function newId(prefix) {
+  return `${prefix}${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+}
+
+function nowSeconds() {
+  return String(Math.floor(Date.now() / 1000));
+}
+
+// ============================================
+// WEBHOOK PAYLOADS
+// ============================================
+
+function webhookEnvelope(phoneNumberId, value) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'fake-waba',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '3545550000', phone_number_id: phoneNumberId },
+          ...value,
+        },
+      }],
+    }],
+  };
+}
+
+function inboundPayload(phoneNumberId, { from, name, text }, media) {
+  const message = { from, id: newId('wamid.FAKEIN'), timestamp: nowSeconds() };
+  if (media) {
+    message.type = media.type;
+    message[media.type] = {
+      id: media.id,
+      mime_type: media.mimeType,
+      ...(media.caption ? { caption: media.caption } : {}),
+      ...(media.filename ? { filename: media.filename } : {}),
+    };
+  } else {
+    message.type = 'text';
+    message.text = { body: text || '' };
+  }
+  return webhookEnvelope(phoneNumberId, {
+    contacts: [{ profile: { name: name || 'Test Customer' }, wa_id: from }],
+    messages: [message],
+  });
+}
+
+function statusPayload(phoneNumberId, sent, { status, errorCode, errorTitle }) {
+  const receipt = { id: sent.id, status, timestamp: nowSeconds(), recipient_id: sent.to };
+  if (status === 'failed') {
+    receipt.errors = [{ code: Number(errorCode) || 131026, title: errorTitle || 'Message undeliverable' }];
+  }
+  return webhookEnvelope(phoneNumberId, { statuses: [receipt] });
+}
+
+function postWebhook(webhookUrl, appSecret, payload) {
+  const body = JSON.stringify(payload);
+  const url = new URL(webhookUrl);
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-Hub-Signature-256': computeWhatsAppSignature(body, appSecret),
+      },
+      timeout: 30000,
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('timeout', () => req.destroy(new Error('Webhook timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function getRequest(targetUrl) {
+  const url = new URL(targetUrl);
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    client.get(url, { timeout: 15000 }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    }).on('error', reject);
+  });
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Create (not start) a fake WhatsApp Cloud API server
+ * @param {object} options - { token, appSecret, verifyToken, webhookUrl, port, receiptDelayMs, log }
+ * @returns {http.Server} with .fake = { getSent, reset, fail }
+ */
+function createFakeWhatsAppServer(options = {}) {
+  const token = options.token || 'fake-whatsapp-token';
+  const appSecret = options.appSecret || 'fake-app-secret';
+  const verifyToken = options.verifyToken || 'fake-verify-token';
+  const webhookUrl = options.webhookUrl || DEFAULT_WEBHOOK;
+  const receiptDelayMs = options.receiptDelayMs ?? RECEIPT_DELAY_MS;
+  const log = options.log || console.log;
+  let phoneNumberId = '100000000000001';
+
+  let sent = [];
+  let media = new Map();
+  let lastInbound = new Map();
+  let failures = [];
+
+  const fake = {
+    getSent: () => sent,
+    reset: () => {
+      sent = [];
+      media = new Map();
+      lastInbound = new Map();
+      failures = [];
+    },
+    fail: ({ path: pattern, status = 500, times = 1 }) => {
+      failures.push({ pattern: new RegExp(pattern || '.*'), status, times });
+    },
+  };
+
+  function takeFailure(pathname) {
+    const failure = failures.find(f => f.times > 0 && f.pattern.test(pathname));
+    if (!failure) return null;
+    failure.times -= 1;
+    failures = failures.filter(f => f.times > 0);
+    return failure;
+  }
+
+  function checkToken(req) {
+    if (req.headers['authorization'] !== `Bearer ${token}`) {
+      throw new FakeWhatsAppError(401, 'Invalid OAuth access token', 190);
+    }
+  }
+
+  // Meta accepts the send and reports the failure later, in a status webhook
+  function sendFailedReceipt(message, errorCode, errorTitle) {
+    setTimeout(() => {
+      postWebhook(webhookUrl, appSecret, statusPayload(phoneNumberId, message, { status: 'failed', errorCode, errorTitle }))
+        .then(result => log(`📬 failed receipt ${message.id} (${errorCode}) → ${result.status}`))
+        .catch(error => log(`⚠️ failed receipt ${message.id} not delivered: ${error.message}`));
+    }, receiptDelayMs);
+  }
+
+  function handleSend(numberId, body) {
+    phoneNumberId = numberId;
+    if (body?.messaging_product !== 'whatsapp' || !body.to) {
+      throw new FakeWhatsAppError(400, 'messaging_product and to are required', 100);
+    }
+    let outsideWindow = false;
+    if (body.type === 'text') {
+      const last = lastInbound.get(body.to) || 0;
+      outsideWindow = Date.now() - last >= SESSION_WINDOW_MS;
+    } else if (body.type === 'template') {
+      const params = (body.template?.components || []).flatMap(c => c.parameters || []);
+      if (params.some(p => INVALID_PARAM_PATTERN.test(p.text || ''))) {
+        throw new FakeWhatsAppError(400, 'Param text cannot have new-line/tab characters or more than 4 consecutive spaces', 132018);
+      }
+    } else {
+      throw new FakeWhatsAppError(400, `Unsupported message type ${body.type}`, 100);
+    }
+
+    const message = {
+      id: newId('wamid.FAKEOUT'),
+      to: body.to,
+      type: body.type,
+      text: body.text?.body || null,
+      template: body.template || null,
+      sentAt: new Date().toISOString(),
+    };
+    sent.push(message);
+    if (outsideWindow) {
+      message.status = 'failed';
+      sendFailedReceipt(message, 131047, 'Re-engagement message');
+    }
+    return {
+      messaging_product: 'whatsapp',
+      contacts: [{ input: body.to, wa_id: body.to }],
+      messages: [{ id: message.id }],
+    };
+  }
+
+  async function handleControl(req, pathname, body) {
+    if (req.method === 'GET' && pathname === '/__fake/sent') {
+      return { sent };
+    }
+    if (req.method === 'POST' && pathname === '/__fake/reset') {
+      fake.reset();
+      return { ok: true };
+    }
+    if (req.method === 'POST' && pathname === '/__fake/fail') {
+      fake.fail(body || {});
+      return { ok: true };
+    }
+    if (req.method === 'POST' && pathname === '/__fake/inbound') {
+      if (!body?.from) throw new FakeWhatsAppError(400, 'from is required');
+      let stored = null;
+      if (body.media) {
+        stored = { ...body.media, id: newId('MEDIA'), type: body.media.type || 'image' };
+        stored.mimeType = stored.mimeType || 'image/jpeg';
+        media.set(stored.id, { mimeType: stored.mimeType, buffer: Buffer.from(body.media.base64 || '', 'base64') });
+      }
+      lastInbound.set(body.from, Date.now());
+      const payload = inboundPayload(phoneNumberId, body, stored);
+      const result = await postWebhook(webhookUrl, appSecret, payload);
+      return { ok: result.status === 200, webhook: result, message: payload.entry[0].changes[0].value.messages[0] };
+    }
+    if (req.method === 'POST' && pathname === '/__fake/status') {
+      const message = sent.find(m => m.id === body?.id) || sent[sent.length - 1];
+      if (!message) throw new FakeWhatsAppError(404, 'No sent message to report on');
+      const result = await postWebhook(webhookUrl, appSecret, statusPayload(phoneNumberId, message, body || {}));
+      return { ok: result.status === 200, webhook: result, id: message.id };
+    }
+    if (req.method === 'POST' && pathname === '/__fake/verify') {
+      const challenge = newId('challenge-');
+      const url = new URL(webhookUrl);
+      url.searchParams.set('hub.mode', 'subscribe');
+      url.searchParams.set('hub.verify_token', verifyToken);
+      url.searchParams.set('hub.challenge', challenge);
+      const result = await getRequest(url.toString());
+      return { ok: result.status === 200 && result.body === challenge, webhook: result };
+    }
+    throw new FakeWhatsAppError(404, `No control endpoint ${req.method} ${pathname}`);
+  }
+
+  async function route(req, rawBody) {
+    const url = new URL(req.url, 'http://fake.whatsapp');
+    const body = rawBody ? JSON.parse(rawBody) : null;
+
+    if (url.pathname.startsWith('/__fake/')) {
+      return { payload: await handleControl(req, url.pathname, body) };
+    }
+
+    const failure = takeFailure(url.pathname);
+    if (failure) {
+      throw new FakeWhatsAppError(failure.status, 'Injected failure', 2);
+    }
+
+    checkToken(req);
+
+    let match;
+    if (req.method === 'GET' && (match = url.pathname.match(/^\/media\/([^/]+)$/))) {
+      const stored = media.get(match[1]);
+      if (!stored) throw new FakeWhatsAppError(404, `Media ${match[1]} not found`, 100);
+      return { raw: stored.buffer, contentType: stored.mimeType };
+    }
+
+    // Graph paths, with or without the /vNN.N version prefix
+    const graphPath = url.pathname.replace(/^\/v\d+\.\d+/, '');
+    if (req.method === 'POST' && (match = graphPath.match(/^\/([^/]+)\/messages$/))) {
+      return { payload: handleSend(match[1], body) };
+    }
+    if (req.method === 'GET' && (match = graphPath.match(/^\/([^/]+)$/))) {
+      const stored = media.get(match[1]);
+      if (!stored) throw new FakeWhatsAppError(404, `Media ${match[1]} not found`, 100);
+      return {
+        payload: {
+          messaging_product: 'whatsapp',
+          id: match[1],
+          url: `http://127.0.0.1:${options.port || DEFAULT_PORT}/media/${match[1]}`,
+          mime_type: stored.mimeType,
+          file_size: stored.buffer.length,
+          sha256: crypto.createHash('sha256').update(stored.buffer).digest('hex'),
+        },
+      };
+    }
+
+    throw new FakeWhatsAppError(404, `No fake for ${req.method} ${url.pathname}`, 100);
+  }
+
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', chunk => rawBody += chunk);
+    req.on('end', async () => {
+      let status = 200;
+      let result;
+      try {
+        result = await route(req, rawBody);
+      } catch (error) {
+        status = error instanceof FakeWhatsAppError ? error.status : (error instanceof SyntaxError ? 400 : 500);
+        result = { payload: { error: { message: error.message, type: 'OAuthException', code: error.code || 1 } } };
+      }
+
+      log(`${status < 400 ? '✅' : '⚠️'} ${req.method} ${req.url} → ${status}`);
+      if (result.raw) {
+        res.writeHead(status, { 'Content-Type': result.contentType });
+        res.end(result.raw);
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.payload));
+    });
+  });
+  server.fake = fake;
+  return server;
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+if (require.main === module) {
+  const port = parseInt(getArg('port') || process.env.FAKE_WHATSAPP_PORT || DEFAULT_PORT);
+  const webhookUrl = getArg('webhook') || DEFAULT_WEBHOOK;
+
+  const server = createFakeWhatsAppServer({
+    port,
+    webhookUrl,
+    token: process.env.FAKE_WHATSAPP_TOKEN,
+    appSecret: process.env.FAKE_WHATSAPP_APP_SECRET,
+    verifyToken: process.env.FAKE_WHATSAPP_VERIFY_TOKEN,
+  });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`🧪 Fake WhatsApp Cloud API listening on http://127.0.0.1:${port}`);
+    console.log(`   webhooks go to ${webhookUrl}`);
+  });
+}
+
+module.exports = {
+  createFakeWhatsAppServer,
+};
@@ -0,0 +1,97 @@
+// Replay a recorded Bokun webhook against a running bokunWebhook endpoint
+// (usually the functions emulator), signed the same way Bokun signs it.
+//
+// Run with:
+//   BOKUN_WEBHOOK_SECRET=dev-secret node scripts/replay_bokun_webhook.js \
+//     scripts/fixtures/bokun_webhooks/booking_created.json \
+//     [http://127.0.0.1:5001/aurora-viking-staff/us-central1/bokunWebhook] \
+//     [--fake-bokun http://127.0.0.1:8089]
+//
+// A fixture is { "topic": "bookings/create", "body": { ...Bokun booking... } }.
+// bokunWebhook ignores the body and re-fetches the booking named in the
+// signed x-bokun-booking-id header, so the booking has to exist in Bokun.
+// With --fake-bokun the fixture's booking is first written into the fake
+// Bokun server (scripts/fake_bokun_server.js) the emulator talks to.
+// Replaying the same fixture twice should report { duplicate: true } the second time.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { computeWebhookSignature } = require('../modules/bokun_webhook');
+
+const DEFAULT_URL = 'http://127.0.0.1:5001/aurora-viking-staff/us-central1/bokunWebhook';
+
+const args = process.argv.slice(2);
+const fakeIndex = args.indexOf('--fake-bokun');
+const fakeBokunUrl = fakeIndex === -1 ? null : args[fakeIndex + 1];
+const positional = args.filter((arg, i) => fakeIndex === -1 || (i !== fakeIndex && i !== fakeIndex + 1));
+const fixturePath = positional[0];
+const targetUrl = new URL(positional[1] || DEFAULT_URL);
+const secret = process.env.BOKUN_WEBHOOK_SECRET;
+
+if (!fixturePath || !secret) {
+  console.error('Usage: BOKUN_WEBHOOK_SECRET=... node scripts/replay_bokun_webhook.js <fixture.json> [url] [--fake-bokun url]');
+  process.exit(1);
+}
+
+const fixture = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+const body = JSON.stringify(fixture.body);
+const booking = fixture.body.booking || fixture.body;
+
+function request(url, method, payload, extraHeaders = {}) {
+  const data = payload === undefined ? null : (typeof payload === 'string' ? payload : JSON.stringify(payload));
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method,
+      headers: {
+        ...extraHeaders,
+        ...(data !== null && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }),
+      },
+      timeout: 15000,
+    }, (res) => {
+      let text = '';
+      res.on('data', chunk => text += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, text }));
+    });
+    req.on('timeout', () => req.destroy(new Error('Request timed out')));
+    req.on('error', reject);
+    if (data !== null) req.write(data);
+    req.end();
+  });
+}
+
+// Put the fixture's booking into the fake Bokun dataset, replacing any copy
+async function seedFakeBokun(baseUrl) {
+  const state = JSON.parse((await request(new URL('/__fake/state', baseUrl), 'GET')).text);
+  const bookings = (state.bookings || []).filter(b => String(b.id) !== String(booking.id));
+  const seeded = await request(new URL('/__fake/seed', baseUrl), 'POST', {
+    products: state.products || [],
+    bookings: [...bookings, booking],
+  });
+  if (seeded.status !== 200) throw new Error(`Fake Bokun seed failed: ${seeded.status} ${seeded.text}`);
+}
+
+async function main() {
+  if (fakeBokunUrl) await seedFakeBokun(fakeBokunUrl);
+
+  const headers = {
+    'x-bokun-topic': fixture.topic,
+    'x-bokun-booking-id': String(booking.id),
+    'x-bokun-apikey': fixture.apiKey || 'local-replay',
+    'x-bokun-vendor-id': String(fixture.vendorId || 1),
+    'x-bokun-date': new Date().toISOString().replace('T', ' ').substring(0, 19),
+  };
+  headers['x-bokun-hmac'] = computeWebhookSignature(headers, secret);
+
+  const res = await request(targetUrl, 'POST', body, headers);
+  console.log(`${fixture.topic} → ${res.status}`);
+  console.log(res.text);
+  process.exit(res.status >= 200 && res.status < 300 ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { isReplyDeliveryFailed } = require('../modules/ai_actions');
+
+const reply = (fields) => ({ direction: 'outbound', bookingAction: { executionId: 'exec-1' }, status: 'pending', ...fields });
+
+describe('isReplyDeliveryFailed', () => {
+    it('catches a reply the channel trigger could not send', () => {
+        assert.strictEqual(isReplyDeliveryFailed(reply({ status: 'failed', error: 'No customer email' })), true);
+    });
+
+    it('catches a WhatsApp reply reported failed after it was sent', () => {
+        const message = reply({ status: 'sent', channelMetadata: { whatsapp: { deliveryStatus: 'failed', deliveryError: '131047' } } });
+        assert.strictEqual(isReplyDeliveryFailed(message), true);
+    });
+
+    it('ignores replies on their way, and messages that are not AI action replies', () => {
+        assert.strictEqual(isReplyDeliveryFailed(reply({ status: 'sent' })), false);
+        assert.strictEqual(isReplyDeliveryFailed({ direction: 'outbound', status: 'failed' }), false);
+        assert.strictEqual(isReplyDeliveryFailed(null), false);
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { diffDispatchPlan, fingerprintAssignments } = require('../modules/auto_dispatch');
+
+function booking(id, pax = 2) {
+    return { id, customerFullName: `Guest ${id}`, totalParticipants: pax };
+}
+
+function route(guideId, busId, bookings) {
+    return {
+        guideId,
+        guideName: `Guide ${guideId}`,
+        busId,
+        busName: busId ? `Bus ${busId}` : null,
+        capacity: 18,
+        stops: [{ name: 'Harpa', bookings }],
+    };
+}
+
+function current(guides = {}, bookingGuide = {}, shiftStatus = {}) {
+    return { guides, bookingGuide, shiftStatus };
+}
+
+describe('diffDispatchPlan', () => {
+    it('reports new, moved and unchanged bookings', () => {
+        const plan = {
+            routes: [route('g1', 'b1', [booking('1'), booking('2')]), route('g2', 'b2', [booking('3')])],
+            overCapacity: [],
+        };
+        const diff = diffDispatchPlan(plan, current(
+            {
+                g1: { guideId: 'g1', guideName: 'Guide g1', busId: 'b1' },
+                g2: { guideId: 'g2', guideName: 'Guide g2', busId: 'b2' },
+            },
+            {
+                1: { guideId: 'g1', guideName: 'Guide g1' },
+                3: { guideId: 'g1', guideName: 'Guide g1' },
+            },
+        ));
+
+        assert.deepStrictEqual(diff.bookingsNewlyAssigned.map(b => b.bookingId), ['2']);
+        assert.strictEqual(diff.bookingsMoved.length, 1);
+        assert.deepStrictEqual(
+            { bookingId: diff.bookingsMoved[0].bookingId, from: diff.bookingsMoved[0].fromGuideId, to: diff.bookingsMoved[0].toGuideId },
+            { bookingId: '3', from: 'g1', to: 'g2' },
+        );
+        assert.strictEqual(diff.unchanged, 1);
+    });
+
+    it('reports guides added and removed and bus changes', () => {
+        const plan = { routes: [route('g1', 'b2', []), route('g3', 'b1', [])], overCapacity: [] };
+        const diff = diffDispatchPlan(plan, current({
+            g1: { guideId: 'g1', guideName: 'Guide g1', busId: 'b1', busName: 'Bus b1' },
+            g2: { guideId: 'g2', guideName: 'Guide g2', busId: null },
+        }));
+
+        assert.deepStrictEqual(diff.guidesAdded, [{ guideId: 'g3', guideName: 'Guide g3' }]);
+        assert.deepStrictEqual(diff.guidesRemoved, [{ guideId: 'g2', guideName: 'Guide g2' }]);
+        assert.deepStrictEqual(diff.busChanges, [{
+            guideId: 'g1',
+            guideName: 'Guide g1',
+            fromBusId: 'b1',
+            fromBusName: 'Bus b1',
+            toBusId: 'b2',
+            toBusName: 'Bus b2',
+        }]);
+    });
+
+    it('names the guide and bus of over-capacity and unknown-capacity routes', () => {
+        const plan = {
+            routes: [route('g1', 'b1', [booking('1', 20)])],
+            overCapacity: [{ guideId: 'g1', busId: 'b1', passengers: 20, capacity: 18 }],
+            unknownCapacity: [{ guideId: 'g1', busId: 'b1', busName: 'Bus b1', capacity: 18 }],
+            unstaffed: [{ departureKey: 'p1_t1', bookings: 1, passengers: 2 }],
+        };
+        const diff = diffDispatchPlan(plan, current());
+
+        assert.deepStrictEqual(diff.overCapacity, [{
+            guideId: 'g1', busId: 'b1', passengers: 20, capacity: 18, guideName: 'Guide g1', busName: 'Bus b1',
+        }]);
+        assert.strictEqual(diff.unknownCapacity.length, 1);
+        assert.strictEqual(diff.unstaffedDepartures.length, 1);
+    });
+
+    it('treats an empty plan against no assignments as no change', () => {
+        const diff = diffDispatchPlan({ routes: [], overCapacity: [] }, current());
+        assert.deepStrictEqual(diff, {
+            bookingsMoved: [],
+            bookingsNewlyAssigned: [],
+            guidesAdded: [],
+            guidesRemoved: [],
+            busChanges: [],
+            overCapacity: [],
+            unknownCapacity: [],
+            unstaffedDepartures: [],
+            unchanged: 0,
+        });
+    });
+});
+
+describe('fingerprintAssignments', () => {
+    it('changes when a shift is withdrawn', () => {
+        const before = current({}, {}, { s1: 'applied', s2: 'accepted' });
+        const after = current({}, {}, { s1: 'cancelled', s2: 'accepted' });
+        assert.notStrictEqual(fingerprintAssignments(before), fingerprintAssignments(after));
+    });
+
+    it('changes when a shift is deleted', () => {
+        const before = current({}, {}, { s1: 'applied', s2: 'accepted' });
+        const after = current({}, {}, { s2: 'accepted' });
+        assert.notStrictEqual(fingerprintAssignments(before), fingerprintAssignments(after));
+    });
+
+    it('does not depend on the order docs were read in', () => {
+        const a = current({}, { 1: { guideId: 'g1' }, 2: { guideId: 'g2' } }, { s1: 'applied', s2: 'accepted' });
+        const b = current({}, { 2: { guideId: 'g2' }, 1: { guideId: 'g1' } }, { s2: 'accepted', s1: 'applied' });
+        assert.strictEqual(fingerprintAssignments(a), fingerprintAssignments(b));
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { applyWebhookToList } = require('../modules/bokun_webhook');
+const { toCachedBooking, liveBookings } = require('../utils/bokun_booking');
+const { diffBookingLists } = require('../utils/route_planner');
+const { isPartialSnapshot } = require('../modules/dispatch_reconciler');
+
+const cancelledFixture = require('../scripts/fixtures/bokun_webhooks/booking_cancelled.json');
+const rescheduledFixture = require('../scripts/fixtures/bokun_webhooks/booking_rescheduled.json');
+
+const ids = list => list.map(b => b.id);
+const other = id => ({ id, numberOfGuests: 2, pickupPlaceName: 'Harpa' });
+
+describe('applyWebhookToList', () => {
+    const booking = cancelledFixture.body;
+    const confirmed = {
+        ...booking,
+        status: 'CONFIRMED',
+        productBookings: booking.productBookings.map(pb => ({ ...pb, status: 'CONFIRMED' })),
+    };
+    const before = [other('1'), toCachedBooking(confirmed), other('2')];
+
+    it('keeps a cancellation in the list, marked CANCELLED, so the reconciler sees it removed', () => {
+        const after = applyWebhookToList(before, booking, { cancelled: true });
+        const diff = diffBookingLists(before, after);
+        assert.deepStrictEqual(ids(diff.removed), [String(booking.id)]);
+        assert.deepStrictEqual(diff.missing, []);
+        assert.deepStrictEqual(ids(liveBookings(after)), ['1', '2']);
+    });
+
+    it('never makes a night with several cancellations look partial', () => {
+        const after = [1, 2, booking.id].reduce((list, id) =>
+            applyWebhookToList(list, { ...booking, id }, { cancelled: true }), before);
+        const diff = diffBookingLists(before, after);
+        assert.strictEqual(diff.removed.length, 3);
+        assert.strictEqual(isPartialSnapshot(before, diff.missing), false);
+    });
+
+    it('marks a rescheduled booking CANCELLED on the date it moved from', () => {
+        const moved = applyWebhookToList(before, rescheduledFixture.body, { movedTo: '2026-10-25' });
+        const entry = moved.find(b => b.id === String(booking.id));
+        assert.strictEqual(entry.status, 'CANCELLED');
+        assert.strictEqual(entry.movedTo, '2026-10-25');
+        assert.deepStrictEqual(ids(diffBookingLists(before, moved).removed), [String(booking.id)]);
+        assert.strictEqual(applyWebhookToList(moved, rescheduledFixture.body, { movedTo: '2026-10-25' }), null);
+    });
+
+    it('brings a cancelled entry back when the booking is confirmed again', () => {
+        const cancelled = applyWebhookToList(before, booking, { cancelled: true });
+        const restored = applyWebhookToList(cancelled, confirmed);
+        assert.deepStrictEqual(ids(diffBookingLists(cancelled, restored).added), [String(booking.id)]);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    icelandDate,
+    getDepartureTime,
+    getHoursUntilDeparture,
+    buildPolicyContext,
+    buildRetryContext,
+    getRetryValidUntil,
+    evaluatePolicy,
+} = require('../utils/booking_policy');
+
+// Iceland is UTC+0 all year, so these instants are Iceland wall-clock times too
+const at = iso => new Date(iso);
+const booking = (startDate, startTime) => ({ confirmationCode: 'AV-123456', status: 'CONFIRMED', startDate, ...(startTime && { startTime }) });
+const decide = (action, b, now) => evaluatePolicy(action, buildPolicyContext(b, { now: at(now) })).rule;
+const retry = (retryDate, now, extra = {}) => evaluatePolicy('retry', buildRetryContext({
+    originalTourDate: '2026-01-10', entitled: true, attendedOriginal: true, retryDate, now: at(now), ...extra,
+})).rule;
+
+describe('icelandDate', () => {
+    it('turns over at 00:00 UTC', () => {
+        assert.strictEqual(icelandDate(at('2026-01-15T23:59:59.999Z')), '2026-01-15');
+        assert.strictEqual(icelandDate(at('2026-01-16T00:00:00.000Z')), '2026-01-16');
+    });
+});
+
+describe('date-only and timestamp booking dates', () => {
+    it('reads the same tour date from a date-only string, an ISO string and epoch millis', () => {
+        const ms = Date.parse('2026-01-16T00:00:00Z');
+        for (const startDate of ['2026-01-16', '2026-01-16T00:00:00Z', ms, String(ms)]) {
+            assert.strictEqual(buildPolicyContext(booking(startDate), { now: at('2026-01-10T12:00:00Z') }).tourDate, '2026-01-16');
+        }
+    });
+
+    it('keeps a 23:59 UTC timestamp on its own day', () => {
+        assert.strictEqual(buildPolicyContext(booking('2026-01-15T23:59:59Z'), { now: at('2026-01-10T12:00:00Z') }).tourDate, '2026-01-15');
+    });
+
+    it('departs at 21:00 on the date when a date-only booking has no time', () => {
+        assert.strictEqual(getDepartureTime(booking('2026-01-16')).toISOString(), '2026-01-16T21:00:00.000Z');
+        assert.strictEqual(getDepartureTime(booking('2026-01-16', '0:30')).toISOString(), '2026-01-16T00:30:00.000Z');
+        assert.strictEqual(getDepartureTime(booking(null)), null);
+    });
+});
+
+describe('tour in the past around midnight', () => {
+    it('is still tonight at 23:59 and past at 00:00', () => {
+        const b = booking('2026-01-15', '23:30');
+        assert.notStrictEqual(decide('cancel', b, '2026-01-15T23:59:59Z'), 'tour_in_past');
+        assert.strictEqual(decide('cancel', b, '2026-01-16T00:00:00Z'), 'tour_in_past');
+    });
+});
+
+describe('24-hour cutoff', () => {
+    const b = booking('2026-01-16', '21:00');
+
+    it('allows a change exactly 24 hours before departure', () => {
+        assert.strictEqual(getHoursUntilDeparture(b, at('2026-01-15T21:00:00Z')), 24);
+        assert.strictEqual(decide('reschedule', b, '2026-01-15T21:00:00Z'), 'reschedule_window');
+        assert.strictEqual(decide('cancel', b, '2026-01-15T21:00:00Z'), 'cancel_window');
+    });
+
+    it('blocks it a millisecond later', () => {
+        assert.strictEqual(decide('reschedule', b, '2026-01-15T21:00:00.001Z'), 'reschedule_cutoff_24h');
+        assert.strictEqual(decide('cancel', b, '2026-01-15T21:00:00.001Z'), 'cancel_cutoff_24h');
+    });
+
+    it('counts an after-midnight departure from its own date', () => {
+        const late = booking('2026-01-16', '00:30');
+        assert.strictEqual(decide('reschedule', late, '2026-01-15T00:30:00Z'), 'reschedule_window');
+        assert.strictEqual(decide('reschedule', late, '2026-01-15T00:31:00Z'), 'reschedule_cutoff_24h');
+    });
+});
+
+describe('2-hour pickup cutoff', () => {
+    const b = booking('2026-01-16', '01:00');
+
+    it('allows a pickup change exactly 2 hours before, across midnight', () => {
+        assert.strictEqual(decide('change_pickup', b, '2026-01-15T23:00:00Z'), 'pickup_window');
+        assert.strictEqual(decide('change_pickup', b, '2026-01-15T23:00:00.001Z'), 'pickup_cutoff_2h');
+    });
+});
+
+describe('retry noon cutoff and validity', () => {
+    it('takes a same-night retry until 11:59:59 and not from 12:00', () => {
+        assert.strictEqual(retry('2026-01-15', '2026-01-15T11:59:59Z'), 'retry_window');
+        assert.strictEqual(retry('2026-01-15', '2026-01-15T12:00:00Z'), 'retry_noon_cutoff');
+    });
+
+    it('treats the night as past from 00:00', () => {
+        assert.strictEqual(retry('2026-01-15', '2026-01-15T23:59:59Z'), 'retry_noon_cutoff');
+        assert.strictEqual(retry('2026-01-15', '2026-01-16T00:00:00Z'), 'retry_date_in_past');
+        assert.strictEqual(retry('2026-01-16', '2026-01-16T00:00:00Z'), 'retry_window');
+    });
+
+    it('is valid through the last day, leap days included', () => {
+        assert.strictEqual(getRetryValidUntil('2024-02-29'), '2026-02-28');
+        assert.strictEqual(retry('2028-01-10', '2028-01-09T10:00:00Z'), 'retry_window');
+        assert.strictEqual(retry('2028-01-11', '2028-01-09T10:00:00Z'), 'retry_expired');
+    });
+});
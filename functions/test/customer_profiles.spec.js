@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    resolveIdentityConfig,
+    getIdentityKeys,
+    findIdentityMatches,
+    canAutoMerge,
+    getMergeFilledFields,
+    getFieldsToRestore,
+} = require('../modules/customer_profiles');
+
+const config = resolveIdentityConfig();
+
+describe('identity codes', () => {
+    it('keeps conversation booking references apart from verified codes', () => {
+        const identity = getIdentityKeys({ identity: { confirmationCodes: ['av-123456'], linkedCodes: ['AV-123456', 'please call me'] } });
+        assert.deepStrictEqual(identity.confirmationCodes, ['AV-123456']);
+        assert.deepStrictEqual(identity.linkedCodes, ['PLEASE CALL ME']);
+    });
+
+    it('never auto-merges on a code only one side has verified', () => {
+        const a = { id: 'a', identity: { confirmationCodes: ['AV-123456'] } };
+        const b = { id: 'b', identity: { linkedCodes: ['AV-123456'] } };
+        const matchedOn = findIdentityMatches(getIdentityKeys(a), getIdentityKeys(b));
+        assert.deepStrictEqual(matchedOn, ['linkedCode']);
+        assert.strictEqual(canAutoMerge(config, matchedOn, a, b), false);
+    });
+
+    it('auto-merges on a verified code both share', () => {
+        const a = { id: 'a', identity: { confirmationCodes: ['AV-123456'] } };
+        const b = { id: 'b', identity: { confirmationCodes: ['AV-123456'] } };
+        const matchedOn = findIdentityMatches(getIdentityKeys(a), getIdentityKeys(b));
+        assert.deepStrictEqual(matchedOn, ['confirmationCode']);
+        assert.strictEqual(canAutoMerge(config, matchedOn, a, b), true);
+    });
+});
+
+describe('merge filled fields', () => {
+    const primary = { email: 'anna@example.com', channels: { gmail: 'anna@example.com' } };
+    const secondary = {
+        email: 'other@example.com',
+        phone: '+3545551234',
+        channels: { gmail: 'other@example.com', whatsapp: '3545551234' },
+        notificationPreferences: { channels: ['whatsapp'] },
+    };
+
+    it('records only the gaps the merge fills', () => {
+        assert.deepStrictEqual(getMergeFilledFields(primary, secondary), [
+            { field: 'phone', value: '+3545551234' },
+            { field: 'channels.whatsapp', value: '3545551234' },
+            { field: 'notificationPreferences', value: { channels: ['whatsapp'] } },
+        ]);
+    });
+
+    it('restores the fields still as the merge left them', () => {
+        const filled = getMergeFilledFields(primary, secondary);
+        const merged = {
+            ...primary,
+            phone: '+3545559999', // changed by staff since the merge
+            channels: { ...primary.channels, whatsapp: '3545551234' },
+            notificationPreferences: { channels: ['whatsapp'] },
+        };
+        assert.deepStrictEqual(getFieldsToRestore(merged, filled), ['channels.whatsapp', 'notificationPreferences']);
+    });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getTodayDateString, isAuroraSeason } = require('../utils/dates');
+const { isAdminUser, isStaffUser } = require('../utils/staff');
+
+describe('getTodayDateString', () => {
+    it('uses the Iceland (UTC) date around midnight', () => {
+        assert.strictEqual(getTodayDateString(new Date('2026-01-15T23:59:59Z')), '2026-01-15');
+        assert.strictEqual(getTodayDateString(new Date('2026-01-16T00:00:00Z')), '2026-01-16');
+    });
+});
+
+describe('isAuroraSeason', () => {
+    it('runs from August 15 to April 30', () => {
+        assert.strictEqual(isAuroraSeason(new Date('2026-08-14T23:59:00Z')), false);
+        assert.strictEqual(isAuroraSeason(new Date('2026-08-15T00:00:00Z')), true);
+        assert.strictEqual(isAuroraSeason(new Date('2026-04-30T23:59:00Z')), true);
+        assert.strictEqual(isAuroraSeason(new Date('2026-05-01T00:00:00Z')), false);
+    });
+});
+
+describe('isStaffUser', () => {
+    it('accepts admins and office staff, not guides', () => {
+        assert.strictEqual(isStaffUser({ isAdmin: true, role: 'guide' }), true);
+        assert.strictEqual(isStaffUser({ role: 'staff' }), true);
+        assert.strictEqual(isStaffUser({ role: 'guide' }), false);
+        assert.strictEqual(isStaffUser(null), false);
+    });
+});
+
+describe('isAdminUser', () => {
+    it('accepts admins only, not office staff', () => {
+        assert.strictEqual(isAdminUser({ isAdmin: true, role: 'staff' }), true);
+        assert.strictEqual(isAdminUser({ role: 'admin' }), true);
+        assert.strictEqual(isAdminUser({ role: 'staff' }), false);
+        assert.strictEqual(isAdminUser(null), false);
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { needsFallback } = require('../modules/delivery_fallback');
+const { findUnreachedBookings } = require('../modules/sms_status');
+
+const fallback = [{ channel: 'email', to: 'guest@example.com', subject: 'Tour cancelled', body: '<p>Sorry</p>' }];
+
+describe('needsFallback', () => {
+    it('falls back once an SMS is reported undelivered or failed', () => {
+        assert.strictEqual(needsFallback('sms', { status: 'undelivered', fallback }), true);
+        assert.strictEqual(needsFallback('sms', { status: 'failed', fallback }), true);
+        assert.strictEqual(needsFallback('sms', { status: 'delivered', fallback }), false);
+        assert.strictEqual(needsFallback('sms', { status: 'sent', fallback }), false);
+    });
+
+    it('falls back on a failed WhatsApp receipt such as 131047', () => {
+        assert.strictEqual(needsFallback('whatsapp', { status: 'failed', errorCode: '131047', fallback }), true);
+        assert.strictEqual(needsFallback('whatsapp', { status: 'read', fallback }), false);
+    });
+
+    it('sends a fallback only once, and only when there is one', () => {
+        assert.strictEqual(needsFallback('sms', { status: 'failed', fallback, fallbackClaimedAt: '2026-01-15T18:00:00Z' }), false);
+        assert.strictEqual(needsFallback('sms', { status: 'failed', fallback: [] }), false);
+        assert.strictEqual(needsFallback('whatsapp', { status: 'failed' }), false);
+    });
+});
+
+describe('findUnreachedBookings', () => {
+    it('counts a booking reached when the fallback after a bounced SMS went out', () => {
+        const delivery = {
+            bookingId: '1',
+            customerName: 'Lena',
+            createdAt: '2026-01-15T17:00:00Z',
+            attempts: [{ channel: 'sms', ok: true, messageId: 'SM1' }],
+        };
+        const statuses = { SM1: { status: 'undelivered', errorCode: '30003' } };
+        assert.strictEqual(findUnreachedBookings([delivery], statuses).length, 1);
+        const withFallback = { ...delivery, fallbackAttempts: [{ channel: 'email', ok: true, messageId: 'gm1' }] };
+        assert.deepStrictEqual(findUnreachedBookings([withFallback], statuses), []);
+    });
+});
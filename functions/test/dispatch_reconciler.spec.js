@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { diffBookingLists, reconcileRoutes, buildStops } = require('../utils/route_planner');
+const { isPartialSnapshot, confirmMissingWithBokun } = require('../modules/dispatch_reconciler');
+
+function booking(id, pax = 2, status = 'CONFIRMED') {
+    return { id, status, totalParticipants: pax };
+}
+
+const ids = list => list.map(b => b.id);
+
+describe('diffBookingLists', () => {
+    it('counts only bookings turned CANCELLED as removed', () => {
+        const before = [booking('1'), booking('2'), booking('3')];
+        const after = [booking('1'), booking('2', 2, 'CANCELLED')];
+        const diff = diffBookingLists(before, after);
+        assert.deepStrictEqual(ids(diff.removed), ['2']);
+        assert.deepStrictEqual(ids(diff.missing), ['3']);
+        assert.deepStrictEqual(diff.added, []);
+    });
+
+    it('reports new bookings and pax changes', () => {
+        const before = [booking('1', 2), booking('2', 2, 'CANCELLED')];
+        const after = [booking('1', 4), booking('2', 3), booking('3', 1)];
+        const diff = diffBookingLists(before, after);
+        assert.deepStrictEqual(ids(diff.paxChanged), ['1']);
+        assert.deepStrictEqual(ids(diff.added).sort(), ['2', '3']);
+        assert.deepStrictEqual(diff.removed, []);
+    });
+
+    it('ignores a booking that stays cancelled or disappears after cancelling', () => {
+        const before = [booking('1', 2, 'CANCELLED'), booking('2', 2, 'CANCELLED')];
+        const diff = diffBookingLists(before, [booking('1', 2, 'CANCELLED')]);
+        assert.deepStrictEqual(diff, { added: [], removed: [], missing: [], paxChanged: [] });
+    });
+});
+
+describe('isPartialSnapshot', () => {
+    const night = Array.from({ length: 10 }, (_, i) => booking(String(i)));
+
+    it('flags a snapshot that lost a large share of the bookings', () => {
+        assert.strictEqual(isPartialSnapshot(night, night.slice(0, 3)), true);
+        assert.strictEqual(isPartialSnapshot(night, night), true);
+    });
+
+    it('lets a couple of missing bookings through', () => {
+        assert.strictEqual(isPartialSnapshot(night, night.slice(0, 2)), false);
+        assert.strictEqual(isPartialSnapshot(night.slice(0, 3), night.slice(0, 2)), false);
+    });
+
+    it('counts only live bookings in the share', () => {
+        const withCancelled = [...night.slice(0, 4), ...Array.from({ length: 20 }, (_, i) => booking(`c${i}`, 2, 'CANCELLED'))];
+        assert.strictEqual(isPartialSnapshot(withCancelled, withCancelled.slice(0, 3)), true);
+    });
+});
+
+describe('reconcileRoutes', () => {
+    const guest = (id, pax, place) => ({
+        id, numberOfGuests: pax, pickupPlaceName: place, productId: 'p1', startTimeId: 's1',
+    });
+    const route = (guideId, capacity, bookings) => {
+        const stops = buildStops(bookings);
+        return {
+            guideId, guideName: guideId, departureKey: 'p1_s1', capacity, stops,
+            totalPassengers: stops.reduce((sum, stop) => sum + stop.passengers, 0),
+        };
+    };
+    const noChanges = { added: [], removed: [], paxChanged: [] };
+
+    it('frees the seats of a cancellation and touches only its route', () => {
+        const routes = [route('a', 10, [guest('1', 4, 'Hotel Saga'), guest('2', 2, 'Hallgrimskirkja')]),
+            route('b', 10, [guest('3', 5, 'Harpa')])];
+        const { affected } = reconcileRoutes(routes, { ...noChanges, removed: [{ ...guest('2', 2), status: 'CANCELLED' }] });
+        assert.deepStrictEqual(Object.keys(affected), ['a']);
+        assert.deepStrictEqual(ids(affected.a.removed), ['2']);
+        assert.strictEqual(routes[0].totalPassengers, 4);
+        assert.deepStrictEqual(routes[0].stops.map(stop => stop.name), ['Hotel Saga']);
+    });
+
+    it('puts a new booking on a bus with room, and reports it unplaced when none has', () => {
+        const routes = [route('a', 6, [guest('1', 5, 'Hotel Saga')]), route('b', 10, [guest('2', 4, 'Harpa')])];
+        const placed = reconcileRoutes(routes, { ...noChanges, added: [guest('3', 3, 'Harpa')] });
+        assert.deepStrictEqual(ids(placed.affected.b.added), ['3']);
+        assert.strictEqual(routes[1].totalPassengers, 7);
+
+        const full = reconcileRoutes(routes, { ...noChanges, added: [guest('4', 6, 'Harpa')] });
+        assert.deepStrictEqual(ids(full.unplaced), ['4']);
+        assert.deepStrictEqual(full.affected, {});
+    });
+
+    it('moves a booking whose pax no longer fit its bus', () => {
+        const routes = [route('a', 6, [guest('1', 2, 'Hotel Saga'), guest('2', 3, 'Harpa')]),
+            route('b', 10, [guest('3', 2, 'Harpa')])];
+        const { affected } = reconcileRoutes(routes, { ...noChanges, paxChanged: [guest('1', 5, 'Hotel Saga')] });
+        assert.deepStrictEqual(ids(affected.a.removed), ['1']);
+        assert.deepStrictEqual(ids(affected.b.added), ['1']);
+        assert.strictEqual(routes[0].totalPassengers, 3);
+        assert.strictEqual(routes[1].totalPassengers, 7);
+    });
+});
+
+describe('confirmMissingWithBokun', () => {
+    const bokun = {
+        10: { id: 10, status: 'CANCELLED', productBookings: [] },
+        11: { id: 11, status: 'CONFIRMED', productBookings: [{ status: 'CONFIRMED', startDate: '2026-01-16' }] },
+        12: { id: 12, status: 'CONFIRMED', productBookings: [{ status: 'CONFIRMED', startDate: '2026-01-15' }] },
+    };
+    const fetchBooking = async (id) => {
+        if (!bokun[id]) throw new Error('Bokun unavailable');
+        return bokun[id];
+    };
+
+    it('returns the missing bookings Bokun has cancelled or moved, marked CANCELLED', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        const missing = ['10', '11', '12', '13'].map(id => booking(id));
+        const cancelled = await confirmMissingWithBokun('2026-01-15', missing, fetchBooking);
+        assert.deepStrictEqual(ids(cancelled), ['10', '11']);
+        assert.ok(cancelled.every(b => b.status === 'CANCELLED'));
+    });
+
+    it('does not look up more than a handful of missing bookings', async () => {
+        let calls = 0;
+        const missing = Array.from({ length: 21 }, (_, i) => booking(String(i)));
+        const cancelled = await confirmMissingWithBokun('2026-01-15', missing, async () => { calls++; return bokun[10]; });
+        assert.deepStrictEqual(cancelled, []);
+        assert.strictEqual(calls, 0);
+    });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { pickModelClient, meetsMinAccuracy } = require('../scripts/eval_ai_assist');
+
+const summary = (model, stub) => ({
+    model: { total: model.length, actionAccuracy: model.length ? model.filter(Boolean).length / model.length : 0 },
+    stub: { total: stub.length, actionAccuracy: stub.length ? stub.filter(Boolean).length / stub.length : 0 },
+});
+
+describe('pickModelClient', () => {
+    it('uses the recording, then the live model, then the stub', () => {
+        const live = { complete: async () => '{}' };
+        assert.strictEqual(pickModelClient({ modelResponse: '{}' }, live).source, 'recorded');
+        assert.strictEqual(pickModelClient({}, live).source, 'live');
+        assert.strictEqual(pickModelClient({}).source, 'stub');
+    });
+});
+
+describe('meetsMinAccuracy', () => {
+    it('counts only model results', () => {
+        assert.strictEqual(meetsMinAccuracy(summary([true], [false, false, false]), 0.8), true);
+        assert.strictEqual(meetsMinAccuracy(summary([true, false], [true, true, true]), 0.8), false);
+    });
+
+    it('fails a run with no model results', () => {
+        assert.strictEqual(meetsMinAccuracy(summary([], [true, true]), 0.8), false);
+        assert.strictEqual(meetsMinAccuracy(summary([], [true, true]), 0), true);
+    });
+});
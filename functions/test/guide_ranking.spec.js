@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    DEFAULT_RANKING_CONFIG,
+    resolveRankingConfig,
+    isWeekendNight,
+    isPeakNight,
+    getSeasonId,
+    scoreGuides,
+    explainDecision,
+} = require('../utils/guide_ranking');
+const { candidates } = require('./fixtures/guide_candidates.json');
+
+// 2026-01-14 is a Wednesday, 2026-01-16 a Friday
+const WEEKNIGHT = '2026-01-14';
+const FRIDAY = '2026-01-16';
+
+function component(guide, key) {
+    return (guide.components.find(c => c.key === key) || {}).value;
+}
+
+describe('resolveRankingConfig', () => {
+    it('merges stored weights over the defaults', () => {
+        const config = resolveRankingConfig({ windowDays: 14, weights: { priority: 3 } });
+        assert.strictEqual(config.windowDays, 14);
+        assert.strictEqual(config.weights.priority, 3);
+        assert.strictEqual(config.weights.recentShifts, DEFAULT_RANKING_CONFIG.weights.recentShifts);
+    });
+});
+
+describe('night classification', () => {
+    it('counts Friday and Saturday as weekend nights', () => {
+        assert.strictEqual(isWeekendNight('2026-01-15'), false);
+        assert.strictEqual(isWeekendNight(FRIDAY), true);
+        assert.strictEqual(isWeekendNight('2026-01-17'), true);
+        assert.strictEqual(isWeekendNight('2026-01-18'), false);
+    });
+
+    it('counts listed dates and busy nights as peak nights', () => {
+        const config = resolveRankingConfig({ peakDates: ['2026-12-31'] });
+        assert.strictEqual(isPeakNight('2026-12-31', 0, config), true);
+        assert.strictEqual(isPeakNight(WEEKNIGHT, config.peakPassengerThreshold, config), true);
+        assert.strictEqual(isPeakNight(WEEKNIGHT, config.peakPassengerThreshold - 1, config), false);
+        assert.strictEqual(isPeakNight(WEEKNIGHT, undefined, config), false);
+    });
+});
+
+describe('getSeasonId', () => {
+    it('starts a season on 1 September', () => {
+        assert.strictEqual(getSeasonId('2026-08-31'), '2025-2026');
+        assert.strictEqual(getSeasonId('2026-09-01'), '2026-2027');
+    });
+
+    it('keeps January to April in the season that started the year before', () => {
+        assert.strictEqual(getSeasonId('2027-01-01'), '2026-2027');
+        assert.strictEqual(getSeasonId('2027-04-30'), '2026-2027');
+    });
+});
+
+describe('scoreGuides', () => {
+    it('reproduces priority - recentShifts * 2 when nothing else applies', () => {
+        const [guide] = scoreGuides([{ guideId: 'x', guideName: 'X', priority: 7, recentShifts: 3 }], { date: WEEKNIGHT });
+        assert.strictEqual(guide.score, 1);
+    });
+
+    it('ranks the fixture pool on a weeknight', () => {
+        const ranked = scoreGuides(candidates, { date: WEEKNIGHT, totalPassengers: 20 });
+        assert.deepStrictEqual(ranked.map(g => [g.guideId, g.score]), [
+            ['bjorn', 9],
+            ['dagur', 5],
+            ['clara', 0],
+            ['anna', -1],
+        ]);
+        const anna = ranked.find(g => g.guideId === 'anna');
+        assert.strictEqual(component(anna, 'restAfterLateNight'), -3);
+        assert.strictEqual(component(anna, 'weekendBalance'), undefined);
+        const clara = ranked.find(g => g.guideId === 'clara');
+        assert.strictEqual(component(clara, 'overWeeklyLimit'), -4);
+    });
+
+    it('balances weekend nights and applies weekday preferences on a Friday', () => {
+        const ranked = scoreGuides(candidates, { date: FRIDAY, totalPassengers: 20 });
+        assert.deepStrictEqual(ranked.map(g => g.guideId), ['bjorn', 'dagur', 'anna', 'clara']);
+        const anna = ranked.find(g => g.guideId === 'anna');
+        // 6 weekend nights against a pool average of 2.25
+        assert.strictEqual(component(anna, 'weekendBalance'), -3.75);
+        assert.strictEqual(component(anna, 'preferredWeekday'), 2);
+        assert.strictEqual(component(ranked.find(g => g.guideId === 'clara'), 'avoidedWeekday'), -5);
+    });
+
+    it('breaks ties by decline streak, then by name', () => {
+        const ranked = scoreGuides(candidates, { date: FRIDAY, totalPassengers: 60 });
+        const anna = ranked.find(g => g.guideId === 'anna');
+        const clara = ranked.find(g => g.guideId === 'clara');
+        assert.strictEqual(anna.score, clara.score);
+        assert.ok(ranked.indexOf(anna) < ranked.indexOf(clara));
+
+        const tied = scoreGuides([
+            { guideId: 'a', guideName: 'A', priority: 4, recentShifts: 0 },
+            { guideId: 'b', guideName: 'B', priority: 1, ledger: { consecutiveDeclines: 2 } },
+        ], { date: WEEKNIGHT });
+        assert.deepStrictEqual(tied.map(g => [g.guideId, g.score]), [['b', 4], ['a', 4]]);
+    });
+
+    it('returns an empty ranking for an empty pool', () => {
+        assert.deepStrictEqual(scoreGuides([], { date: FRIDAY }), []);
+    });
+});
+
+describe('explainDecision', () => {
+    const ranked = scoreGuides(candidates, { date: WEEKNIGHT, totalPassengers: 20 });
+
+    it('explains an accepted guide', () => {
+        const text = explainDecision(ranked, 0, 2, new Set(['bjorn', 'dagur']));
+        assert.match(text, /^Ranked #1 of 4 with score 9, accepted for one of the 2 open slots: /);
+        assert.match(text, /turned down 2 times in a row \(\+3\)/);
+    });
+
+    it('explains a guide outside the slots against the last accepted guide', () => {
+        const text = explainDecision(ranked, 2, 2, new Set(['bjorn', 'dagur']));
+        assert.match(text, /^Ranked #3 of 4 with score 0, outside the 2 open slots \(last accepted: Dagur at 5\): /);
+    });
+
+    it('uses the recorded acceptances, not the rank, when a slot was not filled', () => {
+        // Dagur was in the slots but their shift was withdrawn before it was accepted
+        const acceptedIds = new Set(['bjorn']);
+        assert.match(explainDecision(ranked, 1, 2, acceptedIds),
+            /^Ranked #2 of 4 with score 5, within the 2 open slots but not accepted \(last accepted: Bjorn at 9\)/);
+        assert.match(explainDecision(ranked, 3, 2, acceptedIds), /outside the 2 open slots \(last accepted: Bjorn at 9\)/);
+    });
+
+    it('leaves out the cut-off when nothing was accepted', () => {
+        const text = explainDecision(ranked, 0, 0, new Set());
+        assert.match(text, /^Ranked #1 of 4 with score 9, outside the 0 open slots: /);
+    });
+});
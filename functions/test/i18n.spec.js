@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SUPPORTED_LANGUAGES, translate } = require('../utils/i18n');
+const { POLICY_RULES } = require('../utils/booking_policy');
+
+const en = require('../utils/locales/en');
+
+describe('catalogues', () => {
+    it('have the same keys as English', () => {
+        for (const language of SUPPORTED_LANGUAGES) {
+            const catalogue = require(`../utils/locales/${language}`);
+            assert.deepStrictEqual(Object.keys(catalogue).sort(), Object.keys(en).sort(), language);
+        }
+    });
+
+    it('give every booking policy rule its decision message in English', () => {
+        const ctx = { ota: { otaName: 'Expedia' }, retryValidUntil: '2028-01-15' };
+        for (const [action, rules] of Object.entries(POLICY_RULES)) {
+            for (const rule of rules) {
+                const message = typeof rule.message === 'function' ? rule.message(ctx) : rule.message;
+                const text = translate('en', `policy.${action}.${rule.rule}`, { otaName: 'Expedia', validUntil: '2028-01-15' });
+                assert.strictEqual(text, message, `${action}.${rule.rule}`);
+            }
+        }
+    });
+});
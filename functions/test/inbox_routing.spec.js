@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { isStaffReply, getSlaSortAt, NO_SLA_SORT_AT } = require('../modules/inbox_routing');
+
+describe('isStaffReply', () => {
+    it('counts outbound messages sent by staff', () => {
+        assert.strictEqual(isStaffReply({ direction: 'outbound', handledBy: 'uid-1' }), true);
+        // The app writes replies without handledBy
+        assert.strictEqual(isStaffReply({ direction: 'outbound' }), true);
+    });
+
+    it('ignores automated and inbound messages', () => {
+        assert.strictEqual(isStaffReply({ direction: 'outbound', automated: true, handledBy: 'uid-1' }), false);
+        assert.strictEqual(isStaffReply({ direction: 'outbound', handledBy: 'system' }), false);
+        assert.strictEqual(isStaffReply({ direction: 'outbound', handledBy: 'auto' }), false);
+        assert.strictEqual(isStaffReply({ direction: 'inbound' }), false);
+        assert.strictEqual(isStaffReply(null), false);
+    });
+});
+
+describe('getSlaSortAt', () => {
+    const sla = {
+        firstResponseDueAt: '2026-10-19T10:30:00.000Z',
+        resolutionDueAt: '2026-10-19T18:00:00.000Z',
+    };
+
+    it('orders by the first-response deadline until a staff reply', () => {
+        assert.strictEqual(getSlaSortAt(sla), sla.firstResponseDueAt);
+        // A missed deadline keeps its place rather than dropping to the end
+        assert.strictEqual(getSlaSortAt({ ...sla, breaches: { firstResponse: '2026-10-19T10:31:00.000Z' } }),
+            sla.firstResponseDueAt);
+    });
+
+    it('orders by the resolution deadline after a staff reply', () => {
+        assert.strictEqual(getSlaSortAt({ ...sla, firstRespondedAt: '2026-10-19T10:00:00.000Z' }), sla.resolutionDueAt);
+    });
+
+    it('sorts conversations without a running cycle last', () => {
+        assert.strictEqual(getSlaSortAt(null), NO_SLA_SORT_AT);
+        assert.strictEqual(getSlaSortAt({ ...sla, resolvedAt: '2026-10-19T11:00:00.000Z' }), NO_SLA_SORT_AT);
+        assert.ok(sla.resolutionDueAt < NO_SLA_SORT_AT);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    foldText,
+    extractSearchReferences,
+    customerTokens,
+    messageTokens,
+    buildConversationSearchDoc,
+    buildCustomerSearchDoc,
+    isSearchableCustomer,
+    parseSearchQuery,
+    matchesSearch,
+    encodePageToken,
+    decodePageToken,
+    parseSearchDate,
+} = require('../modules/inbox_search');
+
+const conversation = buildConversationSearchDoc('c1', {
+    customerId: 'cust1',
+    channel: 'gmail',
+    status: 'active',
+    assignedTo: 'staff1',
+    subject: 'Change of date',
+    bookingIds: ['GET-12345678'],
+}, { name: 'Þórunn Jónsdóttir', email: 'Thorunn@Example.is', phone: '+354 555 1234' }, messageTokens({
+    content: 'Hi, can we move our Viator booking VIA-87654321 to Friday?',
+}));
+
+describe('booking references', () => {
+    it('finds OTA confirmation codes in any format', () => {
+        assert.deepStrictEqual(extractSearchReferences('GYGBLHXM9R2Y').sort(), ['gygblhxm9r2y']);
+        assert.ok(extractSearchReferences('ref BR-1234567890').includes('br1234567890'));
+        assert.ok(extractSearchReferences('AV 123456').includes('av123456'));
+    });
+
+    it('matches a code typed with or without its prefix', () => {
+        for (const query of ['GET-12345678', 'get12345678', '12345678', 'via-87654321', '87654321']) {
+            assert.strictEqual(matchesSearch(conversation, parseSearchQuery(query)), true, query);
+        }
+        assert.strictEqual(matchesSearch(conversation, parseSearchQuery('GET-99999999')), false);
+    });
+});
+
+describe('customer identity', () => {
+    it('folds accents and Icelandic letters, and matches names from the first letters', () => {
+        assert.strictEqual(foldText('Þórunn Jónsdóttir'), 'thorunn jonsdottir');
+        assert.strictEqual(matchesSearch(conversation, parseSearchQuery('thor jons')), true);
+        assert.strictEqual(matchesSearch(conversation, parseSearchQuery('Þórunn')), true);
+    });
+
+    it('matches emails whole and case-insensitively', () => {
+        assert.deepStrictEqual(parseSearchQuery('THORUNN@example.IS'), ['thorunn@example.is']);
+        assert.strictEqual(matchesSearch(conversation, parseSearchQuery('thorunn@example.is')), true);
+    });
+
+    it('matches phone numbers with or without the country code', () => {
+        const tokens = customerTokens({ phone: '+354 555-1234' });
+        assert.ok(tokens.includes('3545551234'));
+        assert.ok(tokens.includes('5551234'));
+        assert.deepStrictEqual(parseSearchQuery('+354 555 1234'), ['3545551234']);
+        assert.strictEqual(matchesSearch(conversation, parseSearchQuery('5551234')), true);
+    });
+
+    it('leaves merged customers out of the index', () => {
+        assert.strictEqual(isSearchableCustomer({ name: 'Anna' }), true);
+        assert.strictEqual(isSearchableCustomer({ name: 'Anna', mergedInto: 'cust1' }), false);
+        assert.strictEqual(isSearchableCustomer(null), false);
+        assert.strictEqual(buildCustomerSearchDoc('cust1', { name: 'Anna' }).type, 'customer');
+    });
+});
+
+describe('filters', () => {
+    it('applies channel, status and assignee facets', () => {
+        const words = parseSearchQuery('friday');
+        assert.strictEqual(matchesSearch(conversation, words, { channel: 'gmail', status: 'active' }), true);
+        assert.strictEqual(matchesSearch(conversation, words, { channel: 'whatsapp' }), false);
+        assert.strictEqual(matchesSearch(conversation, words, { status: 'archived' }), false);
+        assert.strictEqual(matchesSearch(conversation, words, { assignedTo: 'staff1' }), true);
+        assert.strictEqual(matchesSearch(conversation, words, { assignedTo: 'unassigned' }), false);
+        assert.strictEqual(matchesSearch({ ...conversation, assignedTo: null }, words, { assignedTo: 'unassigned' }), true);
+    });
+
+    it('requires every query word', () => {
+        assert.strictEqual(matchesSearch(conversation, parseSearchQuery('move friday')), true);
+        assert.strictEqual(matchesSearch(conversation, parseSearchQuery('move saturday')), false);
+    });
+
+    it('reads from / to dates as whole Iceland (UTC) days and rejects bad ones', () => {
+        assert.strictEqual(parseSearchDate('2026-10-19').toISOString(), '2026-10-19T00:00:00.000Z');
+        assert.strictEqual(parseSearchDate('2026-10-19', true).toISOString(), '2026-10-19T23:59:59.999Z');
+        assert.strictEqual(parseSearchDate('2026-10-19T08:30:00Z', true).toISOString(), '2026-10-19T08:30:00.000Z');
+        assert.strictEqual(parseSearchDate(''), null);
+        assert.strictEqual(parseSearchDate('next week'), undefined);
+    });
+});
+
+describe('page tokens', () => {
+    it('round-trip the cursor and reject anything else', () => {
+        const cursor = { sortAt: 1792886400000, id: 'conversation_c1' };
+        assert.deepStrictEqual(decodePageToken(encodePageToken(cursor)), cursor);
+        assert.strictEqual(decodePageToken('not a token'), null);
+        assert.strictEqual(decodePageToken(encodePageToken({ sortAt: 1 })), null);
+        assert.strictEqual(decodePageToken(null), null);
+    });
+});
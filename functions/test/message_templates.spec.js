@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { renderAutomatedTemplate, TOUR_STATUS_TEMPLATE_IDS } = require('../modules/message_templates');
+const { buildTourStatusMessage } = require('../modules/tour_status');
+
+const template = (body) => ({ id: 'tour_on_sms', format: 'text', variants: { en: { body } } });
+const contact = { firstName: 'Anna', confirmationCode: 'AV-123456', pickupLocation: 'Hallgrímskirkja', departureTime: '20:30' };
+
+describe('renderAutomatedTemplate', () => {
+    it('renders when every placeholder resolves or has a fallback', () => {
+        const rendered = renderAutomatedTemplate(template('Hi {firstName}, pickup {pickupTime|soon}'), 'en', { firstName: 'Anna' });
+        assert.strictEqual(rendered.body, 'Hi Anna, pickup soon');
+    });
+
+    it('returns null for an unknown placeholder or no template', () => {
+        assert.strictEqual(renderAutomatedTemplate(template('Hi {firstNmae}'), 'en', { firstName: 'Anna' }), null);
+        assert.strictEqual(renderAutomatedTemplate(undefined, 'en', {}), null);
+    });
+});
+
+describe('buildTourStatusMessage', () => {
+    it('sends the built-in text when the template has an unknown placeholder', () => {
+        const templates = { [TOUR_STATUS_TEMPLATE_IDS.ON.sms]: template('Hi {firstName}, see you at {pickupSpot}') };
+        const message = buildTourStatusMessage('sms', 'ON', contact, { templates, date: '2026-01-15' }, 'en');
+        assert.strictEqual(message.templateId, undefined);
+        assert.ok(!message.body.includes('{'));
+        assert.ok(message.body.includes('Anna'));
+    });
+
+    it('uses the template when it renders cleanly', () => {
+        const templates = { [TOUR_STATUS_TEMPLATE_IDS.ON.sms]: template('Hi {firstName}, tonight is ON') };
+        const message = buildTourStatusMessage('sms', 'ON', contact, { templates, date: '2026-01-15' }, 'en');
+        assert.deepStrictEqual(message, { body: 'Hi Anna, tonight is ON', templateId: 'tour_on_sms' });
+    });
+});
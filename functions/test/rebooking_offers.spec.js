@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    buildReminderEmailHtml,
+    buildReminderSms,
+    buildOfferLink,
+    verifyOfferSignature,
+} = require('../modules/rebooking_offers');
+
+const offer = {
+    date: '2026-11-03',
+    customerName: 'Lena Weber',
+    confirmationCode: 'AV-1234',
+    offeredDates: [{ date: '2026-11-05' }, { date: '2026-11-06' }],
+    link: 'https://www.auroraviking.com/bookings?offer=2026-11-03_42',
+};
+
+describe('rebooking reminder', () => {
+    it('writes the SMS in the guest\'s language', () => {
+        const sms = buildReminderSms(offer, 'de');
+        assert.match(sms, /^Hallo Lena, /);
+        assert.match(sms, /Nordlichttour/);
+        assert.ok(sms.includes(offer.link));
+        assert.doesNotMatch(sms, /haven't heard/);
+    });
+
+    it('writes the email in the guest\'s language', () => {
+        const html = buildReminderEmailHtml(offer, 'fr');
+        assert.match(html, /<html lang="fr">/);
+        assert.match(html, /Bonjour Lena,/);
+        assert.match(html, /Choisir une nouvelle soirée/);
+        assert.ok(html.includes('AV-1234'));
+    });
+
+    it('falls back to English', () => {
+        assert.match(buildReminderSms(offer), /^Hi Lena, we haven't heard from you/);
+        assert.match(buildReminderSms({ ...offer, offeredDates: [] }, 'xx'), /tour\. Rebook/);
+    });
+});
+
+describe('offer links', () => {
+    it('signs the offered dates the portal sends back', () => {
+        const link = new URL(buildOfferLink('2026-11-03_42', 'AV-1234', ['2026-11-05', '2026-11-06'], 'secret'));
+        const params = link.searchParams;
+        assert.strictEqual(params.get('offer'), '2026-11-03_42');
+        assert.ok(verifyOfferSignature(params.get('offer'), params.get('dates').split(','), params.get('sig'), 'secret'));
+        assert.ok(!verifyOfferSignature(params.get('offer'), ['2026-11-07'], params.get('sig'), 'secret'));
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { resolveEscalationConfig, getDueEscalationSteps, isStepPending } = require('../modules/tour_status_escalation');
+
+const NOW = Date.parse('2026-01-15T16:45:00Z');
+const MINUTE = 60 * 1000;
+const config = resolveEscalationConfig({});
+const ids = steps => steps.map(s => s.id);
+
+function running(startedMinutesAgo, leaseMinutes = 10) {
+    return {
+        status: 'running',
+        startedAt: new Date(NOW - startedMinutesAgo * MINUTE).toISOString(),
+        leaseUntil: new Date(NOW + (leaseMinutes - startedMinutesAgo) * MINUTE).toISOString(),
+        attempts: 1,
+    };
+}
+
+describe('getDueEscalationSteps', () => {
+    it('returns steps past their deadline that have not run', () => {
+        assert.deepStrictEqual(ids(getDueEscalationSteps(config, 16 * 60 + 45, {}, NOW)), ['admin_reminder', 'on_call_sms']);
+        assert.deepStrictEqual(ids(getDueEscalationSteps(config, 16 * 60 + 45, { admin_reminder: { status: 'sent' } }, NOW)), ['on_call_sms']);
+    });
+
+    it('leaves a running step alone while its lease holds', () => {
+        const logged = { admin_reminder: { status: 'failed' }, on_call_sms: running(2) };
+        assert.deepStrictEqual(ids(getDueEscalationSteps(config, 16 * 60 + 45, logged, NOW)), []);
+    });
+
+    it('retries a running step whose lease expired', () => {
+        const logged = { admin_reminder: { status: 'sent' }, on_call_sms: running(15) };
+        assert.deepStrictEqual(ids(getDueEscalationSteps(config, 16 * 60 + 45, logged, NOW)), ['on_call_sms']);
+    });
+});
+
+describe('isStepPending', () => {
+    it('is pending unless logged as done or under a live lease', () => {
+        assert.strictEqual(isStepPending(running(5), NOW), false);
+        assert.strictEqual(isStepPending(running(30), NOW), true);
+        assert.strictEqual(isStepPending({ status: 'skipped' }, NOW), false);
+        assert.strictEqual(isStepPending(undefined, NOW), true);
+    });
+});
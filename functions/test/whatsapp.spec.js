@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { toTemplateParamText } = require('../utils/whatsapp_client');
+const { createFakeWhatsAppServer } = require('../scripts/fake_whatsapp_server');
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function postJson(port, path, body) {
+    return fetch(`http://127.0.0.1:${port}${path}`, {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer fake-whatsapp-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+}
+
+describe('toTemplateParamText', () => {
+    it('joins lines and collapses tabs and long runs of spaces', () => {
+        const text = toTemplateParamText('Hi Lena,\n\nTonight is OFF.\tSorry      about that.  ');
+        assert.strictEqual(text, 'Hi Lena, Tonight is OFF. Sorry about that.');
+        assert.doesNotMatch(text, /[\n\t]| {5,}/);
+        assert.strictEqual(toTemplateParamText(null), '');
+    });
+});
+
+describe('fake WhatsApp server', () => {
+    const receipts = [];
+    let webhook;
+    let fake;
+    let fakePort;
+
+    before(async () => {
+        webhook = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                receipts.push(JSON.parse(body));
+                res.end('EVENT_RECEIVED');
+            });
+        });
+        const webhookPort = await listen(webhook);
+        fake = createFakeWhatsAppServer({ webhookUrl: `http://127.0.0.1:${webhookPort}/`, receiptDelayMs: 10, log: () => {} });
+        fakePort = await listen(fake);
+    });
+
+    after(() => {
+        fake.close();
+        webhook.close();
+    });
+
+    it('accepts text outside the 24h window and reports 131047 in a status webhook', async () => {
+        const res = await postJson(fakePort, '/v19.0/100000000000001/messages', {
+            messaging_product: 'whatsapp', to: '3545551234', type: 'text', text: { body: 'Hello' },
+        });
+        assert.strictEqual(res.status, 200);
+        const id = (await res.json()).messages[0].id;
+
+        for (let i = 0; i < 50 && receipts.length === 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const status = receipts[0].entry[0].changes[0].value.statuses[0];
+        assert.strictEqual(status.id, id);
+        assert.strictEqual(status.status, 'failed');
+        assert.strictEqual(status.errors[0].code, 131047);
+    });
+
+    it('rejects template params with newlines', async () => {
+        const res = await postJson(fakePort, '/v19.0/100000000000001/messages', {
+            messaging_product: 'whatsapp',
+            to: '3545551234',
+            type: 'template',
+            template: { name: 'inbox_reply', language: { code: 'en' }, components: [{ type: 'body', parameters: [{ type: 'text', text: 'a\nb' }] }] },
+        });
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual((await res.json()).error.code, 132018);
+    });
+});
@@ -0,0 +1,292 @@
+/**
+ * Bokun Booking Mapping
+ * Pure helpers that turn raw Bokun booking JSON into the shapes we cache
+ * in Firestore (no Firestore access)
+ *
+ * - toCachedBooking():  cached_bookings/{date} entry (mirrors PickupBooking.toJson
+ *   in the Flutter app, which is what the pickup screens and auto-dispatch read)
+ * - toAiCacheBooking(): ai_booking_cache/current entry (slim, for AI matching)
+ *
+ * A cancelled booking stays in cached_bookings/{date} with status CANCELLED
+ * (the webhook writes it, or marks the old date when a booking moves), so the
+ * dispatch reconciler can tell a cancellation from a partial snapshot.
+ * Readers that want the night's guests use liveBookings().
+ */
+
+const PRIVATE_KEYWORDS = ['private', 'exclusive', 'vip', 'custom', 'charter'];
+const INVALID_STATUSES = ['CANCELLED', 'CANCELED', 'REJECTED', 'ABORTED', 'TIMEOUT', 'ERROR'];
+const PLACEHOLDER_PICKUPS = ['', 'unknown', 'n/a', 'na', 'none', 'tbd', 'tba', '-'];
+
+/**
+ * Convert a Bokun date (epoch ms, ISO string or YYYY-MM-DD) to YYYY-MM-DD
+ */
+function toDateString(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const d = new Date(typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value) : value);
+    if (isNaN(d.getTime())) return null;
+    // Iceland is UTC+0 all year
+    return d.toISOString().split('T')[0];
+}
+
+function isValidStatus(status) {
+    return !INVALID_STATUSES.includes(String(status || '').toUpperCase());
+}
+
+/**
+ * The product booking we treat as "the tour": first one that is not cancelled,
+ * falling back to the first one so cancellations can still be located.
+ */
+function getPrimaryProductBooking(booking) {
+    const productBookings = booking.productBookings || [];
+    return productBookings.find(pb => isValidStatus(pb.status)) || productBookings[0] || null;
+}
+
+/**
+ * Whether the whole booking is cancelled (booking status or every product booking)
+ */
+function isCancelledBooking(booking) {
+    if (!isValidStatus(booking.status)) return true;
+    const productBookings = booking.productBookings || [];
+    return productBookings.length > 0 && productBookings.every(pb => !isValidStatus(pb.status));
+}
+
+/**
+ * Tour date (YYYY-MM-DD) of a Bokun booking
+ */
+function getBookingDate(booking) {
+    const pb = getPrimaryProductBooking(booking);
+    return toDateString(pb?.startDate ?? pb?.startDateTime ?? booking.startDate);
+}
+
+function isPrivateText(text) {
+    if (!text) return false;
+    const lower = String(text).toLowerCase();
+    return PRIVATE_KEYWORDS.some(keyword => lower.includes(keyword));
+}
+
+function isPlaceholderPickup(text) {
+    return PLACEHOLDER_PICKUPS.includes(String(text || '').trim().toLowerCase());
+}
+
+function pickupPlaceTitle(place) {
+    if (!place) return null;
+    if (typeof place === 'string') return place.trim();
+    return (place.title || place.name || place.address || '').trim() || null;
+}
+
+/**
+ * Pickup location, same priority order as the app:
+ * pickupPlace object, then free-text description, then "Meet on location".
+ */
+function extractPickupPlaceName(pb) {
+    const fields = pb.fields || {};
+    if (fields.pickup !== true && !pb.pickupPlace) return 'Meet on location';
+
+    const candidates = [
+        pickupPlaceTitle(fields.pickupPlace),
+        pickupPlaceTitle(pb.pickupPlace),
+        fields.pickupPlaceDescription,
+        fields.pickupDescription,
+    ];
+    for (const candidate of candidates) {
+        if (candidate && !isPlaceholderPickup(candidate)) return String(candidate).trim();
+    }
+    return 'Meet on location';
+}
+
+function formatHourMinute(hour, minute) {
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Departure time (HH:MM) from startTime (string or minutes) or fields.startHour/startMinute
+ */
+function extractDepartureTime(pb) {
+    const fields = pb.fields || {};
+    if (typeof pb.startTime === 'string' && pb.startTime) return pb.startTime;
+    if (typeof pb.startTime === 'number') {
+        return formatHourMinute(Math.floor(pb.startTime / 60), pb.startTime % 60);
+    }
+    if (Number.isInteger(fields.startHour) && Number.isInteger(fields.startMinute)) {
+        return formatHourMinute(fields.startHour, fields.startMinute);
+    }
+    return null;
+}
+
+function extractIsUnpaid(booking, pb) {
+    const status = String(booking.paymentStatus || booking.payment?.status || pb.paymentStatus || '').toUpperCase();
+    if (status.startsWith('NOT_') || status.startsWith('UNPAID')) return true;
+    if (['PAID_IN_FULL', 'FULLY_PAID', 'COMPLETE', 'PAID'].includes(status)) return false;
+    return status === '' || status.includes('PARTIALLY') || status.includes('PAY_ON_ARRIVAL') || status.includes('DUE');
+}
+
+/**
+ * Language the guest booked in ('de', 'de_DE', ...), as Bokun sends it:
+ * booking, then customer, then product booking. Normalised by utils/i18n.js.
+ */
+function extractBookingLanguage(booking) {
+    const pb = getPrimaryProductBooking(booking) || {};
+    const customer = booking.customer || booking.leadCustomer || {};
+    const language = booking.language || customer.language || pb.language || null;
+    return typeof language === 'string' && language.trim() ? language.trim() : null;
+}
+
+/**
+ * Map a Bokun booking to a cached_bookings entry.
+ * Returns null when the booking has no product booking to show.
+ */
+function toCachedBooking(booking) {
+    const pb = getPrimaryProductBooking(booking);
+    if (!pb) return null;
+
+    const customer = booking.customer || booking.leadCustomer || {};
+    const fields = pb.fields || {};
+    const product = pb.product || {};
+    const date = getBookingDate(booking);
+    const departureTime = extractDepartureTime(pb);
+    const productTitle = product.title || product.name || 'Northern Lights Tour';
+
+    const labels = [...(booking.labels || []), ...(product.labels || [])];
+    const isPrivateTour = isPrivateText(productTitle) ||
+        labels.some(isPrivateText) ||
+        isPrivateText(booking.bookingType) ||
+        isPrivateText(product.type);
+
+    const isUnpaid = extractIsUnpaid(booking, pb);
+    const balanceDue = booking.balanceDue ?? booking.amountDue ?? pb.balanceDue ?? pb.amountDue ?? null;
+
+    return {
+        id: String(booking.id),
+        customerFullName: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+        pickupPlaceName: extractPickupPlaceName(pb),
+        pickupTime: date && departureTime ? `${date}T${departureTime}:00.000Z` : null,
+        numberOfGuests: pb.totalParticipants || pb.totalPax || pb.pax || fields.totalParticipants || 1,
+        phoneNumber: customer.phoneNumber || customer.phone || '',
+        email: customer.email || '',
+        assignedGuideId: null,
+        assignedGuideName: null,
+        isNoShow: false,
+        isArrived: false,
+        createdAt: new Date(booking.creationDate || Date.now()).toISOString(),
+        bookingId: String(pb.parentBookingId || pb.id || booking.id),
+        confirmationCode: booking.confirmationCode || booking.externalBookingReference || pb.productConfirmationCode || null,
+        isUnpaid,
+        amountToPayOnArrival: isUnpaid && balanceDue !== null ? Number(balanceDue) || null : null,
+        paidOnArrival: false,
+        productId: product.id !== undefined && product.id !== null ? String(product.id) : null,
+        productTitle,
+        departureTime,
+        startTimeId: pb.startTimeId !== undefined && pb.startTimeId !== null ? String(pb.startTimeId) :
+            (pb.activityId !== undefined && pb.activityId !== null ? String(pb.activityId) : null),
+        isPrivateTour,
+        language: extractBookingLanguage(booking),
+    };
+}
+
+/**
+ * Map a Bokun booking to an ai_booking_cache entry (slimmed down to fit the 1MB doc)
+ */
+function toAiCacheBooking(b) {
+    const pb = b.productBookings?.[0];
+    return {
+        id: b.id,
+        confirmationCode: b.confirmationCode || '',
+        externalBookingReference: b.externalBookingReference || '',
+        customerName: b.customer?.fullName || `${b.customer?.firstName || ''} ${b.customer?.lastName || ''}`.trim(),
+        customerFullName: `${b.customer?.firstName || ''} ${b.customer?.lastName || ''}`.trim(),
+        customerEmail: b.customer?.email || '',
+        productTitle: pb?.product?.title || 'Northern Lights Tour',
+        productId: pb?.product?.id || null,
+        productBookingId: pb?.id || null,
+        startDate: pb?.startDate || b.startDate,
+        totalParticipants: pb?.totalParticipants || b.totalParticipants || 1,
+        status: pb?.status || b.status || 'CONFIRMED',
+        pickupPlace: pb?.pickupPlace?.title ||
+            pb?.pickupPlace?.name ||
+            pb?.fields?.pickupPlace?.title ||
+            pb?.fields?.pickupPlaceDescription ||
+            '',
+        pickupPlaceId: pb?.pickupPlace?.id ||
+            pb?.fields?.pickupPlace?.id ||
+            null,
+    };
+}
+
+/**
+ * Replace (or append) a booking in a cached_bookings list by id.
+ * Fields set by staff during the night (guide assignment, no-show, arrival,
+ * paid on arrival) are carried over from the existing entry.
+ */
+function upsertBookingInList(bookings, entry) {
+    const list = Array.isArray(bookings) ? bookings : [];
+    const index = list.findIndex(b => String(b.id) === String(entry.id));
+    if (index === -1) return [...list, entry];
+
+    const existing = list[index];
+    const merged = {
+        ...entry,
+        assignedGuideId: existing.assignedGuideId ?? entry.assignedGuideId,
+        assignedGuideName: existing.assignedGuideName ?? entry.assignedGuideName,
+        isNoShow: existing.isNoShow === true,
+        isArrived: existing.isArrived === true,
+        paidOnArrival: existing.paidOnArrival === true,
+        createdAt: existing.createdAt || entry.createdAt,
+    };
+    return list.map((b, i) => (i === index ? merged : b));
+}
+
+/**
+ * Mark a booking in a cached_bookings list as CANCELLED (extra fields such as
+ * movedTo are added). The list is returned unchanged when it isn't there.
+ */
+function markBookingCancelledInList(bookings, bookingId, extra = {}) {
+    return (Array.isArray(bookings) ? bookings : []).map(b => (String(b.id) === String(bookingId) ?
+        { ...b, ...extra, status: 'CANCELLED' } : b));
+}
+
+/**
+ * Whether a cached_bookings entry was cancelled (or moved to another date)
+ */
+function isCancelledEntry(entry) {
+    return String(entry?.status || '').toUpperCase() === 'CANCELLED';
+}
+
+/**
+ * The entries of a cached_bookings list that are still on the tour
+ */
+function liveBookings(bookings) {
+    return (Array.isArray(bookings) ? bookings : []).filter(b => !isCancelledEntry(b));
+}
+
+/**
+ * Keep the cached bookings that are on one of the given departures.
+ * departures: [{ activityId, startTimeIds }]; an empty startTimeIds means every
+ * start time of that activity. Bookings without a productId can't be placed on
+ * a departure and are left out.
+ */
+function filterBookingsByDepartures(bookings, departures) {
+    return (Array.isArray(bookings) ? bookings : []).filter(booking => (departures || []).some((departure) => {
+        if (booking.productId === null || booking.productId === undefined) return false;
+        if (String(booking.productId) !== String(departure.activityId)) return false;
+        const startTimeIds = departure.startTimeIds || [];
+        return startTimeIds.length === 0 ||
+            startTimeIds.some(id => String(id) === String(booking.startTimeId));
+    }));
+}
+
+module.exports = {
+    toDateString,
+    getPrimaryProductBooking,
+    isCancelledBooking,
+    getBookingDate,
+    extractDepartureTime,
+    extractBookingLanguage,
+    toCachedBooking,
+    toAiCacheBooking,
+    upsertBookingInList,
+    markBookingCancelledInList,
+    isCancelledEntry,
+    liveBookings,
+    filterBookingsByDepartures,
+};
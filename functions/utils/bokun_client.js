@@ -1,289 +1,394 @@
 /**
  * Bokun API Client
- * Handles authenticated requests to the Bokun API
+ * The one place that signs and sends requests to the Bokun API.
+ *
+ * - HMAC-SHA1 signing (X-Bokun-AccessKey / X-Bokun-Date / X-Bokun-Signature),
+ *   or bearer auth for the OCTO API
+ * - Request timeouts
+ * - Exponential backoff on 429, 5xx and network errors. Non-idempotent calls
+ *   (cancel, edit, closeouts) are only retried on 429, which Bokun rejects
+ *   before doing anything.
+ * - Typed errors, so callers can tell "Bokun said no / nothing found" apart
+ *   from "Bokun is down":
+ *     BokunError
+ *       ├─ BokunAuthError         401/403
+ *       ├─ BokunNotFoundError     404
+ *       ├─ BokunRequestError      other 4xx
+ *       ├─ BokunRateLimitError    429 (after retries)
+ *       └─ BokunUnavailableError  5xx, network error, timeout (after retries)
+ *             └─ BokunTimeoutError
+ * - Paginated booking search
+ *
+ * Set BOKUN_BASE_URL (e.g. http://127.0.0.1:8089) to send every request,
+ * whatever its hostname, to another server such as the local fake in
+ * scripts/fake_bokun_server.js.
  */
 const crypto = require('crypto');
+const http = require('http');
 const https = require('https');
 
-/**
- * Make an authenticated request to the Bokun API
- * @param {string} method - HTTP method (GET, POST, etc.)
- * @param {string} path - API path (e.g., '/booking.json/123')
- * @param {object|null} body - Request body for POST/PUT
- * @param {string} accessKey - Bokun access key
- * @param {string} secretKey - Bokun secret key
- * @returns {Promise<object>} - API response
- */
-async function makeBokunRequest(method, path, body, accessKey, secretKey) {
-    const now = new Date();
-    const bokunDate = now.toISOString().replace('T', ' ').substring(0, 19);
-
-    // Create HMAC-SHA1 signature
-    const message = bokunDate + accessKey + method + path;
-    const signature = crypto
-        .createHmac('sha1', secretKey)
-        .update(message)
-        .digest('base64');
-
-    console.log(`📡 Bokun API Request: ${method} ${path}`);
-    console.log(`📅 Date: ${bokunDate}`);
-    if (body) {
-        console.log(`📦 Body: ${JSON.stringify(body)}`);
+const BOKUN_HOSTNAME = 'api.bokun.io';
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+const SEARCH_PAGE_SIZE = 50;
+
+// ============================================
+// ERRORS
+// ============================================
+
+class BokunError extends Error {
+    constructor(message, { status = null, path = null, body = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.path = path;
+        this.body = body;
     }
+}
 
-    const options = {
-        hostname: 'api.bokun.io',
-        path: path,
-        method: method,
-        headers: {
-            'Content-Type': 'application/json;charset=UTF-8',
-            'X-Bokun-AccessKey': accessKey,
-            'X-Bokun-Date': bokunDate,
-            'X-Bokun-Signature': signature,
-        },
-    };
-
-    // Add Content-Length header for POST requests
-    const postData = body ? JSON.stringify(body) : null;
-    if (postData) {
-        options.headers['Content-Length'] = Buffer.byteLength(postData);
-    }
+class BokunAuthError extends BokunError {}
+class BokunNotFoundError extends BokunError {}
+class BokunRequestError extends BokunError {}
+class BokunRateLimitError extends BokunError {}
+class BokunUnavailableError extends BokunError {}
+class BokunTimeoutError extends BokunUnavailableError {}
 
-    return new Promise((resolve, reject) => {
-        const apiReq = https.request(options, (apiRes) => {
-            let data = '';
+/**
+ * Whether an error means Bokun could not be reached or answered (as opposed to a real answer)
+ */
+function isBokunOutage(error) {
+    return error instanceof BokunUnavailableError || error instanceof BokunRateLimitError;
+}
 
-            console.log(`📡 Bokun API Response: ${apiRes.statusCode}`);
+function errorForStatus(status, path, data) {
+    const message = `Bokun API error: ${status} - ${String(data || '').substring(0, 500)}`;
+    const details = { status, path, body: data };
+    if (status === 401 || status === 403) return new BokunAuthError(message, details);
+    if (status === 404) return new BokunNotFoundError(message, details);
+    if (status === 429) return new BokunRateLimitError(message, details);
+    if (status >= 500) return new BokunUnavailableError(message, details);
+    return new BokunRequestError(message, details);
+}
 
-            // Handle redirects
-            if (apiRes.statusCode === 301 || apiRes.statusCode === 302 || apiRes.statusCode === 303) {
-                console.log(`🔄 Redirect detected! Location: ${apiRes.headers.location}`);
-            }
+// ============================================
+// CORE REQUEST
+// ============================================
 
-            apiRes.on('data', (chunk) => {
-                data += chunk;
-            });
+function getCredentials(options) {
+    return {
+        accessKey: options.accessKey || process.env.BOKUN_ACCESS_KEY,
+        secretKey: options.secretKey || process.env.BOKUN_SECRET_KEY,
+    };
+}
 
-            apiRes.on('end', () => {
-                console.log(`📡 Response Body: ${data.substring(0, 500)}`);
+/**
+ * Bokun date header + HMAC-SHA1 signature for a request
+ */
+function signRequest(method, path, accessKey, secretKey, now = new Date()) {
+    const bokunDate = now.toISOString().replace('T', ' ').substring(0, 19);
+    const message = bokunDate + accessKey + method + path;
+    const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
+    return { bokunDate, signature };
+}
 
-                if (apiRes.statusCode >= 200 && apiRes.statusCode < 300) {
-                    try {
-                        const jsonData = JSON.parse(data);
-                        resolve(jsonData);
-                    } catch (e) {
-                        resolve(data); // Return raw data if not JSON
-                    }
-                } else {
-                    reject(new Error(`Bokun API error: ${apiRes.statusCode} - ${data}`));
-                }
-            });
-        });
+/**
+ * Delay before retry `attempt` (0-based): exponential with jitter, or Retry-After when given
+ */
+function getRetryDelayMs(attempt, retryAfterHeader) {
+    const retryAfter = parseInt(retryAfterHeader);
+    if (!isNaN(retryAfter) && retryAfter >= 0) {
+        return Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS);
+    }
+    const exponential = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+    return Math.min(exponential + Math.floor(Math.random() * RETRY_BASE_DELAY_MS), RETRY_MAX_DELAY_MS);
+}
 
-        apiReq.on('error', (error) => {
-            reject(error);
-        });
+/**
+ * Reads and searches are safe to repeat; everything else only on 429
+ */
+function isIdempotent(method, path) {
+    return method === 'GET' || /-search$|\/availabilit(y|ies)$/.test(path.split('?')[0]);
+}
 
-        if (postData) {
-            apiReq.write(postData);
-        }
-        apiReq.end();
-    });
+/**
+ * Where a request goes: the given Bokun hostname over https, unless
+ * BOKUN_BASE_URL points all traffic somewhere else
+ */
+function getTarget(hostname) {
+    const baseUrl = process.env.BOKUN_BASE_URL;
+    if (!baseUrl) {
+        return { transport: https, hostname, port: undefined };
+    }
+    const url = new URL(baseUrl);
+    return {
+        transport: url.protocol === 'http:' ? http : https,
+        hostname: url.hostname,
+        port: url.port || undefined,
+    };
 }
 
 /**
- * Search Bokun for booking by ID
+ * Auth headers: OCTO bearer token when given, otherwise HMAC signature
  */
-async function searchBokunBookingById(bookingId, accessKey, secretKey) {
-    const method = 'POST';
-    const path = '/booking.json/booking-search';
+function getAuthHeaders(method, path, { accessKey, secretKey, octoToken }) {
+    if (octoToken) {
+        return { 'Authorization': `Bearer ${octoToken}` };
+    }
+    const { bokunDate, signature } = signRequest(method, path, accessKey, secretKey);
+    return {
+        'X-Bokun-AccessKey': accessKey,
+        'X-Bokun-Date': bokunDate,
+        'X-Bokun-Signature': signature,
+    };
+}
 
-    const now = new Date();
-    const bokunDate = now.toISOString().replace('T', ' ').substring(0, 19);
-    const message = bokunDate + accessKey + method + path;
-    const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
+/**
+ * Send one request. Resolves with the parsed JSON (or raw text / '' for
+ * non-JSON bodies), rejects with a BokunError.
+ */
+function sendOnce(method, path, postData, { hostname, timeoutMs, ...auth }) {
+    const headers = {
+        'Content-Type': 'application/json;charset=UTF-8',
+        ...getAuthHeaders(method, path, auth),
+    };
+    if (postData) headers['Content-Length'] = Buffer.byteLength(postData);
 
-    const requestBody = JSON.stringify({ bookingId: parseInt(bookingId) });
+    const { transport, ...target } = getTarget(hostname);
 
     return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'api.bokun.io',
-            path,
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(requestBody),
-                'X-Bokun-AccessKey': accessKey,
-                'X-Bokun-Date': bokunDate,
-                'X-Bokun-Signature': signature,
-            },
-        };
-
-        const req = https.request(options, (res) => {
+        const req = transport.request({ ...target, path, method, headers, timeout: timeoutMs }, (res) => {
             let data = '';
             res.on('data', chunk => data += chunk);
             res.on('end', () => {
                 if (res.statusCode >= 200 && res.statusCode < 300) {
+                    if (!data) {
+                        resolve('');
+                        return;
+                    }
                     try {
-                        const result = JSON.parse(data);
-                        if (result.items && result.items.length > 0) {
-                            resolve(result.items[0]);
-                        } else {
-                            resolve(null);
-                        }
+                        resolve(JSON.parse(data));
                     } catch (e) {
-                        reject(new Error('Failed to parse Bokun response'));
+                        resolve(data); // Return raw data if not JSON
                     }
                 } else {
-                    reject(new Error(`Bokun API error: ${res.statusCode}`));
+                    const error = errorForStatus(res.statusCode, path, data);
+                    error.retryAfter = res.headers['retry-after'];
+                    reject(error);
                 }
             });
         });
 
-        req.on('error', reject);
-        req.write(requestBody);
+        req.on('timeout', () => {
+            req.destroy(new BokunTimeoutError(`Bokun API timeout after ${timeoutMs}ms: ${method} ${path}`, { path }));
+        });
+        req.on('error', (error) => {
+            reject(error instanceof BokunError ? error :
+                new BokunUnavailableError(`Bokun API unreachable: ${error.message}`, { path }));
+        });
+
+        if (postData) req.write(postData);
         req.end();
     });
 }
 
 /**
- * Search Bokun for booking by confirmation code text (for external refs like Viator)
+ * Make an authenticated request to the Bokun API
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @param {string} path - API path (e.g., '/booking.json/123')
+ * @param {object|string|null} body - Request body for POST/PUT
+ * @param {object} options - { accessKey, secretKey, octoToken, hostname, timeoutMs, maxRetries }
+ *     Credentials default to the BOKUN_ACCESS_KEY / BOKUN_SECRET_KEY secrets;
+ *     with octoToken the request uses OCTO bearer auth instead of HMAC.
+ * @returns {Promise<object|string>} - API response
  */
-async function searchBokunByConfirmationCode(searchText, accessKey, secretKey) {
-    const method = 'POST';
-    const path = '/booking.json/booking-search';
+async function bokunRequest(method, path, body = null, options = {}) {
+    const { accessKey, secretKey } = getCredentials(options);
+    const octoToken = options.octoToken || null;
+    if (!octoToken && (!accessKey || !secretKey)) {
+        throw new BokunAuthError('Bokun API keys not configured', { path });
+    }
 
-    const now = new Date();
-    const bokunDate = now.toISOString().replace('T', ' ').substring(0, 19);
-    const message = bokunDate + accessKey + method + path;
-    const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
+    const hostname = options.hostname || BOKUN_HOSTNAME;
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    const postData = body === null || body === undefined ? null :
+        (typeof body === 'string' ? body : JSON.stringify(body));
+    const retryAll = isIdempotent(method, path);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await sendOnce(method, path, postData, { hostname, timeoutMs, accessKey, secretKey, octoToken });
+        } catch (error) {
+            const retryable = error instanceof BokunRateLimitError ||
+                (retryAll && error instanceof BokunUnavailableError);
+            if (!retryable || attempt >= maxRetries) {
+                console.log(`📡 Bokun ${method} ${path} failed: ${error.message}`);
+                throw error;
+            }
+            const delay = getRetryDelayMs(attempt, error.retryAfter);
+            console.log(`🔁 Bokun ${method} ${path}: ${error.status || error.name}, retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
 
-    const requestBody = JSON.stringify({
-        confirmationCode: searchText,
-        limit: 10
-    });
+/**
+ * Make an authenticated request to the Bokun API (positional credentials)
+ * @returns {Promise<object>} - API response
+ */
+async function makeBokunRequest(method, path, body, accessKey, secretKey) {
+    return bokunRequest(method, path, body, { accessKey, secretKey });
+}
 
-    console.log(`🔍 Searching Bokun by confirmation code: ${searchText}`);
+/**
+ * Request to Bokun's OCTO API (/octo/v1), bearer-token auth
+ */
+async function octoRequest(method, path, body, octoToken, options = {}) {
+    return bokunRequest(method, `/octo/v1${path}`, body, { ...options, octoToken });
+}
 
-    return new Promise((resolve) => {
-        const options = {
-            hostname: 'api.bokun.io',
-            path,
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(requestBody),
-                'X-Bokun-AccessKey': accessKey,
-                'X-Bokun-Date': bokunDate,
-                'X-Bokun-Signature': signature,
-            },
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const result = JSON.parse(data);
-                        console.log(`🔍 Confirmation code search returned ${result.items?.length || 0} results`);
-                        if (result.items && result.items.length > 0) {
-                            const match = result.items.find(b =>
-                                b.confirmationCode?.includes(searchText) ||
-                                b.externalBookingReference === searchText ||
-                                String(b.id) === searchText
-                            );
-                            resolve(match || result.items[0]);
-                        } else {
-                            resolve(null);
-                        }
-                    } catch (e) {
-                        console.log('Failed to parse Bokun confirmation code search response');
-                        resolve(null);
-                    }
-                } else {
-                    console.log(`Bokun confirmation code search error: ${res.statusCode}`);
-                    resolve(null);
-                }
-            });
-        });
+// ============================================
+// BOOKING SEARCH
+// ============================================
 
-        req.on('error', (err) => {
-            console.log('Bokun confirmation code search request error:', err.message);
-            resolve(null);
-        });
-        req.write(requestBody);
-        req.end();
-    });
+/**
+ * Run /booking.json/booking-search across all pages
+ * @param {object} criteria - search body without offset/limit
+ * @param {object} options - credentials plus { pageSize, maxResults }
+ * @returns {Promise<{items: Array, totalHits: number, truncated: boolean}>}
+ */
+async function searchBookings(criteria, options = {}) {
+    const pageSize = options.pageSize || SEARCH_PAGE_SIZE;
+    const maxResults = options.maxResults || 2000;
+
+    let items = [];
+    let totalHits = 0;
+    let offset = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+        const result = await bokunRequest('POST', '/booking.json/booking-search',
+            { ...criteria, offset, limit: pageSize }, options);
+        const page = result?.items || [];
+        items = items.concat(page);
+        totalHits = result?.totalHits || items.length;
+        offset += pageSize;
+        hasMore = page.length === pageSize && items.length < totalHits;
+
+        if (hasMore && items.length >= maxResults) {
+            console.log(`⚠️ Booking search stopped at ${items.length}/${totalHits} (maxResults ${maxResults})`);
+            return { items, totalHits, truncated: true };
+        }
+    }
+
+    return { items, totalHits, truncated: false };
 }
 
 /**
- * Search Bokun for bookings by customer email
+ * All bookings with a tour on a date (YYYY-MM-DD)
  */
-async function searchBokunBookingsByEmail(email, accessKey, secretKey) {
-    const method = 'POST';
-    const path = '/booking.json/booking-search';
+async function searchBookingsForDate(dateString, options = {}) {
+    const { items } = await searchBookings({
+        startDateRange: {
+            from: `${dateString}T00:00:00Z`,
+            to: `${dateString}T23:59:59Z`,
+        },
+    }, options);
+    return items;
+}
 
+/**
+ * Search Bokun for booking by ID
+ */
+async function searchBokunBookingById(bookingId, accessKey, secretKey) {
+    const result = await bokunRequest('POST', '/booking.json/booking-search',
+        { bookingId: parseInt(bookingId) }, { accessKey, secretKey });
+    return result?.items?.[0] || null;
+}
+
+/**
+ * Search Bokun for booking by confirmation code text (for external refs like Viator)
+ */
+async function searchBokunByConfirmationCode(searchText, accessKey, secretKey) {
+    console.log(`🔍 Searching Bokun by confirmation code: ${searchText}`);
+    const result = await bokunRequest('POST', '/booking.json/booking-search',
+        { confirmationCode: searchText, limit: 10 }, { accessKey, secretKey });
+
+    const items = result?.items || [];
+    console.log(`🔍 Confirmation code search returned ${items.length} results`);
+    if (items.length === 0) return null;
+
+    const match = items.find(b =>
+        b.confirmationCode?.includes(searchText) ||
+        b.externalBookingReference === searchText ||
+        String(b.id) === searchText
+    );
+    return match || items[0];
+}
+
+/**
+ * Search Bokun for bookings by customer email (next 30 days)
+ */
+async function searchBokunBookingsByEmail(email, accessKey, secretKey) {
     const now = new Date();
     const endDate = new Date(now);
     endDate.setDate(endDate.getDate() + 30);
 
-    const startDateStr = now.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
-
-    const bokunDate = now.toISOString().replace('T', ' ').substring(0, 19);
-    const message = bokunDate + accessKey + method + path;
-    const signature = crypto.createHmac('sha1', secretKey).update(message).digest('base64');
-
-    const requestBody = JSON.stringify({
+    const result = await bokunRequest('POST', '/booking.json/booking-search', {
         productConfirmationDateRange: {
-            from: startDateStr,
-            to: endDateStr,
+            from: now.toISOString().split('T')[0],
+            to: endDate.toISOString().split('T')[0],
         },
         customerEmail: email,
         limit: 10,
-    });
+    }, { accessKey, secretKey });
+    return result?.items || [];
+}
 
-    return new Promise((resolve) => {
-        const options = {
-            hostname: 'api.bokun.io',
-            path,
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(requestBody),
-                'X-Bokun-AccessKey': accessKey,
-                'X-Bokun-Date': bokunDate,
-                'X-Bokun-Signature': signature,
-            },
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const result = JSON.parse(data);
-                        resolve(result.items || []);
-                    } catch (e) {
-                        resolve([]);
-                    }
-                } else {
-                    resolve([]);
-                }
-            });
-        });
+// ============================================
+// PRODUCTS
+// ============================================
 
-        req.on('error', () => resolve([]));
-        req.write(requestBody);
-        req.end();
-    });
+/**
+ * Pickup places for a product
+ */
+async function getPickupPlaces(productId, options = {}) {
+    const parsed = await bokunRequest('GET', `/activity.json/${productId}/pickup-places`, null, options);
+    if (Array.isArray(parsed)) return parsed;
+    return parsed?.pickupPlaces || parsed?.pickupDropoffPlaces || parsed?.items || [];
+}
+
+/**
+ * Availabilities (start times, seats) for a product between two dates
+ */
+async function getAvailabilities(productId, startDate, endDate, options = {}) {
+    const parsed = await bokunRequest('POST', `/activity.json/${productId}/availabilities`,
+        { start: startDate, end: endDate }, options);
+    if (!parsed) return [];
+    return Array.isArray(parsed) ? parsed : [parsed];
 }
 
 module.exports = {
+    BOKUN_HOSTNAME,
+    BokunError,
+    BokunAuthError,
+    BokunNotFoundError,
+    BokunRequestError,
+    BokunRateLimitError,
+    BokunUnavailableError,
+    BokunTimeoutError,
+    isBokunOutage,
+    signRequest,
+    bokunRequest,
     makeBokunRequest,
+    octoRequest,
+    searchBookings,
+    searchBookingsForDate,
     searchBokunBookingById,
     searchBokunByConfirmationCode,
     searchBokunBookingsByEmail,
+    getPickupPlaces,
+    getAvailabilities,
 };
@@ -0,0 +1,463 @@
+/**
+ * Booking Policy
+ * The reschedule, cancel, pickup and retry rules from AI_SYSTEM_PROMPT as
+ * data, so the customer portal (booking_portal.js), the staff endpoints
+ * (booking_management.js) and AI Assist (ai_assist.js, ai_actions.js) decide
+ * the same way.
+ *
+ * POLICY_RULES lists, per action, rules in order; the first rule whose `when`
+ * matches the context decides. Every decision says which rule that was:
+ *   { action, allowed, rule, message, overridable, ...rule extras }
+ * overridable: staff may go ahead anyway (the change then counts as a
+ * courtesy, see below). Customers never override.
+ *
+ * Courtesy reschedules are final: a reschedule made inside the 24-hour
+ * cutoff (or past another rule by staff) is stored in booking_actions with
+ * courtesy: true, and the booking can't be rescheduled again or refunded.
+ *
+ * Times are Iceland time, which is UTC+0 all year (no daylight saving), so
+ * dates and clock times compare as UTC.
+ */
+const { db } = require('./firebase');
+const { getPrimaryProductBooking, getBookingDate, extractDepartureTime } = require('./bokun_booking');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_DEPARTURE_TIME = '21:00';
+const ACTIVE_STATUSES = ['CONFIRMED', 'AMENDED'];
+const CUTOFF_HOURS = 24;
+const PICKUP_CUTOFF_HOURS = 2;
+const RETRY_CUTOFF_HOUR = 12;
+const RETRY_VALID_YEARS = 2;
+
+// "Backend", "Direct", and similar are NOT real OTAs: they are Bokun's
+// channel names for direct/offline bookings.
+const NON_OTA_CHANNELS = ['backend', 'direct', 'direct offline', 'direct online', 'website', 'manual', 'pos', 'bokun'];
+
+// OTAs we know by reference / confirmation code prefix, with where to change them
+const KNOWN_OTAS = [
+    {
+        otaName: 'Viator',
+        refs: ['viator'],
+        prefixes: ['VIA-'],
+        otaPortalUrl: 'https://supplier.viator.com/',
+        otaInstructions: 'Log into Viator Supplier Portal → Bookings → Find by reference → Modify',
+    },
+    {
+        otaName: 'GetYourGuide',
+        refs: ['gyg', 'getyourguide'],
+        prefixes: ['GYG-'],
+        otaPortalUrl: 'https://supplier.getyourguide.com/',
+        otaInstructions: 'Log into GYG Supplier Portal → Bookings → Find by reference → Request change',
+    },
+    {
+        otaName: 'TourDesk',
+        refs: ['tdi', 'tourdesk'],
+        prefixes: ['TDI-'],
+        otaPortalUrl: 'https://tourdesk.io/',
+        otaInstructions: 'Contact TourDesk support or log into their portal to modify',
+    },
+    {
+        otaName: 'Expedia',
+        refs: ['expedia'],
+        prefixes: ['EXP-'],
+        otaPortalUrl: 'https://www.expediapartnercentral.com/',
+        otaInstructions: 'Log into Expedia Partner Central → Reservations → Modify',
+    },
+];
+
+const LATE_CHANGE_MESSAGE = 'Your tour is less than 24 hours away. Non-refundable resources have already been allocated for your booking. Please email us at info@auroraviking.com for any last-minute changes.';
+
+const notActive = action => ({
+    rule: 'booking_not_active',
+    when: ctx => !ctx.isActive,
+    allowed: false,
+    overridable: false,
+    message: `This booking cannot be ${action} due to its current status.`,
+});
+
+const tourInPast = {
+    rule: 'tour_in_past',
+    when: ctx => ctx.isPast,
+    allowed: false,
+    overridable: false,
+    message: 'This tour has already taken place.',
+};
+
+const POLICY_RULES = {
+    reschedule: [
+        notActive('rescheduled'),
+        tourInPast,
+        {
+            rule: 'new_date_invalid',
+            when: ctx => ctx.newDate !== undefined &&
+                (!/^\d{4}-\d{2}-\d{2}$/.test(ctx.newDate || '') || ctx.newDate < ctx.today || ctx.newDate === ctx.tourDate),
+            allowed: false,
+            overridable: false,
+            message: 'Please choose a future date other than your current tour date.',
+        },
+        {
+            // We cancelled the night: free rebooking (or a refund), whenever it is
+            rule: 'weather_cancellation',
+            when: ctx => ctx.tourOff,
+            allowed: true,
+            overridable: false,
+            courtesy: false,
+            message: 'The tour was cancelled by Aurora Viking, so it can be moved free of charge.',
+        },
+        {
+            rule: 'courtesy_reschedule_final',
+            when: ctx => ctx.courtesyRescheduled,
+            allowed: false,
+            overridable: true,
+            courtesy: true,
+            message: 'This booking was already moved as a courtesy, which is final. It cannot be changed again.',
+        },
+        {
+            rule: 'reschedule_cutoff_24h',
+            when: ctx => ctx.withinCutoff,
+            allowed: false,
+            overridable: true,
+            courtesy: true,
+            message: LATE_CHANGE_MESSAGE,
+        },
+        {
+            rule: 'reschedule_window',
+            when: () => true,
+            allowed: true,
+            overridable: false,
+            courtesy: false,
+            message: 'More than 24 hours before departure.',
+        },
+    ],
+    cancel: [
+        notActive('cancelled'),
+        tourInPast,
+        {
+            rule: 'weather_cancellation',
+            when: ctx => ctx.tourOff,
+            allowed: true,
+            overridable: false,
+            refundable: true,
+            cancelPolicy: 'weather_cancelled',
+            message: 'The tour was cancelled by Aurora Viking: full refund or free rebooking.',
+        },
+        {
+            rule: 'courtesy_reschedule_final',
+            when: ctx => ctx.courtesyRescheduled,
+            allowed: true,
+            overridable: false,
+            refundable: false,
+            cancelPolicy: 'non_refundable',
+            message: 'This booking was moved as a courtesy, so it is non-refundable.',
+        },
+        {
+            rule: 'cancel_cutoff_24h',
+            when: ctx => ctx.withinCutoff,
+            allowed: true,
+            overridable: false,
+            refundable: false,
+            cancelPolicy: 'non_refundable',
+            message: 'Less than 24 hours before departure: the booking is non-refundable.',
+        },
+        {
+            rule: 'ota_refund',
+            when: ctx => ctx.ota.isOTA,
+            allowed: true,
+            overridable: false,
+            refundable: true,
+            refundVia: 'ota',
+            cancelPolicy: 'normal',
+            otaName: ctx => ctx.ota.otaName,
+            message: ctx => `Booked through ${ctx.ota.otaName}: the refund goes through ${ctx.ota.otaName}.`,
+        },
+        {
+            rule: 'cancel_window',
+            when: () => true,
+            allowed: true,
+            overridable: false,
+            refundable: true,
+            cancelPolicy: 'normal',
+            message: 'More than 24 hours before departure: refundable.',
+        },
+    ],
+    change_pickup: [
+        notActive('modified'),
+        tourInPast,
+        {
+            rule: 'pickup_cutoff_2h',
+            when: ctx => ctx.hoursUntilDeparture !== null && ctx.hoursUntilDeparture < PICKUP_CUTOFF_HOURS,
+            allowed: false,
+            overridable: true,
+            message: 'Pickup location changes are not available within 2 hours of departure. Please email us at info@auroraviking.com.',
+        },
+        {
+            // OTA bookings can change pickup too: it's an internal update, not a booking modification
+            rule: 'pickup_window',
+            when: () => true,
+            allowed: true,
+            overridable: false,
+            message: 'More than 2 hours before departure.',
+        },
+    ],
+    retry: [
+        {
+            rule: 'retry_not_entitled',
+            when: ctx => !ctx.entitled,
+            allowed: false,
+            overridable: false,
+            message: 'This booking has no free retry. Free retries are given when no Northern Lights are seen on the tour.',
+        },
+        {
+            rule: 'retry_requires_attendance',
+            when: ctx => !ctx.attendedOriginal,
+            allowed: false,
+            overridable: true,
+            message: 'A free retry needs the original tour to have been attended.',
+        },
+        {
+            rule: 'retry_expired',
+            when: ctx => ctx.retryValidUntil !== null && ctx.retryDate > ctx.retryValidUntil,
+            allowed: false,
+            overridable: true,
+            validUntil: ctx => ctx.retryValidUntil,
+            message: ctx => `The free retry was valid until ${ctx.retryValidUntil}.`,
+        },
+        {
+            rule: 'retry_date_in_past',
+            when: ctx => !ctx.retryDate || ctx.retryDate < ctx.today,
+            allowed: false,
+            overridable: false,
+            message: 'Please choose a date from today onwards.',
+        },
+        {
+            rule: 'retry_noon_cutoff',
+            when: ctx => ctx.retryDate === ctx.today && ctx.hourOfDay >= RETRY_CUTOFF_HOUR,
+            allowed: false,
+            overridable: true,
+            message: 'Retry bookings for tonight must be made before 12:00 noon. Please choose another night.',
+        },
+        {
+            rule: 'retry_window',
+            when: () => true,
+            allowed: true,
+            overridable: false,
+            message: 'Free retry, subject to availability.',
+        },
+    ],
+};
+
+// ============================================
+// TIME (pure)
+// ============================================
+
+/**
+ * Iceland date (YYYY-MM-DD) of an instant
+ */
+function icelandDate(now = new Date()) {
+    return now.toISOString().split('T')[0];
+}
+
+function toTimeString(value) {
+    const match = typeof value === 'string' ? value.match(/^(\d{1,2}):(\d{2})/) : null;
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Departure instant of a booking (raw Bokun booking or a cached entry with
+ * startDate / startTime); 21:00 when no time is known. null without a date.
+ */
+function getDepartureTime(booking) {
+    const date = getBookingDate(booking);
+    if (!date) return null;
+    const pb = getPrimaryProductBooking(booking);
+    const time = (pb && toTimeString(extractDepartureTime(pb))) ||
+        toTimeString(pb?.startTimeLocal) ||
+        toTimeString(booking.startTime) ||
+        toTimeString(booking.departureTime) ||
+        DEFAULT_DEPARTURE_TIME;
+    return new Date(`${date}T${time}:00Z`);
+}
+
+function getHoursUntilDeparture(booking, now = new Date()) {
+    const departure = getDepartureTime(booking);
+    return departure ? (departure.getTime() - now.getTime()) / HOUR_MS : null;
+}
+
+function addYears(dateString, years) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    // 29 Feb → 28 Feb when the target year has none
+    const date = new Date(Date.UTC(year + years, month - 1, day));
+    if (date.getUTCMonth() !== month - 1) date.setUTCDate(0);
+    return date.toISOString().split('T')[0];
+}
+
+// ============================================
+// BOOKING FACTS (pure)
+// ============================================
+
+function normalizeStatus(booking) {
+    const raw = String(booking.status || '').toUpperCase().trim();
+    if (raw) return raw;
+    if (booking.cancelled) return 'CANCELLED';
+    return 'CONFIRMED';
+}
+
+/**
+ * Whether a booking came through an OTA: known OTAs by reference or code
+ * prefix (with where to change it), then Bokun's affiliate / reseller / channel
+ * @returns {{isOTA: boolean, otaName: string|null, otaPortalUrl: string|null, otaInstructions: string|null}}
+ */
+function detectOTABooking(booking) {
+    const externalRef = String(booking.externalBookingReference || '').toLowerCase();
+    const confirmCode = String(booking.confirmationCode || '').toUpperCase();
+
+    const known = KNOWN_OTAS.find(ota =>
+        ota.refs.some(ref => externalRef.includes(ref)) ||
+        ota.prefixes.some(prefix => confirmCode.startsWith(prefix)));
+    if (known) {
+        return { isOTA: true, otaName: known.otaName, otaPortalUrl: known.otaPortalUrl, otaInstructions: known.otaInstructions };
+    }
+
+    const channelTitle = String(booking.channel?.title || '').trim();
+    const otaName = booking.affiliate?.title || booking.reseller?.title ||
+        (channelTitle && !NON_OTA_CHANNELS.includes(channelTitle.toLowerCase()) ? channelTitle : null);
+    return { isOTA: Boolean(otaName), otaName: otaName || null, otaPortalUrl: null, otaInstructions: null };
+}
+
+/**
+ * Everything the booking rules look at.
+ * facts: { tourOff, courtesyRescheduled } (see loadPolicyFacts), newDate for reschedules
+ */
+function buildPolicyContext(booking, { now = new Date(), tourOff = false, courtesyRescheduled = false, newDate } = {}) {
+    const today = icelandDate(now);
+    const tourDate = getBookingDate(booking);
+    const hoursUntilDeparture = getHoursUntilDeparture(booking, now);
+    return {
+        today,
+        tourDate,
+        newDate,
+        hoursUntilDeparture,
+        withinCutoff: hoursUntilDeparture !== null && hoursUntilDeparture < CUTOFF_HOURS,
+        isPast: Boolean(tourDate) && tourDate < today,
+        isActive: ACTIVE_STATUSES.includes(normalizeStatus(booking)),
+        tourOff: Boolean(tourOff),
+        courtesyRescheduled: Boolean(courtesyRescheduled),
+        ota: detectOTABooking(booking),
+    };
+}
+
+/**
+ * Last night a free retry can be taken after the original tour (2 years on)
+ */
+function getRetryValidUntil(originalTourDate) {
+    return originalTourDate ? addYears(originalTourDate, RETRY_VALID_YEARS) : null;
+}
+
+/**
+ * Context for a free retry on retryDate, after the original tour on
+ * originalTourDate (valid for 2 years unless staff set validUntil; made
+ * before noon on the night itself). entitled: the booking holds an open
+ * retry entitlement (modules/retry_entitlements.js)
+ */
+function buildRetryContext({ originalTourDate, entitled = false, attendedOriginal = false, retryDate, validUntil = null, now = new Date() }) {
+    return {
+        entitled: Boolean(entitled),
+        today: icelandDate(now),
+        hourOfDay: now.getUTCHours(),
+        retryDate: retryDate || null,
+        retryValidUntil: validUntil || getRetryValidUntil(originalTourDate),
+        attendedOriginal: Boolean(attendedOriginal),
+    };
+}
+
+// ============================================
+// DECISIONS (pure)
+// ============================================
+
+/**
+ * Decide an action (reschedule | cancel | change_pickup | retry) on a context
+ */
+function evaluatePolicy(action, context) {
+    const rules = POLICY_RULES[action];
+    if (!rules) throw new Error(`Unknown policy action: ${action}`);
+
+    const matched = rules.find(rule => rule.when(context));
+    const decision = { action };
+    Object.entries(matched).forEach(([key, value]) => {
+        if (key !== 'when') decision[key] = typeof value === 'function' ? value(context) : value;
+    });
+    decision.hoursUntilDeparture = context.hoursUntilDeparture ?? null;
+    return decision;
+}
+
+/**
+ * Decisions for every booking change at once (portal lookup, AI context)
+ */
+function evaluateBookingPolicies(booking, facts = {}) {
+    const context = buildPolicyContext(booking, facts);
+    return {
+        reschedule: evaluatePolicy('reschedule', context),
+        cancel: evaluatePolicy('cancel', context),
+        changePickup: evaluatePolicy('change_pickup', context),
+    };
+}
+
+/**
+ * Whether a decision lets the change go ahead; staff (override) can pass
+ * overridable rules
+ */
+function isPermitted(decision, { override = false } = {}) {
+    return decision.allowed || (Boolean(override) && decision.overridable);
+}
+
+/**
+ * One line per decision, for logs and the AI prompt
+ */
+function describeDecisions(decisions) {
+    return Object.values(decisions)
+        .map(d => `${d.action}: ${d.allowed ? 'allowed' : 'NOT allowed'} (${d.rule}${d.refundable === false ? ', non-refundable' : ''})`)
+        .join('; ');
+}
+
+// ============================================
+// FIRESTORE FACTS
+// ============================================
+
+/**
+ * Facts the rules need that live in Firestore: is the booked night OFF
+ * (tour_status/{date}), and was the booking already moved as a courtesy
+ */
+async function loadPolicyFacts(booking) {
+    const tourDate = getBookingDate(booking);
+    const [statusDoc, courtesySnapshot] = await Promise.all([
+        tourDate ? db.collection('tour_status').doc(tourDate).get().catch((error) => {
+            console.log(`⚠️ Could not check tour status for ${tourDate}: ${error.message}`);
+            return null;
+        }) : null,
+        booking.confirmationCode ? db.collection('booking_actions')
+            .where('confirmationCode', '==', booking.confirmationCode)
+            .where('courtesy', '==', true)
+            .limit(1)
+            .get() : null,
+    ]);
+    return {
+        tourOff: Boolean(statusDoc?.exists && statusDoc.data().status === 'OFF'),
+        courtesyRescheduled: Boolean(courtesySnapshot && !courtesySnapshot.empty),
+    };
+}
+
+module.exports = {
+    POLICY_RULES,
+    icelandDate,
+    getDepartureTime,
+    getHoursUntilDeparture,
+    detectOTABooking,
+    buildPolicyContext,
+    getRetryValidUntil,
+    buildRetryContext,
+    evaluatePolicy,
+    evaluateBookingPolicies,
+    isPermitted,
+    describeDecisions,
+    loadPolicyFacts,
+};
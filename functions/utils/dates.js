@@ -0,0 +1,26 @@
+/**
+ * Dates
+ * Shared Iceland-time date helpers (Iceland is UTC+0 year-round, no DST)
+ */
+
+/**
+ * Get today's date in YYYY-MM-DD format (Iceland timezone)
+ */
+function getTodayDateString(now = new Date()) {
+    return now.toLocaleDateString('en-CA', { timeZone: 'Atlantic/Reykjavik' });
+}
+
+/**
+ * Check if we're in aurora season (August 15 - April 30, Iceland time)
+ */
+function isAuroraSeason(now = new Date()) {
+    const [, month, day] = getTodayDateString(now).split('-').map(Number);
+    if (month >= 5 && month <= 7) return false; // May, June, July - definitely not
+    if (month === 8 && day < 15) return false; // Before August 15
+    return true; // August 15+ through April
+}
+
+module.exports = {
+    getTodayDateString,
+    isAuroraSeason,
+};
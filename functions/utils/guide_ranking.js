@@ -0,0 +1,187 @@
+/**
+ * Guide Ranking Engine
+ * Pure scoring logic for auto-accepting applied guides (no Firestore access)
+ *
+ * Every candidate gets a weighted score built from named components so the
+ * result can be explained on the shift doc ("why accepted / why not").
+ * Weights live in Firestore (config/guide_ranking) and are merged over
+ * DEFAULT_RANKING_CONFIG, which reproduces the original
+ * `priority - recentShifts * 2` formula when all other inputs are zero.
+ */
+
+const DEFAULT_RANKING_CONFIG = {
+    windowDays: 30,
+    // Nights with at least this many passengers count as peak nights
+    peakPassengerThreshold: 54,
+    // Explicit peak dates (YYYY-MM-DD), e.g. holidays
+    peakDates: [],
+    weights: {
+        priority: 1,
+        recentShifts: -2,
+        weekendBalance: -1,
+        peakBalance: -1,
+        declineStreak: 1.5,
+        restAfterLateNight: -3,
+        preferredWeekday: 2,
+        avoidedWeekday: -5,
+        overWeeklyLimit: -4,
+    },
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Merge a Firestore config doc over the defaults
+ */
+function resolveRankingConfig(stored = {}) {
+    return {
+        ...DEFAULT_RANKING_CONFIG,
+        ...stored,
+        weights: { ...DEFAULT_RANKING_CONFIG.weights, ...(stored.weights || {}) },
+    };
+}
+
+/**
+ * Day of week (0 = Sunday) for a YYYY-MM-DD string
+ */
+function getWeekday(dateStr) {
+    return new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+}
+
+/**
+ * Friday and Saturday nights count as weekend nights
+ */
+function isWeekendNight(dateStr) {
+    const day = getWeekday(dateStr);
+    return day === 5 || day === 6;
+}
+
+/**
+ * Whether a night counts as a peak night under the given config
+ */
+function isPeakNight(dateStr, totalPassengers, config) {
+    if ((config.peakDates || []).includes(dateStr)) return true;
+    return typeof totalPassengers === 'number' && totalPassengers >= config.peakPassengerThreshold;
+}
+
+/**
+ * Aurora season id for a date: Sep-Apr spans two years, so 2026-09-01 to
+ * 2027-08-31 is '2026-2027' (month is 1-based, as written in the date)
+ */
+function getSeasonId(dateStr) {
+    const [year, month] = dateStr.split('-').map(n => parseInt(n));
+    const startYear = month >= 9 ? year : year - 1;
+    return `${startYear}-${startYear + 1}`;
+}
+
+/**
+ * Score candidates for a night.
+ *
+ * @param {Array} candidates - [{ guideId, guideName, shiftId, priority, preferences,
+ *     recentShifts, shiftsThisWeek, workedPreviousNight, ledger }]
+ * @param {Object} context - { date, totalPassengers }
+ * @param {Object} config - from resolveRankingConfig()
+ * @returns {Array} candidates sorted by score desc, with score, components and reasons
+ */
+function scoreGuides(candidates, context, config = resolveRankingConfig()) {
+    const w = config.weights;
+    const weekend = isWeekendNight(context.date);
+    const peak = isPeakNight(context.date, context.totalPassengers, config);
+    const weekday = getWeekday(context.date);
+
+    const average = (key) => {
+        if (candidates.length === 0) return 0;
+        return candidates.reduce((s, c) => s + ((c.ledger || {})[key] || 0), 0) / candidates.length;
+    };
+    const avgWeekend = average('weekendAccepted');
+    const avgPeak = average('peakAccepted');
+
+    const scored = candidates.map(candidate => {
+        const ledger = candidate.ledger || {};
+        const prefs = candidate.preferences || {};
+        const components = [];
+        const add = (key, value, reason) => {
+            if (value !== 0) components.push({ key, value: Math.round(value * 100) / 100, reason });
+        };
+
+        const priority = candidate.priority || 0;
+        add('priority', priority * w.priority, `priority ${priority}`);
+
+        const recent = candidate.recentShifts || 0;
+        add('recentShifts', recent * w.recentShifts, `${recent} shift${recent === 1 ? '' : 's'} in last ${config.windowDays} days`);
+
+        if (weekend) {
+            const diff = (ledger.weekendAccepted || 0) - avgWeekend;
+            add('weekendBalance', diff * w.weekendBalance,
+                `${ledger.weekendAccepted || 0} weekend nights this season (pool avg ${avgWeekend.toFixed(1)})`);
+        }
+
+        if (peak) {
+            const diff = (ledger.peakAccepted || 0) - avgPeak;
+            add('peakBalance', diff * w.peakBalance,
+                `${ledger.peakAccepted || 0} peak nights this season (pool avg ${avgPeak.toFixed(1)})`);
+        }
+
+        const streak = ledger.consecutiveDeclines || 0;
+        add('declineStreak', streak * w.declineStreak, `turned down ${streak} time${streak === 1 ? '' : 's'} in a row`);
+
+        if (candidate.workedPreviousNight) {
+            add('restAfterLateNight', w.restAfterLateNight, 'worked the previous night');
+        }
+
+        if ((prefs.preferredWeekdays || []).includes(weekday)) {
+            add('preferredWeekday', w.preferredWeekday, `prefers ${WEEKDAY_NAMES[weekday]}s`);
+        }
+        if ((prefs.avoidWeekdays || []).includes(weekday)) {
+            add('avoidedWeekday', w.avoidedWeekday, `prefers not to work ${WEEKDAY_NAMES[weekday]}s`);
+        }
+        if (prefs.maxShiftsPerWeek && (candidate.shiftsThisWeek || 0) >= prefs.maxShiftsPerWeek) {
+            add('overWeeklyLimit', w.overWeeklyLimit,
+                `already at own limit of ${prefs.maxShiftsPerWeek} shifts this week`);
+        }
+
+        const score = Math.round(components.reduce((s, c) => s + c.value, 0) * 100) / 100;
+        return { ...candidate, score, components };
+    });
+
+    // Ties go to the guide with the longer decline streak, then by name for stability
+    scored.sort((a, b) =>
+        b.score - a.score ||
+        ((b.ledger || {}).consecutiveDeclines || 0) - ((a.ledger || {}).consecutiveDeclines || 0) ||
+        (a.guideName || '').localeCompare(b.guideName || '')
+    );
+    return scored;
+}
+
+/**
+ * Human-readable explanation of a ranking decision for the shift doc.
+ * acceptedIds are the guides whose shifts were actually accepted, which can
+ * be fewer than the slots when a shift was withdrawn before it was accepted.
+ */
+function explainDecision(ranked, index, slots, acceptedIds) {
+    const guide = ranked[index];
+    const accepted = acceptedIds.has(guide.guideId);
+    const details = guide.components
+        .map(c => `${c.reason} (${c.value > 0 ? '+' : ''}${c.value})`)
+        .join('; ') || 'no scoring inputs';
+    const head = `Ranked #${index + 1} of ${ranked.length} with score ${guide.score}`;
+
+    const openSlots = `${slots} open slot${slots === 1 ? '' : 's'}`;
+    if (accepted) {
+        return `${head}, accepted for one of the ${openSlots}: ${details}`;
+    }
+    const cutoff = ranked.filter(g => acceptedIds.has(g.guideId)).pop();
+    const gap = cutoff ? ` (last accepted: ${cutoff.guideName} at ${cutoff.score})` : '';
+    const where = index < slots ? `within the ${openSlots} but not accepted` : `outside the ${openSlots}`;
+    return `${head}, ${where}${gap}: ${details}`;
+}
+
+module.exports = {
+    DEFAULT_RANKING_CONFIG,
+    resolveRankingConfig,
+    isWeekendNight,
+    isPeakNight,
+    getSeasonId,
+    scoreGuides,
+    explainDecision,
+};
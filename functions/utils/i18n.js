@@ -0,0 +1,161 @@
+/**
+ * Localisation
+ * Message catalogues for customer-facing emails, SMS and the booking portal
+ * (utils/locales/<language>.js) and the rules for picking a guest's language.
+ *
+ * Language order (resolveLanguage): an explicit choice (notification
+ * preference, portal language switch), the Bokun booking language, the
+ * customer profile, then the browser's Accept-Language. Values we have no
+ * catalogue for fall through to the next source; English is the fallback.
+ *
+ * Keys missing from a catalogue fall back to English. Placeholders are
+ * {name} and values are inserted as given, so HTML templates can pass HTML.
+ */
+
+const CATALOGUES = {
+    en: require('./locales/en'),
+    de: require('./locales/de'),
+    fr: require('./locales/fr'),
+    es: require('./locales/es'),
+    it: require('./locales/it'),
+    zh: require('./locales/zh'),
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGUES);
+
+// Dates are always written out in Iceland time (UTC)
+const DATE_LOCALES = {
+    en: 'en-GB',
+    de: 'de-DE',
+    fr: 'fr-FR',
+    es: 'es-ES',
+    it: 'it-IT',
+    zh: 'zh-CN',
+};
+
+// Bokun and hand-edited profiles sometimes carry names or ISO 639-2 codes
+const LANGUAGE_ALIASES = {
+    english: 'en', eng: 'en',
+    german: 'de', deutsch: 'de', ger: 'de', deu: 'de',
+    french: 'fr', 'français': 'fr', francais: 'fr', fre: 'fr', fra: 'fr',
+    spanish: 'es', 'español': 'es', espanol: 'es', spa: 'es',
+    italian: 'it', italiano: 'it', ita: 'it',
+    chinese: 'zh', '中文': 'zh', chi: 'zh', zho: 'zh',
+};
+
+/**
+ * Supported language code for a tag, code or name ('de-DE', 'zh_CN',
+ * 'German'), or null when we have no catalogue for it
+ */
+function normalizeLanguage(value) {
+    if (!value || typeof value !== 'string') return null;
+    const lower = value.trim().toLowerCase();
+    if (LANGUAGE_ALIASES[lower]) return LANGUAGE_ALIASES[lower];
+
+    const base = lower.split(/[-_]/)[0];
+    if (SUPPORTED_LANGUAGES.includes(base)) return base;
+    return LANGUAGE_ALIASES[base] || null;
+}
+
+/**
+ * Language tags from an Accept-Language header, most preferred first
+ */
+function parseAcceptLanguage(header) {
+    if (!header || typeof header !== 'string') return [];
+    return header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find(p => p.trim().startsWith('q='));
+            const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+            return { tag: tag.trim(), q: Number.isNaN(q) ? 0 : q, index };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(entry => entry.tag);
+}
+
+/**
+ * First supported language from the sources, in priority order
+ * @param {Object} sources
+ * @param {string} [sources.preferred] - Explicit choice (preference or portal switch)
+ * @param {string} [sources.booking] - Bokun booking language
+ * @param {string} [sources.profile] - Customer profile language
+ * @param {string} [sources.browser] - Accept-Language header
+ */
+function resolveLanguage({ preferred, booking, profile, browser } = {}) {
+    const candidates = [preferred, booking, profile, ...parseAcceptLanguage(browser)];
+    for (const candidate of candidates) {
+        const language = normalizeLanguage(candidate);
+        if (language) return language;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Message for a key in the given language, English when the catalogue has
+ * no entry. Missing params render as an empty string.
+ */
+function translate(language, key, params = {}) {
+    const catalogue = CATALOGUES[normalizeLanguage(language)] || CATALOGUES[DEFAULT_LANGUAGE];
+    const text = catalogue[key] ?? CATALOGUES[DEFAULT_LANGUAGE][key];
+    if (text === undefined) {
+        console.warn(`⚠️ Missing translation: ${key}`);
+        return key;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? '');
+}
+
+/**
+ * translate() bound to one language, for templates
+ */
+function translator(language) {
+    return (key, params) => translate(language, key, params);
+}
+
+/**
+ * Customer-facing text for a booking policy decision. English (and any rule
+ * without a translation) uses the message the rule itself produced.
+ */
+function translatePolicyMessage(decision, language) {
+    if (!decision) return '';
+    const catalogue = CATALOGUES[normalizeLanguage(language)];
+    const key = `policy.${decision.action}.${decision.rule}`;
+    if (!catalogue || catalogue[key] === undefined) return decision.message;
+    return translate(language, key, decision);
+}
+
+/**
+ * "Tuesday 20 October" for a YYYY-MM-DD night, in the given language
+ */
+function formatDate(date, language) {
+    const locale = DATE_LOCALES[normalizeLanguage(language)] || DATE_LOCALES[DEFAULT_LANGUAGE];
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString(locale, {
+        weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC',
+    });
+}
+
+/**
+ * "Tuesday 20 October, Wednesday 21 October or Friday 23 October"
+ */
+function formatDateList(dates, language) {
+    const labels = (dates || []).map(date => formatDate(date, language));
+    if (labels.length <= 1) return labels[0] || '';
+    return translate(language, 'common.orList', {
+        items: labels.slice(0, -1).join(translate(language, 'common.listSeparator')),
+        last: labels[labels.length - 1],
+    });
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    normalizeLanguage,
+    parseAcceptLanguage,
+    resolveLanguage,
+    translate,
+    translator,
+    translatePolicyMessage,
+    formatDate,
+    formatDateList,
+};
@@ -0,0 +1,144 @@
+/**
+ * German
+ */
+module.exports = {
+    // Common
+    'common.hi': 'Hallo {firstName},',
+    'common.there': 'zusammen',
+    'common.listSeparator': ', ',
+    'common.orList': '{items} oder {last}',
+    'common.notAvailable': 'k. A.',
+
+    // Tour OFF email
+    'email.off.subject': 'Aurora Viking - Die Tour heute Abend fällt aus',
+    'email.off.header': 'Neuigkeiten zu Ihrer Tour',
+    'email.off.greeting': 'Hallo {firstName}!',
+    'email.off.everyone': 'zusammen',
+    'email.off.headline': 'Die Nordlichttour heute Abend fällt aus.',
+    'email.off.defaultBody': 'Leider sind die Bedingungen heute Abend ungünstig, sodass die Chancen, Nordlichter zu sehen, sehr gering sind.',
+    'email.off.offerDates': 'Am {dates} haben wir noch Plätze frei. Wählen Sie einen Termin im Buchungsportal, und Ihre Buchung wird sofort umgebucht.',
+    'email.off.letUsKnow': 'Bitte teilen Sie uns mit, was Sie tun möchten, ob Sie umbuchen möchten oder etwas anderes. Wir müssen von Ihnen hören, damit wir sicher sein können, dass Sie diese Nachricht erhalten haben und heute Abend nicht vergeblich auf uns warten.',
+    'email.off.instantConfirmation': 'Über unser Buchungsportal unten erhalten Sie eine {instant} Ihrer Umbuchung oder Stornierung. Die Bearbeitung von E-Mails kann etwas dauern.',
+    'email.off.instant': 'sofortige Bestätigung',
+    'email.off.button': 'Zum Buchungsportal',
+    'email.off.reference': 'Ihre Buchungsnummer lautet: {code}',
+    'email.off.enterReference': 'Geben Sie sie im Buchungsportal ein, wenn Sie danach gefragt werden.',
+    'email.off.signoff': 'Alles Gute, und wir drücken die Daumen für bessere Bedingungen.',
+
+    // Tour ON email
+    'email.on.subject': 'Aurora Viking - Die Tour findet heute Abend statt! 🌌',
+    'email.on.header': 'Tourbestätigung',
+    'email.on.headline': 'DIE TOUR FINDET HEUTE ABEND STATT! 🌌',
+    'email.on.pickupDetails': 'IHRE ABHOLDETAILS',
+    'email.on.beReadyAt': 'Seien Sie um {time} bereit',
+    'email.on.scheduledTime': 'der geplanten Zeit',
+    'email.on.pickupWindow': 'Die Abholung kann bis zu einer halben Stunde dauern und beginnt um {time}. Sie müssen also um {time} an Ihrem Abholort{place} bereit sein. Wenn Sie nicht als Erste abgeholt werden, müssen Sie eventuell ein paar Minuten warten.',
+    'email.on.dontPanic': 'Wenn der Bus um {time} also noch nicht da ist, <strong>keine Panik</strong> :) Wahrscheinlich werden Sie nicht als Erste abgeholt und müssen ein paar Minuten warten, bis er ankommt.',
+    'email.on.dressWellTitle': 'ZIEHEN SIE SICH WARM AN.',
+    'email.on.dressWell': 'Wenn Ihnen schon beim kurzen Warten draußen kalt wird, sind Sie wahrscheinlich nicht warm genug angezogen, um draußen die Nordlichter zu beobachten. Sie sind nach ICE-land (Eis-Land) gereist, es kann also wirklich sehr kalt werden.',
+    'email.on.buses': 'Unsere Minibusse sind weiß mit einem schwarzen <strong>"AURORA VIKING"</strong>-Logo an der Seite. Manchmal mieten wir andere Busse, achten Sie also einfach darauf, ob Ihr Name gerufen wird.',
+    'email.on.guideShout': 'Wenn Ihr Guide Sie am Abholort nicht entdeckt, springt er vielleicht aus dem Minibus und ruft Ihren Namen wie ein echter Wikinger, was bei den anderen Wartenden meist für Angst und Schrecken sorgt. <em>Keine Sorge.</em>',
+    'email.on.missedPickup': 'Wenn wir Sie am Abholort nicht finden, rufen wir Sie an und schicken eine E-Mail. Wenn Sie nicht innerhalb von 3 Minuten antworten, gehen wir davon aus, dass Sie nicht an der Tour teilnehmen können, und setzen die Abholung fort.',
+    'email.on.bathroom': '<strong>Gehen Sie bitte noch zur Toilette, bevor Sie zum Abholort aufbrechen.</strong> Während der Tour gibt es nur eingeschränkt Toiletten.',
+    'email.on.mapsTip': 'Ihren Abholort finden Sie in Google Maps (schreiben Sie zum Beispiel "Bus stop 1" für diese Haltestelle usw.). Ist Ihr Abholort Bus stop 8, können Sie für den genauen Ort "Hallgrimstorg" eingeben. Ist Ihr Abholort Bus stop 15 oder Bus stop 17, suchen Sie in Google Maps nach "Maritime Museum".',
+    'email.on.problems': 'Probleme mit Ihrer Abholung?',
+    'email.on.problemsEmail': 'E-Mail: {email} (rund um die Abholzeit antworten wir schnell)',
+    'email.on.problemsCall': 'Telefon: {phone}',
+
+    // Tour OFF / ON SMS
+    'sms.off.greeting': 'Hallo {firstName}, {body}',
+    'sms.off.defaultBody': 'leider wurde die Nordlichttour heute Abend wegen ungünstiger Wetterbedingungen für Nordlichtbeobachtungen abgesagt.',
+    'sms.off.offerDates': 'Am {dates} haben wir noch Plätze frei.',
+    'sms.off.portal': 'Sofort umbuchen oder stornieren über unser Buchungsportal: {url}',
+    'sms.off.code': 'Ihr Bestätigungscode: {code}',
+    'sms.off.enterCode': 'Geben Sie ihn im Portal ein, um Ihre Buchung zu verwalten.',
+    'sms.off.signature': '— Aurora Viking',
+    'sms.on.headline': 'Hallo {firstName}, die Nordlichttour findet heute Abend statt! 🌌',
+    'sms.on.pickup': '📍 Ihr Abholort: {place}',
+    'sms.on.departure': '🕐 Die Abholung beginnt um {time} — es kann bis zu 30 Min. dauern, bis alle Haltestellen angefahren sind. Bitte haben Sie etwas Geduld, falls der Bus nicht sofort da ist.',
+    'sms.on.maps': '📍 In Maps finden: {url}',
+    'sms.on.signoff': 'Ziehen Sie sich warm an! — Aurora Viking',
+
+    // Rebooking offer reminder
+    'rebooking.subject': 'Aurora Viking - Wählen Sie einen neuen Abend für Ihre Tour',
+    'rebooking.header': 'Ihre Umbuchung',
+    'rebooking.notHeard': 'Ihre Nordlichttour am {date} wurde abgesagt, und wir haben noch nichts von Ihnen gehört.',
+    'rebooking.stillSpace': 'Wir haben noch Plätze am <strong>{dates}</strong>.',
+    'rebooking.pickOrRefund': 'Wählen Sie einen neuen Abend oder teilen Sie uns mit, dass Sie lieber eine Erstattung möchten. Im Buchungsportal geht das mit einem Klick.',
+    'rebooking.button': 'Neuen Abend wählen',
+    'rebooking.signoff': 'Alles Gute,',
+    'sms.rebooking.reminder': 'Hallo {firstName}, wir haben noch nichts von Ihnen zu Ihrer abgesagten Nordlichttour gehört.{nights} Hier umbuchen oder eine Erstattung anfordern: {url}',
+
+    // Photo email
+    'photo.subject': 'Ihre Aurora Viking Tourfotos 📸',
+    'photo.header': 'Ihre Tourfotos 📸',
+    'photo.thanks': 'Vielen Dank, dass Sie heute Abend mit {guide} an der Nordlichttour teilgenommen haben! Wir hoffen, Sie hatten ein unvergessliches Erlebnis.',
+    'photo.uploading': 'Ihr Guide lädt die professionellen Fotos der heutigen Tour in den Ordner unten hoch. <strong>Es kann bis zu 48 Stunden dauern, bis die Fotos erscheinen</strong>, schauen Sie also später noch einmal vorbei, falls der Ordner noch leer ist.',
+    'photo.button': 'Ihre Fotos ansehen',
+    'photo.bookmarkTitle': 'Speichern Sie diesen Link',
+    'photo.bookmark': '{bookmark} — Sie können jederzeit zurückkommen, um Ihre Fotos anzusehen und herunterzuladen. Es kann bis zu 48 Stunden dauern, bis die Fotos im Ordner erscheinen.',
+    'photo.review': 'Wenn es Ihnen gefallen hat, freuen wir uns über Ihre Meinung! Eine Bewertung auf TripAdvisor oder Google Maps hilft uns mehr, als Sie denken.',
+    'photo.signoff': 'Alles Gute,',
+    'photo.team': 'Ihr Aurora Viking Team',
+
+    // Booking portal
+    'portal.referenceRequired': 'Die Buchungsnummer ist erforderlich',
+    'portal.bookingNotFound': 'Buchung nicht gefunden. Bitte überprüfen Sie Ihre Buchungsnummer.',
+    'portal.detailsMismatch': 'Die angegebenen Daten stimmen nicht mit unseren Unterlagen überein. Bitte überprüfen Sie Ihren Namen, Ihre E-Mail-Adresse und Ihre Buchungsnummer.',
+    'portal.tooManyRequests': 'Zu viele Anfragen. Bitte versuchen Sie es in einer Minute erneut.',
+    'portal.unavailable': 'Dienst vorübergehend nicht verfügbar',
+    'portal.otaMessage': 'Diese Buchung wurde über {otaName} vorgenommen. Sie können sie hier trotzdem umbuchen oder den Abholort ändern.',
+    'portal.lookupFailed': 'Ihre Buchung konnte nicht abgerufen werden. Bitte versuchen Sie es später erneut.',
+    'portal.selectDate': 'Bitte wählen Sie ein Datum',
+    'portal.availabilityUnsupported': 'Für diese Buchungsart kann die Verfügbarkeit nicht geprüft werden',
+    'portal.available': 'Für dieses Datum sind Plätze verfügbar!',
+    'portal.soldOut': 'Dieses Datum ist leider ausgebucht. Bitte wählen Sie ein anderes Datum.',
+    'portal.availabilityFailed': 'Die Verfügbarkeit konnte nicht geprüft werden. Bitte versuchen Sie es später erneut.',
+    'portal.selectNewDate': 'Bitte wählen Sie ein neues Datum',
+    'portal.rescheduled': 'Ihre Buchung wurde auf den {date} umgebucht. Sie erhalten in Kürze eine Bestätigung.',
+    'portal.rescheduleSubmitted': 'Ihre Umbuchung auf den {date} wurde übermittelt. Sie erhalten in Kürze eine Bestätigung per E-Mail.',
+    'portal.rescheduleFailed': 'Ihre Umbuchung konnte nicht bearbeitet werden. Bitte versuchen Sie es erneut oder kontaktieren Sie uns unter info@auroraviking.com',
+    'portal.cancelled': 'Ihre Buchung wurde storniert. Wenn Sie Anspruch auf eine Erstattung haben, meldet sich unser Team innerhalb von 2-3 Werktagen bei Ihnen.',
+    'portal.cancelFailed': 'Ihre Stornierung konnte nicht bearbeitet werden. Bitte versuchen Sie es erneut oder kontaktieren Sie uns unter info@auroraviking.com',
+    'portal.productMissing': 'Produktinformationen fehlen',
+    'portal.pickupPlacesFailed': 'Die Abholorte konnten nicht geladen werden. Bitte versuchen Sie es erneut.',
+    'portal.selectPickup': 'Bitte wählen Sie einen Abholort',
+    'portal.selectedLocation': 'den gewählten Ort',
+    'portal.pickupUpdated': 'Ihr Abholort wurde auf {place} geändert. Sie erhalten in Kürze eine Bestätigung per E-Mail.',
+    'portal.pickupFailed': 'Ihr Abholort konnte nicht geändert werden. Bitte versuchen Sie es erneut oder kontaktieren Sie uns unter info@auroraviking.com',
+    'portal.selectRetryNight': 'Bitte wählen Sie eine Nacht für Ihre kostenlose Wiederholung',
+    'portal.retryBooked': 'Ihre kostenlose Wiederholung ist für den {date} gebucht. Wir holen Sie am selben Ort ab wie beim letzten Mal.',
+    'portal.retryMoved': 'Ihre kostenlose Wiederholung wurde vom {from} auf den {date} verschoben. Wir holen Sie am selben Ort ab wie beim letzten Mal.',
+    'portal.retryFailed': 'Ihre kostenlose Wiederholung konnte nicht gebucht werden. Bitte versuchen Sie es erneut oder kontaktieren Sie uns unter info@auroraviking.com',
+
+    // Free retry claims
+    'retry.night_off': 'In dieser Nacht fallen die Touren aus. Bitte wählen Sie eine andere Nacht.',
+    'retry.no_seats': 'In dieser Nacht sind leider keine Plätze mehr frei. Bitte wählen Sie eine andere Nacht.',
+    'retry.contact_us': 'Bitte kontaktieren Sie uns unter info@auroraviking.com, um Ihre kostenlose Wiederholung zu buchen.',
+
+    // Booking policy
+    'policy.reschedule.booking_not_active': 'Diese Buchung kann aufgrund ihres aktuellen Status nicht umgebucht werden.',
+    'policy.reschedule.tour_in_past': 'Diese Tour hat bereits stattgefunden.',
+    'policy.reschedule.new_date_invalid': 'Bitte wählen Sie ein zukünftiges Datum, das nicht Ihr aktuelles Tourdatum ist.',
+    'policy.reschedule.weather_cancellation': 'Die Tour wurde von Aurora Viking abgesagt und kann daher kostenlos verschoben werden.',
+    'policy.reschedule.courtesy_reschedule_final': 'Diese Buchung wurde bereits aus Kulanz verschoben, was endgültig ist. Sie kann nicht erneut geändert werden.',
+    'policy.reschedule.reschedule_cutoff_24h': 'Ihre Tour beginnt in weniger als 24 Stunden. Für Ihre Buchung wurden bereits nicht erstattbare Leistungen eingeplant. Für kurzfristige Änderungen schreiben Sie uns bitte an info@auroraviking.com.',
+    'policy.reschedule.reschedule_window': 'Mehr als 24 Stunden vor der Abfahrt.',
+    'policy.cancel.booking_not_active': 'Diese Buchung kann aufgrund ihres aktuellen Status nicht storniert werden.',
+    'policy.cancel.tour_in_past': 'Diese Tour hat bereits stattgefunden.',
+    'policy.cancel.weather_cancellation': 'Die Tour wurde von Aurora Viking abgesagt: volle Erstattung oder kostenlose Umbuchung.',
+    'policy.cancel.courtesy_reschedule_final': 'Diese Buchung wurde aus Kulanz verschoben und ist daher nicht erstattbar.',
+    'policy.cancel.cancel_cutoff_24h': 'Weniger als 24 Stunden vor der Abfahrt: Die Buchung ist nicht erstattbar.',
+    'policy.cancel.ota_refund': 'Gebucht über {otaName}: Die Erstattung erfolgt über {otaName}.',
+    'policy.cancel.cancel_window': 'Mehr als 24 Stunden vor der Abfahrt: erstattbar.',
+    'policy.change_pickup.booking_not_active': 'Diese Buchung kann aufgrund ihres aktuellen Status nicht geändert werden.',
+    'policy.change_pickup.tour_in_past': 'Diese Tour hat bereits stattgefunden.',
+    'policy.change_pickup.pickup_cutoff_2h': 'Innerhalb von 2 Stunden vor der Abfahrt kann der Abholort nicht mehr geändert werden. Bitte schreiben Sie uns an info@auroraviking.com.',
+    'policy.change_pickup.pickup_window': 'Mehr als 2 Stunden vor der Abfahrt.',
+    'policy.retry.retry_not_entitled': 'Für diese Buchung gibt es keine kostenlose Wiederholung. Kostenlose Wiederholungen gibt es, wenn auf der Tour keine Nordlichter zu sehen waren.',
+    'policy.retry.retry_requires_attendance': 'Für eine kostenlose Wiederholung muss die ursprüngliche Tour besucht worden sein.',
+    'policy.retry.retry_expired': 'Die kostenlose Wiederholung war bis zum {validUntil} gültig.',
+    'policy.retry.retry_date_in_past': 'Bitte wählen Sie ein Datum ab heute.',
+    'policy.retry.retry_noon_cutoff': 'Wiederholungen für heute Abend müssen vor 12:00 Uhr mittags gebucht werden. Bitte wählen Sie eine andere Nacht.',
+    'policy.retry.retry_window': 'Kostenlose Wiederholung, je nach Verfügbarkeit.',
+};
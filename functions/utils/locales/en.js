@@ -0,0 +1,146 @@
+/**
+ * English (fallback for every other catalogue)
+ * Policy messages (policy.<action>.<rule>) are the decision messages of the
+ * rules in utils/booking_policy.js; keep the two in step.
+ */
+module.exports = {
+    // Common
+    'common.hi': 'Hi {firstName},',
+    'common.there': 'there',
+    'common.listSeparator': ', ',
+    'common.orList': '{items} or {last}',
+    'common.notAvailable': 'N/A',
+
+    // Tour OFF email (tour_status.js buildOffEmailHtml)
+    'email.off.subject': 'Aurora Viking - Tonight\'s Tour Cancelled',
+    'email.off.header': 'Tour Status Update',
+    'email.off.greeting': 'Hello {firstName}!',
+    'email.off.everyone': 'everyone',
+    'email.off.headline': 'The Northern Lights tour tonight is cancelled.',
+    'email.off.defaultBody': 'Unfortunately the conditions are not favorable tonight giving us slim chances of being able to observe the Northern Lights.',
+    'email.off.offerDates': 'We still have space on {dates}. Pick one in the Booking Portal and you\'re rebooked straight away.',
+    'email.off.letUsKnow': 'Please let us know what you want to do, if you want to reschedule or otherwise, we need to hear from you so we don\'t have to worry that you didn\'t receive this message and will be waiting for us to show up tonight when we aren\'t going to be.',
+    'email.off.instantConfirmation': 'Get {instant} of a reschedule or cancellation by using our Booking Management Portal below. Email correspondence may take some time to process.',
+    'email.off.instant': 'instant confirmation',
+    'email.off.button': 'Go to Booking Portal',
+    'email.off.reference': 'Your booking reference is: {code}',
+    'email.off.enterReference': 'Enter it in the Booking Portal if prompted.',
+    'email.off.signoff': 'All the best and fingers crossed for better conditions.',
+
+    // Tour ON email (tour_status.js buildOnEmailHtml)
+    'email.on.subject': 'Aurora Viking - Tonight\'s Tour is ON! 🌌',
+    'email.on.header': 'Tour Confirmation',
+    'email.on.headline': 'THE TOUR IS ON TONIGHT! 🌌',
+    'email.on.pickupDetails': 'YOUR PICKUP DETAILS',
+    'email.on.beReadyAt': 'Be ready at {time}',
+    'email.on.scheduledTime': 'the scheduled time',
+    'email.on.pickupWindow': 'The pickup can last up to half an hour and it starts at {time}. That means you have to be ready at your pickup{place} at {time} but if you are not the first pickup you might have to wait a few minutes.',
+    'email.on.dontPanic': 'So if the bus isn\'t there at {time} <strong>don\'t panic</strong> :) Most likely you are not the first pickup and you might have to wait a few minutes for it to arrive.',
+    'email.on.dressWellTitle': 'DRESS WELL.',
+    'email.on.dressWell': 'If you get cold waiting outside for a few minutes you might not be dressed to stand outside looking at the northern lights. You have travelled to ICE-land so yes it can get really cold.',
+    'email.on.buses': 'Our minibuses are white with a black <strong>"AURORA VIKING"</strong> logo on the side. We sometimes lease other buses so just listen for your name being called.',
+    'email.on.guideShout': 'If your guide does not spot you at the pick up location he might jump out of the minibus and bellow your name, like a true Viking, usually causing fear and dismay amongst the people waiting for their pick ups. <em>Do not be alarmed.</em>',
+    'email.on.missedPickup': 'If we can\'t find you at your pick up location we will call and send an email, if you don\'t reply or answer within 3 minutes we will be assuming that you can\'t make it on the tour and continue with the pick up.',
+    'email.on.bathroom': '<strong>Make sure you use the bathroom before you head to the pick up location.</strong> Access to toilets can be limited during the tour.',
+    'email.on.mapsTip': 'You can find your pickup location on Google Maps (for example write "Bus stop 1" for that pickup etc) but note that if your pickup is at Bus stop 8 you can write "Hallgrimstorg" for the exact location. If your pickup location is at Bus stop 15 or Bus stop 17 then if you look up "Maritime Museum" on Google Maps you\'ll find it.',
+    'email.on.problems': 'Having problems with your pickup?',
+    'email.on.problemsEmail': 'Email: {email} (we reply promptly around pickup time)',
+    'email.on.problemsCall': 'Call: {phone}',
+
+    // Tour OFF / ON SMS (sms.js buildCancellationSms, buildOnSms)
+    'sms.off.greeting': 'Hi {firstName}, {body}',
+    'sms.off.defaultBody': 'unfortunately tonight\'s Northern Lights tour has been cancelled due to unfavorable weather conditions for aurora sightings.',
+    'sms.off.offerDates': 'We still have space on {dates}.',
+    'sms.off.portal': 'Reschedule or cancel instantly using our Booking Portal: {url}',
+    'sms.off.code': 'Your confirmation code: {code}',
+    'sms.off.enterCode': 'Enter it on the portal to manage your booking.',
+    'sms.off.signature': '— Aurora Viking',
+    'sms.on.headline': 'Hi {firstName}, the Northern Lights tour is ON tonight! 🌌',
+    'sms.on.pickup': '📍 Your pickup: {place}',
+    'sms.on.departure': '🕐 Pickups start at {time} — it may take up to 30 min to reach all stops, so please be patient if the bus isn\'t there right away.',
+    'sms.on.maps': '📍 Find it on Maps: {url}',
+    'sms.on.signoff': 'Dress warm! — Aurora Viking',
+
+    // Rebooking offer reminder
+    'rebooking.subject': 'Aurora Viking - Choose a new night for your tour',
+    'rebooking.header': 'Your Rebooking',
+    'rebooking.notHeard': 'Your Northern Lights tour on {date} was cancelled and we haven\'t heard from you yet.',
+    'rebooking.stillSpace': 'We still have space on <strong>{dates}</strong>.',
+    'rebooking.pickOrRefund': 'Pick a new night or let us know you\'d rather have a refund. It only takes a tap in the Booking Portal.',
+    'rebooking.button': 'Choose a New Night',
+    'rebooking.signoff': 'All the best,',
+    'sms.rebooking.reminder': 'Hi {firstName}, we haven\'t heard from you about your cancelled Northern Lights tour.{nights} Rebook or ask for a refund here: {url}',
+
+    // Photo email (photo_email.js buildPhotoEmailHtml)
+    'photo.subject': 'Your Aurora Viking Tour Photos 📸',
+    'photo.header': 'Your Tour Photos 📸',
+    'photo.thanks': 'Thank you for joining us on the Northern Lights tour tonight with {guide}! We hope you had an amazing experience.',
+    'photo.uploading': 'Your guide will be uploading the professional photos from tonight\'s tour to the folder below. <strong>Photos can take up to 48 hours to appear</strong>, so please check back if the folder is still empty.',
+    'photo.button': 'View Your Photos',
+    'photo.bookmarkTitle': 'Bookmark this link',
+    'photo.bookmark': '{bookmark} — you can come back anytime to view and download your photos. It can take up to 48 hours for photos to appear in the folder.',
+    'photo.review': 'If you had a great time, we\'d love to hear about it! A review on TripAdvisor or Google Maps helps us more than you know.',
+    'photo.signoff': 'All the best,',
+    'photo.team': 'The Aurora Viking Team',
+
+    // Booking portal (booking_portal.js)
+    'portal.referenceRequired': 'Booking reference number is required',
+    'portal.bookingNotFound': 'Booking not found. Please check your booking reference number.',
+    'portal.detailsMismatch': 'The details provided do not match our records. Please check your name, email, and booking reference.',
+    'portal.tooManyRequests': 'Too many requests. Please try again in a minute.',
+    'portal.unavailable': 'Service temporarily unavailable',
+    'portal.otaMessage': 'This booking was made through {otaName}. You can still reschedule or change your pickup here.',
+    'portal.lookupFailed': 'Unable to look up your booking. Please try again later.',
+    'portal.selectDate': 'Please select a date',
+    'portal.availabilityUnsupported': 'Unable to check availability for this booking type',
+    'portal.available': 'Availability confirmed for this date!',
+    'portal.soldOut': 'Sorry, this date is fully booked. Please try another date.',
+    'portal.availabilityFailed': 'Unable to check availability. Please try again later.',
+    'portal.selectNewDate': 'Please select a new date',
+    'portal.rescheduled': 'Your booking has been rescheduled to {date}. You will receive a confirmation shortly.',
+    'portal.rescheduleSubmitted': 'Your booking has been submitted for rescheduling to {date}. You will receive a confirmation email shortly.',
+    'portal.rescheduleFailed': 'Unable to process your reschedule request. Please try again or contact us at info@auroraviking.com',
+    'portal.cancelled': 'Your booking has been cancelled. If you are eligible for a refund, our team will be in touch within 2-3 business days.',
+    'portal.cancelFailed': 'Unable to process your cancellation. Please try again or contact us at info@auroraviking.com',
+    'portal.productMissing': 'Product information missing',
+    'portal.pickupPlacesFailed': 'Unable to load pickup locations. Please try again.',
+    'portal.selectPickup': 'Please select a pickup location',
+    'portal.selectedLocation': 'the selected location',
+    'portal.pickupUpdated': 'Your pickup location has been updated to {place}. You will receive a confirmation email shortly.',
+    'portal.pickupFailed': 'Unable to update your pickup location. Please try again or contact us at info@auroraviking.com',
+    'portal.selectRetryNight': 'Please select a night for your free retry',
+    'portal.retryBooked': 'Your free retry is booked for {date}. We\'ll pick you up at the same place as before.',
+    'portal.retryMoved': 'Your free retry has been moved from {from} to {date}. We\'ll pick you up at the same place as before.',
+    'portal.retryFailed': 'Unable to book your free retry. Please try again or contact us at info@auroraviking.com',
+
+    // Free retry claims (retry_entitlements.js claimRetrySeat)
+    'retry.night_off': 'Tours are cancelled that night. Please choose another night.',
+    'retry.no_seats': 'Sorry, there are no free seats that night. Please try another night.',
+    'retry.contact_us': 'Please contact us at info@auroraviking.com to book your free retry.',
+
+    // Booking policy
+    'policy.reschedule.booking_not_active': 'This booking cannot be rescheduled due to its current status.',
+    'policy.reschedule.tour_in_past': 'This tour has already taken place.',
+    'policy.reschedule.new_date_invalid': 'Please choose a future date other than your current tour date.',
+    'policy.reschedule.weather_cancellation': 'The tour was cancelled by Aurora Viking, so it can be moved free of charge.',
+    'policy.reschedule.courtesy_reschedule_final': 'This booking was already moved as a courtesy, which is final. It cannot be changed again.',
+    'policy.reschedule.reschedule_cutoff_24h': 'Your tour is less than 24 hours away. Non-refundable resources have already been allocated for your booking. Please email us at info@auroraviking.com for any last-minute changes.',
+    'policy.reschedule.reschedule_window': 'More than 24 hours before departure.',
+    'policy.cancel.booking_not_active': 'This booking cannot be cancelled due to its current status.',
+    'policy.cancel.tour_in_past': 'This tour has already taken place.',
+    'policy.cancel.weather_cancellation': 'The tour was cancelled by Aurora Viking: full refund or free rebooking.',
+    'policy.cancel.courtesy_reschedule_final': 'This booking was moved as a courtesy, so it is non-refundable.',
+    'policy.cancel.cancel_cutoff_24h': 'Less than 24 hours before departure: the booking is non-refundable.',
+    'policy.cancel.ota_refund': 'Booked through {otaName}: the refund goes through {otaName}.',
+    'policy.cancel.cancel_window': 'More than 24 hours before departure: refundable.',
+    'policy.change_pickup.booking_not_active': 'This booking cannot be modified due to its current status.',
+    'policy.change_pickup.tour_in_past': 'This tour has already taken place.',
+    'policy.change_pickup.pickup_cutoff_2h': 'Pickup location changes are not available within 2 hours of departure. Please email us at info@auroraviking.com.',
+    'policy.change_pickup.pickup_window': 'More than 2 hours before departure.',
+    'policy.retry.retry_not_entitled': 'This booking has no free retry. Free retries are given when no Northern Lights are seen on the tour.',
+    'policy.retry.retry_requires_attendance': 'A free retry needs the original tour to have been attended.',
+    'policy.retry.retry_expired': 'The free retry was valid until {validUntil}.',
+    'policy.retry.retry_date_in_past': 'Please choose a date from today onwards.',
+    'policy.retry.retry_noon_cutoff': 'Retry bookings for tonight must be made before 12:00 noon. Please choose another night.',
+    'policy.retry.retry_window': 'Free retry, subject to availability.',
+};
@@ -0,0 +1,144 @@
+/**
+ * Spanish
+ */
+module.exports = {
+    // Common
+    'common.hi': 'Hola {firstName}:',
+    'common.there': 'a todos',
+    'common.listSeparator': ', ',
+    'common.orList': '{items} o {last}',
+    'common.notAvailable': 'N/D',
+
+    // Tour OFF email
+    'email.off.subject': 'Aurora Viking - La excursión de esta noche está cancelada',
+    'email.off.header': 'Actualización de su excursión',
+    'email.off.greeting': '¡Hola {firstName}!',
+    'email.off.everyone': 'a todos',
+    'email.off.headline': 'La excursión de auroras boreales de esta noche está cancelada.',
+    'email.off.defaultBody': 'Lamentablemente, las condiciones de esta noche no son favorables y las posibilidades de ver la aurora boreal son muy escasas.',
+    'email.off.offerDates': 'Todavía tenemos plazas el {dates}. Elija una fecha en el portal de reservas y su reserva se cambiará al instante.',
+    'email.off.letUsKnow': 'Por favor, díganos qué quiere hacer, si desea cambiar la fecha o cualquier otra cosa. Necesitamos saber de usted para estar seguros de que ha recibido este mensaje y de que no nos estará esperando esta noche cuando no vamos a ir.',
+    'email.off.instantConfirmation': 'Obtenga una {instant} de su cambio de fecha o cancelación a través de nuestro portal de gestión de reservas. La correspondencia por correo electrónico puede tardar en procesarse.',
+    'email.off.instant': 'confirmación inmediata',
+    'email.off.button': 'Ir al portal de reservas',
+    'email.off.reference': 'Su referencia de reserva es: {code}',
+    'email.off.enterReference': 'Introdúzcala en el portal de reservas si se le solicita.',
+    'email.off.signoff': 'Un saludo, y crucemos los dedos para que haya mejores condiciones.',
+
+    // Tour ON email
+    'email.on.subject': 'Aurora Viking - ¡La excursión de esta noche sigue en pie! 🌌',
+    'email.on.header': 'Confirmación de la excursión',
+    'email.on.headline': '¡LA EXCURSIÓN SALE ESTA NOCHE! 🌌',
+    'email.on.pickupDetails': 'DATOS DE SU RECOGIDA',
+    'email.on.beReadyAt': 'Esté listo a las {time}',
+    'email.on.scheduledTime': 'la hora prevista',
+    'email.on.pickupWindow': 'La recogida puede durar hasta media hora y empieza a las {time}. Eso significa que debe estar listo en su punto de recogida{place} a las {time}, pero si no es la primera recogida, es posible que tenga que esperar unos minutos.',
+    'email.on.dontPanic': 'Así que si el autobús no está allí a las {time}, <strong>no se preocupe</strong> :) Lo más probable es que no sea la primera recogida y tenga que esperar unos minutos a que llegue.',
+    'email.on.dressWellTitle': 'ABRÍGUESE BIEN.',
+    'email.on.dressWell': 'Si pasa frío esperando unos minutos fuera, probablemente no vaya lo bastante abrigado para estar al aire libre mirando la aurora boreal. Ha viajado a ICE-land, la tierra del hielo, así que sí, puede hacer mucho frío.',
+    'email.on.buses': 'Nuestros minibuses son blancos con el logotipo negro <strong>"AURORA VIKING"</strong> en el lateral. A veces alquilamos otros autobuses, así que esté atento a cuando digan su nombre.',
+    'email.on.guideShout': 'Si su guía no le ve en el punto de recogida, puede que salte del minibús y grite su nombre como un auténtico vikingo, lo que suele causar sobresalto entre quienes esperan sus recogidas. <em>No se alarme.</em>',
+    'email.on.missedPickup': 'Si no le encontramos en su punto de recogida, le llamaremos y le enviaremos un correo electrónico. Si no responde en 3 minutos, entenderemos que no puede venir a la excursión y continuaremos con las recogidas.',
+    'email.on.bathroom': '<strong>Asegúrese de ir al baño antes de salir hacia el punto de recogida.</strong> El acceso a aseos puede ser limitado durante la excursión.',
+    'email.on.mapsTip': 'Puede encontrar su punto de recogida en Google Maps (por ejemplo, escriba "Bus stop 1" para esa parada, etc.). Si su recogida es en Bus stop 8, puede escribir "Hallgrimstorg" para la ubicación exacta. Si es en Bus stop 15 o Bus stop 17, busque "Maritime Museum" en Google Maps.',
+    'email.on.problems': '¿Tiene problemas con su recogida?',
+    'email.on.problemsEmail': 'Correo electrónico: {email} (respondemos enseguida cerca de la hora de recogida)',
+    'email.on.problemsCall': 'Teléfono: {phone}',
+
+    // Tour OFF / ON SMS
+    'sms.off.greeting': 'Hola {firstName}: {body}',
+    'sms.off.defaultBody': 'lamentablemente, la excursión de auroras boreales de esta noche se ha cancelado por condiciones meteorológicas desfavorables para ver la aurora.',
+    'sms.off.offerDates': 'Todavía tenemos plazas el {dates}.',
+    'sms.off.portal': 'Cambie la fecha o cancele al instante en nuestro portal de reservas: {url}',
+    'sms.off.code': 'Su código de confirmación: {code}',
+    'sms.off.enterCode': 'Introdúzcalo en el portal para gestionar su reserva.',
+    'sms.off.signature': '— Aurora Viking',
+    'sms.on.headline': 'Hola {firstName}: ¡la excursión de auroras boreales sale esta noche! 🌌',
+    'sms.on.pickup': '📍 Su recogida: {place}',
+    'sms.on.departure': '🕐 Las recogidas empiezan a las {time} — recorrer todas las paradas puede llevar hasta 30 min, así que tenga paciencia si el autobús no llega enseguida.',
+    'sms.on.maps': '📍 Véalo en Maps: {url}',
+    'sms.on.signoff': '¡Abríguese bien! — Aurora Viking',
+
+    // Rebooking offer reminder
+    'rebooking.subject': 'Aurora Viking - Elija una nueva noche para su tour',
+    'rebooking.header': 'Su cambio de reserva',
+    'rebooking.notHeard': 'Su tour de auroras boreales del {date} se canceló y todavía no sabemos nada de usted.',
+    'rebooking.stillSpace': 'Todavía tenemos plazas el <strong>{dates}</strong>.',
+    'rebooking.pickOrRefund': 'Elija una nueva noche o díganos si prefiere un reembolso. Solo hace falta un clic en el portal de reservas.',
+    'rebooking.button': 'Elegir una nueva noche',
+    'rebooking.signoff': 'Un cordial saludo,',
+    'sms.rebooking.reminder': 'Hola {firstName}, todavía no sabemos nada de usted sobre su tour de auroras boreales cancelado.{nights} Cambie la fecha o pida un reembolso aquí: {url}',
+
+    // Photo email
+    'photo.subject': 'Sus fotos de la excursión de Aurora Viking 📸',
+    'photo.header': 'Sus fotos de la excursión 📸',
+    'photo.thanks': '¡Gracias por acompañarnos esta noche en la excursión de auroras boreales con {guide}! Esperamos que haya sido una experiencia increíble.',
+    'photo.uploading': 'Su guía subirá las fotos profesionales de la excursión de esta noche a la carpeta de abajo. <strong>Las fotos pueden tardar hasta 48 horas en aparecer</strong>, así que vuelva a mirar si la carpeta aún está vacía.',
+    'photo.button': 'Ver sus fotos',
+    'photo.bookmarkTitle': 'Guarde este enlace',
+    'photo.bookmark': '{bookmark} — puede volver cuando quiera para ver y descargar sus fotos. Las fotos pueden tardar hasta 48 horas en aparecer en la carpeta.',
+    'photo.review': 'Si lo ha pasado bien, ¡nos encantaría saberlo! Una reseña en TripAdvisor o Google Maps nos ayuda más de lo que imagina.',
+    'photo.signoff': 'Un saludo,',
+    'photo.team': 'El equipo de Aurora Viking',
+
+    // Booking portal
+    'portal.referenceRequired': 'Es necesario el número de referencia de la reserva',
+    'portal.bookingNotFound': 'No se ha encontrado la reserva. Compruebe su número de referencia.',
+    'portal.detailsMismatch': 'Los datos proporcionados no coinciden con nuestros registros. Compruebe su nombre, correo electrónico y referencia de reserva.',
+    'portal.tooManyRequests': 'Demasiadas solicitudes. Vuelva a intentarlo dentro de un minuto.',
+    'portal.unavailable': 'Servicio no disponible temporalmente',
+    'portal.otaMessage': 'Esta reserva se hizo a través de {otaName}. Aun así, puede cambiar la fecha o el punto de recogida aquí.',
+    'portal.lookupFailed': 'No se ha podido consultar su reserva. Vuelva a intentarlo más tarde.',
+    'portal.selectDate': 'Seleccione una fecha',
+    'portal.availabilityUnsupported': 'No se puede comprobar la disponibilidad para este tipo de reserva',
+    'portal.available': '¡Hay disponibilidad para esta fecha!',
+    'portal.soldOut': 'Lo sentimos, esta fecha está completa. Pruebe con otra fecha.',
+    'portal.availabilityFailed': 'No se ha podido comprobar la disponibilidad. Vuelva a intentarlo más tarde.',
+    'portal.selectNewDate': 'Seleccione una nueva fecha',
+    'portal.rescheduled': 'Su reserva se ha cambiado al {date}. Recibirá una confirmación en breve.',
+    'portal.rescheduleSubmitted': 'Su solicitud de cambio al {date} se ha enviado. Recibirá un correo de confirmación en breve.',
+    'portal.rescheduleFailed': 'No se ha podido procesar su cambio de fecha. Vuelva a intentarlo o escríbanos a info@auroraviking.com',
+    'portal.cancelled': 'Su reserva se ha cancelado. Si tiene derecho a un reembolso, nuestro equipo se pondrá en contacto con usted en un plazo de 2-3 días laborables.',
+    'portal.cancelFailed': 'No se ha podido procesar su cancelación. Vuelva a intentarlo o escríbanos a info@auroraviking.com',
+    'portal.productMissing': 'Falta la información del producto',
+    'portal.pickupPlacesFailed': 'No se han podido cargar los puntos de recogida. Vuelva a intentarlo.',
+    'portal.selectPickup': 'Seleccione un punto de recogida',
+    'portal.selectedLocation': 'el lugar seleccionado',
+    'portal.pickupUpdated': 'Su punto de recogida se ha cambiado a {place}. Recibirá un correo de confirmación en breve.',
+    'portal.pickupFailed': 'No se ha podido cambiar su punto de recogida. Vuelva a intentarlo o escríbanos a info@auroraviking.com',
+    'portal.selectRetryNight': 'Seleccione una noche para su nuevo intento gratuito',
+    'portal.retryBooked': 'Su nuevo intento gratuito está reservado para el {date}. Le recogeremos en el mismo lugar que la vez anterior.',
+    'portal.retryMoved': 'Su nuevo intento gratuito se ha cambiado del {from} al {date}. Le recogeremos en el mismo lugar que la vez anterior.',
+    'portal.retryFailed': 'No se ha podido reservar su nuevo intento gratuito. Vuelva a intentarlo o escríbanos a info@auroraviking.com',
+
+    // Free retry claims
+    'retry.night_off': 'Las excursiones están canceladas esa noche. Elija otra noche.',
+    'retry.no_seats': 'Lo sentimos, no quedan plazas libres esa noche. Pruebe con otra noche.',
+    'retry.contact_us': 'Escríbanos a info@auroraviking.com para reservar su nuevo intento gratuito.',
+
+    // Booking policy
+    'policy.reschedule.booking_not_active': 'Esta reserva no se puede cambiar de fecha debido a su estado actual.',
+    'policy.reschedule.tour_in_past': 'Esta excursión ya ha tenido lugar.',
+    'policy.reschedule.new_date_invalid': 'Elija una fecha futura distinta de la fecha actual de su excursión.',
+    'policy.reschedule.weather_cancellation': 'La excursión fue cancelada por Aurora Viking, así que puede cambiarse de fecha sin coste.',
+    'policy.reschedule.courtesy_reschedule_final': 'Esta reserva ya se cambió de fecha como cortesía, lo cual es definitivo. No se puede volver a modificar.',
+    'policy.reschedule.reschedule_cutoff_24h': 'Su excursión es dentro de menos de 24 horas. Ya se han asignado recursos no reembolsables a su reserva. Para cambios de última hora, escríbanos a info@auroraviking.com.',
+    'policy.reschedule.reschedule_window': 'Más de 24 horas antes de la salida.',
+    'policy.cancel.booking_not_active': 'Esta reserva no se puede cancelar debido a su estado actual.',
+    'policy.cancel.tour_in_past': 'Esta excursión ya ha tenido lugar.',
+    'policy.cancel.weather_cancellation': 'La excursión fue cancelada por Aurora Viking: reembolso completo o nueva fecha sin coste.',
+    'policy.cancel.courtesy_reschedule_final': 'Esta reserva se cambió de fecha como cortesía, por lo que no es reembolsable.',
+    'policy.cancel.cancel_cutoff_24h': 'Menos de 24 horas antes de la salida: la reserva no es reembolsable.',
+    'policy.cancel.ota_refund': 'Reservado a través de {otaName}: el reembolso se tramita a través de {otaName}.',
+    'policy.cancel.cancel_window': 'Más de 24 horas antes de la salida: reembolsable.',
+    'policy.change_pickup.booking_not_active': 'Esta reserva no se puede modificar debido a su estado actual.',
+    'policy.change_pickup.tour_in_past': 'Esta excursión ya ha tenido lugar.',
+    'policy.change_pickup.pickup_cutoff_2h': 'No es posible cambiar el punto de recogida en las 2 horas previas a la salida. Escríbanos a info@auroraviking.com.',
+    'policy.change_pickup.pickup_window': 'Más de 2 horas antes de la salida.',
+    'policy.retry.retry_not_entitled': 'Esta reserva no tiene un nuevo intento gratuito. Los nuevos intentos gratuitos se ofrecen cuando no se ve la aurora boreal durante la excursión.',
+    'policy.retry.retry_requires_attendance': 'Para un nuevo intento gratuito es necesario haber asistido a la excursión original.',
+    'policy.retry.retry_expired': 'El nuevo intento gratuito era válido hasta el {validUntil}.',
+    'policy.retry.retry_date_in_past': 'Elija una fecha a partir de hoy.',
+    'policy.retry.retry_noon_cutoff': 'Los nuevos intentos para esta noche deben reservarse antes de las 12:00 del mediodía. Elija otra noche.',
+    'policy.retry.retry_window': 'Nuevo intento gratuito, sujeto a disponibilidad.',
+};
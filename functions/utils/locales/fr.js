@@ -0,0 +1,144 @@
+/**
+ * French
+ */
+module.exports = {
+    // Common
+    'common.hi': 'Bonjour {firstName},',
+    'common.there': 'à tous',
+    'common.listSeparator': ', ',
+    'common.orList': '{items} ou {last}',
+    'common.notAvailable': 'N/D',
+
+    // Tour OFF email
+    'email.off.subject': 'Aurora Viking - L\'excursion de ce soir est annulée',
+    'email.off.header': 'Mise à jour de votre excursion',
+    'email.off.greeting': 'Bonjour {firstName} !',
+    'email.off.everyone': 'à tous',
+    'email.off.headline': 'L\'excursion aurores boréales de ce soir est annulée.',
+    'email.off.defaultBody': 'Malheureusement, les conditions ne sont pas favorables ce soir et nos chances d\'observer les aurores boréales sont très faibles.',
+    'email.off.offerDates': 'Il nous reste des places le {dates}. Choisissez une date dans le portail de réservation et votre réservation est modifiée immédiatement.',
+    'email.off.letUsKnow': 'Merci de nous dire ce que vous souhaitez faire, reporter ou autre : nous avons besoin d\'une réponse de votre part pour être sûrs que vous avez bien reçu ce message et que vous ne nous attendrez pas ce soir alors que nous ne viendrons pas.',
+    'email.off.instantConfirmation': 'Obtenez une {instant} de votre report ou de votre annulation grâce à notre portail de gestion des réservations ci-dessous. Le traitement des e-mails peut prendre un certain temps.',
+    'email.off.instant': 'confirmation immédiate',
+    'email.off.button': 'Accéder au portail de réservation',
+    'email.off.reference': 'Votre référence de réservation : {code}',
+    'email.off.enterReference': 'Saisissez-la dans le portail de réservation si elle vous est demandée.',
+    'email.off.signoff': 'Bien à vous, et croisons les doigts pour de meilleures conditions.',
+
+    // Tour ON email
+    'email.on.subject': 'Aurora Viking - L\'excursion de ce soir est maintenue ! 🌌',
+    'email.on.header': 'Confirmation de l\'excursion',
+    'email.on.headline': 'L\'EXCURSION A LIEU CE SOIR ! 🌌',
+    'email.on.pickupDetails': 'VOTRE PRISE EN CHARGE',
+    'email.on.beReadyAt': 'Soyez prêts à {time}',
+    'email.on.scheduledTime': 'l\'heure prévue',
+    'email.on.pickupWindow': 'La prise en charge peut durer jusqu\'à une demi-heure et commence à {time}. Vous devez donc être prêts à votre point de prise en charge{place} à {time}, mais si vous n\'êtes pas les premiers, vous devrez peut-être attendre quelques minutes.',
+    'email.on.dontPanic': 'Si le bus n\'est pas là à {time}, <strong>pas de panique</strong> :) Vous n\'êtes probablement pas les premiers et il faudra peut-être attendre quelques minutes avant qu\'il arrive.',
+    'email.on.dressWellTitle': 'HABILLEZ-VOUS CHAUDEMENT.',
+    'email.on.dressWell': 'Si vous avez froid après quelques minutes d\'attente dehors, vous n\'êtes sans doute pas assez couverts pour rester dehors à regarder les aurores boréales. Vous êtes en ICE-land, le pays de la glace : il peut vraiment faire très froid.',
+    'email.on.buses': 'Nos minibus sont blancs avec un logo noir <strong>"AURORA VIKING"</strong> sur le côté. Nous louons parfois d\'autres bus, alors soyez attentifs à l\'appel de votre nom.',
+    'email.on.guideShout': 'Si votre guide ne vous repère pas au point de prise en charge, il sautera peut-être du minibus pour crier votre nom comme un vrai Viking, ce qui sème souvent la panique parmi les personnes qui attendent. <em>Pas d\'inquiétude.</em>',
+    'email.on.missedPickup': 'Si nous ne vous trouvons pas à votre point de prise en charge, nous vous appellerons et vous enverrons un e-mail. Sans réponse de votre part dans les 3 minutes, nous considérerons que vous ne pouvez pas participer à l\'excursion et poursuivrons la prise en charge.',
+    'email.on.bathroom': '<strong>Pensez à passer aux toilettes avant de vous rendre au point de prise en charge.</strong> L\'accès aux toilettes peut être limité pendant l\'excursion.',
+    'email.on.mapsTip': 'Vous trouverez votre point de prise en charge sur Google Maps (écrivez par exemple "Bus stop 1" pour cet arrêt, etc.). Si votre point de prise en charge est Bus stop 8, vous pouvez écrire "Hallgrimstorg" pour l\'emplacement exact. S\'il s\'agit de Bus stop 15 ou Bus stop 17, cherchez "Maritime Museum" sur Google Maps.',
+    'email.on.problems': 'Un problème avec votre prise en charge ?',
+    'email.on.problemsEmail': 'E-mail : {email} (nous répondons rapidement autour de l\'heure de prise en charge)',
+    'email.on.problemsCall': 'Téléphone : {phone}',
+
+    // Tour OFF / ON SMS
+    'sms.off.greeting': 'Bonjour {firstName}, {body}',
+    'sms.off.defaultBody': 'malheureusement, l\'excursion aurores boréales de ce soir est annulée en raison de conditions météo défavorables à l\'observation des aurores.',
+    'sms.off.offerDates': 'Il nous reste des places le {dates}.',
+    'sms.off.portal': 'Reportez ou annulez immédiatement sur notre portail de réservation : {url}',
+    'sms.off.code': 'Votre code de confirmation : {code}',
+    'sms.off.enterCode': 'Saisissez-le sur le portail pour gérer votre réservation.',
+    'sms.off.signature': '— Aurora Viking',
+    'sms.on.headline': 'Bonjour {firstName}, l\'excursion aurores boréales a lieu ce soir ! 🌌',
+    'sms.on.pickup': '📍 Votre prise en charge : {place}',
+    'sms.on.departure': '🕐 Les prises en charge commencent à {time} — le tour de tous les arrêts peut prendre jusqu\'à 30 min, merci de patienter si le bus n\'est pas là tout de suite.',
+    'sms.on.maps': '📍 Voir sur Maps : {url}',
+    'sms.on.signoff': 'Habillez-vous chaudement ! — Aurora Viking',
+
+    // Rebooking offer reminder
+    'rebooking.subject': 'Aurora Viking - Choisissez une nouvelle soirée pour votre excursion',
+    'rebooking.header': 'Votre report',
+    'rebooking.notHeard': 'Votre excursion aurores boréales du {date} a été annulée et nous n\'avons pas encore eu de vos nouvelles.',
+    'rebooking.stillSpace': 'Il nous reste des places le <strong>{dates}</strong>.',
+    'rebooking.pickOrRefund': 'Choisissez une nouvelle soirée ou dites-nous si vous préférez un remboursement. Un simple clic sur le portail de réservation suffit.',
+    'rebooking.button': 'Choisir une nouvelle soirée',
+    'rebooking.signoff': 'Bien cordialement,',
+    'sms.rebooking.reminder': 'Bonjour {firstName}, nous n\'avons pas eu de vos nouvelles au sujet de votre excursion aurores boréales annulée.{nights} Reportez ou demandez un remboursement ici : {url}',
+
+    // Photo email
+    'photo.subject': 'Vos photos de l\'excursion Aurora Viking 📸',
+    'photo.header': 'Vos photos de l\'excursion 📸',
+    'photo.thanks': 'Merci d\'avoir participé ce soir à l\'excursion aurores boréales avec {guide} ! Nous espérons que vous avez passé un moment inoubliable.',
+    'photo.uploading': 'Votre guide va déposer les photos professionnelles de l\'excursion de ce soir dans le dossier ci-dessous. <strong>Les photos peuvent mettre jusqu\'à 48 heures à apparaître</strong>, revenez donc plus tard si le dossier est encore vide.',
+    'photo.button': 'Voir vos photos',
+    'photo.bookmarkTitle': 'Enregistrez ce lien',
+    'photo.bookmark': '{bookmark} — vous pouvez revenir à tout moment pour voir et télécharger vos photos. Les photos peuvent mettre jusqu\'à 48 heures à apparaître dans le dossier.',
+    'photo.review': 'Si vous avez passé un bon moment, nous serions ravis de le savoir ! Un avis sur TripAdvisor ou Google Maps nous aide plus que vous ne l\'imaginez.',
+    'photo.signoff': 'Bien à vous,',
+    'photo.team': 'L\'équipe Aurora Viking',
+
+    // Booking portal
+    'portal.referenceRequired': 'La référence de réservation est obligatoire',
+    'portal.bookingNotFound': 'Réservation introuvable. Veuillez vérifier votre référence de réservation.',
+    'portal.detailsMismatch': 'Les informations fournies ne correspondent pas à nos données. Veuillez vérifier votre nom, votre e-mail et votre référence de réservation.',
+    'portal.tooManyRequests': 'Trop de demandes. Veuillez réessayer dans une minute.',
+    'portal.unavailable': 'Service temporairement indisponible',
+    'portal.otaMessage': 'Cette réservation a été effectuée via {otaName}. Vous pouvez tout de même la reporter ou changer de point de prise en charge ici.',
+    'portal.lookupFailed': 'Impossible de retrouver votre réservation. Veuillez réessayer plus tard.',
+    'portal.selectDate': 'Veuillez choisir une date',
+    'portal.availabilityUnsupported': 'Impossible de vérifier la disponibilité pour ce type de réservation',
+    'portal.available': 'Des places sont disponibles à cette date !',
+    'portal.soldOut': 'Désolé, cette date est complète. Veuillez choisir une autre date.',
+    'portal.availabilityFailed': 'Impossible de vérifier la disponibilité. Veuillez réessayer plus tard.',
+    'portal.selectNewDate': 'Veuillez choisir une nouvelle date',
+    'portal.rescheduled': 'Votre réservation a été reportée au {date}. Vous recevrez une confirmation sous peu.',
+    'portal.rescheduleSubmitted': 'Votre demande de report au {date} a été transmise. Vous recevrez un e-mail de confirmation sous peu.',
+    'portal.rescheduleFailed': 'Impossible de traiter votre demande de report. Veuillez réessayer ou nous contacter à info@auroraviking.com',
+    'portal.cancelled': 'Votre réservation a été annulée. Si vous avez droit à un remboursement, notre équipe vous contactera sous 2 à 3 jours ouvrés.',
+    'portal.cancelFailed': 'Impossible de traiter votre annulation. Veuillez réessayer ou nous contacter à info@auroraviking.com',
+    'portal.productMissing': 'Informations sur le produit manquantes',
+    'portal.pickupPlacesFailed': 'Impossible de charger les points de prise en charge. Veuillez réessayer.',
+    'portal.selectPickup': 'Veuillez choisir un point de prise en charge',
+    'portal.selectedLocation': 'le lieu choisi',
+    'portal.pickupUpdated': 'Votre point de prise en charge a été changé pour {place}. Vous recevrez un e-mail de confirmation sous peu.',
+    'portal.pickupFailed': 'Impossible de modifier votre point de prise en charge. Veuillez réessayer ou nous contacter à info@auroraviking.com',
+    'portal.selectRetryNight': 'Veuillez choisir une nuit pour votre nouvelle tentative gratuite',
+    'portal.retryBooked': 'Votre nouvelle tentative gratuite est réservée pour le {date}. Nous viendrons vous chercher au même endroit que la dernière fois.',
+    'portal.retryMoved': 'Votre nouvelle tentative gratuite a été déplacée du {from} au {date}. Nous viendrons vous chercher au même endroit que la dernière fois.',
+    'portal.retryFailed': 'Impossible de réserver votre nouvelle tentative gratuite. Veuillez réessayer ou nous contacter à info@auroraviking.com',
+
+    // Free retry claims
+    'retry.night_off': 'Les excursions sont annulées cette nuit-là. Veuillez choisir une autre nuit.',
+    'retry.no_seats': 'Désolé, il n\'y a plus de places libres cette nuit-là. Veuillez choisir une autre nuit.',
+    'retry.contact_us': 'Veuillez nous contacter à info@auroraviking.com pour réserver votre nouvelle tentative gratuite.',
+
+    // Booking policy
+    'policy.reschedule.booking_not_active': 'Cette réservation ne peut pas être reportée en raison de son statut actuel.',
+    'policy.reschedule.tour_in_past': 'Cette excursion a déjà eu lieu.',
+    'policy.reschedule.new_date_invalid': 'Veuillez choisir une date future différente de la date actuelle de votre excursion.',
+    'policy.reschedule.weather_cancellation': 'L\'excursion a été annulée par Aurora Viking, elle peut donc être reportée gratuitement.',
+    'policy.reschedule.courtesy_reschedule_final': 'Cette réservation a déjà été reportée à titre commercial, ce qui est définitif. Elle ne peut plus être modifiée.',
+    'policy.reschedule.reschedule_cutoff_24h': 'Votre excursion a lieu dans moins de 24 heures. Des ressources non remboursables ont déjà été allouées à votre réservation. Pour toute modification de dernière minute, écrivez-nous à info@auroraviking.com.',
+    'policy.reschedule.reschedule_window': 'Plus de 24 heures avant le départ.',
+    'policy.cancel.booking_not_active': 'Cette réservation ne peut pas être annulée en raison de son statut actuel.',
+    'policy.cancel.tour_in_past': 'Cette excursion a déjà eu lieu.',
+    'policy.cancel.weather_cancellation': 'L\'excursion a été annulée par Aurora Viking : remboursement intégral ou report gratuit.',
+    'policy.cancel.courtesy_reschedule_final': 'Cette réservation a été reportée à titre commercial, elle n\'est donc pas remboursable.',
+    'policy.cancel.cancel_cutoff_24h': 'Moins de 24 heures avant le départ : la réservation n\'est pas remboursable.',
+    'policy.cancel.ota_refund': 'Réservé via {otaName} : le remboursement passe par {otaName}.',
+    'policy.cancel.cancel_window': 'Plus de 24 heures avant le départ : remboursable.',
+    'policy.change_pickup.booking_not_active': 'Cette réservation ne peut pas être modifiée en raison de son statut actuel.',
+    'policy.change_pickup.tour_in_past': 'Cette excursion a déjà eu lieu.',
+    'policy.change_pickup.pickup_cutoff_2h': 'Le point de prise en charge ne peut plus être modifié moins de 2 heures avant le départ. Veuillez nous écrire à info@auroraviking.com.',
+    'policy.change_pickup.pickup_window': 'Plus de 2 heures avant le départ.',
+    'policy.retry.retry_not_entitled': 'Cette réservation ne donne pas droit à une nouvelle tentative gratuite. Les nouvelles tentatives gratuites sont offertes lorsqu\'aucune aurore boréale n\'a été vue pendant l\'excursion.',
+    'policy.retry.retry_requires_attendance': 'Une nouvelle tentative gratuite nécessite d\'avoir participé à l\'excursion initiale.',
+    'policy.retry.retry_expired': 'La nouvelle tentative gratuite était valable jusqu\'au {validUntil}.',
+    'policy.retry.retry_date_in_past': 'Veuillez choisir une date à partir d\'aujourd\'hui.',
+    'policy.retry.retry_noon_cutoff': 'Les nouvelles tentatives pour ce soir doivent être réservées avant midi. Veuillez choisir une autre nuit.',
+    'policy.retry.retry_window': 'Nouvelle tentative gratuite, sous réserve de disponibilité.',
+};
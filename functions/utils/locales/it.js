@@ -0,0 +1,144 @@
+/**
+ * Italian
+ */
+module.exports = {
+    // Common
+    'common.hi': 'Ciao {firstName},',
+    'common.there': 'a tutti',
+    'common.listSeparator': ', ',
+    'common.orList': '{items} o {last}',
+    'common.notAvailable': 'N/D',
+
+    // Tour OFF email
+    'email.off.subject': 'Aurora Viking - Il tour di stasera è cancellato',
+    'email.off.header': 'Aggiornamento sul tour',
+    'email.off.greeting': 'Ciao {firstName}!',
+    'email.off.everyone': 'a tutti',
+    'email.off.headline': 'Il tour dell\'aurora boreale di stasera è cancellato.',
+    'email.off.defaultBody': 'Purtroppo stasera le condizioni non sono favorevoli e le possibilità di osservare l\'aurora boreale sono molto scarse.',
+    'email.off.offerDates': 'Abbiamo ancora posti il {dates}. Scegli una data nel portale prenotazioni e la tua prenotazione viene spostata subito.',
+    'email.off.letUsKnow': 'Facci sapere cosa vuoi fare, se spostare la data o altro: abbiamo bisogno di una tua risposta per essere sicuri che tu abbia ricevuto questo messaggio e che stasera non ci aspetterai invano.',
+    'email.off.instantConfirmation': 'Ricevi una {instant} dello spostamento o della cancellazione usando il nostro portale di gestione delle prenotazioni qui sotto. Le risposte via e-mail possono richiedere un po\' di tempo.',
+    'email.off.instant': 'conferma immediata',
+    'email.off.button': 'Vai al portale prenotazioni',
+    'email.off.reference': 'Il tuo codice di prenotazione è: {code}',
+    'email.off.enterReference': 'Inseriscilo nel portale prenotazioni se richiesto.',
+    'email.off.signoff': 'Un caro saluto, e incrociamo le dita per condizioni migliori.',
+
+    // Tour ON email
+    'email.on.subject': 'Aurora Viking - Il tour di stasera si fa! 🌌',
+    'email.on.header': 'Conferma del tour',
+    'email.on.headline': 'IL TOUR DI STASERA SI FA! 🌌',
+    'email.on.pickupDetails': 'I DETTAGLI DEL TUO PICKUP',
+    'email.on.beReadyAt': 'Fatti trovare pronto alle {time}',
+    'email.on.scheduledTime': 'l\'orario previsto',
+    'email.on.pickupWindow': 'Il pickup può durare fino a mezz\'ora e inizia alle {time}. Devi quindi essere pronto al tuo punto di ritiro{place} alle {time}, ma se non sei il primo pickup potresti dover aspettare qualche minuto.',
+    'email.on.dontPanic': 'Quindi se il bus non c\'è alle {time} <strong>niente panico</strong> :) Molto probabilmente non sei il primo pickup e potresti dover aspettare qualche minuto.',
+    'email.on.dressWellTitle': 'VESTITI BENE.',
+    'email.on.dressWell': 'Se senti freddo aspettando fuori per qualche minuto, probabilmente non sei vestito abbastanza per stare all\'aperto a guardare l\'aurora boreale. Sei venuto in ICE-land, la terra del ghiaccio: sì, può fare davvero molto freddo.',
+    'email.on.buses': 'I nostri minibus sono bianchi con il logo nero <strong>"AURORA VIKING"</strong> sulla fiancata. A volte noleggiamo altri bus, quindi fai attenzione quando senti chiamare il tuo nome.',
+    'email.on.guideShout': 'Se la tua guida non ti vede al punto di ritiro, potrebbe saltare giù dal minibus e urlare il tuo nome come un vero vichingo, di solito spaventando chi aspetta il proprio pickup. <em>Niente paura.</em>',
+    'email.on.missedPickup': 'Se non ti troviamo al punto di ritiro ti chiameremo e ti manderemo un\'e-mail. Se non rispondi entro 3 minuti, considereremo che non puoi partecipare al tour e proseguiremo con i pickup.',
+    'email.on.bathroom': '<strong>Ricordati di andare in bagno prima di dirigerti al punto di ritiro.</strong> Durante il tour l\'accesso ai servizi può essere limitato.',
+    'email.on.mapsTip': 'Puoi trovare il tuo punto di ritiro su Google Maps (ad esempio scrivi "Bus stop 1" per quella fermata, ecc.). Se il tuo pickup è al Bus stop 8 puoi scrivere "Hallgrimstorg" per la posizione esatta. Se è al Bus stop 15 o al Bus stop 17, cerca "Maritime Museum" su Google Maps.',
+    'email.on.problems': 'Problemi con il pickup?',
+    'email.on.problemsEmail': 'E-mail: {email} (rispondiamo subito intorno all\'orario del pickup)',
+    'email.on.problemsCall': 'Telefono: {phone}',
+
+    // Tour OFF / ON SMS
+    'sms.off.greeting': 'Ciao {firstName}, {body}',
+    'sms.off.defaultBody': 'purtroppo il tour dell\'aurora boreale di stasera è stato cancellato per condizioni meteo sfavorevoli all\'osservazione dell\'aurora.',
+    'sms.off.offerDates': 'Abbiamo ancora posti il {dates}.',
+    'sms.off.portal': 'Sposta o cancella subito dal nostro portale prenotazioni: {url}',
+    'sms.off.code': 'Il tuo codice di conferma: {code}',
+    'sms.off.enterCode': 'Inseriscilo nel portale per gestire la tua prenotazione.',
+    'sms.off.signature': '— Aurora Viking',
+    'sms.on.headline': 'Ciao {firstName}, il tour dell\'aurora boreale di stasera si fa! 🌌',
+    'sms.on.pickup': '📍 Il tuo pickup: {place}',
+    'sms.on.departure': '🕐 I pickup iniziano alle {time} — per raggiungere tutte le fermate possono servire fino a 30 min, quindi abbi pazienza se il bus non arriva subito.',
+    'sms.on.maps': '📍 Trovalo su Maps: {url}',
+    'sms.on.signoff': 'Vestiti pesante! — Aurora Viking',
+
+    // Rebooking offer reminder
+    'rebooking.subject': 'Aurora Viking - Scegli una nuova serata per il tuo tour',
+    'rebooking.header': 'Il tuo cambio di data',
+    'rebooking.notHeard': 'Il tuo tour dell\'aurora boreale del {date} è stato cancellato e non abbiamo ancora tue notizie.',
+    'rebooking.stillSpace': 'Abbiamo ancora posti il <strong>{dates}</strong>.',
+    'rebooking.pickOrRefund': 'Scegli una nuova serata o facci sapere se preferisci un rimborso. Basta un clic nel portale prenotazioni.',
+    'rebooking.button': 'Scegli una nuova serata',
+    'rebooking.signoff': 'A presto,',
+    'sms.rebooking.reminder': 'Ciao {firstName}, non abbiamo ancora tue notizie sul tour dell\'aurora boreale cancellato.{nights} Cambia data o chiedi un rimborso qui: {url}',
+
+    // Photo email
+    'photo.subject': 'Le foto del tuo tour con Aurora Viking 📸',
+    'photo.header': 'Le foto del tuo tour 📸',
+    'photo.thanks': 'Grazie per aver partecipato stasera al tour dell\'aurora boreale con {guide}! Speriamo che sia stata un\'esperienza fantastica.',
+    'photo.uploading': 'La tua guida caricherà le foto professionali del tour di stasera nella cartella qui sotto. <strong>Le foto possono impiegare fino a 48 ore per comparire</strong>, quindi ricontrolla se la cartella è ancora vuota.',
+    'photo.button': 'Guarda le tue foto',
+    'photo.bookmarkTitle': 'Salva questo link',
+    'photo.bookmark': '{bookmark} — puoi tornare quando vuoi per vedere e scaricare le tue foto. Le foto possono impiegare fino a 48 ore per comparire nella cartella.',
+    'photo.review': 'Se ti sei divertito, ci farebbe piacere saperlo! Una recensione su TripAdvisor o Google Maps ci aiuta più di quanto immagini.',
+    'photo.signoff': 'Un caro saluto,',
+    'photo.team': 'Il team di Aurora Viking',
+
+    // Booking portal
+    'portal.referenceRequired': 'Il codice di prenotazione è obbligatorio',
+    'portal.bookingNotFound': 'Prenotazione non trovata. Controlla il codice di prenotazione.',
+    'portal.detailsMismatch': 'I dati forniti non corrispondono ai nostri. Controlla nome, e-mail e codice di prenotazione.',
+    'portal.tooManyRequests': 'Troppe richieste. Riprova tra un minuto.',
+    'portal.unavailable': 'Servizio temporaneamente non disponibile',
+    'portal.otaMessage': 'Questa prenotazione è stata effettuata tramite {otaName}. Puoi comunque spostarla o cambiare il punto di ritiro qui.',
+    'portal.lookupFailed': 'Impossibile trovare la tua prenotazione. Riprova più tardi.',
+    'portal.selectDate': 'Seleziona una data',
+    'portal.availabilityUnsupported': 'Impossibile verificare la disponibilità per questo tipo di prenotazione',
+    'portal.available': 'Disponibilità confermata per questa data!',
+    'portal.soldOut': 'Spiacenti, questa data è al completo. Prova un\'altra data.',
+    'portal.availabilityFailed': 'Impossibile verificare la disponibilità. Riprova più tardi.',
+    'portal.selectNewDate': 'Seleziona una nuova data',
+    'portal.rescheduled': 'La tua prenotazione è stata spostata al {date}. Riceverai a breve una conferma.',
+    'portal.rescheduleSubmitted': 'La tua richiesta di spostamento al {date} è stata inviata. Riceverai a breve un\'e-mail di conferma.',
+    'portal.rescheduleFailed': 'Impossibile elaborare la richiesta di spostamento. Riprova o contattaci a info@auroraviking.com',
+    'portal.cancelled': 'La tua prenotazione è stata cancellata. Se hai diritto a un rimborso, il nostro team ti contatterà entro 2-3 giorni lavorativi.',
+    'portal.cancelFailed': 'Impossibile elaborare la cancellazione. Riprova o contattaci a info@auroraviking.com',
+    'portal.productMissing': 'Informazioni sul prodotto mancanti',
+    'portal.pickupPlacesFailed': 'Impossibile caricare i punti di ritiro. Riprova.',
+    'portal.selectPickup': 'Seleziona un punto di ritiro',
+    'portal.selectedLocation': 'il luogo selezionato',
+    'portal.pickupUpdated': 'Il tuo punto di ritiro è stato cambiato in {place}. Riceverai a breve un\'e-mail di conferma.',
+    'portal.pickupFailed': 'Impossibile cambiare il punto di ritiro. Riprova o contattaci a info@auroraviking.com',
+    'portal.selectRetryNight': 'Seleziona una notte per il tuo nuovo tentativo gratuito',
+    'portal.retryBooked': 'Il tuo nuovo tentativo gratuito è prenotato per il {date}. Ti verremo a prendere nello stesso posto dell\'ultima volta.',
+    'portal.retryMoved': 'Il tuo nuovo tentativo gratuito è stato spostato dal {from} al {date}. Ti verremo a prendere nello stesso posto dell\'ultima volta.',
+    'portal.retryFailed': 'Impossibile prenotare il tuo nuovo tentativo gratuito. Riprova o contattaci a info@auroraviking.com',
+
+    // Free retry claims
+    'retry.night_off': 'I tour di quella notte sono cancellati. Scegli un\'altra notte.',
+    'retry.no_seats': 'Spiacenti, non ci sono più posti liberi quella notte. Prova un\'altra notte.',
+    'retry.contact_us': 'Contattaci a info@auroraviking.com per prenotare il tuo nuovo tentativo gratuito.',
+
+    // Booking policy
+    'policy.reschedule.booking_not_active': 'Questa prenotazione non può essere spostata a causa del suo stato attuale.',
+    'policy.reschedule.tour_in_past': 'Questo tour si è già svolto.',
+    'policy.reschedule.new_date_invalid': 'Scegli una data futura diversa da quella attuale del tuo tour.',
+    'policy.reschedule.weather_cancellation': 'Il tour è stato cancellato da Aurora Viking, quindi può essere spostato gratuitamente.',
+    'policy.reschedule.courtesy_reschedule_final': 'Questa prenotazione è già stata spostata per cortesia, in via definitiva. Non può essere modificata di nuovo.',
+    'policy.reschedule.reschedule_cutoff_24h': 'Il tuo tour è tra meno di 24 ore. Sono già state assegnate risorse non rimborsabili alla tua prenotazione. Per modifiche dell\'ultimo minuto scrivici a info@auroraviking.com.',
+    'policy.reschedule.reschedule_window': 'Più di 24 ore prima della partenza.',
+    'policy.cancel.booking_not_active': 'Questa prenotazione non può essere cancellata a causa del suo stato attuale.',
+    'policy.cancel.tour_in_past': 'Questo tour si è già svolto.',
+    'policy.cancel.weather_cancellation': 'Il tour è stato cancellato da Aurora Viking: rimborso completo o nuova data gratuita.',
+    'policy.cancel.courtesy_reschedule_final': 'Questa prenotazione è stata spostata per cortesia, quindi non è rimborsabile.',
+    'policy.cancel.cancel_cutoff_24h': 'Meno di 24 ore prima della partenza: la prenotazione non è rimborsabile.',
+    'policy.cancel.ota_refund': 'Prenotato tramite {otaName}: il rimborso passa da {otaName}.',
+    'policy.cancel.cancel_window': 'Più di 24 ore prima della partenza: rimborsabile.',
+    'policy.change_pickup.booking_not_active': 'Questa prenotazione non può essere modificata a causa del suo stato attuale.',
+    'policy.change_pickup.tour_in_past': 'Questo tour si è già svolto.',
+    'policy.change_pickup.pickup_cutoff_2h': 'Il punto di ritiro non può essere cambiato nelle 2 ore prima della partenza. Scrivici a info@auroraviking.com.',
+    'policy.change_pickup.pickup_window': 'Più di 2 ore prima della partenza.',
+    'policy.retry.retry_not_entitled': 'Questa prenotazione non ha un nuovo tentativo gratuito. I nuovi tentativi gratuiti vengono offerti quando durante il tour non si vede l\'aurora boreale.',
+    'policy.retry.retry_requires_attendance': 'Per un nuovo tentativo gratuito è necessario aver partecipato al tour originale.',
+    'policy.retry.retry_expired': 'Il nuovo tentativo gratuito era valido fino al {validUntil}.',
+    'policy.retry.retry_date_in_past': 'Scegli una data a partire da oggi.',
+    'policy.retry.retry_noon_cutoff': 'I nuovi tentativi per stasera vanno prenotati entro mezzogiorno. Scegli un\'altra notte.',
+    'policy.retry.retry_window': 'Nuovo tentativo gratuito, salvo disponibilità.',
+};
@@ -0,0 +1,144 @@
+/**
+ * Chinese (Simplified)
+ */
+module.exports = {
+    // Common
+    'common.hi': '{firstName}您好，',
+    'common.there': '',
+    'common.listSeparator': '、',
+    'common.orList': '{items}或{last}',
+    'common.notAvailable': '无',
+
+    // Tour OFF email
+    'email.off.subject': 'Aurora Viking - 今晚的行程已取消',
+    'email.off.header': '行程状态更新',
+    'email.off.greeting': '{firstName}您好！',
+    'email.off.everyone': '',
+    'email.off.headline': '今晚的北极光行程已取消。',
+    'email.off.defaultBody': '很遗憾，今晚的天气条件不理想，看到北极光的机会非常渺茫。',
+    'email.off.offerDates': '{dates}还有空位。在预订门户中选择一个日期，即可立即完成改期。',
+    'email.off.letUsKnow': '请告诉我们您的打算，无论是改期还是其他安排，我们都需要收到您的回复，以确认您已收到此消息，不会在今晚等待我们前来接您。',
+    'email.off.instantConfirmation': '使用下方的预订管理门户改期或取消，即可获得{instant}。电子邮件处理可能需要一些时间。',
+    'email.off.instant': '即时确认',
+    'email.off.button': '前往预订门户',
+    'email.off.reference': '您的预订编号：{code}',
+    'email.off.enterReference': '如有提示，请在预订门户中输入该编号。',
+    'email.off.signoff': '祝一切顺利，期待下次有更好的天气。',
+
+    // Tour ON email
+    'email.on.subject': 'Aurora Viking - 今晚的行程照常进行！🌌',
+    'email.on.header': '行程确认',
+    'email.on.headline': '今晚行程照常进行！🌌',
+    'email.on.pickupDetails': '您的接送信息',
+    'email.on.beReadyAt': '请于{time}做好准备',
+    'email.on.scheduledTime': '预定时间',
+    'email.on.pickupWindow': '接送最长可持续半小时，从{time}开始。也就是说，您需要在{time}于接送地点{place}做好准备；如果您不是第一位被接的客人，可能需要等待几分钟。',
+    'email.on.dontPanic': '所以如果{time}时巴士还没到，<strong>请不要着急</strong> :) 很可能您不是第一位被接的客人，需要稍等几分钟。',
+    'email.on.dressWellTitle': '请穿暖和。',
+    'email.on.dressWell': '如果在户外等几分钟就觉得冷，说明您的衣着可能不足以在户外观赏北极光。您来到的是冰岛（ICE-land），这里真的会非常冷。',
+    'email.on.buses': '我们的小巴为白色，侧面印有黑色的<strong>"AURORA VIKING"</strong>标志。我们有时也会租用其他巴士，请留意是否有人呼叫您的名字。',
+    'email.on.guideShout': '如果导游在接送地点没有看到您，他可能会跳下小巴，像真正的维京人一样大声呼喊您的名字，这常常会吓到其他等车的人。<em>请不要惊慌。</em>',
+    'email.on.missedPickup': '如果我们在接送地点找不到您，会给您打电话并发送电子邮件。如果您在3分钟内没有回复或接听，我们将视为您无法参加本次行程，并继续接送其他客人。',
+    'email.on.bathroom': '<strong>前往接送地点之前请先上好洗手间。</strong>行程中使用洗手间的机会可能有限。',
+    'email.on.mapsTip': '您可以在 Google 地图上找到接送地点（例如输入"Bus stop 1"查找该站点等）。如果您的接送地点是 Bus stop 8，可以输入"Hallgrimstorg"查找准确位置。如果是 Bus stop 15 或 Bus stop 17，请在 Google 地图上搜索"Maritime Museum"。',
+    'email.on.problems': '接送遇到问题？',
+    'email.on.problemsEmail': '电子邮件：{email}（接送时间前后我们会及时回复）',
+    'email.on.problemsCall': '电话：{phone}',
+
+    // Tour OFF / ON SMS
+    'sms.off.greeting': '{firstName}您好，{body}',
+    'sms.off.defaultBody': '很遗憾，由于天气条件不利于观测极光，今晚的北极光行程已取消。',
+    'sms.off.offerDates': '{dates}还有空位。',
+    'sms.off.portal': '通过预订门户即时改期或取消：{url}',
+    'sms.off.code': '您的确认码：{code}',
+    'sms.off.enterCode': '在门户中输入该确认码即可管理您的预订。',
+    'sms.off.signature': '— Aurora Viking',
+    'sms.on.headline': '{firstName}您好，今晚的北极光行程照常进行！🌌',
+    'sms.on.pickup': '📍 您的接送地点：{place}',
+    'sms.on.departure': '🕐 接送从{time}开始 — 接完所有站点最多可能需要30分钟，如果巴士没有马上到达，请耐心等待。',
+    'sms.on.maps': '📍 在地图上查看：{url}',
+    'sms.on.signoff': '请穿暖和！— Aurora Viking',
+
+    // Rebooking offer reminder
+    'rebooking.subject': 'Aurora Viking - 请为您的行程选择新的日期',
+    'rebooking.header': '您的改期',
+    'rebooking.notHeard': '您在 {date} 的北极光之旅已取消，我们还没有收到您的回复。',
+    'rebooking.stillSpace': '我们在 <strong>{dates}</strong> 仍有空位。',
+    'rebooking.pickOrRefund': '请选择新的日期，或告诉我们您希望退款。在预订门户中点一下即可。',
+    'rebooking.button': '选择新的日期',
+    'rebooking.signoff': '祝好，',
+    'sms.rebooking.reminder': '{firstName}，您好！关于您已取消的北极光之旅，我们还没有收到您的回复。{nights}点此改期或申请退款：{url}',
+
+    // Photo email
+    'photo.subject': '您的 Aurora Viking 行程照片 📸',
+    'photo.header': '您的行程照片 📸',
+    'photo.thanks': '感谢您今晚与{guide}一起参加北极光行程！希望您度过了一段美妙的时光。',
+    'photo.uploading': '导游会将今晚行程的专业照片上传到下方的文件夹。<strong>照片最多可能需要48小时才会出现</strong>，如果文件夹仍是空的，请稍后再来查看。',
+    'photo.button': '查看您的照片',
+    'photo.bookmarkTitle': '请收藏此链接',
+    'photo.bookmark': '{bookmark} — 您可以随时回来查看和下载照片。照片最多可能需要48小时才会出现在文件夹中。',
+    'photo.review': '如果您玩得开心，我们很想听听您的感受！在 TripAdvisor 或 Google 地图上留下评价，对我们的帮助超乎您的想象。',
+    'photo.signoff': '祝一切顺利，',
+    'photo.team': 'Aurora Viking 团队',
+
+    // Booking portal
+    'portal.referenceRequired': '请输入预订编号',
+    'portal.bookingNotFound': '未找到预订。请检查您的预订编号。',
+    'portal.detailsMismatch': '您提供的信息与我们的记录不符。请检查您的姓名、电子邮件和预订编号。',
+    'portal.tooManyRequests': '请求过于频繁。请一分钟后再试。',
+    'portal.unavailable': '服务暂时不可用',
+    'portal.otaMessage': '此预订是通过{otaName}完成的。您仍可以在此改期或更改接送地点。',
+    'portal.lookupFailed': '无法查询您的预订。请稍后再试。',
+    'portal.selectDate': '请选择日期',
+    'portal.availabilityUnsupported': '无法查询此类预订的空位情况',
+    'portal.available': '该日期有空位！',
+    'portal.soldOut': '抱歉，该日期已满。请选择其他日期。',
+    'portal.availabilityFailed': '无法查询空位情况。请稍后再试。',
+    'portal.selectNewDate': '请选择新日期',
+    'portal.rescheduled': '您的预订已改期至{date}。您很快会收到确认。',
+    'portal.rescheduleSubmitted': '您改期至{date}的申请已提交。您很快会收到确认邮件。',
+    'portal.rescheduleFailed': '无法处理您的改期申请。请重试或通过 info@auroraviking.com 联系我们',
+    'portal.cancelled': '您的预订已取消。如果您符合退款条件，我们的团队将在2-3个工作日内与您联系。',
+    'portal.cancelFailed': '无法处理您的取消申请。请重试或通过 info@auroraviking.com 联系我们',
+    'portal.productMissing': '缺少产品信息',
+    'portal.pickupPlacesFailed': '无法加载接送地点。请重试。',
+    'portal.selectPickup': '请选择接送地点',
+    'portal.selectedLocation': '所选地点',
+    'portal.pickupUpdated': '您的接送地点已更改为{place}。您很快会收到确认邮件。',
+    'portal.pickupFailed': '无法更改您的接送地点。请重试或通过 info@auroraviking.com 联系我们',
+    'portal.selectRetryNight': '请为您的免费重游选择一个晚上',
+    'portal.retryBooked': '您的免费重游已预订在{date}。我们会在与上次相同的地点接您。',
+    'portal.retryMoved': '您的免费重游已从{from}改至{date}。我们会在与上次相同的地点接您。',
+    'portal.retryFailed': '无法预订您的免费重游。请重试或通过 info@auroraviking.com 联系我们',
+
+    // Free retry claims
+    'retry.night_off': '当晚的行程已取消。请选择其他晚上。',
+    'retry.no_seats': '抱歉，当晚已没有空位。请选择其他晚上。',
+    'retry.contact_us': '请通过 info@auroraviking.com 联系我们预订免费重游。',
+
+    // Booking policy
+    'policy.reschedule.booking_not_active': '由于此预订的当前状态，无法改期。',
+    'policy.reschedule.tour_in_past': '此行程已经结束。',
+    'policy.reschedule.new_date_invalid': '请选择当前行程日期以外的未来日期。',
+    'policy.reschedule.weather_cancellation': '该行程由 Aurora Viking 取消，因此可以免费改期。',
+    'policy.reschedule.courtesy_reschedule_final': '此预订已作为特殊照顾改期一次，该改期为最终安排，无法再次更改。',
+    'policy.reschedule.reschedule_cutoff_24h': '距离您的行程不足24小时，我们已为您的预订安排了不可退款的资源。如需临时更改，请发送邮件至 info@auroraviking.com。',
+    'policy.reschedule.reschedule_window': '距出发超过24小时。',
+    'policy.cancel.booking_not_active': '由于此预订的当前状态，无法取消。',
+    'policy.cancel.tour_in_past': '此行程已经结束。',
+    'policy.cancel.weather_cancellation': '该行程由 Aurora Viking 取消：可全额退款或免费改期。',
+    'policy.cancel.courtesy_reschedule_final': '此预订已作为特殊照顾改期，因此不可退款。',
+    'policy.cancel.cancel_cutoff_24h': '距出发不足24小时：此预订不可退款。',
+    'policy.cancel.ota_refund': '通过{otaName}预订：退款需通过{otaName}办理。',
+    'policy.cancel.cancel_window': '距出发超过24小时：可退款。',
+    'policy.change_pickup.booking_not_active': '由于此预订的当前状态，无法更改。',
+    'policy.change_pickup.tour_in_past': '此行程已经结束。',
+    'policy.change_pickup.pickup_cutoff_2h': '出发前2小时内无法更改接送地点。请发送邮件至 info@auroraviking.com。',
+    'policy.change_pickup.pickup_window': '距出发超过2小时。',
+    'policy.retry.retry_not_entitled': '此预订没有免费重游资格。只有在行程中未看到北极光时才会提供免费重游。',
+    'policy.retry.retry_requires_attendance': '免费重游需要您参加过原定行程。',
+    'policy.retry.retry_expired': '免费重游的有效期至{validUntil}。',
+    'policy.retry.retry_date_in_past': '请选择今天或之后的日期。',
+    'policy.retry.retry_noon_cutoff': '今晚的重游须在中午12:00前预订。请选择其他晚上。',
+    'policy.retry.retry_window': '免费重游，视空位情况而定。',
+};
@@ -74,6 +74,32 @@ async function sendNotificationToAdminsOnly(title, body, data = {}) {
     }
 }
 
+/**
+ * Send notification to a single user (e.g. the guide whose route changed)
+ */
+async function sendNotificationToUser(userId, title, body, data = {}) {
+    try {
+        const userDoc = await db.collection('users').doc(userId).get();
+        if (!userDoc.exists) {
+            console.log(`⚠️ User ${userId} not found for notification`);
+            return { success: false, message: 'User not found' };
+        }
+
+        const userData = userDoc.data();
+        if (!userData.fcmToken) {
+            console.log(`⚠️ No FCM token for user ${userId}`);
+            return { success: false, message: 'No FCM token for user' };
+        }
+
+        return await sendPushNotifications(
+            [userData.fcmToken], title, body, data, [userData.fullName || userData.email || userId]
+        );
+    } catch (error) {
+        console.error(`❌ Error sending notification to user ${userId}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Send push notification to all users
  */
@@ -216,6 +242,7 @@ function getAuroraEmoji(level) {
 module.exports = {
     sendNotificationToAdminsOnly,
     sendNotificationToAdmins,
+    sendNotificationToUser,
     sendPushNotifications,
     getGoogleMapsLink,
     getAuroraEmoji,
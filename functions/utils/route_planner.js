@@ -0,0 +1,602 @@
+/**
+ * Route Planner
+ * Pure routing logic for pickup distribution (no Firestore access)
+ *
+ * Splits a night's bookings into capacity-limited, geographically coherent
+ * routes using a sweep around the Reykjavik depot, keeps the harbour/cruise
+ * port stop first on its route and estimates a pickup time for every stop.
+ */
+
+// Reykjavik city centre (Lækjartorg) - sweep origin for clustering
+const DEPOT = { latitude: 64.1475, longitude: -21.9345 };
+
+// Seats assumed for a bus whose `buses` doc has no seat count (and for a
+// guide without a bus). Routes planned on it are flagged seatsKnown: false.
+const DEFAULT_BUS_SEATS = 19;
+
+// Seats kept free on every bus for the guide
+const GUIDE_SEATS = 1;
+
+// Driving assumptions for stop ETAs
+const CITY_SPEED_KMH = 25;
+const ROAD_FACTOR = 1.3;
+const DWELL_MINUTES = 3;
+
+const HARBOUR_PATTERN = /skarfabakki|harbou?r|cruise/i;
+
+/**
+ * Passenger count for a booking (supports Bokun and cached_bookings fields)
+ */
+function getBookingPax(booking) {
+    return booking.totalParticipants || booking.numberOfGuests || 0;
+}
+
+/**
+ * Normalised pickup place key used for grouping and coordinate lookup
+ */
+function getPlaceKey(name) {
+    return (name || 'Unknown').trim().toLowerCase();
+}
+
+/**
+ * Parse a pickup time ('HH:MM' or ISO string) into minutes since midnight
+ * @returns {number|null}
+ */
+function parsePickupMinutes(pickupTime) {
+    if (!pickupTime || typeof pickupTime !== 'string') return null;
+    if (/^\d{1,2}:\d{2}/.test(pickupTime)) {
+        const parts = pickupTime.split(':');
+        return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+    }
+    const d = new Date(pickupTime);
+    if (isNaN(d.getTime())) return null;
+    // Iceland is UTC+0 all year, so UTC hours are local hours
+    return d.getUTCHours() * 60 + d.getUTCMinutes();
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ */
+function formatMinutes(minutes) {
+    const m = ((Math.round(minutes) % 1440) + 1440) % 1440;
+    return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Great-circle distance in km between two { latitude, longitude } points
+ */
+function haversineKm(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Estimated driving minutes between two stops
+ */
+function travelMinutes(a, b) {
+    if (!hasCoords(a) || !hasCoords(b)) return DWELL_MINUTES;
+    return (haversineKm(a, b) * ROAD_FACTOR / CITY_SPEED_KMH) * 60;
+}
+
+function hasCoords(point) {
+    return point && typeof point.latitude === 'number' && typeof point.longitude === 'number';
+}
+
+/**
+ * Seat count recorded on a bus doc, or null when it has none
+ */
+function getBusSeats(bus) {
+    const seats = Number(bus ? (bus.seats ?? bus.seatCount ?? bus.capacity) : null);
+    return Number.isFinite(seats) && seats > 0 ? seats : null;
+}
+
+/**
+ * Passenger capacity for a bus doc (seats minus the guide seat)
+ */
+function getBusCapacity(bus) {
+    const seats = getBusSeats(bus) ?? DEFAULT_BUS_SEATS;
+    return Math.max(0, seats - GUIDE_SEATS);
+}
+
+/**
+ * Whether a booking is for a private tour (never shares a bus)
+ */
+function isPrivateBooking(booking) {
+    return booking.isPrivateTour === true || /private/i.test(booking.productTitle || '');
+}
+
+/**
+ * Departure key for a booking: one per Bokun product + start time,
+ * and one per booking for private tours.
+ */
+function getDepartureKey(booking) {
+    if (isPrivateBooking(booking)) {
+        return `private_${booking.id || booking.bookingId}`;
+    }
+    const product = booking.productId || 'product';
+    const start = booking.startTimeId || booking.departureTime || 'default';
+    return `${product}_${start}`;
+}
+
+/**
+ * Split a night's bookings into departures, ordered by earliest pickup.
+ * @returns {Array} [{ key, label, productId, startTimeId, departureTime,
+ *     isPrivate, bookings, totalPassengers, earliestPickupMinutes }]
+ */
+function groupDepartures(bookings) {
+    const departures = {};
+    for (const booking of bookings) {
+        const key = getDepartureKey(booking);
+        if (!departures[key]) {
+            const isPrivate = isPrivateBooking(booking);
+            const title = booking.productTitle || 'Tour';
+            departures[key] = {
+                key,
+                label: `${title}${booking.departureTime ? ` ${booking.departureTime}` : ''}${isPrivate ? ` (private: ${booking.customerFullName || booking.confirmationCode || ''})` : ''}`,
+                productId: booking.productId || null,
+                startTimeId: booking.startTimeId || null,
+                departureTime: booking.departureTime || null,
+                isPrivate,
+                bookings: [],
+                totalPassengers: 0,
+                earliestPickupMinutes: null,
+            };
+        }
+        const departure = departures[key];
+        departure.bookings.push(booking);
+        departure.totalPassengers += getBookingPax(booking);
+        const minutes = parsePickupMinutes(booking.pickupTime);
+        if (minutes !== null && (departure.earliestPickupMinutes === null || minutes < departure.earliestPickupMinutes)) {
+            departure.earliestPickupMinutes = minutes;
+        }
+    }
+
+    return Object.values(departures).sort((a, b) =>
+        (a.earliestPickupMinutes ?? Infinity) - (b.earliestPickupMinutes ?? Infinity) ||
+        a.key.localeCompare(b.key)
+    );
+}
+
+/**
+ * Pair guides with buses by priority order.
+ * Guides without a bus, and buses without a seat count, get the default
+ * capacity with seatsKnown: false.
+ */
+function buildVehicles(guides, buses) {
+    return guides.map((guide, i) => {
+        const bus = buses[i] || null;
+        return {
+            guideId: guide.guideId,
+            guideName: guide.guideName,
+            busId: bus ? bus.id : null,
+            busName: bus ? (bus.name || 'Unknown Bus') : null,
+            capacity: getBusCapacity(bus),
+            seatsKnown: getBusSeats(bus) !== null,
+        };
+    });
+}
+
+/**
+ * Group bookings into stops with coordinates and the earliest booked pickup time.
+ * @param {Array} bookings
+ * @param {Object} places - map of place key → { latitude, longitude, isHarbour }
+ */
+function buildStops(bookings, places = {}) {
+    const stops = {};
+    for (const booking of bookings) {
+        const name = booking.pickupPlaceName || booking.pickupLocation || 'Unknown';
+        const key = getPlaceKey(name);
+        if (!stops[key]) {
+            const place = places[key] || {};
+            stops[key] = {
+                key,
+                name: name.trim(),
+                latitude: place.latitude,
+                longitude: place.longitude,
+                isHarbour: place.isHarbour === true || HARBOUR_PATTERN.test(name),
+                bookings: [],
+                passengers: 0,
+                scheduledMinutes: null,
+            };
+        }
+        const stop = stops[key];
+        stop.bookings.push(booking);
+        stop.passengers += getBookingPax(booking);
+        const minutes = parsePickupMinutes(booking.pickupTime);
+        if (minutes !== null && (stop.scheduledMinutes === null || minutes < stop.scheduledMinutes)) {
+            stop.scheduledMinutes = minutes;
+        }
+    }
+    return Object.values(stops);
+}
+
+/**
+ * Order stops by sweep angle around the depot, starting after the widest
+ * angular gap so that neighbouring stops land on the same route.
+ */
+function sweepOrder(stops) {
+    const located = stops.filter(hasCoords).map(stop => ({
+        stop,
+        angle: Math.atan2(stop.latitude - DEPOT.latitude, (stop.longitude - DEPOT.longitude) * Math.cos(DEPOT.latitude * Math.PI / 180)),
+    }));
+    located.sort((a, b) => a.angle - b.angle);
+
+    let startIndex = 0;
+    let widestGap = -1;
+    for (let i = 0; i < located.length; i++) {
+        const prev = located[(i - 1 + located.length) % located.length].angle;
+        const gap = (located[i].angle - prev + 2 * Math.PI) % (2 * Math.PI) || 2 * Math.PI;
+        if (gap > widestGap) {
+            widestGap = gap;
+            startIndex = i;
+        }
+    }
+
+    return [...located.slice(startIndex), ...located.slice(0, startIndex)].map(l => l.stop);
+}
+
+/**
+ * Order stops within a route: harbour first, then nearest neighbour
+ * starting from the stop farthest from the depot (ends near the city exit).
+ */
+function orderRouteStops(stops) {
+    const remaining = [...stops];
+    const ordered = [];
+
+    const takeAt = (index) => ordered.push(remaining.splice(index, 1)[0]);
+
+    const harbourIndex = remaining.findIndex(s => s.isHarbour);
+    if (harbourIndex >= 0) {
+        takeAt(harbourIndex);
+    } else if (remaining.length > 0) {
+        let farthest = 0;
+        let farthestKm = -1;
+        remaining.forEach((s, i) => {
+            const km = hasCoords(s) ? haversineKm(DEPOT, s) : -1;
+            if (km > farthestKm) {
+                farthestKm = km;
+                farthest = i;
+            }
+        });
+        takeAt(farthest);
+    }
+
+    while (remaining.length > 0) {
+        const last = ordered[ordered.length - 1];
+        let nearest = 0;
+        let nearestKm = Infinity;
+        remaining.forEach((s, i) => {
+            const km = hasCoords(last) && hasCoords(s) ? haversineKm(last, s) : Infinity;
+            if (km < nearestKm) {
+                nearestKm = km;
+                nearest = i;
+            }
+        });
+        takeAt(nearest);
+    }
+
+    return ordered;
+}
+
+/**
+ * Estimate pickup time per stop. A route starts at its first stop's booked
+ * time and never arrives at a stop before the time the guests were given.
+ */
+function estimateStopTimes(orderedStops) {
+    let clock = null;
+    let prev = null;
+    return orderedStops.map((stop, index) => {
+        if (clock === null) {
+            clock = stop.scheduledMinutes;
+        } else {
+            clock += DWELL_MINUTES + travelMinutes(prev, stop);
+            if (stop.scheduledMinutes !== null && clock < stop.scheduledMinutes) {
+                clock = stop.scheduledMinutes;
+            }
+        }
+        prev = stop;
+        return {
+            ...stop,
+            stopOrder: index + 1,
+            estimatedMinutes: clock === null ? null : Math.round(clock),
+            estimatedPickupTime: clock === null ? null : formatMinutes(clock),
+        };
+    });
+}
+
+/**
+ * Plan routes for a set of bookings.
+ *
+ * @param {Array} bookings - cached_bookings entries
+ * @param {Array} vehicles - from buildVehicles(), in priority order
+ * @param {Object} places - pickup place coordinates keyed by getPlaceKey()
+ * @returns {{ routes: Array, overCapacity: Array, unknownCapacity: Array }}
+ *   unknownCapacity lists the routes planned on the default seat count
+ */
+function planRoutes(bookings, vehicles, places = {}) {
+    const routes = vehicles.map(vehicle => ({ ...vehicle, stops: [], totalPassengers: 0 }));
+    const unknownCapacity = routes
+        .filter(route => route.seatsKnown === false)
+        .map(route => ({ guideId: route.guideId, busId: route.busId, busName: route.busName, capacity: route.capacity }));
+    if (routes.length === 0 || bookings.length === 0) {
+        return { routes, overCapacity: [], unknownCapacity };
+    }
+
+    const stops = buildStops(bookings, places);
+    const totalPax = stops.reduce((s, stop) => s + stop.passengers, 0);
+    const swept = sweepOrder(stops);
+    const unlocated = stops.filter(s => !hasCoords(s));
+
+    // Fill routes along the sweep, aiming for an even passenger split
+    let routeIndex = 0;
+    let remainingPax = totalPax;
+    const overflow = [];
+    for (const stop of swept) {
+        while (routeIndex < routes.length) {
+            const route = routes[routeIndex];
+            const routesLeft = routes.length - routeIndex;
+            const target = Math.min(route.capacity, Math.ceil((remainingPax + route.totalPassengers) / routesLeft));
+            const fits = route.totalPassengers + stop.passengers <= route.capacity;
+            if (fits && (route.totalPassengers < target || route.stops.length === 0)) break;
+            routeIndex++;
+        }
+        if (routeIndex >= routes.length) {
+            overflow.push(stop);
+            continue;
+        }
+        routes[routeIndex].stops.push(stop);
+        routes[routeIndex].totalPassengers += stop.passengers;
+        remainingPax -= stop.passengers;
+    }
+
+    // Stops without coordinates (and sweep overflow) go where there is most room
+    for (const stop of [...overflow, ...unlocated]) {
+        let best = routes[0];
+        for (const route of routes) {
+            if (route.capacity - route.totalPassengers > best.capacity - best.totalPassengers) best = route;
+        }
+        best.stops.push(stop);
+        best.totalPassengers += stop.passengers;
+    }
+
+    const overCapacity = [];
+    for (const route of routes) {
+        route.stops = estimateStopTimes(orderRouteStops(route.stops));
+        if (route.totalPassengers > route.capacity) {
+            overCapacity.push({
+                guideId: route.guideId,
+                busId: route.busId,
+                passengers: route.totalPassengers,
+                capacity: route.capacity,
+            });
+        }
+    }
+
+    return { routes, overCapacity, unknownCapacity };
+}
+
+// ============================================
+// RECONCILIATION (late changes after dispatch)
+// ============================================
+
+/**
+ * Compare two cached_bookings lists by id and passenger count.
+ * Only bookings whose status turned CANCELLED count as removed. Live
+ * bookings that are simply absent from `after` are listed in `missing`:
+ * the app rewrites the whole doc, so a partial snapshot must not read as
+ * a wave of cancellations.
+ * Assignment fields written by dispatch are ignored, so a reconciler write
+ * never shows up as a change.
+ */
+function diffBookingLists(before, after) {
+    const isLive = (b) => String(b.status || '').toUpperCase() !== 'CANCELLED';
+    const index = (list) => {
+        const map = {};
+        for (const b of list) {
+            const id = b.id || b.bookingId;
+            if (id !== undefined && id !== null) map[id] = b;
+        }
+        return map;
+    };
+    const beforeById = index(before);
+    const afterById = index(after);
+
+    const added = [];
+    const removed = [];
+    const missing = [];
+    const paxChanged = [];
+    for (const [id, booking] of Object.entries(afterById)) {
+        const previous = beforeById[id];
+        if (!isLive(booking)) {
+            if (previous && isLive(previous)) removed.push(booking);
+        } else if (!previous || !isLive(previous)) {
+            added.push(booking);
+        } else if (getBookingPax(previous) !== getBookingPax(booking)) {
+            paxChanged.push(booking);
+        }
+    }
+    for (const [id, booking] of Object.entries(beforeById)) {
+        if (!afterById[id] && isLive(booking)) missing.push(booking);
+    }
+    return { added, removed, missing, paxChanged };
+}
+
+// Cost (in km) of making guests at an existing stop wait for a later-booked one
+const LATE_INSERTION_PENALTY_KM = 100;
+
+/**
+ * Extra km a route drives if `stop` is inserted at `position`.
+ * Inserting ahead of a stop with an earlier booked time is penalised so
+ * guests who were already told a time are not kept waiting.
+ */
+function insertionCostKm(stops, stop, position) {
+    const prev = stops[position - 1];
+    const next = stops[position];
+    const leg = (a, b) => (hasCoords(a) && hasCoords(b) ? haversineKm(a, b) : 0);
+    let cost = hasCoords(stop) ? leg(prev, stop) + leg(stop, next) - leg(prev, next) : 0;
+    if (next && stop.scheduledMinutes !== null && next.scheduledMinutes !== null &&
+        next.scheduledMinutes !== undefined && stop.scheduledMinutes > next.scheduledMinutes) {
+        cost += LATE_INSERTION_PENALTY_KM;
+    }
+    return cost;
+}
+
+function recountRoute(route) {
+    for (const stop of route.stops) {
+        stop.passengers = stop.bookings.reduce((sum, b) => sum + getBookingPax(b), 0);
+    }
+    route.stops = route.stops.filter(stop => stop.bookings.length > 0);
+    route.totalPassengers = route.stops.reduce((sum, stop) => sum + stop.passengers, 0);
+}
+
+/**
+ * Find the cheapest place for a booking in the existing routes of its
+ * departure: join an existing stop at the same place if there is room,
+ * otherwise insert a new stop where it adds the least driving.
+ * Harbour stops stay first on their route.
+ */
+function findPlacement(routes, booking, places, excludeGuideId = null) {
+    const pax = getBookingPax(booking);
+    const departureKey = getDepartureKey(booking);
+    const candidate = buildStops([booking], places)[0];
+    let best = null;
+
+    for (const route of routes) {
+        if (route.guideId === excludeGuideId) continue;
+        if (route.departureKey && route.departureKey !== departureKey) continue;
+        if (route.totalPassengers + pax > route.capacity) continue;
+
+        const existing = route.stops.findIndex(stop => stop.key === candidate.key);
+        if (existing >= 0) {
+            const option = { route, stopIndex: existing, cost: -1 };
+            if (!best || option.cost < best.cost) best = option;
+            continue;
+        }
+
+        const firstPosition = candidate.isHarbour ? 0 : (route.stops[0] && route.stops[0].isHarbour ? 1 : 0);
+        const lastPosition = candidate.isHarbour ? 0 : route.stops.length;
+        for (let position = firstPosition; position <= lastPosition; position++) {
+            const option = { route, insertAt: position, cost: insertionCostKm(route.stops, candidate, position) };
+            if (!best || option.cost < best.cost) best = option;
+        }
+    }
+
+    return best ? { ...best, stop: candidate } : null;
+}
+
+/**
+ * Slot late changes into existing routes with minimal disruption.
+ * Only routes that actually change are re-timed and reported as affected.
+ *
+ * @param {Array} routes - [{ guideId, guideName, departureKey, capacity, stops }]
+ *     where stops carry { key, name, latitude, longitude, isHarbour, bookings }
+ * @param {Object} changes - from diffBookingLists()
+ * @param {Object} places - pickup place coordinates keyed by getPlaceKey()
+ * @returns {{ routes, affected: Object, unplaced: Array }}
+ *     affected maps guideId → { added: [], removed: [], updated: [] }
+ */
+function reconcileRoutes(routes, changes, places = {}) {
+    const affected = {};
+    const unplaced = [];
+    const touch = (guideId) => {
+        if (!affected[guideId]) affected[guideId] = { added: [], removed: [], updated: [] };
+        return affected[guideId];
+    };
+    const idOf = (b) => String(b.id || b.bookingId);
+    const locate = (bookingId) => {
+        for (const route of routes) {
+            for (const stop of route.stops) {
+                const index = stop.bookings.findIndex(b => idOf(b) === bookingId);
+                if (index >= 0) return { route, stop, index };
+            }
+        }
+        return null;
+    };
+
+    const place = (booking, excludeGuideId) => {
+        const placement = findPlacement(routes, booking, places, excludeGuideId);
+        if (!placement) {
+            unplaced.push(booking);
+            return null;
+        }
+        const { route } = placement;
+        if (placement.stopIndex !== undefined) {
+            route.stops[placement.stopIndex].bookings.push(booking);
+        } else {
+            placement.stop.bookings = [booking];
+            route.stops.splice(placement.insertAt, 0, placement.stop);
+        }
+        recountRoute(route);
+        return route;
+    };
+
+    // 1. Cancellations free their seats
+    for (const booking of changes.removed) {
+        const found = locate(idOf(booking));
+        if (!found) continue;
+        found.stop.bookings.splice(found.index, 1);
+        recountRoute(found.route);
+        touch(found.route.guideId).removed.push(booking);
+    }
+
+    // 2. Pax changes stay put unless the bus is now over capacity
+    const added = [...changes.added];
+    for (const booking of changes.paxChanged) {
+        const found = locate(idOf(booking));
+        if (!found) {
+            added.push(booking);
+            continue;
+        }
+        found.stop.bookings[found.index] = booking;
+        recountRoute(found.route);
+        if (found.route.totalPassengers <= found.route.capacity) {
+            touch(found.route.guideId).updated.push(booking);
+            continue;
+        }
+        // Move just this booking to a route with room
+        const current = locate(idOf(booking));
+        current.stop.bookings.splice(current.index, 1);
+        recountRoute(found.route);
+        const target = place(booking, found.route.guideId);
+        touch(found.route.guideId).removed.push(booking);
+        if (target) touch(target.guideId).added.push(booking);
+    }
+
+    // 3. New bookings, largest parties first
+    added.sort((a, b) => getBookingPax(b) - getBookingPax(a));
+    for (const booking of added) {
+        if (locate(idOf(booking))) continue;
+        const target = place(booking, null);
+        if (target) touch(target.guideId).added.push(booking);
+    }
+
+    for (const route of routes) {
+        if (!affected[route.guideId]) continue;
+        route.stops = estimateStopTimes(route.stops);
+    }
+
+    return { routes, affected, unplaced };
+}
+
+module.exports = {
+    DEFAULT_BUS_SEATS,
+    getBookingPax,
+    getPlaceKey,
+    parsePickupMinutes,
+    formatMinutes,
+    haversineKm,
+    getBusSeats,
+    getBusCapacity,
+    isPrivateBooking,
+    getDepartureKey,
+    groupDepartures,
+    buildVehicles,
+    buildStops,
+    planRoutes,
+    diffBookingLists,
+    reconcileRoutes,
+};
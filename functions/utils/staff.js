@@ -0,0 +1,71 @@
+/**
+ * Staff
+ * Role checks for callables that change shared, customer-facing or
+ * decision data. Guides have a users doc too, so being logged in (or having
+ * a users doc) is not enough: the doc must carry isAdmin or a staff role.
+ */
+const { db } = require('./firebase');
+
+const STAFF_ROLES = ['admin', 'staff'];
+
+/**
+ * Whether a users doc belongs to an admin or office staff member
+ */
+function isStaffUser(user) {
+    if (!user) return false;
+    return user.isAdmin === true || STAFF_ROLES.includes(user.role);
+}
+
+/**
+ * Whether a users doc belongs to an admin
+ */
+function isAdminUser(user) {
+    if (!user) return false;
+    return user.isAdmin === true || user.role === 'admin';
+}
+
+/**
+ * Throw unless the caller is logged in staff
+ *
+ * @param {object} request - onCall request
+ * @param {string} action - what they tried, for the error ("refresh the tour decision")
+ * @returns {Promise<object>} the caller's users doc
+ */
+async function requireStaff(request, action) {
+    if (!request.auth) {
+        throw new Error(`You must be logged in to ${action}`);
+    }
+    const userDoc = await db.collection('users').doc(request.auth.uid).get();
+    const user = userDoc.exists ? userDoc.data() : null;
+    if (!isStaffUser(user)) {
+        throw new Error(`Only admins or office staff can ${action}`);
+    }
+    return user;
+}
+
+/**
+ * Throw unless the caller is a logged in admin (for overriding policy)
+ *
+ * @param {object} request - onCall request
+ * @param {string} action - what they tried, for the error
+ * @returns {Promise<object>} the caller's users doc
+ */
+async function requireAdmin(request, action) {
+    if (!request.auth) {
+        throw new Error(`You must be logged in to ${action}`);
+    }
+    const userDoc = await db.collection('users').doc(request.auth.uid).get();
+    const user = userDoc.exists ? userDoc.data() : null;
+    if (!isAdminUser(user)) {
+        throw new Error(`Only admins can ${action}`);
+    }
+    return user;
+}
+
+module.exports = {
+    STAFF_ROLES,
+    isStaffUser,
+    isAdminUser,
+    requireStaff,
+    requireAdmin,
+};
@@ -0,0 +1,213 @@
+/**
+ * WhatsApp Cloud API client (Meta Graph API)
+ *
+ * Configured when WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID are set.
+ * Free-form text only reaches customers who wrote to us in the last 24 hours.
+ * Outside that window Meta still accepts the send and returns a wamid, then
+ * reports the message failed (131047) in a status webhook. So callers check
+ * isSessionWindowOpen() first and send an approved template instead (inbox
+ * replies, tour status), and a late failed receipt falls back to SMS/email
+ * (delivery_fallback.js).
+ *
+ * WHATSAPP_GRAPH_URL points all requests somewhere else, e.g. the local stub
+ * in scripts/fake_whatsapp_server.js.
+ */
+const crypto = require('crypto');
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function isWhatsAppConfigured() {
+    return Boolean(process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID);
+}
+
+function getGraphApiUrl() {
+    return (process.env.WHATSAPP_GRAPH_URL || GRAPH_API_URL).replace(/\/+$/, '');
+}
+
+/**
+ * WhatsApp ids are the phone number in international format without "+"
+ */
+function toWhatsAppId(phone) {
+    return String(phone || '').replace(/[^\d]/g, '');
+}
+
+/**
+ * Whether free-form messages may still be sent: the customer wrote to us
+ * within the last 24 hours
+ */
+function isSessionWindowOpen(lastInboundAt, now = Date.now()) {
+    if (!lastInboundAt) return false;
+    const at = lastInboundAt instanceof Date ? lastInboundAt.getTime() :
+        typeof lastInboundAt.toDate === 'function' ? lastInboundAt.toDate().getTime() :
+            new Date(lastInboundAt).getTime();
+    return Number.isFinite(at) && now - at < SESSION_WINDOW_MS;
+}
+
+/**
+ * X-Hub-Signature-256 value for a webhook body ("sha256=<hex>")
+ */
+function computeWhatsAppSignature(rawBody, appSecret) {
+    return `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`;
+}
+
+function verifyWhatsAppSignature(rawBody, signature, appSecret) {
+    if (!signature || !appSecret) return false;
+    const a = Buffer.from(String(signature));
+    const b = Buffer.from(computeWhatsAppSignature(rawBody, appSecret));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Flatten a webhook payload into inbound messages and status receipts
+ */
+function parseWhatsAppWebhook(payload) {
+    const messages = [];
+    const statuses = [];
+
+    for (const entry of payload?.entry || []) {
+        for (const change of entry.changes || []) {
+            if (change.field !== 'messages') continue;
+            const value = change.value || {};
+            const names = {};
+            for (const contact of value.contacts || []) {
+                names[contact.wa_id] = contact.profile?.name || null;
+            }
+
+            for (const message of value.messages || []) {
+                const media = message[message.type];
+                messages.push({
+                    id: message.id,
+                    from: message.from,
+                    name: names[message.from] || null,
+                    timestamp: message.timestamp ? new Date(parseInt(message.timestamp) * 1000).toISOString() : null,
+                    type: message.type,
+                    text: message.text?.body || message.button?.text || message.interactive?.button_reply?.title ||
+                        message.interactive?.list_reply?.title || media?.caption || '',
+                    media: media?.id ? {
+                        id: media.id,
+                        mimeType: media.mime_type || null,
+                        filename: media.filename || null,
+                        caption: media.caption || null,
+                    } : null,
+                    replyTo: message.context?.id || null,
+                });
+            }
+
+            for (const status of value.statuses || []) {
+                statuses.push({
+                    id: status.id,
+                    status: status.status,
+                    recipientId: status.recipient_id || null,
+                    timestamp: status.timestamp ? new Date(parseInt(status.timestamp) * 1000).toISOString() : null,
+                    errorCode: status.errors?.[0]?.code ? String(status.errors[0].code) : null,
+                    errorTitle: status.errors?.[0]?.title || null,
+                });
+            }
+        }
+    }
+
+    return { messages, statuses };
+}
+
+async function graphRequest(path, options = {}) {
+    if (!isWhatsAppConfigured()) {
+        throw new Error('WhatsApp not configured');
+    }
+
+    const response = await fetch(`${getGraphApiUrl()}${path}`, {
+        method: options.method || 'GET',
+        headers: {
+            'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+            ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(`WhatsApp API ${response.status}: ${data.error?.message || 'request failed'}`);
+        error.code = data.error?.code || null;
+        throw error;
+    }
+    return data;
+}
+
+async function sendMessage(to, message) {
+    const data = await graphRequest(`/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+        method: 'POST',
+        body: {
+            messaging_product: 'whatsapp',
+            to: toWhatsAppId(to),
+            ...message,
+        },
+    });
+    return { id: data.messages?.[0]?.id || null };
+}
+
+/**
+ * Send a text message. Resolves to { id } (the wamid), throws on API errors.
+ */
+async function sendWhatsAppText(to, body) {
+    return await sendMessage(to, {
+        type: 'text',
+        text: { body, preview_url: true },
+    });
+}
+
+/**
+ * Template parameter text as Meta accepts it: no newlines or tabs and at most
+ * four spaces in a row (else the send fails with 132018). Multi-line text is
+ * joined into one line.
+ */
+function toTemplateParamText(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Send an approved template (allowed outside the 24-hour window).
+ * bodyParams fill the template's {{1}}, {{2}}, ... in order.
+ */
+async function sendWhatsAppTemplate(to, name, languageCode, bodyParams = []) {
+    return await sendMessage(to, {
+        type: 'template',
+        template: {
+            name,
+            language: { code: languageCode || 'en' },
+            components: bodyParams.length > 0 ? [{
+                type: 'body',
+                parameters: bodyParams.map(text => ({ type: 'text', text: toTemplateParamText(text) })),
+            }] : [],
+        },
+    });
+}
+
+/**
+ * Download an inbound media object. Resolves to { buffer, mimeType }.
+ */
+async function downloadWhatsAppMedia(mediaId) {
+    const media = await graphRequest(`/${mediaId}`);
+    const response = await fetch(media.url, {
+        headers: { 'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}` },
+    });
+    if (!response.ok) {
+        throw new Error(`WhatsApp media download ${response.status}`);
+    }
+    return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        mimeType: media.mime_type || response.headers.get('content-type') || 'application/octet-stream',
+    };
+}
+
+module.exports = {
+    isWhatsAppConfigured,
+    toWhatsAppId,
+    isSessionWindowOpen,
+    computeWhatsAppSignature,
+    verifyWhatsAppSignature,
+    parseWhatsAppWebhook,
+    sendWhatsAppText,
+    sendWhatsAppTemplate,
+    toTemplateParamText,
+    downloadWhatsAppMedia,
+};
@@ -3,7 +3,7 @@
 
 import 'package:cloud_firestore/cloud_firestore.dart';
 
-enum MessageChannel { gmail, wix, whatsapp, website }
+enum MessageChannel { gmail, wix, whatsapp, website, sms }
 enum MessageDirection { inbound, outbound }
 enum MessageStatus { pending, draftReady, responded, autoHandled, archived }
 enum MessagePriority { low, normal, high, urgent }
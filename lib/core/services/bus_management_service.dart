@@ -52,6 +52,7 @@ class BusManagementService {
     required String name,
     required String licensePlate,
     required String color,
+    required int seats,
     String? description,
     bool isActive = true,
   }) async {
@@ -66,6 +67,7 @@ class BusManagementService {
         'name': name,
         'licensePlate': licensePlate,
         'color': color,
+        'seats': seats,
         'description': description ?? '',
         'isActive': isActive,
         'createdBy': user.uid,
@@ -88,6 +90,7 @@ class BusManagementService {
     String? name,
     String? licensePlate,
     String? color,
+    int? seats,
     String? description,
     bool? isActive,
   }) async {
@@ -106,6 +109,7 @@ class BusManagementService {
       if (name != null) updateData['name'] = name;
       if (licensePlate != null) updateData['licensePlate'] = licensePlate;
       if (color != null) updateData['color'] = color;
+      if (seats != null) updateData['seats'] = seats;
       if (description != null) updateData['description'] = description;
       if (isActive != null) updateData['isActive'] = isActive;
 
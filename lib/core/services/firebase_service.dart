@@ -1046,8 +1046,11 @@ class FirebaseService {
         
         print('📂 Found cached bookings for $date (cached at: $cachedAt)');
         
+        // Cancellations written by the Bokun webhook stay in the doc as CANCELLED
         bookings = bookingsData
-            .map((b) => PickupBooking.fromJson(b as Map<String, dynamic>))
+            .map((b) => b as Map<String, dynamic>)
+            .where((b) => b['status'] != 'CANCELLED')
+            .map((b) => PickupBooking.fromJson(b))
             .toList();
         
         print('✅ Retrieved ${bookings.length} cached bookings for date $date');
@@ -43,6 +43,7 @@ class _AdminBusManagementScreenState extends State<AdminBusManagementScreen> {
   void _showAddBusDialog() {
     final nameController = TextEditingController();
     final licensePlateController = TextEditingController();
+    final seatsController = TextEditingController();
     final descriptionController = TextEditingController();
     String selectedColor = 'blue';
 
@@ -70,6 +71,15 @@ class _AdminBusManagementScreenState extends State<AdminBusManagementScreen> {
                 ),
               ),
               const SizedBox(height: 16),
+              TextField(
+                controller: seatsController,
+                keyboardType: TextInputType.number,
+                decoration: const InputDecoration(
+                  labelText: 'Passenger Seats',
+                  hintText: 'e.g., 19',
+                ),
+              ),
+              const SizedBox(height: 16),
               DropdownButtonFormField<String>(
                 value: selectedColor,
                 decoration: const InputDecoration(
@@ -117,8 +127,11 @@ class _AdminBusManagementScreenState extends State<AdminBusManagementScreen> {
           ),
           ElevatedButton(
             onPressed: () async {
+              final seats = int.tryParse(seatsController.text.trim());
               if (nameController.text.trim().isEmpty ||
-                  licensePlateController.text.trim().isEmpty) {
+                  licensePlateController.text.trim().isEmpty ||
+                  seats == null ||
+                  seats <= 0) {
                 ScaffoldMessenger.of(context).showSnackBar(
                   const SnackBar(content: Text('Please fill in all required fields')),
                 );
@@ -129,6 +142,7 @@ class _AdminBusManagementScreenState extends State<AdminBusManagementScreen> {
                 name: nameController.text.trim(),
                 licensePlate: licensePlateController.text.trim(),
                 color: selectedColor,
+                seats: seats,
                 description: descriptionController.text.trim(),
               );
 
@@ -153,6 +167,7 @@ class _AdminBusManagementScreenState extends State<AdminBusManagementScreen> {
   void _showEditBusDialog(Map<String, dynamic> bus) {
     final nameController = TextEditingController(text: bus['name']);
     final licensePlateController = TextEditingController(text: bus['licensePlate']);
+    final seatsController = TextEditingController(text: bus['seats']?.toString() ?? '');
     final descriptionController = TextEditingController(text: bus['description'] ?? '');
     String selectedColor = bus['color'] ?? 'blue';
 
@@ -178,6 +193,15 @@ class _AdminBusManagementScreenState extends State<AdminBusManagementScreen> {
                 ),
               ),
               const SizedBox(height: 16),
+              TextField(
+                controller: seatsController,
+                keyboardType: TextInputType.number,
+                decoration: const InputDecoration(
+                  labelText: 'Passenger Seats',
+                  hintText: 'e.g., 19',
+                ),
+              ),
+              const SizedBox(height: 16),
               DropdownButtonFormField<String>(
                 value: selectedColor,
                 decoration: const InputDecoration(
@@ -224,8 +248,11 @@ class _AdminBusManagementScreenState extends State<AdminBusManagementScreen> {
           ),
           ElevatedButton(
             onPressed: () async {
+              final seats = int.tryParse(seatsController.text.trim());
               if (nameController.text.trim().isEmpty ||
-                  licensePlateController.text.trim().isEmpty) {
+                  licensePlateController.text.trim().isEmpty ||
+                  seats == null ||
+                  seats <= 0) {
                 ScaffoldMessenger.of(context).showSnackBar(
                   const SnackBar(content: Text('Please fill in all required fields')),
                 );
@@ -237,6 +264,7 @@ class _AdminBusManagementScreenState extends State<AdminBusManagementScreen> {
                 name: nameController.text.trim(),
                 licensePlate: licensePlateController.text.trim(),
                 color: selectedColor,
+                seats: seats,
                 description: descriptionController.text.trim(),
               );
 
@@ -438,6 +466,7 @@ class _AdminBusManagementScreenState extends State<AdminBusManagementScreen> {
                           crossAxisAlignment: CrossAxisAlignment.start,
                           children: [
                             Text('License: ${bus['licensePlate']}'),
+                            Text(bus['seats'] != null ? 'Seats: ${bus['seats']}' : 'Seats: not set'),
                             Row(
                               children: [
                                 Container(
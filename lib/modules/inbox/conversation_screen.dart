@@ -1399,6 +1399,8 @@ class _ConversationScreenState extends State<ConversationScreen> {
         return Icons.phone;
       case MessageChannel.website:
         return Icons.language;
+      case MessageChannel.sms:
+        return Icons.sms;
     }
   }
 
@@ -443,6 +443,9 @@ class MessagingService {
         'lastMessageAt': FieldValue.serverTimestamp(),
         'lastMessagePreview': content.length > 100 ? '${content.substring(0, 100)}...' : content,
         'unreadCount': 1,
+        // Inbox views (functions/modules/inbox_routing.js) query these
+        'assignedTo': null,
+        'isHandled': false,
         'channelMetadata': {'gmail': {'threadId': threadId}},
         'createdAt': FieldValue.serverTimestamp(),
         'updatedAt': FieldValue.serverTimestamp(),